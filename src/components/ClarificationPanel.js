@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import './ClarificationPanel.css';
+
+const dressCodeOptions = [
+    { value: 'casual', label: 'Casual' },
+    { value: 'smart-casual', label: 'Smart Casual' },
+    { value: 'business', label: 'Business' },
+    { value: 'formal', label: 'Formal' },
+    { value: 'black-tie', label: 'Black Tie' }
+];
+
+const initialAnswer = (question, details) => {
+    if (question.type === 'dailyPlans') {
+        return Array.from({ length: details.duration || 1 }, (_, index) => {
+            const plan = (details.dailyPlans || []).find(entry => entry.day === index + 1);
+            return {
+                day: index + 1,
+                activity: plan?.activity || '',
+                dressCode: plan?.dressCode || details.dressCode || 'smart-casual'
+            };
+        });
+    }
+    if (question.type === 'dressCode') {
+        return details.dressCode || 'smart-casual';
+    }
+    return '';
+};
+
+const ClarificationPanel = ({
+    clarification,
+    history = [],
+    onAnswer,
+    loading = false,
+    error = null
+}) => {
+    const { details, questions, completeness } = clarification;
+    const [answers, setAnswers] = useState({});
+
+    // Start each turn from the current details
+    useEffect(() => {
+        setAnswers(Object.fromEntries(questions.map(question => [question.id, initialAnswer(question, details)])));
+    }, [questions, details]);
+
+    const setAnswer = (id, value) => {
+        setAnswers(prev => ({ ...prev, [id]: value }));
+    };
+
+    const handleDayPlanChange = (id, index, field, value) => {
+        setAnswers(prev => {
+            const plans = [...prev[id]];
+            plans[index] = { ...plans[index], [field]: value };
+            return { ...prev, [id]: plans };
+        });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onAnswer(answers);
+    };
+
+    const renderInput = (question) => {
+        const value = answers[question.id] ?? '';
+
+        if (question.type === 'dailyPlans') {
+            return (
+                <div className="clarification-day-plans">
+                    {(Array.isArray(value) ? value : []).map((plan, index) => (
+                        <div key={plan.day} className="clarification-day-plan">
+                            <span>Day {plan.day}</span>
+                            <input
+                                type="text"
+                                value={plan.activity}
+                                onChange={(e) => handleDayPlanChange(question.id, index, 'activity', e.target.value)}
+                                placeholder="What's happening?"
+                            />
+                            <select
+                                value={plan.dressCode}
+                                onChange={(e) => handleDayPlanChange(question.id, index, 'dressCode', e.target.value)}
+                            >
+                                {dressCodeOptions.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+            );
+        }
+
+        if (question.type === 'dressCode') {
+            return (
+                <select id={`clarify-${question.id}`} value={value} onChange={(e) => setAnswer(question.id, e.target.value)}>
+                    {dressCodeOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            );
+        }
+
+        return (
+            <input
+                id={`clarify-${question.id}`}
+                type={question.type}
+                min={question.type === 'number' ? 0 : undefined}
+                value={value}
+                onChange={(e) => setAnswer(question.id, e.target.value)}
+                placeholder={question.placeholder}
+            />
+        );
+    };
+
+    return (
+        <div className="clarification-panel">
+            <div className="clarification-header">
+                <h2>A few quick questions</h2>
+                <p>
+                    I've got the {details.occasion || 'trip'}
+                    {details.location ? ` in ${details.location}` : ''}. Fill in what you can so I can plan each day.
+                </p>
+                <div className="clarification-progress" aria-label="Details complete">
+                    <div className="clarification-progress-fill" style={{ width: `${Math.round(completeness * 100)}%` }} />
+                </div>
+            </div>
+
+            {history.length > 0 && (
+                <ul className="clarification-history">
+                    {history.map(entry => (
+                        <li key={`${entry.turn}-${entry.id}`}>
+                            <span className="clarification-question">{entry.question}</span>
+                            <span className="clarification-answer">{entry.summary}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="clarification-form">
+                {questions.map(question => (
+                    <div key={question.id} className="clarification-field">
+                        <label htmlFor={`clarify-${question.id}`}>{question.prompt}</label>
+                        {renderInput(question)}
+                    </div>
+                ))}
+
+                {error && <p className="clarification-error">{error}</p>}
+
+                <button type="submit" className="confirm-button" disabled={loading}>
+                    {loading ? 'Updating...' : 'Continue'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ClarificationPanel;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import closetService from '../services/closetService';
+import {
+    CATALOG_CATEGORIES,
+    CATALOG_FORMALITY_LEVELS,
+    CATALOG_LAYERING_OPTIONS,
+    CATALOG_WEATHER_OPTIONS
+} from '../schemas/catalogItemSchema';
+import './ClosetItemEditor.css';
+
+const toFormValues = (item) => ({
+    name: item?.name || '',
+    category: item?.category || 'topwear',
+    colors: item?.colors || '',
+    formality: item?.formality || 'casual',
+    layering: item?.layering || '',
+    weatherSuitability: (item?.weatherSuitability || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean),
+    tags: Array.isArray(item?.tags) ? item.tags.join(', ') : (item?.tags || ''),
+    image: item?.image || '',
+    notes: item?.notes || ''
+});
+
+const ClosetItemEditor = ({
+    item = null,
+    onSave,
+    onCancel
+}) => {
+    const [formData, setFormData] = useState(() => toFormValues(item));
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [photoError, setPhotoError] = useState(null);
+
+    const handleInputChange = (field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [field]: value
+        }));
+    };
+
+    const handleWeatherToggle = (condition) => {
+        setFormData(prev => ({
+            ...prev,
+            weatherSuitability: prev.weatherSuitability.includes(condition)
+                ? prev.weatherSuitability.filter(entry => entry !== condition)
+                : [...prev.weatherSuitability, condition]
+        }));
+    };
+
+    const handlePhotoChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const image = await closetService.readPhoto(file);
+            setPhotoError(null);
+            handleInputChange('image', image);
+        } catch (error) {
+            setPhotoError(error.message);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const result = onSave({
+            ...formData,
+            image: formData.image || undefined
+        });
+
+        if (result && !result.success) {
+            const errors = {};
+            (result.error?.fields || [{ field: 'form', reason: result.error?.message }]).forEach(({ field, reason }) => {
+                errors[field] = errors[field] || reason;
+            });
+            setFieldErrors(errors);
+        }
+    };
+
+    const renderError = (field) => (
+        fieldErrors[field] ? <span className="closet-editor-error">{fieldErrors[field]}</span> : null
+    );
+
+    return (
+        <form className="closet-item-editor" onSubmit={handleSubmit}>
+            <h4>{item ? `Edit ${item.name}` : 'Add a garment'}</h4>
+
+            <div className="closet-editor-photo">
+                {formData.image ? (
+                    <img src={formData.image} alt={formData.name || 'Garment'} />
+                ) : (
+                    <div className="closet-editor-photo-placeholder">No photo</div>
+                )}
+                <label className="closet-editor-upload">
+                    Upload photo
+                    <input type="file" accept="image/*" onChange={handlePhotoChange} />
+                </label>
+                {photoError && <span className="closet-editor-error">{photoError}</span>}
+            </div>
+
+            <div className="closet-editor-field">
+                <label htmlFor="closet-name">Name *</label>
+                <input
+                    id="closet-name"
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => handleInputChange('name', e.target.value)}
+                    placeholder="e.g., Navy wool blazer"
+                    required
+                />
+                {renderError('name')}
+            </div>
+
+            <div className="closet-editor-row">
+                <div className="closet-editor-field">
+                    <label htmlFor="closet-category">Category</label>
+                    <select
+                        id="closet-category"
+                        value={formData.category}
+                        onChange={(e) => handleInputChange('category', e.target.value)}
+                    >
+                        {CATALOG_CATEGORIES.map(category => (
+                            <option key={category} value={category}>{category}</option>
+                        ))}
+                    </select>
+                    {renderError('category')}
+                </div>
+
+                <div className="closet-editor-field">
+                    <label htmlFor="closet-formality">Formality</label>
+                    <select
+                        id="closet-formality"
+                        value={formData.formality}
+                        onChange={(e) => handleInputChange('formality', e.target.value)}
+                    >
+                        {CATALOG_FORMALITY_LEVELS.map(level => (
+                            <option key={level} value={level}>{level}</option>
+                        ))}
+                    </select>
+                    {renderError('formality')}
+                </div>
+
+                <div className="closet-editor-field">
+                    <label htmlFor="closet-layering">Layering</label>
+                    <select
+                        id="closet-layering"
+                        value={formData.layering}
+                        onChange={(e) => handleInputChange('layering', e.target.value)}
+                    >
+                        <option value="">—</option>
+                        {CATALOG_LAYERING_OPTIONS.map(option => (
+                            <option key={option} value={option}>{option}</option>
+                        ))}
+                    </select>
+                    {renderError('layering')}
+                </div>
+            </div>
+
+            <div className="closet-editor-field">
+                <label htmlFor="closet-colors">Colors</label>
+                <input
+                    id="closet-colors"
+                    type="text"
+                    value={formData.colors}
+                    onChange={(e) => handleInputChange('colors', e.target.value)}
+                    placeholder="e.g., navy, white"
+                />
+                {renderError('colors')}
+            </div>
+
+            <fieldset className="closet-editor-field closet-editor-weather">
+                <legend>Weather suitability</legend>
+                {CATALOG_WEATHER_OPTIONS.map(condition => (
+                    <label key={condition}>
+                        <input
+                            type="checkbox"
+                            checked={formData.weatherSuitability.includes(condition)}
+                            onChange={() => handleWeatherToggle(condition)}
+                        />
+                        {condition}
+                    </label>
+                ))}
+                {renderError('weatherSuitability')}
+            </fieldset>
+
+            <div className="closet-editor-field">
+                <label htmlFor="closet-tags">Tags</label>
+                <input
+                    id="closet-tags"
+                    type="text"
+                    value={formData.tags}
+                    onChange={(e) => handleInputChange('tags', e.target.value)}
+                    placeholder="e.g., classic, packable"
+                />
+                {renderError('tags')}
+            </div>
+
+            <div className="closet-editor-field">
+                <label htmlFor="closet-notes">Notes</label>
+                <textarea
+                    id="closet-notes"
+                    rows="2"
+                    value={formData.notes}
+                    onChange={(e) => handleInputChange('notes', e.target.value)}
+                />
+                {renderError('notes')}
+            </div>
+
+            {renderError('sku')}
+            {renderError('form')}
+
+            <div className="closet-editor-actions">
+                <button type="button" className="closet-back-btn" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="closet-editor-save">
+                    {item ? 'Save changes' : 'Add to closet'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ClosetItemEditor;
@@ -1,4 +1,5 @@
 import React, { useMemo, useState, useEffect, useRef } from 'react';
+import { FEEDBACK_REASONS } from '../services/preferenceProfileService';
 import './OutfitCardCarousel.css';
 
 const CATEGORY_LABELS = {
@@ -85,7 +86,24 @@ const OutfitCardCarousel = ({
     onSaveItems = () => { },
     getClosetCenter = () => ({ x: 0, y: 0 }),
     dailyPlans = [],
-    onViewPackingList = null
+    onViewPackingList = null,
+    onViewShoppingPlan = null,
+    onViewCart = null,
+    onRegenerateDay = null,
+    onSwapSlot = null,
+    regenerating = null,
+    regenerationError = null,
+    lockedSkus = new Set(),
+    lockedDays = new Set(),
+    onToggleItemLock = null,
+    onToggleDayLock = null,
+    onRestyleTrip = null,
+    weatherWarnings = [],
+    onRepairWeather = null,
+    repairingWeather = false,
+    streaming = null,
+    getRating = null,
+    onRate = null
 }) => {
     const outfits = useMemo(() => {
         if (!trip?.outfits) {
@@ -103,9 +121,12 @@ const OutfitCardCarousel = ({
 
     const [currentIndex, setCurrentIndex] = useState(0);
 
+    const isStreaming = Boolean(streaming);
+
     useEffect(() => {
-        setCurrentIndex(0);
-    }, [trip?.id, outfits.length]);
+        // Days arriving mid-stream shouldn't pull the viewer back to day 1
+        setCurrentIndex(prev => (isStreaming ? Math.min(prev, Math.max(outfits.length - 1, 0)) : 0));
+    }, [trip?.id, outfits.length, isStreaming]);
 
     if (!outfits.length) {
         return (
@@ -127,6 +148,19 @@ const OutfitCardCarousel = ({
     };
 
     const accessories = Array.isArray(outfitItems.accessories) ? outfitItems.accessories : [];
+    const currentDay = currentOutfit.day || currentIndex + 1;
+    const isRegeneratingDay = regenerating?.day === currentDay;
+    const isDayLocked = lockedDays.has(currentDay);
+    const dayWarnings = weatherWarnings.filter(warning => warning.day === currentDay);
+    const warnedDays = new Set(weatherWarnings.map(warning => warning.day));
+    const dayItems = [...ORDERED_MAIN_CATEGORIES.map(category => outfitItems[category]), ...accessories].filter(item => item?.sku);
+
+    // Rating props for the whole outfit (slot null) or one piece
+    const ratingFor = (slot, items) => (onRate && getRating ? {
+        value: getRating({ day: currentDay, slot, items }),
+        onRate: (rating, reasons) => onRate({ day: currentDay, slot, items }, rating, reasons)
+    } : null);
+    const outfitRating = dayItems.length > 0 ? ratingFor(null, dayItems) : null;
 
     return (
         <div className="outfit-carousel">
@@ -139,8 +173,73 @@ const OutfitCardCarousel = ({
                     {trip?.destination && <span>{trip.destination}</span>}
                     <span className="divider">•</span>
                     <span>{currentIndex + 1} / {outfits.length}</span>
+                    {onToggleDayLock && (
+                        <button
+                            className={`lock-day-btn ${isDayLocked ? 'locked' : ''}`}
+                            onClick={() => onToggleDayLock(currentDay)}
+                            type="button"
+                            aria-pressed={isDayLocked}
+                        >
+                            {isDayLocked ? '🔒 Day locked' : 'Lock day'}
+                        </button>
+                    )}
+                    {onRegenerateDay && (
+                        <button
+                            className="regenerate-day-btn"
+                            onClick={() => onRegenerateDay(currentDay)}
+                            type="button"
+                            disabled={Boolean(regenerating) || isDayLocked}
+                        >
+                            {isRegeneratingDay && !regenerating.slot ? 'Regenerating…' : `↻ Regenerate day ${currentDay}`}
+                        </button>
+                    )}
                 </div>
             </header>
+            {streaming && (
+                <div className="streaming-status" role="status">
+                    <span className="streaming-dot" aria-hidden="true"></span>
+                    <span>
+                        Styling your looks… {outfits.length}
+                        {streaming.totalDays ? ` of ${streaming.totalDays}` : ''} {outfits.length === 1 ? 'day' : 'days'} ready
+                    </span>
+                    {streaming.onCancel && (
+                        <button className="cancel-stream-btn" onClick={streaming.onCancel} type="button">
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            )}
+            {regenerationError && (
+                <p className="regeneration-error" role="alert">{regenerationError}</p>
+            )}
+            {dayWarnings.length > 0 && (
+                <div className="weather-warnings" role="status">
+                    <ul>
+                        {dayWarnings.map(warning => (
+                            <li key={`${warning.code}-${warning.slot}-${warning.sku || ''}`} className={`weather-warning ${warning.severity}`}>
+                                <span>{warning.message}</span>
+                                {warning.suggestion && <span className="weather-suggestion">{warning.suggestion}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                    {onRepairWeather && (
+                        <button
+                            className="repair-weather-btn"
+                            onClick={onRepairWeather}
+                            type="button"
+                            disabled={repairingWeather || Boolean(regenerating)}
+                        >
+                            {repairingWeather ? 'Fixing…' : '☂ Fix for weather'}
+                        </button>
+                    )}
+                </div>
+            )}
+            {outfitRating && (
+                <div className="outfit-feedback">
+                    <span>How do you feel about day {currentDay}?</span>
+                    <RatingControl label={`day ${currentDay}`} {...outfitRating} />
+                </div>
+            )}
             <div className="day-pagination" aria-label="Day selector">
                 {outfits.map((outfit, index) => (
                     <button
@@ -152,8 +251,14 @@ const OutfitCardCarousel = ({
                     >
                         Day {outfit.day || index + 1}
                         {dailyPlans?.[index]?.activity ? ` · ${dailyPlans[index].activity}` : ''}
+                        {warnedDays.has(outfit.day || index + 1) && <span className="weather-flag" aria-label="Weather warning"> ⚠</span>}
                     </button>
                 ))}
+                {streaming && Array.from({ length: Math.max((streaming.totalDays || 0) - outfits.length, 0) }, (_, index) => (
+                    <span key={`pending-${index}`} className="day-pill pending" aria-hidden="true">
+                        Day {outfits.length + index + 1}
+                    </span>
+                ))}
             </div>
 
             <div className="carousel-card">
@@ -173,6 +278,12 @@ const OutfitCardCarousel = ({
                                     saved={savedSkus.has(item.sku)}
                                     onSave={() => item?.sku && !savedSkus.has(item.sku) && onSaveItems([item])}
                                     getClosetCenter={getClosetCenter}
+                                    onSwap={onSwapSlot ? () => onSwapSlot(currentDay, category) : null}
+                                    swapping={isRegeneratingDay && regenerating.slot === category}
+                                    swapDisabled={Boolean(regenerating) || isDayLocked}
+                                    locked={lockedSkus.has(item.sku)}
+                                    onToggleLock={onToggleItemLock ? () => onToggleItemLock(item.sku) : null}
+                                    rating={item.sku ? ratingFor(category, [item]) : null}
                                 />
                             );
                         })}
@@ -195,6 +306,9 @@ const OutfitCardCarousel = ({
                                     </div>
                                     <strong>{accessory.name}</strong>
                                     {accessory.colors && <span>{accessory.colors}</span>}
+                                    {accessory.sku && outfitRating && (
+                                        <RatingControl label={accessory.name || 'accessory'} compact {...ratingFor('accessories', [accessory])} />
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -218,6 +332,21 @@ const OutfitCardCarousel = ({
                         →
                     </button>
                 </div>
+                {onRestyleTrip && (
+                    <button className="control-btn restyle-btn" onClick={onRestyleTrip} disabled={Boolean(regenerating)}>
+                        ↻ Restyle trip
+                    </button>
+                )}
+                {onViewShoppingPlan && (
+                    <button className="control-btn packing-btn" onClick={onViewShoppingPlan}>
+                        Shopping plan
+                    </button>
+                )}
+                {onViewCart && (
+                    <button className="control-btn packing-btn" onClick={onViewCart}>
+                        Cart
+                    </button>
+                )}
                 {onViewPackingList && (
                     <button className="control-btn packing-btn" onClick={onViewPackingList}>
                         View packing list →
@@ -230,7 +359,69 @@ const OutfitCardCarousel = ({
 
 export default OutfitCardCarousel;
 
-const OutfitImageCard = ({ category, item, rationale, saved, onSave, getClosetCenter }) => {
+const RatingControl = ({ label, value, onRate, compact = false }) => {
+    const rating = value?.rating || null;
+    const reasons = value?.reasons || [];
+
+    const toggleReason = (reason) => {
+        onRate(rating, reasons.includes(reason) ? reasons.filter(id => id !== reason) : [...reasons, reason]);
+    };
+
+    return (
+        <div className={`rating-control ${compact ? 'compact' : ''}`}>
+            <div className="rating-buttons">
+                <button
+                    className={`rating-btn ${rating === 'up' ? 'active' : ''}`}
+                    onClick={() => onRate(rating === 'up' ? null : 'up', [])}
+                    type="button"
+                    aria-pressed={rating === 'up'}
+                    aria-label={`Like ${label}`}
+                >
+                    👍
+                </button>
+                <button
+                    className={`rating-btn ${rating === 'down' ? 'active' : ''}`}
+                    onClick={() => onRate(rating === 'down' ? null : 'down', [])}
+                    type="button"
+                    aria-pressed={rating === 'down'}
+                    aria-label={`Dislike ${label}`}
+                >
+                    👎
+                </button>
+            </div>
+            {rating && (
+                <div className="rating-reasons">
+                    {FEEDBACK_REASONS[rating].map(reason => (
+                        <button
+                            key={reason.id}
+                            className={`reason-chip ${reasons.includes(reason.id) ? 'active' : ''}`}
+                            onClick={() => toggleReason(reason.id)}
+                            type="button"
+                            aria-pressed={reasons.includes(reason.id)}
+                        >
+                            {reason.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const OutfitImageCard = ({
+    category,
+    item,
+    rationale,
+    saved,
+    onSave,
+    getClosetCenter,
+    onSwap = null,
+    swapping = false,
+    swapDisabled = false,
+    locked = false,
+    onToggleLock = null,
+    rating = null
+}) => {
     // Use item.image for closet items, fallback to SKU path for catalog items
     const imageUrl = item.image || getSkuImagePath(item.sku);
     const label = CATEGORY_LABELS[category] || category;
@@ -322,6 +513,46 @@ const OutfitImageCard = ({ category, item, rationale, saved, onSave, getClosetCe
             >
                 {saved ? 'Added to closet' : 'Save to closet'}
             </button>
+            {onSwap && (
+                <button
+                    className="swap-item-btn"
+                    onClick={onSwap}
+                    type="button"
+                    disabled={swapDisabled}
+                    aria-label={`Swap ${label.toLowerCase()}`}
+                    onMouseEnter={() => setFreezeFlip(true)}
+                    onMouseLeave={() => setFreezeFlip(false)}
+                    onFocus={() => setFreezeFlip(true)}
+                    onBlur={() => setFreezeFlip(false)}
+                >
+                    {swapping ? 'Swapping…' : `Swap ${label.toLowerCase()}`}
+                </button>
+            )}
+            {onToggleLock && (
+                <button
+                    className={`lock-item-btn ${locked ? 'locked' : ''}`}
+                    onClick={onToggleLock}
+                    type="button"
+                    aria-pressed={locked}
+                    onMouseEnter={() => setFreezeFlip(true)}
+                    onMouseLeave={() => setFreezeFlip(false)}
+                    onFocus={() => setFreezeFlip(true)}
+                    onBlur={() => setFreezeFlip(false)}
+                >
+                    {locked ? '🔒 Locked' : 'Lock item'}
+                </button>
+            )}
+            {rating && (
+                <div
+                    className="item-rating"
+                    onMouseEnter={() => setFreezeFlip(true)}
+                    onMouseLeave={() => setFreezeFlip(false)}
+                    onFocus={() => setFreezeFlip(true)}
+                    onBlur={() => setFreezeFlip(false)}
+                >
+                    <RatingControl label={item.name || label.toLowerCase()} compact {...rating} />
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { CATALOG_FIT_OPTIONS } from '../schemas/catalogItemSchema';
+import { GENDER_PRESENTATIONS, MODESTY_LEVELS } from '../schemas/styleProfileSchema';
+import styleProfileService, { PRESENTATION_LABELS } from '../services/styleProfileService';
+import './StyleProfileEditor.css';
+
+const MODESTY_LABELS = {
+    none: 'No coverage rules',
+    moderate: 'Cover shoulders and knees',
+    full: 'Cover arms and legs'
+};
+
+// Heel limits offered in the editor, in centimetres
+const HEEL_LIMITS = [
+    { value: '', label: 'No limit' },
+    { value: '2', label: 'Flat (2 cm)' },
+    { value: '4', label: 'Low (4 cm)' },
+    { value: '7', label: 'Mid (7 cm)' },
+    { value: '10', label: 'High (10 cm)' }
+];
+
+const toFormValues = (profile) => ({
+    name: profile?.name || '',
+    genderPresentation: profile?.genderPresentation || '',
+    fits: profile?.fits || [],
+    preferredColors: (profile?.preferredColors || []).join(', '),
+    avoidedColors: (profile?.avoidedColors || []).join(', '),
+    maxHeelHeight: typeof profile?.maxHeelHeight === 'number' ? String(profile.maxHeelHeight) : '',
+    modesty: profile?.modesty || 'none',
+    culturalNotes: profile?.culturalNotes || ''
+});
+
+const StyleProfileEditor = ({
+    profile = null,
+    onSave,
+    onCancel
+}) => {
+    const [formData, setFormData] = useState(() => toFormValues(profile));
+    const [fieldErrors, setFieldErrors] = useState({});
+
+    const handleInputChange = (field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [field]: value
+        }));
+    };
+
+    const handleFitToggle = (fit) => {
+        setFormData(prev => ({
+            ...prev,
+            fits: prev.fits.includes(fit)
+                ? prev.fits.filter(entry => entry !== fit)
+                : [...prev.fits, fit]
+        }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const result = onSave(formData);
+
+        if (result && !result.success) {
+            const errors = {};
+            (result.error?.fields || [{ field: 'form', reason: result.error?.message }]).forEach(({ field, reason }) => {
+                errors[field] = errors[field] || reason;
+            });
+            setFieldErrors(errors);
+        }
+    };
+
+    const renderError = (field) => (
+        fieldErrors[field] ? <span className="style-profile-error">{fieldErrors[field]}</span> : null
+    );
+
+    const rules = styleProfileService.describeRules(profile);
+
+    return (
+        <form className="style-profile-editor" onSubmit={handleSubmit}>
+            <h4>Style profile</h4>
+            <p className="style-profile-hint">
+                Cher follows these rules for every outfit and hides catalog pieces that break them.
+            </p>
+
+            <div className="style-profile-row">
+                <div className="style-profile-field">
+                    <label htmlFor="style-name">Name</label>
+                    <input
+                        id="style-name"
+                        type="text"
+                        value={formData.name}
+                        onChange={(e) => handleInputChange('name', e.target.value)}
+                        placeholder="e.g., Ines Taleb"
+                    />
+                    {renderError('name')}
+                </div>
+
+                <div className="style-profile-field">
+                    <label htmlFor="style-presentation">Gender presentation</label>
+                    <select
+                        id="style-presentation"
+                        value={formData.genderPresentation}
+                        onChange={(e) => handleInputChange('genderPresentation', e.target.value)}
+                    >
+                        <option value="">Not specified</option>
+                        {GENDER_PRESENTATIONS.map(presentation => (
+                            <option key={presentation} value={presentation}>{PRESENTATION_LABELS[presentation]}</option>
+                        ))}
+                    </select>
+                    {renderError('genderPresentation')}
+                </div>
+            </div>
+
+            <fieldset className="style-profile-field style-profile-fits">
+                <legend>Preferred fit</legend>
+                {CATALOG_FIT_OPTIONS.map(fit => (
+                    <label key={fit}>
+                        <input
+                            type="checkbox"
+                            checked={formData.fits.includes(fit)}
+                            onChange={() => handleFitToggle(fit)}
+                        />
+                        {fit}
+                    </label>
+                ))}
+                {renderError('fits')}
+            </fieldset>
+
+            <div className="style-profile-row">
+                <div className="style-profile-field">
+                    <label htmlFor="style-preferred-colors">Colors I love</label>
+                    <input
+                        id="style-preferred-colors"
+                        type="text"
+                        value={formData.preferredColors}
+                        onChange={(e) => handleInputChange('preferredColors', e.target.value)}
+                        placeholder="e.g., navy, cream"
+                    />
+                    {renderError('preferredColors')}
+                </div>
+
+                <div className="style-profile-field">
+                    <label htmlFor="style-avoided-colors">Colors to avoid</label>
+                    <input
+                        id="style-avoided-colors"
+                        type="text"
+                        value={formData.avoidedColors}
+                        onChange={(e) => handleInputChange('avoidedColors', e.target.value)}
+                        placeholder="e.g., orange"
+                    />
+                    {renderError('avoidedColors')}
+                </div>
+            </div>
+
+            <div className="style-profile-row">
+                <div className="style-profile-field">
+                    <label htmlFor="style-heels">Heel height</label>
+                    <select
+                        id="style-heels"
+                        value={formData.maxHeelHeight}
+                        onChange={(e) => handleInputChange('maxHeelHeight', e.target.value)}
+                    >
+                        {HEEL_LIMITS.map(limit => (
+                            <option key={limit.value} value={limit.value}>{limit.label}</option>
+                        ))}
+                    </select>
+                    {renderError('maxHeelHeight')}
+                </div>
+
+                <div className="style-profile-field">
+                    <label htmlFor="style-modesty">Coverage</label>
+                    <select
+                        id="style-modesty"
+                        value={formData.modesty}
+                        onChange={(e) => handleInputChange('modesty', e.target.value)}
+                    >
+                        {MODESTY_LEVELS.map(level => (
+                            <option key={level} value={level}>{MODESTY_LABELS[level]}</option>
+                        ))}
+                    </select>
+                    {renderError('modesty')}
+                </div>
+            </div>
+
+            <div className="style-profile-field">
+                <label htmlFor="style-cultural-notes">Cultural dress considerations</label>
+                <textarea
+                    id="style-cultural-notes"
+                    rows="2"
+                    value={formData.culturalNotes}
+                    onChange={(e) => handleInputChange('culturalNotes', e.target.value)}
+                    placeholder="e.g., Visiting temples: bring a scarf to cover my head"
+                />
+                {renderError('culturalNotes')}
+            </div>
+
+            {rules.length > 0 && (
+                <ul className="style-profile-rules">
+                    {rules.map(rule => <li key={rule}>{rule}</li>)}
+                </ul>
+            )}
+
+            {renderError('form')}
+
+            <div className="style-profile-actions">
+                <button type="button" className="style-profile-cancel" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="style-profile-save">
+                    Save profile
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default StyleProfileEditor;
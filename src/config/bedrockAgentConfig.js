@@ -49,11 +49,14 @@ export const TOOL_SCHEMAS = {
                 },
                 startDate: {
                     type: 'string',
-                    description: 'Start date in YYYY-MM-DD format'
+                    description: 'Start date in YYYY-MM-DD format',
+                    pattern: '^\\d{4}-\\d{2}-\\d{2}$'
                 },
                 duration: {
                     type: 'integer',
-                    description: 'Number of days for forecast'
+                    description: 'Number of days for forecast',
+                    minimum: 1,
+                    maximum: 30
                 }
             },
             required: ['location', 'startDate', 'duration']
@@ -120,7 +123,9 @@ export const TOOL_SCHEMAS = {
                 reusePreference: {
                     type: 'number',
                     description: 'Item reuse optimization weight (0-1)',
-                    default: 0.7
+                    default: 0.7,
+                    minimum: 0,
+                    maximum: 1
                 }
             },
             required: ['clothingItems', 'dailyRequirements']
@@ -139,7 +144,8 @@ export const TOOL_SCHEMAS = {
                 },
                 tripDuration: {
                     type: 'integer',
-                    description: 'Total trip duration in days'
+                    description: 'Total trip duration in days',
+                    minimum: 1
                 },
                 luggageConstraints: {
                     type: 'object',
@@ -155,6 +161,9 @@ export const TOOL_SCHEMAS = {
     }
 };
 
+// Action group whose functions return control to the app instead of calling a Lambda
+export const ACTION_GROUP_NAME = 'OutfitPlannerTools';
+
 export const AGENT_CONFIG = {
     // Agent basic configuration
     agentName: 'OutfitPlannerAgent',
@@ -169,7 +178,8 @@ export const AGENT_CONFIG = {
     // Session configuration
     idleSessionTTLInSeconds: 3600, // 1 hour
 
-    // Tool configuration
+    // Tool configuration (executed locally by agentToolRuntime through return control)
+    actionGroupName: ACTION_GROUP_NAME,
     tools: Object.values(TOOL_SCHEMAS),
 
     // Knowledge base configuration
@@ -0,0 +1,186 @@
+/**
+ * Climate normals for major travel destinations
+ * Monthly averages (January to December), one row per month:
+ * [min °C, max °C, precipitation mm, days with rain, relative humidity %]
+ */
+
+export const CLIMATE_NORMALS = [
+    {
+        name: 'New York', country: 'US', lat: 40.71, lon: -74.01, aliases: ['new york city', 'nyc', 'ny', 'manhattan', 'brooklyn'],
+        months: [[-3, 4, 92, 11, 62], [-2, 6, 79, 10, 60], [2, 10, 109, 11, 58], [7, 17, 104, 11, 56], [12, 22, 104, 11, 60], [18, 27, 112, 10, 62], [21, 29, 117, 10, 64], [20, 28, 114, 10, 66], [16, 24, 109, 9, 66], [10, 18, 112, 9, 63], [5, 12, 102, 10, 63], [0, 6, 102, 11, 64]]
+    },
+    {
+        name: 'Chicago', country: 'US', lat: 41.88, lon: -87.63, aliases: [],
+        months: [[-8, 0, 49, 11, 72], [-6, 2, 49, 9, 71], [-1, 9, 64, 11, 69], [5, 15, 93, 12, 65], [11, 21, 104, 11, 64], [16, 27, 104, 10, 66], [20, 29, 94, 10, 68], [19, 28, 104, 9, 70], [15, 24, 84, 9, 70], [8, 17, 82, 10, 68], [2, 9, 86, 10, 72], [-5, 2, 60, 10, 75]]
+    },
+    {
+        name: 'Los Angeles', country: 'US', lat: 34.05, lon: -118.24, aliases: ['la', 'l.a.', 'santa monica', 'hollywood'],
+        months: [[9, 20, 79, 6, 63], [10, 21, 97, 6, 67], [11, 22, 62, 5, 69], [13, 23, 23, 3, 68], [15, 24, 7, 1, 71], [17, 27, 2, 0, 73], [19, 29, 0, 0, 74], [19, 30, 0, 0, 74], [18, 29, 4, 1, 72], [15, 26, 17, 2, 68], [11, 23, 27, 3, 65], [9, 20, 59, 5, 62]]
+    },
+    {
+        name: 'San Francisco', country: 'US', lat: 37.77, lon: -122.42, aliases: ['sf', 'bay area'],
+        months: [[8, 14, 113, 10, 79], [9, 16, 114, 10, 78], [9, 17, 80, 9, 76], [10, 18, 38, 5, 74], [11, 19, 14, 3, 74], [12, 21, 4, 1, 74], [13, 21, 0, 0, 76], [13, 22, 1, 0, 77], [13, 23, 3, 1, 75], [12, 21, 28, 3, 75], [10, 17, 80, 7, 78], [8, 14, 114, 10, 79]]
+    },
+    {
+        name: 'Miami', country: 'US', lat: 25.76, lon: -80.19, aliases: ['miami beach'],
+        months: [[16, 24, 47, 6, 73], [17, 25, 54, 6, 71], [19, 26, 63, 6, 69], [21, 28, 79, 6, 67], [23, 30, 153, 10, 71], [25, 31, 239, 16, 76], [26, 32, 167, 16, 75], [26, 32, 224, 18, 76], [25, 31, 221, 17, 77], [23, 29, 157, 13, 75], [20, 27, 85, 8, 74], [18, 25, 56, 7, 73]]
+    },
+    {
+        name: 'Honolulu', country: 'US', lat: 21.31, lon: -157.86, aliases: ['hawaii', 'oahu', 'waikiki'],
+        months: [[19, 27, 58, 9, 73], [19, 27, 58, 8, 71], [20, 28, 55, 9, 70], [21, 28, 30, 8, 68], [22, 29, 23, 7, 67], [23, 30, 8, 6, 65], [24, 31, 13, 7, 66], [24, 32, 15, 7, 66], [24, 31, 20, 7, 67], [23, 30, 48, 9, 69], [22, 29, 63, 9, 71], [20, 28, 76, 10, 73]]
+    },
+    {
+        name: 'Toronto', country: 'CA', lat: 43.65, lon: -79.38, aliases: [],
+        months: [[-9, -1, 62, 12, 76], [-8, 0, 55, 10, 74], [-4, 5, 54, 11, 70], [2, 12, 68, 11, 66], [8, 19, 82, 12, 67], [13, 24, 71, 10, 70], [16, 27, 64, 10, 70], [15, 26, 81, 9, 73], [11, 21, 84, 9, 75], [5, 14, 64, 11, 74], [0, 7, 84, 12, 76], [-5, 1, 62, 12, 78]]
+    },
+    {
+        name: 'Vancouver', country: 'CA', lat: 49.28, lon: -123.12, aliases: [],
+        months: [[1, 7, 168, 19, 84], [1, 8, 104, 15, 80], [3, 10, 113, 17, 76], [5, 13, 88, 15, 73], [8, 17, 65, 12, 71], [11, 20, 53, 11, 72], [13, 22, 36, 6, 70], [13, 22, 37, 6, 72], [10, 19, 50, 8, 76], [6, 14, 120, 15, 81], [3, 9, 188, 20, 84], [0, 6, 161, 19, 85]]
+    },
+    {
+        name: 'Mexico City', country: 'MX', lat: 19.43, lon: -99.13, aliases: ['cdmx', 'ciudad de mexico'],
+        months: [[6, 22, 8, 2, 50], [7, 24, 5, 2, 45], [9, 26, 10, 3, 40], [11, 27, 25, 6, 42], [12, 27, 55, 11, 48], [13, 25, 135, 18, 62], [12, 23, 160, 22, 68], [12, 23, 155, 21, 69], [12, 23, 130, 18, 70], [10, 22, 60, 10, 64], [8, 22, 12, 4, 57], [7, 22, 6, 2, 55]]
+    },
+    {
+        name: 'Rio de Janeiro', country: 'BR', lat: -22.91, lon: -43.17, aliases: ['rio'],
+        months: [[24, 33, 137, 11, 79], [24, 33, 130, 9, 79], [24, 32, 135, 9, 80], [23, 30, 95, 8, 80], [21, 28, 70, 7, 80], [19, 27, 50, 5, 79], [19, 27, 45, 5, 77], [19, 27, 45, 5, 77], [20, 27, 60, 7, 78], [21, 28, 85, 9, 79], [22, 30, 100, 10, 79], [23, 31, 150, 12, 80]]
+    },
+    {
+        name: 'Buenos Aires', country: 'AR', lat: -34.6, lon: -58.38, aliases: [],
+        months: [[20, 30, 122, 9, 64], [19, 29, 123, 8, 69], [18, 26, 154, 9, 72], [14, 23, 107, 9, 75], [11, 19, 92, 7, 78], [8, 16, 58, 7, 79], [8, 15, 62, 7, 79], [9, 17, 64, 7, 75], [10, 19, 72, 7, 71], [13, 22, 127, 10, 70], [16, 25, 121, 10, 66], [18, 28, 123, 9, 63]]
+    },
+    {
+        name: 'Lima', country: 'PE', lat: -12.05, lon: -77.04, aliases: [],
+        months: [[21, 26, 1, 0, 82], [22, 27, 1, 0, 81], [21, 27, 1, 0, 82], [19, 25, 0, 0, 84], [17, 23, 0, 0, 85], [16, 20, 1, 1, 86], [15, 19, 1, 1, 87], [15, 19, 1, 1, 87], [15, 20, 1, 1, 86], [16, 21, 0, 0, 85], [17, 23, 0, 0, 83], [19, 25, 0, 0, 82]]
+    },
+    {
+        name: 'London', country: 'GB', lat: 51.51, lon: -0.13, aliases: ['london uk'],
+        months: [[2, 8, 55, 11, 83], [2, 9, 41, 9, 79], [4, 12, 42, 9, 74], [6, 15, 44, 9, 69], [9, 18, 49, 8, 68], [12, 22, 45, 8, 67], [14, 24, 45, 8, 68], [14, 23, 50, 8, 70], [12, 20, 49, 8, 74], [9, 16, 69, 10, 79], [5, 11, 59, 10, 83], [3, 8, 55, 10, 85]]
+    },
+    {
+        name: 'Paris', country: 'FR', lat: 48.86, lon: 2.35, aliases: [],
+        months: [[3, 7, 50, 10, 84], [3, 9, 41, 9, 79], [5, 13, 48, 10, 72], [7, 16, 52, 9, 67], [11, 20, 63, 10, 68], [14, 23, 49, 8, 67], [16, 26, 62, 7, 65], [16, 25, 52, 7, 67], [13, 21, 48, 8, 72], [10, 16, 62, 10, 79], [6, 11, 51, 10, 84], [4, 8, 58, 11, 86]]
+    },
+    {
+        name: 'Amsterdam', country: 'NL', lat: 52.37, lon: 4.9, aliases: [],
+        months: [[1, 6, 66, 12, 87], [1, 7, 49, 10, 84], [3, 10, 56, 11, 80], [5, 14, 40, 9, 74], [9, 18, 56, 9, 73], [11, 20, 65, 9, 75], [14, 22, 77, 10, 76], [13, 22, 86, 10, 78], [11, 19, 81, 11, 81], [8, 15, 83, 12, 84], [4, 10, 87, 13, 87], [2, 7, 72, 12, 88]]
+    },
+    {
+        name: 'Berlin', country: 'DE', lat: 52.52, lon: 13.4, aliases: [],
+        months: [[-2, 3, 42, 10, 85], [-2, 5, 33, 8, 81], [1, 9, 41, 9, 75], [4, 15, 37, 8, 67], [9, 19, 54, 9, 65], [12, 22, 69, 9, 66], [14, 24, 56, 9, 66], [14, 24, 58, 8, 68], [10, 19, 45, 8, 74], [6, 14, 37, 8, 80], [2, 8, 44, 9, 85], [-1, 4, 55, 11, 86]]
+    },
+    {
+        name: 'Barcelona', country: 'ES', lat: 41.39, lon: 2.17, aliases: [],
+        months: [[5, 14, 41, 5, 69], [6, 15, 29, 5, 67], [8, 16, 42, 5, 67], [10, 18, 49, 7, 66], [14, 21, 59, 7, 67], [17, 25, 42, 4, 66], [21, 28, 20, 3, 66], [21, 29, 61, 5, 68], [18, 26, 91, 6, 69], [14, 22, 91, 7, 70], [10, 17, 59, 6, 70], [7, 14, 40, 5, 69]]
+    },
+    {
+        name: 'Madrid', country: 'ES', lat: 40.42, lon: -3.7, aliases: [],
+        months: [[3, 10, 37, 6, 71], [4, 12, 35, 6, 65], [6, 16, 26, 4, 56], [8, 18, 47, 7, 55], [11, 22, 52, 7, 50], [16, 28, 25, 3, 42], [19, 32, 15, 2, 36], [19, 31, 10, 2, 38], [16, 26, 28, 3, 47], [11, 19, 49, 6, 59], [6, 13, 56, 7, 68], [3, 10, 56, 7, 73]]
+    },
+    {
+        name: 'Lisbon', country: 'PT', lat: 38.72, lon: -9.14, aliases: ['lisboa'],
+        months: [[8, 15, 100, 10, 80], [9, 16, 90, 9, 77], [11, 19, 57, 8, 72], [12, 20, 71, 9, 70], [14, 23, 52, 6, 68], [17, 27, 16, 2, 66], [18, 28, 4, 1, 64], [19, 29, 7, 1, 64], [18, 27, 32, 3, 67], [15, 23, 103, 8, 72], [12, 18, 128, 10, 78], [10, 15, 126, 11, 80]]
+    },
+    {
+        name: 'Rome', country: 'IT', lat: 41.9, lon: 12.5, aliases: ['roma'],
+        months: [[3, 12, 67, 7, 75], [4, 13, 73, 7, 73], [6, 16, 58, 7, 71], [8, 19, 81, 8, 70], [13, 24, 53, 5, 68], [16, 28, 34, 4, 65], [19, 31, 19, 2, 62], [19, 31, 33, 3, 63], [16, 27, 68, 5, 68], [12, 22, 113, 8, 72], [7, 16, 111, 9, 76], [4, 13, 82, 8, 77]]
+    },
+    {
+        name: 'Athens', country: 'GR', lat: 37.98, lon: 23.73, aliases: ['athina'],
+        months: [[7, 13, 57, 11, 73], [7, 14, 47, 10, 71], [9, 16, 41, 8, 68], [12, 20, 30, 6, 63], [16, 25, 21, 4, 57], [20, 30, 11, 2, 49], [23, 33, 6, 1, 45], [23, 33, 6, 1, 46], [19, 28, 14, 3, 53], [15, 23, 53, 6, 63], [11, 18, 58, 9, 71], [8, 14, 69, 12, 74]]
+    },
+    {
+        name: 'Istanbul', country: 'TR', lat: 41.01, lon: 28.98, aliases: [],
+        months: [[4, 9, 100, 12, 76], [4, 10, 79, 10, 74], [5, 12, 70, 9, 73], [9, 17, 45, 7, 72], [13, 22, 33, 5, 73], [17, 27, 26, 4, 71], [20, 29, 22, 2, 70], [21, 29, 33, 3, 71], [17, 25, 44, 5, 72], [13, 20, 82, 8, 75], [9, 15, 100, 10, 76], [6, 11, 120, 12, 76]]
+    },
+    {
+        name: 'Reykjavik', country: 'IS', lat: 64.15, lon: -21.94, aliases: ['iceland'],
+        months: [[-3, 2, 76, 13, 78], [-3, 3, 72, 12, 77], [-2, 3, 82, 14, 77], [0, 6, 58, 11, 75], [4, 10, 44, 9, 74], [7, 12, 50, 10, 77], [9, 14, 52, 10, 79], [8, 14, 62, 11, 80], [5, 11, 67, 12, 79], [2, 7, 86, 14, 78], [-1, 4, 73, 12, 78], [-3, 2, 79, 13, 78]]
+    },
+    {
+        name: 'Moscow', country: 'RU', lat: 55.76, lon: 37.62, aliases: ['moskva'],
+        months: [[-9, -4, 53, 10, 84], [-9, -3, 44, 9, 80], [-4, 3, 39, 8, 74], [2, 11, 37, 8, 64], [8, 19, 49, 9, 59], [12, 22, 80, 10, 64], [14, 24, 85, 10, 69], [13, 22, 82, 10, 72], [8, 16, 68, 10, 78], [3, 9, 71, 10, 82], [-2, 2, 55, 10, 86], [-6, -2, 52, 10, 86]]
+    },
+    {
+        name: 'Cairo', country: 'EG', lat: 30.04, lon: 31.24, aliases: [],
+        months: [[9, 19, 5, 1, 59], [10, 21, 4, 1, 54], [12, 24, 4, 1, 53], [15, 28, 1, 0, 47], [18, 32, 0, 0, 46], [21, 34, 0, 0, 49], [22, 35, 0, 0, 58], [22, 35, 0, 0, 61], [21, 33, 0, 0, 60], [18, 30, 1, 0, 60], [14, 25, 3, 1, 61], [11, 21, 6, 1, 61]]
+    },
+    {
+        name: 'Marrakech', country: 'MA', lat: 31.63, lon: -7.99, aliases: ['marrakesh'],
+        months: [[6, 19, 32, 4, 65], [8, 20, 38, 4, 63], [10, 23, 38, 4, 59], [12, 25, 39, 4, 56], [15, 29, 24, 3, 53], [17, 33, 6, 1, 49], [21, 37, 2, 0, 43], [21, 37, 3, 1, 45], [19, 32, 7, 1, 51], [15, 28, 23, 3, 57], [11, 23, 41, 4, 63], [7, 20, 31, 4, 66]]
+    },
+    {
+        name: 'Nairobi', country: 'KE', lat: -1.29, lon: 36.82, aliases: [],
+        months: [[12, 25, 58, 5, 62], [13, 27, 46, 4, 56], [14, 26, 71, 7, 62], [15, 24, 139, 14, 72], [15, 23, 160, 12, 74], [13, 22, 34, 5, 71], [12, 21, 16, 4, 69], [12, 22, 23, 4, 67], [12, 24, 27, 4, 60], [13, 25, 55, 6, 59], [14, 23, 131, 13, 70], [14, 23, 92, 9, 69]]
+    },
+    {
+        name: 'Cape Town', country: 'ZA', lat: -33.92, lon: 18.42, aliases: [],
+        months: [[16, 26, 15, 3, 70], [16, 27, 17, 3, 70], [15, 25, 20, 4, 72], [13, 23, 41, 6, 75], [11, 20, 69, 9, 78], [9, 18, 93, 10, 80], [8, 18, 82, 10, 80], [9, 18, 77, 10, 79], [10, 19, 40, 7, 76], [12, 21, 30, 5, 73], [14, 24, 14, 3, 71], [15, 25, 17, 3, 70]]
+    },
+    {
+        name: 'Johannesburg', country: 'ZA', lat: -26.2, lon: 28.05, aliases: ['joburg'],
+        months: [[15, 26, 125, 14, 64], [15, 25, 90, 10, 65], [14, 24, 91, 11, 65], [10, 21, 54, 7, 60], [7, 19, 13, 2, 51], [4, 16, 9, 1, 48], [4, 17, 4, 1, 44], [6, 19, 6, 1, 39], [9, 23, 27, 3, 40], [12, 24, 72, 8, 50], [14, 25, 117, 13, 59], [15, 26, 105, 13, 62]]
+    },
+    {
+        name: 'Dubai', country: 'AE', lat: 25.2, lon: 55.27, aliases: [],
+        months: [[14, 24, 19, 2, 65], [15, 26, 25, 3, 65], [18, 29, 22, 3, 63], [21, 33, 7, 1, 55], [25, 38, 0, 0, 53], [28, 40, 0, 0, 58], [30, 41, 0, 0, 56], [30, 41, 0, 0, 57], [27, 39, 0, 0, 60], [23, 35, 1, 0, 61], [19, 30, 3, 1, 62], [16, 26, 16, 2, 65]]
+    },
+    {
+        name: 'Delhi', country: 'IN', lat: 28.61, lon: 77.21, aliases: ['new delhi'],
+        months: [[7, 21, 19, 2, 66], [10, 24, 20, 2, 59], [15, 30, 15, 2, 49], [21, 36, 10, 1, 36], [26, 40, 28, 2, 35], [28, 39, 74, 5, 49], [27, 35, 210, 12, 70], [26, 34, 231, 12, 75], [25, 34, 127, 6, 68], [19, 33, 15, 1, 54], [13, 28, 3, 0, 55], [8, 23, 8, 1, 63]]
+    },
+    {
+        name: 'Mumbai', country: 'IN', lat: 19.08, lon: 72.88, aliases: ['bombay'],
+        months: [[17, 31, 1, 0, 61], [18, 31, 0, 0, 62], [21, 33, 0, 0, 64], [24, 33, 0, 0, 68], [27, 34, 11, 1, 70], [26, 32, 580, 17, 80], [25, 30, 840, 25, 86], [25, 30, 585, 22, 85], [24, 30, 340, 14, 82], [23, 33, 90, 4, 76], [21, 33, 15, 1, 68], [19, 32, 2, 0, 63]]
+    },
+    {
+        name: 'Bangkok', country: 'TH', lat: 13.76, lon: 100.5, aliases: [],
+        months: [[22, 32, 13, 1, 69], [24, 33, 20, 2, 70], [25, 34, 42, 3, 70], [26, 35, 92, 6, 71], [26, 34, 220, 16, 74], [26, 33, 212, 16, 75], [25, 33, 201, 17, 76], [25, 32, 233, 19, 77], [25, 32, 321, 21, 80], [24, 32, 234, 17, 79], [23, 31, 48, 6, 73], [21, 31, 10, 1, 69]]
+    },
+    {
+        name: 'Singapore', country: 'SG', lat: 1.35, lon: 103.82, aliases: [],
+        months: [[23, 30, 242, 15, 84], [24, 31, 162, 11, 82], [24, 32, 186, 14, 84], [25, 32, 179, 15, 85], [25, 32, 172, 14, 84], [25, 31, 162, 13, 83], [25, 31, 159, 14, 83], [25, 31, 176, 14, 83], [24, 31, 169, 14, 83], [24, 31, 194, 16, 84], [24, 31, 256, 19, 86], [23, 30, 288, 19, 86]]
+    },
+    {
+        name: 'Denpasar', country: 'ID', lat: -8.65, lon: 115.22, aliases: ['bali', 'ubud', 'seminyak'],
+        months: [[24, 31, 345, 16, 82], [24, 31, 274, 14, 82], [24, 31, 234, 13, 81], [24, 32, 88, 6, 80], [24, 31, 93, 5, 78], [23, 30, 53, 4, 78], [23, 29, 55, 4, 77], [23, 29, 25, 3, 76], [23, 30, 47, 4, 77], [24, 31, 63, 6, 78], [24, 31, 179, 10, 80], [24, 30, 276, 14, 82]]
+    },
+    {
+        name: 'Hong Kong', country: 'HK', lat: 22.32, lon: 114.17, aliases: ['hk'],
+        months: [[15, 19, 33, 6, 74], [15, 19, 48, 9, 80], [17, 22, 70, 11, 83], [20, 26, 162, 12, 84], [24, 29, 307, 15, 84], [26, 31, 457, 19, 84], [27, 32, 376, 18, 82], [27, 32, 432, 17, 82], [26, 31, 327, 14, 79], [23, 28, 100, 7, 73], [20, 24, 38, 5, 71], [16, 20, 26, 4, 69]]
+    },
+    {
+        name: 'Shanghai', country: 'CN', lat: 31.23, lon: 121.47, aliases: [],
+        months: [[1, 8, 75, 10, 74], [3, 10, 60, 9, 73], [6, 14, 109, 12, 73], [11, 20, 88, 11, 72], [16, 25, 102, 11, 72], [21, 28, 170, 14, 80], [25, 32, 146, 11, 78], [25, 32, 215, 12, 78], [21, 28, 103, 9, 76], [16, 23, 62, 7, 73], [10, 17, 55, 8, 73], [4, 10, 52, 8, 72]]
+    },
+    {
+        name: 'Beijing', country: 'CN', lat: 39.9, lon: 116.4, aliases: ['peking'],
+        months: [[-8, 2, 3, 2, 44], [-5, 5, 5, 2, 44], [1, 12, 9, 3, 44], [8, 20, 26, 5, 46], [14, 26, 35, 6, 53], [19, 30, 78, 10, 61], [22, 31, 173, 13, 75], [21, 30, 140, 11, 77], [15, 26, 49, 7, 68], [8, 19, 19, 4, 61], [0, 10, 9, 3, 57], [-6, 3, 2, 2, 49]]
+    },
+    {
+        name: 'Seoul', country: 'KR', lat: 37.57, lon: 126.98, aliases: [],
+        months: [[-6, 2, 16, 4, 59], [-4, 5, 28, 5, 57], [1, 11, 37, 6, 57], [7, 18, 72, 8, 56], [13, 24, 103, 9, 62], [18, 28, 129, 10, 68], [22, 29, 394, 16, 78], [23, 30, 348, 14, 75], [18, 26, 138, 9, 69], [11, 20, 49, 5, 64], [4, 12, 53, 8, 62], [-3, 4, 25, 6, 60]]
+    },
+    {
+        name: 'Tokyo', country: 'JP', lat: 35.68, lon: 139.69, aliases: [],
+        months: [[1, 10, 52, 5, 52], [2, 11, 56, 6, 53], [5, 14, 118, 10, 57], [10, 19, 125, 10, 62], [15, 23, 138, 11, 67], [19, 26, 168, 12, 75], [23, 30, 154, 11, 76], [24, 31, 168, 9, 73], [21, 27, 210, 11, 73], [15, 22, 198, 10, 68], [9, 17, 93, 7, 63], [4, 12, 51, 5, 56]]
+    },
+    {
+        name: 'Kyoto', country: 'JP', lat: 35.01, lon: 135.77, aliases: ['osaka'],
+        months: [[1, 9, 53, 7, 65], [2, 10, 65, 8, 64], [4, 14, 106, 10, 62], [9, 20, 117, 10, 61], [14, 25, 151, 11, 64], [19, 28, 214, 13, 71], [23, 32, 220, 12, 74], [24, 34, 134, 8, 71], [20, 29, 174, 11, 72], [13, 23, 120, 8, 71], [7, 17, 72, 7, 71], [3, 11, 51, 6, 68]]
+    },
+    {
+        name: 'Sydney', country: 'AU', lat: -33.87, lon: 151.21, aliases: [],
+        months: [[19, 26, 101, 8, 70], [19, 26, 118, 9, 72], [18, 25, 131, 10, 72], [15, 23, 127, 9, 71], [12, 20, 120, 10, 72], [9, 17, 132, 10, 72], [8, 17, 97, 8, 68], [9, 18, 80, 7, 64], [11, 20, 68, 7, 63], [14, 22, 77, 8, 64], [16, 24, 84, 9, 67], [18, 25, 78, 8, 68]]
+    },
+    {
+        name: 'Melbourne', country: 'AU', lat: -37.81, lon: 144.96, aliases: [],
+        months: [[14, 26, 47, 6, 56], [15, 26, 48, 6, 58], [13, 24, 50, 7, 61], [11, 20, 57, 9, 66], [9, 17, 56, 10, 72], [7, 15, 49, 10, 75], [6, 14, 48, 11, 74], [7, 15, 50, 11, 70], [8, 17, 58, 11, 65], [10, 20, 64, 10, 60], [11, 22, 60, 9, 59], [13, 24, 59, 8, 57]]
+    },
+    {
+        name: 'Auckland', country: 'NZ', lat: -36.85, lon: 174.76, aliases: [],
+        months: [[16, 24, 73, 8, 73], [17, 25, 66, 7, 74], [15, 23, 87, 9, 75], [13, 21, 99, 11, 78], [11, 18, 113, 13, 81], [9, 16, 126, 15, 84], [8, 15, 145, 16, 84], [8, 15, 118, 15, 81], [9, 16, 105, 13, 77], [11, 18, 100, 12, 75], [12, 20, 86, 10, 73], [14, 22, 93, 10, 73]]
+    }
+];
+
+export default CLIMATE_NORMALS;
@@ -119,6 +119,26 @@ export const createAppState = ({
     clothingCategories
 });
 
+/**
+ * ReusabilityReport Model
+ * Summarizes how often items are reused across a trip's outfits
+ */
+export const createReusabilityReport = ({
+    totalItems = 0,
+    reusedItems = 0,
+    reusabilityPercentage = 0,
+    itemUsageMap = new Map(),
+    costEfficiency = 0,
+    packingOptimization = 0
+} = {}) => ({
+    totalItems,
+    reusedItems,
+    reusabilityPercentage,
+    itemUsageMap,
+    costEfficiency,
+    packingOptimization
+});
+
 // Utility functions for working with data models
 
 /**
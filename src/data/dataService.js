@@ -12,17 +12,44 @@ import {
     getOutfitForDay,
     getItemsFromCategory
 } from './dataModels.js';
+import persistenceService from '../services/persistenceService';
 
 /**
  * Simple data service class for managing application data
- * Uses in-memory storage with mock data for initial implementation
+ * Starts from mock data and writes trip changes through the persistence service
  */
 class DataService {
-    constructor() {
+    constructor(persistence = persistenceService) {
         // Initialize with mock data
         this.trips = [...mockTrips];
         this.clothingCategories = [...mockClothingCategories];
         this.appState = { ...initialAppState };
+        this.persistence = persistence;
+    }
+
+    /**
+     * Replace in-memory trips with persisted ones (if any were saved)
+     * @returns {Promise<Array>} Current trips
+     */
+    async hydrate() {
+        const storedTrips = await this.persistence.loadTrips();
+        if (storedTrips.length > 0) {
+            this.trips = storedTrips;
+        }
+        return this.trips;
+    }
+
+    /**
+     * Write a trip through to storage without blocking callers
+     * @param {Object} trip - Trip to persist
+     */
+    persistTrip(trip) {
+        if (!trip || !this.persistence) {
+            return;
+        }
+        this.persistence.saveTrip(trip).catch(error => {
+            console.error('Failed to persist trip:', error);
+        });
     }
 
     // Trip management methods
@@ -40,6 +67,7 @@ class DataService {
             ...tripData
         });
         this.trips.push(newTrip);
+        this.persistTrip(newTrip);
         return newTrip;
     }
 
@@ -51,6 +79,7 @@ class DataService {
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
+            this.persistTrip(this.trips[tripIndex]);
             return this.trips[tripIndex];
         }
         return null;
@@ -75,6 +104,7 @@ class DataService {
 
             trip.outfits[day] = outfit;
             trip.updatedAt = new Date().toISOString();
+            this.persistTrip(trip);
             return outfit;
         }
         return null;
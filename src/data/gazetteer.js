@@ -0,0 +1,273 @@
+/**
+ * Bundled gazetteer for offline location recognition
+ * Cities carry an ISO 3166 country code, a state or province code where travelers use one
+ * ("Paris, TX"), coordinates and a prominence from 1 to 10: how likely a traveler means this
+ * place when several share its name. Countries point at the city used for their coordinates.
+ * Aliases written in capitals ("NYC", "UK") are abbreviations and only match capitalized text.
+ * Entries marked commonWord ("Nice", "Split", "Austin") double as everyday words or first names
+ * and only count in free text when capitalized after a preposition such as "in" or "to".
+ */
+
+export const GAZETTEER_CITIES = [
+    // North America
+    { name: 'New York', country: 'US', state: 'NY', lat: 40.71, lon: -74.01, prominence: 10, aliases: ['new york city', 'NYC', 'NY', 'the big apple', 'manhattan', 'brooklyn'] },
+    { name: 'Los Angeles', country: 'US', state: 'CA', lat: 34.05, lon: -118.24, prominence: 9, aliases: ['LA', 'L.A.', 'hollywood', 'santa monica'] },
+    { name: 'Chicago', country: 'US', state: 'IL', lat: 41.88, lon: -87.63, prominence: 8, aliases: ['chi-town'] },
+    { name: 'Houston', country: 'US', state: 'TX', lat: 29.76, lon: -95.37, prominence: 6, aliases: [] },
+    { name: 'Phoenix', country: 'US', state: 'AZ', lat: 33.45, lon: -112.07, prominence: 5, aliases: [], commonWord: true },
+    { name: 'Philadelphia', country: 'US', state: 'PA', lat: 39.95, lon: -75.17, prominence: 6, aliases: ['philly'] },
+    { name: 'San Antonio', country: 'US', state: 'TX', lat: 29.42, lon: -98.49, prominence: 4, aliases: [] },
+    { name: 'San Diego', country: 'US', state: 'CA', lat: 32.72, lon: -117.16, prominence: 6, aliases: [] },
+    { name: 'Dallas', country: 'US', state: 'TX', lat: 32.78, lon: -96.8, prominence: 6, aliases: [] },
+    { name: 'San Jose', country: 'US', state: 'CA', lat: 37.34, lon: -121.89, prominence: 5, aliases: [] },
+    { name: 'Austin', country: 'US', state: 'TX', lat: 30.27, lon: -97.74, prominence: 6, aliases: [], commonWord: true },
+    { name: 'San Francisco', country: 'US', state: 'CA', lat: 37.77, lon: -122.42, prominence: 8, aliases: ['SF', 'san fran', 'frisco', 'bay area'] },
+    { name: 'Seattle', country: 'US', state: 'WA', lat: 47.61, lon: -122.33, prominence: 7, aliases: [] },
+    { name: 'Denver', country: 'US', state: 'CO', lat: 39.74, lon: -104.99, prominence: 6, aliases: [] },
+    { name: 'Washington', country: 'US', state: 'DC', lat: 38.91, lon: -77.04, prominence: 8, aliases: ['washington dc', 'washington d.c.', 'DC', 'D.C.'] },
+    { name: 'Boston', country: 'US', state: 'MA', lat: 42.36, lon: -71.06, prominence: 7, aliases: [] },
+    { name: 'Nashville', country: 'US', state: 'TN', lat: 36.16, lon: -86.78, prominence: 6, aliases: [] },
+    { name: 'Las Vegas', country: 'US', state: 'NV', lat: 36.17, lon: -115.14, prominence: 8, aliases: ['vegas'] },
+    { name: 'Portland', country: 'US', state: 'OR', lat: 45.52, lon: -122.68, prominence: 6, aliases: [] },
+    { name: 'Portland', country: 'US', state: 'ME', lat: 43.66, lon: -70.26, prominence: 3, aliases: [] },
+    { name: 'Miami', country: 'US', state: 'FL', lat: 25.76, lon: -80.19, prominence: 8, aliases: ['miami beach'] },
+    { name: 'Orlando', country: 'US', state: 'FL', lat: 28.54, lon: -81.38, prominence: 6, aliases: [] },
+    { name: 'St. Petersburg', country: 'US', state: 'FL', lat: 27.77, lon: -82.64, prominence: 3, aliases: ['saint petersburg', 'st petersburg'] },
+    { name: 'Melbourne', country: 'US', state: 'FL', lat: 28.08, lon: -80.61, prominence: 2, aliases: [] },
+    { name: 'Atlanta', country: 'US', state: 'GA', lat: 33.75, lon: -84.39, prominence: 6, aliases: [] },
+    { name: 'Athens', country: 'US', state: 'GA', lat: 33.96, lon: -83.38, prominence: 2, aliases: [] },
+    { name: 'Savannah', country: 'US', state: 'GA', lat: 32.08, lon: -81.09, prominence: 4, aliases: [], commonWord: true },
+    { name: 'Charleston', country: 'US', state: 'SC', lat: 32.78, lon: -79.93, prominence: 4, aliases: [] },
+    { name: 'New Orleans', country: 'US', state: 'LA', lat: 29.95, lon: -90.07, prominence: 7, aliases: ['nola'] },
+    { name: 'Honolulu', country: 'US', state: 'HI', lat: 21.31, lon: -157.86, prominence: 7, aliases: ['waikiki', 'oahu', 'hawaii'] },
+    { name: 'Aspen', country: 'US', state: 'CO', lat: 39.19, lon: -106.82, prominence: 4, aliases: [] },
+    { name: 'Paris', country: 'US', state: 'TX', lat: 33.66, lon: -95.56, prominence: 2, aliases: [] },
+    { name: 'Paris', country: 'US', state: 'TN', lat: 36.3, lon: -88.33, prominence: 1, aliases: [] },
+    { name: 'Cambridge', country: 'US', state: 'MA', lat: 42.37, lon: -71.11, prominence: 4, aliases: [] },
+    { name: 'Springfield', country: 'US', state: 'IL', lat: 39.78, lon: -89.65, prominence: 3, aliases: [] },
+    { name: 'Springfield', country: 'US', state: 'MA', lat: 42.1, lon: -72.59, prominence: 3, aliases: [] },
+    { name: 'Birmingham', country: 'US', state: 'AL', lat: 33.52, lon: -86.8, prominence: 3, aliases: [] },
+    { name: 'Manchester', country: 'US', state: 'NH', lat: 42.99, lon: -71.46, prominence: 2, aliases: [] },
+    { name: 'Toronto', country: 'CA', state: 'ON', lat: 43.65, lon: -79.38, prominence: 9, aliases: [] },
+    { name: 'Montreal', country: 'CA', state: 'QC', lat: 45.5, lon: -73.57, prominence: 8, aliases: ['montréal', 'MTL'] },
+    { name: 'Vancouver', country: 'CA', state: 'BC', lat: 49.28, lon: -123.12, prominence: 8, aliases: [] },
+    { name: 'Calgary', country: 'CA', state: 'AB', lat: 51.05, lon: -114.07, prominence: 6, aliases: [] },
+    { name: 'Ottawa', country: 'CA', state: 'ON', lat: 45.42, lon: -75.7, prominence: 6, aliases: [] },
+    { name: 'Quebec City', country: 'CA', state: 'QC', lat: 46.81, lon: -71.21, prominence: 6, aliases: ['québec city', 'ville de québec'] },
+    { name: 'Victoria', country: 'CA', state: 'BC', lat: 48.43, lon: -123.37, prominence: 5, aliases: [], commonWord: true },
+    { name: 'Halifax', country: 'CA', state: 'NS', lat: 44.65, lon: -63.57, prominence: 5, aliases: [] },
+    { name: 'Sydney', country: 'CA', state: 'NS', lat: 46.14, lon: -60.19, prominence: 1, aliases: [] },
+    { name: 'London', country: 'CA', state: 'ON', lat: 42.98, lon: -81.25, prominence: 3, aliases: [] },
+    { name: 'Hamilton', country: 'CA', state: 'ON', lat: 43.26, lon: -79.87, prominence: 4, aliases: [], commonWord: true },
+    { name: 'Kingston', country: 'CA', state: 'ON', lat: 44.23, lon: -76.49, prominence: 3, aliases: [] },
+    { name: 'Whistler', country: 'CA', state: 'BC', lat: 50.12, lon: -122.95, prominence: 5, aliases: [] },
+    { name: 'Banff', country: 'CA', state: 'AB', lat: 51.18, lon: -115.57, prominence: 5, aliases: [] },
+    { name: 'Mexico City', country: 'MX', state: null, lat: 19.43, lon: -99.13, prominence: 8, aliases: ['CDMX', 'ciudad de mexico', 'ciudad de méxico'] },
+    { name: 'Cancun', country: 'MX', state: null, lat: 21.16, lon: -86.85, prominence: 7, aliases: ['cancún'] },
+    { name: 'Tulum', country: 'MX', state: null, lat: 20.21, lon: -87.47, prominence: 6, aliases: [] },
+    { name: 'Guadalajara', country: 'MX', state: null, lat: 20.66, lon: -103.35, prominence: 5, aliases: [] },
+
+    // Caribbean, Central and South America
+    { name: 'Havana', country: 'CU', state: null, lat: 23.11, lon: -82.37, prominence: 6, aliases: ['la habana', 'habana'] },
+    { name: 'Kingston', country: 'JM', state: null, lat: 17.97, lon: -76.79, prominence: 5, aliases: [] },
+    { name: 'San Juan', country: 'PR', state: null, lat: 18.47, lon: -66.11, prominence: 6, aliases: [] },
+    { name: 'San Jose', country: 'CR', state: null, lat: 9.93, lon: -84.08, prominence: 4, aliases: ['san josé'] },
+    { name: 'Cartagena', country: 'CO', state: null, lat: 10.39, lon: -75.48, prominence: 6, aliases: [] },
+    { name: 'Bogota', country: 'CO', state: null, lat: 4.71, lon: -74.07, prominence: 6, aliases: ['bogotá'] },
+    { name: 'Medellin', country: 'CO', state: null, lat: 6.24, lon: -75.58, prominence: 6, aliases: ['medellín'] },
+    { name: 'Valencia', country: 'VE', state: null, lat: 10.16, lon: -68, prominence: 3, aliases: [] },
+    { name: 'Lima', country: 'PE', state: null, lat: -12.05, lon: -77.04, prominence: 7, aliases: [] },
+    { name: 'Cusco', country: 'PE', state: null, lat: -13.53, lon: -71.97, prominence: 6, aliases: ['cuzco', 'machu picchu'] },
+    { name: 'Rio de Janeiro', country: 'BR', state: null, lat: -22.91, lon: -43.17, prominence: 9, aliases: ['rio'] },
+    { name: 'Sao Paulo', country: 'BR', state: null, lat: -23.55, lon: -46.63, prominence: 7, aliases: ['são paulo', 'sampa'] },
+    { name: 'Buenos Aires', country: 'AR', state: null, lat: -34.6, lon: -58.38, prominence: 8, aliases: [] },
+    { name: 'Santiago', country: 'CL', state: null, lat: -33.45, lon: -70.67, prominence: 7, aliases: ['santiago de chile'] },
+
+    // Europe
+    { name: 'London', country: 'GB', state: null, lat: 51.51, lon: -0.13, prominence: 10, aliases: ['london uk'] },
+    { name: 'Manchester', country: 'GB', state: null, lat: 53.48, lon: -2.24, prominence: 6, aliases: [] },
+    { name: 'Birmingham', country: 'GB', state: null, lat: 52.49, lon: -1.89, prominence: 5, aliases: [] },
+    { name: 'Liverpool', country: 'GB', state: null, lat: 53.41, lon: -2.98, prominence: 5, aliases: [] },
+    { name: 'Edinburgh', country: 'GB', state: null, lat: 55.95, lon: -3.19, prominence: 7, aliases: [] },
+    { name: 'Glasgow', country: 'GB', state: null, lat: 55.86, lon: -4.25, prominence: 5, aliases: [] },
+    { name: 'Cambridge', country: 'GB', state: null, lat: 52.21, lon: 0.12, prominence: 6, aliases: [] },
+    { name: 'Oxford', country: 'GB', state: null, lat: 51.75, lon: -1.26, prominence: 6, aliases: [] },
+    { name: 'Bath', country: 'GB', state: null, lat: 51.38, lon: -2.36, prominence: 4, aliases: [], commonWord: true },
+    { name: 'Perth', country: 'GB', state: null, lat: 56.4, lon: -3.43, prominence: 2, aliases: [] },
+    { name: 'Dublin', country: 'IE', state: null, lat: 53.35, lon: -6.26, prominence: 8, aliases: ['baile átha cliath'] },
+    { name: 'Paris', country: 'FR', state: null, lat: 48.86, lon: 2.35, prominence: 10, aliases: [] },
+    { name: 'Nice', country: 'FR', state: null, lat: 43.7, lon: 7.27, prominence: 6, aliases: [], commonWord: true },
+    { name: 'Lyon', country: 'FR', state: null, lat: 45.76, lon: 4.84, prominence: 6, aliases: ['lyons'] },
+    { name: 'Marseille', country: 'FR', state: null, lat: 43.3, lon: 5.37, prominence: 6, aliases: ['marseilles'] },
+    { name: 'Bordeaux', country: 'FR', state: null, lat: 44.84, lon: -0.58, prominence: 5, aliases: [] },
+    { name: 'Monaco', country: 'MC', state: null, lat: 43.74, lon: 7.42, prominence: 6, aliases: ['monte carlo', 'monte-carlo'] },
+    { name: 'Amsterdam', country: 'NL', state: null, lat: 52.37, lon: 4.9, prominence: 9, aliases: [] },
+    { name: 'Rotterdam', country: 'NL', state: null, lat: 51.92, lon: 4.48, prominence: 5, aliases: [] },
+    { name: 'Brussels', country: 'BE', state: null, lat: 50.85, lon: 4.35, prominence: 7, aliases: ['bruxelles', 'brussel'] },
+    { name: 'Berlin', country: 'DE', state: null, lat: 52.52, lon: 13.4, prominence: 9, aliases: [] },
+    { name: 'Munich', country: 'DE', state: null, lat: 48.14, lon: 11.58, prominence: 7, aliases: ['münchen', 'muenchen'] },
+    { name: 'Hamburg', country: 'DE', state: null, lat: 53.55, lon: 9.99, prominence: 6, aliases: [] },
+    { name: 'Frankfurt', country: 'DE', state: null, lat: 50.11, lon: 8.68, prominence: 6, aliases: ['frankfurt am main'] },
+    { name: 'Cologne', country: 'DE', state: null, lat: 50.94, lon: 6.96, prominence: 5, aliases: ['köln', 'koln', 'koeln'] },
+    { name: 'Vienna', country: 'AT', state: null, lat: 48.21, lon: 16.37, prominence: 8, aliases: ['wien'] },
+    { name: 'Zurich', country: 'CH', state: null, lat: 47.38, lon: 8.54, prominence: 7, aliases: ['zürich'] },
+    { name: 'Geneva', country: 'CH', state: null, lat: 46.2, lon: 6.14, prominence: 6, aliases: ['genève', 'geneve', 'genf'] },
+    { name: 'Prague', country: 'CZ', state: null, lat: 50.08, lon: 14.44, prominence: 8, aliases: ['praha'] },
+    { name: 'Budapest', country: 'HU', state: null, lat: 47.5, lon: 19.04, prominence: 7, aliases: [] },
+    { name: 'Warsaw', country: 'PL', state: null, lat: 52.23, lon: 21.01, prominence: 6, aliases: ['warszawa'] },
+    { name: 'Krakow', country: 'PL', state: null, lat: 50.06, lon: 19.94, prominence: 6, aliases: ['kraków', 'cracow'] },
+    { name: 'Copenhagen', country: 'DK', state: null, lat: 55.68, lon: 12.57, prominence: 7, aliases: ['københavn', 'kobenhavn'] },
+    { name: 'Stockholm', country: 'SE', state: null, lat: 59.33, lon: 18.07, prominence: 7, aliases: [] },
+    { name: 'Oslo', country: 'NO', state: null, lat: 59.91, lon: 10.75, prominence: 7, aliases: [] },
+    { name: 'Helsinki', country: 'FI', state: null, lat: 60.17, lon: 24.94, prominence: 6, aliases: [] },
+    { name: 'Reykjavik', country: 'IS', state: null, lat: 64.15, lon: -21.94, prominence: 7, aliases: ['reykjavík'] },
+    { name: 'Madrid', country: 'ES', state: null, lat: 40.42, lon: -3.7, prominence: 9, aliases: [] },
+    { name: 'Barcelona', country: 'ES', state: null, lat: 41.39, lon: 2.17, prominence: 9, aliases: ['barça', 'barca', 'BCN'] },
+    { name: 'Seville', country: 'ES', state: null, lat: 37.39, lon: -5.98, prominence: 6, aliases: ['sevilla'] },
+    { name: 'Valencia', country: 'ES', state: null, lat: 39.47, lon: -0.38, prominence: 7, aliases: ['valència'] },
+    { name: 'Cartagena', country: 'ES', state: null, lat: 37.6, lon: -0.98, prominence: 2, aliases: [] },
+    { name: 'Santiago de Compostela', country: 'ES', state: null, lat: 42.88, lon: -8.54, prominence: 3, aliases: [] },
+    { name: 'Ibiza', country: 'ES', state: null, lat: 38.91, lon: 1.43, prominence: 6, aliases: ['eivissa'] },
+    { name: 'Palma', country: 'ES', state: null, lat: 39.57, lon: 2.65, prominence: 5, aliases: ['palma de mallorca', 'mallorca', 'majorca'] },
+    { name: 'Lisbon', country: 'PT', state: null, lat: 38.72, lon: -9.14, prominence: 8, aliases: ['lisboa'] },
+    { name: 'Porto', country: 'PT', state: null, lat: 41.16, lon: -8.63, prominence: 6, aliases: ['oporto'] },
+    { name: 'Rome', country: 'IT', state: null, lat: 41.9, lon: 12.5, prominence: 10, aliases: ['roma'] },
+    { name: 'Milan', country: 'IT', state: null, lat: 45.46, lon: 9.19, prominence: 8, aliases: ['milano'] },
+    { name: 'Florence', country: 'IT', state: null, lat: 43.77, lon: 11.26, prominence: 7, aliases: ['firenze'], commonWord: true },
+    { name: 'Venice', country: 'IT', state: null, lat: 45.44, lon: 12.32, prominence: 8, aliases: ['venezia'] },
+    { name: 'Naples', country: 'IT', state: null, lat: 40.85, lon: 14.27, prominence: 6, aliases: ['napoli'] },
+    { name: 'Amalfi', country: 'IT', state: null, lat: 40.63, lon: 14.6, prominence: 5, aliases: ['amalfi coast', 'positano'] },
+    { name: 'Athens', country: 'GR', state: null, lat: 37.98, lon: 23.73, prominence: 8, aliases: ['athina'] },
+    { name: 'Santorini', country: 'GR', state: null, lat: 36.39, lon: 25.46, prominence: 7, aliases: ['thira', 'oia'] },
+    { name: 'Mykonos', country: 'GR', state: null, lat: 37.45, lon: 25.33, prominence: 6, aliases: [] },
+    { name: 'Dubrovnik', country: 'HR', state: null, lat: 42.65, lon: 18.09, prominence: 6, aliases: [] },
+    { name: 'Split', country: 'HR', state: null, lat: 43.51, lon: 16.44, prominence: 5, aliases: [], commonWord: true },
+    { name: 'Istanbul', country: 'TR', state: null, lat: 41.01, lon: 28.98, prominence: 8, aliases: [] },
+    { name: 'Moscow', country: 'RU', state: null, lat: 55.76, lon: 37.62, prominence: 7, aliases: ['moskva'] },
+    { name: 'St. Petersburg', country: 'RU', state: null, lat: 59.93, lon: 30.34, prominence: 6, aliases: ['saint petersburg', 'st petersburg'] },
+
+    // Africa and the Middle East
+    { name: 'Cairo', country: 'EG', state: null, lat: 30.04, lon: 31.24, prominence: 7, aliases: [] },
+    { name: 'Marrakech', country: 'MA', state: null, lat: 31.63, lon: -7.99, prominence: 7, aliases: ['marrakesh'] },
+    { name: 'Casablanca', country: 'MA', state: null, lat: 33.57, lon: -7.59, prominence: 5, aliases: [] },
+    { name: 'Nairobi', country: 'KE', state: null, lat: -1.29, lon: 36.82, prominence: 6, aliases: [] },
+    { name: 'Zanzibar', country: 'TZ', state: null, lat: -6.17, lon: 39.2, prominence: 5, aliases: ['stone town'] },
+    { name: 'Cape Town', country: 'ZA', state: null, lat: -33.92, lon: 18.42, prominence: 7, aliases: [] },
+    { name: 'Johannesburg', country: 'ZA', state: null, lat: -26.2, lon: 28.05, prominence: 6, aliases: ['joburg', 'jozi'] },
+    { name: 'Lagos', country: 'NG', state: null, lat: 6.52, lon: 3.38, prominence: 6, aliases: [] },
+    { name: 'Accra', country: 'GH', state: null, lat: 5.6, lon: -0.19, prominence: 5, aliases: [] },
+    { name: 'Dubai', country: 'AE', state: null, lat: 25.2, lon: 55.27, prominence: 8, aliases: [] },
+    { name: 'Abu Dhabi', country: 'AE', state: null, lat: 24.45, lon: 54.38, prominence: 6, aliases: [] },
+    { name: 'Doha', country: 'QA', state: null, lat: 25.29, lon: 51.53, prominence: 5, aliases: [] },
+    { name: 'Tel Aviv', country: 'IL', state: null, lat: 32.09, lon: 34.78, prominence: 6, aliases: ['tel aviv-yafo'] },
+    { name: 'Jerusalem', country: 'IL', state: null, lat: 31.77, lon: 35.21, prominence: 6, aliases: [] },
+
+    // Asia and Oceania
+    { name: 'Delhi', country: 'IN', state: null, lat: 28.61, lon: 77.21, prominence: 7, aliases: ['new delhi'] },
+    { name: 'Mumbai', country: 'IN', state: null, lat: 19.08, lon: 72.88, prominence: 7, aliases: ['bombay'] },
+    { name: 'Goa', country: 'IN', state: null, lat: 15.3, lon: 74.12, prominence: 5, aliases: ['panaji'] },
+    { name: 'Male', country: 'MV', state: null, lat: 4.18, lon: 73.51, prominence: 4, aliases: ['malé'], commonWord: true },
+    { name: 'Bangkok', country: 'TH', state: null, lat: 13.76, lon: 100.5, prominence: 8, aliases: ['krung thep'] },
+    { name: 'Phuket', country: 'TH', state: null, lat: 7.88, lon: 98.39, prominence: 6, aliases: [] },
+    { name: 'Chiang Mai', country: 'TH', state: null, lat: 18.79, lon: 98.98, prominence: 5, aliases: [] },
+    { name: 'Singapore', country: 'SG', state: null, lat: 1.35, lon: 103.82, prominence: 8, aliases: [] },
+    { name: 'Kuala Lumpur', country: 'MY', state: null, lat: 3.14, lon: 101.69, prominence: 6, aliases: ['KL'] },
+    { name: 'Denpasar', country: 'ID', state: null, lat: -8.65, lon: 115.22, prominence: 7, aliases: ['bali', 'ubud', 'seminyak'] },
+    { name: 'Hanoi', country: 'VN', state: null, lat: 21.03, lon: 105.85, prominence: 6, aliases: ['ha noi'] },
+    { name: 'Ho Chi Minh City', country: 'VN', state: null, lat: 10.82, lon: 106.63, prominence: 6, aliases: ['saigon', 'HCMC'] },
+    { name: 'Manila', country: 'PH', state: null, lat: 14.6, lon: 120.98, prominence: 5, aliases: [] },
+    { name: 'Hong Kong', country: 'HK', state: null, lat: 22.32, lon: 114.17, prominence: 8, aliases: ['HK'] },
+    { name: 'Shanghai', country: 'CN', state: null, lat: 31.23, lon: 121.47, prominence: 7, aliases: [] },
+    { name: 'Beijing', country: 'CN', state: null, lat: 39.9, lon: 116.4, prominence: 7, aliases: ['peking'] },
+    { name: 'Taipei', country: 'TW', state: null, lat: 25.03, lon: 121.57, prominence: 6, aliases: [] },
+    { name: 'Seoul', country: 'KR', state: null, lat: 37.57, lon: 126.98, prominence: 8, aliases: [] },
+    { name: 'Tokyo', country: 'JP', state: null, lat: 35.68, lon: 139.69, prominence: 10, aliases: [] },
+    { name: 'Kyoto', country: 'JP', state: null, lat: 35.01, lon: 135.77, prominence: 7, aliases: [] },
+    { name: 'Osaka', country: 'JP', state: null, lat: 34.69, lon: 135.5, prominence: 6, aliases: [] },
+    { name: 'Sydney', country: 'AU', state: null, lat: -33.87, lon: 151.21, prominence: 9, aliases: [] },
+    { name: 'Melbourne', country: 'AU', state: null, lat: -37.81, lon: 144.96, prominence: 8, aliases: [] },
+    { name: 'Perth', country: 'AU', state: null, lat: -31.95, lon: 115.86, prominence: 6, aliases: [] },
+    { name: 'Brisbane', country: 'AU', state: null, lat: -27.47, lon: 153.03, prominence: 6, aliases: [] },
+    { name: 'Canberra', country: 'AU', state: null, lat: -35.28, lon: 149.13, prominence: 4, aliases: [] },
+    { name: 'Auckland', country: 'NZ', state: null, lat: -36.85, lon: 174.76, prominence: 7, aliases: [] },
+    { name: 'Queenstown', country: 'NZ', state: null, lat: -45.03, lon: 168.66, prominence: 5, aliases: [] }
+];
+
+// Countries, with the city whose coordinates stand in for the whole country
+export const GAZETTEER_COUNTRIES = [
+    { code: 'US', name: 'United States', city: 'New York', aliases: ['USA', 'US', 'U.S.', 'U.S.A.', 'united states of america', 'america', 'the states'] },
+    { code: 'CA', name: 'Canada', city: 'Toronto', aliases: [] },
+    { code: 'MX', name: 'Mexico', city: 'Mexico City', aliases: ['méxico'] },
+    { code: 'CU', name: 'Cuba', city: 'Havana', aliases: [] },
+    { code: 'JM', name: 'Jamaica', city: 'Kingston', aliases: [] },
+    { code: 'PR', name: 'Puerto Rico', city: 'San Juan', aliases: [] },
+    { code: 'CR', name: 'Costa Rica', city: 'San Jose', aliases: [] },
+    { code: 'CO', name: 'Colombia', city: 'Bogota', aliases: [] },
+    { code: 'VE', name: 'Venezuela', city: 'Valencia', aliases: [] },
+    { code: 'PE', name: 'Peru', city: 'Lima', aliases: ['perú'] },
+    { code: 'BR', name: 'Brazil', city: 'Rio de Janeiro', aliases: ['brasil'] },
+    { code: 'AR', name: 'Argentina', city: 'Buenos Aires', aliases: [] },
+    { code: 'CL', name: 'Chile', city: 'Santiago', aliases: [] },
+    { code: 'GB', name: 'United Kingdom', city: 'London', aliases: ['UK', 'U.K.', 'great britain', 'britain', 'england', 'scotland'] },
+    { code: 'IE', name: 'Ireland', city: 'Dublin', aliases: ['éire'] },
+    { code: 'FR', name: 'France', city: 'Paris', aliases: [] },
+    { code: 'MC', name: 'Monaco', city: 'Monaco', aliases: [] },
+    { code: 'NL', name: 'Netherlands', city: 'Amsterdam', aliases: ['the netherlands', 'holland'] },
+    { code: 'BE', name: 'Belgium', city: 'Brussels', aliases: [] },
+    { code: 'DE', name: 'Germany', city: 'Berlin', aliases: ['deutschland'] },
+    { code: 'AT', name: 'Austria', city: 'Vienna', aliases: ['österreich'] },
+    { code: 'CH', name: 'Switzerland', city: 'Zurich', aliases: ['schweiz', 'suisse'] },
+    { code: 'CZ', name: 'Czech Republic', city: 'Prague', aliases: ['czechia'] },
+    { code: 'HU', name: 'Hungary', city: 'Budapest', aliases: [] },
+    { code: 'PL', name: 'Poland', city: 'Warsaw', aliases: ['polska'] },
+    { code: 'DK', name: 'Denmark', city: 'Copenhagen', aliases: [] },
+    { code: 'SE', name: 'Sweden', city: 'Stockholm', aliases: [] },
+    { code: 'NO', name: 'Norway', city: 'Oslo', aliases: [] },
+    { code: 'FI', name: 'Finland', city: 'Helsinki', aliases: [] },
+    { code: 'IS', name: 'Iceland', city: 'Reykjavik', aliases: [] },
+    { code: 'ES', name: 'Spain', city: 'Madrid', aliases: ['españa', 'espana'] },
+    { code: 'PT', name: 'Portugal', city: 'Lisbon', aliases: [] },
+    { code: 'IT', name: 'Italy', city: 'Rome', aliases: ['italia'] },
+    { code: 'GR', name: 'Greece', city: 'Athens', aliases: ['hellas'] },
+    { code: 'HR', name: 'Croatia', city: 'Dubrovnik', aliases: ['hrvatska'] },
+    { code: 'TR', name: 'Turkey', city: 'Istanbul', aliases: ['türkiye', 'turkiye'], commonWord: true },
+    { code: 'RU', name: 'Russia', city: 'Moscow', aliases: [] },
+    { code: 'EG', name: 'Egypt', city: 'Cairo', aliases: [] },
+    { code: 'MA', name: 'Morocco', city: 'Marrakech', aliases: [] },
+    { code: 'KE', name: 'Kenya', city: 'Nairobi', aliases: [] },
+    { code: 'TZ', name: 'Tanzania', city: 'Zanzibar', aliases: [] },
+    { code: 'ZA', name: 'South Africa', city: 'Cape Town', aliases: [] },
+    { code: 'NG', name: 'Nigeria', city: 'Lagos', aliases: [] },
+    { code: 'GH', name: 'Ghana', city: 'Accra', aliases: [] },
+    { code: 'AE', name: 'United Arab Emirates', city: 'Dubai', aliases: ['UAE', 'U.A.E.', 'emirates'] },
+    { code: 'QA', name: 'Qatar', city: 'Doha', aliases: [] },
+    { code: 'IL', name: 'Israel', city: 'Tel Aviv', aliases: [] },
+    { code: 'IN', name: 'India', city: 'Delhi', aliases: [] },
+    { code: 'MV', name: 'Maldives', city: 'Male', aliases: ['the maldives'] },
+    { code: 'TH', name: 'Thailand', city: 'Bangkok', aliases: [] },
+    { code: 'SG', name: 'Singapore', city: 'Singapore', aliases: [] },
+    { code: 'MY', name: 'Malaysia', city: 'Kuala Lumpur', aliases: [] },
+    { code: 'ID', name: 'Indonesia', city: 'Denpasar', aliases: [] },
+    { code: 'VN', name: 'Vietnam', city: 'Hanoi', aliases: ['viet nam'] },
+    { code: 'PH', name: 'Philippines', city: 'Manila', aliases: ['the philippines'] },
+    { code: 'HK', name: 'Hong Kong', city: 'Hong Kong', aliases: [] },
+    { code: 'CN', name: 'China', city: 'Beijing', aliases: [] },
+    { code: 'TW', name: 'Taiwan', city: 'Taipei', aliases: [] },
+    { code: 'KR', name: 'South Korea', city: 'Seoul', aliases: ['korea'] },
+    { code: 'JP', name: 'Japan', city: 'Tokyo', aliases: ['nippon'] },
+    { code: 'AU', name: 'Australia', city: 'Sydney', aliases: [] },
+    { code: 'NZ', name: 'New Zealand', city: 'Auckland', aliases: ['aotearoa'] }
+];
+
+// State and province codes used to qualify ambiguous city names ("Paris, TX")
+export const GAZETTEER_REGIONS = {
+    US: {
+        AL: 'Alabama', AZ: 'Arizona', CA: 'California', CO: 'Colorado', DC: 'District of Columbia',
+        FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', IL: 'Illinois', LA: 'Louisiana', MA: 'Massachusetts',
+        ME: 'Maine', NH: 'New Hampshire', NV: 'Nevada', NY: 'New York', OR: 'Oregon', PA: 'Pennsylvania',
+        SC: 'South Carolina', TN: 'Tennessee', TX: 'Texas', WA: 'Washington'
+    },
+    CA: {
+        AB: 'Alberta', BC: 'British Columbia', NS: 'Nova Scotia', ON: 'Ontario', QC: 'Quebec'
+    }
+};
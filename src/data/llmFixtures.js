@@ -0,0 +1,314 @@
+// Canned model responses for the mock LLM provider
+// Each fixture matches a prompt (RegExp, substring or predicate) and produces a response
+// (string, object or function of the prompt). Used for offline development and tests.
+
+const OUTFIT_SLOT_CATEGORIES = {
+    topwear: ['topwear', 'dress'],
+    bottomwear: ['bottomwear'],
+    footwear: ['footwear'],
+    outerwear: ['outerwear'],
+    accessories: ['accessories']
+};
+
+const DRESS_CODE_KEYWORDS = [
+    { pattern: /wedding|gala|black[- ]tie/, occasion: 'wedding', dressCode: 'formal' },
+    { pattern: /interview|business meeting/, occasion: 'job interview', dressCode: 'business' },
+    { pattern: /conference|work|business/, occasion: 'business conference', dressCode: 'smart-casual' },
+    { pattern: /festival/, occasion: 'festival', dressCode: 'casual' },
+    { pattern: /vacation|holiday|trip|getaway/, occasion: 'vacation', dressCode: 'casual' }
+];
+
+/**
+ * Split a CSV row, honouring quoted values
+ * @param {string} line - CSV row
+ * @returns {Array<string>} Cell values
+ */
+const splitCsvRow = (line) => {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of line) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            values.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current.trim());
+
+    return values;
+};
+
+/**
+ * Pull the quoted user input out of an extraction prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string} User input
+ */
+const readUserInput = (prompt) => {
+    const match = prompt.match(/User input: "([\s\S]*?)"\n/);
+    return match ? match[1] : '';
+};
+
+/**
+ * Very small rule-based reading of an event description
+ * @param {string} userInput - User input
+ * @returns {Object} Flat event details
+ */
+const readEventDetails = (userInput) => {
+    const lower = userInput.toLowerCase();
+    const keyword = DRESS_CODE_KEYWORDS.find(entry => entry.pattern.test(lower));
+    const durationMatch = lower.match(/(\d+)[\s-]*days?/);
+    const locationMatch = userInput.match(/\b(?:in|to)\s+(?:the\s+)?([A-Z][\w]*(?:\s+[A-Z][\w]*)*)/);
+    const budgetMatch = userInput.match(/\$\s?(\d+(?:,\d{3})*)/);
+
+    const location = locationMatch ? locationMatch[1] : null;
+    const needsClarification = ['start date'];
+    if (!location) {
+        needsClarification.unshift('location');
+    }
+
+    return {
+        occasion: keyword ? keyword.occasion : 'general event',
+        location,
+        startDate: null,
+        duration: durationMatch ? parseInt(durationMatch[1], 10) : 1,
+        dressCode: keyword ? keyword.dressCode : 'smart-casual',
+        budget: budgetMatch ? parseInt(budgetMatch[1].replace(/,/g, ''), 10) : null,
+        specialRequirements: [],
+        needsClarification
+    };
+};
+
+/**
+ * Response for bedrockService.buildSchemaBasedPrompt
+ * @param {string} prompt - Prompt text
+ * @returns {Object} { success, data } extraction payload
+ */
+export const buildSchemaExtractionResponse = (prompt) => {
+    const details = readEventDetails(readUserInput(prompt));
+
+    return {
+        success: true,
+        data: {
+            ...details,
+            confidence: details.location ? 0.8 : 0.6,
+            dailyPlans: Array.from({ length: details.duration }, (_, index) => ({
+                day: index + 1,
+                activity: index === 0 ? details.occasion : `${details.occasion} - Day ${index + 1}`,
+                dressCode: details.dressCode
+            }))
+        }
+    };
+};
+
+/**
+ * Response for eventExtractionService.buildExtractionPrompt
+ * @param {string} prompt - Prompt text
+ * @returns {Object} Flat extraction payload
+ */
+export const buildEventExtractionResponse = (prompt) => readEventDetails(readUserInput(prompt));
+
+/**
+ * Read the regeneration constraints block of an outfit prompt, if any
+ * @param {string} prompt - Prompt text
+ * @returns {Object|null} { day, slot, pinnedOutfits, fixedSlots, avoidSkus }
+ */
+const readRegenerationConstraints = (prompt) => {
+    const match = prompt.match(/REGENERATION CONSTRAINTS:\n([\s\S]*?)\n\n/);
+    if (!match) {
+        return null;
+    }
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Read the locked items and days block of an outfit prompt, if any
+ * @param {string} prompt - Prompt text
+ * @returns {Object|null} { items, days }
+ */
+const readLocks = (prompt) => {
+    const match = prompt.match(/LOCKED BY THE TRAVELER:\n([\s\S]*?)\n\n/);
+    if (!match) {
+        return null;
+    }
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Response for bedrockService.buildOutfitGenerationPrompt: picks SKUs from the CSV
+ * embedded in the prompt, preferring closet items and rotating through the rest.
+ * Honours regeneration constraints (pinned days are echoed, fixed slots kept and
+ * avoided SKUs skipped where an alternative exists) and locks (locked days are
+ * echoed, locked items are worn on the first free day).
+ * @param {string} prompt - Prompt text
+ * @returns {Object} JSON matching outfitRecommendationSchema
+ */
+export const buildOutfitGenerationResponse = (prompt) => {
+    const rows = prompt
+        .split('\n')
+        .filter(line => /^(CLOC|SKU)\w*,/.test(line.trim()))
+        .map(line => splitCsvRow(line.trim()));
+
+    const itemsBySlot = {};
+    Object.entries(OUTFIT_SLOT_CATEGORIES).forEach(([slot, categories]) => {
+        itemsBySlot[slot] = rows
+            .filter(row => categories.includes((row[2] || '').toLowerCase()))
+            .map(row => ({ sku: row[0], name: row[1] }))
+            .sort((a, b) => Number(b.sku.startsWith('CLOC')) - Number(a.sku.startsWith('CLOC')));
+    });
+
+    const tripContextMatch = prompt.match(/TRIP CONTEXT:\n([\s\S]*?)\n\nAVAILABLE CLOTHING ITEMS/);
+    let tripContext = {};
+    try {
+        tripContext = tripContextMatch ? JSON.parse(tripContextMatch[1]) : {};
+    } catch (error) {
+        tripContext = {};
+    }
+
+    const durationMatch = prompt.match(/create (\d+) complete daily outfits/);
+    const duration = Math.max(1, durationMatch ? parseInt(durationMatch[1], 10) : (tripContext.duration || 1));
+    const occasion = tripContext.occasion || 'trip';
+    const dressCode = tripContext.dressCode || 'smart-casual';
+
+    const constraints = readRegenerationConstraints(prompt);
+    const pinnedByDay = new Map((constraints?.pinnedOutfits || []).map(entry => [entry.day, entry]));
+    const locks = readLocks(prompt);
+    const lockedDays = locks?.days || {};
+
+    // Locked items not already worn on a pinned or locked day go on the first free day
+    const keptSkus = new Set([
+        ...[...pinnedByDay.values()].flatMap(entry => Object.values(entry.outfit).flatMap(value => [].concat(value || [])).map(item => item.sku)),
+        ...Object.values(lockedDays).flatMap(outfit => Object.values(outfit).flatMap(value => [].concat(value || [])))
+    ]);
+    const firstFreeDay = Array.from({ length: duration }, (_, index) => index + 1)
+        .find(day => !pinnedByDay.has(day) && !lockedDays[day]);
+    const lockedPlacement = {};
+    (locks?.items || []).filter(sku => !keptSkus.has(sku)).forEach(sku => {
+        const row = rows.find(entry => entry[0] === sku);
+        const slot = row && Object.keys(OUTFIT_SLOT_CATEGORIES)
+            .find(key => OUTFIT_SLOT_CATEGORIES[key].includes((row[2] || '').toLowerCase()));
+        if (slot && firstFreeDay) {
+            lockedPlacement[slot] = slot === 'accessories' ? [...(lockedPlacement.accessories || []), sku] : sku;
+        }
+    });
+
+    const pick = (slot, day) => {
+        const avoid = constraints?.avoidSkus?.[day] || [];
+        const preferred = itemsBySlot[slot].filter(item => !avoid.includes(item.sku));
+        const items = preferred.length > 0 ? preferred : itemsBySlot[slot];
+        return items.length > 0 ? items[(day - 1) % items.length] : null;
+    };
+
+    const buildOutfit = (day) => {
+        const pinned = pinnedByDay.get(day);
+        if (pinned) {
+            return pinned.outfit;
+        }
+
+        const locked = lockedDays[day];
+        if (locked) {
+            return {
+                topwear: { sku: locked.topwear },
+                bottomwear: { sku: locked.bottomwear },
+                footwear: { sku: locked.footwear },
+                outerwear: locked.outerwear ? { sku: locked.outerwear } : null,
+                accessories: (locked.accessories || []).map(sku => ({ sku }))
+            };
+        }
+
+        const fixed = {
+            ...(day === firstFreeDay ? lockedPlacement : {}),
+            ...(constraints?.fixedSlots?.[day] || {})
+        };
+        const slotValue = (slot) => (slot in fixed ? (fixed[slot] ? { sku: fixed[slot] } : null) : pick(slot, day));
+        return {
+            topwear: slotValue('topwear'),
+            bottomwear: slotValue('bottomwear'),
+            footwear: slotValue('footwear'),
+            outerwear: slotValue('outerwear'),
+            accessories: 'accessories' in fixed
+                ? fixed.accessories.map(sku => ({ sku }))
+                : (itemsBySlot.accessories.length > 0 ? [pick('accessories', day)] : [])
+        };
+    };
+
+    const reusabilityMap = {};
+    const dailyOutfits = Array.from({ length: duration }, (_, index) => {
+        const day = index + 1;
+        const outfit = buildOutfit(day);
+
+        [outfit.topwear, outfit.bottomwear, outfit.footwear, outfit.outerwear, ...outfit.accessories]
+            .filter(Boolean)
+            .forEach(item => {
+                reusabilityMap[item.sku] = [...(reusabilityMap[item.sku] || []), day];
+            });
+
+        const plan = (tripContext.dayPlans || []).find(entry => entry.day === day);
+
+        return {
+            day,
+            date: `Day ${day}`,
+            occasion: plan?.activity || `${occasion} - Day ${day}`,
+            outfit,
+            styling: {
+                rationale: `Mock outfit built from ${outfit.topwear?.sku || 'no top'}, ${outfit.bottomwear?.sku || 'no bottom'} and ${outfit.footwear?.sku || 'no shoes'}.`,
+                weatherConsiderations: 'Fixture response; weather was not evaluated.',
+                dresscodeCompliance: `Selected for a ${plan?.dressCode || dressCode} dress code.`
+            }
+        };
+    });
+
+    const reusedItems = Object.values(reusabilityMap).filter(days => days.length > 1).length;
+    const totalItems = Object.keys(reusabilityMap).length;
+
+    return {
+        tripDetails: {
+            occasion,
+            duration,
+            location: tripContext.location || 'unspecified',
+            dressCode,
+            budget: tripContext.budget ?? null
+        },
+        dailyOutfits,
+        reusabilityAnalysis: {
+            totalItems,
+            reusedItems,
+            reusabilityPercentage: totalItems > 0 ? Math.round((reusedItems / totalItems) * 100) : 0,
+            reusabilityMap
+        }
+    };
+};
+
+/**
+ * Default fixtures, checked in order
+ */
+export const DEFAULT_LLM_FIXTURES = [
+    {
+        match: 'AVAILABLE CLOTHING ITEMS (CSV)',
+        response: buildOutfitGenerationResponse
+    },
+    {
+        match: 'You must respond with ONLY valid JSON that matches this exact schema',
+        response: buildSchemaExtractionResponse
+    },
+    {
+        match: 'Extract the following information and respond with JSON in this exact format',
+        response: buildEventExtractionResponse
+    },
+    {
+        match: () => true,
+        response: 'Mock provider response.'
+    }
+];
@@ -0,0 +1,116 @@
+// Schema versioning for persisted trips and outfits
+// Each migration upgrades a stored record by exactly one version
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Legacy outfit slots (createOutfit in dataModels) mapped to generated outfit slots
+ */
+const LEGACY_SLOT_MAP = {
+    shirt: 'topwear',
+    pants: 'bottomwear',
+    shoes: 'footwear',
+    outerwear: 'outerwear'
+};
+
+const LEGACY_ACCESSORY_SLOTS = ['hat', 'jewelry', 'belt'];
+
+/**
+ * Convert a legacy createOutfit item map to the topwear/bottomwear/footwear shape
+ * @param {Object} items - Outfit items keyed by slot
+ * @returns {Object} Items in the current slot shape
+ */
+export const migrateOutfitItems = (items = {}) => {
+    const isLegacy = ['shirt', 'pants', 'shoes', ...LEGACY_ACCESSORY_SLOTS]
+        .some(slot => slot in items);
+
+    if (!isLegacy) {
+        return {
+            topwear: items.topwear || null,
+            bottomwear: items.bottomwear || null,
+            footwear: items.footwear || null,
+            outerwear: items.outerwear || null,
+            accessories: Array.isArray(items.accessories) ? items.accessories : []
+        };
+    }
+
+    const migrated = {
+        topwear: null,
+        bottomwear: null,
+        footwear: null,
+        outerwear: null,
+        accessories: []
+    };
+
+    Object.entries(LEGACY_SLOT_MAP).forEach(([legacySlot, slot]) => {
+        if (items[legacySlot]) {
+            migrated[slot] = items[legacySlot];
+        }
+    });
+
+    LEGACY_ACCESSORY_SLOTS.forEach(slot => {
+        if (items[slot]) {
+            migrated.accessories.push(items[slot]);
+        }
+    });
+
+    return migrated;
+};
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ */
+const TRIP_MIGRATIONS = {
+    // v1: createTrip/createOutfit shapes from dataModels (hat/shirt/pants/shoes slots,
+    // no isNew flag, no eventData)
+    1: (trip) => {
+        const outfits = {};
+        Object.entries(trip.outfits || {}).forEach(([key, outfit]) => {
+            if (!outfit) {
+                return;
+            }
+            outfits[key] = {
+                ...outfit,
+                occasion: outfit.occasion || outfit.name || `Day ${outfit.day || key}`,
+                items: migrateOutfitItems(outfit.items || {}),
+                styling: outfit.styling || null
+            };
+        });
+
+        const hasItems = Object.values(outfits).some(outfit =>
+            Object.values(outfit.items).some(value =>
+                Array.isArray(value) ? value.length > 0 : !!value
+            )
+        );
+
+        return {
+            ...trip,
+            outfits,
+            eventData: trip.eventData || null,
+            isNew: !hasItems
+        };
+    }
+};
+
+/**
+ * Upgrade a stored trip to the current schema version
+ * @param {Object} trip - Stored trip data
+ * @param {number} fromVersion - Version the trip was stored with
+ * @returns {Object} Trip in the current schema
+ */
+export const migrateTrip = (trip, fromVersion = 1) => {
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Trip schema version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    let migrated = trip;
+    for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+        const migration = TRIP_MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`No trip migration registered for schema version ${version}`);
+        }
+        migrated = migration(migrated);
+    }
+
+    return migrated;
+};
@@ -0,0 +1,38 @@
+// Recorded weather for the fixture weather provider
+// `locations` answer geocoding; `days` are normalized weather responses replayed by
+// location name and date. Dates without a recording are filled from climate normals.
+
+const day = (location, date, { min, max, main, description, probability, humidity, wind = 4 }) => ({
+    location,
+    date,
+    weather: {
+        temperature: { current: Math.round((min + max) / 2), feels_like: Math.round((min + max) / 2), min, max, unit: 'celsius' },
+        conditions: { main, description, icon: null, precipitation: { probability, amount: null } },
+        humidity,
+        pressure: 1013,
+        wind: { speed: wind, direction: 225 },
+        visibility: 10
+    },
+    source: 'Fixture'
+});
+
+const LONDON = { name: 'London', country: 'GB', state: 'England', coordinates: { lat: 51.5074, lon: -0.1278 } };
+const NEW_YORK = { name: 'New York', country: 'US', state: 'New York', coordinates: { lat: 40.7128, lon: -74.006 } };
+const SYDNEY = { name: 'Sydney', country: 'AU', state: 'New South Wales', coordinates: { lat: -33.8688, lon: 151.2093 } };
+const PARIS = { name: 'Paris', country: 'FR', state: 'Ile-de-France', coordinates: { lat: 48.8566, lon: 2.3522 } };
+
+export const DEFAULT_WEATHER_FIXTURES = {
+    locations: [LONDON, NEW_YORK, SYDNEY, PARIS],
+    days: [
+        day(LONDON, '2026-07-14', { min: 14, max: 22, main: 'Clouds', description: 'broken clouds', probability: 20, humidity: 68 }),
+        day(LONDON, '2026-07-15', { min: 13, max: 18, main: 'Rain', description: 'moderate rain', probability: 90, humidity: 84, wind: 7 }),
+        day(LONDON, '2026-07-16', { min: 15, max: 24, main: 'Clear', description: 'clear sky', probability: 0, humidity: 55 }),
+        day(NEW_YORK, '2026-12-01', { min: -2, max: 5, main: 'Snow', description: 'light snow', probability: 80, humidity: 75, wind: 6 }),
+        day(NEW_YORK, '2026-12-02', { min: -4, max: 2, main: 'Clear', description: 'clear sky', probability: 0, humidity: 50, wind: 8 }),
+        day(SYDNEY, '2026-07-10', { min: 8, max: 17, main: 'Clear', description: 'clear sky', probability: 10, humidity: 62 }),
+        day(SYDNEY, '2026-07-11', { min: 9, max: 16, main: 'Rain', description: 'light rain', probability: 70, humidity: 80, wind: 9 }),
+        day(PARIS, '2026-04-20', { min: 7, max: 16, main: 'Drizzle', description: 'light drizzle', probability: 60, humidity: 78 })
+    ]
+};
+
+export default DEFAULT_WEATHER_FIXTURES;
@@ -1,10 +1,24 @@
-import React, { useState, useMemo, useRef } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import InteractiveCloset from '../components/InteractiveCloset';
 import NewEventInputInterface from '../components/NewEventInputInterface';
 import EventConfirmationForm from '../components/EventConfirmationForm';
 import OutfitCardCarousel from '../components/OutfitCardCarousel';
-import { createNewTrip, isNewTrip, updateTrip } from '../services/tripService';
+import ClosetItemEditor from '../components/ClosetItemEditor';
+import ClarificationPanel from '../components/ClarificationPanel';
+import StyleProfileEditor from '../components/StyleProfileEditor';
+import { createNewTrip, isNewTrip, updateTrip, saveTrips } from '../services/tripService';
 import chatService from '../services/chatService';
+import clarificationService from '../services/clarificationService';
+import persistenceService from '../services/persistenceService';
+import closetService from '../services/closetService';
+import knowledgeBaseService from '../services/knowledgeBaseService';
+import { packingListEngine, LUGGAGE_SIZES } from '../services/PackingListEngine';
+import { shoppingPlanEngine } from '../services/ShoppingPlanEngine';
+import { cartService } from '../services/cartService';
+import preferenceProfileService, { createEmptyProfile } from '../services/preferenceProfileService';
+import styleProfileService, { createDefaultStyleProfile } from '../services/styleProfileService';
+import tripExportService from '../services/tripExportService';
+import { normalizeItineraryLegs, formatItineraryDestination, assignLegsToDayPlans } from '../services/itineraryService';
 import './CombinedWorkshopPage.css';
 
 const generateWallpaperColumns = () => {
@@ -28,6 +42,9 @@ const CombinedWorkshopPage = () => {
   const [processingError, setProcessingError] = useState(null);
   const [showConfirmationForm, setShowConfirmationForm] = useState(false);
   const [extractedEventData, setExtractedEventData] = useState(null);
+  const [clarification, setClarification] = useState(null);
+  const [clarificationHistory, setClarificationHistory] = useState([]);
+  const [clarificationError, setClarificationError] = useState(null);
   const [savedSkus, setSavedSkus] = useState(() => new Set(['005', '002', '006']));
   const seededCloset = useRef([
     {
@@ -112,8 +129,95 @@ const CombinedWorkshopPage = () => {
 
   const [savedItems, setSavedItems] = useState([...seededCloset.current, ...demoClosetItems]);
   const [showClosetInventory, setShowClosetInventory] = useState(false);
+  const [editingClosetItem, setEditingClosetItem] = useState(null);
+  const [closetImportSummary, setClosetImportSummary] = useState(null);
   const [showPackingList, setShowPackingList] = useState(false);
+  const [showShoppingPlan, setShowShoppingPlan] = useState(false);
+  const [showCart, setShowCart] = useState(false);
+  const [preferenceProfile, setPreferenceProfile] = useState(createEmptyProfile);
+  const [styleProfile, setStyleProfile] = useState(createDefaultStyleProfile);
+  const [showStyleProfile, setShowStyleProfile] = useState(false);
+  const [hydrated, setHydrated] = useState(false);
+  const [regenerating, setRegenerating] = useState(null);
+  const [regenerationError, setRegenerationError] = useState(null);
+  const [repairingWeather, setRepairingWeather] = useState(false);
+  const [streamingOutfits, setStreamingOutfits] = useState(null);
+  const generationAbortRef = useRef(null);
   const closetRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  // Rehydrate trips and closet saved in a previous session
+  useEffect(() => {
+    let cancelled = false;
+
+    persistenceService.loadWorkspace().then(workspace => {
+      if (cancelled) return;
+
+      if (workspace.trips.length > 0) {
+        const restoredSelection = workspace.trips.some(trip => trip.id === workspace.selectedTripId)
+          ? workspace.selectedTripId
+          : workspace.trips[workspace.trips.length - 1].id;
+        setTrips(workspace.trips);
+        setSelectedTrip(restoredSelection);
+      }
+      if (workspace.closetItems.length > 0) {
+        setSavedItems(workspace.closetItems);
+      }
+      if (workspace.savedSkus.length > 0) {
+        setSavedSkus(new Set(workspace.savedSkus));
+      }
+      if (workspace.preferenceProfile) {
+        setPreferenceProfile(workspace.preferenceProfile);
+      }
+      if (workspace.styleProfile) {
+        const validation = styleProfileService.validateProfile(workspace.styleProfile);
+        if (validation.success) {
+          setStyleProfile(validation.data);
+        }
+      }
+      setHydrated(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Write changes back once the stored workspace has been loaded
+  useEffect(() => {
+    if (!hydrated) return;
+    saveTrips(trips).catch(error => console.error('Failed to persist trips:', error));
+  }, [trips, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    persistenceService.saveClosetItems(savedItems).catch(error => console.error('Failed to persist closet:', error));
+  }, [savedItems, hydrated]);
+
+  // Keep the closet searchable alongside the catalog in local knowledge-base mode
+  useEffect(() => {
+    knowledgeBaseService.setClosetItems(savedItems);
+  }, [savedItems]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    persistenceService.saveSavedSkus(savedSkus).catch(error => console.error('Failed to persist saved SKUs:', error));
+  }, [savedSkus, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    persistenceService.saveSelectedTrip(selectedTrip).catch(error => console.error('Failed to persist selected trip:', error));
+  }, [selectedTrip, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    persistenceService.savePreferenceProfile(preferenceProfile).catch(error => console.error('Failed to persist ratings:', error));
+  }, [preferenceProfile, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    persistenceService.saveStyleProfile(styleProfile).catch(error => console.error('Failed to persist style profile:', error));
+  }, [styleProfile, hydrated]);
 
   const currentTrip = useMemo(
     () => trips.find(trip => trip.id === selectedTrip),
@@ -122,6 +226,10 @@ const CombinedWorkshopPage = () => {
 
   const wallpaperColumns = useMemo(() => generateWallpaperColumns(), []);
 
+  const tripLocks = currentTrip?.locks || EMPTY_LOCKS;
+  const lockedSkus = useMemo(() => new Set(tripLocks.items), [tripLocks]);
+  const lockedDays = useMemo(() => new Set(Object.keys(tripLocks.days).map(Number)), [tripLocks]);
+
   const hasGeneratedOutfits = !!(
     currentTrip &&
     !isNewTrip(currentTrip) &&
@@ -145,13 +253,76 @@ const CombinedWorkshopPage = () => {
     setSelectedTrip(newTrip.id);
     setShowConfirmationForm(false);
     setExtractedEventData(null);
+    resetClarification();
     setProcessingError(null);
   };
 
+  const resetClarification = () => {
+    setClarification(null);
+    setClarificationHistory([]);
+    setClarificationError(null);
+  };
+
   const clearProcessingError = () => {
     setProcessingError(null);
   };
 
+  // Export the current trip for travellers who don't use the app
+  const handleExportTrip = (format) => {
+    if (!currentTrip) {
+      return;
+    }
+
+    const stem = tripExportService.getFileStem(currentTrip);
+    const lookbookOptions = { baseUrl: window.location.origin, resolveImage: getSkuImagePath };
+    let result;
+
+    if (format === 'print') {
+      result = tripExportService.printLookbook(currentTrip, lookbookOptions);
+    } else if (format === 'html') {
+      result = tripExportService.exportLookbookHTML(currentTrip, lookbookOptions);
+      if (result.success) {
+        tripExportService.downloadFile(`${stem}-lookbook.html`, result.data, 'text/html');
+      }
+    } else if (format === 'ics') {
+      result = tripExportService.exportICS(currentTrip);
+      if (result.success) {
+        tripExportService.downloadFile(`${stem}.ics`, result.data, 'text/calendar');
+      }
+    } else {
+      result = tripExportService.exportJSON(currentTrip);
+      if (result.success) {
+        tripExportService.downloadFile(`${stem}.json`, result.data, 'application/json');
+      }
+    }
+
+    setProcessingError(result.success ? null : result.error.message);
+  };
+
+  const handleImportTrip = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const result = tripExportService.importJSON(await file.text());
+    if (!result.success) {
+      setProcessingError(result.error.message);
+      return;
+    }
+
+    setTrips(prevTrips => [...prevTrips, result.data]);
+    setSelectedTrip(result.data.id);
+    setShowConfirmationForm(false);
+    setExtractedEventData(null);
+    resetClarification();
+    setShowPackingList(false);
+    setShowShoppingPlan(false);
+    setShowCart(false);
+    setProcessingError(null);
+  };
+
   const handleTripDescriptionSubmit = async (tripDescription) => {
     if (!tripDescription.trim() || processingTrip) {
       return;
@@ -166,25 +337,13 @@ const CombinedWorkshopPage = () => {
 
       if (result?.success && result.eventContext) {
         const eventData = result.eventContext;
-        const updatedTrip = updateTrip(activeTrip, {
-          name: eventData.occasion || eventData.eventType || activeTrip.name,
-          destination: eventData.location || activeTrip.destination,
-          startDate: eventData.startDate || activeTrip.startDate,
-          endDate: eventData.endDate || activeTrip.endDate,
-          totalDays: eventData.duration || activeTrip.totalDays,
-          description: tripDescription,
-          eventData,
-          lastProcessed: new Date().toISOString()
-        });
-
-        setTrips(prevTrips =>
-          prevTrips.map(trip =>
-            trip.id === updatedTrip.id ? updatedTrip : trip
-          )
-        );
-
-        setExtractedEventData(eventData);
-        setShowConfirmationForm(true);
+        applyExtractedDetails(activeTrip, eventData, { description: tripDescription });
+
+        // Ask about anything missing before showing the confirmation form
+        const { data } = clarificationService.startClarification(activeTrip.id, eventData, tripDescription);
+        setClarificationHistory([]);
+        setClarificationError(null);
+        advanceClarification(data);
       } else {
         setProcessingError('Could not extract event details. Try adding more specifics about the location and timing.');
       }
@@ -196,6 +355,86 @@ const CombinedWorkshopPage = () => {
     }
   };
 
+  // Legs follow the trip dates; changing the destination to a single place drops them
+  const resolveTripLegs = (legs, { location, startDate, duration }) => {
+    const normalized = normalizeItineraryLegs(legs, { startDate, duration });
+    return location && location !== formatItineraryDestination(normalized) ? [] : normalized;
+  };
+
+  const applyExtractedDetails = (trip, eventData, extra = {}) => {
+    const destination = eventData.location || trip.destination;
+    const startDate = eventData.startDate || trip.startDate;
+    const totalDays = eventData.duration || trip.totalDays;
+
+    const updatedTrip = updateTrip(trip, {
+      name: eventData.occasion || eventData.eventType || trip.name,
+      destination,
+      startDate,
+      endDate: eventData.endDate || trip.endDate,
+      totalDays,
+      legs: resolveTripLegs(eventData.legs || trip.legs, { location: destination, startDate, duration: totalDays }),
+      ...extra,
+      eventData,
+      lastProcessed: new Date().toISOString()
+    });
+
+    setTrips(prevTrips =>
+      prevTrips.map(t =>
+        t.id === updatedTrip.id ? updatedTrip : t
+      )
+    );
+
+    return updatedTrip;
+  };
+
+  // Show the next questions, or the confirmation form once the details are complete enough
+  const advanceClarification = (state) => {
+    if (state.readyForConfirmation) {
+      setClarification(null);
+      setExtractedEventData(state.details);
+      setShowConfirmationForm(true);
+    } else {
+      setShowConfirmationForm(false);
+      setClarification(state);
+    }
+  };
+
+  const handleAnswerClarification = (answers) => {
+    if (!currentTrip || !clarification) {
+      return;
+    }
+
+    const result = clarificationService.answerClarification(currentTrip.id, answers, {
+      details: clarification.details,
+      originalMessage: currentTrip.description
+    });
+
+    if (!result.success) {
+      setClarificationError(result.error.message);
+      return;
+    }
+
+    const answered = clarification.questions.filter(question => {
+      const answer = answers[question.id];
+      return Array.isArray(answer) || (answer !== undefined && String(answer).trim());
+    });
+    setClarificationHistory(prev => [
+      ...prev,
+      ...answered.map(question => ({
+        turn: result.data.turn,
+        id: question.id,
+        question: question.prompt,
+        summary: Array.isArray(answers[question.id])
+          ? answers[question.id].map(plan => `Day ${plan.day}: ${plan.dressCode}`).join(', ')
+          : String(answers[question.id])
+      }))
+    ]);
+    setClarificationError(null);
+
+    applyExtractedDetails(currentTrip, { ...currentTrip.eventData, ...result.data.details });
+    advanceClarification(result.data);
+  };
+
   const handleConfirmEventDetails = async (confirmedDetails) => {
     if (!currentTrip) {
       return;
@@ -205,12 +444,21 @@ const CombinedWorkshopPage = () => {
     setProcessingError(null);
 
     try {
+      const destination = confirmedDetails.location || currentTrip.destination;
+      const startDate = confirmedDetails.startDate || currentTrip.startDate;
+      const totalDays = confirmedDetails.duration || currentTrip.totalDays;
+
       const updatedTrip = updateTrip(currentTrip, {
         name: confirmedDetails.occasion || currentTrip.name,
-        destination: confirmedDetails.location || currentTrip.destination,
-        startDate: confirmedDetails.startDate || currentTrip.startDate,
+        destination,
+        startDate,
         endDate: confirmedDetails.endDate || currentTrip.endDate,
-        totalDays: confirmedDetails.duration || currentTrip.totalDays,
+        totalDays,
+        legs: resolveTripLegs(confirmedDetails.legs || extractedEventData?.legs || currentTrip.legs, {
+          location: destination,
+          startDate,
+          duration: totalDays
+        }),
         eventData: {
           ...extractedEventData,
           ...confirmedDetails,
@@ -276,38 +524,148 @@ const CombinedWorkshopPage = () => {
 
   const toggleClosetInventory = () => {
     setShowClosetInventory(prev => !prev);
+    setEditingClosetItem(null);
+    setClosetImportSummary(null);
   };
 
-  const generateOutfits = async (trip) => {
-    const { default: outfitGenerationService } = await import('../services/OutfitGenerationService');
-    const { default: contextAccumulator } = await import('../services/contextAccumulator');
-
-    contextAccumulator.initializeContextFile(trip.id, {
-      originalMessage: trip.description
+  const markSkusSaved = (skus) => {
+    setSavedSkus(prev => {
+      const updated = new Set(prev);
+      skus.forEach(sku => updated.add(sku));
+      return updated;
     });
+  };
 
-    contextAccumulator.addConfirmedDetails(trip.id, {
-      occasion: trip.eventData?.occasion || trip.name || 'Trip',
-      location: trip.destination || trip.eventData?.location,
-      startDate: trip.startDate,
-      duration: trip.totalDays || 3,
-      dressCode: trip.eventData?.dressCode || 'smart-casual',
-      budget: trip.eventData?.budget || null,
-      specialRequirements: trip.eventData?.specialRequirements || [],
-      dailyPlans: trip.eventData?.dailyPlans || []
+  const handleSaveClosetItem = (values) => {
+    const result = editingClosetItem === 'new'
+      ? closetService.addItem(savedItems, values)
+      : closetService.updateItem(savedItems, editingClosetItem.sku, values);
+
+    if (result.success) {
+      setSavedItems(result.data.items);
+      markSkusSaved([result.data.item.sku]);
+      setEditingClosetItem(null);
+    }
+    return result;
+  };
+
+  // The style profile applies from the next generation onwards
+  const handleSaveStyleProfile = (values) => {
+    const result = styleProfileService.validateProfile(values);
+
+    if (result.success) {
+      setStyleProfile(result.data);
+      setShowStyleProfile(false);
+    }
+    return result;
+  };
+
+  const handleDeleteClosetItem = (sku) => {
+    const result = closetService.removeItem(savedItems, sku);
+    if (!result.success) return;
+
+    setSavedItems(result.data.items);
+    setSavedSkus(prev => {
+      const updated = new Set(prev);
+      updated.delete(sku);
+      return updated;
     });
+  };
+
+  const handleImportCloset = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = closetService.importCSV(savedItems, await file.text());
+    if (!result.success) {
+      setClosetImportSummary({ imported: 0, errors: result.error.errors });
+      return;
+    }
 
-    // Pass closet items to outfit generation
-    const generationResult = await outfitGenerationService.generateOutfits(trip.id, {
-      duration: trip.totalDays || 3,
+    setSavedItems(result.data.items);
+    markSkusSaved(result.data.imported.map(item => item.sku));
+    setClosetImportSummary({ imported: result.data.imported.length, errors: result.data.errors });
+  };
+
+  // Set up the generation context for a trip and return the details sent to the generator
+  const prepareGenerationContext = async (trip, { reset = true } = {}) => {
+    const { default: contextAccumulator } = await import('../services/contextAccumulator');
+    const duration = trip.totalDays || 3;
+    const legs = normalizeItineraryLegs(trip.legs, { startDate: trip.startDate, duration });
+    const dayPlans = assignLegsToDayPlans(trip.eventData?.dailyPlans || [], legs, duration);
+
+    if (reset || !contextAccumulator.getContextFile(trip.id)) {
+      contextAccumulator.initializeContextFile(trip.id, {
+        originalMessage: trip.description
+      });
+
+      contextAccumulator.addConfirmedDetails(trip.id, {
+        occasion: trip.eventData?.occasion || trip.name || 'Trip',
+        location: trip.destination || trip.eventData?.location,
+        startDate: trip.startDate,
+        duration,
+        dressCode: trip.eventData?.dressCode || 'smart-casual',
+        budget: trip.eventData?.budget || null,
+        specialRequirements: trip.eventData?.specialRequirements || [],
+        dailyPlans: dayPlans,
+        legs
+      });
+
+      // Forecasts let the generator dress for the weather and the validator check the result
+      const location = trip.destination || trip.eventData?.location;
+      if (location && trip.startDate) {
+        const { default: weatherContextService } = await import('../services/weatherContextService');
+        await weatherContextService.gatherWeatherContext({ location, startDate: trip.startDate, duration, legs }, trip.id);
+      }
+    }
+
+    contextAccumulator.setLocks(trip.id, trip.locks || EMPTY_LOCKS);
+    contextAccumulator.setPreferences(trip.id, preferenceProfileService.getPreferences(preferenceProfile));
+    contextAccumulator.setStyleProfile(trip.id, styleProfileService.hasRules(styleProfile) ? styleProfile : null);
+
+    return {
+      duration,
       occasion: trip.eventData?.occasion || trip.name || 'Trip',
       location: trip.destination || trip.eventData?.location,
       startDate: trip.startDate,
       endDate: trip.endDate,
       dressCode: trip.eventData?.dressCode || 'smart-casual',
       budget: trip.eventData?.budget || null,
-      dayPlans: trip.eventData?.dailyPlans || []
-    }, savedItems);
+      dayPlans,
+      legs
+    };
+  };
+
+  const generateOutfits = async (trip) => {
+    const { default: outfitGenerationService } = await import('../services/OutfitGenerationService');
+    const confirmedDetails = await prepareGenerationContext(trip);
+
+    // Stream the response so each day shows up as soon as the model finishes it
+    const abortController = new AbortController();
+    generationAbortRef.current = abortController;
+    setStreamingOutfits({ tripId: trip.id, totalDays: confirmedDetails.duration, outfits: {} });
+
+    let generationResult;
+    try {
+      // Pass closet items to outfit generation
+      generationResult = await outfitGenerationService.generateOutfits(trip.id, confirmedDetails, savedItems, {
+        signal: abortController.signal,
+        onOutfit: outfit => setStreamingOutfits(prev => (
+          prev && prev.tripId === trip.id
+            ? { ...prev, outfits: { ...prev.outfits, [outfit.day]: outfit } }
+            : prev
+        ))
+      });
+    } finally {
+      generationAbortRef.current = null;
+      setStreamingOutfits(null);
+    }
+
+    // Cancelling keeps whatever outfits the trip had before
+    if (generationResult.error?.code === 'CANCELLED') {
+      return;
+    }
 
     if (!generationResult.success) {
       throw new Error(generationResult.error?.message || 'Failed to generate outfits');
@@ -319,6 +677,7 @@ const CombinedWorkshopPage = () => {
         reusabilityAnalysis: generationResult.data.reusabilityAnalysis,
         generatedAt: generationResult.data.generatedAt,
         contextSummary: generationResult.data.contextSummary,
+        weatherValidation: generationResult.data.weatherValidation || null,
         fallback: false
       }
     });
@@ -330,7 +689,239 @@ const CombinedWorkshopPage = () => {
     );
   };
 
+  const handleCancelGeneration = () => {
+    generationAbortRef.current?.abort();
+  };
+
+  // Restyle the whole trip, keeping locked items and days
+  const handleRestyleTrip = async () => {
+    if (!currentTrip || processingTrip) {
+      return;
+    }
+
+    setProcessingTrip(true);
+    setProcessingError(null);
+    setRegenerationError(null);
+
+    try {
+      await generateOutfits(currentTrip);
+    } catch (error) {
+      console.error('Outfit generation failed:', error);
+      setProcessingError(`Failed to generate outfits: ${error.message}`);
+    } finally {
+      setProcessingTrip(false);
+    }
+  };
+
+  // Swap in weather-appropriate pieces wherever the forecast check flagged a gap
+  const handleRepairWeather = async () => {
+    if (!currentTrip || repairingWeather) {
+      return;
+    }
+
+    const trip = currentTrip;
+    setRepairingWeather(true);
+    setRegenerationError(null);
+
+    try {
+      const { default: outfitGenerationService } = await import('../services/OutfitGenerationService');
+      const confirmedDetails = await prepareGenerationContext(trip, { reset: false });
+
+      const result = await outfitGenerationService.repairWeatherWarnings(trip.id, confirmedDetails, savedItems, {
+        outfits: trip.outfits
+      });
+
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to fix outfits for the weather');
+      }
+
+      const updatedTrip = updateTrip(trip, {
+        outfits: result.data.outfits,
+        aiGenerationData: {
+          ...trip.aiGenerationData,
+          reusabilityAnalysis: result.data.reusabilityAnalysis,
+          weatherValidation: result.data.weatherValidation
+        }
+      });
+
+      setTrips(prevTrips =>
+        prevTrips.map(t =>
+          t.id === updatedTrip.id ? updatedTrip : t
+        )
+      );
+    } catch (error) {
+      console.error('Weather repair failed:', error);
+      setRegenerationError(error.message);
+    } finally {
+      setRepairingWeather(false);
+    }
+  };
+
+  // Swap purchases for cheaper substitutes on every day they are worn
+  const handleApplySubstitutes = async (swaps) => {
+    if (!currentTrip || swaps.length === 0) {
+      return;
+    }
+
+    const trip = currentTrip;
+    const { default: outfitGenerationService } = await import('../services/OutfitGenerationService');
+    const outfits = swaps.reduce(
+      (current, { from, to }) => shoppingPlanEngine.applySubstitute(current, from, to),
+      trip.outfits
+    );
+
+    const updatedTrip = updateTrip(trip, {
+      outfits,
+      aiGenerationData: {
+        ...trip.aiGenerationData,
+        reusabilityAnalysis: outfitGenerationService.calculateReusabilityMetrics(outfits),
+        weatherValidation: outfitGenerationService.checkWeather(outfits, trip.aiGenerationData?.contextSummary?.environment?.weather).weatherValidation
+      }
+    });
+
+    setTrips(prevTrips =>
+      prevTrips.map(t =>
+        t.id === updatedTrip.id ? updatedTrip : t
+      )
+    );
+  };
+
+  const handleChangePackingPreferences = (packing) => {
+    if (!currentTrip) {
+      return;
+    }
+
+    setTrips(prevTrips =>
+      prevTrips.map(t =>
+        t.id === currentTrip.id ? updateTrip(t, { packing }) : t
+      )
+    );
+  };
+
+  // Ratings feed the preference profile that steers every later generation
+  const handleRate = (target, rating, reasons) => {
+    if (!currentTrip) {
+      return;
+    }
+
+    setPreferenceProfile(prevProfile => {
+      const result = preferenceProfileService.rate(prevProfile, { ...target, tripId: currentTrip.id }, rating, reasons);
+      return result.success ? result.data : prevProfile;
+    });
+  };
+
+  const handleChangeCartSelections = (selections) => {
+    if (!currentTrip) {
+      return;
+    }
+
+    setTrips(prevTrips =>
+      prevTrips.map(t =>
+        t.id === currentTrip.id ? updateTrip(t, { cart: { ...t.cart, selections } }) : t
+      )
+    );
+  };
+
+  const updateTripLocks = (tripId, changeLocks) => {
+    setTrips(prevTrips =>
+      prevTrips.map(t =>
+        t.id === tripId ? updateTrip(t, { locks: changeLocks(t.locks || EMPTY_LOCKS) }) : t
+      )
+    );
+  };
+
+  // Lock an item so every generation has to include it
+  const handleToggleItemLock = (sku) => {
+    if (!currentTrip || !sku) {
+      return;
+    }
+
+    updateTripLocks(currentTrip.id, locks => ({
+      ...locks,
+      items: locks.items.includes(sku)
+        ? locks.items.filter(entry => entry !== sku)
+        : [...locks.items, sku]
+    }));
+  };
+
+  // Lock a day's current outfit so generation keeps it as it is
+  const handleToggleDayLock = (day) => {
+    if (!currentTrip) {
+      return;
+    }
+
+    const outfit = currentTrip.outfits?.[day];
+    updateTripLocks(currentTrip.id, locks => {
+      const days = { ...locks.days };
+      if (days[day]) {
+        delete days[day];
+      } else if (outfit) {
+        days[day] = toLockedOutfit(outfit.items);
+      }
+      return { ...locks, days };
+    });
+  };
+
+  // Regenerate one day (slot = null) or swap one slot, keeping the other days as they are
+  const handleRegenerateOutfit = async (day, slot = null) => {
+    if (!currentTrip || regenerating) {
+      return;
+    }
+
+    const trip = currentTrip;
+    setRegenerating({ day, slot });
+    setRegenerationError(null);
+
+    try {
+      const { default: outfitGenerationService } = await import('../services/OutfitGenerationService');
+      const confirmedDetails = await prepareGenerationContext(trip, { reset: false });
+
+      const result = await outfitGenerationService.regenerateOutfits(trip.id, confirmedDetails, savedItems, {
+        outfits: trip.outfits,
+        reusabilityAnalysis: trip.aiGenerationData?.reusabilityAnalysis || null,
+        day,
+        slot
+      });
+
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to regenerate outfit');
+      }
+
+      const updatedTrip = updateTrip(trip, {
+        outfits: result.data.outfits,
+        aiGenerationData: {
+          ...trip.aiGenerationData,
+          reusabilityAnalysis: result.data.reusabilityAnalysis,
+          weatherValidation: result.data.weatherValidation,
+          generatedAt: result.data.generatedAt
+        }
+      });
+
+      setTrips(prevTrips =>
+        prevTrips.map(t =>
+          t.id === updatedTrip.id ? updatedTrip : t
+        )
+      );
+    } catch (error) {
+      console.error('Outfit regeneration failed:', error);
+      setRegenerationError(error.message);
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
   const renderMiddleColumn = () => {
+    if (clarification && !processingTrip) {
+      return (
+        <ClarificationPanel
+          clarification={clarification}
+          history={clarificationHistory}
+          onAnswer={handleAnswerClarification}
+          error={clarificationError}
+        />
+      );
+    }
+
     if (showConfirmationForm && extractedEventData) {
       return (
         <EventConfirmationForm
@@ -341,11 +932,33 @@ const CombinedWorkshopPage = () => {
       );
     }
 
+    const streamedDays = streamingOutfits && streamingOutfits.tripId === currentTrip?.id
+      ? Object.keys(streamingOutfits.outfits).length
+      : 0;
+
+    if (processingTrip && streamedDays > 0) {
+      return (
+        <OutfitCardCarousel
+          trip={{ ...currentTrip, outfits: streamingOutfits.outfits }}
+          savedSkus={savedSkus}
+          onSaveItems={handleSaveItems}
+          getClosetCenter={() => closetRef.current?.getClosetCenter?.()}
+          dailyPlans={currentTrip.eventData?.dailyPlans}
+          streaming={{ totalDays: streamingOutfits.totalDays, onCancel: handleCancelGeneration }}
+        />
+      );
+    }
+
     if (processingTrip) {
       return (
         <div className="middle-placeholder loading">
           <div className="loading-ring"></div>
           <p>Cher is working on your request...</p>
+          {streamingOutfits && (
+            <button className="cancel-generation-btn" onClick={handleCancelGeneration} type="button">
+              Cancel
+            </button>
+          )}
         </div>
       );
     }
@@ -359,6 +972,22 @@ const CombinedWorkshopPage = () => {
           getClosetCenter={() => closetRef.current?.getClosetCenter?.()}
           dailyPlans={currentTrip.eventData?.dailyPlans}
           onViewPackingList={() => setShowPackingList(true)}
+          onViewShoppingPlan={() => setShowShoppingPlan(true)}
+          onViewCart={() => setShowCart(true)}
+          onRegenerateDay={(day) => handleRegenerateOutfit(day)}
+          onSwapSlot={(day, slot) => handleRegenerateOutfit(day, slot)}
+          regenerating={regenerating}
+          regenerationError={regenerationError}
+          lockedSkus={lockedSkus}
+          lockedDays={lockedDays}
+          onToggleItemLock={handleToggleItemLock}
+          onToggleDayLock={handleToggleDayLock}
+          onRestyleTrip={handleRestyleTrip}
+          weatherWarnings={currentTrip.aiGenerationData?.weatherValidation?.warnings || []}
+          onRepairWeather={handleRepairWeather}
+          repairingWeather={repairingWeather}
+          getRating={(target) => preferenceProfileService.getRating(preferenceProfile, { ...target, tripId: currentTrip.id })}
+          onRate={handleRate}
         />
       );
     }
@@ -394,10 +1023,33 @@ const CombinedWorkshopPage = () => {
           <span className="brand-subline">OUTFIT LAB</span>
         </div>
         <div className="profile-widget">
-          <div className="profile-avatar">IT</div>
-          <div className="profile-info">
-            <span className="profile-name">Ines Taleb ♀</span>
-          </div>
+          <button
+            className="profile-toggle"
+            onClick={() => setShowStyleProfile(prev => !prev)}
+            aria-expanded={showStyleProfile}
+          >
+            <div className="profile-avatar">{styleProfileService.getInitials(styleProfile)}</div>
+            <div className="profile-info">
+              <span className="profile-name">
+                {styleProfile.name || 'Your style profile'}
+                {PRESENTATION_SYMBOLS[styleProfile.genderPresentation] && ` ${PRESENTATION_SYMBOLS[styleProfile.genderPresentation]}`}
+              </span>
+              <span className="profile-summary">
+                {styleProfileService.hasRules(styleProfile)
+                  ? `${styleProfileService.describeRules(styleProfile).length} style rule(s)`
+                  : 'Set fit, colors and coverage'}
+              </span>
+            </div>
+          </button>
+          {showStyleProfile && (
+            <div className="profile-editor-popover">
+              <StyleProfileEditor
+                profile={styleProfile}
+                onSave={handleSaveStyleProfile}
+                onCancel={() => setShowStyleProfile(false)}
+              />
+            </div>
+          )}
         </div>
       </header>
       <div className="unified-columns">
@@ -407,13 +1059,29 @@ const CombinedWorkshopPage = () => {
               <p className="eyebrow-text">Step 1</p>
               <h2>Tell Cher about your plans</h2>
             </div>
-            <button
-              className="ghost-button"
-              onClick={handleNewTrip}
-              disabled={processingTrip}
-            >
-              Start fresh
-            </button>
+            <div className="column-header-actions">
+              <button
+                className="ghost-button"
+                onClick={() => importInputRef.current?.click()}
+                disabled={processingTrip}
+              >
+                Import trip
+              </button>
+              <button
+                className="ghost-button"
+                onClick={handleNewTrip}
+                disabled={processingTrip}
+              >
+                Start fresh
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImportTrip}
+              />
+            </div>
           </div>
           <div className="input-panel">
             <NewEventInputInterface
@@ -433,11 +1101,24 @@ const CombinedWorkshopPage = () => {
               <p className="eyebrow-text">Step 2</p>
               <h2>Confirm & style</h2>
             </div>
-            {currentTrip?.eventData?.occasion && (
-              <span className="pill">
-                {currentTrip.eventData.occasion} • {currentTrip.eventData.duration || currentTrip.totalDays || 1} days
-              </span>
-            )}
+            <div className="column-header-actions">
+              {currentTrip?.eventData?.occasion && (
+                <span className="pill">
+                  {currentTrip.eventData.occasion} • {currentTrip.eventData.duration || currentTrip.totalDays || 1} days
+                </span>
+              )}
+              {hasGeneratedOutfits && (
+                <details className="export-menu">
+                  <summary className="ghost-button">Export</summary>
+                  <div className="export-menu-options">
+                    <button onClick={() => handleExportTrip('print')}>Lookbook (print / PDF)</button>
+                    <button onClick={() => handleExportTrip('html')}>Lookbook (HTML)</button>
+                    <button onClick={() => handleExportTrip('ics')}>Calendar (.ics)</button>
+                    <button onClick={() => handleExportTrip('json')}>Trip data (JSON)</button>
+                  </div>
+                </details>
+              )}
+            </div>
           </div>
           <div className="middle-content">
             {showPackingList ? (
@@ -445,7 +1126,7 @@ const CombinedWorkshopPage = () => {
                 <PackingList
                   trip={currentTrip}
                   savedSkus={savedSkus}
-                  savedItems={savedItems}
+                  onChangePreferences={handleChangePackingPreferences}
                 />
                 <div className="finalize-bar">
                   <button className="finalize-btn" onClick={() => setShowPackingList(false)}>
@@ -453,6 +1134,33 @@ const CombinedWorkshopPage = () => {
                   </button>
                 </div>
               </>
+            ) : showShoppingPlan ? (
+              <>
+                <ShoppingPlan
+                  trip={currentTrip}
+                  savedSkus={savedSkus}
+                  lockedSkus={lockedSkus}
+                  onApplySubstitutes={handleApplySubstitutes}
+                />
+                <div className="finalize-bar">
+                  <button className="finalize-btn" onClick={() => setShowShoppingPlan(false)}>
+                    ← Back to outfits
+                  </button>
+                </div>
+              </>
+            ) : showCart ? (
+              <>
+                <Cart
+                  trip={currentTrip}
+                  savedSkus={savedSkus}
+                  onChangeSelections={handleChangeCartSelections}
+                />
+                <div className="finalize-bar">
+                  <button className="finalize-btn" onClick={() => setShowCart(false)}>
+                    ← Back to outfits
+                  </button>
+                </div>
+              </>
             ) : (
               renderMiddleColumn()
             )}
@@ -475,31 +1183,76 @@ const CombinedWorkshopPage = () => {
                   </button>
                   <h4>My saved items ({savedItems.length})</h4>
                 </div>
-                {savedItems.length === 0 ? (
-                  <p className="closet-empty">You haven&apos;t saved any items yet.</p>
+                {editingClosetItem ? (
+                  <ClosetItemEditor
+                    key={editingClosetItem === 'new' ? 'new' : editingClosetItem.sku}
+                    item={editingClosetItem === 'new' ? null : editingClosetItem}
+                    onSave={handleSaveClosetItem}
+                    onCancel={() => setEditingClosetItem(null)}
+                  />
                 ) : (
-                  <div className="closet-grid">
-                    {savedItems.map(item => (
-                      <div key={item.sku} className="closet-item-card">
-                        <div className="closet-item-image">
-                          <img
-                            src={item.image || getSkuImagePath(item.sku)}
-                            alt={item.name}
-                            onError={(e) => {
-                              e.target.style.display = 'none';
-                              e.target.nextSibling.style.display = 'flex';
-                            }}
-                          />
-                          <div className="closet-image-fallback">{item.name?.[0]}</div>
-                        </div>
-                        <div className="closet-item-meta">
-                          <strong>{item.name}</strong>
-                          {item.colors && <span>{item.colors}</span>}
-                          {item.category && <span className="closet-tag">{item.category}</span>}
-                        </div>
+                  <>
+                    <div className="closet-inventory-actions">
+                      <button className="closet-action-btn" onClick={() => setEditingClosetItem('new')}>
+                        + Add item
+                      </button>
+                      <label className="closet-action-btn">
+                        Import CSV
+                        <input type="file" accept=".csv,text/csv" onChange={handleImportCloset} />
+                      </label>
+                    </div>
+                    {closetImportSummary && (
+                      <div className="closet-import-summary">
+                        <p>Imported {closetImportSummary.imported} item(s).</p>
+                        {closetImportSummary.errors.length > 0 && (
+                          <ul>
+                            {closetImportSummary.errors.map((error, index) => (
+                              <li key={index}>Line {error.line}, {error.field}: {error.reason}</li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
-                    ))}
-                  </div>
+                    )}
+                    {savedItems.length === 0 ? (
+                      <p className="closet-empty">You haven&apos;t saved any items yet.</p>
+                    ) : (
+                      <div className="closet-grid">
+                        {savedItems.map(item => (
+                          <div key={item.sku} className="closet-item-card">
+                            <div className="closet-item-image">
+                              <img
+                                src={item.image || getSkuImagePath(item.sku)}
+                                alt={item.name}
+                                onError={(e) => {
+                                  e.target.style.display = 'none';
+                                  e.target.nextSibling.style.display = 'flex';
+                                }}
+                              />
+                              <div className="closet-image-fallback">{item.name?.[0]}</div>
+                            </div>
+                            <div className="closet-item-meta">
+                              <strong>{item.name}</strong>
+                              {item.colors && <span>{item.colors}</span>}
+                              {item.category && <span className="closet-tag">{item.category}</span>}
+                            </div>
+                            <div className="closet-item-actions">
+                              {currentTrip && (
+                                <button
+                                  className={lockedSkus.has(item.sku) ? 'locked' : ''}
+                                  onClick={() => handleToggleItemLock(item.sku)}
+                                  title="Every outfit plan for this trip will include it"
+                                >
+                                  {lockedSkus.has(item.sku) ? 'Packing' : 'Must pack'}
+                                </button>
+                              )}
+                              <button onClick={() => setEditingClosetItem(item)}>Edit</button>
+                              <button onClick={() => handleDeleteClosetItem(item.sku)}>Delete</button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </>
                 )}
               </div>
             ) : (
@@ -515,6 +1268,23 @@ const CombinedWorkshopPage = () => {
   );
 };
 
+const EMPTY_LOCKS = { items: [], days: {} };
+
+const PRESENTATION_SYMBOLS = {
+  feminine: '♀',
+  masculine: '♂',
+  androgynous: '⚥'
+};
+
+// SKUs of a hydrated outfit in the shape contextAccumulator.setLocks expects
+const toLockedOutfit = (items = {}) => ({
+  topwear: items.topwear?.sku || null,
+  bottomwear: items.bottomwear?.sku || null,
+  footwear: items.footwear?.sku || null,
+  outerwear: items.outerwear?.sku || null,
+  accessories: (items.accessories || []).map(item => item.sku)
+});
+
 const getSkuImagePath = (sku) => {
   if (!sku) return null;
 
@@ -550,69 +1320,307 @@ const getSkuImagePath = (sku) => {
 };
 
 export default CombinedWorkshopPage;
-const summarizePackingList = (trip, savedSkus) => {
-  if (!trip?.outfits) return { items: [], totals: { closet: 0, catalog: 0, price: 0, reused: 0 } };
-
-  const seen = new Map();
-  Object.values(trip.outfits).forEach(outfit => {
-    const addItem = (item, type) => {
-      if (!item || !item.sku) return;
-      const key = item.sku;
-      if (!seen.has(key)) {
-        seen.set(key, { ...item, count: 1, types: new Set([type]) });
-      } else {
-        const entry = seen.get(key);
-        entry.count += 1;
-        entry.types.add(type);
-      }
+// Catalog items, loaded on demand for panels that look beyond the trip's outfits
+const useCatalogItems = () => {
+  const [catalog, setCatalog] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    import('../services/clothingDatasetService')
+      .then(({ default: clothingDatasetService }) => clothingDatasetService.getDataset())
+      .then(dataset => {
+        if (active) {
+          setCatalog(dataset.items || Array.from(dataset.skuMap.values()));
+        }
+      })
+      .catch(error => console.warn('Catalog unavailable:', error));
+    return () => {
+      active = false;
     };
+  }, []);
+
+  return catalog;
+};
+
+const ShoppingPlan = ({ trip, savedSkus, lockedSkus, onApplySubstitutes }) => {
+  const catalog = useCatalogItems();
 
-    addItem(outfit.items?.topwear, 'topwear');
-    addItem(outfit.items?.outerwear, 'outerwear');
-    addItem(outfit.items?.bottomwear, 'bottomwear');
-    addItem(outfit.items?.footwear, 'footwear');
-    outfit.items?.accessories?.forEach(acc => addItem(acc, 'accessories'));
+  const plan = shoppingPlanEngine.buildShoppingPlan(trip?.outfits, {
+    budget: trip?.eventData?.budget,
+    catalog,
+    closetSkus: savedSkus,
+    lockedSkus
   });
 
-  let closet = 0;
-  let catalog = 0;
-  let price = 0;
-  let reused = 0;
-  const items = Array.from(seen.values()).map(entry => {
-    // Check if item is from closet (either saved or has CLOC SKU prefix)
-    const fromCloset = savedSkus.has(entry.sku) || entry.sku?.startsWith('CLOC');
-    if (fromCloset) {
-      closet += 1;
+  if (!plan.items.length) {
+    return (
+      <div className="packing-list empty">
+        <p>No shopping plan available yet. Generate outfits first.</p>
+      </div>
+    );
+  }
+
+  const { totals } = plan;
+  const catalogBySku = new Map(catalog.map(item => [item.sku, item]));
+
+  return (
+    <div className="packing-list shopping-plan">
+      <div className="packing-summary">
+        <div>
+          <h4>To buy</h4>
+          <strong>{totals.catalog}</strong>
+        </div>
+        <div>
+          <h4>From closet</h4>
+          <strong>{totals.closet}</strong>
+        </div>
+        <div>
+          <h4>Total</h4>
+          <strong>${totals.spend}</strong>
+        </div>
+        <div>
+          <h4>Budget</h4>
+          <strong>{totals.budget !== null ? `$${totals.budget}` : '—'}</strong>
+        </div>
+        <div>
+          <h4>Cost per wear</h4>
+          <strong>${totals.costPerWear}</strong>
+        </div>
+      </div>
+
+      {totals.budget !== null && (
+        <p className={`shopping-status ${totals.overBudget ? 'over' : ''}`}>
+          {totals.overBudget
+            ? `$${Math.abs(totals.remaining)} over budget`
+            : `$${totals.remaining} left in the budget`}
+        </p>
+      )}
+
+      {plan.projection && plan.projection.swaps.length > 0 && (
+        <div className="packing-suggestions">
+          <h4>{plan.projection.fitsBudget ? 'Swaps that fit the budget' : 'Swaps that get closest to the budget'}</h4>
+          <p>
+            {plan.projection.swaps.length} {plan.projection.swaps.length === 1 ? 'swap brings' : 'swaps bring'} the total to ${plan.projection.spend}.
+          </p>
+          <button
+            type="button"
+            onClick={() => onApplySubstitutes(plan.projection.swaps.map(({ from, to }) => ({ from, to: catalogBySku.get(to) })))}
+          >
+            Apply all
+          </button>
+        </div>
+      )}
+
+      <ul className="shopping-items">
+        {plan.items.map(item => {
+          const substitute = plan.substitutes.find(entry => entry.sku === item.sku);
+
+          return (
+            <li key={item.sku} className="shopping-item">
+              <div className="shopping-item-row">
+                <span>
+                  <strong>{item.name}</strong>
+                  {item.colors && <span className="packing-wears"> · {item.colors}</span>}
+                </span>
+                <span className="packing-wears">Worn {item.wears}× · ${item.costPerWear}/wear</span>
+                <span className={`packing-source ${item.fromCloset ? 'closet' : 'catalog'}`}>
+                  {item.fromCloset ? 'In closet' : `$${item.cost}`}
+                </span>
+              </div>
+              {substitute && (
+                <ul className="shopping-substitutes">
+                  {substitute.alternatives.map(alternative => (
+                    <li key={alternative.item.sku}>
+                      <span>{alternative.item.name} · ${alternative.item.price} (saves ${alternative.saves}, ${alternative.costPerWear}/wear)</span>
+                      <button type="button" onClick={() => onApplySubstitutes([{ from: item.sku, to: alternative.item }])}>
+                        Swap
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+const AVAILABILITY_LABELS = {
+  'in-stock': 'In stock',
+  'low-stock': 'Low stock',
+  'out-of-stock': 'Out of stock',
+  preorder: 'Pre-order'
+};
+
+const Cart = ({ trip, savedSkus, onChangeSelections }) => {
+  const catalog = useCatalogItems();
+  const [availability, setAvailability] = useState({});
+  const [checkingStock, setCheckingStock] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const selections = trip?.cart?.selections || {};
+  const cart = cartService.buildCart(trip?.outfits, {
+    closetSkus: savedSkus,
+    selections,
+    catalog,
+    availability
+  });
+
+  if (!cart.lines.length) {
+    return (
+      <div className="packing-list empty">
+        <p>Nothing to buy — every piece in these outfits is already in your closet.</p>
+      </div>
+    );
+  }
+
+  const select = (sku, changes) => onChangeSelections(cartService.updateSelection(selections, sku, changes));
+
+  const handleCheckStock = async () => {
+    setCheckingStock(true);
+    const result = await cartService.refreshAvailability(cart);
+    setCheckingStock(false);
+    if (result.success) {
+      setAvailability(result.data);
+      setStatus(null);
     } else {
-      catalog += 1;
-      // Only add price for catalog items (closet items are free)
-      const numericPrice = entry.price ? Number(entry.price) : 0;
-      price += numericPrice;
+      setStatus({ error: true, message: result.error.message });
     }
-    // Count reused items (worn more than once)
-    if (entry.count > 1) {
-      reused += 1;
+  };
+
+  const handleCheckout = () => {
+    const result = cartService.exportCheckoutLink(cart);
+    if (!result.success) {
+      setStatus({ error: true, message: result.error.message });
+      return;
+    }
+
+    window.open(result.data.url, '_blank', 'noopener,noreferrer');
+    setStatus({
+      message: result.data.skipped.length > 0
+        ? `Opened checkout at ${result.data.retailer} without ${result.data.skipped.map(line => line.name).join(', ')} (out of stock)`
+        : `Opened checkout at ${result.data.retailer}`
+    });
+  };
+
+  const handleShareList = async (mode) => {
+    const result = cartService.exportShareableList(cart, { title: `${trip.name} — shopping list` });
+    if (!result.success) {
+      setStatus({ error: true, message: result.error.message });
+      return;
+    }
+
+    if (mode === 'download') {
+      tripExportService.downloadFile(`${tripExportService.getFileStem(trip)}-shopping-list.txt`, result.data, 'text/plain');
+      return;
     }
-    return {
-      ...entry,
-      types: Array.from(entry.types),
-      fromCloset
-    };
-  });
 
-  return {
-    items,
-    totals: {
-      closet,
-      catalog,
-      price: Math.round(price),
-      reused
+    try {
+      await navigator.clipboard.writeText(result.data);
+      setStatus({ message: 'Shopping list copied' });
+    } catch (error) {
+      setStatus({ error: true, message: 'Copying is blocked here — download the list instead' });
     }
   };
+
+  const { totals } = cart;
+
+  return (
+    <div className="packing-list cart">
+      <div className="packing-summary">
+        <div>
+          <h4>Items</h4>
+          <strong>{totals.quantity}</strong>
+        </div>
+        <div>
+          <h4>Subtotal</h4>
+          <strong>${totals.subtotal}</strong>
+        </div>
+        <div>
+          <h4>Out of stock</h4>
+          <strong>{totals.unavailable}</strong>
+        </div>
+        <div>
+          <h4>Sizes to pick</h4>
+          <strong>{totals.needsSize}</strong>
+        </div>
+      </div>
+
+      <ul className="cart-lines">
+        {cart.lines.map(line => (
+          <li key={line.sku} className={`cart-line ${line.included ? '' : 'removed'}`}>
+            <div className="cart-line-info">
+              <strong>{line.name}</strong>
+              <span className="packing-wears">
+                Day {line.days.join(', ')} · ${line.price}
+              </span>
+              {line.availability && (
+                <span className={`cart-availability ${line.availability}`}>
+                  {AVAILABILITY_LABELS[line.availability] || line.availability}
+                </span>
+              )}
+            </div>
+            {line.included ? (
+              <div className="cart-line-options">
+                {line.variants.length > 1 && (
+                  <select value={line.variant?.id || ''} onChange={(e) => select(line.sku, { variantId: e.target.value })}>
+                    {line.variants.map(variant => (
+                      <option key={variant.id} value={variant.id}>{variant.label}</option>
+                    ))}
+                  </select>
+                )}
+                {line.sizes.length > 1 && (
+                  <select value={line.size || ''} onChange={(e) => select(line.sku, { size: e.target.value || null })}>
+                    <option value="">Size</option>
+                    {line.sizes.map(size => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
+                  </select>
+                )}
+                <input
+                  type="number"
+                  min="1"
+                  value={line.quantity}
+                  onChange={(e) => select(line.sku, { quantity: Number(e.target.value) || 1 })}
+                  aria-label={`Quantity of ${line.name}`}
+                />
+                <button type="button" onClick={() => select(line.sku, { removed: true })}>Remove</button>
+              </div>
+            ) : (
+              <div className="cart-line-options">
+                <button type="button" onClick={() => select(line.sku, { removed: false })}>Add back</button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {status && <p className={`cart-status ${status.error ? 'error' : ''}`}>{status.message}</p>}
+
+      <div className="cart-actions">
+        <button type="button" onClick={handleCheckStock} disabled={checkingStock}>
+          {checkingStock ? 'Checking stock…' : 'Check stock'}
+        </button>
+        <button type="button" onClick={() => handleShareList('copy')}>Copy list</button>
+        <button type="button" onClick={() => handleShareList('download')}>Download list</button>
+        <button type="button" className="cart-checkout" onClick={handleCheckout}>
+          Checkout at {cartService.adapter.label} →
+        </button>
+      </div>
+    </div>
+  );
 };
 
-const PackingList = ({ trip, savedSkus, savedItems }) => {
-  const data = summarizePackingList(trip, savedSkus);
+const PackingList = ({ trip, savedSkus, onChangePreferences }) => {
+  const preferences = { luggage: 'carry-on', laundryDay: null, ...trip?.packing };
+  const data = packingListEngine.buildPackingList(trip?.outfits, {
+    duration: trip?.totalDays,
+    laundryDay: preferences.laundryDay,
+    luggage: preferences.luggage,
+    closetSkus: savedSkus
+  });
 
   if (!data.items.length) {
     return (
@@ -622,6 +1630,9 @@ const PackingList = ({ trip, savedSkus, savedItems }) => {
     );
   }
 
+  const tripLength = Math.max(trip?.totalDays || 0, Object.keys(trip?.outfits || {}).length);
+  const usage = (value, max) => Math.min(100, Math.round((value / max) * 100));
+
   return (
     <div className="packing-list">
       <div className="packing-summary">
@@ -646,6 +1657,97 @@ const PackingList = ({ trip, savedSkus, savedItems }) => {
           <strong>${data.totals.price}</strong>
         </div>
       </div>
+
+      <div className="packing-luggage">
+        <div className="packing-options">
+          <label>
+            Luggage
+            <select
+              value={data.luggage.type}
+              onChange={(e) => onChangePreferences({ ...preferences, luggage: e.target.value })}
+            >
+              {Object.entries(LUGGAGE_SIZES).map(([type, size]) => (
+                <option key={type} value={type}>
+                  {size.label} ({size.maxWeight} kg, {size.maxVolume} L)
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Laundry
+            <select
+              value={data.laundry.day || ''}
+              onChange={(e) => onChangePreferences({ ...preferences, laundryDay: e.target.value ? Number(e.target.value) : null })}
+            >
+              <option value="">No laundry</option>
+              {Array.from({ length: Math.max(0, tripLength - 1) }, (_, index) => index + 1).map(day => (
+                <option key={day} value={day}>After day {day}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className={`packing-capacity ${data.luggage.fits ? '' : 'overflow'}`}>
+          <div className="capacity-row">
+            <span>Weight</span>
+            <div className="capacity-bar">
+              <div style={{ width: `${usage(data.totals.weight, data.luggage.maxWeight)}%` }} />
+            </div>
+            <span>{data.totals.weight} / {data.luggage.maxWeight} kg</span>
+          </div>
+          <div className="capacity-row">
+            <span>Volume</span>
+            <div className="capacity-bar">
+              <div style={{ width: `${usage(data.totals.volume, data.luggage.maxVolume)}%` }} />
+            </div>
+            <span>{data.totals.volume} / {data.luggage.maxVolume} L</span>
+          </div>
+          {!data.luggage.fits && (
+            <p className="capacity-warning">
+              Over the {data.luggage.label.toLowerCase()} limit by
+              {data.luggage.overflow.weight > 0 && ` ${data.luggage.overflow.weight} kg`}
+              {data.luggage.overflow.weight > 0 && data.luggage.overflow.volume > 0 && ' and'}
+              {data.luggage.overflow.volume > 0 && ` ${data.luggage.overflow.volume} L`}
+            </p>
+          )}
+        </div>
+
+        {data.suggestions.length > 0 && (
+          <div className="packing-suggestions">
+            <h4>To make it fit</h4>
+            <ul>
+              {data.suggestions.map(suggestion => (
+                <li key={suggestion.sku || suggestion.type}>
+                  {suggestion.type === 'laundry' ? (
+                    <button
+                      type="button"
+                      onClick={() => onChangePreferences({ ...preferences, laundryDay: suggestion.laundryDay })}
+                    >
+                      {suggestion.name}
+                    </button>
+                  ) : (
+                    <strong>Leave {suggestion.name}</strong>
+                  )}
+                  <span> — {suggestion.reason} (saves {suggestion.saves.weight} kg, {suggestion.saves.volume} L)</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div className="packing-essentials">
+        <h4>Essentials</h4>
+        <ul>
+          {data.essentials.map(essential => (
+            <li key={essential.id}>
+              <span>{essential.name}</span>
+              <strong>×{essential.quantity}</strong>
+            </li>
+          ))}
+        </ul>
+      </div>
+
       <div className="packing-grid">
         {data.items.map(item => {
           // Use item.image for closet items, fallback to SKU path for catalog items
@@ -661,7 +1763,10 @@ const PackingList = ({ trip, savedSkus, savedItems }) => {
               <div className="packing-meta">
                 <strong>{item.name}</strong>
                 {item.colors && <span>{item.colors}</span>}
-                <span className="packing-tags">{item.types.join(', ')}</span>
+                <span className="packing-tags">{item.slots.join(', ')}</span>
+                <span className="packing-wears">
+                  Worn {item.wears}×{item.wornOnTravelDay ? ' · wear while travelling' : ''}
+                </span>
                 {hasProductLink ? (
                   <a
                     href={item.productUrl}
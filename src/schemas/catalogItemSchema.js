@@ -0,0 +1,187 @@
+import { z } from 'zod';
+
+/**
+ * Allowed values for catalog and closet item fields
+ */
+export const CATALOG_CATEGORIES = ['topwear', 'bottomwear', 'dress', 'outerwear', 'footwear', 'accessories'];
+export const CATALOG_FORMALITY_LEVELS = ['casual', 'smart-casual', 'formal'];
+export const CATALOG_LAYERING_OPTIONS = ['base', 'mid', 'outer', 'footwear', 'accessory'];
+export const CATALOG_WEATHER_OPTIONS = ['hot', 'warm', 'mild', 'cool', 'cold', 'rain', 'snow', 'all-weather'];
+export const CATALOG_AVAILABILITY_OPTIONS = ['in-stock', 'low-stock', 'out-of-stock', 'preorder'];
+export const CATALOG_FIT_OPTIONS = ['slim', 'regular', 'relaxed', 'oversized'];
+// How much skin a garment covers: minimal (bare shoulders, midriff or above the knee),
+// moderate (covers shoulders and knees), full (covers arms and legs)
+export const CATALOG_COVERAGE_OPTIONS = ['minimal', 'moderate', 'full'];
+export const CATALOG_PRESENTATION_OPTIONS = ['feminine', 'masculine', 'unisex'];
+
+const CATEGORY_ALIASES = {
+    tops: 'topwear',
+    shirts: 'topwear',
+    blouses: 'topwear',
+    dresses: 'dress',
+    bottoms: 'bottomwear',
+    pants: 'bottomwear',
+    trousers: 'bottomwear',
+    skirts: 'bottomwear',
+    shoes: 'footwear',
+    sneakers: 'footwear',
+    boots: 'footwear',
+    jackets: 'outerwear',
+    coats: 'outerwear',
+    accessory: 'accessories',
+    bags: 'accessories'
+};
+
+const LAYERING_ALIASES = {
+    none: undefined
+};
+
+const AVAILABILITY_ALIASES = {
+    'in stock': 'in-stock',
+    available: 'in-stock',
+    'low stock': 'low-stock',
+    'out of stock': 'out-of-stock',
+    'sold out': 'out-of-stock',
+    'pre-order': 'preorder'
+};
+
+const PRESENTATION_ALIASES = {
+    women: 'feminine',
+    womens: 'feminine',
+    men: 'masculine',
+    mens: 'masculine',
+    neutral: 'unisex'
+};
+
+const WEATHER_ALIASES = {
+    all: 'all-weather',
+    rainy: 'rain',
+    snowy: 'snow'
+};
+
+/**
+ * Lowercase and trim a value, treating blanks as missing so defaults apply
+ * @param {*} value - Raw value
+ * @returns {*} Normalized value
+ */
+const toKeyword = (value) => {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    const text = String(value).trim().toLowerCase();
+    return text === '' ? undefined : text;
+};
+
+/**
+ * Map a keyword through an alias table
+ * @param {Object} aliases - Alias table
+ * @returns {Function} Preprocessor
+ */
+const withAliases = (aliases) => (value) => {
+    const keyword = toKeyword(value);
+    return keyword in aliases ? aliases[keyword] : keyword;
+};
+
+/**
+ * Split a comma-separated value (or array) into trimmed, non-empty entries
+ * @param {string|Array} value - Raw value
+ * @returns {Array<string>} Entries
+ */
+const toList = (value) => {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return entries.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+/**
+ * Parse variants written as "label:id" entries ("white:SKU001-WHI, black:SKU001-BLA");
+ * entries without an id use the label, objects pass through
+ * @param {string|Array} value - Raw value
+ * @returns {Array<Object>} Variants as { id, label }
+ */
+const toVariants = (value) => (Array.isArray(value) ? value : toList(value)).map(entry => {
+    if (entry && typeof entry === 'object') {
+        return entry;
+    }
+    const [label, id] = String(entry).split(':').map(part => part.trim());
+    return { id: id || label, label };
+});
+
+/**
+ * Treat blank strings as missing
+ * @param {*} value - Raw value
+ * @returns {*} Value or undefined
+ */
+const blankToUndefined = (value) => (
+    value === null || (typeof value === 'string' && value.trim() === '') ? undefined : value
+);
+
+/**
+ * Zod schema for a clothing item, whether it comes from the catalog, the closet
+ * CSV, the demo dataset or the closet editor. Outputs the normalized shape used
+ * everywhere else (lowercase category, tags array, comma-separated weather).
+ */
+export const catalogItemSchema = z.object({
+    sku: z.string().trim().min(1, 'SKU is required'),
+    name: z.string().trim().min(1, 'Name is required').max(120, 'Name must be 120 characters or fewer'),
+    category: z.preprocess(
+        withAliases(CATEGORY_ALIASES),
+        z.enum(CATALOG_CATEGORIES, { message: `Category must be one of: ${CATALOG_CATEGORIES.join(', ')}` })
+    ),
+    colors: z.preprocess(value => toList(value).join(', '), z.string()),
+    formality: z.preprocess(
+        toKeyword,
+        z.enum(CATALOG_FORMALITY_LEVELS, { message: `Formality must be one of: ${CATALOG_FORMALITY_LEVELS.join(', ')}` }).default('casual')
+    ),
+    layering: z.preprocess(
+        withAliases(LAYERING_ALIASES),
+        z.enum(CATALOG_LAYERING_OPTIONS, { message: `Layering must be one of: ${CATALOG_LAYERING_OPTIONS.join(', ')}` }).optional()
+    ),
+    weatherSuitability: z.preprocess(
+        value => toList(value).map(entry => withAliases(WEATHER_ALIASES)(entry)),
+        z.array(z.enum(CATALOG_WEATHER_OPTIONS, { message: `Weather must be one of: ${CATALOG_WEATHER_OPTIONS.join(', ')}` }))
+    ).transform(conditions => (conditions.length > 0 ? conditions.join(', ') : 'all-weather')),
+    tags: z.preprocess(toList, z.array(z.string().max(40, 'Tags must be 40 characters or fewer'))),
+    price: z.preprocess(
+        blankToUndefined,
+        z.coerce.number({ message: 'Price must be a number' }).min(0, 'Price cannot be negative').default(0)
+    ),
+    image: z.preprocess(blankToUndefined, z.string().optional()),
+    productUrl: z.preprocess(blankToUndefined, z.string().url('Product URL must be a valid URL').optional()),
+    sizes: z.preprocess(toList, z.array(z.string())),
+    variants: z.preprocess(
+        toVariants,
+        z.array(z.object({
+            id: z.string().trim().min(1, 'Variant id is required'),
+            label: z.string().trim().min(1, 'Variant label is required')
+        }))
+    ),
+    availability: z.preprocess(
+        withAliases(AVAILABILITY_ALIASES),
+        z.enum(CATALOG_AVAILABILITY_OPTIONS, { message: `Availability must be one of: ${CATALOG_AVAILABILITY_OPTIONS.join(', ')}` }).nullable().default(null)
+    ),
+    fit: z.preprocess(
+        toKeyword,
+        z.enum(CATALOG_FIT_OPTIONS, { message: `Fit must be one of: ${CATALOG_FIT_OPTIONS.join(', ')}` }).nullable().default(null)
+    ),
+    coverage: z.preprocess(
+        toKeyword,
+        z.enum(CATALOG_COVERAGE_OPTIONS, { message: `Coverage must be one of: ${CATALOG_COVERAGE_OPTIONS.join(', ')}` }).nullable().default(null)
+    ),
+    heelHeight: z.preprocess(
+        blankToUndefined,
+        z.coerce.number({ message: 'Heel height must be a number of centimetres' }).min(0, 'Heel height cannot be negative').nullable().default(null)
+    ),
+    presentation: z.preprocess(
+        withAliases(PRESENTATION_ALIASES),
+        z.enum(CATALOG_PRESENTATION_OPTIONS, { message: `Presentation must be one of: ${CATALOG_PRESENTATION_OPTIONS.join(', ')}` }).nullable().default(null)
+    ),
+    notes: z.preprocess(
+        value => (value === null || value === undefined ? '' : String(value).trim()),
+        z.string().max(500, 'Notes must be 500 characters or fewer')
+    )
+});
+
+export default catalogItemSchema;
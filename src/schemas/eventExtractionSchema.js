@@ -20,7 +20,13 @@ export const EventExtractionSchema = z.object({
             day: z.number().int().min(1),
             activity: z.string().describe("Short description of what happens that day"),
             dressCode: z.enum(['casual', 'smart-casual', 'business', 'formal', 'black-tie'])
-        })).optional().describe("Per-day activity + dress code suggestions when duration > 1")
+        })).optional().describe("Per-day activity + dress code suggestions when duration > 1"),
+        legs: z.array(z.object({
+            location: z.string().describe("City/location of this stop"),
+            startDay: z.number().int().min(1).describe("First trip day spent here"),
+            endDay: z.number().int().min(1).describe("Last trip day spent here"),
+            activities: z.array(z.string()).describe("What happens during this stop")
+        })).optional().describe("Itinerary stops in order when the trip visits more than one place")
     })
 });
 
@@ -52,6 +58,14 @@ export function getEventExtractionSchemaForAI() {
         "activity": string, // Description of activity for that day
         "dressCode": "casual" | "smart-casual" | "business" | "formal" | "black-tie" // Dress code specific to that day
       }
+    ],
+    "legs": [ // Only when the trip visits more than one place; [] otherwise
+      {
+        "location": string, // City/location of this stop
+        "startDay": number, // First trip day spent here (starting at 1)
+        "endDay": number, // Last trip day spent here
+        "activities": string[] // What happens during this stop
+      }
     ]
   }
 }`;
@@ -11,23 +11,31 @@ const outfitSlotSchema = z.object({
     notes: z.string().optional()
 });
 
+// Catalog categories for one-piece dresses, which fill the top slot and stand in for bottomwear
+export const DRESS_CATEGORIES = ['dress', 'dresses'];
+
 const stylingSchema = z.object({
     rationale: z.string().min(1, 'Styling rationale is required'),
     weatherConsiderations: z.string().min(1, 'Weather considerations are required'),
     dresscodeCompliance: z.string().min(1, 'Dress code compliance is required')
 });
 
-const dailyOutfitSchema = z.object({
+export const dailyOutfitSchema = z.object({
     day: z.number().int().positive(),
     date: z.string().optional(),
     occasion: z.string().optional(),
     outfit: z.object({
         topwear: outfitSlotSchema,
-        bottomwear: outfitSlotSchema,
+        bottomwear: outfitSlotSchema.nullable().optional(),
         footwear: outfitSlotSchema,
         outerwear: outfitSlotSchema.nullable().optional(),
         accessories: z.array(outfitSlotSchema).optional().default([])
-    }),
+    }).refine(
+        // Model slots carry only a SKU, so hydration checks those against the catalog
+        outfit => outfit.bottomwear || !outfit.topwear.category ||
+            DRESS_CATEGORIES.includes(outfit.topwear.category.toLowerCase().trim()),
+        { message: 'Bottomwear is required unless the top is a dress', path: ['bottomwear'] }
+    ),
     styling: stylingSchema
 });
 
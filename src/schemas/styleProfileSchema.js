@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { CATALOG_FIT_OPTIONS } from './catalogItemSchema';
+
+/**
+ * Allowed values for style profile fields
+ */
+export const GENDER_PRESENTATIONS = ['feminine', 'masculine', 'androgynous'];
+// none: any coverage; moderate: shoulders and knees covered; full: arms and legs covered
+export const MODESTY_LEVELS = ['none', 'moderate', 'full'];
+export const MAX_HEEL_HEIGHT_CM = 15;
+
+/**
+ * Lowercase and trim a value, treating blanks as missing so defaults apply
+ * @param {*} value - Raw value
+ * @returns {*} Normalized value
+ */
+const toKeyword = (value) => {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    const text = String(value).trim().toLowerCase();
+    return text === '' ? undefined : text;
+};
+
+/**
+ * Split a comma-separated value (or array) into unique lowercase entries
+ * @param {string|Array} value - Raw value
+ * @returns {Array<string>} Entries
+ */
+const toKeywordList = (value) => {
+    const entries = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(entries.map(toKeyword).filter(Boolean))];
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Zod schema for the traveler's style profile. Every rule is optional: an empty
+ * profile leaves the catalog and the prompt unrestricted.
+ */
+export const styleProfileSchema = z.object({
+    name: z.preprocess(toText, z.string().max(60, 'Name must be 60 characters or fewer')),
+    genderPresentation: z.preprocess(
+        toKeyword,
+        z.enum(GENDER_PRESENTATIONS, { message: `Gender presentation must be one of: ${GENDER_PRESENTATIONS.join(', ')}` }).nullable().default(null)
+    ),
+    fits: z.preprocess(
+        toKeywordList,
+        z.array(z.enum(CATALOG_FIT_OPTIONS, { message: `Fit must be one of: ${CATALOG_FIT_OPTIONS.join(', ')}` }))
+    ),
+    preferredColors: z.preprocess(toKeywordList, z.array(z.string().max(30, 'Colors must be 30 characters or fewer'))),
+    avoidedColors: z.preprocess(toKeywordList, z.array(z.string().max(30, 'Colors must be 30 characters or fewer'))),
+    maxHeelHeight: z.preprocess(
+        value => (value === null || (typeof value === 'string' && value.trim() === '') ? undefined : value),
+        z.coerce.number({ message: 'Heel height must be a number of centimetres' })
+            .min(0, 'Heel height cannot be negative')
+            .max(MAX_HEEL_HEIGHT_CM, `Heel height must be ${MAX_HEEL_HEIGHT_CM} cm or less`)
+            .nullable()
+            .default(null)
+    ),
+    modesty: z.preprocess(
+        toKeyword,
+        z.enum(MODESTY_LEVELS, { message: `Modesty must be one of: ${MODESTY_LEVELS.join(', ')}` }).default('none')
+    ),
+    culturalNotes: z.preprocess(toText, z.string().max(300, 'Cultural notes must be 300 characters or fewer'))
+}).refine(
+    profile => profile.preferredColors.every(color => !profile.avoidedColors.includes(color)),
+    { message: 'A color cannot be both preferred and avoided', path: ['avoidedColors'] }
+);
+
+export default styleProfileSchema;
@@ -4,6 +4,8 @@
  * Provides caching and error handling for CSV operations
  */
 
+import catalogNormalizer from './catalogNormalizer';
+
 class CSVLoader {
     constructor() {
         this.cache = new Map();
@@ -84,38 +86,29 @@ class CSVLoader {
     }
 
     /**
-     * Parse CSV content into structured data
+     * Parse CSV content into raw row objects keyed by header.
+     * Uses the catalog normalizer's tokenizer; use catalogNormalizer.normalizeCSV
+     * to get validated clothing items with row-level errors.
      * @param {string} csvContent - Raw CSV content
      * @returns {Array<Object>} Parsed CSV data as array of objects
      */
     parseCSV(csvContent) {
         try {
-            const lines = csvContent.trim().split('\n');
+            const { headers, rows } = catalogNormalizer.parseCSV(csvContent.trim());
 
-            if (lines.length < 2) {
+            if (rows.length === 0) {
                 throw new Error('CSV must contain header and at least one data row');
             }
 
-            const headers = lines[0].split(',').map(header => header.trim());
-            const data = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const values = this.parseCSVLine(lines[i]);
-
-                if (values.length !== headers.length) {
-                    console.warn(`Row ${i + 1} has ${values.length} values but expected ${headers.length}`);
-                    continue;
-                }
-
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index];
-                });
-
-                data.push(row);
-            }
-
-            return data;
+            return rows
+                .filter(({ line, values }) => {
+                    if (values.length !== headers.length) {
+                        console.warn(`Row ${line} has ${values.length} values but expected ${headers.length}`);
+                        return false;
+                    }
+                    return true;
+                })
+                .map(({ values }) => Object.fromEntries(headers.map((header, index) => [header, values[index]])));
 
         } catch (error) {
             console.error('CSV parsing error:', error);
@@ -129,25 +122,7 @@ class CSVLoader {
      * @returns {Array<string>} Parsed values
      */
     parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-
-        values.push(current.trim());
-        return values;
+        return catalogNormalizer.splitCSVLine(line);
     }
 
     /**
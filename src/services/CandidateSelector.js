@@ -0,0 +1,230 @@
+/**
+ * CandidateSelector
+ *
+ * Shortlists the catalog before it is pasted into the outfit prompt. Each day's dress
+ * code and forecast are matched with ClothingAnalysisEngine.filterByDressCode and
+ * filterByWeather; per outfit slot the items that suit the most days are kept, and the
+ * shortlist is trimmed until its CSV fits a token budget. Pinned SKUs (closet items,
+ * locks, pieces already worn) are always kept.
+ */
+
+import { clothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { offlineOutfitSolver } from './OfflineOutfitSolver';
+import catalogNormalizer, { CATALOG_CSV_COLUMNS } from './catalogNormalizer';
+
+// Rough prompt cost of text: English prose and CSV average about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Default token budget for the catalog CSV in the outfit prompt
+export const DEFAULT_CATALOG_TOKEN_BUDGET = 4000;
+
+// Catalog items shortlisted per outfit slot before the token budget is applied
+const DEFAULT_SLOT_LIMIT = 10;
+
+// Slots every outfit needs, so the shortlist never leaves them empty
+const REQUIRED_SLOTS = ['topwear', 'bottomwear', 'footwear'];
+
+// Filters dropped, in order, when a required slot has no matching item
+const RELAXATIONS = [
+    { relaxed: null, weather: true, dressCode: true },
+    { relaxed: 'weather', weather: false, dressCode: true },
+    { relaxed: 'dressCode', weather: true, dressCode: false },
+    { relaxed: 'all', weather: false, dressCode: false }
+];
+
+/**
+ * CandidateSelector class for prompt-sized catalog shortlists
+ */
+export class CandidateSelector {
+    constructor() {
+        this.clothingAnalysisEngine = clothingAnalysisEngine;
+        this.solver = offlineOutfitSolver;
+    }
+
+    /**
+     * Shortlist the items the model is offered
+     * @param {Object} params
+     * @param {Array<Object>} params.items - Catalog and closet items
+     * @param {Object} params.eventDetails - Confirmed trip details (duration, dressCode, dayPlans)
+     * @param {Object|null} params.weather - Weather context with dailyForecasts
+     * @param {Array<string>} params.keepSkus - SKUs that must stay (closet items, locks, pieces already worn)
+     * @param {number} params.tokenBudget - Token budget for the catalog CSV
+     * @param {number} params.slotLimit - Catalog items kept per slot before trimming
+     * @returns {Object} { skus: Set of shortlisted SKUs, rationale }
+     */
+    selectCandidates({ items = [], eventDetails = {}, weather = null, keepSkus = [], tokenBudget = DEFAULT_CATALOG_TOKEN_BUDGET, slotLimit = DEFAULT_SLOT_LIMIT }) {
+        const pinned = new Set(keepSkus);
+        const kept = items.filter(item => pinned.has(item.sku));
+        const keptSkus = new Set(kept.map(item => item.sku));
+        const catalogItems = items.filter(item => !keptSkus.has(item.sku));
+
+        const days = this.getDayRequirements(eventDetails, weather);
+        const keptBySlot = this.solver.groupItemsBySlot(kept);
+        const catalogBySlot = this.solver.groupItemsBySlot(catalogItems);
+
+        const slots = {};
+        const shortlistBySlot = {};
+        Object.entries(catalogBySlot).forEach(([slot, slotItems]) => {
+            const needsItem = REQUIRED_SLOTS.includes(slot) && keptBySlot[slot].length === 0;
+            const { ranked, relaxed } = this.rankSlot(slotItems, days, needsItem);
+
+            shortlistBySlot[slot] = ranked.slice(0, slotLimit);
+            slots[slot] = {
+                available: slotItems.length,
+                matched: ranked.length,
+                kept: keptBySlot[slot].map(item => item.sku),
+                relaxed,
+                minimum: needsItem ? 1 : 0
+            };
+        });
+
+        const { trimmed, estimatedTokens } = this.trimToBudget(kept, shortlistBySlot, slots, tokenBudget);
+
+        Object.entries(shortlistBySlot).forEach(([slot, shortlist]) => {
+            slots[slot].shortlisted = shortlist.map(({ item }) => item.sku);
+            slots[slot].reason = this.describeSlot(slot, slots[slot], shortlist, days);
+            delete slots[slot].minimum;
+        });
+
+        const skus = new Set([...keptSkus, ...Object.values(shortlistBySlot).flat().map(({ item }) => item.sku)]);
+
+        return {
+            skus,
+            rationale: {
+                totalItems: items.length,
+                shortlistedItems: skus.size,
+                keptSkus: Array.from(keptSkus),
+                days: days.map(({ day, dressCode, conditions }) => ({ day, dressCode, conditions })),
+                slots,
+                tokenBudget,
+                estimatedTokens,
+                fullCatalogTokens: this.estimateCatalogTokens(items),
+                trimmedForBudget: trimmed,
+                overBudget: estimatedTokens > tokenBudget,
+                selectedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Dress code and weather conditions for every day of the trip
+     * @param {Object} eventDetails - Trip details
+     * @param {Object|null} weather - Weather context with dailyForecasts
+     * @returns {Array<Object>} { day, dressCode, conditions }
+     */
+    getDayRequirements(eventDetails, weather) {
+        const duration = Math.max(1, eventDetails.duration || 1);
+        const forecasts = weather?.dailyForecasts || [];
+
+        return Array.from({ length: duration }, (_, index) => {
+            const day = index + 1;
+            const plan = this.solver.getDayPlan(eventDetails, day);
+            return {
+                day,
+                dressCode: plan?.dressCode || eventDetails.dressCode || null,
+                conditions: this.solver.getWeatherConditions(this.solver.getDayForecast(forecasts, day))
+            };
+        });
+    }
+
+    /**
+     * Rank a slot's catalog items by how many days they suit, relaxing the filters
+     * when a required slot would otherwise be empty
+     * @returns {Object} { ranked: [{ item, days }], relaxed }
+     */
+    rankSlot(items, days, needsItem) {
+        for (const relaxation of RELAXATIONS) {
+            const ranked = items
+                .map(item => ({ item, days: days.filter(day => this.suitsDay(item, day, relaxation)).map(({ day }) => day) }))
+                .filter(entry => entry.days.length > 0)
+                .sort((a, b) => b.days.length - a.days.length
+                    || (Number(a.item.price) || 0) - (Number(b.item.price) || 0)
+                    || a.item.sku.localeCompare(b.item.sku));
+
+            if (ranked.length > 0 || !needsItem) {
+                return { ranked, relaxed: relaxation.relaxed };
+            }
+        }
+
+        return { ranked: [], relaxed: 'all' };
+    }
+
+    suitsDay(item, { dressCode, conditions }, relaxation) {
+        if (relaxation.dressCode && dressCode && this.clothingAnalysisEngine.filterByDressCode([item], dressCode).length === 0) {
+            return false;
+        }
+        if (relaxation.weather && conditions.length > 0 && this.clothingAnalysisEngine.filterByWeather([item], conditions).length === 0) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Drop the lowest-ranked catalog item of the fullest slot until the CSV fits the budget;
+     * kept items are never dropped, and required slots keep at least one item
+     * @returns {Object} { trimmed: SKUs dropped, estimatedTokens }
+     */
+    trimToBudget(kept, shortlistBySlot, slots, tokenBudget) {
+        const rowTokens = item => this.estimateTokens(`${catalogNormalizer.toCSVRow(item)}\n`);
+        let estimatedTokens = this.estimateTokens(`${CATALOG_CSV_COLUMNS.join(',')}\n`)
+            + kept.reduce((total, item) => total + rowTokens(item), 0)
+            + Object.values(shortlistBySlot).flat().reduce((total, { item }) => total + rowTokens(item), 0);
+        const trimmed = [];
+
+        while (estimatedTokens > tokenBudget) {
+            const [slot] = Object.entries(shortlistBySlot)
+                .filter(([name, shortlist]) => shortlist.length > slots[name].minimum)
+                .sort((a, b) => b[1].length - a[1].length)[0] || [];
+            if (!slot) {
+                break;
+            }
+
+            const { item } = shortlistBySlot[slot].pop();
+            estimatedTokens -= rowTokens(item);
+            trimmed.push(item.sku);
+        }
+
+        return { trimmed, estimatedTokens };
+    }
+
+    /**
+     * Estimated prompt tokens of the CSV for a set of items
+     * @param {Array<Object>} items - Items
+     * @returns {number} Tokens
+     */
+    estimateCatalogTokens(items) {
+        return this.estimateTokens(catalogNormalizer.buildDataset(items).csvContent);
+    }
+
+    /**
+     * Estimated prompt tokens of a text
+     * @param {string} text - Text
+     * @returns {number} Tokens
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+
+    describeSlot(slot, { available, matched, kept, relaxed }, shortlist, days) {
+        const dressCodes = [...new Set(days.map(day => day.dressCode).filter(Boolean))];
+        const conditions = [...new Set(days.flatMap(day => day.conditions))];
+        const filters = [
+            dressCodes.length > 0 && `${dressCodes.join('/')} dress code`,
+            conditions.length > 0 && `${conditions.join('/')} weather`
+        ].filter(Boolean).join(' and ') || 'the trip';
+        const relaxedNote = {
+            weather: ' (no match for the forecast, so weather was ignored)',
+            dressCode: ' (no match for the dress code, so it was ignored)',
+            all: ' (nothing matched, so any item was allowed)'
+        }[relaxed] || '';
+
+        return `${matched} of ${available} catalog ${slot} items suit ${filters}${relaxedNote}; offering ${shortlist.length}` +
+            `${kept.length > 0 ? ` plus ${kept.length} from the closet or locks` : ''}`;
+    }
+}
+
+// Export singleton instance
+export const candidateSelector = new CandidateSelector();
+
+// Export class for testing and custom instances
+export default CandidateSelector;
@@ -0,0 +1,214 @@
+/**
+ * CatalogSearchIndex
+ * In-browser hybrid search over catalog and closet items. Structured filters (category,
+ * price, formality, weather, color) decide which items qualify; BM25 over name, tags and
+ * notes ranks them. Used by knowledgeBaseService in place of a Bedrock Knowledge Base.
+ */
+
+import { clothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { colorHarmonyEngine } from './ColorHarmonyEngine';
+
+// BM25 term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Term-frequency weight of each indexed field (a word in the name says more than one in the notes)
+const FIELD_WEIGHTS = {
+    name: 3,
+    tags: 2,
+    category: 2,
+    notes: 1
+};
+
+// Largest CIEDE2000 distance at which a garment color counts as the requested color
+const COLOR_MATCH_DISTANCE = 20;
+
+// Words that carry no meaning in catalog queries ("find blue items in tops category")
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+    'me', 'my', 'of', 'on', 'or', 'some', 'that', 'the', 'to', 'with', 'within',
+    'find', 'show', 'recommend', 'item', 'items', 'clothing', 'piece', 'pieces', 'category',
+    'colored', 'suitable', 'appropriate', 'weather', 'priced', 'between', 'above', 'under', 'style'
+]);
+
+export class CatalogSearchIndex {
+    /**
+     * @param {Array<Object>} items - Normalized catalog and closet items
+     */
+    constructor(items = []) {
+        this.documents = items.map(item => this.buildDocument(item));
+        this.documentFrequency = new Map();
+        this.documents.forEach(document => {
+            document.terms.forEach((count, term) => {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            });
+        });
+        this.averageLength = this.documents.reduce((total, document) => total + document.length, 0) / (this.documents.length || 1);
+    }
+
+    get size() {
+        return this.documents.length;
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Free text ranked with BM25
+     * @param {Object} filters - Structured filters (see filterItems)
+     * @param {Object} options
+     * @param {number} options.limit - Maximum results
+     * @returns {Array<Object>} Results as { item, score, textScore } with score normalized to 0-1
+     */
+    search(query = '', filters = {}, { limit = 10 } = {}) {
+        const queryTerms = [...new Set(this.tokenize(query))].filter(term => this.documentFrequency.has(term));
+        const filtered = this.hasFilters(filters);
+        const candidates = filtered ? this.filterDocuments(filters) : this.documents;
+
+        const scored = candidates
+            .map(document => ({ document, textScore: this.scoreDocument(document, queryTerms) }))
+            // Without filters only text matches qualify; with filters the text just ranks them
+            .filter(({ textScore }) => filtered || textScore > 0)
+            .sort((a, b) => b.textScore - a.textScore
+                || Number(b.document.fromCloset) - Number(a.document.fromCloset)
+                || a.document.item.sku.localeCompare(b.document.item.sku));
+
+        const topScore = scored[0]?.textScore || 0;
+        return scored.slice(0, limit).map(({ document, textScore }) => ({
+            item: document.item,
+            textScore: Math.round(textScore * 1000) / 1000,
+            score: topScore > 0 ? Math.round((textScore / topScore) * 100) / 100 : 1
+        }));
+    }
+
+    /**
+     * Items passing every given filter
+     * @param {Object} filters
+     * @param {string|Array<string>} filters.categories - Categories or groups ('tops', 'shoes', ...)
+     * @param {string|Array<string>} filters.colors - Color names or hex values, matched perceptually
+     * @param {number} filters.minPrice - Lowest price
+     * @param {number} filters.maxPrice - Highest price
+     * @param {string} filters.dressCode - Dress code the item's formality must suit
+     * @param {string|Array<string>} filters.weather - Weather conditions ('cold', 'rainy', ...)
+     * @param {string} filters.source - 'closet' or 'catalog'
+     * @returns {Array<Object>} Matching items
+     */
+    filterItems(filters = {}) {
+        return this.filterDocuments(filters).map(document => document.item);
+    }
+
+    filterDocuments(filters = {}) {
+        const { categories, colors, minPrice, maxPrice, dressCode, weather, source } = filters;
+
+        const categoryTerms = [].concat(categories || []).flatMap(category =>
+            clothingAnalysisEngine.categoryMappings[category.toLowerCase()] || [category]
+        );
+        let items = clothingAnalysisEngine.filterByCriteria(this.documents.map(document => document.item), {
+            categories: categoryTerms.length > 0 ? categoryTerms : null,
+            dressCode: dressCode || null,
+            weather: weather ? [].concat(weather) : null,
+            maxPrice: typeof maxPrice === 'number' ? maxPrice : null
+        });
+
+        if (typeof minPrice === 'number') {
+            items = items.filter(item => item.price >= minPrice);
+        }
+
+        const wantedColors = colorHarmonyEngine.parseColors(colors || []);
+        if (wantedColors.length > 0) {
+            items = items.filter(item => this.matchesColors(item, wantedColors));
+        }
+
+        const allowed = new Set(items);
+        return this.documents.filter(document =>
+            allowed.has(document.item) && (!source || (source === 'closet') === document.fromCloset)
+        );
+    }
+
+    hasFilters(filters = {}) {
+        return ['categories', 'colors', 'minPrice', 'maxPrice', 'dressCode', 'weather', 'source']
+            .some(key => filters[key] !== undefined && filters[key] !== null && filters[key] !== '' && [].concat(filters[key]).length > 0);
+    }
+
+    /**
+     * Whether any of an item's colors is perceptually close to a requested one
+     */
+    matchesColors(item, wantedColors) {
+        const itemColors = colorHarmonyEngine.parseColors(item.colors);
+
+        return wantedColors.some(wanted => itemColors.some(color => {
+            if (wanted.pattern || color.pattern) {
+                return wanted.name === color.name;
+            }
+            return colorHarmonyEngine.deltaE(wanted.lab, color.lab) <= COLOR_MATCH_DISTANCE;
+        }));
+    }
+
+    /**
+     * BM25 score of a document for a set of query terms
+     */
+    scoreDocument(document, queryTerms) {
+        return queryTerms.reduce((score, term) => {
+            const frequency = document.terms.get(term);
+            if (!frequency) {
+                return score;
+            }
+
+            const documentFrequency = this.documentFrequency.get(term);
+            const idf = Math.log(1 + (this.documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            const saturation = (frequency * (BM25_K1 + 1))
+                / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * (document.length / this.averageLength)));
+
+            return score + idf * saturation;
+        }, 0);
+    }
+
+    /**
+     * Weighted term frequencies of an item's searchable fields
+     */
+    buildDocument(item) {
+        const terms = new Map();
+        let length = 0;
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const value = Array.isArray(item[field]) ? item[field].join(' ') : item[field];
+            this.tokenize(value).forEach(term => {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                length += weight;
+            });
+        });
+
+        return { item, terms, length, fromCloset: Boolean(item.sku?.startsWith('CLOC')) };
+    }
+
+    /**
+     * Lowercase, accent-free, singular word stems without stop words
+     * @param {string} text - Text
+     * @returns {Array<string>} Terms
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !STOP_WORDS.has(word))
+            .map(word => this.stem(word));
+    }
+
+    /**
+     * Strip plural endings so "dresses" matches "dress" and "boots" matches "boot"
+     */
+    stem(word) {
+        if (word.length > 4 && /(ss|x|ch|sh)es$/.test(word)) {
+            return word.slice(0, -2);
+        }
+        if (word.length > 4 && word.endsWith('ies')) {
+            return `${word.slice(0, -3)}y`;
+        }
+        if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+            return word.slice(0, -1);
+        }
+        return word;
+    }
+}
+
+// Export class for testing and custom instances
+export default CatalogSearchIndex;
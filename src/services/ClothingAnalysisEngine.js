@@ -6,6 +6,8 @@
  * and category-based item grouping.
  */
 
+import { colorHarmonyEngine } from './ColorHarmonyEngine';
+
 /**
  * ClothingAnalysisEngine class for analyzing and filtering clothing items
  */
@@ -28,6 +30,7 @@ export class ClothingAnalysisEngine {
             'casual': ['casual', 'smart-casual'],
             'smart-casual': ['smart-casual', 'casual', 'formal'],
             'business-casual': ['smart-casual', 'formal'],
+            'business': ['smart-casual', 'formal'],
             'formal': ['formal', 'smart-casual'],
             'black-tie': ['formal']
         };
@@ -40,6 +43,20 @@ export class ClothingAnalysisEngine {
             'shoes': ['footwear', 'shoes', 'boots', 'sneakers', 'heels'],
             'accessories': ['accessories', 'jewelry', 'belt', 'hat', 'scarf']
         };
+
+        // Garment coverage levels each modesty level allows
+        this.modestyCoverage = {
+            'none': ['minimal', 'moderate', 'full'],
+            'moderate': ['moderate', 'full'],
+            'full': ['full']
+        };
+
+        // Garment presentations excluded for each gender presentation
+        this.excludedPresentations = {
+            'feminine': ['masculine'],
+            'masculine': ['feminine'],
+            'androgynous': []
+        };
     }
 
     /**
@@ -73,11 +90,17 @@ export class ClothingAnalysisEngine {
         });
 
         return items.filter(item => {
-            if (!item.weather_suitability) {
+            const weatherSuitability = item.weather_suitability || item.weatherSuitability;
+            if (!weatherSuitability) {
                 return false;
             }
 
-            const itemWeatherSuitability = item.weather_suitability.toLowerCase();
+            const itemWeatherSuitability = weatherSuitability.toLowerCase();
+
+            // All-weather items suit any conditions
+            if (itemWeatherSuitability === 'all' || itemWeatherSuitability.includes('all-weather')) {
+                return true;
+            }
 
             // Check if any of the applicable weather keywords match
             return Array.from(applicableWeatherKeywords).some(keyword =>
@@ -105,13 +128,69 @@ export class ClothingAnalysisEngine {
                 return false;
             }
 
-            const itemFormality = item.formality.toLowerCase();
-            return applicableFormalityLevels.some(level =>
-                itemFormality.includes(level) || level.includes(itemFormality)
-            );
+            // Exact match: substring checks would let 'casual' through for 'smart-casual' levels
+            const itemFormality = item.formality.toLowerCase().trim();
+            return applicableFormalityLevels.includes(itemFormality);
         });
     }
 
+    /**
+     * Filter items by the traveler's style profile
+     * @param {Array<ClothingItem>} items - Array of clothing items
+     * @param {Object} styleProfile - Style profile (see styleProfileSchema)
+     * @returns {Array<ClothingItem>} Items that break none of the profile's rules
+     */
+    filterByStyleProfile(items, styleProfile) {
+        if (!items || !Array.isArray(items) || !styleProfile) {
+            return items || [];
+        }
+
+        return items.filter(item => this.getStyleProfileViolations(item, styleProfile).length === 0);
+    }
+
+    /**
+     * List the style profile rules an item breaks. Items that don't record an
+     * attribute (fit, coverage, heel height, presentation) pass the rule for it.
+     * @param {ClothingItem} item - Clothing item
+     * @param {Object} styleProfile - Style profile (see styleProfileSchema)
+     * @returns {Array<string>} Broken rules: 'presentation', 'fit', 'color', 'heelHeight', 'coverage'
+     */
+    getStyleProfileViolations(item, styleProfile) {
+        if (!item || !styleProfile) {
+            return [];
+        }
+
+        const violations = [];
+        const keyword = value => (value || '').toString().toLowerCase().trim();
+
+        const excludedPresentations = this.excludedPresentations[styleProfile.genderPresentation] || [];
+        if (excludedPresentations.includes(keyword(item.presentation))) {
+            violations.push('presentation');
+        }
+
+        const fits = styleProfile.fits || [];
+        if (fits.length > 0 && item.fit && !fits.includes(keyword(item.fit))) {
+            violations.push('fit');
+        }
+
+        const itemColors = keyword(item.colors);
+        if ((styleProfile.avoidedColors || []).some(color => itemColors.includes(color.toLowerCase()))) {
+            violations.push('color');
+        }
+
+        const maxHeelHeight = styleProfile.maxHeelHeight;
+        if (typeof maxHeelHeight === 'number' && typeof item.heelHeight === 'number' && item.heelHeight > maxHeelHeight) {
+            violations.push('heelHeight');
+        }
+
+        const allowedCoverage = this.modestyCoverage[styleProfile.modesty] || this.modestyCoverage.none;
+        if (item.coverage && !allowedCoverage.includes(keyword(item.coverage))) {
+            violations.push('coverage');
+        }
+
+        return violations;
+    }
+
     /**
      * Group items by category
      * @param {Array<ClothingItem>} items - Array of clothing items
@@ -177,6 +256,7 @@ export class ClothingAnalysisEngine {
      * @param {string|Array<string>} criteria.categories - Categories to include
      * @param {number} criteria.maxPrice - Maximum price filter
      * @param {Array<string>} criteria.colors - Preferred colors
+     * @param {Object} criteria.styleProfile - Traveler's style profile (presentation, fit, colors, heels, modesty)
      * @returns {Array<ClothingItem>} Filtered items
      */
     filterByCriteria(items, criteria = {}) {
@@ -229,6 +309,11 @@ export class ClothingAnalysisEngine {
             });
         }
 
+        // Apply style profile filter
+        if (criteria.styleProfile) {
+            filteredItems = this.filterByStyleProfile(filteredItems, criteria.styleProfile);
+        }
+
         return filteredItems;
     }
 
@@ -401,54 +486,13 @@ export class ClothingAnalysisEngine {
             return { compatible: true, score: 0.8, reason: 'Color information missing' };
         }
 
-        const colors1 = this.extractColors(item1.colors);
-        const colors2 = this.extractColors(item2.colors);
-
-        // Define color compatibility rules
-        const neutralColors = ['white', 'black', 'grey', 'gray', 'beige', 'cream', 'navy', 'brown'];
-        const complementaryPairs = [
-            ['blue', 'orange'], ['red', 'green'], ['yellow', 'purple'],
-            ['navy', 'white'], ['black', 'white'], ['grey', 'yellow']
-        ];
-        const clashingCombinations = [
-            ['red', 'pink'], ['orange', 'red'], ['purple', 'pink'],
-            ['green', 'red'], ['blue', 'green']
-        ];
-
-        // Check for exact matches (always compatible)
-        const hasCommonColor = colors1.some(color1 =>
-            colors2.some(color2 => color1 === color2)
-        );
-        if (hasCommonColor) {
-            return { compatible: true, score: 1.0, reason: 'Matching colors' };
-        }
-
-        // Check for neutral combinations (highly compatible)
-        const hasNeutral1 = colors1.some(color => neutralColors.includes(color));
-        const hasNeutral2 = colors2.some(color => neutralColors.includes(color));
-        if (hasNeutral1 || hasNeutral2) {
-            return { compatible: true, score: 0.9, reason: 'Neutral color combination' };
-        }
-
-        // Check for complementary colors
-        const isComplementary = complementaryPairs.some(pair => {
-            return (colors1.includes(pair[0]) && colors2.includes(pair[1])) ||
-                (colors1.includes(pair[1]) && colors2.includes(pair[0]));
-        });
-        if (isComplementary) {
-            return { compatible: true, score: 0.85, reason: 'Complementary colors' };
-        }
-
-        // Check for clashing combinations
-        const isClashing = clashingCombinations.some(clash => {
-            return (colors1.includes(clash[0]) && colors2.includes(clash[1])) ||
-                (colors1.includes(clash[1]) && colors2.includes(clash[0]));
-        });
-        if (isClashing) {
-            return { compatible: false, score: 0.3, reason: 'Clashing color combination' };
+        // Colors are compared in perceptual (CIELAB) space, so shades and hex values work too
+        const harmony = colorHarmonyEngine.scoreColors(item1.colors, item2.colors);
+        if (harmony) {
+            return { compatible: harmony.compatible, score: harmony.score, reason: harmony.reason };
         }
 
-        // Default: moderately compatible
+        // Neither item has a color the engine recognizes
         return { compatible: true, score: 0.7, reason: 'Acceptable color combination' };
     }
 
@@ -0,0 +1,742 @@
+/**
+ * ColorHarmonyEngine
+ *
+ * Maps garment colors (names such as "navy" or "dark grey", hex values and colors
+ * sampled from photos) into CIELAB and its polar form LCh, so they can be compared
+ * perceptually rather than by name. Pairings are scored as monochrome, analogous,
+ * complementary, triadic, neutral or clashing, and a whole trip's colors can be
+ * checked for palette coherence.
+ */
+
+// Garment color names and the sRGB value each one stands for
+export const NAMED_COLORS = {
+    white: '#f8f8f6',
+    ivory: '#f3eedb',
+    cream: '#efe4c8',
+    beige: '#d8c3a0',
+    nude: '#d9b49b',
+    tan: '#c19a6b',
+    camel: '#b88a55',
+    khaki: '#bfae85',
+    brown: '#6f4a30',
+    chocolate: '#4a2f22',
+    grey: '#8e8e8e',
+    gray: '#8e8e8e',
+    'light grey': '#c8c8c8',
+    'dark grey': '#4f4f4f',
+    charcoal: '#3a3b3d',
+    black: '#171717',
+    navy: '#1f2a44',
+    blue: '#2f5ea8',
+    'light blue': '#9ec3e6',
+    denim: '#4a6a8f',
+    teal: '#1f7a7a',
+    turquoise: '#37b6b0',
+    green: '#2e8b57',
+    'dark green': '#1f4d36',
+    olive: '#6b6b2f',
+    sage: '#9caf88',
+    mint: '#b5e3c7',
+    yellow: '#f2d13c',
+    mustard: '#c9a227',
+    gold: '#c8a44d',
+    orange: '#e8782a',
+    coral: '#f27e6b',
+    salmon: '#f29b84',
+    red: '#c8262e',
+    burgundy: '#6d1a2a',
+    wine: '#6a2233',
+    maroon: '#6b1f24',
+    pink: '#f2a7bf',
+    rose: '#d8838f',
+    blush: '#eac4c4',
+    fuchsia: '#c2307e',
+    purple: '#6a3d9a',
+    plum: '#6b3456',
+    lavender: '#b9a6d9',
+    lilac: '#c8a2c8',
+    silver: '#b8bcc0',
+    bronze: '#8c6a3f'
+};
+
+// Words that describe a print or several colors rather than a single color
+const PATTERN_WORDS = ['multicolor', 'multicolour', 'multi', 'floral', 'print', 'printed', 'striped', 'stripes', 'plaid', 'checked', 'check', 'patterned', 'graphic', 'leopard', 'camo'];
+
+// Lightness and chroma shifts for modifiers in names like "pale pink" or "deep red"
+const MODIFIERS = {
+    light: { L: 15, C: 0.8 },
+    pale: { L: 20, C: 0.6 },
+    pastel: { L: 20, C: 0.6 },
+    dark: { L: -15, C: 1 },
+    deep: { L: -12, C: 1.1 },
+    bright: { L: 5, C: 1.25 },
+    muted: { L: 0, C: 0.6 },
+    dusty: { L: 0, C: 0.6 }
+};
+
+// Colors a garment is commonly worn with, used to rate how easily a color mixes
+const REFERENCE_PALETTE = [
+    'white', 'black', 'grey', 'navy', 'beige', 'brown', 'denim', 'cream',
+    'light blue', 'olive', 'burgundy', 'red', 'pink', 'mustard', 'green'
+];
+
+// Hue pairs that sit close on the color wheel but are kept as clashes, as the
+// original rule-based color check treated them ("pale pink" counts as pink)
+const CLASHING_PAIRS = [
+    ['red', 'pink'],
+    ['orange', 'red'],
+    ['purple', 'pink'],
+    ['blue', 'green']
+];
+
+// Reason shown for each relation between two colors
+const RELATION_REASONS = {
+    monochrome: 'Matching colors',
+    tonal: 'Tonal colors',
+    neutral: 'Neutral color combination',
+    analogous: 'Analogous colors',
+    complementary: 'Complementary colors',
+    triadic: 'Triadic colors',
+    pattern: 'Print paired with a solid',
+    busy: 'Two prints compete',
+    clash: 'Clashing color combination'
+};
+
+// D65 reference white
+const WHITE_POINT = { X: 0.95047, Y: 1, Z: 1.08883 };
+
+/**
+ * ColorHarmonyEngine class for perceptual color matching
+ */
+export class ColorHarmonyEngine {
+    constructor() {
+        // Pair scores (0-1) for each relation; clashes are scored by how vivid both colors are
+        this.relationScores = {
+            monochrome: 1,
+            tonal: 0.95,
+            neutral: 0.9,
+            analogous: 0.85,
+            complementary: 0.8,
+            triadic: 0.7,
+            pattern: 0.75,
+            busy: 0.4
+        };
+
+        // Hue-angle boundaries (degrees of LCh hue difference)
+        this.hueThresholds = {
+            tonal: 25,
+            analogous: 60,
+            triadicMin: 100,
+            triadicMax: 140,
+            complementary: 140
+        };
+
+        // Below this CIEDE2000 distance two colors read as the same
+        this.sameColorDistance = 8;
+
+        // Score of a CLASHING_PAIRS combination
+        this.clashingPairScore = 0.3;
+
+        // Pairs scoring below this are reported as incompatible
+        this.compatibleScore = 0.5;
+
+        // Hue families (LCh hue ranges in degrees) used to group colors
+        this.hueFamilies = [
+            { family: 'red', from: 345, to: 50 },
+            { family: 'yellow', from: 50, to: 105 },
+            { family: 'green', from: 105, to: 175 },
+            { family: 'blue', from: 175, to: 295 },
+            { family: 'purple', from: 295, to: 345 }
+        ];
+
+        this.cache = new Map();
+    }
+
+    // ===== PARSING =====
+
+    /**
+     * Turn color input into perceptual colors
+     * @param {string|Array|Object} input - "navy, white", ['#1f2a44'], { r, g, b } or a mix
+     * @returns {Array<Object>} Colors as { name, hex, lab, lch, neutral } or { name, pattern: true }
+     */
+    parseColors(input) {
+        if (input === null || input === undefined || input === '') {
+            return [];
+        }
+
+        const entries = Array.isArray(input) ? input : [input];
+        const colors = entries.flatMap(entry => {
+            if (entry && typeof entry === 'object') {
+                return entry.lab ? [entry] : [this.fromRgb(entry)];
+            }
+            return String(entry)
+                .toLowerCase()
+                .split(/\s*(?:,|\/|&|\+|\band\b|\bwith\b)\s*/)
+                .flatMap(token => this.splitHyphenated(token.trim()))
+                .map(token => this.parseToken(token))
+                .filter(Boolean);
+        });
+
+        // The same color listed twice counts once
+        const seen = new Set();
+        return colors.filter(color => {
+            const key = color.pattern ? `pattern:${color.name}` : color.hex;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Split a hyphenated pair of colors ("white-black") into its colors, keeping
+     * modified or compound names ("dark-olive", "light-blue") together
+     * @param {string} token - Lowercase token
+     * @returns {Array<string>} Tokens
+     */
+    splitHyphenated(token) {
+        if (!token.includes('-') || NAMED_COLORS[token.replace(/-/g, ' ')]) {
+            return [token];
+        }
+
+        const parts = token.split(/\s*-\s*/).filter(Boolean);
+        return parts.length > 1 && parts.every(part => NAMED_COLORS[part]) ? parts : [token];
+    }
+
+    /**
+     * Parse a single color word, hex value or modified name ("dark olive")
+     * @param {string} token - Lowercase token
+     * @returns {Object|null} Color or null when unknown
+     */
+    parseToken(token) {
+        if (!token) {
+            return null;
+        }
+        if (this.cache.has(token)) {
+            return this.cache.get(token);
+        }
+
+        let color = null;
+        const hexMatch = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/.exec(token);
+
+        if (hexMatch) {
+            color = this.fromHex(hexMatch[1], token.startsWith('#') ? token : `#${token}`);
+        } else if (PATTERN_WORDS.some(word => token.split(/[\s-]+/).includes(word))) {
+            color = { name: token, pattern: true };
+        } else if (NAMED_COLORS[token]) {
+            color = this.fromHex(NAMED_COLORS[token], token);
+        } else {
+            const words = token.split(/[\s-]+/);
+            const modifier = MODIFIERS[words[0]];
+            const base = words.slice(modifier ? 1 : 0).join(' ');
+
+            if (modifier && NAMED_COLORS[base]) {
+                color = this.adjust(this.fromHex(NAMED_COLORS[base], base), modifier, token);
+            } else {
+                // Fall back to the longest known color name inside the token ("navy blue" -> navy)
+                const known = Object.keys(NAMED_COLORS)
+                    .filter(name => words.includes(name) || (name.includes(' ') && token.includes(name)))
+                    .sort((a, b) => b.length - a.length)[0];
+                color = known ? { ...this.fromHex(NAMED_COLORS[known], known), name: token } : null;
+            }
+        }
+
+        this.cache.set(token, color);
+        return color;
+    }
+
+    /**
+     * Build a color from a hex value
+     * @param {string} hex - 3 or 6 hex digits, with or without '#'
+     * @param {string} name - Name to keep on the color
+     * @returns {Object} Color
+     */
+    fromHex(hex, name = null) {
+        const digits = hex.replace('#', '');
+        const full = digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+        const value = parseInt(full, 16);
+
+        return this.fromRgb({ r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 }, name);
+    }
+
+    /**
+     * Build a color from sRGB channels (0-255), e.g. a color sampled from a photo
+     * @param {Object} rgb - { r, g, b }
+     * @param {string} name - Name to keep on the color (defaults to the hex value)
+     * @returns {Object} Color
+     */
+    fromRgb({ r, g, b }, name = null) {
+        const lab = this.rgbToLab({ r, g, b });
+        const hex = `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+        return this.describe(lab, name || hex, hex);
+    }
+
+    /**
+     * Apply a modifier's lightness and chroma shift
+     * @param {Object} color - Base color
+     * @param {Object} modifier - { L, C }
+     * @param {string} name - Modified name
+     * @returns {Object} Adjusted color
+     */
+    adjust(color, modifier, name) {
+        const L = Math.max(0, Math.min(100, color.lch.L + modifier.L));
+        const C = color.lch.C * modifier.C;
+        const radians = (color.lch.h * Math.PI) / 180;
+        const lab = { L, a: C * Math.cos(radians), b: C * Math.sin(radians) };
+        return this.describe(lab, name, this.labToHex(lab));
+    }
+
+    /**
+     * Attach LCh and neutrality to a Lab color
+     * @param {Object} lab - { L, a, b }
+     * @param {string} name - Color name
+     * @param {string} hex - sRGB hex value
+     * @returns {Object} Color
+     */
+    describe(lab, name, hex) {
+        const lch = this.labToLch(lab);
+        return { name, hex, lab, lch, neutral: this.isNeutral(lch) };
+    }
+
+    // ===== COLOR-SPACE MATH =====
+
+    /**
+     * sRGB (0-255) to CIELAB (D65)
+     * @param {Object} rgb - { r, g, b }
+     * @returns {Object} { L, a, b }
+     */
+    rgbToLab({ r, g, b }) {
+        const linear = [r, g, b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+
+        const X = (linear[0] * 0.4124564 + linear[1] * 0.3575761 + linear[2] * 0.1804375) / WHITE_POINT.X;
+        const Y = (linear[0] * 0.2126729 + linear[1] * 0.7151522 + linear[2] * 0.0721750) / WHITE_POINT.Y;
+        const Z = (linear[0] * 0.0193339 + linear[1] * 0.1191920 + linear[2] * 0.9503041) / WHITE_POINT.Z;
+
+        const f = value => (value > 216 / 24389 ? Math.cbrt(value) : (value * 24389 / 27 + 16) / 116);
+        const [fx, fy, fz] = [f(X), f(Y), f(Z)];
+
+        return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+    }
+
+    /**
+     * CIELAB (D65) to sRGB hex, clamped to the sRGB gamut
+     * @param {Object} lab - { L, a, b }
+     * @returns {string} Hex value
+     */
+    labToHex({ L, a, b }) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inverse = value => (Math.pow(value, 3) > 216 / 24389 ? Math.pow(value, 3) : (116 * value - 16) * 27 / 24389);
+
+        const X = inverse(fx) * WHITE_POINT.X;
+        const Y = inverse(fy) * WHITE_POINT.Y;
+        const Z = inverse(fz) * WHITE_POINT.Z;
+
+        const linear = [
+            X * 3.2404542 - Y * 1.5371385 - Z * 0.4985314,
+            -X * 0.9692660 + Y * 1.8760108 + Z * 0.0415560,
+            X * 0.0556434 - Y * 0.2040259 + Z * 1.0572252
+        ];
+
+        return `#${linear.map(value => {
+            const srgb = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+            return Math.round(Math.max(0, Math.min(1, srgb)) * 255).toString(16).padStart(2, '0');
+        }).join('')}`;
+    }
+
+    /**
+     * CIELAB to LCh (lightness, chroma, hue angle in degrees)
+     * @param {Object} lab - { L, a, b }
+     * @returns {Object} { L, C, h }
+     */
+    labToLch({ L, a, b }) {
+        const h = (Math.atan2(b, a) * 180) / Math.PI;
+        return { L, C: Math.sqrt(a * a + b * b), h: h < 0 ? h + 360 : h };
+    }
+
+    /**
+     * Perceptual distance between two Lab colors (CIEDE2000)
+     * @param {Object} lab1 - { L, a, b }
+     * @param {Object} lab2 - { L, a, b }
+     * @returns {number} Delta E (about 2.3 is a just-noticeable difference)
+     */
+    deltaE(lab1, lab2) {
+        const rad = degrees => (degrees * Math.PI) / 180;
+        const deg = radians => (radians * 180) / Math.PI;
+
+        const C1 = Math.sqrt(lab1.a ** 2 + lab1.b ** 2);
+        const C2 = Math.sqrt(lab2.a ** 2 + lab2.b ** 2);
+        const meanC = (C1 + C2) / 2;
+        const G = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+
+        const a1 = lab1.a * (1 + G);
+        const a2 = lab2.a * (1 + G);
+        const C1p = Math.sqrt(a1 ** 2 + lab1.b ** 2);
+        const C2p = Math.sqrt(a2 ** 2 + lab2.b ** 2);
+        const hue = (b, a) => (b === 0 && a === 0 ? 0 : (deg(Math.atan2(b, a)) + 360) % 360);
+        const h1p = hue(lab1.b, a1);
+        const h2p = hue(lab2.b, a2);
+
+        const dLp = lab2.L - lab1.L;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(rad(dhp / 2));
+
+        const meanL = (lab1.L + lab2.L) / 2;
+        const meanCp = (C1p + C2p) / 2;
+        let meanHp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) {
+                meanHp = (h1p + h2p) / 2;
+            } else {
+                meanHp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+            }
+        }
+
+        const T = 1 -
+            0.17 * Math.cos(rad(meanHp - 30)) +
+            0.24 * Math.cos(rad(2 * meanHp)) +
+            0.32 * Math.cos(rad(3 * meanHp + 6)) -
+            0.20 * Math.cos(rad(4 * meanHp - 63));
+        const dTheta = 30 * Math.exp(-(((meanHp - 275) / 25) ** 2));
+        const Rc = 2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7));
+        const Sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+        const Sc = 1 + 0.045 * meanCp;
+        const Sh = 1 + 0.015 * meanCp * T;
+        const Rt = -Math.sin(rad(2 * dTheta)) * Rc;
+
+        return Math.sqrt(
+            (dLp / Sl) ** 2 +
+            (dCp / Sc) ** 2 +
+            (dHp / Sh) ** 2 +
+            Rt * (dCp / Sc) * (dHp / Sh)
+        );
+    }
+
+    /**
+     * Whether a color reads as a neutral: greys, very dark shades (navy, charcoal,
+     * chocolate) and warm earth tones (cream, beige, camel, brown, khaki, olive)
+     * @param {Object} lch - { L, C, h }
+     * @returns {boolean} True for neutrals
+     */
+    isNeutral({ L, C, h }) {
+        if (C < 12) {
+            return true;
+        }
+        if (L < 32 && C < 40) {
+            return true;
+        }
+        return h >= 50 && h <= 110 && C < 40 && L > 30;
+    }
+
+    /**
+     * Smallest angle between two hues
+     * @param {number} h1 - Hue in degrees
+     * @param {number} h2 - Hue in degrees
+     * @returns {number} Difference from 0 to 180
+     */
+    hueDifference(h1, h2) {
+        const difference = Math.abs(h1 - h2) % 360;
+        return difference > 180 ? 360 - difference : difference;
+    }
+
+    // ===== HARMONY =====
+
+    /**
+     * Score how well two single colors go together
+     * @param {Object} color1 - Parsed color
+     * @param {Object} color2 - Parsed color
+     * @returns {Object} { relation, score (0-1) }
+     */
+    scoreColorPair(color1, color2) {
+        if (color1.pattern || color2.pattern) {
+            const relation = color1.pattern && color2.pattern ? 'busy' : 'pattern';
+            return { relation, score: this.relationScores[relation] };
+        }
+
+        if (this.deltaE(color1.lab, color2.lab) < this.sameColorDistance) {
+            return { relation: 'monochrome', score: this.relationScores.monochrome };
+        }
+        if (color1.neutral || color2.neutral) {
+            return { relation: 'neutral', score: this.relationScores.neutral };
+        }
+
+        if (this.isClashingPair(color1, color2)) {
+            return { relation: 'clash', score: this.clashingPairScore };
+        }
+
+        const thresholds = this.hueThresholds;
+        const hueDifference = this.hueDifference(color1.lch.h, color2.lch.h);
+        let relation = 'clash';
+
+        if (hueDifference <= thresholds.tonal) {
+            relation = 'tonal';
+        } else if (hueDifference <= thresholds.analogous) {
+            relation = 'analogous';
+        } else if (hueDifference > thresholds.complementary) {
+            relation = 'complementary';
+        } else if (hueDifference >= thresholds.triadicMin && hueDifference <= thresholds.triadicMax) {
+            relation = 'triadic';
+        }
+
+        if (relation !== 'clash') {
+            return { relation, score: this.relationScores[relation] };
+        }
+
+        // Off-angle hues clash harder the more saturated both colors are
+        const vividness = Math.min(1, Math.min(color1.lch.C, color2.lch.C) / 60);
+        return { relation, score: this.round(0.65 - 0.35 * vividness) };
+    }
+
+    /**
+     * Whether two colors form one of the CLASHING_PAIRS
+     * @param {Object} color1 - Parsed color
+     * @param {Object} color2 - Parsed color
+     * @returns {boolean} True for a listed clash
+     */
+    isClashingPair(color1, color2) {
+        const words1 = color1.name.split(/[\s-]+/);
+        const words2 = color2.name.split(/[\s-]+/);
+
+        return CLASHING_PAIRS.some(([first, second]) =>
+            (words1.includes(first) && words2.includes(second)) ||
+            (words1.includes(second) && words2.includes(first))
+        );
+    }
+
+    /**
+     * Score how well two garments' colors go together (their best-matching pair counts)
+     * @param {string|Array|Object} colors1 - First garment's colors
+     * @param {string|Array|Object} colors2 - Second garment's colors
+     * @returns {Object|null} { compatible, score, relation, reason } or null when either has no known color
+     */
+    scoreColors(colors1, colors2) {
+        const parsed1 = this.parseColors(colors1);
+        const parsed2 = this.parseColors(colors2);
+        if (parsed1.length === 0 || parsed2.length === 0) {
+            return null;
+        }
+
+        let best = null;
+        parsed1.forEach(color1 => parsed2.forEach(color2 => {
+            const pair = this.scoreColorPair(color1, color2);
+            if (!best || pair.score > best.score) {
+                best = pair;
+            }
+        }));
+
+        return {
+            compatible: best.score >= this.compatibleScore,
+            score: best.score,
+            relation: best.relation,
+            reason: RELATION_REASONS[best.relation]
+        };
+    }
+
+    /**
+     * How easily a garment's colors mix with the colors people commonly wear
+     * @param {string|Array|Object} colors - Garment colors
+     * @returns {number|null} Versatility (0-1), or null when no color is known
+     */
+    getVersatility(colors) {
+        const parsed = this.parseColors(colors);
+        if (parsed.length === 0) {
+            return null;
+        }
+
+        const reference = REFERENCE_PALETTE.map(name => this.parseToken(name));
+        const mixability = parsed.map(color => (
+            reference.reduce((total, other) => total + this.scoreColorPair(color, other).score, 0) / reference.length
+        ));
+
+        // Scores run from about 0.5 (clashes with most) to 1 (goes with everything)
+        const best = Math.max(...mixability);
+        return this.round(Math.max(0, Math.min(1, (best - 0.5) / 0.45)));
+    }
+
+    /**
+     * How well a garment fits a palette of colors already chosen
+     * @param {string|Array|Object} colors - Garment colors
+     * @param {Array} palette - Colors already in the palette (any input parseColors accepts)
+     * @returns {number|null} Average best pairing score (0-1), or null when either side has no color
+     */
+    getPaletteFit(colors, palette = []) {
+        const parsed = this.parseColors(colors);
+        const paletteColors = this.parseColors(palette.flatMap(entry => [].concat(entry || [])));
+        if (parsed.length === 0 || paletteColors.length === 0) {
+            return null;
+        }
+
+        const total = paletteColors.reduce((sum, paletteColor) => (
+            sum + Math.max(...parsed.map(color => this.scoreColorPair(color, paletteColor).score))
+        ), 0);
+
+        return this.round(total / paletteColors.length);
+    }
+
+    /**
+     * Check how coherent a set of garments' colors is as one travel palette
+     * @param {Array} colorLists - Each garment's colors (strings, arrays, hex or RGB)
+     * @returns {Object} { coherence (0-1), neutrals, accents: [[names per hue family]], prints, clashes: [[name, name]] }
+     */
+    analyzePalette(colorLists = []) {
+        const colors = this.parseColors(colorLists.flatMap(entry => [].concat(entry || [])));
+        const solids = colors.filter(color => !color.pattern);
+        const neutrals = solids.filter(color => color.neutral);
+        const chromatic = solids.filter(color => !color.neutral);
+
+        const accents = new Map();
+        chromatic.forEach(color => {
+            const family = this.getHueFamily(color.lch.h);
+            accents.set(family, [...(accents.get(family) || []), color.name]);
+        });
+
+        const clashes = [];
+        let pairTotal = 0;
+        let pairCount = 0;
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                const pair = this.scoreColorPair(colors[i], colors[j]);
+                pairTotal += pair.score;
+                pairCount++;
+                if (pair.score < this.compatibleScore) {
+                    clashes.push([colors[i].name, colors[j].name]);
+                }
+            }
+        }
+
+        // A capsule wardrobe carries one or two accent families on a neutral base
+        const familyPenalty = Math.max(0.6, 1 - 0.1 * Math.max(0, accents.size - 2));
+        const coherence = pairCount === 0 ? 1 : (pairTotal / pairCount) * familyPenalty;
+
+        return {
+            coherence: this.round(coherence),
+            neutrals: neutrals.map(color => color.name),
+            accents: [...accents.values()],
+            prints: colors.filter(color => color.pattern).map(color => color.name),
+            clashes
+        };
+    }
+
+    /**
+     * Families a garment's colors belong to: 'neutral', a hue family or 'print'
+     * @param {string|Array|Object} colors - Garment colors
+     * @returns {Set<string>} Family names
+     */
+    getColorFamilies(colors) {
+        const families = new Set();
+
+        this.parseColors(colors).forEach(color => {
+            if (color.pattern) {
+                families.add('print');
+                return;
+            }
+            if (color.neutral) {
+                families.add('neutral');
+            }
+            // Dark or earthy neutrals (navy, olive, burgundy) also keep their hue family
+            if (color.lch.C >= 12) {
+                families.add(this.getHueFamily(color.lch.h));
+            }
+        });
+
+        return families;
+    }
+
+    /**
+     * Hue family for an LCh hue angle
+     * @param {number} h - Hue in degrees
+     * @returns {string} Family name
+     */
+    getHueFamily(h) {
+        const match = this.hueFamilies.find(({ from, to }) => (from < to ? h >= from && h < to : h >= from || h < to));
+        return match ? match.family : 'red';
+    }
+
+    // ===== IMAGE SAMPLING =====
+
+    /**
+     * Dominant colors of an image, e.g. a closet photo drawn onto a canvas
+     * @param {Object} imageData - { data: RGBA bytes } as returned by getImageData
+     * @param {Object} options
+     * @param {number} options.count - How many colors to return
+     * @param {boolean} options.ignoreBackground - Skip near-white pixels (studio backgrounds)
+     * @returns {Array<Object>} Colors sorted by share of the image, each with a share (0-1)
+     */
+    getDominantColors(imageData, { count = 3, ignoreBackground = true } = {}) {
+        const data = imageData?.data || [];
+        const buckets = new Map();
+        let sampled = 0;
+
+        for (let i = 0; i + 3 < data.length; i += 4) {
+            const [r, g, b, alpha] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+            if (alpha < 128 || (ignoreBackground && r > 240 && g > 240 && b > 240)) {
+                continue;
+            }
+
+            // 32 levels per channel keep shading together without merging different colors
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, pixels: 0 };
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            bucket.pixels++;
+            buckets.set(key, bucket);
+            sampled++;
+        }
+
+        const dominant = [];
+        [...buckets.values()]
+            .sort((a, b) => b.pixels - a.pixels)
+            .forEach(bucket => {
+                const color = this.fromRgb({ r: bucket.r / bucket.pixels, g: bucket.g / bucket.pixels, b: bucket.b / bucket.pixels });
+                const similar = dominant.find(entry => this.deltaE(entry.lab, color.lab) < this.sameColorDistance);
+                if (similar) {
+                    similar.pixels += bucket.pixels;
+                } else {
+                    dominant.push({ ...color, pixels: bucket.pixels });
+                }
+            });
+
+        return dominant
+            .sort((a, b) => b.pixels - a.pixels)
+            .slice(0, count)
+            .map(({ pixels, ...color }) => ({ ...color, name: this.getNearestName(color), share: this.round(pixels / sampled) }));
+    }
+
+    /**
+     * Closest named color to a parsed color
+     * @param {Object} color - Parsed color
+     * @returns {string} Color name
+     */
+    getNearestName(color) {
+        let nearest = null;
+        Object.keys(NAMED_COLORS).forEach(name => {
+            const distance = this.deltaE(color.lab, this.parseToken(name).lab);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { name, distance };
+            }
+        });
+        return nearest.name;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export singleton instance
+export const colorHarmonyEngine = new ColorHarmonyEngine();
+
+// Export class for testing and custom instances
+export default ColorHarmonyEngine;
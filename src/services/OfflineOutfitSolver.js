@@ -0,0 +1,747 @@
+/**
+ * OfflineOutfitSolver
+ *
+ * Deterministic, constraint-based outfit builder used when the LLM is unavailable.
+ * Satisfies per-day dress codes, daily forecasts, the trip budget and closet-first
+ * priority, and favours reuse using ClothingAnalysisEngine compatibility checks and
+ * ReusabilityOptimizer scores. Multi-destination trips dress each day for its leg while
+ * reuse is tracked across the whole journey. Output matches outfitRecommendationSchema.
+ */
+
+import { ClothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { ReusabilityOptimizer } from './ReusabilityOptimizer';
+import { getLegForDay } from './itineraryService';
+import { DRESS_CATEGORIES } from '../schemas/outfitRecommendationSchema';
+
+// Dataset categories accepted for each outfit slot; a dress fills the top slot
+export const SLOT_CATEGORIES = {
+    topwear: ['topwear', 'tops', 'shirts', 'blouses', ...DRESS_CATEGORIES],
+    bottomwear: ['bottomwear', 'bottoms', 'pants', 'trousers', 'skirts'],
+    footwear: ['footwear', 'shoes', 'sneakers', 'boots'],
+    outerwear: ['outerwear', 'jackets', 'coats'],
+    accessories: ['accessories', 'accessory', 'bags']
+};
+
+const REQUIRED_SLOTS = ['topwear', 'bottomwear', 'footwear'];
+
+const LAYERED_DRESS_CODES = ['business', 'formal', 'black-tie'];
+
+/**
+ * OfflineOutfitSolver class for building outfits without a model
+ */
+export class OfflineOutfitSolver {
+    constructor(analysisEngine = new ClothingAnalysisEngine(), reusabilityOptimizer = new ReusabilityOptimizer()) {
+        this.analysisEngine = analysisEngine;
+        this.reusabilityOptimizer = reusabilityOptimizer;
+
+        // Candidate scoring weights
+        this.scoringWeights = {
+            closet: 40,              // Closet items come before purchases
+            reuse: 30,               // Items already packed for an earlier day
+            reusability: 0.2,        // ReusabilityOptimizer score (0-100)
+            compatibility: 0.3,      // Average checkItemCompatibility score (0-100)
+            incompatible: 20,        // Penalty per incompatible pairing
+            repeatedTop: 40,         // Penalty for wearing the same top two days running
+            price: 10,               // Penalty scaled by share of the budget
+            preference: 25,          // ReusabilityOptimizer preference affinity (-1 to 1)
+            palette: 10              // Color fit with pieces already packed for the trip (0-1)
+        };
+    }
+
+    /**
+     * Build daily outfits for a trip
+     * @param {Object} params
+     * @param {Object} params.eventDetails - Confirmed event details (duration, dressCode, budget, dailyPlans, legs)
+     * @param {Array<ClothingItem>} params.items - Catalog and closet items to choose from
+     * @param {Object} params.weather - Weather context with dailyForecasts from weatherContextService
+     * @param {Array<string>} params.closetSkus - SKUs owned by the user (defaults to CLOC-prefixed SKUs)
+     * @param {Object} params.constraints - Regeneration constraints from OutfitGenerationService:
+     *   pinnedOutfits (daily outfits kept as-is), fixedSlots ({ day: { slot: sku } }), avoidSkus ({ day: [sku] })
+     *   and requiredSkus (locked items that must be worn at least once)
+     * @param {Object} params.preferences - Rated preferences from preferenceProfileService.getPreferences
+     * @returns {Object} Outfit data matching outfitRecommendationSchema
+     */
+    solve({ eventDetails, items, weather = null, closetSkus = null, constraints = null, preferences = null }) {
+        if (!eventDetails || !eventDetails.duration || eventDetails.duration < 1) {
+            throw new Error('Valid trip duration is required');
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('No clothing items available for offline outfit generation');
+        }
+
+        const itemsBySlot = this.groupItemsBySlot(items);
+        REQUIRED_SLOTS.forEach(slot => {
+            const coveredByDress = slot === 'bottomwear' && itemsBySlot.topwear.some(item => this.isDress(item));
+            if (itemsBySlot[slot].length === 0 && !coveredByDress) {
+                throw new Error(`No ${slot} items available for offline outfit generation`);
+            }
+        });
+
+        const { duration, occasion = 'trip' } = eventDetails;
+        const dressCode = eventDetails.dressCode || 'smart-casual';
+        const budget = typeof eventDetails.budget === 'number' ? eventDetails.budget : null;
+        const forecasts = weather?.dailyForecasts || [];
+        const itemsBySku = new Map(items.map(item => [item.sku, item]));
+        const pinnedOutfits = new Map((constraints?.pinnedOutfits || []).map(entry => [entry.day, entry]));
+
+        const state = {
+            budget,
+            spent: 0,
+            closet: new Set(closetSkus || items.filter(item => item.sku?.startsWith('CLOC')).map(item => item.sku)),
+            purchased: new Set(),
+            usage: new Map(),
+            palette: [],
+            dayLocations: new Map(),
+            previousOutfit: null,
+            preferences,
+            reusabilityScores: this.reusabilityOptimizer.calculateReusabilityScores(items, {
+                duration,
+                dressCode,
+                budget,
+                preferences,
+                weatherConditions: [...new Set(forecasts.flatMap(forecast => this.getWeatherConditions(forecast)))]
+            })
+        };
+
+        // Pinned days count towards reuse and the budget before any free day is chosen
+        pinnedOutfits.forEach((entry, day) => {
+            this.resolveOutfitItems(entry.outfit, itemsBySku).forEach(item => {
+                this.chargeItem(item, state);
+                this.recordUsage(item, day, state);
+            });
+        });
+
+        const fixedSlots = this.placeRequiredItems(constraints?.requiredSkus, {
+            eventDetails,
+            dressCode,
+            duration,
+            pinnedOutfits,
+            fixedSlots: constraints?.fixedSlots,
+            itemsBySku
+        });
+
+        const dailyOutfits = [];
+        for (let day = 1; day <= duration; day++) {
+            const plan = this.getDayPlan(eventDetails, day);
+            const forecast = this.getDayForecast(forecasts, day);
+            state.dayLocations.set(day, plan?.location || getLegForDay(eventDetails.legs, day)?.location || forecast?.location || null);
+
+            const pinned = pinnedOutfits.get(day);
+            if (pinned) {
+                dailyOutfits.push(pinned);
+                state.previousOutfit = pinned.outfit;
+                continue;
+            }
+
+            dailyOutfits.push(this.solveDay(day, {
+                plan,
+                forecast,
+                occasion,
+                dressCode,
+                itemsBySlot,
+                fixed: this.resolveFixedSlots(fixedSlots[day], itemsBySku),
+                avoid: new Set(constraints?.avoidSkus?.[day] || []),
+                state
+            }));
+        }
+
+        return {
+            tripDetails: {
+                occasion,
+                duration,
+                location: eventDetails.location || 'unspecified',
+                dressCode,
+                budget
+            },
+            dailyOutfits,
+            reusabilityAnalysis: this.buildReusabilityAnalysis(state.usage)
+        };
+    }
+
+    /**
+     * Build a single day's outfit and record it in the solver state
+     * @param {number} day - Day number (1-based)
+     * @param {Object} context - Day plan, forecast, candidate items, fixed slots, SKUs to avoid and running state
+     * @returns {Object} Daily outfit entry
+     */
+    solveDay(day, { plan, forecast, occasion, dressCode, itemsBySlot, fixed = new Map(), avoid = new Set(), state }) {
+        const dayDressCode = plan?.dressCode || dressCode;
+        const conditions = this.getWeatherConditions(forecast);
+        const recommendations = forecast?.recommendations || null;
+        const relaxed = new Set();
+        const chosen = [];
+
+        // Fixed slots are worn as given and inform compatibility of the free slots
+        fixed.forEach(value => [].concat(value || []).forEach(item => {
+            chosen.push(item);
+            this.chargeItem(item, state);
+        }));
+
+        const pick = (slot, slotConditions, required, candidates = itemsBySlot[slot]) => {
+            if (fixed.has(slot)) {
+                return fixed.get(slot);
+            }
+
+            const result = this.pickItem(candidates, {
+                slot,
+                conditions: slotConditions,
+                dressCode: dayDressCode,
+                required,
+                chosen,
+                avoid,
+                state
+            });
+
+            if (result) {
+                result.relaxed.forEach(constraint => relaxed.add(constraint));
+                chosen.push(result.item);
+                this.chargeItem(result.item, state);
+            }
+            return result?.item || null;
+        };
+
+        // A dress stands in for bottomwear, so it is only worn when bottomwear is free
+        let tops = itemsBySlot.topwear;
+        if (fixed.has('bottomwear')) {
+            tops = tops.filter(item => !this.isDress(item));
+        } else if (itemsBySlot.bottomwear.length === 0) {
+            tops = tops.filter(item => this.isDress(item));
+        }
+
+        const topwear = pick('topwear', conditions, true, tops);
+        const outfit = {
+            topwear,
+            bottomwear: this.isDress(topwear) && !fixed.has('bottomwear') ? null : pick('bottomwear', conditions, true),
+            footwear: pick('footwear', conditions, true),
+            outerwear: null,
+            accessories: []
+        };
+
+        if (fixed.has('outerwear') || this.needsOuterwear(recommendations, dayDressCode)) {
+            // Prefer a rain-rated layer when the forecast calls for waterproofing
+            outfit.outerwear = (recommendations?.waterproof && pick('outerwear', ['rainy'], false)) ||
+                pick('outerwear', conditions, false);
+        }
+
+        const accessoryConditions = this.getAccessoryConditions(recommendations);
+        if (fixed.has('accessories')) {
+            outfit.accessories = fixed.get('accessories');
+        } else if (accessoryConditions.length > 0) {
+            const accessory = pick('accessories', accessoryConditions, false);
+            if (accessory) {
+                outfit.accessories.push(accessory);
+            }
+        }
+
+        const reused = chosen.filter(item => state.usage.has(item.sku));
+        chosen.forEach(item => this.recordUsage(item, day, state));
+        state.previousOutfit = outfit;
+
+        return {
+            day,
+            date: plan?.date || `Day ${day}`,
+            occasion: plan?.activity || `${occasion} - Day ${day}`,
+            outfit: {
+                topwear: this.toOutfitSlot(outfit.topwear),
+                bottomwear: this.toOutfitSlot(outfit.bottomwear),
+                footwear: this.toOutfitSlot(outfit.footwear),
+                outerwear: this.toOutfitSlot(outfit.outerwear),
+                accessories: outfit.accessories.map(item => this.toOutfitSlot(item))
+            },
+            styling: this.buildStyling({ day, outfit, chosen, reused, forecast, dressCode: dayDressCode, relaxed, state })
+        };
+    }
+
+    /**
+     * Pick the best candidate for a slot, relaxing constraints only when nothing satisfies them
+     * @param {Array<ClothingItem>} candidates - Items that fit the slot
+     * @param {Object} options - Slot, weather conditions, dress code, chosen items, SKUs to avoid and state
+     * @returns {Object|null} { item, relaxed } or null when the slot stays empty
+     */
+    pickItem(candidates, { slot, conditions, dressCode, required, chosen, avoid = new Set(), state }) {
+        // Weather is only relaxed for required slots; optional layers must suit the forecast
+        const tiers = required
+            ? [
+                { weather: true, dressCode: true, relaxed: [] },
+                { weather: false, dressCode: true, relaxed: ['weather'] },
+                { weather: true, dressCode: false, relaxed: ['dressCode'] },
+                { weather: false, dressCode: false, relaxed: ['weather', 'dressCode'] }
+            ]
+            : [
+                { weather: true, dressCode: true, relaxed: [] },
+                { weather: true, dressCode: false, relaxed: ['dressCode'] }
+            ];
+
+        for (const tier of tiers) {
+            let pool = candidates;
+            if (tier.weather && conditions.length > 0) {
+                pool = this.analysisEngine.filterByWeather(pool, conditions);
+            }
+            if (tier.dressCode) {
+                pool = this.analysisEngine.filterByDressCode(pool, dressCode);
+            }
+            if (pool.length === 0) {
+                continue;
+            }
+
+            const affordable = pool.filter(item => this.isAffordable(item, state));
+            if (affordable.length > 0) {
+                // Avoided SKUs (the pieces being replaced) are only reused when nothing else fits
+                const fresh = affordable.filter(item => !avoid.has(item.sku));
+                return {
+                    item: this.rankCandidates(fresh.length > 0 ? fresh : affordable, slot, chosen, state)[0],
+                    relaxed: tier.relaxed
+                };
+            }
+
+            // Budget gives way before weather or dress code, but never for an optional layer
+            if (!required) {
+                return null;
+            }
+
+            const cheapest = [...pool].sort((a, b) =>
+                (a.price || 0) - (b.price || 0) || a.sku.localeCompare(b.sku)
+            )[0];
+            return { item: cheapest, relaxed: [...tier.relaxed, 'budget'] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Sort candidates from best to worst
+     * @param {Array<ClothingItem>} candidates - Candidate items
+     * @param {string} slot - Outfit slot being filled
+     * @param {Array<ClothingItem>} chosen - Items already chosen for the day
+     * @param {Object} state - Solver state
+     * @returns {Array<ClothingItem>} Ranked candidates
+     */
+    rankCandidates(candidates, slot, chosen, state) {
+        return candidates
+            .map(item => ({ item, score: this.scoreCandidate(item, slot, chosen, state) }))
+            .sort((a, b) => b.score - a.score || a.item.sku.localeCompare(b.item.sku))
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Score a candidate for a slot
+     * @param {ClothingItem} item - Candidate item
+     * @param {string} slot - Outfit slot being filled
+     * @param {Array<ClothingItem>} chosen - Items already chosen for the day
+     * @param {Object} state - Solver state
+     * @returns {number} Candidate score (higher is better)
+     */
+    scoreCandidate(item, slot, chosen, state) {
+        const weights = this.scoringWeights;
+        let score = (state.reusabilityScores.get(item.sku) || 0) * weights.reusability;
+
+        if (state.closet.has(item.sku)) {
+            score += weights.closet;
+        }
+
+        if (state.usage.has(item.sku)) {
+            score += weights.reuse;
+        }
+
+        if (slot === 'topwear' && state.previousOutfit?.topwear?.sku === item.sku) {
+            score -= weights.repeatedTop;
+        }
+
+        if (state.preferences) {
+            score += this.reusabilityOptimizer.calculatePreferenceAffinity(item, state.preferences) * weights.preference;
+        }
+
+        const paletteFit = this.reusabilityOptimizer.calculatePaletteFit(item, state.palette);
+        if (paletteFit !== null) {
+            score += paletteFit * weights.palette;
+        }
+
+        if (chosen.length > 0) {
+            chosen.forEach(other => {
+                const compatibility = this.analysisEngine.checkItemCompatibility(item, other);
+                score += (compatibility.score * weights.compatibility) / chosen.length;
+                if (!compatibility.compatible) {
+                    score -= weights.incompatible;
+                }
+            });
+        }
+
+        if (!state.closet.has(item.sku) && !state.purchased.has(item.sku)) {
+            score -= ((item.price || 0) / (state.budget || 200)) * weights.price;
+        }
+
+        return score;
+    }
+
+    /**
+     * Check whether an item fits in the remaining budget
+     * @param {ClothingItem} item - Candidate item
+     * @param {Object} state - Solver state
+     * @returns {boolean} True if choosing the item keeps the trip within budget
+     */
+    isAffordable(item, state) {
+        if (state.budget === null || state.closet.has(item.sku) || state.purchased.has(item.sku)) {
+            return true;
+        }
+        return state.spent + (item.price || 0) <= state.budget;
+    }
+
+    /**
+     * Charge a catalog item against the budget the first time it is chosen
+     * @param {ClothingItem} item - Chosen item
+     * @param {Object} state - Solver state
+     */
+    chargeItem(item, state) {
+        if (!state.closet.has(item.sku) && !state.purchased.has(item.sku)) {
+            state.purchased.add(item.sku);
+            state.spent += item.price || 0;
+        }
+    }
+
+    /**
+     * Record that an item is worn on a day
+     * @param {ClothingItem} item - Worn item
+     * @param {number} day - Day number
+     * @param {Object} state - Solver state
+     */
+    recordUsage(item, day, state) {
+        if (!state.usage.has(item.sku)) {
+            state.usage.set(item.sku, []);
+            if (item.colors) {
+                state.palette.push(item.colors);
+            }
+        }
+        state.usage.get(item.sku).push(day);
+    }
+
+    /**
+     * Resolve the SKUs of a schema outfit to catalog items (unknown SKUs keep a bare { sku })
+     * @param {Object} outfit - Outfit with { sku } slots and an accessories array
+     * @param {Map<string, ClothingItem>} itemsBySku - Catalog lookup
+     * @returns {Array<ClothingItem>} Items worn in the outfit
+     */
+    resolveOutfitItems(outfit = {}, itemsBySku) {
+        return Object.values(outfit)
+            .flatMap(slot => [].concat(slot || []))
+            .filter(slot => slot?.sku)
+            .map(slot => itemsBySku.get(slot.sku) || { sku: slot.sku });
+    }
+
+    /**
+     * Resolve a day's fixed slots to items
+     * @param {Object} slots - e.g. { bottomwear: 'SKU002', outerwear: null, accessories: ['SKU018'] }
+     * @param {Map<string, ClothingItem>} itemsBySku - Catalog lookup
+     * @returns {Map<string, ClothingItem|null|Array>} Fixed items keyed by slot
+     */
+    resolveFixedSlots(slots, itemsBySku) {
+        const resolve = sku => itemsBySku.get(sku) || { sku };
+        const fixed = new Map();
+        Object.entries(slots || {}).forEach(([slot, value]) => {
+            fixed.set(slot, Array.isArray(value) ? value.map(resolve) : (value ? resolve(value) : null));
+        });
+        return fixed;
+    }
+
+    /**
+     * Give every required SKU a day to be worn on, unless a pinned day already wears it.
+     * Each item is fixed on the first free day whose dress code it suits (or the first
+     * free day); reuse scoring then tends to bring it back on later days.
+     * @param {Array<string>} requiredSkus - Locked SKUs
+     * @param {Object} context - Event details, dress code, duration, pinned outfits, existing fixed slots and catalog lookup
+     * @returns {Object} Fixed slots keyed by day, including the placed items
+     */
+    placeRequiredItems(requiredSkus = [], { eventDetails, dressCode, duration, pinnedOutfits, fixedSlots = {}, itemsBySku }) {
+        const placed = {};
+        Object.entries(fixedSlots || {}).forEach(([day, slots]) => {
+            placed[day] = { ...slots };
+        });
+
+        const worn = new Set();
+        pinnedOutfits.forEach(entry => {
+            this.resolveOutfitItems(entry.outfit, itemsBySku).forEach(item => worn.add(item.sku));
+        });
+        Object.values(placed).forEach(slots => {
+            Object.values(slots).flatMap(value => [].concat(value || [])).forEach(sku => worn.add(sku));
+        });
+
+        (requiredSkus || []).filter(sku => !worn.has(sku)).forEach(sku => {
+            const item = itemsBySku.get(sku);
+            const slot = item && this.getItemSlot(item);
+            if (!slot) {
+                return;
+            }
+
+            const freeDays = [];
+            for (let day = 1; day <= duration; day++) {
+                // A dress and a piece of bottomwear are never fixed on the same day
+                const clashes = (this.isDress(item) && placed[day]?.bottomwear !== undefined) ||
+                    (slot === 'bottomwear' && this.isDress(itemsBySku.get(placed[day]?.topwear)));
+                if (!pinnedOutfits.has(day) && !clashes && (slot === 'accessories' || placed[day]?.[slot] === undefined)) {
+                    freeDays.push(day);
+                }
+            }
+
+            const day = freeDays.find(candidate => {
+                const dayDressCode = this.getDayPlan(eventDetails, candidate)?.dressCode || dressCode;
+                return this.analysisEngine.filterByDressCode([item], dayDressCode).length > 0;
+            }) ?? freeDays[0];
+
+            if (day === undefined) {
+                return;
+            }
+
+            placed[day] = {
+                ...placed[day],
+                [slot]: slot === 'accessories' ? [...(placed[day]?.accessories || []), sku] : sku
+            };
+        });
+
+        return placed;
+    }
+
+    /**
+     * Find the outfit slot an item's category belongs to
+     * @param {ClothingItem} item - Item to place
+     * @returns {string|null} Slot name
+     */
+    getItemSlot(item) {
+        const category = (item?.category || '').toLowerCase().trim();
+        return Object.keys(SLOT_CATEGORIES).find(key => SLOT_CATEGORIES[key].includes(category)) || null;
+    }
+
+    /**
+     * Check whether an item is a dress, which covers both the top and bottomwear slots
+     * @param {ClothingItem} item - Item to check
+     * @returns {boolean} True for dresses
+     */
+    isDress(item) {
+        return DRESS_CATEGORIES.includes((item?.category || '').toLowerCase().trim());
+    }
+
+    /**
+     * Group items by the outfit slot their category belongs to
+     * @param {Array<ClothingItem>} items - Items to group
+     * @returns {Object} Items keyed by slot
+     */
+    groupItemsBySlot(items) {
+        const grouped = {};
+        Object.keys(SLOT_CATEGORIES).forEach(slot => {
+            grouped[slot] = [];
+        });
+
+        items.forEach(item => {
+            if (!item?.sku || !item.category) {
+                return;
+            }
+
+            const slot = this.getItemSlot(item);
+            if (slot) {
+                grouped[slot].push(item);
+            }
+        });
+
+        return grouped;
+    }
+
+    /**
+     * Find the plan for a day (extraction uses dailyPlans, prompts use dayPlans)
+     * @param {Object} eventDetails - Event details
+     * @param {number} day - Day number
+     * @returns {Object|null} Day plan
+     */
+    getDayPlan(eventDetails, day) {
+        const plans = eventDetails.dailyPlans || eventDetails.dayPlans || [];
+        return plans.find(plan => plan.day === day) || null;
+    }
+
+    /**
+     * Find the forecast for a day (multi-destination forecasts are tagged with their day)
+     * @param {Array<Object>} forecasts - Daily forecasts
+     * @param {number} day - Day number
+     * @returns {Object|null} Forecast
+     */
+    getDayForecast(forecasts, day) {
+        return forecasts.find(forecast => forecast.day === day) || forecasts[day - 1] || null;
+    }
+
+    /**
+     * Translate a processed daily forecast into ClothingAnalysisEngine weather conditions
+     * @param {Object} forecast - Daily forecast from weatherContextService.processWeatherData
+     * @returns {Array<string>} Weather conditions (e.g. ['mild', 'rainy'])
+     */
+    getWeatherConditions(forecast) {
+        if (!forecast?.temperature) {
+            return [];
+        }
+
+        const { min, max, average } = forecast.temperature;
+        const temperature = typeof average === 'number' ? average : ((min ?? 18) + (max ?? 18)) / 2;
+
+        const conditions = [];
+        if (temperature >= 27) {
+            conditions.push('hot');
+        } else if (temperature >= 20) {
+            conditions.push('warm');
+        } else if (temperature >= 12) {
+            conditions.push('mild');
+        } else if (temperature >= 5) {
+            conditions.push('cool');
+        } else {
+            conditions.push('cold');
+        }
+
+        const main = forecast.conditions?.main;
+        if (main === 'rainy' || forecast.recommendations?.waterproof) {
+            conditions.push('rainy');
+        }
+        if (main === 'snowy') {
+            conditions.push('snowy');
+        }
+
+        return conditions;
+    }
+
+    /**
+     * Decide whether a day needs an outer layer
+     * @param {Object|null} recommendations - generateWeatherRecommendations output
+     * @param {string} dressCode - Day dress code
+     * @returns {boolean} True if outerwear should be added
+     */
+    needsOuterwear(recommendations, dressCode) {
+        if (recommendations) {
+            return recommendations.layering !== 'none' || !!recommendations.waterproof ||
+                LAYERED_DRESS_CODES.includes(dressCode);
+        }
+        return LAYERED_DRESS_CODES.includes(dressCode);
+    }
+
+    /**
+     * Weather conditions an accessory should cover, if any
+     * @param {Object|null} recommendations - generateWeatherRecommendations output
+     * @returns {Array<string>} Conditions for accessory selection
+     */
+    getAccessoryConditions(recommendations) {
+        if (recommendations?.warmAccessories) {
+            return ['cold'];
+        }
+        if (recommendations?.sunProtection) {
+            return ['hot'];
+        }
+        return [];
+    }
+
+    /**
+     * Convert an item to an outfitRecommendationSchema slot
+     * @param {ClothingItem|null} item - Chosen item
+     * @returns {Object|null} Slot with SKU and descriptive fields
+     */
+    toOutfitSlot(item) {
+        if (!item) {
+            return null;
+        }
+
+        const slot = { sku: item.sku };
+        ['name', 'category', 'colors', 'formality', 'notes'].forEach(field => {
+            if (typeof item[field] === 'string' && item[field]) {
+                slot[field] = item[field];
+            }
+        });
+
+        const weatherSuitability = item.weatherSuitability || item.weather_suitability;
+        if (typeof weatherSuitability === 'string' && weatherSuitability) {
+            slot.weatherSuitability = weatherSuitability;
+        }
+
+        const price = Number(item.price);
+        if (item.price !== null && item.price !== undefined && item.price !== '' && !Number.isNaN(price)) {
+            slot.price = price;
+        }
+
+        return slot;
+    }
+
+    /**
+     * Explain a day's outfit
+     * @param {Object} params - Day, outfit, chosen/reused items, forecast, dress code, relaxed constraints and state
+     * @returns {Object} Styling rationale, weather considerations and dress code compliance
+     */
+    buildStyling({ day, outfit, chosen, reused, forecast, dressCode, relaxed, state }) {
+        const describe = item => `${item.name || item.sku} (${item.sku})`;
+
+        const rationaleParts = [`${chosen.map(describe).join(', ')} form a coordinated look.`];
+        const closetCount = chosen.filter(item => state.closet.has(item.sku)).length;
+        if (closetCount > 0) {
+            rationaleParts.push(`Built around ${closetCount} piece${closetCount === 1 ? '' : 's'} from your closet.`);
+        }
+        if (reused.length > 0) {
+            rationaleParts.push(`Reuses ${reused.map(describe).join(', ')} from earlier days to keep packing light.`);
+        }
+        const location = state.dayLocations.get(day);
+        const carriedOver = reused.filter(item => state.usage.get(item.sku)
+            .some(usedOn => usedOn !== day && state.dayLocations.get(usedOn) !== location));
+        if (location && carriedOver.length > 0) {
+            rationaleParts.push(`${carriedOver.map(describe).join(', ')} carr${carriedOver.length === 1 ? 'ies' : 'y'} over from an earlier stop, so ${location} needs no extra packing.`);
+        }
+        if (relaxed.has('budget')) {
+            rationaleParts.push('Goes over the remaining budget because no cheaper option was available.');
+        }
+
+        let weatherConsiderations;
+        if (forecast?.temperature) {
+            const { min, max } = forecast.temperature;
+            const where = state.dayLocations.get(day);
+            weatherConsiderations = `${where ? `${where} forecast` : 'Forecast'} ${Math.round(min)}–${Math.round(max)}°C with ${forecast.conditions?.main || 'mixed'} conditions.`;
+            if (outfit.outerwear) {
+                weatherConsiderations += ` ${describe(outfit.outerwear)} adds a layer.`;
+            }
+            if (outfit.accessories.length > 0) {
+                weatherConsiderations += ` ${outfit.accessories.map(describe).join(', ')} covers the weather extras.`;
+            }
+            if (relaxed.has('weather')) {
+                weatherConsiderations += ' Some pieces are not rated for this weather because nothing better was available.';
+            }
+        } else {
+            weatherConsiderations = 'No forecast available; pieces were chosen for versatility across conditions.';
+        }
+
+        const dresscodeCompliance = relaxed.has('dressCode')
+            ? `Closest available match for the ${dressCode} dress code; not every piece is rated for it.`
+            : `Every piece suits the ${dressCode} dress code.`;
+
+        return {
+            rationale: rationaleParts.join(' '),
+            weatherConsiderations,
+            dresscodeCompliance
+        };
+    }
+
+    /**
+     * Summarize reuse across the trip
+     * @param {Map<string, Array<number>>} usage - Days each SKU is worn
+     * @returns {Object} Reusability analysis
+     */
+    buildReusabilityAnalysis(usage) {
+        const totalItems = usage.size;
+        const reusabilityMap = {};
+        usage.forEach((days, sku) => {
+            if (days.length > 1) {
+                reusabilityMap[sku] = [...days].sort((a, b) => a - b);
+            }
+        });
+        const reusedItems = Object.keys(reusabilityMap).length;
+
+        return {
+            totalItems,
+            reusedItems,
+            reusabilityPercentage: totalItems > 0 ? Math.round((reusedItems / totalItems) * 100) : 0,
+            reusabilityMap
+        };
+    }
+}
+
+// Export singleton instance
+export const offlineOutfitSolver = new OfflineOutfitSolver();
+
+// Export class for testing and custom instances
+export default OfflineOutfitSolver;
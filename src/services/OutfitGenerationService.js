@@ -9,10 +9,22 @@ import clothingDatasetService from './clothingDatasetService';
 import bedrockService from './bedrockService';
 import csvLoader from './CSVLoader';
 import demoOutfitService from './demoOutfitService';
+import closetService from './closetService';
+import catalogNormalizer from './catalogNormalizer';
+import { weatherOutfitValidator } from './WeatherOutfitValidator';
+import { clothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { candidateSelector, DEFAULT_CATALOG_TOKEN_BUDGET } from './CandidateSelector';
+import { offlineOutfitSolver } from './OfflineOutfitSolver';
+
+// Single-item slots that can be swapped on their own
+const SWAPPABLE_SLOTS = ['topwear', 'bottomwear', 'footwear', 'outerwear'];
 
 class OutfitGenerationService {
     constructor() {
         // No local caching needed - CSVLoader handles caching
+
+        // Token budget for the catalog CSV in outfit prompts
+        this.catalogTokenBudget = Number(process.env.REACT_APP_CATALOG_TOKEN_BUDGET) || DEFAULT_CATALOG_TOKEN_BUDGET;
     }
 
     /**
@@ -20,9 +32,13 @@ class OutfitGenerationService {
      * @param {string} sessionId - Session identifier
      * @param {Object} confirmedDetails - User-confirmed event details
      * @param {Array} closetItems - User's existing closet items (optional)
+     * @param {Object} options
+     * @param {boolean} options.repairWeather - Swap in weather-appropriate pieces when the forecast check finds gaps
+     * @param {Function} options.onOutfit - Streams the response and calls back with each hydrated day as it completes
+     * @param {AbortSignal} options.signal - Cancels generation; resolves with a CANCELLED error
      * @returns {Promise<Object>} Generated outfit recommendations
      */
-    async generateOutfits(sessionId, confirmedDetails, closetItems = []) {
+    async generateOutfits(sessionId, confirmedDetails, closetItems = [], { repairWeather = false, onOutfit = null, signal = null } = {}) {
         try {
             this.validateInputs(sessionId, confirmedDetails);
 
@@ -45,22 +61,113 @@ class OutfitGenerationService {
             const dataset = await clothingDatasetService.getDataset();
 
             // Merge closet items with catalog dataset
-            const mergedDataset = this.mergeClosetItems(dataset, closetItems);
+            const catalogDataset = this.mergeClosetItems(dataset, closetItems);
 
             const contextSummary = contextAccumulator.generateContextSummary(sessionId);
+            const locks = this.resolveLocks(contextSummary?.locks, catalogDataset.skuMap);
 
-            const aiResult = await bedrockService.generateOutfitRecommendations({
-                eventDetails: confirmedDetails,
-                csvContent: mergedDataset.csvContent,
-                contextSummary
+            // Items the traveler locked stay available even when the style profile rules them out
+            const mergedDataset = this.applyStyleProfile(catalogDataset, contextSummary?.styleProfile, this.getLockedSkus(locks));
+            const promptDataset = this.shortlistCatalog(mergedDataset, {
+                sessionId,
+                confirmedDetails,
+                weather: contextSummary?.environment?.weather || null,
+                keepSkus: [...this.getLockedSkus(locks), ...(closetItems || []).map(item => item.sku)]
             });
+            const request = {
+                eventDetails: confirmedDetails,
+                csvContent: promptDataset.csvContent,
+                contextSummary: { ...contextSummary, locks: locks || { items: [], days: {} } }
+            };
+
+            const aiResult = onOutfit
+                ? await bedrockService.streamOutfitRecommendations({
+                    ...request,
+                    signal,
+                    onDayOutfit: dayOutfit => this.emitStreamedOutfit(dayOutfit, mergedDataset.skuMap, sessionId, onOutfit)
+                })
+                : await bedrockService.generateOutfitRecommendations(request);
+
+            if (signal?.aborted) {
+                return this.createCancelledResult();
+            }
+
+            let outfitData = aiResult.success ? aiResult.data : null;
+            let hydratedOutfits = null;
+            let generationMethod = 'ai';
+            const lockStatus = { reprompted: false, repaired: [] };
+
+            if (outfitData) {
+                try {
+                    hydratedOutfits = this.hydrateOutfits(outfitData, mergedDataset.skuMap, sessionId);
+                } catch (hydrationError) {
+                    console.warn('AI outfits could not be hydrated, using offline solver:', hydrationError.message);
+                }
+            } else {
+                console.warn('AI outfit generation failed, using offline solver:', aiResult.error?.message);
+            }
+
+            // Re-prompt once when the model dropped locked items or changed a locked day
+            if (hydratedOutfits && locks) {
+                const violations = this.findLockViolations(hydratedOutfits, locks);
+                if (violations.length > 0) {
+                    console.warn('AI outfits broke the locks, re-prompting:', violations.map(({ message }) => message).join(' '));
+                    lockStatus.reprompted = true;
+
+                    const retryResult = await bedrockService.generateOutfitRecommendations({
+                        ...request,
+                        corrections: violations.map(({ message }) => message)
+                    });
+
+                    if (signal?.aborted) {
+                        return this.createCancelledResult();
+                    }
+
+                    if (retryResult.success) {
+                        try {
+                            const retriedOutfits = this.hydrateOutfits(retryResult.data, mergedDataset.skuMap, sessionId);
+                            if (this.findLockViolations(retriedOutfits, locks).length < violations.length) {
+                                outfitData = retryResult.data;
+                                hydratedOutfits = retriedOutfits;
+                            }
+                        } catch (hydrationError) {
+                            console.warn('Re-prompted outfits could not be hydrated:', hydrationError.message);
+                        }
+                    }
+                }
+            }
 
-            if (!aiResult.success) {
-                throw new Error(aiResult.error?.message || 'AI outfit generation failed');
+            if (!hydratedOutfits) {
+                outfitData = bedrockService.createFallbackOutfitData(confirmedDetails, {
+                    items: Array.from(mergedDataset.skuMap.values()),
+                    weather: contextSummary?.environment?.weather || null,
+                    closetSkus: closetItems && closetItems.length > 0 ? closetItems.map(item => item.sku) : null,
+                    constraints: this.buildLockConstraints(locks, confirmedDetails),
+                    preferences: contextSummary?.preferences || null
+                });
+                hydratedOutfits = this.hydrateOutfits(outfitData, mergedDataset.skuMap, sessionId);
+                generationMethod = 'offline-solver';
             }
 
-            const hydratedOutfits = this.hydrateOutfits(aiResult.data, mergedDataset.skuMap, sessionId);
-            const reusabilityAnalysis = aiResult.data.reusabilityAnalysis ||
+            // Anything still missing is put back in place
+            if (locks) {
+                const violations = this.findLockViolations(hydratedOutfits, locks);
+                if (violations.length > 0) {
+                    console.warn('Repairing locked items the outfits still miss:', violations.map(({ message }) => message).join(' '));
+                    hydratedOutfits = this.repairLocks(hydratedOutfits, locks, mergedDataset.skuMap);
+                    lockStatus.repaired = violations;
+                }
+            }
+
+            const weatherCheck = this.checkWeather(hydratedOutfits, contextSummary?.environment?.weather, {
+                repair: repairWeather,
+                items: Array.from(mergedDataset.skuMap.values()),
+                locks,
+                confirmedDetails
+            });
+            hydratedOutfits = weatherCheck.outfits;
+
+            const reusabilityAnalysis = (lockStatus.repaired.length === 0 && weatherCheck.weatherValidation.repairs.length === 0 && outfitData.reusabilityAnalysis) ||
                 this.calculateReusabilityMetrics(hydratedOutfits);
 
             return {
@@ -69,7 +176,10 @@ class OutfitGenerationService {
                     outfits: hydratedOutfits,
                     reusabilityAnalysis,
                     contextSummary,
-                    rawAiData: aiResult.data,
+                    rawAiData: outfitData,
+                    generationMethod,
+                    lockStatus,
+                    weatherValidation: weatherCheck.weatherValidation,
                     generatedAt: new Date().toISOString()
                 }
             };
@@ -86,6 +196,561 @@ class OutfitGenerationService {
         }
     }
 
+    /**
+     * Hydrate one streamed day and hand it to the caller; days the catalog can't resolve are skipped
+     * and left for the full-response checks
+     * @param {Object} dayOutfit - Daily outfit from the model
+     * @param {Map} skuMap - SKU lookup
+     * @param {string} sessionId - Session identifier
+     * @param {Function} onOutfit - Callback receiving the hydrated outfit
+     */
+    emitStreamedOutfit(dayOutfit, skuMap, sessionId, onOutfit) {
+        let outfit;
+        try {
+            outfit = this.hydrateOutfits({ dailyOutfits: [dayOutfit] }, skuMap, sessionId)[dayOutfit.day];
+        } catch (hydrationError) {
+            console.warn(`Streamed day ${dayOutfit.day} could not be hydrated:`, hydrationError.message);
+            return;
+        }
+
+        onOutfit(outfit);
+    }
+
+    createCancelledResult() {
+        console.log('🛑 Outfit generation cancelled');
+        return {
+            success: false,
+            error: {
+                code: 'CANCELLED',
+                message: 'Outfit generation was cancelled'
+            }
+        };
+    }
+
+    /**
+     * Fix the weather warnings on existing outfits, keeping locked days and items in place
+     * @param {string} sessionId - Session identifier
+     * @param {Object} confirmedDetails - User-confirmed event details
+     * @param {Array} closetItems - User's existing closet items (optional)
+     * @param {Object} options
+     * @param {Object} options.outfits - Current hydrated outfits keyed by day
+     * @returns {Promise<Object>} { success, data: { outfits, reusabilityAnalysis, weatherValidation } }
+     */
+    async repairWeatherWarnings(sessionId, confirmedDetails, closetItems = [], { outfits } = {}) {
+        try {
+            this.validateInputs(sessionId, confirmedDetails);
+            if (!outfits || Object.keys(outfits).length === 0) {
+                throw new Error('No outfits to check against the weather');
+            }
+
+            const dataset = await clothingDatasetService.getDataset();
+            const catalogDataset = this.mergeClosetItems(dataset, closetItems);
+            const contextSummary = contextAccumulator.generateContextSummary(sessionId);
+            const locks = this.resolveLocks(contextSummary?.locks, catalogDataset.skuMap);
+            const mergedDataset = this.applyStyleProfile(catalogDataset, contextSummary?.styleProfile, this.getLockedSkus(locks));
+
+            const { outfits: repairedOutfits, weatherValidation } = this.checkWeather(outfits, contextSummary?.environment?.weather, {
+                repair: true,
+                items: Array.from(mergedDataset.skuMap.values()),
+                locks,
+                confirmedDetails
+            });
+
+            return {
+                success: true,
+                data: {
+                    outfits: repairedOutfits,
+                    reusabilityAnalysis: this.calculateReusabilityMetrics(repairedOutfits),
+                    weatherValidation
+                }
+            };
+
+        } catch (error) {
+            console.error('Weather repair error:', error);
+            return {
+                success: false,
+                error: {
+                    code: 'WEATHER_REPAIR_ERROR',
+                    message: error.message || 'Failed to fix outfits for the weather'
+                }
+            };
+        }
+    }
+
+    /**
+     * Cross-check outfits with the daily forecasts and optionally repair what falls short
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {Object|null} weather - Weather context with dailyForecasts
+     * @param {Object} options - { repair, items, locks, confirmedDetails }
+     * @returns {Object} { outfits, weatherValidation: { valid, checkedDays, warnings, repairs } }
+     */
+    checkWeather(outfits, weather, { repair = false, items = [], locks = null, confirmedDetails = {} } = {}) {
+        let validation = weatherOutfitValidator.validate(outfits, weather);
+        let checkedOutfits = outfits;
+        let repairs = [];
+
+        if (repair && validation.warnings.length > 0) {
+            const result = weatherOutfitValidator.repair(outfits, validation.warnings, {
+                items,
+                locks,
+                dressCode: confirmedDetails.dressCode,
+                dayPlans: confirmedDetails.dayPlans || confirmedDetails.dailyPlans || []
+            });
+            checkedOutfits = result.outfits;
+            repairs = result.repairs;
+            validation = weatherOutfitValidator.validate(checkedOutfits, weather);
+            console.log(`🌦️ Weather repair made ${repairs.length} change(s), ${validation.warnings.length} warning(s) left`);
+        } else if (validation.warnings.length > 0) {
+            console.warn(`🌦️ ${validation.warnings.length} weather warning(s) across ${validation.checkedDays} day(s)`);
+        }
+
+        return {
+            outfits: checkedOutfits,
+            weatherValidation: { ...validation, repairs }
+        };
+    }
+
+    /**
+     * Regenerate one day, or swap one slot of a day, keeping every other day pinned
+     * @param {string} sessionId - Session identifier
+     * @param {Object} confirmedDetails - User-confirmed event details
+     * @param {Array} closetItems - User's existing closet items (optional)
+     * @param {Object} options
+     * @param {Object} options.outfits - Current hydrated outfits keyed by day
+     * @param {Object} options.reusabilityAnalysis - Current analysis, updated incrementally
+     * @param {number} options.day - Day to change
+     * @param {string|null} options.slot - Slot to swap (topwear, bottomwear, footwear, outerwear); whole day when omitted
+     * @returns {Promise<Object>} { success, data: { outfits, outfit, reusabilityAnalysis, weatherValidation, generationMethod } }
+     */
+    async regenerateOutfits(sessionId, confirmedDetails, closetItems = [], { outfits, reusabilityAnalysis = null, day, slot = null } = {}) {
+        try {
+            this.validateInputs(sessionId, confirmedDetails);
+
+            const currentOutfit = outfits?.[day];
+            if (!currentOutfit) {
+                throw new Error(`No outfit found for day ${day}`);
+            }
+            if (slot && (!SWAPPABLE_SLOTS.includes(slot) || !currentOutfit.items?.[slot])) {
+                throw new Error(`Day ${day} has no ${slot} to swap`);
+            }
+
+            const dataset = await clothingDatasetService.getDataset();
+            const catalogDataset = this.mergeClosetItems(dataset, closetItems);
+            const contextSummary = contextAccumulator.getContextFile(sessionId)
+                ? contextAccumulator.generateContextSummary(sessionId)
+                : null;
+            const locks = this.resolveLocks(contextSummary?.locks, catalogDataset.skuMap);
+
+            // Pieces already worn stay resolvable: other days are pinned and kept slots are fixed
+            const wornSkus = Object.values(outfits).flatMap(outfit => this.getOutfitSkus(outfit));
+            const mergedDataset = this.applyStyleProfile(catalogDataset, contextSummary?.styleProfile, [...this.getLockedSkus(locks), ...wornSkus]);
+
+            if (locks?.days[day]) {
+                return {
+                    success: false,
+                    error: { code: 'LOCKED', message: `Day ${day} is locked; unlock it to change its outfit` }
+                };
+            }
+
+            const constraints = this.buildRegenerationConstraints(outfits, day, slot);
+            const onlyWornToday = this.getLockedItemsOnlyWornOn(outfits, day, locks);
+
+            if (slot && onlyWornToday.includes(currentOutfit.items[slot].sku)) {
+                return {
+                    success: false,
+                    error: { code: 'LOCKED', message: `${currentOutfit.items[slot].name || currentOutfit.items[slot].sku} is locked and only worn on day ${day}` }
+                };
+            }
+
+            // Locked items that no other day wears stay on the regenerated day
+            if (!slot && onlyWornToday.length > 0) {
+                const fixed = {};
+                onlyWornToday.forEach(sku => {
+                    const itemSlot = offlineOutfitSolver.getItemSlot(mergedDataset.skuMap.get(sku));
+                    if (itemSlot === 'accessories') {
+                        fixed.accessories = [...(fixed.accessories || []), sku];
+                    } else if (itemSlot) {
+                        fixed[itemSlot] = sku;
+                    }
+                });
+                constraints.fixedSlots[day] = fixed;
+                constraints.avoidSkus[day] = constraints.avoidSkus[day].filter(sku => !onlyWornToday.includes(sku));
+            }
+
+            const promptDataset = this.shortlistCatalog(mergedDataset, {
+                sessionId,
+                confirmedDetails,
+                weather: contextSummary?.environment?.weather || null,
+                keepSkus: [...this.getLockedSkus(locks), ...wornSkus, ...(closetItems || []).map(item => item.sku)]
+            });
+
+            const aiResult = await bedrockService.generateOutfitRecommendations({
+                eventDetails: confirmedDetails,
+                csvContent: promptDataset.csvContent,
+                contextSummary,
+                constraints
+            });
+
+            let nextOutfit = null;
+            let generationMethod = 'ai';
+
+            if (aiResult.success) {
+                try {
+                    nextOutfit = this.extractRegeneratedOutfit(aiResult.data, constraints, mergedDataset.skuMap, sessionId);
+                } catch (constraintError) {
+                    console.warn('AI regeneration ignored the constraints, using offline solver:', constraintError.message);
+                }
+            } else {
+                console.warn('AI regeneration failed, using offline solver:', aiResult.error?.message);
+            }
+
+            if (!nextOutfit) {
+                const outfitData = bedrockService.createFallbackOutfitData(confirmedDetails, {
+                    items: Array.from(mergedDataset.skuMap.values()),
+                    weather: contextSummary?.environment?.weather || null,
+                    closetSkus: closetItems && closetItems.length > 0 ? closetItems.map(item => item.sku) : null,
+                    constraints,
+                    preferences: contextSummary?.preferences || null
+                });
+                // The solver only falls back on avoided SKUs when nothing else fits
+                nextOutfit = this.extractRegeneratedOutfit(outfitData, constraints, mergedDataset.skuMap, sessionId, { allowAvoided: true });
+                generationMethod = 'offline-solver';
+            }
+
+            const unchanged = slot
+                ? nextOutfit.items[slot]?.sku === currentOutfit.items[slot].sku
+                : this.getOutfitSkus(nextOutfit).sort().join(',') === this.getOutfitSkus(currentOutfit).sort().join(',');
+            if (unchanged) {
+                return {
+                    success: false,
+                    error: {
+                        code: 'NO_ALTERNATIVE',
+                        message: slot ? `No other ${slot} fits day ${day}` : `No other outfit fits day ${day}`
+                    }
+                };
+            }
+
+            const updatedOutfit = {
+                ...nextOutfit,
+                createdAt: currentOutfit.createdAt || nextOutfit.createdAt
+            };
+            const updatedOutfits = { ...outfits, [day]: updatedOutfit };
+
+            return {
+                success: true,
+                data: {
+                    outfits: updatedOutfits,
+                    outfit: updatedOutfit,
+                    reusabilityAnalysis: this.updateReusabilityMetrics(reusabilityAnalysis, updatedOutfits, day, currentOutfit),
+                    weatherValidation: this.checkWeather(updatedOutfits, contextSummary?.environment?.weather).weatherValidation,
+                    generationMethod,
+                    generatedAt: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            console.error('Outfit regeneration error:', error);
+            return {
+                success: false,
+                error: {
+                    code: 'REGENERATION_ERROR',
+                    message: error.message || 'Failed to regenerate outfit'
+                }
+            };
+        }
+    }
+
+    /**
+     * Keep only locks that refer to SKUs in the dataset
+     * @param {Object|null} locks - { items, days } from the context summary
+     * @param {Map} skuMap - SKU lookup
+     * @returns {Object|null} Usable locks, or null when nothing is locked
+     */
+    resolveLocks(locks, skuMap) {
+        if (!locks) {
+            return null;
+        }
+
+        const items = (locks.items || []).filter(sku => {
+            if (!skuMap.has(sku)) {
+                console.warn(`Ignoring lock on unknown SKU ${sku}`);
+                return false;
+            }
+            return true;
+        });
+
+        const days = {};
+        Object.entries(locks.days || {}).forEach(([day, outfit]) => {
+            const skus = Object.values(outfit || {}).flatMap(value => [].concat(value || []));
+            const unknown = skus.filter(sku => !skuMap.has(sku));
+            const bottomwearCovered = outfit?.bottomwear || offlineOutfitSolver.isDress(skuMap.get(outfit?.topwear));
+            if (unknown.length > 0 || !outfit?.topwear || !bottomwearCovered || !outfit?.footwear) {
+                console.warn(`Ignoring lock on day ${day}: ${unknown.length > 0 ? `unknown SKU ${unknown.join(', ')}` : 'incomplete outfit'}`);
+                return;
+            }
+            days[Number(day)] = outfit;
+        });
+
+        return items.length > 0 || Object.keys(days).length > 0 ? { items, days } : null;
+    }
+
+    /**
+     * Express locks as offline solver constraints
+     * @param {Object|null} locks - Resolved locks
+     * @param {Object} confirmedDetails - Event details (for locked day occasions)
+     * @returns {Object|null} { pinnedOutfits, fixedSlots, avoidSkus, requiredSkus }
+     */
+    buildLockConstraints(locks, confirmedDetails = {}) {
+        if (!locks) {
+            return null;
+        }
+
+        const plans = confirmedDetails.dayPlans || confirmedDetails.dailyPlans || [];
+        const toSlot = sku => (sku ? { sku } : null);
+
+        return {
+            pinnedOutfits: Object.entries(locks.days).map(([day, outfit]) => ({
+                day: Number(day),
+                date: `Day ${day}`,
+                occasion: plans.find(plan => plan.day === Number(day))?.activity || `${confirmedDetails.occasion || 'Trip'} - Day ${day}`,
+                outfit: {
+                    topwear: toSlot(outfit.topwear),
+                    bottomwear: toSlot(outfit.bottomwear),
+                    footwear: toSlot(outfit.footwear),
+                    outerwear: toSlot(outfit.outerwear),
+                    accessories: (outfit.accessories || []).map(toSlot)
+                },
+                styling: {
+                    rationale: 'Locked by you, so this look is kept exactly as chosen.',
+                    weatherConsiderations: 'Kept as locked.',
+                    dresscodeCompliance: 'Kept as locked.'
+                }
+            })),
+            fixedSlots: {},
+            avoidSkus: {},
+            requiredSkus: locks.items
+        };
+    }
+
+    /**
+     * List where hydrated outfits break the locks
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {Object} locks - Resolved locks
+     * @returns {Array<Object>} Violations: { type: 'day'|'item', day|sku, message }
+     */
+    findLockViolations(outfits, locks) {
+        const violations = [];
+
+        Object.entries(locks.days).forEach(([day, locked]) => {
+            const items = outfits[day]?.items || {};
+            const matches = ['topwear', 'bottomwear', 'footwear', 'outerwear'].every(slot =>
+                (items[slot]?.sku || null) === (locked[slot] || null)
+            ) && (items.accessories || []).map(item => item.sku).sort().join(',') ===
+                [...(locked.accessories || [])].sort().join(',');
+
+            if (!matches) {
+                violations.push({
+                    type: 'day',
+                    day: Number(day),
+                    message: `Day ${day} is locked: return it with exactly ${JSON.stringify(locked)}.`
+                });
+            }
+        });
+
+        const worn = new Set(Object.values(outfits).flatMap(outfit => this.getOutfitSkus(outfit)));
+        locks.items.filter(sku => !worn.has(sku)).forEach(sku => {
+            violations.push({
+                type: 'item',
+                sku,
+                message: `${sku} is locked but missing: wear it on at least one day.`
+            });
+        });
+
+        return violations;
+    }
+
+    /**
+     * Put locked days and missing locked items back into hydrated outfits.
+     * A missing item replaces the piece in its slot on the first unlocked day
+     * whose current piece has the same formality (or the first unlocked day).
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {Object} locks - Resolved locks
+     * @param {Map} skuMap - SKU lookup
+     * @returns {Object} Repaired outfits
+     */
+    repairLocks(outfits, locks, skuMap) {
+        const repaired = { ...outfits };
+        const timestamp = new Date().toISOString();
+
+        Object.entries(locks.days).forEach(([day, locked]) => {
+            if (!repaired[day]) {
+                return;
+            }
+            repaired[day] = {
+                ...repaired[day],
+                items: {
+                    topwear: this.hydrateSlot('topwear', { sku: locked.topwear }, skuMap),
+                    bottomwear: this.hydrateSlot('bottomwear', { sku: locked.bottomwear }, skuMap),
+                    footwear: this.hydrateSlot('footwear', { sku: locked.footwear }, skuMap),
+                    outerwear: locked.outerwear ? this.hydrateSlot('outerwear', { sku: locked.outerwear }, skuMap) : null,
+                    accessories: (locked.accessories || []).map(sku => this.hydrateSlot('accessories', { sku }, skuMap))
+                },
+                updatedAt: timestamp
+            };
+        });
+
+        const worn = new Set(Object.values(repaired).flatMap(outfit => this.getOutfitSkus(outfit)));
+        const freeDays = Object.keys(repaired)
+            .map(Number)
+            .filter(day => !locks.days[day])
+            .sort((a, b) => a - b);
+
+        locks.items.filter(sku => !worn.has(sku)).forEach(sku => {
+            const item = skuMap.get(sku);
+            const slot = offlineOutfitSolver.getItemSlot(item);
+            if (!slot || freeDays.length === 0) {
+                return;
+            }
+
+            const day = freeDays.find(candidate => repaired[candidate].items[slot]?.formality === item.formality) ?? freeDays[0];
+            const items = { ...repaired[day].items };
+            if (slot === 'accessories') {
+                items.accessories = [...(items.accessories || []), { ...item }];
+            } else {
+                items[slot] = { ...item };
+            }
+            if (offlineOutfitSolver.isDress(item)) {
+                items.bottomwear = null;
+            }
+
+            repaired[day] = { ...repaired[day], items, updatedAt: timestamp };
+        });
+
+        return repaired;
+    }
+
+    /**
+     * Locked items that are worn on the given day and no other
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {number} day - Day being changed
+     * @param {Object|null} locks - Resolved locks
+     * @returns {Array<string>} SKUs
+     */
+    getLockedItemsOnlyWornOn(outfits, day, locks) {
+        if (!locks) {
+            return [];
+        }
+
+        const today = new Set(this.getOutfitSkus(outfits[day]));
+        const otherDays = new Set(Object.values(outfits)
+            .filter(outfit => outfit.day !== day)
+            .flatMap(outfit => this.getOutfitSkus(outfit)));
+
+        return locks.items.filter(sku => today.has(sku) && !otherDays.has(sku));
+    }
+
+    /**
+     * Describe which days are pinned and what may change on the regenerated day
+     * @param {Object} outfits - Current hydrated outfits keyed by day
+     * @param {number} day - Day to change
+     * @param {string|null} slot - Slot to swap, or null for the whole day
+     * @returns {Object} { day, slot, pinnedOutfits, fixedSlots, avoidSkus }
+     */
+    buildRegenerationConstraints(outfits, day, slot = null) {
+        const current = this.toScheduleOutfit(outfits[day]);
+        const pinnedOutfits = Object.values(outfits)
+            .filter(outfit => outfit.day !== day)
+            .sort((a, b) => a.day - b.day)
+            .map(outfit => this.toScheduleOutfit(outfit));
+
+        const currentSkus = (entry) => [].concat(entry || []).map(item => item.sku);
+        const fixedSlots = {};
+        let avoidSkus;
+
+        if (slot) {
+            const kept = {};
+            Object.entries(current.outfit)
+                .filter(([name]) => name !== slot)
+                .forEach(([name, entry]) => {
+                    kept[name] = Array.isArray(entry) ? currentSkus(entry) : (entry?.sku || null);
+                });
+            fixedSlots[day] = kept;
+            avoidSkus = currentSkus(current.outfit[slot]);
+        } else {
+            avoidSkus = Object.values(current.outfit).flatMap(currentSkus);
+        }
+
+        return {
+            day,
+            slot,
+            pinnedOutfits,
+            fixedSlots,
+            avoidSkus: { [day]: avoidSkus }
+        };
+    }
+
+    /**
+     * Convert a hydrated outfit back to an outfitRecommendationSchema daily outfit
+     * @param {Object} outfit - Hydrated outfit
+     * @returns {Object} Daily outfit with { sku } slots
+     */
+    toScheduleOutfit(outfit) {
+        const items = outfit.items || {};
+        const toSlot = item => (item?.sku ? { sku: item.sku } : null);
+
+        return {
+            day: outfit.day,
+            date: `Day ${outfit.day}`,
+            occasion: outfit.occasion,
+            outfit: {
+                topwear: toSlot(items.topwear),
+                bottomwear: toSlot(items.bottomwear),
+                footwear: toSlot(items.footwear),
+                outerwear: toSlot(items.outerwear),
+                accessories: (items.accessories || []).map(toSlot).filter(Boolean)
+            },
+            styling: outfit.styling
+        };
+    }
+
+    /**
+     * Pull the regenerated day out of a full-trip response and check it honours the fixed slots
+     * and, unless allowAvoided is set, leaves out the avoided SKUs
+     * @param {Object} outfitData - Outfit data for the whole trip
+     * @param {Object} constraints - Regeneration constraints
+     * @param {Map} skuMap - SKU lookup
+     * @param {string} sessionId - Session identifier
+     * @param {Object} options - { allowAvoided }
+     * @returns {Object} Hydrated outfit for the regenerated day
+     */
+    extractRegeneratedOutfit(outfitData, constraints, skuMap, sessionId, { allowAvoided = false } = {}) {
+        const { day } = constraints;
+        const dayOutfit = outfitData.dailyOutfits.find(entry => entry.day === day);
+        if (!dayOutfit) {
+            throw new Error(`Response is missing day ${day}`);
+        }
+
+        const fixed = constraints.fixedSlots[day] || {};
+        Object.entries(fixed).forEach(([slot, expected]) => {
+            const actual = dayOutfit.outfit[slot];
+            const actualSkus = [].concat(actual || []).map(item => item.sku).sort();
+            const expectedSkus = [].concat(expected || []).sort();
+            if (actualSkus.join(',') !== expectedSkus.join(',')) {
+                throw new Error(`Day ${day} changed the fixed ${slot}`);
+            }
+        });
+
+        if (!allowAvoided) {
+            const worn = new Set(Object.values(dayOutfit.outfit).flatMap(entry => [].concat(entry || [])).map(item => item.sku));
+            const reused = (constraints.avoidSkus?.[day] || []).filter(sku => worn.has(sku));
+            if (reused.length > 0) {
+                throw new Error(`Day ${day} kept ${reused.join(', ')}, which should be replaced`);
+            }
+        }
+
+        return this.hydrateOutfits({ dailyOutfits: [dayOutfit] }, skuMap, sessionId)[day];
+    }
+
     /**
      * Merge closet items into the dataset
      * @param {Object} dataset - Original catalog dataset
@@ -93,24 +758,23 @@ class OutfitGenerationService {
      * @returns {Object} Merged dataset with closet items
      */
     mergeClosetItems(dataset, closetItems) {
-        if (!closetItems || closetItems.length === 0) {
+        const validClosetItems = closetService.normalizeItems(closetItems || []);
+        if (validClosetItems.length === 0) {
             return dataset;
         }
 
         // Create a new SKU map with closet items
         const mergedSkuMap = new Map(dataset.skuMap);
 
-        // Convert closet items to CSV rows and add to SKU map
-        const closetRows = closetItems.map(item => {
-            // Add to SKU map
+        // Convert closet items to CSV rows (same column order as the catalog) and add to SKU map
+        const closetRows = validClosetItems.map(item => {
             mergedSkuMap.set(item.sku, item);
-
-            // Convert to CSV row format
-            return `${item.sku},${item.name},${item.category},${item.price || 0},${item.colors || ''},${item.weatherSuitability || 'all-weather'},${item.formality || 'casual'},${item.layering || ''},${item.tags || ''},${item.notes || ''}`;
+            return catalogNormalizer.toCSVRow(item);
         }).join('\n');
 
-        // Prepend closet items to CSV content (so they appear first and are prioritized)
-        const mergedCsvContent = closetRows + '\n' + dataset.csvContent;
+        // Insert closet items right after the header (so they appear first and are prioritized)
+        const [header, ...catalogRows] = dataset.csvContent.trim().split('\n');
+        const mergedCsvContent = [header, closetRows, ...catalogRows].join('\n');
 
         return {
             csvContent: mergedCsvContent,
@@ -118,6 +782,84 @@ class OutfitGenerationService {
         };
     }
 
+    /**
+     * Leave out items that break the traveler's style profile
+     * @param {Object} dataset - Dataset with csvContent and skuMap
+     * @param {Object|null} styleProfile - Style profile from the context summary
+     * @param {Array<string>} keepSkus - SKUs that stay even when the profile rules them out
+     * @returns {Object} Dataset with the filtered CSV and SKU map
+     */
+    applyStyleProfile(dataset, styleProfile, keepSkus = []) {
+        if (!styleProfile) {
+            return dataset;
+        }
+
+        const items = Array.from(dataset.skuMap.values());
+        const allowed = new Set(clothingAnalysisEngine.filterByCriteria(items, { styleProfile }).map(item => item.sku));
+        keepSkus.forEach(sku => allowed.add(sku));
+
+        const excluded = items.filter(item => !allowed.has(item.sku)).map(item => item.sku);
+        if (excluded.length === 0) {
+            return dataset;
+        }
+
+        console.log(`🎨 Style profile leaves out ${excluded.length} item(s): ${excluded.join(', ')}`);
+
+        const [header, ...rows] = dataset.csvContent.trim().split('\n');
+        return {
+            csvContent: [header, ...rows.filter(row => allowed.has(catalogNormalizer.splitCSVLine(row)[0]))].join('\n'),
+            skuMap: new Map(items.filter(item => allowed.has(item.sku)).map(item => [item.sku, item]))
+        };
+    }
+
+    /**
+     * Offer the model a shortlist that suits each day's dress code and weather and fits the
+     * catalog token budget, and record the rationale in the context file
+     * @param {Object} dataset - Dataset with csvContent and skuMap
+     * @param {Object} options
+     * @param {string} options.sessionId - Session identifier
+     * @param {Object} options.confirmedDetails - Trip details with dayPlans
+     * @param {Object|null} options.weather - Weather context with dailyForecasts
+     * @param {Array<string>} options.keepSkus - SKUs always offered (closet, locks, pieces already worn)
+     * @returns {Object} Dataset with the shortlisted CSV; the SKU map stays whole for hydration and the offline solver
+     */
+    shortlistCatalog(dataset, { sessionId, confirmedDetails, weather = null, keepSkus = [] }) {
+        const { skus, rationale } = candidateSelector.selectCandidates({
+            items: Array.from(dataset.skuMap.values()),
+            eventDetails: confirmedDetails,
+            weather,
+            keepSkus,
+            tokenBudget: this.catalogTokenBudget
+        });
+
+        console.log(`🧮 Offering ${rationale.shortlistedItems} of ${rationale.totalItems} item(s), about ${rationale.estimatedTokens} tokens of catalog`);
+        if (contextAccumulator.getContextFile(sessionId)) {
+            contextAccumulator.setCandidateSelection(sessionId, rationale);
+        }
+
+        const [header, ...rows] = dataset.csvContent.trim().split('\n');
+        return {
+            csvContent: [header, ...rows.filter(row => skus.has(catalogNormalizer.splitCSVLine(row)[0]))].join('\n'),
+            skuMap: dataset.skuMap
+        };
+    }
+
+    /**
+     * Every SKU the user has locked, as an item or on a locked day
+     * @param {Object|null} locks - Resolved locks
+     * @returns {Array<string>} Locked SKUs
+     */
+    getLockedSkus(locks) {
+        if (!locks) {
+            return [];
+        }
+
+        return [
+            ...locks.items,
+            ...Object.values(locks.days).flatMap(day => Object.values(day).flat())
+        ].filter(Boolean);
+    }
+
     hydrateOutfits(aiData, skuMap, sessionId) {
         const outfits = {};
         const timestamp = new Date().toISOString();
@@ -133,6 +875,9 @@ class OutfitGenerationService {
                     .map(accessory => this.hydrateSlot('accessories', accessory, skuMap))
                     .filter(Boolean)
             };
+            if (!hydratedItems.bottomwear && !offlineOutfitSolver.isDress(hydratedItems.topwear)) {
+                throw new Error(`AI response missing bottomwear for day ${day}`);
+            }
 
             outfits[day] = {
                 id: `outfit-${sessionId}-${day}`,
@@ -173,46 +918,90 @@ class OutfitGenerationService {
     }
 
     calculateReusabilityMetrics(outfits) {
-        const usageMap = new Map();
+        const itemUsage = {};
 
         Object.values(outfits).forEach(outfit => {
-            const { items, day } = outfit;
-            ['topwear', 'bottomwear', 'footwear', 'outerwear'].forEach(slot => {
-                const item = items[slot];
-                if (item) {
-                    if (!usageMap.has(item.sku)) {
-                        usageMap.set(item.sku, []);
-                    }
-                    usageMap.get(item.sku).push(day);
-                }
+            this.getOutfitSkus(outfit).forEach(sku => {
+                itemUsage[sku] = [...new Set([...(itemUsage[sku] || []), outfit.day])].sort((a, b) => a - b);
             });
+        });
 
-            (items.accessories || []).forEach(accessory => {
-                if (!usageMap.has(accessory.sku)) {
-                    usageMap.set(accessory.sku, []);
-                }
-                usageMap.get(accessory.sku).push(day);
-            });
+        return this.summarizeItemUsage(itemUsage);
+    }
+
+    /**
+     * Update reusability metrics after one day changed, touching only that day's items.
+     * Falls back to a full recalculation when the analysis has no per-item usage
+     * (e.g. it came straight from the model).
+     * @param {Object|null} analysis - Current reusability analysis
+     * @param {Object} outfits - Outfits after the change, keyed by day
+     * @param {number} day - Day that changed
+     * @param {Object} previousOutfit - The day's outfit before the change
+     * @returns {Object} Updated reusability analysis
+     */
+    updateReusabilityMetrics(analysis, outfits, day, previousOutfit) {
+        if (!analysis?.itemUsage) {
+            return this.calculateReusabilityMetrics(outfits);
+        }
+
+        const itemUsage = { ...analysis.itemUsage };
+
+        this.getOutfitSkus(previousOutfit).forEach(sku => {
+            const days = (itemUsage[sku] || []).filter(entry => entry !== day);
+            if (days.length > 0) {
+                itemUsage[sku] = days;
+            } else {
+                delete itemUsage[sku];
+            }
         });
 
-        const totalItems = usageMap.size;
-        const reusedItems = Array.from(usageMap.values()).filter(days => days.length > 1).length;
-        const reusabilityPercentage = totalItems > 0
-            ? Math.round((reusedItems / totalItems) * 100)
-            : 0;
+        this.getOutfitSkus(outfits[day]).forEach(sku => {
+            itemUsage[sku] = [...new Set([...(itemUsage[sku] || []), day])].sort((a, b) => a - b);
+        });
 
+        return this.summarizeItemUsage(itemUsage);
+    }
+
+    /**
+     * SKUs worn in a hydrated outfit
+     * @param {Object} outfit - Hydrated outfit
+     * @returns {Array<string>} SKUs
+     */
+    getOutfitSkus(outfit) {
+        const items = outfit?.items || {};
+        return [
+            ...['topwear', 'bottomwear', 'footwear', 'outerwear'].map(slot => items[slot]),
+            ...(items.accessories || [])
+        ]
+            .filter(item => item?.sku)
+            .map(item => item.sku);
+    }
+
+    /**
+     * Build reusability metrics from per-item usage
+     * @param {Object} itemUsage - Days each SKU is worn, keyed by SKU
+     * @returns {Object} { totalItems, reusedItems, reusabilityPercentage, reusabilityMap, itemUsage }
+     */
+    summarizeItemUsage(itemUsage) {
         const reusabilityMap = {};
-        usageMap.forEach((days, sku) => {
+        Object.entries(itemUsage).forEach(([sku, days]) => {
             if (days.length > 1) {
-                reusabilityMap[sku] = [...new Set(days)].sort((a, b) => a - b);
+                reusabilityMap[sku] = days;
             }
         });
 
+        const totalItems = Object.keys(itemUsage).length;
+        const reusedItems = Object.keys(reusabilityMap).length;
+        const reusabilityPercentage = totalItems > 0
+            ? Math.round((reusedItems / totalItems) * 100)
+            : 0;
+
         return {
             totalItems,
             reusedItems,
             reusabilityPercentage,
-            reusabilityMap
+            reusabilityMap,
+            itemUsage
         };
     }
 
@@ -0,0 +1,306 @@
+/**
+ * PackingListEngine
+ *
+ * Turns a trip's outfits into a packing list: one entry per garment (with how often
+ * it is worn, from ReusabilityOptimizer.getItemUsageCount), per-day essentials such as
+ * socks and underwear sized to the laundry plan, and a weight/volume estimate checked
+ * against the chosen luggage, with suggestions for what to drop when it overflows.
+ */
+
+import { reusabilityOptimizer } from './ReusabilityOptimizer';
+
+// Typical packed weight (kg) and volume (litres) of one piece per category
+const CATEGORY_ESTIMATES = {
+    topwear: { weight: 0.2, volume: 1.5 },
+    dress: { weight: 0.35, volume: 2 },
+    bottomwear: { weight: 0.5, volume: 2.5 },
+    outerwear: { weight: 0.9, volume: 6 },
+    footwear: { weight: 0.8, volume: 5 },
+    accessories: { weight: 0.15, volume: 0.5 }
+};
+
+const DEFAULT_ESTIMATE = { weight: 0.3, volume: 1.5 };
+
+// Items packed per day between washes (with one spare) or as a fixed count
+const ESSENTIALS = [
+    { id: 'underwear', name: 'Underwear', perDay: 1, spare: 1, weight: 0.05, volume: 0.2 },
+    { id: 'socks', name: 'Socks (pairs)', perDay: 1, spare: 1, weight: 0.05, volume: 0.3 },
+    { id: 'sleepwear', name: 'Sleepwear', fixed: 1, weight: 0.3, volume: 1.5 },
+    { id: 'toiletries', name: 'Toiletry bag', fixed: 1, weight: 1, volume: 3 }
+];
+
+export const LUGGAGE_SIZES = {
+    'carry-on': { label: 'Carry-on', maxWeight: 10, maxVolume: 40 },
+    checked: { label: 'Checked bag', maxWeight: 23, maxVolume: 90 }
+};
+
+// Categories worn on the travel day instead of packed (bulkiest piece of each)
+const TRAVEL_DAY_CATEGORIES = ['outerwear', 'footwear'];
+
+/**
+ * PackingListEngine class for building packing lists and checking luggage capacity
+ */
+export class PackingListEngine {
+    constructor(optimizer = reusabilityOptimizer) {
+        this.reusabilityOptimizer = optimizer;
+    }
+
+    /**
+     * Build the packing list for a trip
+     * @param {Object|Array} outfits - Hydrated outfits keyed by day (or an array of them)
+     * @param {Object} options
+     * @param {number} options.duration - Trip length in days (defaults to the number of outfits)
+     * @param {number|null} options.laundryDay - Day at the end of which clothes are washed
+     * @param {string} options.luggage - Key of LUGGAGE_SIZES
+     * @param {Set<string>} options.closetSkus - SKUs the user already owns (CLOC SKUs always count)
+     * @returns {Object} { items, essentials, totals, luggage, laundry, suggestions }
+     */
+    buildPackingList(outfits, { duration = null, laundryDay = null, luggage = 'carry-on', closetSkus = new Set() } = {}) {
+        const outfitList = (Array.isArray(outfits) ? outfits : Object.values(outfits || {}))
+            .filter(Boolean)
+            .sort((a, b) => (a.day || 0) - (b.day || 0));
+        const tripLength = Math.max(duration || 0, outfitList.length);
+        const laundry = this.planLaundry(tripLength, laundryDay);
+
+        const items = this.collectItems(outfitList, closetSkus);
+        const essentials = this.calculateEssentials(laundry.daysCovered);
+        const travelWorn = this.pickTravelDayItems(items);
+        items.forEach(item => {
+            item.wornOnTravelDay = travelWorn.has(item.sku);
+        });
+
+        const packedItems = items.filter(item => !item.wornOnTravelDay);
+        const load = [...packedItems, ...essentials].reduce((total, entry) => ({
+            weight: total.weight + entry.weight * entry.quantity,
+            volume: total.volume + entry.volume * entry.quantity
+        }), { weight: 0, volume: 0 });
+
+        const luggageCheck = this.checkLuggage(load, luggage);
+
+        return {
+            items,
+            essentials,
+            totals: {
+                pieces: items.length,
+                closet: items.filter(item => item.fromCloset).length,
+                catalog: items.filter(item => !item.fromCloset).length,
+                price: Math.round(items
+                    .filter(item => !item.fromCloset)
+                    .reduce((total, item) => total + (Number(item.price) || 0), 0)),
+                reused: items.filter(item => item.wears > 1).length,
+                weight: this.round(load.weight),
+                volume: this.round(load.volume)
+            },
+            luggage: luggageCheck,
+            laundry,
+            suggestions: luggageCheck.fits
+                ? []
+                : this.suggestDrops({ packedItems, essentials, laundry, tripLength, overflow: luggageCheck.overflow })
+        };
+    }
+
+    /**
+     * Collect unique garments with their usage
+     * @param {Array<Object>} outfits - Hydrated outfits sorted by day
+     * @param {Set<string>} closetSkus - SKUs the user already owns
+     * @returns {Array<Object>} Packing entries
+     */
+    collectItems(outfits, closetSkus) {
+        const usageCount = this.reusabilityOptimizer.getItemUsageCount(outfits);
+        const entries = new Map();
+
+        outfits.forEach(outfit => {
+            Object.entries(outfit.items || {}).forEach(([slot, value]) => {
+                [].concat(value || []).forEach(item => {
+                    if (!item?.sku) {
+                        return;
+                    }
+
+                    if (!entries.has(item.sku)) {
+                        const category = this.getCategory(item, slot);
+                        const estimate = CATEGORY_ESTIMATES[category] || DEFAULT_ESTIMATE;
+                        entries.set(item.sku, {
+                            ...item,
+                            category,
+                            slots: [],
+                            days: [],
+                            wears: usageCount.get(item.sku) || 0,
+                            quantity: 1,
+                            weight: Number(item.weight) || estimate.weight,
+                            volume: Number(item.volume) || estimate.volume,
+                            fromCloset: closetSkus.has(item.sku) || item.sku.startsWith('CLOC')
+                        });
+                    }
+
+                    const entry = entries.get(item.sku);
+                    if (!entry.slots.includes(slot)) {
+                        entry.slots.push(slot);
+                    }
+                    if (outfit.day && !entry.days.includes(outfit.day)) {
+                        entry.days.push(outfit.day);
+                    }
+                });
+            });
+        });
+
+        return Array.from(entries.values());
+    }
+
+    /**
+     * Normalized category for weight and volume estimates
+     * @param {Object} item - Garment
+     * @param {string} slot - Outfit slot it is worn in
+     * @returns {string} Category
+     */
+    getCategory(item, slot) {
+        const category = (item.category || '').toLowerCase().trim();
+        return CATEGORY_ESTIMATES[category] ? category : slot;
+    }
+
+    /**
+     * Work out how many days of essentials to pack
+     * @param {number} duration - Trip length in days
+     * @param {number|null} laundryDay - Day at the end of which clothes are washed
+     * @returns {Object} { day, daysCovered }
+     */
+    planLaundry(duration, laundryDay) {
+        const day = Number(laundryDay);
+        if (!day || day < 1 || day >= duration) {
+            return { day: null, daysCovered: duration };
+        }
+
+        return { day, daysCovered: Math.max(day, duration - day) };
+    }
+
+    /**
+     * Quantities of per-day and fixed essentials
+     * @param {number} daysCovered - Days to cover before a wash
+     * @returns {Array<Object>} Essential entries
+     */
+    calculateEssentials(daysCovered) {
+        return ESSENTIALS.map(({ perDay, spare = 0, fixed, ...essential }) => ({
+            ...essential,
+            quantity: fixed || (daysCovered > 0 ? daysCovered * perDay + spare : 0)
+        })).filter(essential => essential.quantity > 0);
+    }
+
+    /**
+     * Pick the bulkiest outerwear and footwear to wear while travelling
+     * @param {Array<Object>} items - Packing entries
+     * @returns {Set<string>} SKUs worn on the travel day
+     */
+    pickTravelDayItems(items) {
+        const worn = new Set();
+        TRAVEL_DAY_CATEGORIES.forEach(category => {
+            const bulkiest = items
+                .filter(item => item.category === category)
+                .sort((a, b) => b.volume - a.volume || b.weight - a.weight)[0];
+            if (bulkiest) {
+                worn.add(bulkiest.sku);
+            }
+        });
+        return worn;
+    }
+
+    /**
+     * Check a load against a luggage size
+     * @param {Object} load - { weight, volume }
+     * @param {string} luggage - Key of LUGGAGE_SIZES
+     * @returns {Object} { type, label, maxWeight, maxVolume, fits, overflow: { weight, volume } }
+     */
+    checkLuggage(load, luggage) {
+        const type = LUGGAGE_SIZES[luggage] ? luggage : 'carry-on';
+        const { label, maxWeight, maxVolume } = LUGGAGE_SIZES[type];
+        const overflow = {
+            weight: this.round(Math.max(0, load.weight - maxWeight)),
+            volume: this.round(Math.max(0, load.volume - maxVolume))
+        };
+
+        return {
+            type,
+            label,
+            maxWeight,
+            maxVolume,
+            fits: overflow.weight === 0 && overflow.volume === 0,
+            overflow
+        };
+    }
+
+    /**
+     * Suggest what to leave behind until the load fits: first a laundry day (when
+     * none is set), then the least-worn, bulkiest garments
+     * @param {Object} params - Packed items, essentials, laundry plan, trip length and overflow
+     * @returns {Array<Object>} Suggestions: { type, sku?, name, reason, saves: { weight, volume } }
+     */
+    suggestDrops({ packedItems, essentials, laundry, tripLength, overflow }) {
+        const suggestions = [];
+        let remaining = { ...overflow };
+        const covers = () => remaining.weight <= 0 && remaining.volume <= 0;
+        const apply = (saves) => {
+            remaining = { weight: remaining.weight - saves.weight, volume: remaining.volume - saves.volume };
+        };
+
+        if (!laundry.day && tripLength >= 4) {
+            const laundryDay = Math.ceil(tripLength / 2);
+            const fewer = this.calculateEssentials(this.planLaundry(tripLength, laundryDay).daysCovered);
+            const saves = essentials.reduce((total, essential) => {
+                const reduced = fewer.find(entry => entry.id === essential.id)?.quantity || 0;
+                const dropped = essential.quantity - reduced;
+                return {
+                    weight: total.weight + dropped * essential.weight,
+                    volume: total.volume + dropped * essential.volume
+                };
+            }, { weight: 0, volume: 0 });
+
+            if (saves.weight > 0 || saves.volume > 0) {
+                suggestions.push({
+                    type: 'laundry',
+                    laundryDay,
+                    name: `Do laundry after day ${laundryDay}`,
+                    reason: 'Halves the socks and underwear you need to pack',
+                    saves: { weight: this.round(saves.weight), volume: this.round(saves.volume) }
+                });
+                apply(saves);
+            }
+        }
+
+        const candidates = [...packedItems].sort((a, b) =>
+            a.wears - b.wears || b.volume - a.volume || b.weight - a.weight || a.sku.localeCompare(b.sku)
+        );
+
+        for (const item of candidates) {
+            if (covers()) {
+                break;
+            }
+
+            const saves = { weight: this.round(item.weight), volume: this.round(item.volume) };
+            suggestions.push({
+                type: 'item',
+                sku: item.sku,
+                name: item.name || item.sku,
+                reason: item.wears <= 1
+                    ? `Only worn on day ${item.days.join(', ')}; swap it for a piece you already pack`
+                    : `Worn ${item.wears} times; re-wear another ${item.category} instead`,
+                saves
+            });
+            apply(saves);
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Round to one decimal place
+     * @param {number} value - Value
+     * @returns {number} Rounded value
+     */
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+// Export singleton instance
+export const packingListEngine = new PackingListEngine();
+
+// Export class for testing and custom instances
+export default PackingListEngine;
@@ -6,7 +6,8 @@
  * reusability reports to meet the 60% reusability target.
  */
 
-import { createReusabilityReport } from '../data/dataModels.js';
+import { createReusabilityReport } from '../data/dataModels';
+import { colorHarmonyEngine } from './ColorHarmonyEngine';
 
 /**
  * ReusabilityOptimizer class for optimizing clothing item reuse
@@ -23,12 +24,6 @@ export class ReusabilityOptimizer {
             category: 0.05        // Category-specific bonuses
         };
 
-        // Neutral colors that work with many combinations
-        this.neutralColors = [
-            'white', 'black', 'grey', 'gray', 'beige', 'cream',
-            'navy', 'brown', 'tan', 'khaki', 'charcoal', 'ivory'
-        ];
-
         // Versatile tags that indicate multi-use potential
         this.versatileTags = [
             'versatile', 'classic', 'basic', 'essential', 'staple',
@@ -63,6 +58,18 @@ export class ReusabilityOptimizer {
             'outer': 0.6,     // Outer layers are more specific
             'standalone': 0.4  // Standalone items are less versatile
         };
+
+        // How much each preference signal moves an item's affinity (-1 to 1)
+        this.preferenceWeights = {
+            likedSku: 0.6,
+            dislikedSku: 1,
+            likedColor: 0.2,
+            dislikedColor: 0.3,
+            formality: 0.3
+        };
+
+        // Largest share of its reusability score an item gains or loses from preferences
+        this.preferenceInfluence = 0.5;
     }
 
     /**
@@ -103,7 +110,7 @@ export class ReusabilityOptimizer {
 
         // 5. Weather adaptability (15% weight)
         const weatherScore = this.calculateWeatherVersatility(
-            item.weather_suitability || 'mild',
+            item.weather_suitability || item.weatherSuitability || 'mild',
             tripContext.weatherConditions || []
         );
         versatilityScore += weatherScore * this.scoringWeights.weather;
@@ -171,47 +178,10 @@ export class ReusabilityOptimizer {
      * @returns {number} Color versatility score (0-1)
      */
     calculateColorVersatility(colors) {
-        if (!colors) {
-            return 0.3; // Default score for items without color info
-        }
-
-        const colorString = colors.toLowerCase();
-        let score = 0.2; // Base score
-
-        // Check for neutral colors (highly versatile)
-        const neutralMatches = this.neutralColors.filter(neutral =>
-            colorString.includes(neutral)
-        );
-
-        if (neutralMatches.length > 0) {
-            score += 0.6; // High bonus for neutral colors
-        }
-
-        // Check for multi-color items (potentially versatile)
-        const colorSeparators = [',', '/', '&', 'and', 'with', '+'];
-        const hasMultipleColors = colorSeparators.some(separator =>
-            colorString.includes(separator)
-        );
-
-        if (hasMultipleColors) {
-            score += 0.2;
-        }
-
-        // Specific versatile color combinations
-        const versatilePatterns = [
-            'black and white', 'navy and white', 'grey and white',
-            'striped', 'checked', 'plaid', 'solid'
-        ];
-
-        const hasVersatilePattern = versatilePatterns.some(pattern =>
-            colorString.includes(pattern)
-        );
+        const versatility = colorHarmonyEngine.getVersatility(colors);
 
-        if (hasVersatilePattern) {
-            score += 0.2;
-        }
-
-        return Math.min(1, score);
+        // Default score for items without (recognizable) color info
+        return versatility === null ? 0.3 : versatility;
     }
 
     /**
@@ -399,6 +369,12 @@ export class ReusabilityOptimizer {
                 reusabilityScore *= (1 + priceEfficiencyFactor * 0.1);
             }
 
+            // Taste learned from the traveler's ratings
+            if (tripContext.preferences) {
+                const affinity = this.calculatePreferenceAffinity(item, tripContext.preferences);
+                reusabilityScore *= (1 + affinity * this.preferenceInfluence);
+            }
+
             // Category reusability factor
             const categoryFactor = this.getCategoryReusabilityFactor(item.category);
             reusabilityScore *= categoryFactor;
@@ -418,6 +394,70 @@ export class ReusabilityOptimizer {
         return reusabilityScores;
     }
 
+    /**
+     * How well an item matches the traveler's rated preferences
+     * @param {ClothingItem} item - Clothing item
+     * @param {Object} preferences - From preferenceProfileService.getPreferences:
+     *   { likedColors, dislikedColors, likedSkus, dislikedSkus, formalityComfort }
+     * @returns {number} Affinity from -1 (disliked) to 1 (liked); 0 without preferences
+     */
+    calculatePreferenceAffinity(item, preferences) {
+        if (!item || !preferences) {
+            return 0;
+        }
+
+        const weights = this.preferenceWeights;
+        const colors = String(item.colors || '').toLowerCase().split(',').map(color => color.trim()).filter(Boolean);
+        let affinity = 0;
+
+        if ((preferences.likedSkus || []).includes(item.sku)) {
+            affinity += weights.likedSku;
+        }
+        if ((preferences.dislikedSkus || []).includes(item.sku)) {
+            affinity -= weights.dislikedSku;
+        }
+
+        colors.forEach(color => {
+            if ((preferences.likedColors || []).includes(color)) {
+                affinity += weights.likedColor;
+            }
+            if ((preferences.dislikedColors || []).includes(color)) {
+                affinity -= weights.dislikedColor;
+            }
+        });
+
+        const formality = (item.formality || '').toLowerCase().trim();
+        affinity += (preferences.formalityComfort?.[formality] || 0) * weights.formality;
+
+        return Math.max(-1, Math.min(1, affinity));
+    }
+
+    /**
+     * How well an item's colors fit the palette already packed for the trip
+     * @param {ClothingItem} item - Candidate item
+     * @param {Array<string>} paletteColors - Colors of the items packed so far
+     * @returns {number|null} Fit (0-1), or null when there is nothing to compare
+     */
+    calculatePaletteFit(item, paletteColors = []) {
+        if (!item?.colors || paletteColors.length === 0) {
+            return null;
+        }
+        return colorHarmonyEngine.getPaletteFit(item.colors, paletteColors);
+    }
+
+    /**
+     * Analyze the colors of every packed item as one trip palette
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Object} { coherence, neutrals, accents, prints, clashes } from ColorHarmonyEngine.analyzePalette
+     */
+    getTripPalette(outfits) {
+        const colors = this.extractAllItemsFromOutfits(outfits)
+            .map(item => item.colors)
+            .filter(Boolean);
+
+        return colorHarmonyEngine.analyzePalette(colors);
+    }
+
     /**
      * Calculate price efficiency factor for reusability
      * @param {number} itemPrice - Item price
@@ -505,760 +545,782 @@ export class ReusabilityOptimizer {
             return 1.5; // Long trips highly benefit from reusability
         }
     }
-}
 
-// Export singleton instance
-export const reusabilityOptimizer = new ReusabilityOptimizer();
+    // ===== OUTFIT OPTIMIZATION METHODS =====
 
-// Export class for testing and custom instances
-export default ReusabilityOptimizer;
-// ===== OUTFIT OPTIMIZATION METHODS =====
+    /**
+     * Optimize outfit combinations to maximize item reuse across multiple days
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits to optimize
+     * @param {number} targetReusability - Target reusability percentage (default 0.6 = 60%)
+     * @param {Object} optimizationOptions - Additional optimization options
+     * @returns {Array<DailyOutfit>} Optimized outfits with maximized reuse
+     */
+    optimizeOutfitCombinations(outfits, targetReusability = 0.6, optimizationOptions = {}) {
+        if (!Array.isArray(outfits) || outfits.length < 2) {
+            return outfits || [];
+        }
 
-/**
- * Optimize outfit combinations to maximize item reuse across multiple days
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits to optimize
- * @param {number} targetReusability - Target reusability percentage (default 0.6 = 60%)
- * @param {Object} optimizationOptions - Additional optimization options
- * @returns {Array<DailyOutfit>} Optimized outfits with maximized reuse
- */
-optimizeOutfitCombinations(outfits, targetReusability = 0.6, optimizationOptions = {}) {
-    if (!Array.isArray(outfits) || outfits.length < 2) {
-        return outfits || [];
-    }
+        // Create deep copy to avoid mutating original outfits
+        let optimizedOutfits = JSON.parse(JSON.stringify(outfits));
 
-    // Create deep copy to avoid mutating original outfits
-    let optimizedOutfits = JSON.parse(JSON.stringify(outfits));
-
-    // Extract all items and calculate their reusability scores
-    const allItems = this.extractAllItemsFromOutfits(optimizedOutfits);
-    const itemReusabilityScores = this.calculateItemReusabilityFromOutfits(allItems, optimizedOutfits.length);
-
-    // Sort items by reusability score (highest first)
-    const sortedItems = allItems.sort((a, b) =>
-        (itemReusabilityScores.get(b.sku) || 0) - (itemReusabilityScores.get(a.sku) || 0)
-    );
-
-    // Perform iterative optimization
-    let currentReusability = this.calculateCurrentReusability(optimizedOutfits);
-    let iterations = 0;
-    const maxIterations = optimizationOptions.maxIterations || 10;
-
-    while (currentReusability.reusabilityPercentage < targetReusability && iterations < maxIterations) {
-        // Try different optimization strategies
-        const strategies = [
-            () => this.optimizeBySwappingHighValueItems(optimizedOutfits, sortedItems),
-            () => this.optimizeByPromotingVersatileItems(optimizedOutfits, sortedItems),
-            () => this.optimizeByConsolidatingCategories(optimizedOutfits),
-            () => this.optimizeByAccessoryReuse(optimizedOutfits)
-        ];
+        // Extract all items and calculate their reusability scores
+        const allItems = this.extractAllItemsFromOutfits(optimizedOutfits);
+        const itemReusabilityScores = this.calculateItemReusabilityFromOutfits(allItems, optimizedOutfits.length);
+
+        // Sort items by reusability score (highest first)
+        const sortedItems = allItems.sort((a, b) =>
+            (itemReusabilityScores.get(b.sku) || 0) - (itemReusabilityScores.get(a.sku) || 0)
+        );
 
-        let improved = false;
-        for (const strategy of strategies) {
-            const previousReusability = currentReusability.reusabilityPercentage;
-            optimizedOutfits = strategy();
-            currentReusability = this.calculateCurrentReusability(optimizedOutfits);
+        // Perform iterative optimization
+        let currentReusability = this.calculateCurrentReusability(optimizedOutfits);
+        let iterations = 0;
+        const maxIterations = optimizationOptions.maxIterations || 10;
+
+        while (currentReusability.reusabilityPercentage < targetReusability && iterations < maxIterations) {
+            // Try different optimization strategies
+            const strategies = [
+                () => this.optimizeBySwappingHighValueItems(optimizedOutfits, sortedItems),
+                () => this.optimizeByPromotingVersatileItems(optimizedOutfits, sortedItems),
+                () => this.optimizeByConsolidatingCategories(optimizedOutfits),
+                () => this.optimizeByAccessoryReuse(optimizedOutfits)
+            ];
+
+            let improved = false;
+            for (const strategy of strategies) {
+                const previousReusability = currentReusability.reusabilityPercentage;
+                optimizedOutfits = strategy();
+                currentReusability = this.calculateCurrentReusability(optimizedOutfits);
+
+                if (currentReusability.reusabilityPercentage > previousReusability) {
+                    improved = true;
+                    break;
+                }
+            }
 
-            if (currentReusability.reusabilityPercentage > previousReusability) {
-                improved = true;
+            // If no strategy improved the result, break to avoid infinite loop
+            if (!improved) {
                 break;
             }
-        }
 
-        // If no strategy improved the result, break to avoid infinite loop
-        if (!improved) {
-            break;
+            iterations++;
         }
 
-        iterations++;
-    }
+        // Update outfit reusability scores and cost efficiency
+        optimizedOutfits = this.updateOutfitMetrics(optimizedOutfits, currentReusability);
 
-    // Update outfit reusability scores and cost efficiency
-    optimizedOutfits = this.updateOutfitMetrics(optimizedOutfits, currentReusability);
-
-    return optimizedOutfits;
-}
+        return optimizedOutfits;
+    }
 
-/**
- * Extract all unique items from outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Array<ClothingItem>} Array of all unique items
- */
-extractAllItemsFromOutfits(outfits) {
-    const itemMap = new Map();
+    /**
+     * Extract all unique items from outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Array<ClothingItem>} Array of all unique items
+     */
+    extractAllItemsFromOutfits(outfits) {
+        const itemMap = new Map();
 
-    outfits.forEach(outfit => {
-        Object.values(outfit.items || {}).forEach(item => {
-            if (item && item.sku) {
-                itemMap.set(item.sku, item);
-            }
+        outfits.forEach(outfit => {
+            this.getOutfitItems(outfit).forEach(item => {
+                if (item && item.sku) {
+                    itemMap.set(item.sku, item);
+                }
+            });
         });
-    });
 
-    return Array.from(itemMap.values());
-}
+        return Array.from(itemMap.values());
+    }
 
-/**
- * Calculate reusability scores for items based on their usage in outfits
- * @param {Array<ClothingItem>} items - Array of clothing items
- * @param {number} totalOutfits - Total number of outfits
- * @returns {Map<string, number>} Map of item SKU to reusability score
- */
-calculateItemReusabilityFromOutfits(items, totalOutfits) {
-    const reusabilityScores = new Map();
+    /**
+     * Calculate reusability scores for items based on their usage in outfits
+     * @param {Array<ClothingItem>} items - Array of clothing items
+     * @param {number} totalOutfits - Total number of outfits
+     * @returns {Map<string, number>} Map of item SKU to reusability score
+     */
+    calculateItemReusabilityFromOutfits(items, totalOutfits) {
+        const reusabilityScores = new Map();
 
-    items.forEach(item => {
-        if (!item || !item.sku) return;
+        items.forEach(item => {
+            if (!item || !item.sku) return;
 
-        // Base versatility score
-        const versatilityScore = this.calculateItemVersatility(item);
+            // Base versatility score
+            const versatilityScore = this.calculateItemVersatility(item);
 
-        // Potential usage frequency (how many outfits could use this item)
-        const potentialUsage = Math.min(totalOutfits, Math.ceil(versatilityScore / 25));
+            // Potential usage frequency (how many outfits could use this item)
+            const potentialUsage = Math.min(totalOutfits, Math.ceil(versatilityScore / 25));
 
-        // Reusability score combines versatility with potential usage
-        const reusabilityScore = versatilityScore * (1 + potentialUsage * 0.1);
+            // Reusability score combines versatility with potential usage
+            const reusabilityScore = versatilityScore * (1 + potentialUsage * 0.1);
 
-        reusabilityScores.set(item.sku, reusabilityScore);
-    });
+            reusabilityScores.set(item.sku, reusabilityScore);
+        });
 
-    return reusabilityScores;
-}
+        return reusabilityScores;
+    }
 
-/**
- * Optimize outfits by swapping in high-value reusable items
- * @param {Array<DailyOutfit>} outfits - Current outfits
- * @param {Array<ClothingItem>} sortedItems - Items sorted by reusability score
- * @returns {Array<DailyOutfit>} Optimized outfits
- */
-optimizeBySwappingHighValueItems(outfits, sortedItems) {
-    const optimizedOutfits = [...outfits];
-    const itemUsageCount = this.getItemUsageCount(optimizedOutfits);
+    /**
+     * Optimize outfits by swapping in high-value reusable items
+     * @param {Array<DailyOutfit>} outfits - Current outfits
+     * @param {Array<ClothingItem>} sortedItems - Items sorted by reusability score
+     * @returns {Array<DailyOutfit>} Optimized outfits
+     */
+    optimizeBySwappingHighValueItems(outfits, sortedItems) {
+        const optimizedOutfits = [...outfits];
+        const itemUsageCount = this.getItemUsageCount(optimizedOutfits);
 
-    // Focus on top 20% most reusable items
-    const topItems = sortedItems.slice(0, Math.ceil(sortedItems.length * 0.2));
+        // Focus on top 20% most reusable items
+        const topItems = sortedItems.slice(0, Math.ceil(sortedItems.length * 0.2));
 
-    topItems.forEach(highValueItem => {
-        const currentUsage = itemUsageCount.get(highValueItem.sku) || 0;
+        topItems.forEach(highValueItem => {
+            const currentUsage = itemUsageCount.get(highValueItem.sku) || 0;
 
-        // If item is underutilized, try to use it in more outfits
-        if (currentUsage < Math.min(outfits.length, 3)) {
-            this.tryToReuseItem(optimizedOutfits, highValueItem, itemUsageCount);
-        }
-    });
+            // If item is underutilized, try to use it in more outfits
+            if (currentUsage < Math.min(outfits.length, 3)) {
+                this.tryToReuseItem(optimizedOutfits, highValueItem, itemUsageCount);
+            }
+        });
 
-    return optimizedOutfits;
-}
+        return optimizedOutfits;
+    }
 
-/**
- * Try to reuse a specific item in more outfits
- * @param {Array<DailyOutfit>} outfits - Current outfits
- * @param {ClothingItem} item - Item to reuse
- * @param {Map<string, number>} itemUsageCount - Current item usage counts
- */
-tryToReuseItem(outfits, item, itemUsageCount) {
-    const itemCategory = this.getItemSlotCategory(item.category);
-    if (!itemCategory) return;
+    /**
+     * Try to reuse a specific item in more outfits
+     * @param {Array<DailyOutfit>} outfits - Current outfits
+     * @param {ClothingItem} item - Item to reuse
+     * @param {Map<string, number>} itemUsageCount - Current item usage counts
+     */
+    tryToReuseItem(outfits, item, itemUsageCount) {
+        const itemCategory = this.getItemSlotCategory(item.category);
+        if (!itemCategory) return;
 
-    outfits.forEach(outfit => {
-        // Skip if outfit already uses this item
-        if (this.outfitContainsItem(outfit, item.sku)) return;
+        outfits.forEach(outfit => {
+            // Skip if outfit already uses this item
+            if (this.outfitContainsItem(outfit, item.sku)) return;
 
-        const currentItem = outfit.items[itemCategory];
+            const currentItem = outfit.items[itemCategory];
 
-        // Only replace if current item has lower reusability or is null
-        if (!currentItem || this.shouldReplaceItem(currentItem, item, itemUsageCount)) {
-            outfit.items[itemCategory] = item;
-        }
-    });
-}
+            // Only replace if current item has lower reusability or is null
+            if (!currentItem || this.shouldReplaceItem(currentItem, item, itemUsageCount)) {
+                outfit.items[itemCategory] = item;
+            }
+        });
+    }
 
-/**
- * Optimize by promoting versatile items to be used more frequently
- * @param {Array<DailyOutfit>} outfits - Current outfits
- * @param {Array<ClothingItem>} sortedItems - Items sorted by reusability score
- * @returns {Array<DailyOutfit>} Optimized outfits
- */
-optimizeByPromotingVersatileItems(outfits, sortedItems) {
-    const optimizedOutfits = [...outfits];
+    /**
+     * Optimize by promoting versatile items to be used more frequently
+     * @param {Array<DailyOutfit>} outfits - Current outfits
+     * @param {Array<ClothingItem>} sortedItems - Items sorted by reusability score
+     * @returns {Array<DailyOutfit>} Optimized outfits
+     */
+    optimizeByPromotingVersatileItems(outfits, sortedItems) {
+        const optimizedOutfits = [...outfits];
 
-    // Group items by category
-    const itemsByCategory = this.groupItemsByCategory(sortedItems);
+        // Group items by category
+        const itemsByCategory = this.groupItemsByCategory(sortedItems);
 
-    // For each category, promote the most versatile items
-    itemsByCategory.forEach((categoryItems, category) => {
-        const slotCategory = this.getItemSlotCategory(category);
-        if (!slotCategory) return;
+        // For each category, promote the most versatile items
+        itemsByCategory.forEach((categoryItems, category) => {
+            const slotCategory = this.getItemSlotCategory(category);
+            if (!slotCategory) return;
 
-        // Get top 2 most versatile items in this category
-        const topVersatileItems = categoryItems.slice(0, 2);
+            // Get top 2 most versatile items in this category
+            const topVersatileItems = categoryItems.slice(0, 2);
 
-        topVersatileItems.forEach(versatileItem => {
-            // Try to use this item in multiple outfits
-            let usageCount = 0;
-            const maxUsage = Math.min(outfits.length, 3);
+            topVersatileItems.forEach(versatileItem => {
+                // Try to use this item in multiple outfits
+                let usageCount = 0;
+                const maxUsage = Math.min(outfits.length, 3);
 
-            for (let i = 0; i < optimizedOutfits.length && usageCount < maxUsage; i++) {
-                const outfit = optimizedOutfits[i];
+                for (let i = 0; i < optimizedOutfits.length && usageCount < maxUsage; i++) {
+                    const outfit = optimizedOutfits[i];
 
-                if (!this.outfitContainsItem(outfit, versatileItem.sku)) {
-                    const currentItem = outfit.items[slotCategory];
+                    if (!this.outfitContainsItem(outfit, versatileItem.sku)) {
+                        const currentItem = outfit.items[slotCategory];
 
-                    if (!currentItem || this.isMoreVersatile(versatileItem, currentItem)) {
-                        outfit.items[slotCategory] = versatileItem;
-                        usageCount++;
+                        if (!currentItem || this.isMoreVersatile(versatileItem, currentItem)) {
+                            outfit.items[slotCategory] = versatileItem;
+                            usageCount++;
+                        }
                     }
                 }
-            }
+            });
         });
-    });
 
-    return optimizedOutfits;
-}
+        return optimizedOutfits;
+    }
 
-/**
- * Optimize by consolidating similar categories to increase reuse
- * @param {Array<DailyOutfit>} outfits - Current outfits
- * @returns {Array<DailyOutfit>} Optimized outfits
- */
-optimizeByConsolidatingCategories(outfits) {
-    const optimizedOutfits = [...outfits];
+    /**
+     * Optimize by consolidating similar categories to increase reuse
+     * @param {Array<DailyOutfit>} outfits - Current outfits
+     * @returns {Array<DailyOutfit>} Optimized outfits
+     */
+    optimizeByConsolidatingCategories(outfits) {
+        const optimizedOutfits = [...outfits];
+
+        // Focus on consolidating accessories and layering pieces
+        const consolidationCategories = ['belt', 'jewelry', 'outerwear'];
+
+        consolidationCategories.forEach(category => {
+            const categoryItems = this.getItemsFromCategory(optimizedOutfits, category);
+
+            if (categoryItems.length > 1) {
+                // Find the most versatile item in this category
+                const mostVersatile = categoryItems.reduce((best, current) => {
+                    const bestScore = this.calculateItemVersatility(best);
+                    const currentScore = this.calculateItemVersatility(current);
+                    return currentScore > bestScore ? current : best;
+                });
+
+                // Replace other items in this category with the most versatile one
+                optimizedOutfits.forEach(outfit => {
+                    if (outfit.items[category] && outfit.items[category].sku !== mostVersatile.sku) {
+                        outfit.items[category] = mostVersatile;
+                    }
+                });
+            }
+        });
 
-    // Focus on consolidating accessories and layering pieces
-    const consolidationCategories = ['belt', 'jewelry', 'outerwear'];
+        return optimizedOutfits;
+    }
 
-    consolidationCategories.forEach(category => {
-        const categoryItems = this.getItemsFromCategory(optimizedOutfits, category);
+    /**
+     * Optimize by maximizing accessory reuse
+     * @param {Array<DailyOutfit>} outfits - Current outfits
+     * @returns {Array<DailyOutfit>} Optimized outfits
+     */
+    optimizeByAccessoryReuse(outfits) {
+        const optimizedOutfits = [...outfits];
+        const accessoryCategories = ['belt', 'jewelry', 'hat'];
+
+        accessoryCategories.forEach(category => {
+            const accessories = this.getItemsFromCategory(optimizedOutfits, category);
+
+            if (accessories.length > 0) {
+                // Sort accessories by versatility
+                const sortedAccessories = accessories.sort((a, b) =>
+                    this.calculateItemVersatility(b) - this.calculateItemVersatility(a)
+                );
+
+                // Use top 1-2 accessories across multiple outfits
+                const topAccessories = sortedAccessories.slice(0, Math.min(2, sortedAccessories.length));
+
+                topAccessories.forEach((accessory, index) => {
+                    // Distribute accessories across outfits
+                    for (let i = index; i < optimizedOutfits.length; i += topAccessories.length) {
+                        if (optimizedOutfits[i] && !optimizedOutfits[i].items[category]) {
+                            optimizedOutfits[i].items[category] = accessory;
+                        }
+                    }
+                });
+            }
+        });
 
-        if (categoryItems.length > 1) {
-            // Find the most versatile item in this category
-            const mostVersatile = categoryItems.reduce((best, current) => {
-                const bestScore = this.calculateItemVersatility(best);
-                const currentScore = this.calculateItemVersatility(current);
-                return currentScore > bestScore ? current : best;
-            });
+        return optimizedOutfits;
+    }
 
-            // Replace other items in this category with the most versatile one
-            optimizedOutfits.forEach(outfit => {
-                if (outfit.items[category] && outfit.items[category].sku !== mostVersatile.sku) {
-                    outfit.items[category] = mostVersatile;
-                }
-            });
+    /**
+     * Calculate current reusability statistics for outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Object} Current reusability statistics
+     */
+    calculateCurrentReusability(outfits) {
+        if (!Array.isArray(outfits) || outfits.length === 0) {
+            return createReusabilityReport();
         }
-    });
-
-    return optimizedOutfits;
-}
-
-/**
- * Optimize by maximizing accessory reuse
- * @param {Array<DailyOutfit>} outfits - Current outfits
- * @returns {Array<DailyOutfit>} Optimized outfits
- */
-optimizeByAccessoryReuse(outfits) {
-    const optimizedOutfits = [...outfits];
-    const accessoryCategories = ['belt', 'jewelry', 'hat'];
-
-    accessoryCategories.forEach(category => {
-        const accessories = this.getItemsFromCategory(optimizedOutfits, category);
 
-        if (accessories.length > 0) {
-            // Sort accessories by versatility
-            const sortedAccessories = accessories.sort((a, b) =>
-                this.calculateItemVersatility(b) - this.calculateItemVersatility(a)
-            );
+        const itemUsageCount = this.getItemUsageCount(outfits);
+        const totalUniqueItems = itemUsageCount.size;
+        const reusedItems = Array.from(itemUsageCount.values()).filter(count => count > 1).length;
+        const reusabilityPercentage = totalUniqueItems > 0 ? reusedItems / totalUniqueItems : 0;
+
+        // Calculate cost efficiency
+        const totalCost = this.calculateTotalCost(outfits);
+        const costPerOutfit = outfits.length > 0 ? totalCost / outfits.length : 0;
+        const costEfficiency = this.calculateCostEfficiency(totalCost, reusabilityPercentage);
+
+        // Calculate packing optimization
+        const packingOptimization = this.calculatePackingOptimization(totalUniqueItems, outfits.length);
+
+        return createReusabilityReport({
+            totalItems: totalUniqueItems,
+            reusedItems,
+            reusabilityPercentage,
+            itemUsageMap: itemUsageCount,
+            costEfficiency,
+            packingOptimization
+        });
+    }
 
-            // Use top 1-2 accessories across multiple outfits
-            const topAccessories = sortedAccessories.slice(0, Math.min(2, sortedAccessories.length));
+    /**
+     * Get item usage count across all outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Map<string, number>} Map of item SKU to usage count
+     */
+    getItemUsageCount(outfits) {
+        const usageCount = new Map();
 
-            topAccessories.forEach((accessory, index) => {
-                // Distribute accessories across outfits
-                for (let i = index; i < optimizedOutfits.length; i += topAccessories.length) {
-                    if (optimizedOutfits[i] && !optimizedOutfits[i].items[category]) {
-                        optimizedOutfits[i].items[category] = accessory;
-                    }
+        outfits.forEach(outfit => {
+            this.getOutfitItems(outfit).forEach(item => {
+                if (item && item.sku) {
+                    usageCount.set(item.sku, (usageCount.get(item.sku) || 0) + 1);
                 }
             });
-        }
-    });
-
-    return optimizedOutfits;
-}
+        });
 
-/**
- * Calculate current reusability statistics for outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Object} Current reusability statistics
- */
-calculateCurrentReusability(outfits) {
-    if (!Array.isArray(outfits) || outfits.length === 0) {
-        return createReusabilityReport();
+        return usageCount;
     }
 
-    const itemUsageCount = this.getItemUsageCount(outfits);
-    const totalUniqueItems = itemUsageCount.size;
-    const reusedItems = Array.from(itemUsageCount.values()).filter(count => count > 1).length;
-    const reusabilityPercentage = totalUniqueItems > 0 ? reusedItems / totalUniqueItems : 0;
-
-    // Calculate cost efficiency
-    const totalCost = this.calculateTotalCost(outfits);
-    const costPerOutfit = outfits.length > 0 ? totalCost / outfits.length : 0;
-    const costEfficiency = this.calculateCostEfficiency(totalCost, reusabilityPercentage);
-
-    // Calculate packing optimization
-    const packingOptimization = this.calculatePackingOptimization(totalUniqueItems, outfits.length);
-
-    return createReusabilityReport({
-        totalItems: totalUniqueItems,
-        reusedItems,
-        reusabilityPercentage,
-        itemUsageMap: itemUsageCount,
-        costEfficiency,
-        packingOptimization
-    });
-}
-
-/**
- * Get item usage count across all outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Map<string, number>} Map of item SKU to usage count
- */
-getItemUsageCount(outfits) {
-    const usageCount = new Map();
+    /**
+     * Calculate total cost of all outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {number} Total cost
+     */
+    calculateTotalCost(outfits) {
+        const uniqueItems = this.extractAllItemsFromOutfits(outfits);
+        return uniqueItems.reduce((total, item) => total + (item.price || 0), 0);
+    }
 
-    outfits.forEach(outfit => {
-        Object.values(outfit.items || {}).forEach(item => {
-            if (item && item.sku) {
-                usageCount.set(item.sku, (usageCount.get(item.sku) || 0) + 1);
-            }
-        });
-    });
+    /**
+     * Calculate cost efficiency based on reusability
+     * @param {number} totalCost - Total cost of all items
+     * @param {number} reusabilityPercentage - Reusability percentage (0-1)
+     * @returns {number} Cost efficiency score (0-100)
+     */
+    calculateCostEfficiency(totalCost, reusabilityPercentage) {
+        if (totalCost === 0) return 100;
 
-    return usageCount;
-}
+        // Higher reusability means better cost efficiency
+        const baseEfficiency = reusabilityPercentage * 100;
 
-/**
- * Calculate total cost of all outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {number} Total cost
- */
-calculateTotalCost(outfits) {
-    const uniqueItems = this.extractAllItemsFromOutfits(outfits);
-    return uniqueItems.reduce((total, item) => total + (item.price || 0), 0);
-}
+        // Bonus for high reusability
+        const reusabilityBonus = reusabilityPercentage > 0.6 ? (reusabilityPercentage - 0.6) * 50 : 0;
 
-/**
- * Calculate cost efficiency based on reusability
- * @param {number} totalCost - Total cost of all items
- * @param {number} reusabilityPercentage - Reusability percentage (0-1)
- * @returns {number} Cost efficiency score (0-100)
- */
-calculateCostEfficiency(totalCost, reusabilityPercentage) {
-    if (totalCost === 0) return 100;
+        return Math.min(100, baseEfficiency + reusabilityBonus);
+    }
 
-    // Higher reusability means better cost efficiency
-    const baseEfficiency = reusabilityPercentage * 100;
+    /**
+     * Calculate packing optimization score
+     * @param {number} totalItems - Total number of unique items
+     * @param {number} totalOutfits - Total number of outfits
+     * @returns {number} Packing optimization score (0-100)
+     */
+    calculatePackingOptimization(totalItems, totalOutfits) {
+        if (totalOutfits === 0) return 0;
 
-    // Bonus for high reusability
-    const reusabilityBonus = reusabilityPercentage > 0.6 ? (reusabilityPercentage - 0.6) * 50 : 0;
+        // Ideal ratio: 1.5 items per outfit (high reuse)
+        const idealRatio = 1.5;
+        const actualRatio = totalItems / totalOutfits;
 
-    return Math.min(100, baseEfficiency + reusabilityBonus);
-}
+        // Score based on how close to ideal ratio
+        const ratioScore = Math.max(0, 100 - Math.abs(actualRatio - idealRatio) * 20);
 
-/**
- * Calculate packing optimization score
- * @param {number} totalItems - Total number of unique items
- * @param {number} totalOutfits - Total number of outfits
- * @returns {number} Packing optimization score (0-100)
- */
-calculatePackingOptimization(totalItems, totalOutfits) {
-    if (totalOutfits === 0) return 0;
+        return Math.min(100, ratioScore);
+    }
 
-    // Ideal ratio: 1.5 items per outfit (high reuse)
-    const idealRatio = 1.5;
-    const actualRatio = totalItems / totalOutfits;
+    /**
+     * Update outfit metrics after optimization
+     * @param {Array<DailyOutfit>} outfits - Optimized outfits
+     * @param {Object} reusabilityStats - Reusability statistics
+     * @returns {Array<DailyOutfit>} Outfits with updated metrics
+     */
+    updateOutfitMetrics(outfits, reusabilityStats) {
+        return outfits.map(outfit => {
+            // Calculate outfit-specific reusability score
+            const outfitItems = this.getOutfitItems(outfit);
+            const reusedItemsInOutfit = outfitItems.filter(item =>
+                reusabilityStats.itemUsageMap.get(item.sku) > 1
+            ).length;
+
+            const outfitReusabilityScore = outfitItems.length > 0
+                ? (reusedItemsInOutfit / outfitItems.length) * 100
+                : 0;
+
+            // Calculate outfit cost
+            const outfitCost = outfitItems.reduce((total, item) => total + (item.price || 0), 0);
+
+            return {
+                ...outfit,
+                reusabilityScore: outfitReusabilityScore,
+                totalCost: outfitCost
+            };
+        });
+    }
 
-    // Score based on how close to ideal ratio
-    const ratioScore = Math.max(0, 100 - Math.abs(actualRatio - idealRatio) * 20);
+    // ===== HELPER METHODS FOR OPTIMIZATION =====
 
-    return Math.min(100, ratioScore);
-}
+    /**
+     * List the items worn in an outfit, flattening slots that hold arrays (accessories)
+     * @param {DailyOutfit} outfit - Daily outfit
+     * @returns {Array<ClothingItem>} Non-empty items in the outfit
+     */
+    getOutfitItems(outfit) {
+        return Object.values(outfit?.items || {})
+            .flatMap(value => (Array.isArray(value) ? value : [value]))
+            .filter(item => item);
+    }
 
-/**
- * Update outfit metrics after optimization
- * @param {Array<DailyOutfit>} outfits - Optimized outfits
- * @param {Object} reusabilityStats - Reusability statistics
- * @returns {Array<DailyOutfit>} Outfits with updated metrics
- */
-updateOutfitMetrics(outfits, reusabilityStats) {
-    return outfits.map(outfit => {
-        // Calculate outfit-specific reusability score
-        const outfitItems = Object.values(outfit.items).filter(item => item);
-        const reusedItemsInOutfit = outfitItems.filter(item =>
-            reusabilityStats.itemUsageMap.get(item.sku) > 1
-        ).length;
-
-        const outfitReusabilityScore = outfitItems.length > 0
-            ? (reusedItemsInOutfit / outfitItems.length) * 100
-            : 0;
-
-        // Calculate outfit cost
-        const outfitCost = outfitItems.reduce((total, item) => total + (item.price || 0), 0);
-
-        return {
-            ...outfit,
-            reusabilityScore: outfitReusabilityScore,
-            totalCost: outfitCost
+    /**
+     * Get the outfit slot category for an item category
+     * @param {string} itemCategory - Item category
+     * @returns {string|null} Outfit slot category
+     */
+    getItemSlotCategory(itemCategory) {
+        if (!itemCategory) return null;
+
+        const categoryMappings = {
+            'topwear': 'shirt',
+            'shirt': 'shirt',
+            'blouse': 'shirt',
+            'sweater': 'shirt',
+            'tshirt': 'shirt',
+            'bottomwear': 'pants',
+            'pants': 'pants',
+            'jeans': 'pants',
+            'skirt': 'pants',
+            'shorts': 'pants',
+            'outerwear': 'outerwear',
+            'jacket': 'outerwear',
+            'coat': 'outerwear',
+            'blazer': 'outerwear',
+            'cardigan': 'outerwear',
+            'footwear': 'shoes',
+            'shoes': 'shoes',
+            'boots': 'shoes',
+            'sneakers': 'shoes',
+            'heels': 'shoes',
+            'accessories': 'jewelry',
+            'jewelry': 'jewelry',
+            'belt': 'belt',
+            'hat': 'hat',
+            'scarf': 'jewelry'
         };
-    });
-}
-
-// ===== HELPER METHODS FOR OPTIMIZATION =====
 
-/**
- * Get the outfit slot category for an item category
- * @param {string} itemCategory - Item category
- * @returns {string|null} Outfit slot category
- */
-getItemSlotCategory(itemCategory) {
-    if (!itemCategory) return null;
-
-    const categoryMappings = {
-        'topwear': 'shirt',
-        'shirt': 'shirt',
-        'blouse': 'shirt',
-        'sweater': 'shirt',
-        'tshirt': 'shirt',
-        'bottomwear': 'pants',
-        'pants': 'pants',
-        'jeans': 'pants',
-        'skirt': 'pants',
-        'shorts': 'pants',
-        'outerwear': 'outerwear',
-        'jacket': 'outerwear',
-        'coat': 'outerwear',
-        'blazer': 'outerwear',
-        'cardigan': 'outerwear',
-        'footwear': 'shoes',
-        'shoes': 'shoes',
-        'boots': 'shoes',
-        'sneakers': 'shoes',
-        'heels': 'shoes',
-        'accessories': 'jewelry',
-        'jewelry': 'jewelry',
-        'belt': 'belt',
-        'hat': 'hat',
-        'scarf': 'jewelry'
-    };
-
-    const normalizedCategory = itemCategory.toLowerCase();
-    for (const [category, slot] of Object.entries(categoryMappings)) {
-        if (normalizedCategory.includes(category)) {
-            return slot;
+        const normalizedCategory = itemCategory.toLowerCase();
+        for (const [category, slot] of Object.entries(categoryMappings)) {
+            if (normalizedCategory.includes(category)) {
+                return slot;
+            }
         }
+
+        return null;
     }
 
-    return null;
-}
+    /**
+     * Check if an outfit contains a specific item
+     * @param {DailyOutfit} outfit - Daily outfit
+     * @param {string} itemSku - Item SKU to check
+     * @returns {boolean} True if outfit contains the item
+     */
+    outfitContainsItem(outfit, itemSku) {
+        return this.getOutfitItems(outfit).some(item =>
+            item && item.sku === itemSku
+        );
+    }
 
-/**
- * Check if an outfit contains a specific item
- * @param {DailyOutfit} outfit - Daily outfit
- * @param {string} itemSku - Item SKU to check
- * @returns {boolean} True if outfit contains the item
- */
-outfitContainsItem(outfit, itemSku) {
-    return Object.values(outfit.items || {}).some(item =>
-        item && item.sku === itemSku
-    );
-}
+    /**
+     * Determine if one item should replace another based on reusability
+     * @param {ClothingItem} currentItem - Current item in outfit
+     * @param {ClothingItem} newItem - Potential replacement item
+     * @param {Map<string, number>} itemUsageCount - Current item usage counts
+     * @returns {boolean} True if replacement should occur
+     */
+    shouldReplaceItem(currentItem, newItem, itemUsageCount) {
+        const currentUsage = itemUsageCount.get(currentItem.sku) || 0;
+        const newUsage = itemUsageCount.get(newItem.sku) || 0;
 
-/**
- * Determine if one item should replace another based on reusability
- * @param {ClothingItem} currentItem - Current item in outfit
- * @param {ClothingItem} newItem - Potential replacement item
- * @param {Map<string, number>} itemUsageCount - Current item usage counts
- * @returns {boolean} True if replacement should occur
- */
-shouldReplaceItem(currentItem, newItem, itemUsageCount) {
-    const currentUsage = itemUsageCount.get(currentItem.sku) || 0;
-    const newUsage = itemUsageCount.get(newItem.sku) || 0;
+        // Prefer items that are used less frequently (to increase reuse)
+        if (newUsage < currentUsage) {
+            return true;
+        }
 
-    // Prefer items that are used less frequently (to increase reuse)
-    if (newUsage < currentUsage) {
-        return true;
+        // If usage is similar, prefer more versatile item
+        if (newUsage === currentUsage) {
+            const currentVersatility = this.calculateItemVersatility(currentItem);
+            const newVersatility = this.calculateItemVersatility(newItem);
+            return newVersatility > currentVersatility;
+        }
+
+        return false;
     }
 
-    // If usage is similar, prefer more versatile item
-    if (newUsage === currentUsage) {
-        const currentVersatility = this.calculateItemVersatility(currentItem);
-        const newVersatility = this.calculateItemVersatility(newItem);
-        return newVersatility > currentVersatility;
+    /**
+     * Check if one item is more versatile than another
+     * @param {ClothingItem} item1 - First item
+     * @param {ClothingItem} item2 - Second item
+     * @returns {boolean} True if item1 is more versatile
+     */
+    isMoreVersatile(item1, item2) {
+        const versatility1 = this.calculateItemVersatility(item1);
+        const versatility2 = this.calculateItemVersatility(item2);
+        return versatility1 > versatility2;
     }
 
-    return false;
-}
+    /**
+     * Group items by category
+     * @param {Array<ClothingItem>} items - Array of clothing items
+     * @returns {Map<string, Array<ClothingItem>>} Items grouped by category
+     */
+    groupItemsByCategory(items) {
+        const grouped = new Map();
 
-/**
- * Check if one item is more versatile than another
- * @param {ClothingItem} item1 - First item
- * @param {ClothingItem} item2 - Second item
- * @returns {boolean} True if item1 is more versatile
- */
-isMoreVersatile(item1, item2) {
-    const versatility1 = this.calculateItemVersatility(item1);
-    const versatility2 = this.calculateItemVersatility(item2);
-    return versatility1 > versatility2;
-}
+        items.forEach(item => {
+            const category = item.category || 'unknown';
+            if (!grouped.has(category)) {
+                grouped.set(category, []);
+            }
+            grouped.get(category).push(item);
+        });
 
-/**
- * Group items by category
- * @param {Array<ClothingItem>} items - Array of clothing items
- * @returns {Map<string, Array<ClothingItem>>} Items grouped by category
- */
-groupItemsByCategory(items) {
-    const grouped = new Map();
+        return grouped;
+    }
 
-    items.forEach(item => {
-        const category = item.category || 'unknown';
-        if (!grouped.has(category)) {
-            grouped.set(category, []);
-        }
-        grouped.get(category).push(item);
-    });
+    /**
+     * Get all items of a specific category from outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @param {string} category - Category to filter by
+     * @returns {Array<ClothingItem>} Items of the specified category
+     */
+    getItemsFromCategory(outfits, category) {
+        const items = [];
+        const seenSkus = new Set();
+
+        outfits.forEach(outfit => {
+            const item = outfit.items[category];
+            if (item && item.sku && !seenSkus.has(item.sku)) {
+                items.push(item);
+                seenSkus.add(item.sku);
+            }
+        });
 
-    return grouped;
-}
+        return items;
+    }
 
-/**
- * Get all items of a specific category from outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @param {string} category - Category to filter by
- * @returns {Array<ClothingItem>} Items of the specified c
-ategory
+    // ===== REUSABILITY REPORTING METHODS =====
+
+    /**
+     * Generate comprehensive reusability report for optimized outfits
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Object} Detailed reusability report
      */
-getItemsFromCategory(outfits, category) {
-    const items = [];
-    const seenSkus = new Set();
-
-    outfits.forEach(outfit => {
-        const item = outfit.items[category];
-        if (item && item.sku && !seenSkus.has(item.sku)) {
-            items.push(item);
-            seenSkus.add(item.sku);
+    generateReusabilityReport(outfits) {
+        if (!Array.isArray(outfits) || outfits.length === 0) {
+            return createReusabilityReport();
         }
-    });
 
-    return items;
-}
+        const baseReport = this.calculateCurrentReusability(outfits);
+        const palette = this.getTripPalette(outfits);
+
+        // Add detailed breakdown
+        const detailedReport = {
+            ...baseReport,
+            breakdown: {
+                byCategory: this.getReusabilityByCategory(outfits),
+                byDay: this.getReusabilityByDay(outfits),
+                topReusedItems: this.getTopReusedItems(outfits),
+                recommendations: this.getReusabilityRecommendations(outfits, baseReport),
+                palette
+            },
+            metrics: {
+                averageItemsPerOutfit: this.calculateAverageItemsPerOutfit(outfits),
+                costPerWear: this.calculateCostPerWear(outfits),
+                packingEfficiency: baseReport.packingOptimization,
+                sustainabilityScore: this.calculateSustainabilityScore(baseReport),
+                paletteCoherence: palette.coherence
+            }
+        };
 
-// ===== REUSABILITY REPORTING METHODS =====
+        return detailedReport;
+    }
 
-/**
- * Generate comprehensive reusability report for optimized outfits
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Object} Detailed reusability report
- */
-generateReusabilityReport(outfits) {
-    if (!Array.isArray(outfits) || outfits.length === 0) {
-        return createReusabilityReport();
+    /**
+     * Get reusability breakdown by category
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Object} Reusability by category
+     */
+    getReusabilityByCategory(outfits) {
+        const categoryStats = {};
+        const categories = ['shirt', 'pants', 'shoes', 'outerwear', 'belt', 'jewelry', 'hat'];
+
+        categories.forEach(category => {
+            const items = this.getItemsFromCategory(outfits, category);
+            const usageCount = this.getItemUsageCount(outfits);
+
+            const categoryItems = items.length;
+            const reusedCategoryItems = items.filter(item =>
+                usageCount.get(item.sku) > 1
+            ).length;
+
+            categoryStats[category] = {
+                totalItems: categoryItems,
+                reusedItems: reusedCategoryItems,
+                reusabilityPercentage: categoryItems > 0 ? reusedCategoryItems / categoryItems : 0
+            };
+        });
+
+        return categoryStats;
     }
 
-    const baseReport = this.calculateCurrentReusability(outfits);
-
-    // Add detailed breakdown
-    const detailedReport = {
-        ...baseReport,
-        breakdown: {
-            byCategory: this.getReusabilityByCategory(outfits),
-            byDay: this.getReusabilityByDay(outfits),
-            topReusedItems: this.getTopReusedItems(outfits),
-            recommendations: this.getReusabilityRecommendations(outfits, baseReport)
-        },
-        metrics: {
-            averageItemsPerOutfit: this.calculateAverageItemsPerOutfit(outfits),
-            costPerWear: this.calculateCostPerWear(outfits),
-            packingEfficiency: baseReport.packingOptimization,
-            sustainabilityScore: this.calculateSustainabilityScore(baseReport)
-        }
-    };
+    /**
+     * Get reusability breakdown by day
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Array<Object>} Reusability by day
+     */
+    getReusabilityByDay(outfits) {
+        const usageCount = this.getItemUsageCount(outfits);
 
-    return detailedReport;
-}
+        return outfits.map(outfit => {
+            const outfitItems = this.getOutfitItems(outfit);
+            const reusedItems = outfitItems.filter(item =>
+                usageCount.get(item.sku) > 1
+            );
 
-/**
- * Get reusability breakdown by category
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Object} Reusability by category
- */
-getReusabilityByCategory(outfits) {
-    const categoryStats = {};
-    const categories = ['shirt', 'pants', 'shoes', 'outerwear', 'belt', 'jewelry', 'hat'];
+            return {
+                day: outfit.day,
+                totalItems: outfitItems.length,
+                reusedItems: reusedItems.length,
+                reusabilityPercentage: outfitItems.length > 0 ? reusedItems.length / outfitItems.length : 0,
+                newItems: outfitItems.length - reusedItems.length
+            };
+        });
+    }
 
-    categories.forEach(category => {
-        const items = this.getItemsFromCategory(outfits, category);
+    /**
+     * Get top reused items with usage statistics
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {Array<Object>} Top reused items
+     */
+    getTopReusedItems(outfits) {
         const usageCount = this.getItemUsageCount(outfits);
+        const allItems = this.extractAllItemsFromOutfits(outfits);
+
+        return allItems
+            .filter(item => usageCount.get(item.sku) > 1)
+            .map(item => ({
+                item,
+                usageCount: usageCount.get(item.sku),
+                versatilityScore: this.calculateItemVersatility(item),
+                costPerWear: item.price ? item.price / usageCount.get(item.sku) : 0
+            }))
+            .sort((a, b) => b.usageCount - a.usageCount)
+            .slice(0, 10); // Top 10 most reused items
+    }
 
-        const categoryItems = items.length;
-        const reusedCategoryItems = items.filter(item =>
-            usageCount.get(item.sku) > 1
-        ).length;
-
-        categoryStats[category] = {
-            totalItems: categoryItems,
-            reusedItems: reusedCategoryItems,
-            reusabilityPercentage: categoryItems > 0 ? reusedCategoryItems / categoryItems : 0
-        };
-    });
+    /**
+     * Get reusability recommendations for improvement
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @param {Object} currentReport - Current reusability report
+     * @returns {Array<string>} Array of recommendations
+     */
+    getReusabilityRecommendations(outfits, currentReport) {
+        const recommendations = [];
+        const targetReusability = 0.6;
+
+        // Overall reusability recommendations
+        if (currentReport.reusabilityPercentage < targetReusability) {
+            const gap = (targetReusability - currentReport.reusabilityPercentage) * 100;
+            recommendations.push(`Increase reusability by ${gap.toFixed(1)}% to reach the 60% target`);
+        }
 
-    return categoryStats;
-}
+        // Category-specific recommendations
+        const categoryBreakdown = this.getReusabilityByCategory(outfits);
+        Object.entries(categoryBreakdown).forEach(([category, stats]) => {
+            if (stats.totalItems > 1 && stats.reusabilityPercentage < 0.5) {
+                recommendations.push(`Consider consolidating ${category} items - currently ${(stats.reusabilityPercentage * 100).toFixed(1)}% reused`);
+            }
+        });
 
-/**
- * Get reusability breakdown by day
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Array<Object>} Reusability by day
- */
-getReusabilityByDay(outfits) {
-    const usageCount = this.getItemUsageCount(outfits);
+        // Cost efficiency recommendations
+        if (currentReport.costEfficiency < 70) {
+            recommendations.push('Focus on reusing higher-priced items to improve cost efficiency');
+        }
 
-    return outfits.map(outfit => {
-        const outfitItems = Object.values(outfit.items).filter(item => item);
-        const reusedItems = outfitItems.filter(item =>
-            usageCount.get(item.sku) > 1
-        );
+        // Packing optimization recommendations
+        if (currentReport.packingOptimization < 70) {
+            recommendations.push('Reduce total number of items by increasing reuse of versatile pieces');
+        }
 
-        return {
-            day: outfit.day,
-            totalItems: outfitItems.length,
-            reusedItems: reusedItems.length,
-            reusabilityPercentage: outfitItems.length > 0 ? reusedItems.length / outfitItems.length : 0,
-            newItems: outfitItems.length - reusedItems.length
-        };
-    });
-}
+        // Palette recommendations: clashing pieces are harder to mix across days
+        const palette = this.getTripPalette(outfits);
+        palette.clashes.slice(0, 2).forEach(([color1, color2]) => {
+            recommendations.push(`Swap ${color1} or ${color2} pieces - the two colors clash, so they cannot be mixed across outfits`);
+        });
+        if (palette.accents.length > 2) {
+            recommendations.push(`Narrow the palette to one or two accent colors (currently ${palette.accents.map(family => family[0]).join(', ')})`);
+        }
 
-/**
- * Get top reused items with usage statistics
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {Array<Object>} Top reused items
- */
-getTopReusedItems(outfits) {
-    const usageCount = this.getItemUsageCount(outfits);
-    const allItems = this.extractAllItemsFromOutfits(outfits);
-
-    return allItems
-        .filter(item => usageCount.get(item.sku) > 1)
-        .map(item => ({
-            item,
-            usageCount: usageCount.get(item.sku),
-            versatilityScore: this.calculateItemVersatility(item),
-            costPerWear: item.price ? item.price / usageCount.get(item.sku) : 0
-        }))
-        .sort((a, b) => b.usageCount - a.usageCount)
-        .slice(0, 10); // Top 10 most reused items
-}
+        // Specific item recommendations
+        const usageCount = this.getItemUsageCount(outfits);
+        const underutilizedItems = this.extractAllItemsFromOutfits(outfits)
+            .filter(item => {
+                const usage = usageCount.get(item.sku) || 0;
+                const versatility = this.calculateItemVersatility(item);
+                return usage === 1 && versatility > 70;
+            })
+            .slice(0, 3);
+
+        underutilizedItems.forEach(item => {
+            recommendations.push(`Consider reusing "${item.name}" - it has high versatility but is only used once`);
+        });
 
-/**
- * Get reusability recommendations for improvement
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @param {Object} currentReport - Current reusability report
- * @returns {Array<string>} Array of recommendations
- */
-getReusabilityRecommendations(outfits, currentReport) {
-    const recommendations = [];
-    const targetReusability = 0.6;
-
-    // Overall reusability recommendations
-    if (currentReport.reusabilityPercentage < targetReusability) {
-        const gap = (targetReusability - currentReport.reusabilityPercentage) * 100;
-        recommendations.push(`Increase reusability by ${gap.toFixed(1)}% to reach the 60% target`);
+        return recommendations;
     }
 
-    // Category-specific recommendations
-    const categoryBreakdown = this.getReusabilityByCategory(outfits);
-    Object.entries(categoryBreakdown).forEach(([category, stats]) => {
-        if (stats.totalItems > 1 && stats.reusabilityPercentage < 0.5) {
-            recommendations.push(`Consider consolidating ${category} items - currently ${(stats.reusabilityPercentage * 100).toFixed(1)}% reused`);
-        }
-    });
+    /**
+     * Calculate average items per outfit
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {number} Average items per outfit
+     */
+    calculateAverageItemsPerOutfit(outfits) {
+        if (outfits.length === 0) return 0;
 
-    // Cost efficiency recommendations
-    if (currentReport.costEfficiency < 70) {
-        recommendations.push('Focus on reusing higher-priced items to improve cost efficiency');
-    }
+        const totalItems = outfits.reduce((sum, outfit) => {
+            return sum + this.getOutfitItems(outfit).length;
+        }, 0);
 
-    // Packing optimization recommendations
-    if (currentReport.packingOptimization < 70) {
-        recommendations.push('Reduce total number of items by increasing reuse of versatile pieces');
+        return totalItems / outfits.length;
     }
 
-    // Specific item recommendations
-    const usageCount = this.getItemUsageCount(outfits);
-    const underutilizedItems = this.extractAllItemsFromOutfits(outfits)
-        .filter(item => {
-            const usage = usageCount.get(item.sku) || 0;
-            const versatility = this.calculateItemVersatility(item);
-            return usage === 1 && versatility > 70;
-        })
-        .slice(0, 3);
-
-    underutilizedItems.forEach(item => {
-        recommendations.push(`Consider reusing "${item.name}" - it has high versatility but is only used once`);
-    });
-
-    return recommendations;
-}
+    /**
+     * Calculate cost per wear across all items
+     * @param {Array<DailyOutfit>} outfits - Array of daily outfits
+     * @returns {number} Average cost per wear
+     */
+    calculateCostPerWear(outfits) {
+        const usageCount = this.getItemUsageCount(outfits);
+        const allItems = this.extractAllItemsFromOutfits(outfits);
 
-/**
- * Calculate average items per outfit
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {number} Average items per outfit
- */
-calculateAverageItemsPerOutfit(outfits) {
-    if (outfits.length === 0) return 0;
+        if (allItems.length === 0) return 0;
 
-    const totalItems = outfits.reduce((sum, outfit) => {
-        return sum + Object.values(outfit.items).filter(item => item).length;
-    }, 0);
+        const totalCostPerWear = allItems.reduce((sum, item) => {
+            const usage = usageCount.get(item.sku) || 1;
+            const costPerWear = item.price ? item.price / usage : 0;
+            return sum + costPerWear;
+        }, 0);
 
-    return totalItems / outfits.length;
-}
+        return totalCostPerWear / allItems.length;
+    }
 
-/**
- * Calculate cost per wear across all items
- * @param {Array<DailyOutfit>} outfits - Array of daily outfits
- * @returns {number} Average cost per wear
- */
-calculateCostPerWear(outfits) {
-    const usageCount = this.getItemUsageCount(outfits);
-    const allItems = this.extractAllItemsFromOutfits(outfits);
+    /**
+     * Calculate sustainability score based on reusability
+     * @param {Object} reusabilityReport - Reusability report
+     * @returns {number} Sustainability score (0-100)
+     */
+    calculateSustainabilityScore(reusabilityReport) {
+        // Higher reusability = better sustainability
+        const reusabilityScore = reusabilityReport.reusabilityPercentage * 60;
 
-    if (allItems.length === 0) return 0;
+        // Cost efficiency contributes to sustainability
+        const costEfficiencyScore = reusabilityReport.costEfficiency * 0.25;
 
-    const totalCostPerWear = allItems.reduce((sum, item) => {
-        const usage = usageCount.get(item.sku) || 1;
-        const costPerWear = item.price ? item.price / usage : 0;
-        return sum + costPerWear;
-    }, 0);
+        // Packing optimization reduces waste
+        const packingScore = reusabilityReport.packingOptimization * 0.15;
 
-    return totalCostPerWear / allItems.length;
+        return Math.min(100, reusabilityScore + costEfficiencyScore + packingScore);
+    }
 }
 
-/**
- * Calculate sustainability score based on reusability
- * @param {Object} reusabilityReport - Reusability report
- * @returns {number} Sustainability score (0-100)
- */
-calculateSustainabilityScore(reusabilityReport) {
-    // Higher reusability = better sustainability
-    const reusabilityScore = reusabilityReport.reusabilityPercentage * 60;
-
-    // Cost efficiency contributes to sustainability
-    const costEfficiencyScore = reusabilityReport.costEfficiency * 0.25;
-
-    // Packing optimization reduces waste
-    const packingScore = reusabilityReport.packingOptimization * 0.15;
+// Export singleton instance
+export const reusabilityOptimizer = new ReusabilityOptimizer();
 
-    return Math.min(100, reusabilityScore + costEfficiencyScore + packingScore);
-}
-}
\ No newline at end of file
+// Export class for testing and custom instances
+export default ReusabilityOptimizer;
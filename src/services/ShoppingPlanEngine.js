@@ -0,0 +1,222 @@
+/**
+ * ShoppingPlanEngine
+ *
+ * Turns a trip's outfits into a shopping plan: closet pieces cost nothing, catalog pieces
+ * are summed and the total is checked against the trip budget. When the plan runs over,
+ * each purchase gets cheaper catalog substitutes in the same category, formality and
+ * color family, ranked by ReusabilityOptimizer.calculateCostEfficiency and cost-per-wear,
+ * plus a projected set of swaps that brings the plan back under budget where possible.
+ */
+
+import { reusabilityOptimizer } from './ReusabilityOptimizer';
+import { offlineOutfitSolver } from './OfflineOutfitSolver';
+import { colorHarmonyEngine } from './ColorHarmonyEngine';
+
+const MAX_ALTERNATIVES = 3;
+
+/**
+ * ShoppingPlanEngine class for costing outfits against the trip budget
+ */
+export class ShoppingPlanEngine {
+    constructor(optimizer = reusabilityOptimizer, solver = offlineOutfitSolver) {
+        this.reusabilityOptimizer = optimizer;
+        this.solver = solver;
+    }
+
+    /**
+     * Build the shopping plan for a trip
+     * @param {Object|Array} outfits - Hydrated outfits keyed by day (or an array of them)
+     * @param {Object} options
+     * @param {number|null} options.budget - Trip budget; no substitutes are proposed without one
+     * @param {Array<ClothingItem>} options.catalog - Catalog items substitutes can be drawn from
+     * @param {Set<string>} options.closetSkus - SKUs the user already owns (CLOC SKUs always count)
+     * @param {Set<string>} options.lockedSkus - Locked SKUs, which are never substituted
+     * @returns {Object} { items, totals, substitutes, projection }
+     */
+    buildShoppingPlan(outfits, { budget = null, catalog = [], closetSkus = new Set(), lockedSkus = new Set() } = {}) {
+        const outfitList = (Array.isArray(outfits) ? outfits : Object.values(outfits || {})).filter(Boolean);
+        const usageCount = this.reusabilityOptimizer.getItemUsageCount(outfitList);
+        const isOwned = item => closetSkus.has(item.sku) || item.sku.startsWith('CLOC');
+
+        const items = this.reusabilityOptimizer.extractAllItemsFromOutfits(outfitList).map(item => {
+            const wears = usageCount.get(item.sku) || 1;
+            const price = isOwned(item) ? 0 : this.getPrice(item);
+            return {
+                ...item,
+                fromCloset: isOwned(item),
+                wears,
+                cost: price,
+                costPerWear: this.round(price / wears)
+            };
+        }).sort((a, b) => Number(a.fromCloset) - Number(b.fromCloset) || b.cost - a.cost);
+
+        const purchases = items.filter(item => !item.fromCloset);
+        const spend = this.round(purchases.reduce((total, item) => total + item.cost, 0));
+        const limit = Number(budget) > 0 ? Number(budget) : null;
+        const reusability = this.reusabilityOptimizer.calculateCurrentReusability(outfitList).reusabilityPercentage;
+
+        const totals = {
+            closet: items.length - purchases.length,
+            catalog: purchases.length,
+            spend,
+            budget: limit,
+            remaining: limit !== null ? this.round(limit - spend) : null,
+            overBudget: limit !== null && spend > limit,
+            costPerWear: this.round(spend / Math.max(1, purchases.reduce((total, item) => total + item.wears, 0))),
+            costEfficiency: this.round(this.reusabilityOptimizer.calculateCostEfficiency(spend, reusability))
+        };
+
+        const substitutes = totals.overBudget
+            ? purchases
+                .filter(item => !lockedSkus.has(item.sku))
+                .map(item => ({
+                    sku: item.sku,
+                    name: item.name,
+                    price: item.cost,
+                    alternatives: this.findSubstitutes(item, outfitList, { catalog, closetSkus, spend, usageCount })
+                }))
+                .filter(entry => entry.alternatives.length > 0)
+            : [];
+
+        return {
+            items,
+            totals,
+            substitutes,
+            projection: totals.overBudget ? this.projectSwaps(substitutes, spend, limit) : null
+        };
+    }
+
+    /**
+     * Cheaper catalog items that can replace a purchase
+     * @param {Object} item - Plan entry being replaced
+     * @param {Array<Object>} outfits - Current outfits
+     * @param {Object} context - { catalog, closetSkus, spend, usageCount }
+     * @returns {Array<Object>} Best alternatives: { item, saves, spend, costPerWear, costEfficiency }
+     */
+    findSubstitutes(item, outfits, { catalog, closetSkus, spend, usageCount }) {
+        const slot = this.solver.getItemSlot(item);
+        const formality = (item.formality || '').toLowerCase().trim();
+        const families = this.getColorFamilies(item.colors);
+
+        return catalog
+            .filter(candidate => candidate?.sku &&
+                candidate.sku !== item.sku &&
+                !candidate.sku.startsWith('CLOC') &&
+                !closetSkus.has(candidate.sku) &&
+                this.solver.getItemSlot(candidate) === slot &&
+                (candidate.formality || '').toLowerCase().trim() === formality &&
+                this.getPrice(candidate) < item.cost &&
+                this.sharesColorFamily(families, this.getColorFamilies(candidate.colors)))
+            .map(candidate => {
+                const swapped = this.applySubstitute(outfits, item.sku, candidate);
+                const alreadyBought = usageCount.has(candidate.sku);
+                // A candidate the plan already buys costs nothing extra
+                const saves = this.round(item.cost - (alreadyBought ? 0 : this.getPrice(candidate)));
+                const nextSpend = this.round(spend - saves);
+                const wears = item.wears + (usageCount.get(candidate.sku) || 0);
+                const reusability = this.reusabilityOptimizer.calculateCurrentReusability(Object.values(swapped)).reusabilityPercentage;
+
+                return {
+                    item: candidate,
+                    saves,
+                    spend: nextSpend,
+                    costPerWear: this.round(this.getPrice(candidate) / wears),
+                    costEfficiency: this.round(this.reusabilityOptimizer.calculateCostEfficiency(nextSpend, reusability))
+                };
+            })
+            .sort((a, b) => b.costEfficiency - a.costEfficiency ||
+                a.costPerWear - b.costPerWear ||
+                b.saves - a.saves ||
+                a.item.sku.localeCompare(b.item.sku))
+            .slice(0, MAX_ALTERNATIVES);
+    }
+
+    /**
+     * Pick top-ranked swaps, biggest savings first, until the plan fits the budget
+     * @param {Array<Object>} substitutes - Substitutes per purchase
+     * @param {number} spend - Current spend
+     * @param {number} budget - Trip budget
+     * @returns {Object} { swaps: [{ from, to, saves }], spend, fitsBudget }
+     */
+    projectSwaps(substitutes, spend, budget) {
+        const swaps = [];
+        let projected = spend;
+
+        [...substitutes]
+            .sort((a, b) => b.alternatives[0].saves - a.alternatives[0].saves)
+            .forEach(entry => {
+                if (projected <= budget) {
+                    return;
+                }
+                const [best] = entry.alternatives;
+                swaps.push({ from: entry.sku, to: best.item.sku, saves: best.saves });
+                projected = this.round(projected - best.saves);
+            });
+
+        return { swaps, spend: projected, fitsBudget: projected <= budget };
+    }
+
+    /**
+     * Replace an item with a substitute on every day it is worn
+     * @param {Object|Array} outfits - Hydrated outfits keyed by day (or an array of them)
+     * @param {string} fromSku - SKU to replace
+     * @param {ClothingItem} substitute - Replacement item
+     * @returns {Object} Outfits keyed by day
+     */
+    applySubstitute(outfits, fromSku, substitute) {
+        const outfitList = Array.isArray(outfits) ? outfits : Object.values(outfits || {});
+        const swapped = {};
+
+        outfitList.forEach(outfit => {
+            const items = {};
+            let changed = false;
+            Object.entries(outfit.items || {}).forEach(([slot, value]) => {
+                if (Array.isArray(value)) {
+                    items[slot] = value.map(item => (item?.sku === fromSku ? substitute : item));
+                    changed = changed || value.some(item => item?.sku === fromSku);
+                } else {
+                    items[slot] = value?.sku === fromSku ? substitute : value;
+                    changed = changed || value?.sku === fromSku;
+                }
+            });
+
+            swapped[outfit.day] = changed
+                ? { ...outfit, items, updatedAt: new Date().toISOString() }
+                : outfit;
+        });
+
+        return swapped;
+    }
+
+    /**
+     * Color families an item belongs to ('neutral', a hue family or 'print')
+     * @param {string|Array<string>} colors - Item colors ("navy, white")
+     * @returns {Set<string>} Family names
+     */
+    getColorFamilies(colors) {
+        // Families come from each color's perceptual hue, so shades like "dusty rose" or hex values group too
+        return colorHarmonyEngine.getColorFamilies(colors);
+    }
+
+    sharesColorFamily(familiesA, familiesB) {
+        // Items without color information match anything
+        if (familiesA.size === 0 || familiesB.size === 0) {
+            return true;
+        }
+        return [...familiesA].some(family => familiesB.has(family));
+    }
+
+    getPrice(item) {
+        return Number(item?.price) || 0;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export singleton instance
+export const shoppingPlanEngine = new ShoppingPlanEngine();
+
+// Export class for testing and custom instances
+export default ShoppingPlanEngine;
@@ -0,0 +1,341 @@
+/**
+ * WeatherOutfitValidator
+ *
+ * Audits generated outfits day by day against that day's forecast. Each hydrated outfit
+ * is cross-checked with the weatherContextService recommendations (layering, waterproof,
+ * warm accessories, sun protection) and the forecast temperature, producing structured
+ * warnings for the UI. An optional repair pass swaps in rated pieces from the catalog,
+ * preferring items already worn on the trip and items from the closet.
+ */
+
+import { ClothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { offlineOutfitSolver } from './OfflineOutfitSolver';
+import weatherContextService from './weatherContextService';
+
+export const WEATHER_WARNING_CODES = {
+    MISSING_OUTERWEAR: 'MISSING_OUTERWEAR',
+    WATERPROOF_OUTERWEAR: 'WATERPROOF_OUTERWEAR',
+    WATERPROOF_FOOTWEAR: 'WATERPROOF_FOOTWEAR',
+    WARM_ACCESSORIES: 'WARM_ACCESSORIES',
+    SUN_PROTECTION: 'SUN_PROTECTION',
+    TOO_LIGHT_FOR_COLD: 'TOO_LIGHT_FOR_COLD',
+    TOO_WARM_FOR_HEAT: 'TOO_WARM_FOR_HEAT'
+};
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Words in names, tags or notes that mark a piece as covering a weather need
+const NEED_KEYWORDS = {
+    rainy: /\b(waterproof|rainproof|water-resistant|rain)\b/i,
+    cold: /\b(scarf|gloves?|mittens?|beanie|wool|knit|thermal)\b/i,
+    hot: /\b(sun ?hat|sunglasses|uv|visor|cap|straw hat)\b/i
+};
+
+/**
+ * WeatherOutfitValidator class for checking outfits against daily forecasts
+ */
+export class WeatherOutfitValidator {
+    constructor(analysisEngine = new ClothingAnalysisEngine(), solver = offlineOutfitSolver) {
+        this.analysisEngine = analysisEngine;
+        this.solver = solver;
+    }
+
+    /**
+     * Check every outfit against its day's forecast
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {Object|null} weather - Weather context with dailyForecasts from weatherContextService
+     * @returns {Object} { valid, checkedDays, warnings } with warnings sorted by day and severity
+     */
+    validate(outfits, weather) {
+        const forecasts = weather?.dailyForecasts || [];
+        const warnings = [];
+        let checkedDays = 0;
+
+        Object.values(outfits || {}).forEach(outfit => {
+            const forecast = this.solver.getDayForecast(forecasts, outfit.day);
+            if (!forecast) {
+                return;
+            }
+
+            checkedDays++;
+            warnings.push(...this.validateDay(outfit, forecast));
+        });
+
+        warnings.sort((a, b) => a.day - b.day || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+        return {
+            valid: warnings.length === 0,
+            checkedDays,
+            warnings
+        };
+    }
+
+    /**
+     * Check one outfit against its forecast
+     * @param {Object} outfit - Hydrated outfit ({ day, items })
+     * @param {Object} forecast - Processed daily forecast
+     * @returns {Array<Object>} Warnings: { day, date, location, code, severity, slot, sku, need, message, suggestion }
+     */
+    validateDay(outfit, forecast) {
+        const recommendations = this.getRecommendations(forecast);
+        const conditions = this.solver.getWeatherConditions(forecast);
+        const items = outfit.items || {};
+        const accessories = items.accessories || [];
+        const place = forecast.location ? ` in ${forecast.location}` : '';
+        const range = forecast.temperature
+            ? `${Math.round(forecast.temperature.min)}–${Math.round(forecast.temperature.max)}°C`
+            : 'the forecast';
+        const warnings = [];
+
+        const warn = (code, severity, slot, need, message, suggestion, item = null) => warnings.push({
+            day: outfit.day,
+            date: forecast.date || null,
+            location: forecast.location || null,
+            code,
+            severity,
+            slot,
+            sku: item?.sku || null,
+            need,
+            message,
+            suggestion
+        });
+
+        const wet = !!recommendations?.waterproof;
+        const snowy = forecast.conditions?.main === 'snowy';
+        const layering = recommendations?.layering;
+
+        if (!items.outerwear && (layering === 'heavy' || layering === 'moderate') && !wet) {
+            warn(WEATHER_WARNING_CODES.MISSING_OUTERWEAR, layering === 'heavy' ? 'high' : 'medium', 'outerwear', 'cold',
+                `Day ${outfit.day} has no outer layer for ${range}${place}.`,
+                'Add a warm jacket or coat.');
+        }
+
+        if (wet) {
+            if (!this.isRatedFor(items.outerwear, 'rainy')) {
+                warn(WEATHER_WARNING_CODES.WATERPROOF_OUTERWEAR, 'high', 'outerwear', 'rainy',
+                    items.outerwear
+                        ? `${this.describe(items.outerwear)} is not rated for the ${snowy ? 'snow' : 'rain'} forecast on day ${outfit.day}${place}.`
+                        : `Day ${outfit.day} has no waterproof layer for the ${snowy ? 'snow' : 'rain'} forecast${place}.`,
+                    'Swap in a waterproof jacket or trench.',
+                    items.outerwear);
+            }
+            if (items.footwear && !this.isRatedFor(items.footwear, 'rainy')) {
+                warn(WEATHER_WARNING_CODES.WATERPROOF_FOOTWEAR, snowy ? 'high' : 'medium', 'footwear', 'rainy',
+                    `${this.describe(items.footwear)} may not stay dry on day ${outfit.day}${place}.`,
+                    'Choose waterproof boots or rain-rated shoes.',
+                    items.footwear);
+            }
+        }
+
+        if (recommendations?.warmAccessories && !accessories.some(item => this.isRatedFor(item, 'cold'))) {
+            warn(WEATHER_WARNING_CODES.WARM_ACCESSORIES, 'medium', 'accessories', 'cold',
+                `Day ${outfit.day} needs warm accessories for ${range}${place}.`,
+                'Add a scarf, hat or gloves.');
+        }
+
+        if (recommendations?.sunProtection && !accessories.some(item => this.isRatedFor(item, 'hot'))) {
+            warn(WEATHER_WARNING_CODES.SUN_PROTECTION, 'low', 'accessories', 'hot',
+                `Day ${outfit.day} is sunny at ${range}${place} with no sun protection.`,
+                'Add a sun hat or sunglasses.');
+        }
+
+        // Core pieces that are only rated for the opposite end of the thermometer
+        ['topwear', 'bottomwear', 'footwear'].forEach(slot => {
+            const item = items[slot];
+            if (!item || !this.getSuitability(item)) {
+                return;
+            }
+
+            if (conditions.includes('cold') && !this.isRatedFor(item, 'cool')) {
+                warn(WEATHER_WARNING_CODES.TOO_LIGHT_FOR_COLD, 'medium', slot, 'cool',
+                    `${this.describe(item)} is too light for ${range} on day ${outfit.day}${place}.`,
+                    `Choose a ${slot === 'footwear' ? 'closed, warm shoe' : 'warmer piece'}.`,
+                    item);
+            } else if (conditions.includes('hot') && !this.isRatedFor(item, 'warm')) {
+                warn(WEATHER_WARNING_CODES.TOO_WARM_FOR_HEAT, 'low', slot, 'warm',
+                    `${this.describe(item)} will feel heavy at ${range} on day ${outfit.day}${place}.`,
+                    'Choose something lighter and breathable.',
+                    item);
+            }
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Fix warnings by swapping in or adding rated pieces
+     * @param {Object} outfits - Hydrated outfits keyed by day
+     * @param {Array<Object>} warnings - Warnings from validate()
+     * @param {Object} options
+     * @param {Array<ClothingItem>} options.items - Catalog and closet items to choose from
+     * @param {Object|null} options.locks - { items: [sku], days: { [day]: outfit } }; locked days and items stay put
+     * @param {string} options.dressCode - Trip dress code, used when a day plan has none
+     * @param {Array<Object>} options.dayPlans - Day plans with per-day dress codes
+     * @returns {Object} { outfits, repairs: [{ day, slot, codes, from, to }], unresolved: [warning] }
+     */
+    repair(outfits, warnings, { items = [], locks = null, dressCode = 'smart-casual', dayPlans = [] } = {}) {
+        const itemsBySlot = this.solver.groupItemsBySlot(items);
+        const lockedSkus = new Set(locks?.items || []);
+        const repaired = { ...outfits };
+        const repairs = [];
+        const unresolved = [];
+
+        // One fix per slot and need: a rain warning and a cold warning on the same shoes call for one pair of boots
+        const groups = new Map();
+        warnings.forEach(warning => {
+            const key = warning.slot === 'accessories'
+                ? `${warning.day}:accessories:${warning.need}`
+                : `${warning.day}:${warning.slot}`;
+            groups.set(key, [...(groups.get(key) || []), warning]);
+        });
+
+        groups.forEach(group => {
+            const { day, slot } = group[0];
+            const outfit = repaired[day];
+            const current = slot === 'accessories' ? null : outfit?.items?.[slot];
+
+            if (!outfit || locks?.days?.[day] || (current && lockedSkus.has(current.sku))) {
+                unresolved.push(...group);
+                return;
+            }
+
+            const needs = [...new Set(group.map(warning => warning.need))];
+            const dayDressCode = dayPlans.find(plan => plan.day === day)?.dressCode || dressCode;
+            const options = { dressCode: dayDressCode, exclude: current ? [current.sku] : [], outfits: repaired };
+            const candidates = itemsBySlot[slot] || [];
+            // Fall back to the most pressing need when no single piece covers them all
+            const replacement = this.findReplacement(candidates, needs, options)
+                || (needs.length > 1 ? this.findReplacement(candidates, [group[0].need], options) : null);
+
+            if (!replacement) {
+                unresolved.push(...group);
+                return;
+            }
+
+            const nextItems = { ...outfit.items };
+            if (slot === 'accessories') {
+                nextItems.accessories = [...(outfit.items.accessories || []), replacement];
+            } else {
+                nextItems[slot] = replacement;
+            }
+
+            repaired[day] = {
+                ...outfit,
+                items: nextItems,
+                styling: {
+                    ...outfit.styling,
+                    weatherConsiderations: [
+                        outfit.styling?.weatherConsiderations,
+                        `${this.describe(replacement)} ${current ? `replaces ${this.describe(current)}` : 'was added'} for the weather.`
+                    ].filter(Boolean).join(' ')
+                },
+                updatedAt: new Date().toISOString()
+            };
+            repairs.push({
+                day,
+                slot,
+                codes: group.map(warning => warning.code),
+                from: current?.sku || null,
+                to: replacement.sku
+            });
+            unresolved.push(...group.filter(warning => !this.isRatedFor(replacement, warning.need)));
+        });
+
+        return { outfits: repaired, repairs, unresolved };
+    }
+
+    /**
+     * Pick the best rated item for a slot: worn elsewhere on the trip, then closet, then cheapest
+     * @param {Array<ClothingItem>} candidates - Items for the slot
+     * @param {Array<string>} needs - Weather needs the item must cover ('rainy', 'cool', 'warm', 'hot')
+     * @param {Object} options - Dress code, SKUs to exclude and the current outfits
+     * @returns {ClothingItem|null} Replacement
+     */
+    findReplacement(candidates, needs, { dressCode, exclude = [], outfits = {} }) {
+        const rated = candidates.filter(item => !exclude.includes(item.sku) && needs.every(need => this.isRatedFor(item, need)));
+        if (rated.length === 0) {
+            return null;
+        }
+
+        const suited = this.analysisEngine.filterByDressCode(rated, dressCode);
+        const pool = suited.length > 0 ? suited : rated;
+
+        const worn = new Set(Object.values(outfits).flatMap(outfit => Object.values(outfit.items || {})
+            .flatMap(value => [].concat(value || []))
+            .map(item => item.sku)));
+        const rank = item => [
+            worn.has(item.sku) ? 0 : 1,
+            item.sku?.startsWith('CLOC') ? 0 : 1,
+            Number(item.price) || 0
+        ];
+
+        return [...pool].sort((a, b) => {
+            const [ra, rb] = [rank(a), rank(b)];
+            return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2] || a.sku.localeCompare(b.sku);
+        })[0];
+    }
+
+    /**
+     * Recommendations for a forecast, computed when the forecast doesn't carry them
+     * @param {Object} forecast - Processed daily forecast
+     * @returns {Object|null} generateWeatherRecommendations output
+     */
+    getRecommendations(forecast) {
+        if (forecast.recommendations) {
+            return forecast.recommendations;
+        }
+
+        try {
+            // Fallback and stored forecasts may leave out wind and conditions
+            return weatherContextService.generateWeatherRecommendations({
+                ...forecast,
+                wind: forecast.wind || { speed: 0 },
+                conditions: { main: '', ...forecast.conditions }
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether an item covers a weather need
+     * @param {ClothingItem|null} item - Item to check
+     * @param {string} need - ClothingAnalysisEngine condition ('rainy', 'cold', 'cool', 'warm'), or 'hot' for sun protection
+     * @returns {boolean} True when rated for the condition or described as covering it
+     */
+    isRatedFor(item, need) {
+        if (!item) {
+            return false;
+        }
+
+        const suitability = this.getSuitability(item).toLowerCase();
+        // Sun protection comes from what a piece is, not the temperature it's rated for,
+        // and an all-weather accessory (sunglasses, a tote) doesn't keep anyone warm
+        const allWeatherAccessory = suitability === 'all' && this.solver.getItemSlot(item) === 'accessories';
+        if (need !== 'hot' && suitability && !allWeatherAccessory && this.analysisEngine.filterByWeather([item], need).length > 0) {
+            return true;
+        }
+
+        const keywords = NEED_KEYWORDS[need];
+        if (!keywords) {
+            return false;
+        }
+
+        const text = [item.name, [].concat(item.tags || []).join(' '), item.notes].filter(Boolean).join(' ');
+        return keywords.test(text);
+    }
+
+    getSuitability(item) {
+        return item?.weatherSuitability || item?.weather_suitability || '';
+    }
+
+    describe(item) {
+        return item.name ? `${item.name} (${item.sku})` : item.sku;
+    }
+}
+
+// Export singleton instance
+export const weatherOutfitValidator = new WeatherOutfitValidator();
+
+// Export class for testing and custom instances
+export default WeatherOutfitValidator;
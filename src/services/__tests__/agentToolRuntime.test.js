@@ -0,0 +1,205 @@
+/**
+ * Tests for running Bedrock Agent tool calls locally through return control
+ */
+
+import { AgentToolRuntime } from '../agentToolRuntime';
+import { LocalAgentSimulator } from '../localAgentSimulator';
+import weatherContextService from '../weatherContextService';
+import { ACTION_GROUP_NAME } from '../../config/bedrockAgentConfig';
+
+const ITEMS = [
+    { sku: 'CLOC001', name: 'Closet Linen Shirt', category: 'Topwear', price: 0, colors: 'white', weatherSuitability: 'warm', formality: 'casual' },
+    { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', price: 25, colors: 'white', weatherSuitability: 'warm', formality: 'casual' },
+    { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70, colors: 'cream', weatherSuitability: 'mild', formality: 'formal' },
+    { sku: 'SKU008', name: 'Wool Turtleneck', category: 'topwear', price: 65, colors: 'charcoal', weatherSuitability: 'cold', formality: 'smart-casual' },
+    { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, colors: 'blue', weatherSuitability: 'mild, warm', formality: 'casual' },
+    { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, colors: 'white', weatherSuitability: 'mild, warm', formality: 'casual' }
+];
+
+const WEATHER_RESULT = {
+    success: true,
+    weatherContext: {
+        weatherContext: {
+            location: { name: 'Lisbon' },
+            summary: { temperatureRange: { min: 18, max: 27 } },
+            dailyForecasts: [
+                { date: '2026-06-01', temperature: { min: 18, max: 27, average: 23 }, conditions: { main: 'clear' }, precipitation: { probability: 0 }, recommendations: {}, hourly: [] }
+            ]
+        },
+        weatherDataSource: 'forecast'
+    }
+};
+
+describe('AgentToolRuntime', () => {
+    let runtime;
+
+    beforeEach(() => {
+        runtime = new AgentToolRuntime({ loadItems: async () => ITEMS });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('coerces string arguments to their schema types and applies defaults', () => {
+        expect(runtime.validateArguments('search_clothing_catalog', {
+            category: 'tops',
+            budgetRange: '{"max":"50"}'
+        })).toEqual({
+            success: true,
+            data: { category: 'tops', budgetRange: { max: 50, currency: 'USD' } }
+        });
+        expect(runtime.validateArguments('generate_outfit_combinations', {
+            clothingItems: '["SKU001"]',
+            dailyRequirements: '[]'
+        }).data.reusePreference).toBe(0.7);
+    });
+
+    test('reports every invalid argument with its path', async () => {
+        const result = await runtime.execute('get_weather_forecast', { location: 'Lisbon', startDate: 'June 1', duration: '45' });
+
+        expect(result.success).toBe(false);
+        expect(result.error.code).toBe('INVALID_TOOL_ARGUMENTS');
+        expect(result.error.issues).toEqual([
+            { path: ['startDate'], message: 'must match ^\\d{4}-\\d{2}-\\d{2}$' },
+            { path: ['duration'], message: 'must be at most 30' }
+        ]);
+        expect((await runtime.execute('search_clothing_catalog', {})).error.issues).toEqual([
+            { path: ['category'], message: 'is required' }
+        ]);
+        expect((await runtime.execute('book_flight', {})).error.code).toBe('UNKNOWN_TOOL');
+    });
+
+    test('get_weather_forecast returns compact forecasts from the weather context', async () => {
+        const gather = jest.spyOn(weatherContextService, 'gatherWeatherContext').mockResolvedValue(WEATHER_RESULT);
+
+        const result = await runtime.execute('get_weather_forecast', { location: 'Lisbon', startDate: '2026-06-01', duration: '1' }, { sessionId: 's1' });
+
+        expect(gather).toHaveBeenCalledWith({ location: 'Lisbon', startDate: '2026-06-01', duration: 1 }, 's1');
+        expect(result.data).toMatchObject({ location: 'Lisbon', dataSource: 'forecast', fallbackUsed: false });
+        expect(result.data.dailyForecasts[0]).not.toHaveProperty('hourly');
+    });
+
+    test('search_clothing_catalog filters by category, weather, occasion and budget with closet items first', async () => {
+        const result = await runtime.execute('search_clothing_catalog', {
+            category: 'tops',
+            occasion: 'beach vacation',
+            weatherConditions: { temperature: { min: 22, max: 30 }, conditions: 'sunny' },
+            budgetRange: { max: 50 }
+        });
+
+        expect(result.data.filters).toEqual({ categories: 'tops', weather: ['warm'], dressCode: 'casual' });
+        expect(result.data.items.map(item => item.sku)).toEqual(['CLOC001', 'SKU001']);
+        expect(result.data.items[0].fromCloset).toBe(true);
+    });
+
+    test('generate_outfit_combinations solves each day from SKUs and reports reuse', async () => {
+        const result = await runtime.execute('generate_outfit_combinations', {
+            clothingItems: JSON.stringify(['CLOC001', 'SKU001', 'SKU002', 'SKU011', 'SKU404']),
+            dailyRequirements: JSON.stringify([
+                { occasion: 'sightseeing', temperature: { min: 20, max: 28 } },
+                { occasion: 'beach', temperature: { min: 22, max: 30 } }
+            ]),
+            reusePreference: '0.8'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.dailyOutfits).toHaveLength(2);
+        expect(result.data.dailyOutfits[0].items).toMatchObject({ bottomwear: 'SKU002', footwear: 'SKU011' });
+        expect(result.data.reusability.reusedItems).toBeGreaterThan(0);
+        expect(result.data.unknownSkus).toEqual(['SKU404']);
+    });
+
+    test('optimize_packing_list packs the outfits for the luggage type', async () => {
+        const result = await runtime.execute('optimize_packing_list', {
+            outfits: JSON.stringify([
+                { day: 1, items: { topwear: 'CLOC001', bottomwear: 'SKU002', footwear: 'SKU011' } },
+                { day: 2, items: { topwear: 'SKU001', bottomwear: 'SKU002', footwear: 'SKU011' } }
+            ]),
+            tripDuration: '2',
+            luggageConstraints: { type: 'backpack' }
+        });
+
+        expect(result.data.items.map(item => item.sku).sort()).toEqual(['CLOC001', 'SKU001', 'SKU002', 'SKU011']);
+        expect(result.data.totals.closet).toBe(1);
+        expect(result.data.luggage.type).toBe('carry-on');
+    });
+
+    test('wraps results for function and API invocations', async () => {
+        const [invalid, failed, api] = await runtime.handleReturnControl({
+            invocationId: 'inv-1',
+            invocationInputs: [
+                { functionInvocationInput: { actionGroup: ACTION_GROUP_NAME, function: 'search_clothing_catalog', parameters: [] } },
+                { functionInvocationInput: { actionGroup: ACTION_GROUP_NAME, function: 'generate_outfit_combinations', parameters: [
+                    { name: 'clothingItems', type: 'array', value: '[]' },
+                    { name: 'dailyRequirements', type: 'array', value: '[]' }
+                ] } },
+                { apiInvocationInput: { actionGroup: ACTION_GROUP_NAME, apiPath: '/search_clothing_catalog', httpMethod: 'POST', parameters: [
+                    { name: 'category', type: 'string', value: 'shoes' }
+                ] } }
+            ]
+        });
+
+        expect(invalid.functionResult).toMatchObject({ function: 'search_clothing_catalog', responseState: 'REPROMPT' });
+        expect(failed.functionResult.responseState).toBe('FAILURE');
+        expect(JSON.parse(failed.functionResult.responseBody.TEXT.body).error.message).toBe('dailyRequirements must list at least one day');
+        expect(api.apiResult).toMatchObject({ apiPath: '/search_clothing_catalog', httpStatusCode: 200 });
+        expect(JSON.parse(api.apiResult.responseBody['application/json'].body).items[0].sku).toBe('SKU011');
+    });
+});
+
+describe('Agent tool loop with the local agent simulator', () => {
+    const BedrockAgentService = require('../bedrockAgentService').default.constructor;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createService = (simulatorOptions) => {
+        const simulator = new LocalAgentSimulator(simulatorOptions);
+        const service = new BedrockAgentService(simulator, new AgentToolRuntime({ loadItems: async () => ITEMS }));
+        service.agentId = 'local-agent';
+        return { service, simulator };
+    };
+
+    test('runs requested tools and sends their results back until the agent answers', async () => {
+        const { service, simulator } = createService({
+            toolCalls: [
+                [{ tool: 'search_clothing_catalog', args: { category: 'shoes', budgetRange: { max: 100 } } }],
+                [{ tool: 'optimize_packing_list', args: { outfits: [{ day: 1, items: { footwear: 'SKU011' } }], tripDuration: 1 } }]
+            ],
+            respond: (inputText, toolResults) => `Pack ${toolResults[1].data.items[0].name} (${toolResults.length} tools for "${inputText}")`
+        });
+
+        const result = await service.processOutfitRequest('Weekend in Lisbon', 'session-1');
+
+        expect(result.data.response).toBe('Pack White Sneakers (2 tools for "Weekend in Lisbon")');
+        const requests = simulator.calls.map(call => call.request);
+        expect(requests).toHaveLength(3);
+        expect(requests[1]).toMatchObject({ inputText: '', sessionState: { invocationId: 'local-invocation-1' } });
+        expect(requests[1].sessionState.returnControlInvocationResults[0].functionResult.function).toBe('search_clothing_catalog');
+    });
+
+    test('lets the agent see validation errors and stops runaway tool loops', async () => {
+        const { service } = createService({
+            toolCalls: [[{ tool: 'get_weather_forecast', args: { location: 'Lisbon' } }]],
+            respond: (inputText, toolResults) => toolResults[0].data.error.code,
+            apiInvocations: true
+        });
+        expect((await service.generateOutfitRecommendations('Plan', 'session-2')).data.response).toBe('INVALID_TOOL_ARGUMENTS');
+
+        const { service: stuck } = createService({
+            toolCalls: Array.from({ length: 10 }, () => [{ tool: 'search_clothing_catalog', args: { category: 'tops' } }])
+        });
+        const result = await stuck.generateOutfitRecommendations('Plan', 'session-3');
+        expect(result.success).toBe(false);
+        expect(result.error.details).toBe('Agent did not finish after 5 tool call rounds');
+    });
+});
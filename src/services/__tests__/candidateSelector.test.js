@@ -0,0 +1,144 @@
+/**
+ * Tests for shortlisting the catalog before it goes into the outfit prompt
+ */
+
+import { CandidateSelector } from '../CandidateSelector';
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+
+const ITEMS = [
+    { sku: 'CLOC001', name: 'Closet Linen Shirt', category: 'topwear', price: 0, colors: 'white', weatherSuitability: 'hot', formality: 'casual', tags: [] },
+    { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', price: 25, colors: 'white', weatherSuitability: 'hot', formality: 'casual', tags: ['casual'] },
+    { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70, colors: 'cream', weatherSuitability: 'mild, cool', formality: 'formal', tags: ['elegant'] },
+    { sku: 'SKU008', name: 'Wool Turtleneck', category: 'topwear', price: 65, colors: 'charcoal', weatherSuitability: 'cold, cool', formality: 'smart-casual', tags: ['classic'] },
+    { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, colors: 'blue', weatherSuitability: 'mild, cool', formality: 'casual', tags: ['versatile'] },
+    { sku: 'SKU010', name: 'Tailored Trousers', category: 'bottomwear', price: 90, colors: 'black', weatherSuitability: 'mild, cool', formality: 'formal', tags: ['classic'] },
+    { sku: 'SKU016', name: 'Linen Shorts', category: 'bottomwear', price: 40, colors: 'sand', weatherSuitability: 'hot', formality: 'casual', tags: ['summer'] },
+    { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, colors: 'white', weatherSuitability: 'hot', formality: 'casual', tags: ['versatile'] },
+    { sku: 'SKU012', name: 'Leather Dress Shoes', category: 'footwear', price: 130, colors: 'black', weatherSuitability: 'hot', formality: 'formal', tags: ['classic'] },
+    { sku: 'SKU004', name: 'Waterproof Trench', category: 'outerwear', price: 150, colors: 'beige', weatherSuitability: 'rain, cold', formality: 'smart-casual', tags: ['waterproof'] }
+];
+
+const forecast = (min, max, main) => ({ temperature: { min, max, average: Math.round((min + max) / 2) }, conditions: { main } });
+
+const DETAILS = {
+    occasion: 'conference',
+    duration: 2,
+    dressCode: 'casual',
+    dayPlans: [
+        { day: 1, activity: 'Keynote', dressCode: 'business' },
+        { day: 2, activity: 'Old town walk', dressCode: 'casual' }
+    ]
+};
+const WEATHER = { dailyForecasts: [forecast(8, 14, 'rainy'), forecast(9, 15, 'cloudy')] };
+const TRIP = { items: ITEMS, eventDetails: DETAILS, weather: WEATHER, keepSkus: ['CLOC001'] };
+
+describe('CandidateSelector', () => {
+    let selector;
+
+    beforeEach(() => {
+        selector = new CandidateSelector();
+    });
+
+    test('shortlists items that suit a day\'s dress code and forecast, always keeping pinned SKUs', () => {
+        const { skus, rationale } = selector.selectCandidates(TRIP);
+
+        expect(Array.from(skus).sort()).toEqual(['CLOC001', 'SKU002', 'SKU004', 'SKU007', 'SKU008', 'SKU010', 'SKU011', 'SKU012']);
+        expect(rationale.days).toEqual([
+            { day: 1, dressCode: 'business', conditions: ['cool', 'rainy'] },
+            { day: 2, dressCode: 'casual', conditions: ['mild'] }
+        ]);
+        // Items suiting both days rank first
+        expect(rationale.slots.topwear.shortlisted).toEqual(['SKU008', 'SKU007']);
+        expect(rationale.slots.topwear.kept).toEqual(['CLOC001']);
+        expect(rationale.slots.bottomwear.reason).toBe('2 of 3 catalog bottomwear items suit business/casual dress code and cool/rainy/mild weather; offering 2');
+        expect(rationale.keptSkus).toEqual(['CLOC001']);
+        expect(rationale.overBudget).toBe(false);
+        // Only the pinned SKUs are kept unconditionally, whatever their prefix
+        expect(selector.selectCandidates({ ...TRIP, keepSkus: [] }).skus.has('CLOC001')).toBe(false);
+    });
+
+    test('relaxes the filters rather than leaving a required slot empty', () => {
+        const { rationale } = selector.selectCandidates(TRIP);
+
+        // All the catalog footwear is for hot weather, so the forecast is ignored for shoes
+        expect(rationale.slots.footwear).toMatchObject({ matched: 2, relaxed: 'weather', shortlisted: ['SKU011', 'SKU012'] });
+        expect(rationale.slots.footwear.reason).toContain('weather was ignored');
+        expect(rationale.slots.accessories).toMatchObject({ matched: 0, relaxed: null, shortlisted: [] });
+    });
+
+    test('trims the lowest-ranked catalog items to fit the token budget', () => {
+        const full = selector.selectCandidates(TRIP);
+        const budget = full.rationale.estimatedTokens - 1;
+        const { skus, rationale } = selector.selectCandidates({ ...TRIP, tokenBudget: budget });
+
+        expect(rationale.trimmedForBudget).toEqual(['SKU007']);
+        expect(skus.has('SKU007')).toBe(false);
+        expect(rationale.estimatedTokens).toBeLessThanOrEqual(budget);
+        expect(rationale.estimatedTokens).toBeLessThan(rationale.fullCatalogTokens);
+
+        // Pinned SKUs and one item per required slot survive any budget
+        const tight = selector.selectCandidates({ ...TRIP, keepSkus: ['CLOC001', 'SKU016'], tokenBudget: 1 });
+        expect(Array.from(tight.skus).sort()).toEqual(['CLOC001', 'SKU011', 'SKU016']);
+        expect(tight.rationale.overBudget).toBe(true);
+    });
+
+    test('offers dresses from the catalog as tops', () => {
+        const csv = `${catalogNormalizer.toCSV(ITEMS)}\nSKU030,Wool Shift Dress,Dresses,classic,"mild, cool",110,navy,base,formal,Lined shift dress`;
+        const { data } = catalogNormalizer.normalizeCSV(csv);
+        const { skus, rationale } = selector.selectCandidates({ ...TRIP, items: data.items });
+
+        expect(data.errors).toEqual([]);
+        expect(skus.has('SKU030')).toBe(true);
+        expect(rationale.slots.topwear.shortlisted).toContain('SKU030');
+    });
+
+    test('estimates tokens at about four characters each', () => {
+        expect(selector.estimateTokens('a'.repeat(10))).toBe(3);
+        expect(selector.estimateCatalogTokens(ITEMS)).toBe(Math.ceil(catalogNormalizer.buildDataset(ITEMS).csvContent.length / 4));
+    });
+});
+
+describe('Catalog shortlist in outfit generation', () => {
+    const sessionId = 'shortlist-session';
+    let provider;
+    let originalProvider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        originalProvider = bedrockService.provider;
+        provider = new MockLLMProvider();
+        bedrockService.setProvider(provider);
+        jest.spyOn(clothingDatasetService, 'getDataset')
+            .mockResolvedValue(catalogNormalizer.buildDataset(ITEMS.filter(item => !item.sku.startsWith('CLOC'))));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Conference in Bruges' });
+        contextAccumulator.addConfirmedDetails(sessionId, DETAILS);
+        contextAccumulator.addWeatherContext(sessionId, { weatherData: WEATHER, location: 'Bruges' });
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        jest.restoreAllMocks();
+    });
+
+    test('prompts with the shortlist only and records why in the context file', async () => {
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, ITEMS.filter(item => item.sku.startsWith('CLOC')));
+        const { prompt } = provider.calls[0].request;
+
+        expect(result.success).toBe(true);
+        expect(prompt).toMatch(/^CLOC001,/m);
+        expect(prompt).toMatch(/^SKU008,/m);
+        ['SKU001', 'SKU016'].forEach(sku => expect(prompt).not.toMatch(new RegExp(`^${sku},`, 'm')));
+
+        const { candidateSelection } = contextAccumulator.getContextFile(sessionId);
+        expect(candidateSelection).toMatchObject({ totalItems: 10, shortlistedItems: 8, keptSkus: ['CLOC001'], tokenBudget: outfitGenerationService.catalogTokenBudget });
+        expect(candidateSelection.slots.topwear.shortlisted).toEqual(['SKU008', 'SKU007']);
+    });
+});
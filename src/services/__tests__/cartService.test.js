@@ -0,0 +1,170 @@
+/**
+ * Tests for the trip cart and the retailer adapters behind it
+ */
+
+import { CartService } from '../cartService';
+import { MockRetailerAdapter } from '../mockRetailerAdapter';
+import { StorefrontRetailerAdapter } from '../storefrontRetailerAdapter';
+import { createRetailerAdapter } from '../retailerAdapterFactory';
+
+const ITEMS = {
+    closetTee: { sku: 'CLOC001', name: 'Closet Linen Shirt', category: 'topwear', price: 40 },
+    blouse: { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70 },
+    jeans: {
+        sku: 'SKU002',
+        name: 'Blue Denim Jeans',
+        category: 'bottomwear',
+        price: 60,
+        productUrl: 'https://store.example.com/products/blue-denim-jeans',
+        sizes: ['XS', 'S', 'M', 'L', 'XL'],
+        variants: [{ id: 'SKU002-BLU', label: 'blue' }, { id: 'SKU002-BLA', label: 'black' }],
+        availability: 'in-stock'
+    },
+    sneakers: {
+        sku: 'SKU011',
+        name: 'White Sneakers',
+        category: 'footwear',
+        price: 85,
+        productUrl: 'https://store.example.com/products/white-sneakers',
+        sizes: ['7', '8', '9'],
+        variants: [{ id: 'SKU011-WHI', label: 'white' }],
+        availability: 'low-stock'
+    },
+    scarf: {
+        sku: 'SKU018',
+        name: 'Wool Scarf',
+        category: 'accessories',
+        price: 35,
+        sizes: ['One Size'],
+        variants: [{ id: 'SKU018-BUR', label: 'burgundy' }]
+    }
+};
+
+// Outfits saved before the catalog had shop details only carry the styling fields
+const { productUrl, sizes, variants, availability, ...bareBlouse } = {
+    ...ITEMS.blouse,
+    productUrl: 'https://store.example.com/products/silk-blouse',
+    sizes: ['S', 'M'],
+    variants: [{ id: 'SKU007-CRE', label: 'cream' }],
+    availability: 'in-stock'
+};
+const CATALOG = [...Object.values(ITEMS), { ...bareBlouse, productUrl, sizes, variants, availability }];
+
+const OUTFITS = {
+    1: { day: 1, items: { topwear: ITEMS.closetTee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, accessories: [ITEMS.scarf] } },
+    2: { day: 2, items: { topwear: bareBlouse, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers } }
+};
+
+describe('CartService', () => {
+    let store;
+    let cartService;
+
+    beforeEach(() => {
+        store = new MockRetailerAdapter();
+        cartService = new CartService(store);
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('collects every piece the user does not own, once, with the days it is worn', () => {
+        const cart = cartService.buildCart(OUTFITS, { closetSkus: new Set(['SKU018']), catalog: CATALOG });
+
+        expect(cart.lines.map(line => [line.sku, line.days])).toEqual([
+            ['SKU002', [1, 2]],
+            ['SKU011', [1, 2]],
+            ['SKU007', [2]]
+        ]);
+        // Shop details missing from older outfits come from the catalog
+        expect(cart.lines[2]).toMatchObject({ productUrl: 'https://store.example.com/products/silk-blouse', sizes: ['S', 'M'] });
+        expect(cart.totals).toEqual({ lines: 3, quantity: 3, subtotal: 215, unavailable: 0, needsSize: 3 });
+    });
+
+    test('applies size, variant, quantity and removal selections', () => {
+        let selections = cartService.updateSelection({}, 'SKU002', { size: 'M', variantId: 'SKU002-BLA' });
+        selections = cartService.updateSelection(selections, 'SKU002', { quantity: 2 });
+        selections = cartService.updateSelection(selections, 'SKU011', { size: '12', removed: true });
+
+        const cart = cartService.buildCart(OUTFITS, { selections, catalog: CATALOG });
+        const bySku = sku => cart.lines.find(line => line.sku === sku);
+
+        expect(bySku('SKU002')).toMatchObject({ size: 'M', variant: { id: 'SKU002-BLA', label: 'black' }, quantity: 2, included: true });
+        // Unknown sizes are dropped; one-size items need no choice
+        expect(bySku('SKU011')).toMatchObject({ size: null, variant: { id: 'SKU011-WHI' }, included: false });
+        expect(bySku('SKU018')).toMatchObject({ size: 'One Size' });
+        expect(cart.totals).toMatchObject({ lines: 3, quantity: 4, subtotal: 225, needsSize: 1 });
+    });
+
+    test('builds a checkout deep-link once sizes are picked, leaving out-of-stock lines behind', async () => {
+        let selections = { SKU002: { size: 'M' }, SKU011: { size: '8' } };
+        let cart = cartService.buildCart(OUTFITS, { selections, catalog: CATALOG });
+
+        expect(cartService.exportCheckoutLink(cart)).toEqual({
+            success: false,
+            error: { code: 'SIZE_REQUIRED', message: 'Pick a size for Silk Blouse', skus: ['SKU007'] }
+        });
+
+        selections = cartService.updateSelection(selections, 'SKU007', { size: 'S' });
+        store.setStock('SKU011', 'out-of-stock');
+        cart = cartService.buildCart(OUTFITS, { selections, catalog: CATALOG });
+        const stock = await cartService.refreshAvailability(cart);
+
+        expect(stock).toEqual({
+            success: true,
+            data: { SKU002: 'in-stock', SKU011: 'out-of-stock', SKU007: 'in-stock', SKU018: 'in-stock' }
+        });
+
+        cart = cartService.buildCart(OUTFITS, { selections, catalog: CATALOG, availability: stock.data });
+        const result = cartService.exportCheckoutLink(cart);
+
+        expect(cart.totals).toMatchObject({ unavailable: 1, subtotal: 165 });
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({
+            retailer: 'Demo store',
+            lines: 3,
+            skipped: [{ sku: 'SKU011', name: 'White Sneakers', reason: 'out-of-stock' }]
+        });
+        expect(decodeURIComponent(result.data.url)).toBe(
+            'https://store.example.com/checkout?items=SKU002-BLU:1:M,SKU018-BUR:1,SKU007-CRE:1:S'
+        );
+    });
+
+    test('exports a shareable list with product links for the chosen options', () => {
+        const selections = { SKU002: { size: 'M', variantId: 'SKU002-BLA', quantity: 2 }, SKU007: { removed: true } };
+        const cart = cartService.buildCart(OUTFITS, { selections, catalog: CATALOG });
+
+        const result = cartService.exportShareableList(cart, { title: 'Lisbon — shopping list' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.split('\n')).toEqual([
+            'Lisbon — shopping list',
+            '',
+            '- Blue Denim Jeans (black, size M) × 2 — $120',
+            '  https://store.example.com/products/blue-denim-jeans?variant=SKU002-BLA&size=M',
+            '- White Sneakers (white) × 1 — $85',
+            '  https://store.example.com/products/white-sneakers?variant=SKU011-WHI',
+            '- Wool Scarf (burgundy) × 1 — $35',
+            '',
+            'Total: $240 for 4 item(s)'
+        ]);
+        expect(cartService.exportShareableList({ lines: [] })).toMatchObject({ success: false, error: { code: 'EMPTY_CART' } });
+    });
+
+    test('plugs in a storefront that takes cart permalinks', () => {
+        expect(createRetailerAdapter()).toBeInstanceOf(MockRetailerAdapter);
+        expect(createRetailerAdapter({ retailer: 'storefront', storeUrl: 'https://shop.test/' })).toBeInstanceOf(StorefrontRetailerAdapter);
+
+        const storefront = new CartService(new StorefrontRetailerAdapter({ storeUrl: 'https://shop.test/', label: 'Test Shop' }));
+        const cart = storefront.buildCart({ 1: OUTFITS[1] }, { selections: { SKU002: { size: 'M', quantity: 2 }, SKU011: { size: '8' } } });
+
+        expect(storefront.exportCheckoutLink(cart).data).toMatchObject({
+            retailer: 'Test Shop',
+            url: 'https://shop.test/cart/SKU002-BLU-M:2,SKU011-WHI-8:1,SKU018-BUR:1'
+        });
+
+        const unconfigured = new CartService(new StorefrontRetailerAdapter({ storeUrl: '' }));
+        expect(unconfigured.exportCheckoutLink(cart).error.code).toBe('NOT_CONFIGURED');
+    });
+});
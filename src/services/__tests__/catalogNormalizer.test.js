@@ -0,0 +1,108 @@
+/**
+ * Tests for the unified catalog schema and CSV normalizer
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CatalogNormalizer } from '../catalogNormalizer';
+import csvLoader from '../CSVLoader';
+
+const readPublicCSV = (fileName) => fs.readFileSync(path.join(__dirname, '../../../public', fileName), 'utf8');
+
+describe('CatalogNormalizer', () => {
+    let catalogNormalizer;
+
+    beforeEach(() => {
+        catalogNormalizer = new CatalogNormalizer();
+    });
+
+    test.each([
+        ['clothing_dataset.csv', 'catalog'],
+        ['closet_clothing_dataset.csv', 'closet'],
+        ['demo_dataset.csv', 'demo']
+    ])('loads %s without errors', (fileName, format) => {
+        const result = catalogNormalizer.normalizeCSV(readPublicCSV(fileName));
+
+        expect(result.success).toBe(true);
+        expect(result.data.format).toBe(format);
+        expect(result.data.errors).toEqual([]);
+        expect(result.data.items.length).toBeGreaterThan(0);
+    });
+
+    test('maps every format onto the same item shape', () => {
+        const [catalogItem] = catalogNormalizer.normalizeCSV(readPublicCSV('clothing_dataset.csv')).data.items;
+        const closetItem = catalogNormalizer.normalizeCSV(readPublicCSV('closet_clothing_dataset.csv')).data.items[0];
+        const demoItem = catalogNormalizer.normalizeCSV(readPublicCSV('demo_dataset.csv')).data.items[0];
+
+        expect(catalogItem).toMatchObject({
+            sku: 'SKU001',
+            category: 'topwear',
+            tags: ['casual', 'breathable', 'summer'],
+            weatherSuitability: 'warm',
+            price: 25
+        });
+        expect(closetItem.notes).toContain('Cozy hoodie');
+        expect(demoItem).toMatchObject({
+            sku: '005',
+            tags: ['tshirt', 'casual', 'summer'],
+            image: '/closet/005.png'
+        });
+        expect(Object.keys(demoItem)).toEqual(expect.arrayContaining(Object.keys(catalogItem)));
+    });
+
+    test('reads shop details from the catalog without sending them to the model', () => {
+        const { items } = catalogNormalizer.normalizeCSV(readPublicCSV('clothing_dataset.csv')).data;
+        const sneakers = items.find(item => item.sku === 'SKU011');
+
+        expect(sneakers).toMatchObject({
+            productUrl: 'https://store.example.com/products/white-sneakers',
+            sizes: ['6', '7', '8', '9', '10', '11'],
+            variants: [{ id: 'SKU011-WHI', label: 'white' }, { id: 'SKU011-BLA', label: 'black' }],
+            availability: 'in-stock'
+        });
+        expect(catalogNormalizer.validateItem({ sku: 'X1', name: 'Tee', category: 'tops', variants: 'navy', availability: 'Sold out' }).data)
+            .toMatchObject({ sizes: [], variants: [{ id: 'navy', label: 'navy' }], availability: 'out-of-stock' });
+        expect(catalogNormalizer.buildDataset(items).csvContent).not.toContain('store.example.com');
+    });
+
+    test('reports row-level errors with line, field and reason', () => {
+        const csv = [
+            'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+            'SKU001,Tee,Topwear,basic,warm,25,white,base,casual,ok',
+            'SKU002,,Hats,basic,warm,abc,white,base,casual,bad',
+            'SKU003,Shorts,Bottomwear',
+            'SKU001,Tee again,Topwear,basic,warm,25,white,base,casual,dup'
+        ].join('\n');
+
+        const result = catalogNormalizer.normalizeCSV(csv);
+
+        expect(result.data.items.map(item => item.sku)).toEqual(['SKU001']);
+        expect(result.data.errors).toEqual([
+            { line: 3, field: 'name', reason: 'Name is required' },
+            { line: 3, field: 'category', reason: expect.stringContaining('Category must be one of') },
+            { line: 3, field: 'price', reason: 'Price must be a number' },
+            { line: 4, field: 'row', reason: 'Expected 10 values but found 3' },
+            { line: 5, field: 'sku', reason: 'Duplicate SKU SKU001 (first seen on line 2)' }
+        ]);
+    });
+
+    test('rejects files missing required columns', () => {
+        const result = catalogNormalizer.normalizeCSV('name,category\nTee,Topwear');
+
+        expect(result.success).toBe(false);
+        expect(result.error.errors).toEqual([{ line: 1, field: 'sku', reason: 'Missing column' }]);
+    });
+
+    test('round-trips through the canonical CSV', () => {
+        const { items } = catalogNormalizer.normalizeCSV(readPublicCSV('closet_clothing_dataset.csv')).data;
+        const dataset = catalogNormalizer.buildDataset(items);
+
+        expect(dataset.csvContent.split('\n')[0]).toBe('sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes');
+        expect(catalogNormalizer.normalizeCSV(dataset.csvContent).data.items).toEqual(items);
+        expect(dataset.skuMap.get('SKU021').colors).toBe('black, white');
+    });
+
+    test('CSVLoader parses through the same tokenizer', () => {
+        expect(csvLoader.parseCSVLine('a,"b, ""c""",d')).toEqual(['a', 'b, "c"', 'd']);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the local hybrid catalog search behind knowledgeBaseService
+ */
+
+import { CatalogSearchIndex } from '../CatalogSearchIndex';
+
+const ITEMS = [
+    { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', tags: ['casual', 'breathable', 'summer'], weatherSuitability: 'warm', price: 25, colors: 'white', formality: 'casual', notes: 'Essential lightweight cotton tee for everyday wear.' },
+    { sku: 'SKU003', name: 'Navy Wool Blazer', category: 'outerwear', tags: ['business', 'tailored'], weatherSuitability: 'cool, mild', price: 180, colors: 'navy', formality: 'formal', notes: 'Structured blazer for meetings and dinners.' },
+    { sku: 'SKU005', name: 'Little Black Dress', category: 'dresses', tags: ['evening', 'elegant'], weatherSuitability: 'mild, warm', price: 120, colors: 'black', formality: 'formal', notes: 'Cocktail dress that pairs with heels.' },
+    { sku: 'SKU009', name: 'Waterproof Rain Jacket', category: 'outerwear', tags: ['waterproof', 'packable'], weatherSuitability: 'rain, cool', price: 95, colors: 'olive', formality: 'casual', notes: 'Lightweight shell for wet days.' },
+    { sku: 'SKU012', name: 'Chelsea Boots', category: 'footwear', tags: ['versatile', 'leather'], weatherSuitability: 'cold, cool, rain', price: 140, colors: 'brown', formality: 'smart-casual', notes: 'Leather boots that work with jeans or dresses.' },
+    { sku: 'CLOC002', name: 'Cobalt Silk Blouse', category: 'topwear', tags: ['elegant', 'work'], weatherSuitability: 'mild', price: 0, colors: 'blue', formality: 'smart-casual', notes: 'Silk blouse for the office.' }
+];
+
+describe('CatalogSearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new CatalogSearchIndex(ITEMS);
+    });
+
+    test('ranks text matches with BM25, favouring names over notes', () => {
+        const results = index.search('blazer');
+
+        expect(results.map(result => result.item.sku)).toEqual(['SKU003']);
+        expect(results[0].score).toBe(1);
+        // "dress" is in one name and in the boots' notes
+        expect(index.search('dresses').map(result => result.item.sku)).toEqual(['SKU005', 'SKU012']);
+        expect(index.search('find items in the category')).toEqual([]);
+    });
+
+    test('filters by category group, price, formality and weather', () => {
+        expect(index.filterItems({ categories: 'outerwear', maxPrice: 100 }).map(item => item.sku)).toEqual(['SKU009']);
+        expect(index.filterItems({ dressCode: 'black-tie' }).map(item => item.sku)).toEqual(['SKU003', 'SKU005']);
+        expect(index.filterItems({ weather: 'rainy', minPrice: 100 }).map(item => item.sku)).toEqual(['SKU012']);
+        expect(index.filterItems({ categories: 'shoes' }).map(item => item.sku)).toEqual(['SKU012']);
+        expect(index.filterItems({ source: 'closet' }).map(item => item.sku)).toEqual(['CLOC002']);
+    });
+
+    test('matches colors perceptually rather than by name', () => {
+        expect(index.filterItems({ colors: 'royal blue' }).map(item => item.sku)).toEqual(['CLOC002']);
+        expect(index.filterItems({ colors: ['ivory'] }).map(item => item.sku)).toEqual(['SKU001']);
+        expect(index.filterItems({ colors: 'pink' })).toEqual([]);
+    });
+
+    test('with filters, text only ranks the qualifying items and the closet breaks ties', () => {
+        const results = index.search('silk blouse for work', { dressCode: 'business' }, { limit: 2 });
+
+        // The boots only match "work" in their notes
+        expect(results.map(result => result.item.sku)).toEqual(['CLOC002', 'SKU012']);
+        expect(results[1].score).toBeLessThan(0.5);
+        expect(index.search('', { dressCode: 'business' }).map(result => result.item.sku)).toEqual(['CLOC002', 'SKU003', 'SKU005', 'SKU012']);
+        expect(index.search('', {}, { limit: 5 })).toEqual([]);
+    });
+});
+
+describe('knowledgeBaseService with the local index', () => {
+    const KnowledgeBaseService = require('../knowledgeBaseService').default.constructor;
+
+    const createService = () => new KnowledgeBaseService({ retrieve: jest.fn() }, {
+        backend: 'local',
+        loadItems: async () => ITEMS.filter(item => !item.sku.startsWith('CLOC'))
+    });
+
+    test('answers the same API offline with retrieval-shaped results', async () => {
+        const service = createService();
+        service.setClosetItems(ITEMS.filter(item => item.sku.startsWith('CLOC')));
+
+        const result = await service.searchByCategory('tops', 'business', 'mild');
+
+        expect(service.provider.retrieve).not.toHaveBeenCalled();
+        expect(result.success).toBe(true);
+        expect(result.data.source).toBe('local');
+        expect(result.data.results).toEqual([{
+            content: { text: 'Cobalt Silk Blouse (CLOC002): topwear, blue, smart-casual, mild weather, from your closet. Silk blouse for the office.' },
+            score: 1,
+            location: { type: 'LOCAL', sku: 'CLOC002' },
+            metadata: { sku: 'CLOC002', name: 'Cobalt Silk Blouse', category: 'topwear', price: 0, source: 'closet' }
+        }]);
+        expect(service.formatResults(result.data.results)).toContain('Cobalt Silk Blouse');
+    });
+
+    test('turns color, price and preference searches into structured filters', async () => {
+        const service = createService();
+        const skus = result => result.data.results.map(entry => entry.metadata.sku);
+
+        expect(skus(await service.searchByColor('navy', 'outerwear'))).toEqual(['SKU003']);
+        expect(skus(await service.searchByBrandOrPrice(null, 50, 130))).toEqual(['SKU005', 'SKU009']);
+        expect(skus(await service.getStyleRecommendations({ occasion: 'formal', weather: 'warm', budget: 150 }))).toEqual(['SKU005']);
+        // Occasions that are not dress codes are not used as filters
+        expect(skus(await service.searchByCategory('outerwear', 'rainy hike'))).toEqual(['SKU003', 'SKU009']);
+    });
+
+    test('reports index load failures and retries on the next query', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        const loadItems = jest.fn()
+            .mockRejectedValueOnce(new Error('Failed to load /clothing_dataset.csv'))
+            .mockResolvedValue(ITEMS);
+        const service = new KnowledgeBaseService({ retrieve: jest.fn() }, { backend: 'local', loadItems });
+
+        expect((await service.queryStyles('blazer')).error.code).toBe('LOCAL_INDEX_ERROR');
+        expect((await service.queryStyles('blazer')).data.results).toHaveLength(1);
+        console.error.mockRestore();
+    });
+
+    test('a failed build does not discard a newer index', async () => {
+        let failLoad;
+        const loadItems = jest.fn()
+            .mockReturnValueOnce(new Promise((resolve, reject) => { failLoad = reject; }))
+            .mockResolvedValue(ITEMS);
+        const service = new KnowledgeBaseService({ retrieve: jest.fn() }, { backend: 'local', loadItems });
+
+        const failed = service.getLocalIndex();
+        service.setClosetItems([]);
+        await service.getLocalIndex();
+        const current = service.localIndexPromise;
+        failLoad(new Error('Failed to load /clothing_dataset.csv'));
+
+        await expect(failed).rejects.toThrow('Failed to load');
+        expect(service.localIndexPromise).toBe(current);
+        expect(loadItems).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the clarification loop between extraction and confirmation
+ */
+
+import { ClarificationService } from '../clarificationService';
+import contextAccumulator from '../contextAccumulator';
+
+const EXTRACTED = {
+    occasion: 'wedding',
+    location: null,
+    startDate: null,
+    duration: 3,
+    dressCode: 'formal',
+    budget: null,
+    specialRequirements: [],
+    needsClarification: ['location', 'start date', 'dress code specifics', 'venue type'],
+    confidence: 0.7,
+    dailyPlans: [{ day: 1, activity: 'Rehearsal dinner', dressCode: 'smart-casual' }]
+};
+
+const ALL_DAYS = [
+    { day: 1, activity: 'Rehearsal dinner', dressCode: 'smart-casual' },
+    { day: 2, activity: 'Ceremony', dressCode: 'formal' },
+    { day: 3, activity: 'Brunch', dressCode: 'casual' }
+];
+
+describe('ClarificationService', () => {
+    const sessionId = 'clarify-session';
+    let service;
+
+    beforeEach(() => {
+        localStorage.clear();
+        service = new ClarificationService();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('asks about open clarifications and missing details, once each', () => {
+        const { data } = service.startClarification(sessionId, EXTRACTED, 'Wedding weekend');
+
+        expect(data.readyForConfirmation).toBe(false);
+        expect(data.completeness).toBeLessThan(service.threshold);
+        expect(data.questions.map(question => question.id)).toEqual(['location', 'startDate', 'dailyPlans', 'note-3']);
+        expect(data.questions[3]).toMatchObject({ field: 'notes', prompt: 'Could you tell me more about the venue type?' });
+        expect(contextAccumulator.getContextFile(sessionId).userInput.clarifications).toEqual(EXTRACTED.needsClarification);
+    });
+
+    test('merges answers through addExtractedDetails across several turns', () => {
+        const addExtractedDetails = jest.spyOn(contextAccumulator, 'addExtractedDetails');
+        service.startClarification(sessionId, EXTRACTED, 'Wedding weekend');
+
+        const first = service.answerClarification(sessionId, { location: 'Lake Como', startDate: '2026-09-04' });
+        expect(first.data).toMatchObject({ readyForConfirmation: false, turn: 1 });
+        expect(first.data.details).toMatchObject({ location: 'Lake Como', startDate: '2026-09-04' });
+        expect(first.data.details.needsClarification).toEqual(['dress code specifics', 'venue type']);
+        expect(first.data.questions.map(question => question.id)).toEqual(['dailyPlans', 'note-1']);
+
+        const second = service.answerClarification(sessionId, { dailyPlans: ALL_DAYS, 'note-1': 'Garden villa' });
+        expect(second.data).toMatchObject({ readyForConfirmation: true, questions: [], turn: 2 });
+        expect(second.data.details.dailyPlans).toEqual(ALL_DAYS);
+        expect(second.data.details.specialRequirements).toEqual(['venue type: Garden villa']);
+        expect(second.data.details.needsClarification).toEqual([]);
+        expect(addExtractedDetails).toHaveBeenCalledTimes(3);
+        expect(contextAccumulator.getContextFile(sessionId).userInput.clarificationAnswers).toHaveLength(2);
+    });
+
+    test('goes straight to confirmation when nothing is missing', () => {
+        const { data } = service.startClarification(sessionId, {
+            ...EXTRACTED,
+            location: 'Lake Como',
+            startDate: '2026-09-04',
+            needsClarification: [],
+            dailyPlans: ALL_DAYS
+        });
+
+        expect(data.readyForConfirmation).toBe(true);
+        expect(data.questions).toEqual([]);
+    });
+
+    test('keeps asking when the extraction is unsure even if no field is missing', () => {
+        const unsure = {
+            ...EXTRACTED,
+            duration: 1,
+            location: 'Lake Como',
+            startDate: '2026-09-04',
+            needsClarification: [],
+            confidence: 0.4
+        };
+        const { data } = service.startClarification(sessionId, unsure);
+        expect(data.questions.map(question => question.id)).toEqual(['notes']);
+
+        const answered = service.answerClarification(sessionId, { notes: 'Black-tie dinner at the villa' });
+        expect(answered.data.details.confidence).toBeCloseTo(0.7);
+        expect(answered.data.readyForConfirmation).toBe(true);
+    });
+
+    test('rejects invalid answers without changing the details', () => {
+        service.startClarification(sessionId, EXTRACTED);
+
+        const result = service.answerClarification(sessionId, { startDate: 'next Friday', location: 'Lake Como' });
+
+        expect(result.success).toBe(false);
+        expect(result.error.code).toBe('INVALID_ANSWER');
+        expect(result.error.fields).toEqual([{ field: 'startDate', reason: 'Enter the start date as YYYY-MM-DD.' }]);
+        expect(contextAccumulator.getContextFile(sessionId).userInput.extractedDetails.location).toBeNull();
+    });
+
+    test('restarts from the last known details when the context file has expired', () => {
+        expect(service.answerClarification(sessionId, { location: 'Rome' }).error.code).toBe('NO_CONTEXT');
+
+        const result = service.answerClarification(sessionId, { location: 'Rome' }, { details: EXTRACTED });
+        expect(result.data.details.location).toBe('Rome');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the offline climate normals used beyond the forecast window
+ */
+
+import { ClimateNormalsService } from '../climateNormalsService';
+import { WeatherContextService } from '../weatherContextService';
+
+describe('ClimateNormalsService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new ClimateNormalsService();
+    });
+
+    test('finds the nearest bundled city by coordinates, then by name or alias', () => {
+        expect(service.findCity({ name: 'Bondi', coordinates: { lat: -33.89, lon: 151.27 } }).city.name).toBe('Sydney');
+        expect(service.findCity({ name: 'Mid-Atlantic', coordinates: { lat: 40, lon: -40 } })).toBeNull();
+        expect(service.findCityByName('Sydney, Australia').name).toBe('Sydney');
+        expect(service.findCityByName('Ubud').name).toBe('Denpasar');
+        expect(service.findCityByName('Weekend in São Paulo')).toBeNull();
+        expect(service.findCityByName('La Paz')).toBeNull();
+    });
+
+    test('flips seasons for the southern hemisphere', () => {
+        expect(service.getSeason('2026-07-15', -33.87)).toBe('winter');
+        expect(service.getSeason('2026-07-15', 51.51)).toBe('summer');
+        expect(service.getSeason('2026-01-15', -33.87)).toBe('summer');
+        expect(service.getDaylightHours('2026-06-21', -33.87)).toBeLessThan(service.getDaylightHours('2026-12-21', -33.87));
+    });
+
+    test('interpolates daily normals between mid-month values', () => {
+        const mid = service.getDailyNormals('London', '2026-07-15');
+        expect(mid).toMatchObject({ min: 14, max: 24, humidity: 68, source: 'climate-normals' });
+        expect(mid.precipitationProbability).toBe(Math.round((8 / 31) * 100));
+
+        const turn = service.getDailyNormals('London', '2026-12-31');
+        expect(turn.max).toBe(8);
+        expect(turn.min).toBeGreaterThanOrEqual(2);
+        expect(turn.min).toBeLessThanOrEqual(3);
+    });
+
+    test('estimates from latitude when no bundled city is close', () => {
+        const south = service.getDailyNormals({ name: 'Patagonia', coordinates: { lat: -45, lon: -70 } }, '2026-07-15');
+        const north = service.getDailyNormals({ name: 'Montana', coordinates: { lat: 45, lon: -110 } }, '2026-07-15');
+
+        expect(south.source).toBe('latitude-estimate');
+        expect(south.max).toBeLessThan(north.max);
+    });
+
+    test('builds raw weather that processWeatherData understands', () => {
+        const weatherData = service.buildWeatherData({ name: 'Mumbai' }, '2026-07-15');
+        const processed = new WeatherContextService().processWeatherData(weatherData, '2026-07-15');
+
+        expect(weatherData.weather.conditions.main).toBe('Rain');
+        expect(processed.conditions.main).toBe('rainy');
+        expect(processed.conditions.precipitation.probability).toBe(Math.round((25 / 31) * 100));
+        expect(processed.recommendations.waterproof).toBe(true);
+    });
+});
+
+describe('WeatherContextService seasonal fallback', () => {
+    test('gives a Sydney trip in July a winter forecast for every day', () => {
+        const fallback = new WeatherContextService().generateSeasonalFallback({
+            location: 'Sydney',
+            startDate: '2026-07-01',
+            duration: 5
+        });
+        const { dailyForecasts, summary, location } = fallback.weatherContext;
+
+        expect(location.coordinates).toEqual({ lat: -33.87, lon: 151.21 });
+        expect(dailyForecasts.map(day => day.date)).toEqual(['2026-07-01', '2026-07-02', '2026-07-03', '2026-07-04', '2026-07-05']);
+        expect(summary.temperatureRange.max).toBeLessThan(20);
+        expect(summary.primaryConcerns).toContain('cold');
+        expect(dailyForecasts.every(day => day.recommendations.layering !== 'none')).toBe(true);
+        expect(fallback.weatherDataSource).toBe('Climate Normals');
+    });
+});
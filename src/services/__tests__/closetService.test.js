@@ -0,0 +1,115 @@
+/**
+ * Tests for closet item management and its hand-off to outfit generation
+ */
+
+import { ClosetService } from '../closetService';
+import outfitGenerationService from '../OutfitGenerationService';
+
+const CLOSET_CSV = [
+    'sku,name,category,tags,weather_suitability,price,colors,layering,formality,description',
+    'SKU017,Retail Gen AI Hackathon Hoodie,Outerwear,"casual, warm, branded",cold,60,charcoal,outer,casual,"Cozy hoodie, ideal for cooler weather."',
+    'SKU021,Adidas Samba OG Shoes,Footwear,"sporty, classic",mild,120,"black, white",footwear,casual,Timeless sneakers',
+    ',Silk Scarf,Accessories,,all,,"red",accessory,formal,',
+    'SKU099,Sequin Cape,Capes,,sparkly,-5,gold,outer,gala,',
+    'SKU100,Broken Row,Topwear'
+].join('\n');
+
+describe('ClosetService', () => {
+    let closetService;
+
+    beforeEach(() => {
+        closetService = new ClosetService();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('adds, edits and deletes garments with generated closet SKUs', () => {
+        const added = closetService.addItem([{ sku: 'CLOC004', name: 'Tote', category: 'accessories' }], {
+            name: 'Navy Blazer',
+            category: 'Outerwear',
+            colors: 'navy',
+            formality: 'formal',
+            layering: 'outer',
+            weatherSuitability: ['cool', 'cold'],
+            tags: 'tailored, classic'
+        });
+
+        expect(added.success).toBe(true);
+        expect(added.data.item).toMatchObject({
+            sku: 'CLOC005',
+            category: 'outerwear',
+            weatherSuitability: 'cool, cold',
+            tags: ['tailored', 'classic'],
+            price: 0
+        });
+
+        const edited = closetService.updateItem(added.data.items, 'CLOC005', { colors: 'black' });
+        expect(edited.data.item.colors).toBe('black');
+        expect(edited.data.item.name).toBe('Navy Blazer');
+
+        const removed = closetService.removeItem(edited.data.items, 'CLOC005');
+        expect(removed.data.items.map(item => item.sku)).toEqual(['CLOC004']);
+        expect(closetService.removeItem(removed.data.items, 'CLOC005').error.code).toBe('NOT_FOUND');
+    });
+
+    test('rejects invalid input with field-level errors', () => {
+        const result = closetService.addItem([], { name: '', category: 'hats', formality: 'fancy' });
+
+        expect(result.success).toBe(false);
+        expect(result.error.code).toBe('VALIDATION_ERROR');
+        expect(result.error.fields.map(error => error.field)).toEqual(['name', 'category', 'formality']);
+    });
+
+    test('imports closet CSV rows and reports row-level errors', () => {
+        const result = closetService.importCSV([{ sku: 'CLOC001', name: 'Hoodie', category: 'topwear' }], CLOSET_CSV);
+
+        expect(result.success).toBe(true);
+        expect(result.data.imported.map(item => item.sku)).toEqual(['SKU017', 'SKU021', 'CLOC002']);
+        expect(result.data.items).toHaveLength(4);
+        expect(result.data.imported[0]).toMatchObject({
+            category: 'outerwear',
+            weatherSuitability: 'cold',
+            tags: ['casual', 'warm', 'branded'],
+            notes: 'Cozy hoodie, ideal for cooler weather.'
+        });
+        expect(result.data.imported[2].weatherSuitability).toBe('all-weather');
+
+        expect(result.data.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ line: 5, field: 'category' }),
+            expect.objectContaining({ line: 5, field: 'price' }),
+            expect.objectContaining({ line: 5, field: 'formality' }),
+            expect.objectContaining({ line: 6, field: 'row' })
+        ]));
+    });
+
+    test('refuses CSV files without the required columns', () => {
+        const result = closetService.importCSV([], 'sku,title\nSKU1,Shirt');
+
+        expect(result.success).toBe(false);
+        expect(result.error.errors).toEqual([{ line: 1, field: 'name', reason: 'Missing column' }, { line: 1, field: 'category', reason: 'Missing column' }]);
+    });
+
+    test('feeds valid closet items into the generation dataset in catalog column order', () => {
+        const dataset = {
+            csvContent: 'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes\nSKU001,Tee,Topwear,basic,warm,25,white,base,casual,Cotton',
+            skuMap: new Map([['SKU001', { sku: 'SKU001' }]])
+        };
+
+        const merged = outfitGenerationService.mergeClosetItems(dataset, [
+            { sku: 'CLOC001', name: 'Linen Shirt', category: 'topwear', tags: ['casual', 'breathable'], weatherSuitability: 'warm', colors: 'white' },
+            { sku: 'CLOC002', name: '', category: 'topwear' }
+        ]);
+
+        expect(merged.csvContent.split('\n')).toEqual([
+            'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+            'CLOC001,Linen Shirt,topwear,"casual, breathable",warm,0,white,,casual,',
+            'SKU001,Tee,Topwear,basic,warm,25,white,base,casual,Cotton'
+        ]);
+        expect(merged.skuMap.get('CLOC001').formality).toBe('casual');
+        expect(merged.skuMap.has('CLOC002')).toBe(false);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for perceptual color matching and the scores built on it
+ */
+
+import { ColorHarmonyEngine } from '../ColorHarmonyEngine';
+import { ClothingAnalysisEngine } from '../ClothingAnalysisEngine';
+import { ReusabilityOptimizer } from '../ReusabilityOptimizer';
+import { ShoppingPlanEngine } from '../ShoppingPlanEngine';
+import { OfflineOutfitSolver } from '../OfflineOutfitSolver';
+
+const item = (sku, category, colors) => ({ sku, name: `${colors} ${category}`, category, colors, formality: 'casual', price: 40 });
+
+describe('ColorHarmonyEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new ColorHarmonyEngine();
+    });
+
+    test('converts sRGB to CIELAB and measures CIEDE2000 distance', () => {
+        const white = engine.rgbToLab({ r: 255, g: 255, b: 255 });
+        const red = engine.fromHex('#ff0000');
+
+        expect(white.L).toBeCloseTo(100, 1);
+        expect(white.a).toBeCloseTo(0, 1);
+        expect(red.lab.L).toBeCloseTo(53.24, 1);
+        expect(red.lab.a).toBeCloseTo(80.09, 1);
+        expect(red.lab.b).toBeCloseTo(67.2, 1);
+        expect(engine.labToHex(red.lab)).toBe('#ff0000');
+
+        // Reference pair from Sharma, Wu and Dalal's CIEDE2000 test data
+        expect(engine.deltaE({ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 })).toBeCloseTo(2.0425, 3);
+    });
+
+    test('reads names, modified names, hex values and sampled RGB', () => {
+        const [navy, paleRed, hex, sampled] = engine.parseColors(['Navy Blue', 'pale red', '#ABC', { r: 200, g: 38, b: 46 }]);
+
+        expect(navy.hex).toBe('#1f2a44');
+        expect(navy.neutral).toBe(true);
+        expect(paleRed.lch.L).toBeGreaterThan(engine.parseToken('red').lch.L);
+        expect(hex.hex).toBe('#aabbcc');
+        expect(engine.deltaE(sampled.lab, engine.parseToken('red').lab)).toBeLessThan(1);
+        expect(engine.parseColors('floral with white')).toEqual([
+            { name: 'floral', pattern: true },
+            expect.objectContaining({ name: 'white', neutral: true })
+        ]);
+        expect(engine.parseColors('sparkly')).toEqual([]);
+    });
+
+    test('splits hyphenated color pairs but keeps modified names together', () => {
+        expect(engine.parseColors('white-black').map(color => color.name)).toEqual(['white', 'black']);
+        expect(engine.parseColors('dark-olive').map(color => color.name)).toEqual(['dark-olive']);
+        expect(engine.parseColors('light-blue').map(color => color.name)).toEqual(['light-blue']);
+    });
+
+    test('scores monochrome, neutral, analogous, complementary and clashing pairs', () => {
+        const relation = (a, b) => engine.scoreColors(a, b).relation;
+
+        expect(relation('navy', '#1f2a44')).toBe('monochrome');
+        expect(relation('navy', 'white')).toBe('neutral');
+        expect(relation('red', 'burgundy')).toBe('neutral');
+        expect(relation('red', 'coral')).toBe('tonal');
+        expect(relation('yellow', 'orange')).toBe('analogous');
+        expect(relation('coral', 'teal')).toBe('complementary');
+        expect(relation('purple', 'yellow')).toBe('complementary');
+        expect(relation('floral', 'plaid')).toBe('busy');
+
+        expect(engine.scoreColors('red', 'purple')).toMatchObject({ compatible: false, relation: 'clash', reason: 'Clashing color combination' });
+        // Muted versions of clashing hues are easier to wear together
+        expect(engine.scoreColors('dusty rose', 'lilac').score).toBeGreaterThan(engine.scoreColors('red', 'purple').score);
+        expect(engine.scoreColors('', 'red')).toBeNull();
+    });
+
+    test('rates neutrals as more versatile than saturated accents', () => {
+        expect(engine.getVersatility('navy')).toBeGreaterThan(engine.getVersatility('fuchsia'));
+        expect(engine.getVersatility('white')).toBeGreaterThan(engine.getVersatility('teal'));
+        expect(engine.getVersatility('teal, white')).toBe(engine.getVersatility('white'));
+        expect(engine.getVersatility(null)).toBeNull();
+    });
+
+    test('checks a whole trip palette for coherence', () => {
+        const capsule = engine.analyzePalette(['navy', 'white, navy', 'beige', 'light blue', '#9ec3e6']);
+        const scattered = engine.analyzePalette(['navy', 'red', 'purple', 'green', 'orange']);
+
+        expect(capsule).toMatchObject({ neutrals: ['navy', 'white', 'beige'], accents: [['light blue']], clashes: [] });
+        expect(capsule.coherence).toBeGreaterThan(0.85);
+        expect(scattered.coherence).toBeLessThan(0.7);
+        expect(scattered.clashes).toContainEqual(['red', 'purple']);
+        expect(engine.analyzePalette([]).coherence).toBe(1);
+    });
+
+    test('finds the dominant colors of image pixels, skipping the background', () => {
+        const pixels = [
+            ...Array(6).fill([31, 42, 68, 255]),
+            ...Array(3).fill([33, 44, 70, 255]),
+            ...Array(2).fill([200, 38, 46, 255]),
+            ...Array(8).fill([250, 250, 250, 255]),
+            ...Array(4).fill([0, 200, 0, 0])
+        ].flat();
+
+        const colors = engine.getDominantColors({ data: Uint8ClampedArray.from(pixels) });
+
+        expect(colors.map(color => [color.name, color.share])).toEqual([['navy', 0.82], ['red', 0.18]]);
+    });
+});
+
+describe('Color scoring built on the harmony engine', () => {
+    test('checkColorCompatibility keeps its result shape and reads hex colors', () => {
+        const engine = new ClothingAnalysisEngine();
+
+        expect(engine.checkColorCompatibility({ colors: 'navy' }, { colors: 'white' }))
+            .toEqual({ compatible: true, score: 0.9, reason: 'Neutral color combination' });
+        expect(engine.checkColorCompatibility({ colors: '#c8262e' }, { colors: 'purple' }).compatible).toBe(false);
+        // Neighboring hues the original rules called clashes still clash
+        expect(engine.checkColorCompatibility({ colors: 'red' }, { colors: 'pale pink' }))
+            .toEqual({ compatible: false, score: 0.3, reason: 'Clashing color combination' });
+        expect(engine.checkColorCompatibility({ colors: '' }, { colors: 'red' }))
+            .toEqual({ compatible: true, score: 0.8, reason: 'Color information missing' });
+        expect(engine.checkItemCompatibility(item('A', 'topwear', 'red'), item('B', 'bottomwear', 'purple')).issues)
+            .toContain('Color clash: Clashing color combination');
+    });
+
+    test('calculateColorVersatility and the trip palette report', () => {
+        const optimizer = new ReusabilityOptimizer();
+        const report = optimizer.generateReusabilityReport([
+            { day: 1, items: { topwear: item('T1', 'topwear', 'red'), bottomwear: item('B1', 'bottomwear', 'purple'), footwear: item('F1', 'footwear', 'white') } },
+            { day: 2, items: { topwear: item('T2', 'topwear', 'navy'), bottomwear: item('B1', 'bottomwear', 'purple'), footwear: item('F1', 'footwear', 'white') } }
+        ]);
+
+        expect(optimizer.calculateColorVersatility('')).toBe(0.3);
+        expect(optimizer.calculateColorVersatility('charcoal')).toBeGreaterThan(optimizer.calculateColorVersatility('orange'));
+        expect(report.breakdown.palette.clashes).toEqual([['red', 'purple']]);
+        expect(report.metrics.paletteCoherence).toBe(report.breakdown.palette.coherence);
+        expect(report.breakdown.recommendations).toContain('Swap red or purple pieces - the two colors clash, so they cannot be mixed across outfits');
+    });
+
+    test('shopping substitutes group shades by perceptual hue', () => {
+        const engine = new ShoppingPlanEngine();
+
+        expect([...engine.getColorFamilies('dusty rose')]).toEqual(['red']);
+        expect([...engine.getColorFamilies('navy, floral')]).toEqual(['neutral', 'blue', 'print']);
+        expect(engine.sharesColorFamily(engine.getColorFamilies('#2f5ea8'), engine.getColorFamilies('denim'))).toBe(true);
+    });
+
+    test('the offline solver keeps later days in the palette already packed', () => {
+        const solver = new OfflineOutfitSolver();
+        const items = [
+            item('SKU100', 'topwear', 'red'),
+            item('SKU101', 'bottomwear', 'black'),
+            item('SKU102', 'footwear', 'black'),
+            // Cheaper, so it would win on price alone
+            { ...item('SKU103', 'topwear', 'purple'), price: 30 },
+            item('SKU104', 'topwear', 'coral')
+        ];
+
+        const result = solver.solve({ eventDetails: { duration: 2, dressCode: 'casual' }, items });
+
+        // Day 2 avoids repeating the red top and picks the coral that sits next to it over purple
+        expect(result.dailyOutfits[1].outfit.topwear.sku).toBe('SKU104');
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for offline place recognition with the bundled gazetteer
+ */
+
+import { GazetteerService } from '../gazetteerService';
+import eventExtractionService from '../eventExtractionService';
+import weatherContextService from '../weatherContextService';
+import weatherService from '../weatherService';
+
+jest.mock('../weatherService', () => ({
+    geocodeLocation: jest.fn()
+}));
+
+describe('GazetteerService', () => {
+    let gazetteer;
+
+    beforeEach(() => {
+        gazetteer = new GazetteerService();
+    });
+
+    test('resolves names, aliases and accents to coordinates', () => {
+        expect(gazetteer.lookup('nyc')).toMatchObject({
+            name: 'New York',
+            country: 'US',
+            state: 'NY',
+            coordinates: { lat: 40.71, lon: -74.01 },
+            type: 'city',
+            matchedBy: 'alias',
+            confidence: 0.9
+        });
+        expect(gazetteer.lookup('Barça').name).toBe('Barcelona');
+        expect(gazetteer.lookup('Zurich').name).toBe(gazetteer.lookup('zürich').name);
+        expect(gazetteer.lookup('the UK')).toMatchObject({ name: 'United Kingdom', type: 'country', coordinates: { lat: 51.51, lon: -0.13 } });
+        expect(gazetteer.lookup('Invalid Location')).toBeNull();
+    });
+
+    test('tolerates small typos but not in short names', () => {
+        expect(gazetteer.lookup('Barcelonna')).toMatchObject({ name: 'Barcelona', matchedBy: 'fuzzy', confidence: 0.7 });
+        expect(gazetteer.lookup('Amstredam').name).toBe('Amsterdam');
+        expect(gazetteer.lookup('Rime')).toBeNull();
+    });
+
+    test('prefers the best-known namesake unless a state or country says otherwise', () => {
+        const paris = gazetteer.lookup('Paris');
+
+        expect(paris).toMatchObject({ label: 'Paris', country: 'FR' });
+        expect(paris.confidence).toBeLessThan(0.95);
+        expect(paris.alternatives.map(place => place.label)).toEqual(['Paris, TX', 'Paris, TN']);
+
+        expect(gazetteer.lookup('Paris, TX')).toMatchObject({ label: 'Paris, TX', state: 'TX', confidence: 0.95 });
+        expect(gazetteer.lookup('Paris Texas').state).toBe('TX');
+        expect(gazetteer.lookup('Valencia, Venezuela').label).toBe('Valencia, Venezuela');
+        expect(gazetteer.lookup('Portland, Maine').coordinates).toEqual({ lat: 43.66, lon: -70.26 });
+        // A qualifier no namesake is in keeps the default reading with less confidence
+        expect(gazetteer.lookup('Paris, Ontario')).toMatchObject({ country: 'FR', confidence: 0.42 });
+    });
+
+    test('finds places in free text without mistaking months, names or lowercase abbreviations', () => {
+        const places = text => gazetteer.findInText(text).map(place => place.label);
+
+        expect(places('Wedding in Paris, TX then a week in NYC')).toEqual(['Paris, TX', 'New York']);
+        expect(gazetteer.findInText('Wedding in Paris, TX')[0].text).toBe('Paris, TX');
+        expect(places('going to a wedding in June')).toEqual([]);
+        expect(places('la la land premiere')).toEqual([]);
+        expect(places('dinner with Austin, then a nice walk')).toEqual([]);
+        expect(places('a week in Nice and two days in Split')).toEqual(['Nice', 'Split']);
+        expect(places('Conference in Barcelonna')).toEqual(['Barcelona']);
+        expect(places('Santiago de Compostela pilgrimage')).toEqual(['Santiago de Compostela']);
+    });
+});
+
+describe('Gazetteer locations in offline extraction', () => {
+    test('extractWithRules returns the place, its coordinates and a confidence', () => {
+        const result = eventExtractionService.extractWithRules('Business trip to Paris, TX next week');
+
+        expect(result).toMatchObject({
+            location: 'Paris, TX',
+            coordinates: { lat: 33.66, lon: -95.56 },
+            fieldConfidence: { location: 0.95 }
+        });
+    });
+
+    test('months are never locations, and unlisted places get low confidence', () => {
+        const wedding = eventExtractionService.extractWithRules("I'm going to a wedding in June");
+        const unlisted = eventExtractionService.extractWithRules('Hiking trip to Boise, Idaho');
+
+        expect(wedding.location).toBeNull();
+        expect(wedding.needsClarification).toContain('location');
+        expect(unlisted).toMatchObject({ location: 'Boise, Idaho', coordinates: null, fieldConfidence: { location: 0.4 } });
+    });
+});
+
+describe('Offline location resolution', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        weatherService.geocodeLocation.mockRejectedValue(new Error('Network Error'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resolveLocation falls back to the gazetteer when geocoding fails', async () => {
+        await expect(weatherContextService.resolveLocation('Portland, ME')).resolves.toEqual({
+            name: 'Portland',
+            country: 'US',
+            state: 'ME',
+            coordinates: { lat: 43.66, lon: -70.26 },
+            timezone: null,
+            resolvedFrom: 'Portland, ME',
+            offline: true
+        });
+        await expect(weatherContextService.resolveLocation('Kyoto')).resolves.toMatchObject({ name: 'Kyoto', offline: true });
+        await expect(weatherContextService.resolveLocation('Atlantis')).rejects.toThrow('Failed to resolve location "Atlantis"');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for multi-destination itinerary legs and how extraction and trips use them
+ */
+
+import {
+    parseItineraryLegs,
+    normalizeItineraryLegs,
+    assignLegsToDayPlans,
+    formatItineraryDestination,
+    getLegForDay
+} from '../itineraryService';
+import eventExtractionService from '../eventExtractionService';
+import bedrockService from '../bedrockService';
+import { createNewTrip } from '../tripService';
+import { validateEventExtraction } from '../../schemas/eventExtractionSchema';
+
+const LEGS = [
+    { location: 'Lisbon', startDay: 1, endDay: 3, activities: ['sightseeing'] },
+    { location: 'Berlin', startDay: 4, endDay: 7, activities: ['conference'] }
+];
+
+describe('itineraryService', () => {
+    test('reads consecutive legs from free text', () => {
+        expect(parseItineraryLegs('3 days Lisbon then 4 days Berlin')).toMatchObject([
+            { location: 'Lisbon', startDay: 1, endDay: 3 },
+            { location: 'Berlin', startDay: 4, endDay: 7 }
+        ]);
+        expect(parseItineraryLegs('Heading to Rome for a week, then Florence for two nights')).toMatchObject([
+            { location: 'Rome', startDay: 1, endDay: 7 },
+            { location: 'Florence', startDay: 8, endDay: 9 }
+        ]);
+        expect(parseItineraryLegs('2 days in New York then 3 days in Boston for a conference')[1].activities).toEqual(['a conference']);
+        expect(parseItineraryLegs('Lisbon for 3 days, then Berlin for 4 days for a conference')).toMatchObject([
+            { location: 'Lisbon', startDay: 1, endDay: 3, activities: [] },
+            { location: 'Berlin', startDay: 4, endDay: 7, activities: ['a conference'] }
+        ]);
+        expect(parseItineraryLegs('5 day conference in NYC next week')).toEqual([]);
+    });
+
+    test('orders legs, stretches the last one to the trip end and dates them', () => {
+        const legs = normalizeItineraryLegs([
+            { location: 'Berlin', startDay: 5, endDay: 6 },
+            { location: 'Lisbon', startDay: 1, endDay: 3 },
+            { location: '' }
+        ], { startDate: '2026-11-02', duration: 8 });
+
+        expect(legs).toEqual([
+            { location: 'Lisbon', startDay: 1, endDay: 3, startDate: '2026-11-02', endDate: '2026-11-04', activities: [] },
+            { location: 'Berlin', startDay: 5, endDay: 8, startDate: '2026-11-06', endDate: '2026-11-09', activities: [] }
+        ]);
+        expect(getLegForDay(legs, 4)).toBeNull();
+        expect(formatItineraryDestination(legs)).toBe('Lisbon → Berlin');
+    });
+
+    test('gives every day of the trip its leg location', () => {
+        const plans = assignLegsToDayPlans([{ day: 5, activity: 'Keynote', dressCode: 'business' }], LEGS, 7);
+
+        expect(plans).toHaveLength(7);
+        expect(plans[0]).toEqual({ day: 1, activity: 'sightseeing', location: 'Lisbon', leg: 0 });
+        expect(plans[4]).toEqual({ day: 5, activity: 'Keynote', dressCode: 'business', location: 'Berlin', leg: 1 });
+        expect(assignLegsToDayPlans(plans.slice(0, 1), [], 7)).toHaveLength(1);
+    });
+});
+
+describe('multi-destination extraction and trips', () => {
+    test('rule-based extraction emits legs instead of collapsing to one city', () => {
+        const result = eventExtractionService.extractWithRules('3 days Lisbon then 4 days Berlin');
+
+        expect(result.location).toBe('Lisbon → Berlin');
+        expect(result.duration).toBe(7);
+        expect(result.legs.map(leg => leg.location)).toEqual(['Lisbon', 'Berlin']);
+
+        const message = 'Lisbon for 3 days, then Berlin for 4 days for a conference';
+        expect(eventExtractionService.extractWithRules(message).location).toBe('Lisbon → Berlin');
+        expect(bedrockService.createFallbackResponse(message).data.location).toBe('Lisbon → Berlin');
+    });
+
+    test('AI extractions keep location and duration consistent with the legs', () => {
+        const extraction = validateEventExtraction({
+            success: true,
+            data: {
+                occasion: 'business trip',
+                location: 'Lisbon',
+                startDate: '2026-11-02',
+                duration: 3,
+                dressCode: 'smart-casual',
+                budget: null,
+                specialRequirements: [],
+                needsClarification: [],
+                confidence: 0.8,
+                legs: LEGS
+            }
+        });
+        expect(extraction.success).toBe(true);
+
+        const { data } = bedrockService.applyItineraryLegs(extraction.data);
+        expect(data).toMatchObject({ location: 'Lisbon → Berlin', duration: 7 });
+        expect(data.legs[1]).toMatchObject({ startDate: '2026-11-05', endDate: '2026-11-08' });
+
+        const fixed = bedrockService.fixCommonSchemaIssues({ data: { legs: [{ location: 'Lisbon', startDay: 1, endDay: 3 }, { location: 'Berlin' }] } });
+        expect(validateEventExtraction(fixed).success).toBe(true);
+        expect(fixed.data.legs[1]).toEqual({ location: 'Berlin', startDay: 4, endDay: 4, activities: [] });
+    });
+
+    test('the outfit prompt lists the itinerary for multi-destination trips only', () => {
+        const details = { occasion: 'business trip', duration: 7, location: 'Lisbon → Berlin', dressCode: 'smart-casual', budget: null };
+
+        expect(bedrockService.buildOutfitGenerationPrompt({ ...details, legs: LEGS }, 'sku\n', null)).toContain('MULTI-DESTINATION ITINERARY');
+        expect(bedrockService.buildOutfitGenerationPrompt({ ...details, location: 'Lisbon', legs: [] }, 'sku\n', null)).not.toContain('MULTI-DESTINATION ITINERARY');
+    });
+
+    test('new trips take their destination and length from the legs', () => {
+        const trip = createNewTrip({ name: 'Europe', legs: LEGS });
+
+        expect(trip.destination).toBe('Lisbon → Berlin');
+        expect(trip.totalDays).toBe(7);
+        expect(trip.legs[1]).toMatchObject({ location: 'Berlin', startDay: 4, endDay: 7, startDate: expect.any(String) });
+        expect(createNewTrip().legs).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the LLM provider layer and offline runs against the mock provider
+ */
+
+import { z } from 'zod';
+import { LLMResponseError } from '../llmProvider';
+import { MockLLMProvider } from '../mockLLMProvider';
+import { BedrockLLMProvider } from '../bedrockLLMProvider';
+import { createLLMProvider } from '../llmProviderFactory';
+import bedrockService from '../bedrockService';
+import outfitRecommendationSchema from '../../schemas/outfitRecommendationSchema';
+
+const CSV_CONTENT = [
+    'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+    'CLOC001,Closet Linen Shirt,Topwear,"casual, breathable",warm,0,white,base,casual,From the closet',
+    'SKU001,Classic White T-Shirt,Topwear,"casual, breathable",warm,25,white,base,casual,Cotton tee',
+    'SKU002,Blue Denim Jeans,Bottomwear,"versatile, durable",mild,60,blue,base,casual,Straight fit',
+    'SKU003,White Sneakers,Footwear,casual,all,80,white,base,casual,Everyday sneakers'
+].join('\n');
+
+describe('LLM providers', () => {
+    let originalProvider;
+
+    beforeEach(() => {
+        originalProvider = bedrockService.provider;
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        console.log.mockRestore();
+    });
+
+    test('factory honours the provider option', () => {
+        expect(createLLMProvider({ provider: 'mock' })).toBeInstanceOf(MockLLMProvider);
+        expect(createLLMProvider({ provider: 'bedrock' })).toBeInstanceOf(BedrockLLMProvider);
+    });
+
+    test('completeJSON strips fences and validates against a schema', async () => {
+        const provider = new MockLLMProvider({
+            fixtures: [{ match: /colour/, response: '```json\n{"color": "navy"}\n```' }]
+        });
+
+        await expect(provider.completeJSON({
+            prompt: 'Pick a colour',
+            schema: z.object({ color: z.string() })
+        })).resolves.toEqual({ color: 'navy' });
+
+        await expect(provider.completeJSON({
+            prompt: 'Pick a colour',
+            schema: z.object({ size: z.string() })
+        })).rejects.toBeInstanceOf(LLMResponseError);
+    });
+
+    test('stream yields the fixture response in chunks', async () => {
+        const provider = new MockLLMProvider({
+            fixtures: [{ match: () => true, response: 'abcdefghij' }],
+            chunkSize: 4
+        });
+
+        const chunks = [];
+        for await (const chunk of provider.stream({ prompt: 'anything' })) {
+            chunks.push(chunk);
+        }
+
+        expect(chunks).toEqual(['abcd', 'efgh', 'ij']);
+    });
+
+    test('generates schema-valid outfits offline through bedrockService', async () => {
+        const provider = new MockLLMProvider();
+        bedrockService.setProvider(provider);
+
+        const result = await bedrockService.generateOutfitRecommendations({
+            eventDetails: {
+                occasion: 'vacation',
+                duration: 2,
+                location: 'Lisbon',
+                dressCode: 'casual',
+                budget: null,
+                dayPlans: [{ day: 1, activity: 'Old town walk', dressCode: 'casual' }]
+            },
+            csvContent: CSV_CONTENT,
+            contextSummary: null
+        });
+
+        expect(result.success).toBe(true);
+        expect(outfitRecommendationSchema.safeParse(result.data).success).toBe(true);
+        expect(result.data.dailyOutfits).toHaveLength(2);
+        expect(result.data.dailyOutfits[0].occasion).toBe('Old town walk');
+        expect(result.data.dailyOutfits[0].outfit.topwear.sku).toBe('CLOC001');
+        expect(provider.calls[0].request.temperature).toBe(0.2);
+    });
+
+    test('extracts event details offline through bedrockService', async () => {
+        bedrockService.setProvider(new MockLLMProvider());
+
+        const extraction = await bedrockService.extractEventDetailsWithSchema('3 day business conference in London');
+        const details = extraction.data;
+
+        expect(extraction.success).toBe(true);
+        expect(details.occasion).toBe('business conference');
+        expect(details.location).toBe('London');
+        expect(details.duration).toBe(3);
+        expect(details.dailyPlans).toHaveLength(3);
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for the constraint-based offline outfit solver
+ */
+
+import { OfflineOutfitSolver } from '../OfflineOutfitSolver';
+import outfitRecommendationSchema from '../../schemas/outfitRecommendationSchema';
+
+const ITEMS = [
+    { sku: 'CLOC001', name: 'Closet Linen Shirt', category: 'Topwear', price: 0, colors: 'white', weatherSuitability: 'warm', formality: 'casual', tags: ['casual'] },
+    { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', price: 25, colors: 'white', weatherSuitability: 'warm', formality: 'casual', tags: ['casual', 'basic'] },
+    { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70, colors: 'cream', weatherSuitability: 'mild', formality: 'formal', tags: ['elegant'] },
+    { sku: 'SKU008', name: 'Wool Turtleneck', category: 'topwear', price: 65, colors: 'charcoal', weatherSuitability: 'cold', formality: 'smart-casual', tags: ['classic'] },
+    { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, colors: 'blue', weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] },
+    { sku: 'SKU010', name: 'Tailored Trousers', category: 'bottomwear', price: 90, colors: 'black', weatherSuitability: 'mild', formality: 'formal', tags: ['classic'] },
+    { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, colors: 'white', weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] },
+    { sku: 'SKU012', name: 'Leather Dress Shoes', category: 'footwear', price: 130, colors: 'black', weatherSuitability: 'mild', formality: 'formal', tags: ['classic'] },
+    { sku: 'SKU004', name: 'Waterproof Trench', category: 'outerwear', price: 150, colors: 'beige', weatherSuitability: 'rain, cold', formality: 'smart-casual', tags: ['waterproof'] },
+    { sku: 'SKU018', name: 'Wool Scarf', category: 'accessories', price: 35, colors: 'burgundy', weatherSuitability: 'cold', formality: 'casual', tags: ['warm'] }
+];
+
+const forecast = (min, max, main, recommendations) => ({
+    temperature: { min, max, average: Math.round((min + max) / 2) },
+    conditions: { main },
+    recommendations
+});
+
+const skusOf = (dayOutfit) => {
+    const { topwear, bottomwear, footwear, outerwear, accessories } = dayOutfit.outfit;
+    return [topwear, bottomwear, footwear, outerwear, ...accessories].filter(Boolean).map(slot => slot.sku);
+};
+
+describe('OfflineOutfitSolver', () => {
+    let solver;
+
+    beforeEach(() => {
+        solver = new OfflineOutfitSolver();
+    });
+
+    test('builds schema-valid outfits that put closet items first and reuse pieces', () => {
+        const result = solver.solve({
+            eventDetails: { occasion: 'vacation', duration: 3, dressCode: 'casual', location: 'Lisbon' },
+            items: ITEMS
+        });
+
+        expect(outfitRecommendationSchema.safeParse(result).success).toBe(true);
+        expect(result.dailyOutfits).toHaveLength(3);
+        expect(result.dailyOutfits[0].outfit.topwear.sku).toBe('CLOC001');
+        expect(result.reusabilityAnalysis.reusedItems).toBeGreaterThan(0);
+        expect(result.dailyOutfits[0].styling.rationale).toContain('closet');
+    });
+
+    test('is deterministic', () => {
+        const params = {
+            eventDetails: { occasion: 'vacation', duration: 4, dressCode: 'casual' },
+            items: ITEMS
+        };
+
+        expect(solver.solve(params)).toEqual(new OfflineOutfitSolver().solve(params));
+    });
+
+    test('follows the dress code of each day plan', () => {
+        const result = solver.solve({
+            eventDetails: {
+                occasion: 'wedding weekend',
+                duration: 2,
+                dressCode: 'casual',
+                dailyPlans: [
+                    { day: 1, activity: 'Beach day', dressCode: 'casual' },
+                    { day: 2, activity: 'Ceremony', dressCode: 'formal' }
+                ]
+            },
+            items: ITEMS
+        });
+
+        const [casualDay, formalDay] = result.dailyOutfits;
+        expect(casualDay.occasion).toBe('Beach day');
+        expect(casualDay.outfit.footwear.formality).toBe('casual');
+        expect(formalDay.outfit.bottomwear.sku).toBe('SKU010');
+        expect(formalDay.outfit.footwear.sku).toBe('SKU012');
+        expect(formalDay.styling.dresscodeCompliance).toContain('formal');
+    });
+
+    test('layers up for cold, wet days using the daily forecasts', () => {
+        const result = solver.solve({
+            eventDetails: { occasion: 'city break', duration: 2, dressCode: 'smart-casual' },
+            items: ITEMS,
+            weather: {
+                dailyForecasts: [
+                    forecast(2, 7, 'rainy', { layering: 'heavy', waterproof: true, warmAccessories: true }),
+                    forecast(22, 28, 'sunny', { layering: 'none', waterproof: false })
+                ]
+            }
+        });
+
+        const [coldDay, warmDay] = result.dailyOutfits;
+        expect(coldDay.outfit.topwear.sku).toBe('SKU008');
+        expect(coldDay.outfit.outerwear.sku).toBe('SKU004');
+        expect(coldDay.outfit.accessories.map(item => item.sku)).toEqual(['SKU018']);
+        expect(warmDay.outfit.outerwear).toBeNull();
+        expect(warmDay.outfit.topwear.weatherSuitability).toBe('warm');
+    });
+
+    test('dresses each day for its leg and reuses pieces across the journey', () => {
+        const legs = [
+            { location: 'Lisbon', startDay: 1, endDay: 2, activities: [] },
+            { location: 'Berlin', startDay: 3, endDay: 4, activities: [] }
+        ];
+        const lisbon = forecast(20, 27, 'sunny', { layering: 'none', waterproof: false });
+        const berlin = forecast(1, 6, 'rainy', { layering: 'heavy', waterproof: true, warmAccessories: true });
+
+        const result = solver.solve({
+            eventDetails: { occasion: 'city hopping', duration: 4, dressCode: 'casual', location: 'Lisbon → Berlin', legs },
+            items: ITEMS,
+            weather: {
+                // Tagged by day, listed out of order to make sure days are matched by tag
+                dailyForecasts: [
+                    { ...berlin, day: 3, location: 'Berlin' },
+                    { ...berlin, day: 4, location: 'Berlin' },
+                    { ...lisbon, day: 1, location: 'Lisbon' },
+                    { ...lisbon, day: 2, location: 'Lisbon' }
+                ]
+            }
+        });
+
+        const [lisbonDay, , berlinDay] = result.dailyOutfits;
+        expect(lisbonDay.outfit.outerwear).toBeNull();
+        expect(lisbonDay.styling.weatherConsiderations).toContain('Lisbon forecast');
+        expect(berlinDay.outfit.outerwear.sku).toBe('SKU004');
+        expect(berlinDay.styling.weatherConsiderations).toContain('Berlin forecast');
+
+        const carriedOver = skusOf(berlinDay).filter(sku => skusOf(lisbonDay).includes(sku));
+        expect(carriedOver.length).toBeGreaterThan(0);
+        expect(berlinDay.styling.rationale).toContain('earlier stop');
+        expect(result.reusabilityAnalysis.reusabilityMap[carriedOver[0]]).toEqual(expect.arrayContaining([1, 3]));
+    });
+
+    test('keeps catalog purchases within the budget when possible', () => {
+        const budget = 150;
+        const result = solver.solve({
+            eventDetails: { occasion: 'weekend away', duration: 3, dressCode: 'casual', budget },
+            items: ITEMS
+        });
+
+        const purchased = new Set(result.dailyOutfits.flatMap(skusOf).filter(sku => !sku.startsWith('CLOC')));
+        const spent = ITEMS
+            .filter(item => purchased.has(item.sku))
+            .reduce((total, item) => total + item.price, 0);
+
+        expect(spent).toBeLessThanOrEqual(budget);
+        expect(outfitRecommendationSchema.safeParse(result).success).toBe(true);
+    });
+
+    test('keeps the dress code and flags the overspend when the budget is too small', () => {
+        const result = solver.solve({
+            eventDetails: { occasion: 'gala', duration: 1, dressCode: 'formal', budget: 100 },
+            items: ITEMS
+        });
+
+        const [day] = result.dailyOutfits;
+        expect(day.outfit.footwear.sku).toBe('SKU012');
+        expect(day.styling.rationale).toContain('budget');
+    });
+
+    test('rejects catalogs that cannot produce a complete outfit', () => {
+        expect(() => solver.solve({
+            eventDetails: { occasion: 'trip', duration: 1, dressCode: 'casual' },
+            items: ITEMS.filter(item => item.category !== 'footwear')
+        })).toThrow('No footwear items available');
+    });
+
+    describe('dresses', () => {
+        const DRESS = { sku: 'SKU016', name: 'Wrap Midi Dress', category: 'Dresses', price: 95, colors: 'navy', weatherSuitability: 'warm', formality: 'smart-casual', tags: ['elegant'] };
+
+        test('wears a dress in place of top and bottomwear', () => {
+            const result = solver.solve({
+                eventDetails: { occasion: 'vacation', duration: 2, dressCode: 'smart-casual' },
+                items: [...ITEMS.filter(item => item.category !== 'bottomwear'), DRESS]
+            });
+
+            expect(outfitRecommendationSchema.safeParse(result).success).toBe(true);
+            result.dailyOutfits.forEach(day => {
+                expect(day.outfit.topwear.sku).toBe('SKU016');
+                expect(day.outfit.bottomwear).toBeNull();
+            });
+        });
+
+        test('places a locked dress and leaves its day without bottomwear', () => {
+            const result = solver.solve({
+                eventDetails: { occasion: 'vacation', duration: 2, dressCode: 'smart-casual' },
+                items: [...ITEMS, DRESS],
+                constraints: { requiredSkus: ['SKU016'] }
+            });
+
+            expect(outfitRecommendationSchema.safeParse(result).success).toBe(true);
+            const dressDay = result.dailyOutfits.find(day => day.outfit.topwear.sku === 'SKU016');
+            expect(dressDay).toBeDefined();
+            expect(dressDay.outfit.bottomwear).toBeNull();
+        });
+
+        test('does not pair a dress with fixed bottomwear', () => {
+            const result = solver.solve({
+                eventDetails: { occasion: 'vacation', duration: 1, dressCode: 'smart-casual' },
+                items: [ITEMS.find(item => item.sku === 'SKU002'), ...ITEMS.filter(item => item.category !== 'bottomwear'), DRESS],
+                constraints: { fixedSlots: { 1: { bottomwear: 'SKU002' } } }
+            });
+
+            const [day] = result.dailyOutfits;
+            expect(day.outfit.bottomwear.sku).toBe('SKU002');
+            expect(day.outfit.topwear.sku).not.toBe('SKU016');
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for locked items and days during outfit generation
+ */
+
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+import { buildOutfitGenerationResponse } from '../../data/llmFixtures';
+
+const CATALOG_CSV = [
+    'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+    'SKU005,Striped Breton Top,topwear,casual,mild,40,navy,base,casual,Cotton knit',
+    'SKU002,Blue Denim Jeans,bottomwear,versatile,mild,60,blue,base,casual,Straight fit',
+    'SKU006,Chino Shorts,bottomwear,casual,warm,45,khaki,base,casual,Relaxed fit',
+    'SKU013,Canvas Espadrilles,footwear,casual,warm,50,navy,footwear,casual,Summer shoes'
+].join('\n');
+
+const CLOSET = [
+    { sku: 'CLOC005', name: 'Running Trainers', category: 'footwear', colors: 'grey', formality: 'casual' },
+    { sku: 'CLOC006', name: 'Linen Shirt', category: 'topwear', colors: 'white', formality: 'casual' }
+];
+
+const DETAILS = { occasion: 'vacation', duration: 3, dressCode: 'casual', location: 'Lisbon' };
+
+const LOCKED_DAY = { topwear: 'SKU005', bottomwear: 'SKU006', footwear: 'SKU013', outerwear: null, accessories: [] };
+
+// Simulates a model that ignores the lock section and never picks the locked trainers
+const ignoringLocks = prompt => prompt
+    .replace(/LOCKED BY THE TRAVELER:[\s\S]*?\n\n[\s\S]*?\n\n/, '')
+    .replace(/^CLOC005,.*$/m, '');
+
+const skusWorn = outfits => new Set(Object.values(outfits).flatMap(outfit => outfitGenerationService.getOutfitSkus(outfit)));
+
+describe('Outfit locks', () => {
+    const sessionId = 'lock-session';
+    let originalProvider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        originalProvider = bedrockService.provider;
+        jest.spyOn(clothingDatasetService, 'getDataset')
+            .mockResolvedValue(catalogNormalizer.buildDataset(catalogNormalizer.normalizeCSV(CATALOG_CSV).data.items));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Three days in Lisbon' });
+        contextAccumulator.addConfirmedDetails(sessionId, DETAILS);
+        contextAccumulator.setLocks(sessionId, { items: ['CLOC005', 'CLOC005', ' '], days: { 3: LOCKED_DAY } });
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        jest.restoreAllMocks();
+    });
+
+    test('stores locks in the context and puts them in the prompt', () => {
+        const summary = contextAccumulator.generateContextSummary(sessionId);
+        expect(summary.locks).toEqual({ items: ['CLOC005'], days: { 3: LOCKED_DAY } });
+
+        const prompt = bedrockService.buildOutfitGenerationPrompt(DETAILS, CATALOG_CSV, summary);
+        expect(prompt).toContain('LOCKED BY THE TRAVELER:');
+        expect(prompt).toContain('"CLOC005"');
+        expect(contextAccumulator.formatContextForAI(sessionId)).toContain('Must include: CLOC005');
+    });
+
+    test('keeps locked items and days when the model follows the locks', async () => {
+        const provider = new MockLLMProvider();
+        bedrockService.setProvider(provider);
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+
+        expect(result.success).toBe(true);
+        expect(result.data.lockStatus).toEqual({ reprompted: false, repaired: [] });
+        expect(skusWorn(result.data.outfits).has('CLOC005')).toBe(true);
+        expect(outfitGenerationService.getOutfitSkus(result.data.outfits[3])).toEqual(['SKU005', 'SKU006', 'SKU013']);
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    test('re-prompts with corrections when the model drops a locked item', async () => {
+        const provider = new MockLLMProvider({
+            fixtures: [
+                { match: 'CORRECTIONS TO YOUR PREVIOUS ANSWER', response: buildOutfitGenerationResponse },
+                { match: 'AVAILABLE CLOTHING ITEMS (CSV)', response: prompt => buildOutfitGenerationResponse(ignoringLocks(prompt)) }
+            ]
+        });
+        bedrockService.setProvider(provider);
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+
+        expect(result.success).toBe(true);
+        expect(provider.calls).toHaveLength(2);
+        expect(provider.calls[1].request.prompt).toContain('CLOC005 is locked but missing');
+        expect(result.data.lockStatus).toEqual({ reprompted: true, repaired: [] });
+        expect(skusWorn(result.data.outfits).has('CLOC005')).toBe(true);
+    });
+
+    test('repairs the outfits when the model keeps ignoring the locks', async () => {
+        bedrockService.setProvider(new MockLLMProvider({
+            fixtures: [{ match: 'AVAILABLE CLOTHING ITEMS (CSV)', response: prompt => buildOutfitGenerationResponse(ignoringLocks(prompt)) }]
+        }));
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+
+        expect(result.success).toBe(true);
+        expect(result.data.generationMethod).toBe('ai');
+        expect(result.data.lockStatus.repaired.map(({ type }) => type).sort()).toEqual(['day', 'item']);
+        expect(result.data.outfits[1].items.footwear.sku).toBe('CLOC005');
+        expect(outfitGenerationService.getOutfitSkus(result.data.outfits[3])).toEqual(['SKU005', 'SKU006', 'SKU013']);
+        expect(result.data.reusabilityAnalysis).toEqual(outfitGenerationService.calculateReusabilityMetrics(result.data.outfits));
+    });
+
+    test('passes locks to the offline solver', async () => {
+        bedrockService.setProvider(new MockLLMProvider({
+            fixtures: [{ match: () => true, response: 'not json' }]
+        }));
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+
+        expect(result.success).toBe(true);
+        expect(result.data.generationMethod).toBe('offline-solver');
+        expect(result.data.lockStatus.repaired).toEqual([]);
+        expect(skusWorn(result.data.outfits).has('CLOC005')).toBe(true);
+        expect(outfitGenerationService.getOutfitSkus(result.data.outfits[3])).toEqual(['SKU005', 'SKU006', 'SKU013']);
+    });
+
+    test('lets a dress stand in for bottomwear in locked days and model outfits', () => {
+        const skuMap = new Map([
+            ['SKU005', { sku: 'SKU005', name: 'Striped Breton Top', category: 'topwear' }],
+            ['SKU016', { sku: 'SKU016', name: 'Cocktail Dress', category: 'dress' }],
+            ['SKU013', { sku: 'SKU013', name: 'Canvas Espadrilles', category: 'footwear' }]
+        ]);
+        const dressDay = { topwear: 'SKU016', bottomwear: null, footwear: 'SKU013' };
+
+        const locks = outfitGenerationService.resolveLocks({
+            items: [],
+            days: { 1: dressDay, 2: { topwear: 'SKU005', bottomwear: null, footwear: 'SKU013' } }
+        }, skuMap);
+        expect(locks.days).toEqual({ 1: dressDay });
+
+        const modelDay = topwear => ({ dailyOutfits: [{ day: 1, outfit: { topwear: { sku: topwear }, footwear: { sku: 'SKU013' } } }] });
+        expect(outfitGenerationService.hydrateOutfits(modelDay('SKU016'), skuMap, sessionId)[1].items.bottomwear).toBeNull();
+        expect(() => outfitGenerationService.hydrateOutfits(modelDay('SKU005'), skuMap, sessionId)).toThrow('missing bottomwear');
+    });
+
+    test('refuses to regenerate a locked day or swap out the only use of a locked item', async () => {
+        bedrockService.setProvider(new MockLLMProvider());
+        const { data } = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+        const lockedItemDay = Object.values(data.outfits).find(outfit => outfit.items.footwear.sku === 'CLOC005').day;
+        const options = { outfits: data.outfits, reusabilityAnalysis: data.reusabilityAnalysis };
+
+        const lockedDay = await outfitGenerationService.regenerateOutfits(sessionId, DETAILS, CLOSET, { ...options, day: 3 });
+        expect(lockedDay.error.code).toBe('LOCKED');
+
+        const lockedItem = await outfitGenerationService.regenerateOutfits(sessionId, DETAILS, CLOSET, {
+            ...options,
+            day: lockedItemDay,
+            slot: 'footwear'
+        });
+        expect(lockedItem.error.code).toBe('LOCKED');
+
+        const wholeDay = await outfitGenerationService.regenerateOutfits(sessionId, DETAILS, CLOSET, { ...options, day: lockedItemDay });
+        expect(wholeDay.success).toBe(true);
+        expect(wholeDay.data.outfit.items.footwear.sku).toBe('CLOC005');
+    });
+});
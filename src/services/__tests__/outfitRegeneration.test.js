@@ -0,0 +1,183 @@
+/**
+ * Tests for regenerating a single day or swapping a single slot
+ */
+
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+import { OfflineOutfitSolver } from '../OfflineOutfitSolver';
+
+// Two options per slot so any slot can be swapped, plus an accessory the swaps must keep
+const ITEMS = [
+    { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', weatherSuitability: 'warm', price: 25, colors: 'white', formality: 'casual' },
+    { sku: 'SKU005', name: 'Striped Breton Top', category: 'topwear', weatherSuitability: 'mild', price: 40, colors: 'navy', formality: 'casual' },
+    { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', weatherSuitability: 'mild', price: 60, colors: 'blue', formality: 'casual' },
+    { sku: 'SKU006', name: 'Chino Shorts', category: 'bottomwear', weatherSuitability: 'warm', price: 45, colors: 'khaki', formality: 'casual' },
+    { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', weatherSuitability: 'mild', price: 85, colors: 'white', formality: 'casual' },
+    { sku: 'SKU013', name: 'Canvas Espadrilles', category: 'footwear', weatherSuitability: 'warm', price: 50, colors: 'navy', formality: 'casual' },
+    { sku: 'SKU018', name: 'Straw Hat', category: 'accessories', weatherSuitability: 'warm', price: 30, colors: 'natural', formality: 'casual' }
+];
+
+const DETAILS = { occasion: 'vacation', duration: 3, dressCode: 'casual', location: 'Lisbon' };
+
+const solveTrip = (items) => {
+    const outfitData = new OfflineOutfitSolver().solve({ eventDetails: DETAILS, items });
+    const outfits = outfitGenerationService.hydrateOutfits(
+        outfitData,
+        new Map(items.map(item => [item.sku, item])),
+        'trip-1'
+    );
+    return { outfits, reusabilityAnalysis: outfitGenerationService.calculateReusabilityMetrics(outfits) };
+};
+
+describe('Outfit regeneration', () => {
+    let originalProvider;
+
+    beforeEach(() => {
+        originalProvider = bedrockService.provider;
+        jest.spyOn(clothingDatasetService, 'getDataset').mockResolvedValue(catalogNormalizer.buildDataset(ITEMS));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        jest.restoreAllMocks();
+    });
+
+    test('solver keeps pinned days, fixed slots and avoids the replaced items', () => {
+        const { outfits } = solveTrip(ITEMS);
+        const constraints = outfitGenerationService.buildRegenerationConstraints(outfits, 2, 'topwear');
+
+        const result = new OfflineOutfitSolver().solve({ eventDetails: DETAILS, items: ITEMS, constraints });
+        const [day1, day2, day3] = result.dailyOutfits;
+
+        expect(day1.outfit).toEqual(constraints.pinnedOutfits[0].outfit);
+        expect(day3.outfit).toEqual(constraints.pinnedOutfits[1].outfit);
+        expect(day2.outfit.bottomwear.sku).toBe(outfits[2].items.bottomwear.sku);
+        expect(day2.outfit.footwear.sku).toBe(outfits[2].items.footwear.sku);
+        expect(day2.outfit.topwear.sku).not.toBe(outfits[2].items.topwear.sku);
+    });
+
+    test('regenerates one day through the model while the other days stay pinned', async () => {
+        bedrockService.setProvider(new MockLLMProvider());
+        const { outfits, reusabilityAnalysis } = solveTrip(ITEMS);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            reusabilityAnalysis,
+            day: 2
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.generationMethod).toBe('ai');
+        expect(result.data.outfits[1]).toEqual(outfits[1]);
+        expect(result.data.outfits[3]).toEqual(outfits[3]);
+        expect(result.data.outfit.day).toBe(2);
+        expect(result.data.outfit.items.topwear.sku).not.toBe(outfits[2].items.topwear.sku);
+    });
+
+    test('swaps only the requested slot', async () => {
+        bedrockService.setProvider(new MockLLMProvider());
+        const { outfits, reusabilityAnalysis } = solveTrip(ITEMS);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            reusabilityAnalysis,
+            day: 1,
+            slot: 'footwear'
+        });
+
+        const before = outfits[1].items;
+        const after = result.data.outfit.items;
+        expect(result.success).toBe(true);
+        expect(after.footwear.sku).not.toBe(before.footwear.sku);
+        expect(after.topwear.sku).toBe(before.topwear.sku);
+        expect(after.bottomwear.sku).toBe(before.bottomwear.sku);
+        expect(after.accessories.map(item => item.sku)).toEqual(before.accessories.map(item => item.sku));
+    });
+
+    test('falls back to the offline solver when the model breaks the constraints', async () => {
+        jest.spyOn(bedrockService, 'generateOutfitRecommendations').mockResolvedValue({
+            success: true,
+            data: { dailyOutfits: [{ day: 1, outfit: { topwear: { sku: 'SKU005' } } }] }
+        });
+        const { outfits } = solveTrip(ITEMS);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            day: 1,
+            slot: 'bottomwear'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.generationMethod).toBe('offline-solver');
+        expect(result.data.outfit.items.topwear.sku).toBe(outfits[1].items.topwear.sku);
+        expect(result.data.outfit.items.bottomwear.sku).not.toBe(outfits[1].items.bottomwear.sku);
+    });
+
+    test('reports when a slot has no alternative', async () => {
+        const singleShoe = ITEMS.filter(item => item.sku !== 'SKU013');
+        clothingDatasetService.getDataset.mockResolvedValue(catalogNormalizer.buildDataset(singleShoe));
+        bedrockService.setProvider(new MockLLMProvider());
+        const { outfits } = solveTrip(singleShoe);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            day: 1,
+            slot: 'footwear'
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error.code).toBe('NO_ALTERNATIVE');
+    });
+
+    test('falls back to the offline solver when the model keeps the outfit being replaced', async () => {
+        const { outfits } = solveTrip(ITEMS);
+        jest.spyOn(bedrockService, 'generateOutfitRecommendations').mockResolvedValue({
+            success: true,
+            data: { dailyOutfits: [outfitGenerationService.toScheduleOutfit(outfits[2])] }
+        });
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            day: 2
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.generationMethod).toBe('offline-solver');
+        expect(result.data.outfit.items.topwear.sku).not.toBe(outfits[2].items.topwear.sku);
+    });
+
+    test('reports when a whole day has no alternative', async () => {
+        const onePerSlot = ITEMS.filter(item => ['SKU001', 'SKU002', 'SKU011'].includes(item.sku));
+        clothingDatasetService.getDataset.mockResolvedValue(catalogNormalizer.buildDataset(onePerSlot));
+        bedrockService.setProvider(new MockLLMProvider());
+        const { outfits } = solveTrip(onePerSlot);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            day: 2
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toEqual({ code: 'NO_ALTERNATIVE', message: 'No other outfit fits day 2' });
+    });
+
+    test('updates reusability incrementally to match a full recalculation', async () => {
+        bedrockService.setProvider(new MockLLMProvider());
+        const { outfits, reusabilityAnalysis } = solveTrip(ITEMS);
+
+        const result = await outfitGenerationService.regenerateOutfits('trip-1', DETAILS, [], {
+            outfits,
+            reusabilityAnalysis,
+            day: 3
+        });
+
+        expect(result.data.reusabilityAnalysis).toEqual(
+            outfitGenerationService.calculateReusabilityMetrics(result.data.outfits)
+        );
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for streamed outfit generation and the incremental JSON parser behind it
+ */
+
+import { IncrementalJsonParser } from '../incrementalJsonParser';
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+
+const CATALOG_CSV = [
+    'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+    'SKU001,Classic White T-Shirt,topwear,"casual, basic",warm,25,white,base,casual,Cotton tee',
+    'SKU002,Blue Denim Jeans,bottomwear,versatile,mild,60,blue,base,casual,Straight fit',
+    'SKU011,White Sneakers,footwear,versatile,mild,85,white,footwear,casual,Everyday sneakers'
+].join('\n');
+
+const DETAILS = { occasion: 'vacation', duration: 3, dressCode: 'casual', location: 'Lisbon' };
+
+// Splits text into uneven pieces so braces and strings straddle chunk boundaries
+const chunksOf = (text, size) => {
+    const chunks = [];
+    for (let index = 0; index < text.length; index += size) {
+        chunks.push(text.slice(index, index + size));
+    }
+    return chunks;
+};
+
+describe('IncrementalJsonParser', () => {
+    const document = {
+        tripDetails: { occasion: 'trip', note: 'braces { and } and "quotes" in strings' },
+        dailyOutfits: [
+            { day: 1, outfit: { accessories: [{ sku: 'SKU020' }] } },
+            { day: 2, outfit: { accessories: [] }, styling: { rationale: 'a "dailyOutfits" mention [' } }
+        ],
+        reusabilityAnalysis: { reusabilityMap: { SKU001: [1, 2] } }
+    };
+
+    test('emits each array element once it closes, whatever the chunking', () => {
+        const text = '```json\nHere you go: ' + JSON.stringify(document, null, 2) + '\n```';
+
+        [1, 7, 64].forEach(size => {
+            const seen = [];
+            const parser = new IncrementalJsonParser({ arrayKey: 'dailyOutfits', onElement: (element, index) => seen.push([index, element]) });
+
+            chunksOf(text, size).forEach(chunk => parser.push(chunk));
+
+            expect(seen).toEqual([[0, document.dailyOutfits[0]], [1, document.dailyOutfits[1]]]);
+            expect(parser.getText()).toBe(text);
+        });
+    });
+
+    test('reports the first day before the rest of the response arrives', () => {
+        const text = JSON.stringify(document);
+        const firstDayEnd = text.indexOf('},{"day":2') + 1;
+        const parser = new IncrementalJsonParser({ arrayKey: 'dailyOutfits' });
+
+        expect(parser.push(text.slice(0, firstDayEnd - 1))).toEqual([]);
+        expect(parser.push(text.slice(firstDayEnd - 1, firstDayEnd))).toEqual([document.dailyOutfits[0]]);
+        expect(parser.push(text.slice(firstDayEnd))).toEqual([document.dailyOutfits[1]]);
+    });
+
+    test('ignores nested arrays with the same key', () => {
+        const parser = new IncrementalJsonParser({ arrayKey: 'dailyOutfits' });
+
+        expect(parser.push('{"plan":{"dailyOutfits":[{"day":1}]},"dailyOutfits":[{"day":2}]}')).toEqual([{ day: 2 }]);
+    });
+});
+
+describe('streamed outfit generation', () => {
+    const sessionId = 'stream-session';
+    let originalProvider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        originalProvider = bedrockService.provider;
+        jest.spyOn(clothingDatasetService, 'getDataset')
+            .mockResolvedValue(catalogNormalizer.buildDataset(catalogNormalizer.normalizeCSV(CATALOG_CSV).data.items));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Three days in Lisbon' });
+        contextAccumulator.addConfirmedDetails(sessionId, DETAILS);
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        jest.restoreAllMocks();
+    });
+
+    test('hands over each hydrated day while the response streams in', async () => {
+        const provider = new MockLLMProvider({ chunkSize: 16 });
+        bedrockService.setProvider(provider);
+        const streamed = [];
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, [], {
+            onOutfit: outfit => streamed.push(outfit)
+        });
+
+        expect(result.success).toBe(true);
+        expect(provider.calls.map(call => call.method)).toEqual(['stream']);
+        expect(streamed.map(outfit => outfit.day)).toEqual([1, 2, 3]);
+        expect(streamed[0].items.topwear).toMatchObject({ sku: 'SKU001', name: 'Classic White T-Shirt' });
+        expect(streamed).toEqual(Object.values(result.data.outfits).map(outfit => ({
+            ...outfit,
+            createdAt: expect.any(String),
+            updatedAt: expect.any(String)
+        })));
+    });
+
+    test('stops mid-stream when cancelled instead of falling back to the offline solver', async () => {
+        bedrockService.setProvider(new MockLLMProvider({ chunkSize: 16 }));
+        const controller = new AbortController();
+        const fallback = jest.spyOn(bedrockService, 'createFallbackOutfitData');
+        const streamed = [];
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, [], {
+            signal: controller.signal,
+            onOutfit: outfit => {
+                streamed.push(outfit.day);
+                controller.abort();
+            }
+        });
+
+        expect(result).toEqual({ success: false, error: { code: 'CANCELLED', message: 'Outfit generation was cancelled' } });
+        expect(streamed).toEqual([1]);
+        expect(fallback).not.toHaveBeenCalled();
+    });
+});
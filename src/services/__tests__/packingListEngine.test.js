@@ -0,0 +1,99 @@
+/**
+ * Tests for the packing list engine
+ */
+
+import { PackingListEngine } from '../PackingListEngine';
+
+const TEE = { sku: 'SKU001', name: 'White Tee', category: 'topwear', price: 25 };
+const SHIRT = { sku: 'CLOC001', name: 'Linen Shirt', category: 'topwear', price: 0 };
+const JEANS = { sku: 'SKU002', name: 'Jeans', category: 'bottomwear', price: 60 };
+const SNEAKERS = { sku: 'SKU011', name: 'Sneakers', category: 'footwear', price: 85 };
+const SANDALS = { sku: 'SKU013', name: 'Sandals', category: 'footwear', price: 50 };
+const COAT = { sku: 'SKU004', name: 'Trench', category: 'outerwear', price: 150 };
+
+const buildTrip = (days) => Object.fromEntries(Array.from({ length: days }, (_, index) => {
+    const day = index + 1;
+    return [day, {
+        day,
+        items: {
+            topwear: day % 2 ? SHIRT : TEE,
+            bottomwear: JEANS,
+            footwear: day === 2 ? SANDALS : SNEAKERS,
+            outerwear: day === 1 ? COAT : null
+        }
+    }];
+}));
+
+describe('PackingListEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new PackingListEngine();
+    });
+
+    test('lists each garment once with how often it is worn', () => {
+        const list = engine.buildPackingList(buildTrip(3), { closetSkus: new Set() });
+
+        const jeans = list.items.find(item => item.sku === 'SKU002');
+        expect(list.items).toHaveLength(6);
+        expect(jeans).toMatchObject({ wears: 3, days: [1, 2, 3], quantity: 1, slots: ['bottomwear'] });
+        expect(list.totals).toMatchObject({ pieces: 6, closet: 1, catalog: 5, reused: 3, price: 370 });
+    });
+
+    test('sizes socks and underwear to the days between washes', () => {
+        const noLaundry = engine.buildPackingList(buildTrip(6));
+        const withLaundry = engine.buildPackingList(buildTrip(6), { laundryDay: 2 });
+
+        const quantity = (list, id) => list.essentials.find(entry => entry.id === id).quantity;
+        expect(noLaundry.laundry).toEqual({ day: null, daysCovered: 6 });
+        expect(quantity(noLaundry, 'socks')).toBe(7);
+        expect(withLaundry.laundry).toEqual({ day: 2, daysCovered: 4 });
+        expect(quantity(withLaundry, 'underwear')).toBe(5);
+        expect(quantity(withLaundry, 'sleepwear')).toBe(1);
+    });
+
+    test('ignores a laundry day outside the trip', () => {
+        expect(engine.buildPackingList(buildTrip(3), { laundryDay: 3 }).laundry.day).toBeNull();
+    });
+
+    test('wears the bulkiest coat and shoes on the travel day instead of packing them', () => {
+        const list = engine.buildPackingList(buildTrip(3));
+        const travelling = list.items.filter(item => item.wornOnTravelDay).map(item => item.sku).sort();
+
+        expect(travelling).toEqual(['SKU004', 'SKU011']);
+        // Shirt, tee, jeans, sandals plus essentials for three days
+        expect(list.totals.weight).toBe(3.4);
+        expect(list.totals.volume).toBe(17);
+    });
+
+    test('fits a short trip in a carry-on', () => {
+        const list = engine.buildPackingList(buildTrip(3), { luggage: 'carry-on' });
+
+        expect(list.luggage).toMatchObject({ type: 'carry-on', fits: true, overflow: { weight: 0, volume: 0 } });
+        expect(list.suggestions).toEqual([]);
+    });
+
+    test('flags overflow and suggests a laundry day and the least-worn pieces to drop', () => {
+        const bulky = Array.from({ length: 6 }, (_, index) => ({
+            sku: `SKU1${index}`,
+            name: `Boots ${index}`,
+            category: 'footwear'
+        }));
+        const outfits = buildTrip(8);
+        bulky.forEach((boots, index) => {
+            outfits[index + 1].items.footwear = boots;
+        });
+
+        const list = engine.buildPackingList(outfits, { luggage: 'carry-on' });
+
+        expect(list.luggage.fits).toBe(false);
+        expect(list.luggage.overflow.volume).toBeGreaterThan(0);
+        expect(list.suggestions[0]).toMatchObject({ type: 'laundry', laundryDay: 4 });
+        expect(list.suggestions.slice(1).every(suggestion => suggestion.type === 'item')).toBe(true);
+        expect(list.suggestions[1].reason).toContain('Only worn on day');
+
+        const saved = list.suggestions.reduce((total, suggestion) => total + suggestion.saves.volume, 0);
+        expect(saved).toBeGreaterThanOrEqual(list.luggage.overflow.volume);
+        expect(engine.buildPackingList(outfits, { luggage: 'checked' }).luggage.fits).toBe(true);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for outfit ratings and the preference profile they feed into generation
+ */
+
+import { PreferenceProfileService, createEmptyProfile } from '../preferenceProfileService';
+import { ReusabilityOptimizer } from '../ReusabilityOptimizer';
+import { OfflineOutfitSolver } from '../OfflineOutfitSolver';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+
+const ITEMS = {
+    tee: { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', price: 25, colors: 'white', weatherSuitability: 'mild', formality: 'casual', tags: ['basic'] },
+    breton: { sku: 'SKU005', name: 'Striped Breton Top', category: 'topwear', price: 40, colors: 'navy, white', weatherSuitability: 'mild', formality: 'casual', tags: ['casual'] },
+    blouse: { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70, colors: 'cream', weatherSuitability: 'mild', formality: 'formal', tags: ['elegant'] },
+    jeans: { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, colors: 'blue', weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] },
+    trousers: { sku: 'SKU010', name: 'Tailored Trousers', category: 'bottomwear', price: 90, colors: 'black', weatherSuitability: 'mild', formality: 'formal', tags: ['classic'] },
+    sneakers: { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, colors: 'white', weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] }
+};
+
+const target = (day, items, slot = null) => ({ tripId: 'trip-1', day, slot, items });
+
+describe('Preference profile', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new PreferenceProfileService();
+    });
+
+    test('records, replaces and clears ratings on outfits and pieces', () => {
+        const outfit = target(1, [ITEMS.tee, ITEMS.jeans, ITEMS.sneakers]);
+        let profile = service.rate(createEmptyProfile(), outfit, 'up', ['color', 'too-formal', 'color']).data;
+
+        expect(service.getRating(profile, outfit)).toEqual({ rating: 'up', reasons: ['color'] });
+        // Outfit ratings are keyed by what was worn, not by the order of the slots
+        expect(service.getRating(profile, target(1, [ITEMS.sneakers, ITEMS.tee, ITEMS.jeans]))).not.toBeNull();
+        expect(service.getRating(profile, target(1, [ITEMS.jeans], 'bottomwear'))).toBeNull();
+
+        profile = service.rate(profile, outfit, 'down', ['uncomfortable']).data;
+        expect(Object.keys(profile.ratings)).toHaveLength(1);
+        expect(service.getRating(profile, outfit)).toEqual({ rating: 'down', reasons: ['uncomfortable'] });
+
+        profile = service.rate(profile, outfit, null).data;
+        expect(profile.ratings).toEqual({});
+
+        expect(service.rate(profile, target(1, []), 'up').error.code).toBe('INVALID_TARGET');
+        expect(service.rate(profile, outfit, 'meh').error.code).toBe('INVALID_RATING');
+    });
+
+    test('learns liked and disliked colors, SKUs and formality from ratings', () => {
+        let profile = createEmptyProfile();
+        profile = service.rate(profile, target(1, [ITEMS.breton], 'topwear'), 'up', ['color']).data;
+        profile = service.rate(profile, target(2, [ITEMS.blouse], 'topwear'), 'down', ['too-formal']).data;
+        profile = service.rate(profile, target(2, [ITEMS.blouse, ITEMS.trousers, ITEMS.sneakers]), 'down', ['color']).data;
+
+        expect(service.getPreferences(profile)).toEqual({
+            ratingCount: 3,
+            likedColors: ['navy', 'white'],
+            dislikedColors: ['cream', 'black'],
+            likedSkus: ['SKU005'],
+            dislikedSkus: ['SKU007'],
+            formalityComfort: { casual: 0.25, formal: -0.5 }
+        });
+        expect(service.getPreferences(null)).toMatchObject({ ratingCount: 0, likedSkus: [], formalityComfort: {} });
+    });
+
+    test('scores items by their affinity with the preferences', () => {
+        const optimizer = new ReusabilityOptimizer();
+        const preferences = {
+            likedColors: ['navy'],
+            dislikedColors: ['cream'],
+            likedSkus: ['SKU005'],
+            dislikedSkus: ['SKU007'],
+            formalityComfort: { formal: -0.75 }
+        };
+
+        expect(optimizer.calculatePreferenceAffinity(ITEMS.breton, preferences)).toBeCloseTo(0.8);
+        expect(optimizer.calculatePreferenceAffinity(ITEMS.blouse, preferences)).toBe(-1);
+        expect(optimizer.calculatePreferenceAffinity(ITEMS.tee, null)).toBe(0);
+
+        const items = [ITEMS.tee, ITEMS.breton, ITEMS.blouse];
+        const neutral = optimizer.calculateReusabilityScores(items, {});
+        const personal = optimizer.calculateReusabilityScores(items, { preferences });
+
+        expect(personal.get('SKU005')).toBeGreaterThan(neutral.get('SKU005'));
+        expect(personal.get('SKU007')).toBeLessThan(neutral.get('SKU007'));
+        expect(personal.get('SKU001')).toBe(neutral.get('SKU001'));
+    });
+
+    test('steers the offline solver away from disliked pieces within the dress code', () => {
+        const params = {
+            eventDetails: { occasion: 'vacation', duration: 1, dressCode: 'casual' },
+            items: Object.values(ITEMS)
+        };
+        const top = result => result.dailyOutfits[0].outfit.topwear.sku;
+        const preferences = dislikedSkus => ({ ratingCount: 1, likedColors: [], dislikedColors: [], likedSkus: [], dislikedSkus, formalityComfort: {} });
+
+        const usual = top(new OfflineOutfitSolver().solve(params));
+        const personal = top(new OfflineOutfitSolver().solve({ ...params, preferences: preferences([usual]) }));
+
+        expect(['SKU001', 'SKU005']).toContain(personal);
+        expect(personal).not.toBe(usual);
+
+        // Preferences rank candidates; they never override the dress code
+        const formal = { ...params, eventDetails: { ...params.eventDetails, dressCode: 'formal' } };
+        expect(top(new OfflineOutfitSolver().solve({ ...formal, preferences: preferences(['SKU007']) }))).toBe('SKU007');
+    });
+
+    test('passes the preferences through the context into the prompt', () => {
+        const sessionId = 'preference-session';
+        const details = { occasion: 'vacation', duration: 2, dressCode: 'casual', location: 'Lisbon' };
+        localStorage.clear();
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Two days in Lisbon' });
+        contextAccumulator.addConfirmedDetails(sessionId, details);
+
+        contextAccumulator.setPreferences(sessionId, service.getPreferences(createEmptyProfile()));
+        let summary = contextAccumulator.generateContextSummary(sessionId);
+        expect(summary.preferences).toBeNull();
+        expect(bedrockService.buildOutfitGenerationPrompt(details, '', summary)).not.toContain('TRAVELER PREFERENCES');
+
+        const profile = service.rate(createEmptyProfile(), target(1, [ITEMS.blouse], 'topwear'), 'down', ['color']).data;
+        contextAccumulator.setPreferences(sessionId, service.getPreferences(profile));
+        summary = contextAccumulator.generateContextSummary(sessionId);
+
+        const prompt = bedrockService.buildOutfitGenerationPrompt(details, '', summary);
+        expect(prompt).toContain('TRAVELER PREFERENCES (from ratings of earlier outfits):');
+        expect(prompt).toContain('"dislikedSkus": [\n    "SKU007"\n  ]');
+        expect(prompt).toContain('"cream"');
+    });
+});
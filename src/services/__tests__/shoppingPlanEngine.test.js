@@ -0,0 +1,100 @@
+/**
+ * Tests for the budget-aware shopping plan
+ */
+
+import { ShoppingPlanEngine } from '../ShoppingPlanEngine';
+
+const ITEMS = {
+    closetTee: { sku: 'CLOC001', name: 'Closet Linen Shirt', category: 'topwear', price: 40, colors: 'white', formality: 'casual' },
+    blouse: { sku: 'SKU007', name: 'Silk Blouse', category: 'topwear', price: 70, colors: 'cream', formality: 'casual' },
+    jeans: { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, colors: 'blue', formality: 'casual' },
+    sneakers: { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, colors: 'white', formality: 'casual' },
+    trench: { sku: 'SKU029', name: 'Waterproof Trench', category: 'outerwear', price: 150, colors: 'beige', formality: 'casual' }
+};
+
+const CATALOG = [
+    ...Object.values(ITEMS),
+    { sku: 'SKU013', name: 'Canvas Espadrilles', category: 'footwear', price: 50, colors: 'navy', formality: 'casual' },
+    { sku: 'SKU014', name: 'Red Ballet Flats', category: 'footwear', price: 40, colors: 'red', formality: 'casual' },
+    { sku: 'SKU015', name: 'Patent Pumps', category: 'footwear', price: 45, colors: 'black', formality: 'formal' },
+    { sku: 'SKU016', name: 'Cream Tee', category: 'topwear', price: 20, colors: 'cream', formality: 'casual' },
+    { sku: 'SKU017', name: 'Beige Cotton Jacket', category: 'outerwear', price: 90, colors: 'beige', formality: 'casual' }
+];
+
+const bySku = sku => CATALOG.find(item => item.sku === sku);
+
+const OUTFITS = {
+    1: { day: 1, items: { topwear: ITEMS.closetTee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, outerwear: ITEMS.trench } },
+    2: { day: 2, items: { topwear: ITEMS.blouse, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers } }
+};
+
+describe('ShoppingPlanEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new ShoppingPlanEngine();
+    });
+
+    test('charges only catalog pieces and compares the total with the budget', () => {
+        const plan = engine.buildShoppingPlan(OUTFITS, { budget: 400, catalog: CATALOG, closetSkus: new Set(['SKU007']) });
+
+        expect(plan.totals).toMatchObject({
+            closet: 2,
+            catalog: 3,
+            spend: 295,
+            budget: 400,
+            remaining: 105,
+            overBudget: false
+        });
+        expect(plan.items.find(item => item.sku === 'SKU011')).toMatchObject({ fromCloset: false, wears: 2, cost: 85, costPerWear: 42.5 });
+        expect(plan.items.find(item => item.sku === 'CLOC001')).toMatchObject({ fromCloset: true, cost: 0 });
+        expect(plan.substitutes).toEqual([]);
+        expect(plan.projection).toBeNull();
+    });
+
+    test('offers cheaper substitutes in the same category, formality and color family', () => {
+        const plan = engine.buildShoppingPlan(OUTFITS, { budget: 300, catalog: CATALOG });
+
+        expect(plan.totals).toMatchObject({ spend: 365, overBudget: true, remaining: -65 });
+
+        const sneakers = plan.substitutes.find(entry => entry.sku === 'SKU011');
+        // Navy espadrilles share the neutral family; red flats and formal pumps don't qualify
+        expect(sneakers.alternatives.map(alternative => alternative.item.sku)).toEqual(['SKU013']);
+        expect(sneakers.alternatives[0]).toMatchObject({ saves: 35, spend: 330, costPerWear: 25 });
+
+        const blouse = plan.substitutes.find(entry => entry.sku === 'SKU007');
+        expect(blouse.alternatives[0]).toMatchObject({ item: expect.objectContaining({ sku: 'SKU016' }), saves: 50 });
+    });
+
+    test('ranks substitutes by cost efficiency before cost-per-wear', () => {
+        const outfits = {
+            1: { day: 1, items: { topwear: ITEMS.blouse, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers } },
+            2: { day: 2, items: { topwear: bySku('SKU016'), bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers } }
+        };
+        const catalog = [...CATALOG, { sku: 'SKU019', name: 'Ivory Tank', category: 'topwear', price: 10, colors: 'ivory', formality: 'casual' }];
+
+        const plan = engine.buildShoppingPlan(outfits, { budget: 150, catalog });
+        const [best, next] = plan.substitutes.find(entry => entry.sku === 'SKU007').alternatives;
+
+        // The cream tee is already worn on day 2, so reusing it beats the cheaper tank
+        expect(best).toMatchObject({ item: expect.objectContaining({ sku: 'SKU016' }), saves: 70 });
+        expect(best.costEfficiency).toBeGreaterThan(next.costEfficiency);
+        expect(next.item.sku).toBe('SKU019');
+    });
+
+    test('projects swaps that bring the plan under budget and applies them to every day', () => {
+        const plan = engine.buildShoppingPlan(OUTFITS, { budget: 300, catalog: CATALOG, lockedSkus: new Set(['SKU029']) });
+
+        expect(plan.substitutes.map(entry => entry.sku)).not.toContain('SKU029');
+        expect(plan.projection).toEqual({
+            swaps: [{ from: 'SKU007', to: 'SKU016', saves: 50 }, { from: 'SKU011', to: 'SKU013', saves: 35 }],
+            spend: 280,
+            fitsBudget: true
+        });
+
+        const swapped = engine.applySubstitute(OUTFITS, 'SKU011', bySku('SKU013'));
+        expect(swapped[1].items.footwear.sku).toBe('SKU013');
+        expect(swapped[2].items.footwear.sku).toBe('SKU013');
+        expect(OUTFITS[1].items.footwear.sku).toBe('SKU011');
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for the style profile: validation, the catalog filter and outfit generation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import styleProfileService, { createDefaultStyleProfile } from '../styleProfileService';
+import { ClothingAnalysisEngine } from '../ClothingAnalysisEngine';
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+import { buildOutfitGenerationResponse } from '../../data/llmFixtures';
+
+const CATALOG_CSV = [
+    'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes,fit,coverage,heel_height,presentation',
+    'SKU001,Classic White T-Shirt,topwear,basic,mild,25,white,base,casual,Cotton tee,regular,moderate,,unisex',
+    'SKU026,Padded Sports Bra,topwear,athletic,mild,30,grey,base,casual,Gym top,slim,minimal,,feminine',
+    'SKU014,Linen Button-Up Shirt,topwear,resort,mild,45,light blue,base,casual,Linen shirt,relaxed,moderate,,unisex',
+    'SKU002,Blue Denim Jeans,bottomwear,versatile,mild,60,blue,base,casual,Straight fit,regular,full,,unisex',
+    'SKU016,Cocktail Dress,dress,evening,mild,150,red,base,casual,Satin dress,slim,minimal,,feminine',
+    'SKU030,Formal Heels,footwear,elegant,mild,90,nude,base,casual,Pumps,slim,,8,feminine',
+    'SKU011,White Sneakers,footwear,versatile,mild,85,white,base,casual,Everyday sneakers,regular,,2,unisex',
+    'SKU012,Leather Dress Shoes,footwear,business,mild,130,black,base,casual,Oxfords,regular,,2.5,masculine'
+].join('\n');
+
+const CLOSET = [
+    { sku: 'CLOC001', name: 'Silk Camisole', category: 'topwear', colors: 'red', formality: 'casual', weatherSuitability: 'mild' }
+];
+
+const PROFILE = {
+    name: '  Ines  Taleb ',
+    genderPresentation: 'Feminine',
+    fits: 'regular, relaxed',
+    preferredColors: 'Navy, cream',
+    avoidedColors: ['Red'],
+    maxHeelHeight: '4',
+    modesty: 'moderate',
+    culturalNotes: 'Visiting mosques: pack a headscarf'
+};
+
+const DETAILS = { occasion: 'vacation', duration: 2, dressCode: 'casual', location: 'Marrakech' };
+
+const readPublicCSV = (fileName) => fs.readFileSync(path.join(__dirname, '../../../public', fileName), 'utf8');
+
+describe('Style profile', () => {
+    test('validates and normalizes the profile', () => {
+        const result = styleProfileService.validateProfile(PROFILE);
+
+        expect(result.data).toEqual({
+            name: 'Ines  Taleb',
+            genderPresentation: 'feminine',
+            fits: ['regular', 'relaxed'],
+            preferredColors: ['navy', 'cream'],
+            avoidedColors: ['red'],
+            maxHeelHeight: 4,
+            modesty: 'moderate',
+            culturalNotes: 'Visiting mosques: pack a headscarf'
+        });
+        expect(styleProfileService.getInitials(result.data)).toBe('IT');
+        expect(styleProfileService.hasRules(createDefaultStyleProfile())).toBe(false);
+        expect(styleProfileService.describeRules(result.data)).toContain('Heels no higher than 4 cm');
+
+        const invalid = styleProfileService.validateProfile({ fits: ['baggy'], preferredColors: 'red', avoidedColors: 'red', maxHeelHeight: 'tall' });
+        expect(invalid.error.code).toBe('VALIDATION_ERROR');
+        expect(invalid.error.fields.map(({ field }) => field).sort()).toEqual(['fits', 'maxHeelHeight']);
+        // The color conflict is reported once the fields themselves are valid
+        expect(styleProfileService.validateProfile({ preferredColors: 'red', avoidedColors: 'Red' }).error.fields)
+            .toEqual([{ field: 'avoidedColors', reason: 'A color cannot be both preferred and avoided' }]);
+    });
+
+    test('filters the catalog through filterByCriteria, passing items without the attribute', () => {
+        const engine = new ClothingAnalysisEngine();
+        const profile = styleProfileService.validateProfile(PROFILE).data;
+        const items = [...catalogNormalizer.normalizeCSV(CATALOG_CSV).data.items, ...CLOSET];
+
+        expect(engine.filterByCriteria(items, { styleProfile: profile }).map(item => item.sku))
+            .toEqual(['SKU001', 'SKU014', 'SKU002', 'SKU011']);
+        expect(engine.getStyleProfileViolations(items.find(item => item.sku === 'SKU016'), profile))
+            .toEqual(['fit', 'color', 'coverage']);
+        expect(engine.getStyleProfileViolations(items.find(item => item.sku === 'SKU030'), profile))
+            .toEqual(['fit', 'heelHeight']);
+        expect(engine.filterByCriteria(items, { styleProfile: createDefaultStyleProfile() })).toHaveLength(items.length);
+    });
+
+    test('reads style attributes from the catalog', () => {
+        const { items } = catalogNormalizer.normalizeCSV(readPublicCSV('clothing_dataset.csv')).data;
+
+        expect(items.find(item => item.sku === 'SKU030')).toMatchObject({ fit: 'slim', heelHeight: 8, presentation: 'feminine' });
+        expect(items.find(item => item.sku === 'SKU026')).toMatchObject({ coverage: 'minimal', heelHeight: null });
+    });
+});
+
+describe('Style profile in outfit generation', () => {
+    const sessionId = 'style-session';
+    let originalProvider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        originalProvider = bedrockService.provider;
+        jest.spyOn(clothingDatasetService, 'getDataset')
+            .mockResolvedValue(catalogNormalizer.buildDataset(catalogNormalizer.normalizeCSV(CATALOG_CSV).data.items));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Two days in Marrakech' });
+        contextAccumulator.addConfirmedDetails(sessionId, DETAILS);
+        contextAccumulator.setStyleProfile(sessionId, styleProfileService.validateProfile(PROFILE).data);
+    });
+
+    afterEach(() => {
+        bedrockService.setProvider(originalProvider);
+        jest.restoreAllMocks();
+    });
+
+    test('only offers the model pieces that fit the profile and spells out its rules', async () => {
+        const provider = new MockLLMProvider();
+        bedrockService.setProvider(provider);
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+        const { prompt } = provider.calls[0].request;
+
+        expect(result.success).toBe(true);
+        expect(prompt).toContain('"genderPresentation": "feminine"');
+        expect(prompt).toContain('STYLE PROFILE (set by the traveler');
+        expect(prompt).toContain('- Never use these colors: red');
+        expect(prompt).toContain('- Cultural dress considerations: Visiting mosques: pack a headscarf');
+        ['SKU026', 'SKU016', 'SKU030', 'SKU012', 'CLOC001'].forEach(sku => expect(prompt).not.toMatch(new RegExp(`^${sku},`, 'm')));
+    });
+
+    test('falls back to the offline solver when the model picks a piece the profile rules out', async () => {
+        bedrockService.setProvider(new MockLLMProvider({
+            fixtures: [{ match: 'AVAILABLE CLOTHING ITEMS (CSV)', response: () => buildOutfitGenerationResponse(CATALOG_CSV.replace(/^SKU001,.*$/m, '')) }]
+        }));
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+        const worn = Object.values(result.data.outfits).flatMap(outfit => outfitGenerationService.getOutfitSkus(outfit));
+
+        expect(result.data.generationMethod).toBe('offline-solver');
+        worn.forEach(sku => expect(['SKU001', 'SKU014', 'SKU002', 'SKU011']).toContain(sku));
+    });
+
+    test('keeps a locked piece even when the profile rules it out', async () => {
+        contextAccumulator.setLocks(sessionId, { items: ['SKU030'], days: {} });
+        bedrockService.setProvider(new MockLLMProvider());
+
+        const result = await outfitGenerationService.generateOutfits(sessionId, DETAILS, CLOSET);
+        const worn = Object.values(result.data.outfits).flatMap(outfit => outfitGenerationService.getOutfitSkus(outfit));
+
+        expect(worn).toContain('SKU030');
+        expect(worn).not.toContain('SKU012');
+    });
+
+    test('leaves the prompt unrestricted without a profile', () => {
+        contextAccumulator.setStyleProfile(sessionId, null);
+        const prompt = bedrockService.buildOutfitGenerationPrompt(DETAILS, CATALOG_CSV, contextAccumulator.generateContextSummary(sessionId));
+
+        expect(prompt).toContain('"genderPresentation": "unspecified"');
+        expect(prompt).not.toContain('STYLE PROFILE');
+        expect(prompt).not.toContain('female');
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for natural-language dates and durations in rule-based extraction
+ */
+
+import { parseTemporalExpressions } from '../temporalParser';
+import eventExtractionService from '../eventExtractionService';
+import bedrockService from '../bedrockService';
+
+// A Monday
+const REFERENCE = { referenceDate: '2026-10-19' };
+
+const parse = (text, options = REFERENCE) => parseTemporalExpressions(text, options);
+
+describe('parseTemporalExpressions', () => {
+    test('reads explicit dates and ranges, rolling dates without a year forward', () => {
+        expect(parse('Lisbon March 14-18')).toEqual({
+            startDate: '2027-03-14',
+            endDate: '2027-03-18',
+            duration: 5,
+            confidence: { startDate: 0.9, endDate: 0.9, duration: 0.9 }
+        });
+        expect(parse('28 March to 2 April 2027')).toMatchObject({ startDate: '2027-03-28', endDate: '2027-04-02', duration: 6 });
+        expect(parse('from the 14th to the 18th of March')).toMatchObject({ startDate: '2027-03-14', endDate: '2027-03-18', duration: 5 });
+        expect(parse('Dec 28 - Jan 3')).toMatchObject({ startDate: '2026-12-28', endDate: '2027-01-03', duration: 7 });
+        expect(parse('wedding on 2026-11-02')).toMatchObject({ startDate: '2026-11-02', endDate: null, duration: null });
+        expect(parse('the 5th of November').startDate).toBe('2026-11-05');
+        expect(parse('February 30').startDate).toBeNull();
+    });
+
+    test('reads numeric dates day-first unless the numbers or options say otherwise', () => {
+        expect(parse('leaving 14/03 for 5 days')).toMatchObject({
+            startDate: '2027-03-14',
+            endDate: '2027-03-18',
+            duration: 5,
+            confidence: { startDate: 0.9, endDate: 0.81, duration: 0.95 }
+        });
+        expect(parse('03/14/2027').startDate).toBe('2027-03-14');
+        expect(parse('04/03/2027')).toMatchObject({ startDate: '2027-03-04', confidence: { startDate: 0.6 } });
+        expect(parse('04/03/2027', { ...REFERENCE, dayFirst: false }).startDate).toBe('2027-04-03');
+    });
+
+    test('resolves relative days, weekdays and weekday ranges', () => {
+        expect(parse('from Friday to Tuesday')).toMatchObject({ startDate: '2026-10-23', endDate: '2026-10-27', duration: 5 });
+        expect(parse('tomorrow')).toMatchObject({ startDate: '2026-10-20', confidence: { startDate: 0.95 } });
+        expect(parse('the day after tomorrow').startDate).toBe('2026-10-21');
+        expect(parse('in 2 weeks').startDate).toBe('2026-11-02');
+        expect(parse('next week').startDate).toBe('2026-10-26');
+        // On a Monday, "next Friday" skips this week's Friday
+        expect(parse('next friday for three days')).toMatchObject({ startDate: '2026-10-30', endDate: '2026-11-01', confidence: { startDate: 0.7 } });
+        expect(parse('on Friday').startDate).toBe('2026-10-23');
+        expect(parse('until Sunday, 4 days')).toMatchObject({ startDate: '2026-10-22', endDate: '2026-10-25', duration: 4 });
+    });
+
+    test('reads word numbers, nights, weekends and vague lengths', () => {
+        expect(parse('a week in Rome')).toMatchObject({ startDate: null, duration: 7, confidence: { duration: 0.95 } });
+        expect(parse('two nights in Paris')).toMatchObject({ duration: 2, confidence: { duration: 0.85 } });
+        expect(parse('a fortnight away').duration).toBe(14);
+        expect(parse('a few days in Oslo')).toMatchObject({ duration: 3, confidence: { duration: 0.5 } });
+        expect(parse('long weekend in Montreal')).toMatchObject({ startDate: null, duration: 3, confidence: { duration: 0.7 } });
+        expect(parse('this long weekend')).toMatchObject({ startDate: '2026-10-23', endDate: '2026-10-25' });
+        expect(parse('this weekend')).toMatchObject({ startDate: '2026-10-24', endDate: '2026-10-25', duration: 2 });
+        // A stated length beats the one "weekend" implies
+        expect(parse('5 days over the weekend').duration).toBe(5);
+    });
+
+    test('ignores words that only look like dates', () => {
+        expect(parse('sun hat and 20 outfits for a marathon')).toEqual({
+            startDate: null,
+            endDate: null,
+            duration: null,
+            confidence: { startDate: 0, endDate: 0, duration: 0 }
+        });
+    });
+});
+
+describe('temporal parsing in offline extraction', () => {
+    beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2026-10-19T12:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('extractWithRules fills startDate, endDate and duration with per-field confidence', () => {
+        const result = eventExtractionService.extractWithRules('Vacation in Lisbon March 14-18');
+
+        expect(result).toMatchObject({
+            startDate: '2027-03-14',
+            endDate: '2027-03-18',
+            duration: 5,
+            fieldConfidence: { startDate: 0.9, endDate: 0.9, duration: 0.9 }
+        });
+        expect(result.needsClarification).not.toContain('start date');
+        expect(eventExtractionService.extractWithRules('a weekend trip').duration).toBe(2);
+        expect(eventExtractionService.extractWithRules('conference').fieldConfidence.duration).toBe(0);
+    });
+
+    test('multi-stop trips keep the leg total and date the end from it', () => {
+        const result = eventExtractionService.extractWithRules('3 days Lisbon then 4 days Berlin from 2026-11-02');
+
+        expect(result).toMatchObject({ startDate: '2026-11-02', endDate: '2026-11-08', duration: 7 });
+    });
+
+    test('the fallback response of the schema extraction uses the parser too', () => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        const { data } = bedrockService.createFallbackResponse('Wedding in Paris, two nights from Friday');
+        jest.restoreAllMocks();
+
+        expect(data).toMatchObject({ startDate: '2026-10-23', endDate: '2026-10-24', duration: 2, needsClarification: [] });
+        expect(data.dailyPlans).toHaveLength(2);
+        // Same per-field confidence as extractWithRules
+        expect(data.fieldConfidence).toEqual(eventExtractionService.extractWithRules('Wedding in Paris, two nights from Friday').fieldConfidence);
+        expect(data.fieldConfidence).toMatchObject({ startDate: 0.8, duration: 0.85 });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for trip export and import
+ */
+
+import { TripExportService } from '../tripExportService';
+import outfitRecommendationSchema from '../../schemas/outfitRecommendationSchema';
+
+const TEE = { sku: 'SKU001', name: 'White Tee', category: 'topwear', price: 25, colors: 'white', image: '/images/tee.jpg' };
+const JEANS = { sku: 'SKU002', name: 'Jeans', category: 'bottomwear', price: 60, colors: 'blue' };
+const SNEAKERS = { sku: 'CLOC005', name: 'Trainers <Grey>', category: 'footwear', price: 0, tags: 'casual' };
+const HAT = { sku: 'SKU018', name: 'Straw Hat', category: 'accessories', price: 30 };
+
+const outfit = (day, rationale) => ({
+    id: `outfit-trip-1-${day}`,
+    name: `Day ${day} Outfit`,
+    day,
+    tripId: 'trip-1',
+    occasion: 'Sightseeing',
+    items: { topwear: TEE, bottomwear: JEANS, footwear: SNEAKERS, outerwear: null, accessories: day === 1 ? [HAT] : [] },
+    styling: {
+        rationale,
+        weatherConsiderations: 'Light layers for 24°C',
+        dresscodeCompliance: 'Casual throughout'
+    },
+    isSaved: true
+});
+
+const TRIP = {
+    id: 'trip-1',
+    name: 'Summer Break',
+    destination: 'Lisbon',
+    startDate: '2026-06-30',
+    endDate: '2026-07-01',
+    totalDays: 2,
+    outfits: {
+        1: outfit(1, 'Easy pieces; the hat keeps the sun off, too'),
+        2: outfit(2, 'Same base, re-worn')
+    },
+    eventData: {
+        occasion: 'vacation',
+        dressCode: 'casual',
+        budget: 500,
+        dailyPlans: [
+            { day: 1, activity: 'Walking tour, Alfama', dressCode: 'casual' },
+            { day: 2, activity: 'Beach day', dressCode: 'casual' }
+        ]
+    },
+    aiGenerationData: { reusabilityAnalysis: { totalItems: 4, reusedItems: 3, reusabilityPercentage: 75, reusabilityMap: { SKU001: [1, 2] } } },
+    locks: { items: ['CLOC005'], days: {} },
+    packing: { luggage: 'carry-on', laundryDay: null }
+};
+
+describe('TripExportService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new TripExportService();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('exports JSON that matches outfitRecommendationSchema', () => {
+        const result = service.exportJSON(TRIP);
+        const document = JSON.parse(result.data);
+
+        expect(result.success).toBe(true);
+        expect(outfitRecommendationSchema.safeParse(document).success).toBe(true);
+        expect(document.tripDetails).toEqual({ occasion: 'vacation', duration: 2, location: 'Lisbon', dressCode: 'casual', budget: 500 });
+        expect(document.dailyOutfits[0]).toMatchObject({ day: 1, date: '2026-06-30', outfit: { outerwear: null } });
+        expect(document.dailyOutfits[0].outfit.accessories).toEqual([HAT]);
+    });
+
+    test('restores a trip from its JSON export', () => {
+        const { data } = service.importJSON(service.exportJSON(TRIP).data);
+
+        expect(data.id).not.toBe(TRIP.id);
+        expect(data).toMatchObject({
+            name: 'Summer Break',
+            destination: 'Lisbon',
+            startDate: '2026-06-30',
+            endDate: '2026-07-01',
+            totalDays: 2,
+            isNew: false,
+            locks: TRIP.locks,
+            packing: TRIP.packing
+        });
+        expect(data.eventData).toMatchObject({ dressCode: 'casual', budget: 500, dailyPlans: TRIP.eventData.dailyPlans, confirmed: true });
+        expect(data.outfits[1].items).toEqual(TRIP.outfits[1].items);
+        expect(data.outfits[2].styling).toEqual(TRIP.outfits[2].styling);
+        expect(data.outfits[2].tripId).toBe(data.id);
+        expect(data.aiGenerationData.reusabilityAnalysis.reusabilityMap).toEqual({ SKU001: [1, 2] });
+    });
+
+    test('rejects files that are not trip exports', () => {
+        expect(service.importJSON('{ nope').error.code).toBe('INVALID_JSON');
+
+        const invalid = service.importJSON(JSON.stringify({ tripDetails: { occasion: 'x' }, dailyOutfits: [] }));
+        expect(invalid.error.code).toBe('INVALID_EXPORT');
+        expect(invalid.error.fields.map(({ field }) => field)).toContain('dailyOutfits');
+    });
+
+    test('exports one calendar event per planned day with the outfit in the description', () => {
+        const ics = service.exportICS(TRIP).data;
+        const events = ics.split('BEGIN:VEVENT').slice(1);
+
+        expect(events).toHaveLength(2);
+        expect(ics).toContain('DTSTART;VALUE=DATE:20260630\r\n');
+        expect(ics).toContain('DTEND;VALUE=DATE:20260702\r\n');
+        expect(ics).toContain('SUMMARY:Day 1: Walking tour\\, Alfama');
+        expect(ics.replace(/\r\n /g, '')).toContain('Shoes: Trainers <Grey> (CLOC005)\\nAccessories: Straw Hat');
+        expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    });
+
+    test('adds events for outfit days beyond the plans', () => {
+        const trip = { ...TRIP, eventData: { ...TRIP.eventData, dailyPlans: [TRIP.eventData.dailyPlans[0]] } };
+        const ics = service.exportICS(trip).data;
+
+        expect(ics.split('BEGIN:VEVENT')).toHaveLength(3);
+        expect(ics).toContain('SUMMARY:Day 1: Walking tour\\, Alfama');
+        expect(ics).toContain('SUMMARY:Day 2: Sightseeing');
+    });
+
+    test('folds calendar lines at 75 octets without splitting characters', () => {
+        const line = `SUMMARY:${'é'.repeat(40)}${'🏖️'.repeat(10)}`;
+        const folded = service.foldICSLine(line).split('\r\n');
+        const octets = text => unescape(encodeURIComponent(text)).length;
+
+        expect(folded.length).toBeGreaterThan(1);
+        expect(folded.every(part => octets(part) <= 75)).toBe(true);
+        expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+        expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+        expect(folded.some(part => /[\uD800-\uDBFF]$/.test(part))).toBe(false);
+    });
+
+    test('builds a printable lookbook with images and styling notes', () => {
+        const html = service.exportLookbookHTML(TRIP, {
+            baseUrl: 'https://example.com',
+            resolveImage: sku => `/images/${sku}.jpg`
+        }).data;
+
+        expect(html).toContain('<title>Summer Break lookbook</title>');
+        expect(html).toContain('src="https://example.com/images/tee.jpg"');
+        expect(html).toContain('src="https://example.com/images/SKU002.jpg"');
+        expect(html).toContain('Trainers &lt;Grey&gt;');
+        expect(html).toContain('Easy pieces; the hat keeps the sun off, too');
+        expect(html).toContain('Walking tour, Alfama');
+        expect(html.match(/class="day"/g)).toHaveLength(2);
+    });
+
+    test('refuses to export a trip without outfits', () => {
+        const empty = { ...TRIP, outfits: {} };
+
+        expect(service.exportJSON(empty).error.code).toBe('NO_OUTFITS');
+        expect(service.exportICS(empty).error.code).toBe('NO_OUTFITS');
+        expect(service.exportLookbookHTML(empty).error.code).toBe('NO_OUTFITS');
+    });
+});
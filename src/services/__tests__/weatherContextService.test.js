@@ -76,19 +76,12 @@ describe('WeatherContextService', () => {
             expect(result.duration).toBe(1);
         });
 
-        test('should limit forecast to 14 days maximum', () => {
-            const futureDate = new Date();
-            futureDate.setDate(futureDate.getDate() + 20);
-            const futureDateString = futureDate.toISOString().split('T')[0];
+        test('should cover the whole trip beyond the forecast window', () => {
+            const result = weatherContextService.calculateDateRange('2099-07-10', 10);
 
-            const result = weatherContextService.calculateDateRange(futureDateString, 10);
-
-            // Should be limited to 14 days from now
-            const maxEndDate = new Date();
-            maxEndDate.setDate(maxEndDate.getDate() + 14);
-            const maxEndDateString = maxEndDate.toISOString().split('T')[0];
-
-            expect(result.end).toBe(maxEndDateString);
+            expect(result.start).toBe('2099-07-10');
+            expect(result.end).toBe('2099-07-19');
+            expect(result.duration).toBe(10);
         });
     });
 
@@ -360,6 +353,108 @@ describe('WeatherContextService', () => {
             expect(result.fallbackUsed).toBe(true);
             expect(result.weatherContext).toBeDefined();
         });
+
+        test('should use climate normals for every day beyond the forecast window', async () => {
+            const mockWeatherService = require('../weatherService.js');
+            mockWeatherService.geocodeLocation.mockResolvedValue({
+                name: 'Sydney',
+                country: 'AU',
+                coordinates: { lat: -33.8688, lon: 151.2093 }
+            });
+
+            const eventDetails = {
+                location: 'Sydney',
+                startDate: '2099-07-10',
+                duration: 4
+            };
+
+            const result = await weatherContextService.gatherWeatherContext(eventDetails, 'test-session');
+            const { dailyForecasts } = result.weatherContext.weatherContext;
+
+            expect(mockWeatherService.getWeatherForLocationAndDate).not.toHaveBeenCalled();
+            expect(result.dataSource).toBe('Climate Normals');
+            expect(dailyForecasts.map(day => day.date)).toEqual(['2099-07-10', '2099-07-11', '2099-07-12', '2099-07-13']);
+            expect(dailyForecasts.every(day => day.fallback && day.temperature.max < 20)).toBe(true);
+
+            const accumulated = contextAccumulator.addWeatherContext.mock.calls[0][1];
+            expect(accumulated.seasonalFactors).toMatchObject({ season: 'winter', month: 7, hemisphere: 'southern' });
+        });
+
+        test('should plan from climate normals when the weather API is unavailable', async () => {
+            const mockWeatherService = require('../weatherService.js');
+            mockWeatherService.geocodeLocation.mockRejectedValue(new Error('Network Error'));
+
+            const eventDetails = {
+                location: 'Sydney, Australia',
+                startDate: '2099-01-05',
+                duration: 2
+            };
+
+            const result = await weatherContextService.gatherWeatherContext(eventDetails, 'test-session');
+
+            expect(result.success).toBe(true);
+            expect(result.fallbackUsed).toBeUndefined();
+            expect(result.location).toMatchObject({ name: 'Sydney', offline: true });
+            expect(result.weatherContext.weatherContext.dailyForecasts).toHaveLength(2);
+            expect(mockWeatherService.getWeatherForLocationAndDate).not.toHaveBeenCalled();
+        });
+
+        test('should gather weather for each leg of a multi-destination trip', async () => {
+            const mockWeatherService = require('../weatherService.js');
+            mockWeatherService.geocodeLocation.mockImplementation(async (location) => {
+                if (location === 'Lisbon') {
+                    return { name: 'Lisbon', country: 'PT', coordinates: { lat: 38.7223, lon: -9.1393 } };
+                }
+                throw new Error('Network Error');
+            });
+
+            const eventDetails = {
+                location: 'Lisbon → Berlin',
+                startDate: '2099-01-10',
+                duration: 7,
+                legs: [
+                    { location: 'Lisbon', startDay: 1, endDay: 3, activities: ['sightseeing'] },
+                    { location: 'Berlin', startDay: 4, endDay: 7, activities: ['conference'] }
+                ]
+            };
+
+            const result = await weatherContextService.gatherWeatherContext(eventDetails, 'test-session');
+            const { dailyForecasts, legs } = result.weatherContext.weatherContext;
+
+            expect(mockWeatherService.geocodeLocation.mock.calls.map(([location]) => location)).toEqual(['Lisbon', 'Berlin']);
+            expect(dailyForecasts.map(day => [day.day, day.date, day.location])).toEqual([
+                [1, '2099-01-10', 'Lisbon'], [2, '2099-01-11', 'Lisbon'], [3, '2099-01-12', 'Lisbon'],
+                [4, '2099-01-13', 'Berlin'], [5, '2099-01-14', 'Berlin'], [6, '2099-01-15', 'Berlin'], [7, '2099-01-16', 'Berlin']
+            ]);
+            expect(legs.map(leg => leg.location.name)).toEqual(['Lisbon', 'Berlin']);
+            expect(legs[0].summary.temperatureRange.min).toBeGreaterThan(legs[1].summary.temperatureRange.max);
+            expect(result.dateRange).toEqual({ start: '2099-01-10', end: '2099-01-16', duration: 7 });
+            expect(contextAccumulator.addWeatherContext).toHaveBeenCalledTimes(1);
+        });
+
+        test('should place seasonal estimates with the gazetteer when the city has no climate normals', () => {
+            const helsinki = weatherContextService.generateSeasonalFallback({ location: 'Helsinki', startDate: '2099-01-10', duration: 1 });
+            const unknown = weatherContextService.generateSeasonalFallback({ location: 'Nowhere Ville', startDate: '2099-01-10', duration: 1 });
+
+            expect(helsinki.weatherContext.location.coordinates).toEqual({ lat: 60.17, lon: 24.94 });
+            expect(helsinki.weatherDataConfidence).toBe(0.5);
+            expect(helsinki.weatherContext.dailyForecasts[0].temperature.max)
+                .toBeLessThan(unknown.weatherContext.dailyForecasts[0].temperature.min);
+        });
+
+        test('should keep a leg\'s resolved location when only its forecast fails', async () => {
+            const mockWeatherService = require('../weatherService.js');
+            mockWeatherService.geocodeLocation.mockResolvedValue({ name: 'Oslo', country: 'NO', coordinates: { lat: 59.91, lon: 10.75 } });
+            jest.spyOn(weatherContextService, 'gatherMultiDayWeatherData').mockRejectedValueOnce(new Error('Timeout'));
+            jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+            const leg = await weatherContextService.gatherLegWeather({ location: 'Oslo', startDay: 1, endDay: 2 }, 0, '2099-01-10');
+
+            expect(leg.fallbackUsed).toBe(true);
+            expect(leg.location).toMatchObject({ name: 'Oslo', coordinates: { lat: 59.91, lon: 10.75 } });
+            expect(leg.dailyForecasts.every(day => day.temperature.max < 0)).toBe(true);
+            jest.restoreAllMocks();
+        });
     });
 
     describe('assessWeatherQuality', () => {
@@ -0,0 +1,217 @@
+/**
+ * Tests for checking generated outfits against the daily forecasts
+ */
+
+import { WeatherOutfitValidator, WEATHER_WARNING_CODES } from '../WeatherOutfitValidator';
+import outfitGenerationService from '../OutfitGenerationService';
+import clothingDatasetService from '../clothingDatasetService';
+import catalogNormalizer from '../catalogNormalizer';
+import contextAccumulator from '../contextAccumulator';
+import bedrockService from '../bedrockService';
+import { MockLLMProvider } from '../mockLLMProvider';
+import { buildOutfitGenerationResponse } from '../../data/llmFixtures';
+
+const ITEMS = {
+    tee: { sku: 'SKU001', name: 'Classic White T-Shirt', category: 'topwear', price: 25, weatherSuitability: 'warm', formality: 'casual', tags: ['casual'] },
+    turtleneck: { sku: 'SKU008', name: 'Wool Turtleneck', category: 'topwear', price: 65, weatherSuitability: 'cold', formality: 'smart-casual', tags: ['classic'] },
+    jeans: { sku: 'SKU002', name: 'Blue Denim Jeans', category: 'bottomwear', price: 60, weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] },
+    sneakers: { sku: 'SKU011', name: 'White Sneakers', category: 'footwear', price: 85, weatherSuitability: 'mild', formality: 'casual', tags: ['versatile'] },
+    boots: { sku: 'SKU010', name: 'Waterproof Hiking Boots', category: 'footwear', price: 140, weatherSuitability: 'rain, cold', formality: 'casual', tags: ['outdoor'] },
+    denimJacket: { sku: 'SKU003', name: 'Denim Jacket', category: 'outerwear', price: 80, weatherSuitability: 'mild', formality: 'casual', tags: ['casual'] },
+    trench: { sku: 'SKU029', name: 'Waterproof Trench', category: 'outerwear', price: 150, weatherSuitability: 'rain, cold', formality: 'smart-casual', tags: ['waterproof'] },
+    closetParka: { sku: 'CLOC009', name: 'Closet Rain Parka', category: 'outerwear', price: 0, weatherSuitability: 'rain, cold', formality: 'casual', tags: [] },
+    scarf: { sku: 'SKU018', name: 'Wool Scarf', category: 'accessories', price: 35, weatherSuitability: 'cold', formality: 'casual', tags: ['warm'] },
+    sunglasses: { sku: 'SKU020', name: 'Sunglasses', category: 'accessories', price: 45, weatherSuitability: 'all', formality: 'casual', tags: ['UV-protection'] },
+    tote: { sku: 'SKU021', name: 'Canvas Tote', category: 'bags', price: 30, weatherSuitability: 'all', formality: 'casual', tags: [] }
+};
+
+const forecast = (min, max, main, recommendations, extra = {}) => ({
+    date: '2026-11-02',
+    temperature: { min, max, average: Math.round((min + max) / 2) },
+    conditions: { main },
+    recommendations,
+    ...extra
+});
+
+const RAINY_COLD = forecast(-1, 4, 'rainy', { layering: 'heavy', waterproof: true, warmAccessories: true, sunProtection: false });
+const SUNNY_HOT = forecast(27, 33, 'sunny', { layering: 'none', waterproof: false, warmAccessories: false, sunProtection: true });
+
+const outfit = (day, items) => ({
+    id: `outfit-${day}`,
+    day,
+    items: { topwear: null, bottomwear: null, footwear: null, outerwear: null, accessories: [], ...items },
+    styling: { rationale: '', weatherConsiderations: 'Dressed for the forecast.', dresscodeCompliance: '' }
+});
+
+const codesOf = warnings => warnings.map(warning => warning.code).sort();
+
+describe('WeatherOutfitValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new WeatherOutfitValidator();
+    });
+
+    test('flags missing rain gear, warm accessories and summer pieces on a cold, wet day', () => {
+        const outfits = { 1: outfit(1, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, outerwear: ITEMS.denimJacket }) };
+
+        const result = validator.validate(outfits, { dailyForecasts: [{ ...RAINY_COLD, location: 'Berlin' }] });
+
+        expect(result.valid).toBe(false);
+        expect(result.checkedDays).toBe(1);
+        expect(codesOf(result.warnings)).toEqual([
+            WEATHER_WARNING_CODES.TOO_LIGHT_FOR_COLD,
+            WEATHER_WARNING_CODES.WARM_ACCESSORIES,
+            WEATHER_WARNING_CODES.WATERPROOF_FOOTWEAR,
+            WEATHER_WARNING_CODES.WATERPROOF_OUTERWEAR
+        ]);
+        expect(result.warnings[0]).toMatchObject({
+            day: 1,
+            location: 'Berlin',
+            code: WEATHER_WARNING_CODES.WATERPROOF_OUTERWEAR,
+            severity: 'high',
+            slot: 'outerwear',
+            sku: 'SKU003'
+        });
+        expect(result.warnings[0].message).toContain('in Berlin');
+    });
+
+    test('passes outfits that already suit the forecast and skips days without one', () => {
+        const outfits = {
+            1: outfit(1, { topwear: ITEMS.turtleneck, bottomwear: ITEMS.jeans, footwear: ITEMS.boots, outerwear: ITEMS.trench, accessories: [ITEMS.scarf] }),
+            2: outfit(2, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers })
+        };
+
+        const result = validator.validate(outfits, { dailyForecasts: [RAINY_COLD] });
+
+        expect(result).toEqual({ valid: true, checkedDays: 1, warnings: [] });
+        expect(validator.validate(outfits, null).checkedDays).toBe(0);
+    });
+
+    test('asks for sun protection and works out recommendations the forecast lacks', () => {
+        const outfits = { 1: outfit(1, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, accessories: [ITEMS.tote] }) };
+
+        expect(codesOf(validator.validate(outfits, { dailyForecasts: [SUNNY_HOT] }).warnings)).toEqual([WEATHER_WARNING_CODES.SUN_PROTECTION]);
+
+        outfits[1].items.accessories.push(ITEMS.sunglasses);
+        expect(validator.validate(outfits, { dailyForecasts: [SUNNY_HOT] }).valid).toBe(true);
+
+        // Without recommendations the rain and cold are read from the temperature and conditions
+        const bare = { ...RAINY_COLD, recommendations: undefined, conditions: { main: 'rainy', precipitation: { probability: 90 } } };
+        expect(codesOf(validator.validate(outfits, { dailyForecasts: [bare] }).warnings)).toContain(WEATHER_WARNING_CODES.WATERPROOF_OUTERWEAR);
+    });
+
+    test('repairs with pieces already on the trip or in the closet before buying new ones', () => {
+        const outfits = {
+            1: outfit(1, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers }),
+            2: outfit(2, { topwear: ITEMS.turtleneck, bottomwear: ITEMS.jeans, footwear: ITEMS.boots })
+        };
+        const weather = { dailyForecasts: [RAINY_COLD, RAINY_COLD] };
+        const { warnings } = validator.validate(outfits, weather);
+
+        const result = validator.repair(outfits, warnings, { items: Object.values(ITEMS), dressCode: 'casual' });
+
+        expect(result.outfits[1].items.footwear.sku).toBe('SKU010');
+        expect(result.outfits[1].items.topwear.sku).toBe('SKU008');
+        expect(result.outfits[1].items.outerwear.sku).toBe('CLOC009');
+        expect(result.outfits[1].items.accessories.map(item => item.sku)).toEqual(['SKU018']);
+        expect(result.outfits[1].styling.weatherConsiderations).toContain('Waterproof Hiking Boots (SKU010) replaces White Sneakers (SKU011)');
+        expect(result.repairs.find(entry => entry.day === 1 && entry.slot === 'footwear')).toEqual({
+            day: 1,
+            slot: 'footwear',
+            codes: [WEATHER_WARNING_CODES.WATERPROOF_FOOTWEAR],
+            from: 'SKU011',
+            to: 'SKU010'
+        });
+        expect(result.unresolved).toEqual([]);
+        expect(validator.validate(result.outfits, weather).valid).toBe(true);
+        expect(outfits[1].items.footwear.sku).toBe('SKU011');
+    });
+
+    test('leaves locked days and items alone', () => {
+        const outfits = {
+            1: outfit(1, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, outerwear: ITEMS.denimJacket }),
+            2: outfit(2, { topwear: ITEMS.tee, bottomwear: ITEMS.jeans, footwear: ITEMS.sneakers, outerwear: ITEMS.denimJacket })
+        };
+        const { warnings } = validator.validate(outfits, { dailyForecasts: [RAINY_COLD, RAINY_COLD] });
+
+        const result = validator.repair(outfits, warnings, {
+            items: Object.values(ITEMS),
+            locks: { items: ['SKU011'], days: { 2: { topwear: 'SKU001', bottomwear: 'SKU002', footwear: 'SKU011' } } }
+        });
+
+        expect(result.outfits[2]).toBe(outfits[2]);
+        expect(result.outfits[1].items.footwear.sku).toBe('SKU011');
+        expect(result.outfits[1].items.outerwear.sku).not.toBe('SKU003');
+        expect(result.unresolved.filter(warning => warning.day === 1).map(warning => warning.code)).toEqual([WEATHER_WARNING_CODES.WATERPROOF_FOOTWEAR]);
+        expect(result.repairs.every(entry => entry.day === 1)).toBe(true);
+    });
+});
+
+describe('weather validation during outfit generation', () => {
+    const sessionId = 'weather-validation-session';
+    const CATALOG_CSV = [
+        'sku,name,category,tags,weather_suitability,price,colors,layering,formality,notes',
+        'SKU001,Classic White T-Shirt,topwear,casual,warm,25,white,base,casual,Cotton tee',
+        'SKU008,Wool Turtleneck,topwear,classic,cold,65,charcoal,base,casual,Merino knit',
+        'SKU002,Blue Denim Jeans,bottomwear,versatile,mild,60,blue,base,casual,Straight fit',
+        'SKU011,White Sneakers,footwear,versatile,mild,85,white,footwear,casual,Everyday sneakers',
+        'SKU010,Waterproof Hiking Boots,footwear,outdoor,"rain, cold",140,brown,footwear,casual,Sealed seams',
+        'SKU029,Waterproof Trench,outerwear,waterproof,"rain, cold",150,beige,outer,casual,Belted trench',
+        'SKU018,Wool Scarf,accessories,warm,cold,35,burgundy,accessory,casual,Chunky knit'
+    ].join('\n');
+    const DETAILS = { occasion: 'city break', duration: 2, dressCode: 'casual', location: 'Berlin' };
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(clothingDatasetService, 'getDataset')
+            .mockResolvedValue(catalogNormalizer.buildDataset(catalogNormalizer.normalizeCSV(CATALOG_CSV).data.items));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage: 'Two days in Berlin' });
+        contextAccumulator.addConfirmedDetails(sessionId, DETAILS);
+        contextAccumulator.addWeatherContext(sessionId, { weatherData: { dailyForecasts: [RAINY_COLD, RAINY_COLD] }, location: 'Berlin' });
+        // The fixture model ignores the weather and the prompt's shortlist, picking the first
+        // item of each slot from the full catalog, so its outfits have weather gaps
+        const withFullCatalog = prompt => `${prompt.replace(/^SKU\w*,.*$/gm, '')}\n${CATALOG_CSV}`;
+        bedrockService.setProvider(new MockLLMProvider({
+            fixtures: [{ match: 'AVAILABLE CLOTHING ITEMS (CSV)', response: prompt => buildOutfitGenerationResponse(withFullCatalog(prompt)) }]
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports weather gaps and repairs them when asked', async () => {
+        const checked = await outfitGenerationService.generateOutfits(sessionId, DETAILS, []);
+
+        expect(checked.success).toBe(true);
+        expect(checked.data.weatherValidation.checkedDays).toBe(2);
+        expect(checked.data.weatherValidation.warnings.length).toBeGreaterThan(0);
+        expect(checked.data.weatherValidation.repairs).toEqual([]);
+
+        const repaired = await outfitGenerationService.generateOutfits(sessionId, DETAILS, [], { repairWeather: true });
+
+        expect(repaired.data.weatherValidation.valid).toBe(true);
+        expect(repaired.data.weatherValidation.repairs.length).toBeGreaterThan(0);
+        expect(repaired.data.outfits[1].items.footwear.sku).toBe('SKU010');
+        expect(repaired.data.reusabilityAnalysis).toEqual(outfitGenerationService.calculateReusabilityMetrics(repaired.data.outfits));
+
+        const fixedLater = await outfitGenerationService.repairWeatherWarnings(sessionId, DETAILS, [], { outfits: checked.data.outfits });
+        expect(fixedLater.success).toBe(true);
+        expect(fixedLater.data.weatherValidation.valid).toBe(true);
+    });
+
+    test('the weather shortlist keeps a prompt-following model clear of the gaps', async () => {
+        const ignoringShortlist = await outfitGenerationService.generateOutfits(sessionId, DETAILS, []);
+        bedrockService.setProvider(new MockLLMProvider());
+        const followingShortlist = await outfitGenerationService.generateOutfits(sessionId, DETAILS, []);
+
+        expect(codesOf(ignoringShortlist.data.weatherValidation.warnings))
+            .toEqual([WEATHER_WARNING_CODES.TOO_LIGHT_FOR_COLD, WEATHER_WARNING_CODES.WATERPROOF_FOOTWEAR]);
+        expect(followingShortlist.data.weatherValidation).toMatchObject({ valid: true, warnings: [], repairs: [] });
+        expect(followingShortlist.data.outfits[1].items.footwear.sku).toBe('SKU010');
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for the weather provider backends and their normalized output
+ */
+
+import { WeatherProviderError, toDateString } from '../weatherProvider';
+import { OpenWeatherMapProvider } from '../openWeatherMapProvider';
+import { OpenMeteoProvider } from '../openMeteoProvider';
+import { FixtureWeatherProvider } from '../fixtureWeatherProvider';
+import { createWeatherProvider } from '../weatherProviderFactory';
+import { WeatherContextService } from '../weatherContextService';
+import weatherService from '../weatherService';
+
+const LONDON = { name: 'London', country: 'GB', coordinates: { lat: 51.5074, lon: -0.1278 } };
+
+const daysFromNow = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+};
+
+const mockFetch = (body, ok = true, status = 200) => jest.fn(() => Promise.resolve({
+    ok,
+    status,
+    json: () => Promise.resolve(body)
+}));
+
+describe('Weather providers', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('fixture provider replays recordings and fills other days from climate normals', async () => {
+        const provider = new FixtureWeatherProvider();
+
+        const recorded = await provider.getWeather('London, UK', '2026-07-15');
+        expect(recorded.weather.conditions).toMatchObject({ main: 'Rain', precipitation: { probability: 90 } });
+        expect(recorded.location.coordinates).toEqual(LONDON.coordinates);
+
+        const filled = await provider.getWeather('Sydney', '2030-07-20');
+        expect(filled.source).toBe('Fixture');
+        expect(filled.weather.temperature.max).toBeLessThan(20);
+
+        await expect(provider.geocode('Atlantis')).rejects.toMatchObject({ code: 'NOT_FOUND', retryable: false });
+    });
+
+    test('fixture provider records misses from a source provider and replays them offline', async () => {
+        const live = new FixtureWeatherProvider({ fixtures: { locations: [LONDON], days: [] } });
+        jest.spyOn(live, 'getWeather');
+        const recorder = new FixtureWeatherProvider({ fixtures: { locations: [], days: [] }, source: live });
+
+        const first = await recorder.getWeather('London', '2031-01-10');
+        await recorder.getWeather('London', '2031-01-10');
+        expect(live.getWeather).toHaveBeenCalledTimes(1);
+
+        const replay = new FixtureWeatherProvider({ fixtures: recorder.exportFixtures() });
+        const replayed = await replay.getWeather('London', '2031-01-10');
+        expect(replayed.weather).toEqual(first.weather);
+    });
+
+    test('Open-Meteo daily data is normalized for processWeatherData', async () => {
+        const date = daysFromNow(3);
+        global.fetch = mockFetch({
+            daily: {
+                time: [date],
+                weather_code: [63],
+                temperature_2m_min: [11.6],
+                temperature_2m_max: [18.2],
+                apparent_temperature_max: [17.1],
+                precipitation_sum: [6.4],
+                precipitation_probability_max: [85],
+                wind_speed_10m_max: [7.5],
+                wind_direction_10m_dominant: [240],
+                relative_humidity_2m_mean: [81]
+            }
+        });
+
+        const provider = new OpenMeteoProvider();
+        const response = await provider.getWeather(LONDON, date);
+        const processed = new WeatherContextService().processWeatherData(response, date);
+
+        expect(global.fetch.mock.calls[0][0]).toContain('api.open-meteo.com/v1/forecast');
+        expect(response).toMatchObject({ date, source: 'Open-Meteo' });
+        expect(processed.temperature).toMatchObject({ min: 12, max: 18, average: 15 });
+        expect(processed.conditions).toMatchObject({
+            main: 'rainy',
+            precipitation: { probability: 85, amount: 6.4 },
+            humidity: 81
+        });
+
+        await provider.getWeather(LONDON, daysFromNow(-30));
+        expect(global.fetch.mock.calls[1][0]).toContain('archive-api.open-meteo.com');
+    });
+
+    test('OpenWeatherMap forecasts summarize the requested day and need an API key', async () => {
+        const date = daysFromNow(2);
+        const slot = (hour, temp, main, pop) => ({
+            dt: Date.parse(`${date}T${String(hour).padStart(2, '0')}:00:00Z`) / 1000,
+            main: { temp, feels_like: temp - 1, temp_min: temp - 1, temp_max: temp + 1, humidity: 70, pressure: 1012 },
+            weather: [{ main, description: main.toLowerCase(), icon: '01d' }],
+            wind: { speed: 3, deg: 90 },
+            pop,
+            visibility: 10000
+        });
+        global.fetch = mockFetch({ list: [slot(6, 9, 'Clouds', 0.1), slot(12, 16, 'Rain', 0.6), slot(18, 12, 'Clouds', 0.3)] });
+
+        const response = await new OpenWeatherMapProvider({ apiKey: 'test-key' }).getForecast(LONDON, date);
+        expect(response.weather.conditions).toMatchObject({ main: 'Rain', precipitation: { probability: 60 } });
+        expect(response.weather.temperature).toMatchObject({ current: 16, min: 8, max: 17 });
+
+        global.fetch = jest.fn();
+        await expect(new OpenWeatherMapProvider({ apiKey: null }).getCurrent(LONDON))
+            .rejects.toMatchObject({ code: 'MISSING_API_KEY', retryable: false });
+        expect(global.fetch).not.toHaveBeenCalled();
+        await expect(new OpenWeatherMapProvider({ apiKey: 'test-key' }).getWeather(LONDON, daysFromNow(10)))
+            .rejects.toBeInstanceOf(WeatherProviderError);
+    });
+
+    test('the factory picks the backend from options or the environment', () => {
+        expect(createWeatherProvider({ provider: 'fixture' })).toBeInstanceOf(FixtureWeatherProvider);
+        expect(createWeatherProvider({ provider: 'open-meteo' })).toBeInstanceOf(OpenMeteoProvider);
+        expect(createWeatherProvider({ apiKey: 'key' })).toBeInstanceOf(OpenWeatherMapProvider);
+    });
+});
+
+describe('WeatherContextService with a weather provider', () => {
+    const originalProvider = weatherService.provider;
+
+    afterEach(() => {
+        weatherService.setProvider(originalProvider);
+    });
+
+    test('gathers each day through the provider and labels the data source', async () => {
+        weatherService.setProvider(new FixtureWeatherProvider());
+        const service = new WeatherContextService();
+
+        const days = await service.gatherMultiDayWeatherData(LONDON, { start: '2026-07-14', end: '2026-07-16' });
+
+        expect(days.map(day => day.conditions.main)).toEqual(['cloudy', 'rainy', 'sunny']);
+        expect(service.getWeatherDataSource(days)).toBe('Fixture');
+    });
+
+    test('does not retry errors the provider marks as permanent', async () => {
+        const provider = new FixtureWeatherProvider();
+        jest.spyOn(provider, 'getWeather').mockRejectedValue(
+            new WeatherProviderError('Location not found', 'NOT_FOUND', { retryable: false })
+        );
+        weatherService.setProvider(provider);
+        const service = new WeatherContextService();
+        jest.spyOn(service, 'sleep').mockResolvedValue();
+
+        await expect(service.fetchWeatherWithRetry(LONDON, '2026-07-15')).rejects.toThrow('Location not found');
+        expect(provider.getWeather).toHaveBeenCalledTimes(1);
+        expect(service.sleep).not.toHaveBeenCalled();
+    });
+});
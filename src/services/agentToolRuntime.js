@@ -0,0 +1,514 @@
+/**
+ * Agent Tool Runtime
+ * Executes the tools declared in bedrockAgentConfig.TOOL_SCHEMAS when a Bedrock Agent
+ * returns control to the app. Agent arguments arrive as strings, so each call is coerced
+ * to its schema types and validated before it is dispatched to the local services
+ * (weather context, catalog filtering, outfit solving with reuse optimization, packing).
+ * Results go back in the shape InvokeAgent expects in returnControlInvocationResults.
+ */
+
+import { TOOL_SCHEMAS } from '../config/bedrockAgentConfig';
+import weatherContextService from './weatherContextService';
+import clothingDatasetService from './clothingDatasetService';
+import { clothingAnalysisEngine } from './ClothingAnalysisEngine';
+import { reusabilityOptimizer } from './ReusabilityOptimizer';
+import { offlineOutfitSolver } from './OfflineOutfitSolver';
+import { packingListEngine } from './PackingListEngine';
+
+// Most catalog items returned by one search, so results fit in the agent's context
+const MAX_SEARCH_RESULTS = 25;
+
+// Occasion words and the dress code they imply, checked in order
+const OCCASION_DRESS_CODES = [
+    [/black[- ]tie|gala/, 'black-tie'],
+    [/smart[- ]casual|cocktail|dinner|date/, 'smart-casual'],
+    [/business|work|office|conference|meeting/, 'business'],
+    [/formal|wedding|ceremony/, 'formal'],
+    [/casual|athletic|sport|gym|hiking|beach|vacation|sightseeing/, 'casual']
+];
+
+// Luggage types the agent may name that PackingListEngine sizes as carry-on
+const CARRY_ON_TYPES = ['carry-on', 'backpack'];
+
+class AgentToolRuntime {
+    /**
+     * @param {Object} options
+     * @param {Function} options.loadItems - Async loader for the items tools search and resolve SKUs
+     *   against (defaults to the normalized catalog dataset)
+     */
+    constructor({ loadItems = null } = {}) {
+        this.schemas = new Map(Object.values(TOOL_SCHEMAS).map(schema => [schema.name, schema]));
+        this.loadItems = loadItems || (async () => (await clothingDatasetService.getDataset()).items);
+        this.handlers = {
+            get_weather_forecast: (args, context) => this.getWeatherForecast(args, context),
+            search_clothing_catalog: (args, context) => this.searchClothingCatalog(args, context),
+            generate_outfit_combinations: (args, context) => this.generateOutfitCombinations(args, context),
+            optimize_packing_list: (args, context) => this.optimizePackingList(args, context)
+        };
+    }
+
+    /**
+     * Run every tool call in a return-control event
+     * @param {Object} returnControl - { invocationId, invocationInputs } from the agent stream
+     * @param {Object} context - { sessionId, items } where items are extra pieces (e.g. the closet)
+     * @returns {Promise<Array<Object>>} returnControlInvocationResults for the next InvokeAgent call
+     */
+    async handleReturnControl(returnControl, context = {}) {
+        const results = [];
+        for (const invocationInput of returnControl?.invocationInputs || []) {
+            results.push(await this.executeInvocation(invocationInput, context));
+        }
+        return results;
+    }
+
+    /**
+     * Run one function or API invocation and wrap its result for the agent
+     * @param {Object} invocationInput - { functionInvocationInput } or { apiInvocationInput }
+     * @param {Object} context - Tool context (see handleReturnControl)
+     * @returns {Promise<Object>} { functionResult } or { apiResult }
+     */
+    async executeInvocation(invocationInput, context = {}) {
+        const { tool, args, actionGroup, api } = this.readInvocation(invocationInput);
+        const result = await this.execute(tool, args, context);
+        const body = JSON.stringify(result.success ? result.data : { error: result.error });
+
+        if (api) {
+            return {
+                apiResult: {
+                    actionGroup,
+                    apiPath: api.apiPath,
+                    httpMethod: api.httpMethod,
+                    httpStatusCode: result.success ? 200 : result.error.code === 'TOOL_EXECUTION_ERROR' ? 500 : 400,
+                    responseBody: { 'application/json': { body } }
+                }
+            };
+        }
+
+        return {
+            functionResult: {
+                actionGroup,
+                function: tool,
+                // Bad arguments let the agent try again; failed tools end the call
+                ...(result.success ? {} : { responseState: result.error.code === 'TOOL_EXECUTION_ERROR' ? 'FAILURE' : 'REPROMPT' }),
+                responseBody: { TEXT: { body } }
+            }
+        };
+    }
+
+    /**
+     * Validate and run a tool
+     * @param {string} tool - Tool name from TOOL_SCHEMAS
+     * @param {Object} args - Raw arguments (strings are coerced to the schema types)
+     * @param {Object} context - Tool context (see handleReturnControl)
+     * @returns {Promise<Object>} { success, data } or { success: false, error: { code, message, issues } }
+     */
+    async execute(tool, args = {}, context = {}) {
+        const handler = this.handlers[tool];
+        if (!handler) {
+            return {
+                success: false,
+                error: { code: 'UNKNOWN_TOOL', message: `Unknown tool "${tool}". Available tools: ${this.getToolNames().join(', ')}` }
+            };
+        }
+
+        const validation = this.validateArguments(tool, args);
+        if (!validation.success) {
+            return validation;
+        }
+
+        try {
+            console.log(`🛠️ Running agent tool ${tool}`);
+            return { success: true, data: await handler(validation.data, context) };
+        } catch (error) {
+            console.error(`Agent tool ${tool} failed:`, error);
+            return {
+                success: false,
+                error: { code: 'TOOL_EXECUTION_ERROR', message: error.message }
+            };
+        }
+    }
+
+    getToolNames() {
+        return Array.from(this.schemas.keys());
+    }
+
+    /**
+     * Coerce arguments to their schema types and check them
+     * @param {string} tool - Tool name
+     * @param {Object} args - Raw arguments
+     * @returns {Object} { success, data } or { success: false, error: { code, message, issues: [{ path, message }] } }
+     */
+    validateArguments(tool, args = {}) {
+        const issues = [];
+        const data = this.validateValue(this.schemas.get(tool).parameters, args, [], issues);
+
+        if (issues.length > 0) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_TOOL_ARGUMENTS',
+                    message: `Invalid arguments for ${tool}: ${issues.map(issue => `${issue.path.join('.')} ${issue.message}`).join('; ')}`,
+                    issues
+                }
+            };
+        }
+
+        return { success: true, data };
+    }
+
+    /**
+     * Coerce and check one value against a JSON schema fragment, collecting issues
+     * @returns {*} Coerced value (undefined when invalid)
+     */
+    validateValue(schema, rawValue, path, issues) {
+        const fail = message => {
+            issues.push({ path, message });
+            return undefined;
+        };
+
+        let value = rawValue;
+        if (typeof value === 'string' && ['object', 'array'].includes(schema.type)) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return fail(`must be ${schema.type === 'array' ? 'a JSON array' : 'a JSON object'}`);
+            }
+        }
+        if (typeof value === 'string' && ['number', 'integer'].includes(schema.type) && value.trim() !== '') {
+            value = Number(value);
+        }
+        if (typeof value === 'string' && schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+            value = value === 'true';
+        }
+
+        switch (schema.type) {
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return fail('must be an object');
+                }
+                return this.validateObject(schema, value, path, issues);
+            case 'array':
+                if (!Array.isArray(value)) {
+                    return fail('must be an array');
+                }
+                return schema.items
+                    ? value.map((entry, index) => this.validateValue(schema.items, entry, [...path, index], issues))
+                    : value;
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                    return fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+                }
+                if (schema.minimum !== undefined && value < schema.minimum) {
+                    return fail(`must be at least ${schema.minimum}`);
+                }
+                if (schema.maximum !== undefined && value > schema.maximum) {
+                    return fail(`must be at most ${schema.maximum}`);
+                }
+                return value;
+            case 'boolean':
+                return typeof value === 'boolean' ? value : fail('must be true or false');
+            case 'string':
+                if (typeof value !== 'string') {
+                    return fail('must be a string');
+                }
+                if (schema.enum && !schema.enum.includes(value)) {
+                    return fail(`must be one of ${schema.enum.join(', ')}`);
+                }
+                if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                    return fail(`must match ${schema.pattern}`);
+                }
+                return value;
+            default:
+                return value;
+        }
+    }
+
+    validateObject(schema, value, path, issues) {
+        const result = { ...value };
+
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            const missing = value[name] === undefined || value[name] === null || value[name] === '';
+            if (missing && propertySchema.default !== undefined) {
+                result[name] = propertySchema.default;
+            } else if (missing) {
+                delete result[name];
+                if ((schema.required || []).includes(name)) {
+                    issues.push({ path: [...path, name], message: 'is required' });
+                }
+            } else {
+                result[name] = this.validateValue(propertySchema, value[name], [...path, name], issues);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Tool name and raw arguments of a function (action group function details)
+     * or API (OpenAPI action group) invocation
+     */
+    readInvocation(invocationInput = {}) {
+        const { functionInvocationInput, apiInvocationInput } = invocationInput;
+        const toArgs = (parameters = []) => Object.fromEntries(parameters.map(({ name, value }) => [name, value]));
+
+        if (apiInvocationInput) {
+            const bodyProperties = apiInvocationInput.requestBody?.content?.['application/json']?.properties;
+            return {
+                tool: (apiInvocationInput.apiPath || '').replace(/^\//, ''),
+                args: { ...toArgs(apiInvocationInput.parameters), ...toArgs(bodyProperties) },
+                actionGroup: apiInvocationInput.actionGroup,
+                api: { apiPath: apiInvocationInput.apiPath, httpMethod: apiInvocationInput.httpMethod }
+            };
+        }
+
+        return {
+            tool: functionInvocationInput?.function,
+            args: toArgs(functionInvocationInput?.parameters),
+            actionGroup: functionInvocationInput?.actionGroup,
+            api: null
+        };
+    }
+
+    /**
+     * get_weather_forecast: daily forecasts (or climate normals) from weatherContextService
+     */
+    async getWeatherForecast({ location, startDate, duration }, { sessionId = 'agent-tools' } = {}) {
+        const result = await weatherContextService.gatherWeatherContext({ location, startDate, duration }, sessionId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const { weatherContext, weatherDataSource } = result.weatherContext;
+        return {
+            location: weatherContext.location?.name || location,
+            dataSource: weatherDataSource,
+            fallbackUsed: Boolean(result.fallbackUsed),
+            summary: weatherContext.summary,
+            dailyForecasts: weatherContext.dailyForecasts.map(({ date, temperature, conditions, precipitation, recommendations }) => ({
+                date,
+                temperature,
+                conditions,
+                precipitation,
+                recommendations
+            }))
+        };
+    }
+
+    /**
+     * search_clothing_catalog: ClothingAnalysisEngine.filterByCriteria over the catalog, closet first
+     */
+    async searchClothingCatalog({ category, occasion, weatherConditions, budgetRange }, context = {}) {
+        const weather = this.getWeatherFilter(weatherConditions);
+        const dressCode = this.getDressCode(occasion);
+
+        const matches = clothingAnalysisEngine.filterByCriteria(await this.getItems(context), {
+            categories: clothingAnalysisEngine.categoryMappings[category.toLowerCase()] || category,
+            weather: weather.length > 0 ? weather : null,
+            dressCode,
+            maxPrice: budgetRange?.max
+        }).filter(item => !(budgetRange?.min > 0) || item.price >= budgetRange.min);
+
+        const sorted = [...matches].sort((a, b) => Number(this.isClosetItem(b)) - Number(this.isClosetItem(a)));
+
+        return {
+            total: matches.length,
+            filters: { categories: category, weather, dressCode },
+            items: sorted.slice(0, MAX_SEARCH_RESULTS).map(item => this.toToolItem(item))
+        };
+    }
+
+    /**
+     * generate_outfit_combinations: solve each day offline, then push reuse towards the
+     * requested preference with ReusabilityOptimizer
+     */
+    async generateOutfitCombinations({ clothingItems, dailyRequirements, reusePreference }, context = {}) {
+        if (dailyRequirements.length === 0) {
+            throw new Error('dailyRequirements must list at least one day');
+        }
+
+        const { items, unknownSkus } = await this.resolveItems(clothingItems, context);
+        const plans = dailyRequirements.map((requirement, index) => ({
+            day: requirement.day || index + 1,
+            activity: requirement.occasion || requirement.activity,
+            dressCode: this.getDressCode(requirement.dressCode) || this.getDressCode(requirement.occasion)
+        }));
+
+        const solved = offlineOutfitSolver.solve({
+            eventDetails: {
+                duration: dailyRequirements.length,
+                occasion: plans[0].activity || 'trip',
+                dressCode: plans.find(plan => plan.dressCode)?.dressCode || 'smart-casual',
+                dailyPlans: plans
+            },
+            items,
+            weather: { dailyForecasts: dailyRequirements.map((requirement, index) => this.toForecast(requirement.weather || requirement, plans[index].day)) }
+        });
+
+        const itemsBySku = new Map(items.map(item => [item.sku, item]));
+        const outfits = solved.dailyOutfits.map(({ day, occasion, outfit }) => ({
+            day,
+            occasion,
+            items: this.mapSlots(outfit, slot => itemsBySku.get(slot.sku) || slot)
+        }));
+
+        const optimized = reusabilityOptimizer.optimizeOutfitCombinations(outfits, reusePreference);
+        const report = reusabilityOptimizer.generateReusabilityReport(optimized);
+
+        return {
+            dailyOutfits: optimized.map(({ day, occasion, items: outfitItems }) => ({
+                day,
+                occasion,
+                items: this.mapSlots(outfitItems, item => item.sku)
+            })),
+            reusability: {
+                totalItems: report.totalItems,
+                reusedItems: report.reusedItems,
+                reusabilityPercentage: Math.round(report.reusabilityPercentage * 100) / 100,
+                recommendations: report.breakdown?.recommendations || []
+            },
+            unknownSkus
+        };
+    }
+
+    /**
+     * optimize_packing_list: PackingListEngine over outfits given as SKUs or items
+     */
+    async optimizePackingList({ outfits, tripDuration, luggageConstraints }, context = {}) {
+        const refs = outfits.flatMap(outfit => Object.values(outfit?.items || outfit?.outfit || {}).flatMap(value => [].concat(value || [])));
+        const { items, unknownSkus } = await this.resolveItems(refs, context);
+        const itemsBySku = new Map(items.map(item => [item.sku, item]));
+
+        const luggageType = luggageConstraints?.type;
+        const packingList = packingListEngine.buildPackingList(
+            outfits.map((outfit, index) => ({
+                day: outfit?.day || index + 1,
+                items: this.mapSlots(outfit?.items || outfit?.outfit || {}, ref => itemsBySku.get(this.getSku(ref)) || null)
+            })),
+            { duration: tripDuration, luggage: !luggageType || CARRY_ON_TYPES.includes(luggageType) ? 'carry-on' : luggageType }
+        );
+
+        const maxWeight = luggageConstraints?.maxWeight;
+        return {
+            items: packingList.items.map(({ sku, name, category, wears, days, fromCloset, wornOnTravelDay }) => ({
+                sku, name, category, wears, days, fromCloset, wornOnTravelDay
+            })),
+            essentials: packingList.essentials.map(({ name, quantity }) => ({ name, quantity })),
+            totals: packingList.totals,
+            luggage: maxWeight
+                ? { ...packingList.luggage, maxWeight, fits: packingList.luggage.fits && packingList.totals.weight <= maxWeight }
+                : packingList.luggage,
+            suggestions: packingList.suggestions.map(({ type, sku, name, reason }) => ({ type, sku, name, reason })),
+            unknownSkus
+        };
+    }
+
+    /**
+     * Catalog items plus any the caller supplies (closet pieces win on shared SKUs)
+     */
+    async getItems(context = {}) {
+        const extra = context.items || [];
+        const extraSkus = new Set(extra.map(item => item.sku));
+        return [...(await this.loadItems()).filter(item => !extraSkus.has(item.sku)), ...extra];
+    }
+
+    /**
+     * Turn SKUs or partial items into full items; full items are used as given
+     * @returns {Promise<Object>} { items, unknownSkus }
+     */
+    async resolveItems(refs, context = {}) {
+        const needsLookup = refs.some(ref => typeof ref !== 'object' || !ref?.category);
+        const itemsBySku = needsLookup
+            ? new Map((await this.getItems(context)).map(item => [item.sku, item]))
+            : new Map();
+        const resolved = new Map();
+        const unknownSkus = [];
+
+        refs.forEach(ref => {
+            const sku = this.getSku(ref);
+            const item = typeof ref === 'object' && ref?.category ? { ...itemsBySku.get(sku), ...ref } : itemsBySku.get(sku);
+            if (item) {
+                resolved.set(item.sku, item);
+            } else if (sku && !unknownSkus.includes(sku)) {
+                unknownSkus.push(sku);
+            }
+        });
+
+        return { items: Array.from(resolved.values()), unknownSkus };
+    }
+
+    getSku(ref) {
+        return typeof ref === 'object' ? ref?.sku : ref;
+    }
+
+    mapSlots(outfit, mapItem) {
+        return Object.fromEntries(Object.entries(outfit || {}).map(([slot, value]) => [
+            slot,
+            Array.isArray(value) ? value.map(mapItem).filter(Boolean) : value ? mapItem(value) : null
+        ]));
+    }
+
+    /**
+     * ClothingAnalysisEngine weather conditions for a temperature range and a description
+     */
+    getWeatherFilter(weatherConditions) {
+        if (!weatherConditions) {
+            return [];
+        }
+
+        const description = (weatherConditions.conditions || '').toLowerCase();
+        const conditions = offlineOutfitSolver.getWeatherConditions(this.toForecast(weatherConditions));
+        if (/rain|shower|storm|wet/.test(description) && !conditions.includes('rainy')) {
+            conditions.push('rainy');
+        }
+        if (/snow/.test(description) && !conditions.includes('snowy')) {
+            conditions.push('snowy');
+        }
+        return conditions;
+    }
+
+    /**
+     * Daily forecast in the shape OfflineOutfitSolver reads from a { temperature, conditions } requirement
+     */
+    toForecast({ temperature, conditions } = {}, day = undefined) {
+        const description = (typeof conditions === 'string' ? conditions : conditions?.main || '').toLowerCase();
+        const main = /snow/.test(description) ? 'snowy' : /rain|shower|storm|wet/.test(description) ? 'rainy' : description || undefined;
+        const hasTemperature = typeof temperature?.min === 'number' || typeof temperature?.max === 'number';
+
+        return {
+            day,
+            temperature: hasTemperature ? { min: temperature.min ?? temperature.max, max: temperature.max ?? temperature.min } : null,
+            conditions: { main }
+        };
+    }
+
+    getDressCode(occasion) {
+        if (!occasion || typeof occasion !== 'string') {
+            return null;
+        }
+        const text = occasion.toLowerCase();
+        return OCCASION_DRESS_CODES.find(([pattern]) => pattern.test(text))?.[1] || null;
+    }
+
+    isClosetItem(item) {
+        return Boolean(item.sku?.startsWith('CLOC'));
+    }
+
+    toToolItem(item) {
+        return {
+            sku: item.sku,
+            name: item.name,
+            category: item.category,
+            colors: item.colors,
+            price: item.price,
+            formality: item.formality,
+            weatherSuitability: item.weatherSuitability || item.weather_suitability,
+            fromCloset: this.isClosetItem(item)
+        };
+    }
+}
+
+// Export singleton instance
+const agentToolRuntime = new AgentToolRuntime();
+export default agentToolRuntime;
+export { AgentToolRuntime, MAX_SEARCH_RESULTS };
@@ -3,22 +3,21 @@
  * Handles AI outfit planning requests through Bedrock Agents
  */
 
-import {
-    BedrockAgentRuntimeClient,
-    InvokeAgentCommand
-} from '@aws-sdk/client-bedrock-agent-runtime';
+import { createLLMProvider } from './llmProviderFactory';
 import knowledgeBaseService from './knowledgeBaseService';
+import agentToolRuntime from './agentToolRuntime';
 
 class BedrockAgentService {
-    constructor() {
-        // Initialize AWS Bedrock Agent Runtime client
-        this.client = new BedrockAgentRuntimeClient({
-            region: process.env.REACT_APP_AWS_REGION || 'us-east-1',
-            credentials: {
-                accessKeyId: process.env.REACT_APP_AWS_ACCESS_KEY_ID,
-                secretAccessKey: process.env.REACT_APP_AWS_SECRET_ACCESS_KEY
-            }
-        });
+    /**
+     * @param {Object} provider - LLM provider used to invoke the agent (defaults to REACT_APP_LLM_PROVIDER)
+     * @param {Object} toolRuntime - Runs the agent's return-control tool calls (defaults to agentToolRuntime)
+     */
+    constructor(provider = null, toolRuntime = null) {
+        this.provider = provider || createLLMProvider();
+        this.toolRuntime = toolRuntime || agentToolRuntime;
+
+        // Tool call rounds allowed per request before the agent is considered stuck
+        this.maxToolRounds = 5;
 
         // Agent configuration
         this.agentId = process.env.REACT_APP_BEDROCK_AGENT_ID;
@@ -29,6 +28,14 @@ class BedrockAgentService {
         this.sessionAttributes = {};
     }
 
+    /**
+     * Swap the LLM provider (e.g. the mock provider for offline runs)
+     * @param {Object} provider - LLM provider
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
     /**
      * Initialize a new conversation session
      */
@@ -53,20 +60,12 @@ class BedrockAgentService {
                 throw new Error('Bedrock Agent ID not configured. Please set REACT_APP_BEDROCK_AGENT_ID environment variable.');
             }
 
-            const command = new InvokeAgentCommand({
-                agentId: this.agentId,
-                agentAliasId: this.agentAliasId,
+            const response = await this.invokeAgentWithTools({
                 sessionId: currentSessionId,
-                inputText: userMessage,
-                sessionState: {
-                    sessionAttributes: this.sessionAttributes
-                }
+                inputText: userMessage
             });
 
-            const response = await this.client.send(command);
-
-            // Process the streaming response
-            const responseText = await this.processAgentResponse(response);
+            const responseText = response.text || 'I received your request but had trouble generating a response. Please try again.';
 
             return {
                 success: true,
@@ -112,10 +111,52 @@ class BedrockAgentService {
     }
 
     /**
-     * Process the streaming response from Bedrock Agent
+     * Invoke the agent and run any tools it hands back through return control,
+     * re-invoking with the results until it answers in text
+     * @param {Object} request - { sessionId, inputText }
+     * @returns {Promise<Object>} { text, toolCalls } where toolCalls counts executed invocations
      */
-    async processAgentResponse(response) {
+    async invokeAgentWithTools({ sessionId, inputText }) {
+        let sessionState = { sessionAttributes: this.sessionAttributes };
+        let input = inputText;
+        let toolCalls = 0;
+
+        for (let round = 0; round <= this.maxToolRounds; round++) {
+            const response = await this.provider.invokeAgent({
+                agentId: this.agentId,
+                agentAliasId: this.agentAliasId,
+                sessionId,
+                inputText: input,
+                sessionState
+            });
+            const { text, returnControl } = await this.readAgentStream(response);
+
+            if (!returnControl) {
+                return { text, toolCalls };
+            }
+
+            const returnControlInvocationResults = await this.toolRuntime.handleReturnControl(returnControl, { sessionId });
+            toolCalls += returnControlInvocationResults.length;
+
+            // Tool results continue the same turn, so no new input text is sent
+            input = '';
+            sessionState = {
+                sessionAttributes: this.sessionAttributes,
+                invocationId: returnControl.invocationId,
+                returnControlInvocationResults
+            };
+        }
+
+        throw new Error(`Agent did not finish after ${this.maxToolRounds} tool call rounds`);
+    }
+
+    /**
+     * Read the streaming response from Bedrock Agent
+     * @returns {Promise<Object>} { text, returnControl } where returnControl is set when the agent requests tools
+     */
+    async readAgentStream(response) {
         let responseText = '';
+        let returnControl = null;
 
         try {
             // Handle the async iterator for streaming response
@@ -124,13 +165,24 @@ class BedrockAgentService {
                     const chunkText = new TextDecoder().decode(chunk.chunk.bytes);
                     responseText += chunkText;
                 }
+                if (chunk.returnControl) {
+                    returnControl = chunk.returnControl;
+                }
             }
         } catch (error) {
             console.error('Error processing agent response:', error);
             throw new Error('Failed to process agent response');
         }
 
-        return responseText || 'I received your request but had trouble generating a response. Please try again.';
+        return { text: responseText, returnControl };
+    }
+
+    /**
+     * Process the streaming response from Bedrock Agent
+     */
+    async processAgentResponse(response) {
+        const { text } = await this.readAgentStream(response);
+        return text || 'I received your request but had trouble generating a response. Please try again.';
     }
 
     /**
@@ -268,18 +320,11 @@ class BedrockAgentService {
                 timestamp: new Date().toISOString()
             });
 
-            const command = new InvokeAgentCommand({
-                agentId: this.agentId,
-                agentAliasId: this.agentAliasId,
+            const response = await this.invokeAgentWithTools({
                 sessionId: currentSessionId,
-                inputText: prompt,
-                sessionState: {
-                    sessionAttributes: this.sessionAttributes
-                }
+                inputText: prompt
             });
-
-            const response = await this.client.send(command);
-            const responseText = await this.processAgentResponse(response);
+            const responseText = response.text || 'I received your request but had trouble generating a response. Please try again.';
 
             return {
                 success: true,
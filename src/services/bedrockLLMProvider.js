@@ -0,0 +1,151 @@
+/**
+ * Bedrock LLM Provider
+ * Talks to Amazon Bedrock (Nova models, agents and knowledge bases)
+ */
+
+import {
+    BedrockRuntimeClient,
+    InvokeModelCommand,
+    InvokeModelWithResponseStreamCommand
+} from '@aws-sdk/client-bedrock-runtime';
+import {
+    BedrockAgentRuntimeClient,
+    InvokeAgentCommand,
+    RetrieveCommand
+} from '@aws-sdk/client-bedrock-agent-runtime';
+import { LLMProvider, DEFAULT_MODEL_ID } from './llmProvider';
+
+export class BedrockLLMProvider extends LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.region - AWS region
+     * @param {Object} options.credentials - AWS credentials (defaults to REACT_APP_AWS_* variables)
+     * @param {string} options.modelId - Default model id
+     */
+    constructor(options = {}) {
+        super('bedrock');
+
+        const clientConfig = {
+            region: options.region || process.env.REACT_APP_AWS_REGION || 'us-east-1',
+            credentials: options.credentials || {
+                accessKeyId: process.env.REACT_APP_AWS_ACCESS_KEY_ID,
+                secretAccessKey: process.env.REACT_APP_AWS_SECRET_ACCESS_KEY
+            }
+        };
+
+        this.modelId = options.modelId || DEFAULT_MODEL_ID;
+        this.client = new BedrockRuntimeClient(clientConfig);
+        this.agentClient = new BedrockAgentRuntimeClient(clientConfig);
+    }
+
+    /**
+     * Build a Nova messages payload
+     * @param {Object} request
+     * @returns {string} JSON request body
+     */
+    buildRequestBody({ prompt, temperature = 0.3, maxTokens = 1000, topP }) {
+        const inferenceConfig = { temperature, maxTokens };
+        if (topP !== undefined) {
+            inferenceConfig.topP = topP;
+        }
+
+        return JSON.stringify({
+            messages: [{
+                role: 'user',
+                content: [{ text: prompt }]
+            }],
+            inferenceConfig
+        });
+    }
+
+    /**
+     * Run a single prompt and return the model text
+     * @param {Object} request
+     * @param {string} request.prompt - Prompt text
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum output tokens
+     * @param {string} request.modelId - Model override
+     * @returns {Promise<string>} Model response text
+     */
+    async complete(request) {
+        const command = new InvokeModelCommand({
+            modelId: request.modelId || this.modelId,
+            contentType: 'application/json',
+            accept: 'application/json',
+            body: this.buildRequestBody(request)
+        });
+
+        const response = await this.client.send(command, request.signal ? { abortSignal: request.signal } : undefined);
+        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+        return responseBody.output?.message?.content?.[0]?.text || '{}';
+    }
+
+    /**
+     * Stream a prompt, yielding text deltas as they arrive
+     * @param {Object} request - Same options as complete(), plus an optional AbortSignal
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(request) {
+        const command = new InvokeModelWithResponseStreamCommand({
+            modelId: request.modelId || this.modelId,
+            contentType: 'application/json',
+            accept: 'application/json',
+            body: this.buildRequestBody(request)
+        });
+
+        const response = await this.client.send(command, request.signal ? { abortSignal: request.signal } : undefined);
+
+        for await (const event of response.body) {
+            if (request.signal?.aborted) {
+                return;
+            }
+            if (!event.chunk?.bytes) {
+                continue;
+            }
+
+            const payload = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+            const text = payload.contentBlockDelta?.delta?.text;
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    /**
+     * Invoke a Bedrock Agent
+     * @param {Object} params - InvokeAgentCommand input
+     * @returns {Promise<Object>} Agent response with a streaming completion
+     */
+    async invokeAgent(params) {
+        return this.agentClient.send(new InvokeAgentCommand(params));
+    }
+
+    /**
+     * Retrieve passages from a Bedrock Knowledge Base
+     * @param {Object} params
+     * @param {string} params.knowledgeBaseId - Knowledge base id
+     * @param {string} params.query - Retrieval query text
+     * @param {number} params.numberOfResults - Result count
+     * @returns {Promise<Object>} { retrievalResults }
+     */
+    async retrieve({ knowledgeBaseId, query, numberOfResults = 10 }) {
+        const response = await this.agentClient.send(new RetrieveCommand({
+            knowledgeBaseId,
+            retrievalQuery: {
+                text: query
+            },
+            retrievalConfiguration: {
+                vectorSearchConfiguration: {
+                    numberOfResults,
+                    overrideSearchType: 'HYBRID' // Use both semantic and keyword search
+                }
+            }
+        }));
+
+        return {
+            retrievalResults: response?.retrievalResults || []
+        };
+    }
+}
+
+export default BedrockLLMProvider;
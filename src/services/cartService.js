@@ -0,0 +1,248 @@
+/**
+ * CartService
+ *
+ * Collects every piece a trip's outfits need that the user doesn't own (closet CLOC
+ * SKUs and saved catalog items are skipped) into a cart. Size, variant, quantity and
+ * removals are kept per SKU as the trip's cart selections, so the cart is rebuilt from
+ * the outfits whenever they change. The cart is exported through a retailer adapter as
+ * a checkout deep-link, or as a plain-text list the user can share.
+ */
+
+import { reusabilityOptimizer } from './ReusabilityOptimizer';
+import { createRetailerAdapter } from './retailerAdapterFactory';
+import { getChosenSize } from './retailerAdapter';
+
+// Availability values that can't be checked out
+const UNAVAILABLE = new Set(['out-of-stock']);
+
+/**
+ * CartService class for building and exporting trip carts
+ */
+export class CartService {
+    constructor(adapter = createRetailerAdapter(), optimizer = reusabilityOptimizer) {
+        this.adapter = adapter;
+        this.reusabilityOptimizer = optimizer;
+    }
+
+    /**
+     * Use a different retailer (e.g. the mock store in tests)
+     * @param {RetailerAdapter} adapter - Retailer adapter
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Build the cart for a trip
+     * @param {Object|Array} outfits - Hydrated outfits keyed by day (or an array of them)
+     * @param {Object} options
+     * @param {Set<string>} options.closetSkus - SKUs the user already owns (CLOC SKUs always count)
+     * @param {Object} options.selections - Per-SKU { size, variantId, quantity, removed }
+     * @param {Array<ClothingItem>} options.catalog - Catalog items, used to fill in shop details
+     *   missing from outfits generated before the catalog carried them
+     * @param {Object} options.availability - Latest availability keyed by SKU (from refreshAvailability)
+     * @returns {Object} { lines, totals }
+     */
+    buildCart(outfits, { closetSkus = new Set(), selections = {}, catalog = [], availability = {} } = {}) {
+        const outfitList = (Array.isArray(outfits) ? outfits : Object.values(outfits || {})).filter(Boolean);
+        const catalogBySku = new Map(catalog.map(item => [item.sku, item]));
+
+        const lines = this.reusabilityOptimizer.extractAllItemsFromOutfits(outfitList)
+            .filter(item => !item.sku.startsWith('CLOC') && !closetSkus.has(item.sku))
+            .map(item => this.createLine(
+                { ...catalogBySku.get(item.sku), ...item },
+                selections[item.sku],
+                {
+                    days: outfitList
+                        .filter(outfit => this.reusabilityOptimizer.getOutfitItems(outfit).some(worn => worn?.sku === item.sku))
+                        .map(outfit => outfit.day)
+                        .sort((a, b) => a - b),
+                    availability: availability[item.sku]
+                }
+            ))
+            .sort((a, b) => a.days[0] - b.days[0] || a.name.localeCompare(b.name));
+
+        return { lines, totals: this.getTotals(lines) };
+    }
+
+    /**
+     * Turn an item and the user's choices into a cart line
+     * @param {Object} item - Catalog item
+     * @param {Object} selection - { size, variantId, quantity, removed }
+     * @param {Object} context - { days, availability }
+     * @returns {Object} Cart line
+     */
+    createLine(item, selection = {}, { days, availability }) {
+        const sizes = item.sizes || [];
+        const variants = item.variants || [];
+
+        return {
+            sku: item.sku,
+            name: item.name,
+            category: item.category,
+            colors: item.colors,
+            price: Number(item.price) || 0,
+            productUrl: item.productUrl || null,
+            sizes,
+            variants,
+            // A one-size item needs no choice; otherwise the shopper has to pick
+            size: sizes.includes(selection.size) ? selection.size : (sizes.length === 1 ? sizes[0] : null),
+            variant: variants.find(variant => variant.id === selection.variantId) || variants[0] || null,
+            quantity: Math.max(1, Math.round(Number(selection.quantity) || 1)),
+            availability: availability || item.availability || null,
+            included: !selection.removed,
+            days
+        };
+    }
+
+    /**
+     * Cart totals over the lines still in the cart
+     * @param {Array<Object>} lines - Cart lines
+     * @returns {Object} { lines, quantity, subtotal, unavailable, needsSize }
+     */
+    getTotals(lines) {
+        const included = lines.filter(line => line.included);
+        const purchasable = included.filter(line => !this.isUnavailable(line));
+
+        return {
+            lines: included.length,
+            quantity: purchasable.reduce((total, line) => total + line.quantity, 0),
+            subtotal: this.round(purchasable.reduce((total, line) => total + line.price * line.quantity, 0)),
+            unavailable: included.length - purchasable.length,
+            needsSize: purchasable.filter(line => this.needsSize(line)).length
+        };
+    }
+
+    /**
+     * Record a choice for one SKU
+     * @param {Object} selections - Current selections keyed by SKU
+     * @param {string} sku - SKU
+     * @param {Object} changes - { size, variantId, quantity, removed }
+     * @returns {Object} New selections
+     */
+    updateSelection(selections = {}, sku, changes) {
+        return { ...selections, [sku]: { ...selections[sku], ...changes } };
+    }
+
+    /**
+     * Ask the retailer for current stock
+     * @param {Object} cart - Cart from buildCart
+     * @returns {Promise<Object>} { success, data: availability keyed by SKU } or { success: false, error }
+     */
+    async refreshAvailability(cart) {
+        try {
+            const availability = await this.adapter.getAvailability(cart.lines);
+            return { success: true, data: availability };
+        } catch (error) {
+            console.error('❌ Stock check failed:', error);
+            return {
+                success: false,
+                error: {
+                    code: error.code || 'AVAILABILITY_ERROR',
+                    message: `Couldn't check stock with ${this.adapter.label}: ${error.message}`
+                }
+            };
+        }
+    }
+
+    /**
+     * Checkout deep-link for every line that can be bought
+     * @param {Object} cart - Cart from buildCart
+     * @returns {Object} { success, data: { url, retailer, lines, skipped } } or { success: false, error }
+     */
+    exportCheckoutLink(cart) {
+        const included = cart.lines.filter(line => line.included);
+        const purchasable = included.filter(line => !this.isUnavailable(line));
+        const skipped = included
+            .filter(line => this.isUnavailable(line))
+            .map(line => ({ sku: line.sku, name: line.name, reason: line.availability }));
+
+        if (purchasable.length === 0) {
+            return {
+                success: false,
+                error: { code: 'EMPTY_CART', message: 'There is nothing in the cart that can be bought' }
+            };
+        }
+
+        const missingSize = purchasable.filter(line => this.needsSize(line));
+        if (missingSize.length > 0) {
+            return {
+                success: false,
+                error: {
+                    code: 'SIZE_REQUIRED',
+                    message: `Pick a size for ${missingSize.map(line => line.name).join(', ')}`,
+                    skus: missingSize.map(line => line.sku)
+                }
+            };
+        }
+
+        try {
+            const url = this.adapter.buildCheckoutUrl(purchasable);
+            console.log(`🛒 Checkout link for ${purchasable.length} item(s) at ${this.adapter.label}`);
+            return { success: true, data: { url, retailer: this.adapter.label, lines: purchasable.length, skipped } };
+        } catch (error) {
+            return {
+                success: false,
+                error: { code: error.code || 'CHECKOUT_ERROR', message: error.message }
+            };
+        }
+    }
+
+    /**
+     * Plain-text shopping list for sharing
+     * @param {Object} cart - Cart from buildCart
+     * @param {Object} options
+     * @param {string} options.title - List heading (usually the trip name)
+     * @returns {Object} { success, data: text } or { success: false, error }
+     */
+    exportShareableList(cart, { title = 'Shopping list' } = {}) {
+        const included = cart.lines.filter(line => line.included);
+
+        if (included.length === 0) {
+            return {
+                success: false,
+                error: { code: 'EMPTY_CART', message: 'The cart is empty' }
+            };
+        }
+
+        const describe = line => {
+            const size = getChosenSize(line);
+            const details = [line.variant?.label, size && `size ${size}`].filter(Boolean).join(', ');
+            const url = this.adapter.getProductUrl(line);
+            return [
+                `- ${line.name}${details ? ` (${details})` : ''} × ${line.quantity} — $${this.round(line.price * line.quantity)}`,
+                this.isUnavailable(line) ? ' [out of stock]' : '',
+                url ? `\n  ${url}` : ''
+            ].join('');
+        };
+
+        const { subtotal, quantity } = this.getTotals(cart.lines);
+        const text = [
+            title,
+            '',
+            ...included.map(describe),
+            '',
+            `Total: $${subtotal} for ${quantity} item(s)`
+        ].join('\n');
+
+        return { success: true, data: text };
+    }
+
+    isUnavailable(line) {
+        return UNAVAILABLE.has(line.availability);
+    }
+
+    needsSize(line) {
+        return line.sizes.length > 0 && !line.size;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export singleton instance
+export const cartService = new CartService();
+
+// Export class for testing and custom instances
+export default CartService;
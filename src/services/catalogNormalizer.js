@@ -0,0 +1,288 @@
+/**
+ * Catalog Normalizer
+ * The single parsing and validation path for clothing CSVs. Maps the columns of
+ * each known format (catalog, closet, demo) onto catalogItemSchema and reports
+ * row-level problems as { line, field, reason } instead of dropping rows silently.
+ */
+
+import { catalogItemSchema } from '../schemas/catalogItemSchema';
+
+// Canonical column order for CSV handed to the model (the styling columns of clothing_dataset.csv;
+// shop columns such as product_url, sizes, variants and availability, and the style-profile
+// columns fit, coverage, heel_height and presentation, stay out of the prompt)
+const CATALOG_CSV_COLUMNS = ['sku', 'name', 'category', 'tags', 'weather_suitability', 'price', 'colors', 'layering', 'formality', 'notes'];
+
+// Source column (lowercased) -> schema field, per CSV format
+const CATALOG_FORMATS = {
+    // public/clothing_dataset.csv
+    catalog: {
+        columns: {
+            sku: 'sku', name: 'name', category: 'category', tags: 'tags',
+            weather_suitability: 'weatherSuitability', price: 'price', colors: 'colors',
+            layering: 'layering', formality: 'formality', notes: 'notes',
+            product_url: 'productUrl', sizes: 'sizes', variants: 'variants', availability: 'availability',
+            fit: 'fit', coverage: 'coverage', heel_height: 'heelHeight', presentation: 'presentation'
+        },
+        tagSeparator: ','
+    },
+    // public/closet_clothing_dataset.csv
+    closet: {
+        columns: {
+            sku: 'sku', name: 'name', category: 'category', tags: 'tags',
+            weather_suitability: 'weatherSuitability', price: 'price', colors: 'colors',
+            layering: 'layering', formality: 'formality', description: 'notes'
+        },
+        tagSeparator: ','
+    },
+    // public/demo_dataset.csv
+    demo: {
+        columns: {
+            sku: 'sku', name: 'name', category: 'category', price: 'price', colors: 'colors',
+            weathersuitability: 'weatherSuitability', formality: 'formality', layering: 'layering',
+            tags: 'tags', notes: 'notes', image: 'image', producturl: 'productUrl'
+        },
+        tagSeparator: /\s+/
+    }
+};
+
+const REQUIRED_FIELDS = ['name', 'category'];
+
+class CatalogNormalizer {
+    /**
+     * Split one CSV line into cells, honouring quotes and "" escapes
+     * @param {string} line - CSV line
+     * @returns {Array<string>} Trimmed cell values
+     */
+    splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === ',' && !inQuotes) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        values.push(current.trim());
+        return values;
+    }
+
+    /**
+     * Tokenize CSV content, keeping the source line number of every row
+     * @param {string} csvContent - Raw CSV content
+     * @returns {{headers: Array<string>, rows: Array<{line: number, values: Array<string>}>}}
+     */
+    parseCSV(csvContent = '') {
+        const lines = csvContent.replace(/\r/g, '').split('\n');
+        const headers = this.splitCSVLine(lines[0] || '');
+        const rows = [];
+
+        lines.forEach((line, index) => {
+            if (index > 0 && line.trim()) {
+                rows.push({ line: index + 1, values: this.splitCSVLine(line) });
+            }
+        });
+
+        return { headers, rows };
+    }
+
+    /**
+     * Work out which known format a header row belongs to
+     * @param {Array<string>} headers - Header cells
+     * @returns {string} Format name
+     */
+    detectFormat(headers = []) {
+        const lower = headers.map(header => header.toLowerCase());
+
+        if (lower.includes('weathersuitability') || lower.includes('producturl')) {
+            return 'demo';
+        }
+        if (lower.includes('description')) {
+            return 'closet';
+        }
+        return 'catalog';
+    }
+
+    /**
+     * Map a row's columns onto schema fields
+     * @param {Object} record - Cells keyed by header
+     * @param {string} formatName - Format name
+     * @returns {Object} Schema input
+     */
+    mapRecord(record, formatName = 'catalog') {
+        const format = CATALOG_FORMATS[formatName] || CATALOG_FORMATS.catalog;
+        const input = {};
+
+        Object.entries(record).forEach(([header, value]) => {
+            const field = format.columns[header.toLowerCase()];
+            if (field) {
+                input[field] = value;
+            }
+        });
+
+        if (typeof input.tags === 'string') {
+            input.tags = input.tags.split(format.tagSeparator);
+        }
+
+        return input;
+    }
+
+    /**
+     * Validate a single item against the catalog item schema
+     * @param {Object} input - Schema input
+     * @returns {Object} { success, data } or { success: false, errors: [{ field, reason }] }
+     */
+    validateItem(input) {
+        const result = catalogItemSchema.safeParse(input || {});
+
+        if (result.success) {
+            return { success: true, data: result.data };
+        }
+
+        return {
+            success: false,
+            errors: result.error.issues.map(issue => ({
+                field: String(issue.path[0] ?? 'item'),
+                reason: issue.message
+            }))
+        };
+    }
+
+    /**
+     * Parse, map and validate a clothing CSV in any known format
+     * @param {string} csvContent - Raw CSV content
+     * @param {Object} options
+     * @param {string} options.format - Force a format instead of detecting it
+     * @param {Function} options.generateSku - Supplies a SKU for rows without one (otherwise SKU is required)
+     * @returns {Object} { success, data: { items, errors, format } } or { success: false, error: { code, message, errors } }
+     */
+    normalizeCSV(csvContent = '', { format = null, generateSku = null } = {}) {
+        const { headers, rows } = this.parseCSV(csvContent);
+        const formatName = format || this.detectFormat(headers);
+        const columns = (CATALOG_FORMATS[formatName] || CATALOG_FORMATS.catalog).columns;
+        const mappedFields = headers.map(header => columns[header.toLowerCase()]);
+        const requiredFields = generateSku ? REQUIRED_FIELDS : ['sku', ...REQUIRED_FIELDS];
+        const missingFields = requiredFields.filter(field => !mappedFields.includes(field));
+
+        if (missingFields.length > 0) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_CSV',
+                    message: `Missing required column(s): ${missingFields.join(', ')}`,
+                    errors: missingFields.map(field => ({ line: 1, field, reason: 'Missing column' }))
+                }
+            };
+        }
+
+        const items = [];
+        const errors = [];
+        const seenSkus = new Map();
+
+        rows.forEach(({ line, values }) => {
+            if (values.length !== headers.length) {
+                errors.push({
+                    line,
+                    field: 'row',
+                    reason: `Expected ${headers.length} values but found ${values.length}`
+                });
+                return;
+            }
+
+            const input = this.mapRecord(
+                Object.fromEntries(headers.map((header, column) => [header, values[column]])),
+                formatName
+            );
+            if (!input.sku && generateSku) {
+                input.sku = generateSku();
+            }
+
+            const validation = this.validateItem(input);
+            if (!validation.success) {
+                validation.errors.forEach(({ field, reason }) => errors.push({ line, field, reason }));
+                return;
+            }
+
+            const item = validation.data;
+            if (seenSkus.has(item.sku)) {
+                errors.push({ line, field: 'sku', reason: `Duplicate SKU ${item.sku} (first seen on line ${seenSkus.get(item.sku)})` });
+                return;
+            }
+
+            seenSkus.set(item.sku, line);
+            items.push(item);
+        });
+
+        return {
+            success: true,
+            data: { items, errors, format: formatName }
+        };
+    }
+
+    /**
+     * Build the dataset structure used by outfit generation
+     * @param {Array} items - Normalized items
+     * @returns {{csvContent: string, items: Array, skuMap: Map<string, Object>}}
+     */
+    buildDataset(items = []) {
+        return {
+            csvContent: this.toCSV(items),
+            items,
+            skuMap: new Map(items.map(item => [item.sku, item]))
+        };
+    }
+
+    /**
+     * Serialize items as canonical catalog CSV (header included)
+     * @param {Array} items - Normalized items
+     * @returns {string} CSV content
+     */
+    toCSV(items = []) {
+        return [CATALOG_CSV_COLUMNS.join(','), ...items.map(item => this.toCSVRow(item))].join('\n');
+    }
+
+    /**
+     * Serialize an item as a CSV row in the canonical column order
+     * @param {Object} item - Normalized item
+     * @returns {string} CSV row
+     */
+    toCSVRow(item) {
+        const values = {
+            ...item,
+            tags: Array.isArray(item.tags) ? item.tags.join(', ') : item.tags,
+            weather_suitability: item.weatherSuitability
+        };
+
+        return CATALOG_CSV_COLUMNS
+            .map(column => this.escapeCSVValue(values[column]))
+            .join(',');
+    }
+
+    /**
+     * Quote a CSV cell when it contains separators or quotes
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCSVValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export singleton instance
+const catalogNormalizer = new CatalogNormalizer();
+export default catalogNormalizer;
+export { CatalogNormalizer, CATALOG_CSV_COLUMNS, CATALOG_FORMATS };
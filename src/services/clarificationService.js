@@ -0,0 +1,305 @@
+/**
+ * Clarification Service
+ * Runs the question-and-answer loop between extraction and confirmation: turns
+ * needsClarification and missing details into questions, merges the answers into the
+ * extracted details via contextAccumulator.addExtractedDetails, and reports when the
+ * context is complete enough (calculateCompleteness) to move on to confirmation.
+ */
+
+import contextAccumulator from './contextAccumulator';
+
+// Completeness the extracted details need before the confirmation form is shown
+const COMPLETENESS_THRESHOLD = 0.68;
+
+const DRESS_CODES = ['casual', 'smart-casual', 'business', 'formal', 'black-tie'];
+
+// Maps free-text clarification requests to the detail they ask about (first match wins)
+const CLARIFICATION_FIELDS = [
+    { field: 'location', pattern: /location|city|where|destination/i },
+    { field: 'duration', pattern: /duration|how long|length|nights/i },
+    { field: 'startDate', pattern: /date|when|start/i },
+    { field: 'dressCode', pattern: /dress|attire|formality/i },
+    { field: 'budget', pattern: /budget|spend|price/i }
+];
+
+const QUESTIONS = {
+    location: { type: 'text', prompt: 'Where are you headed?', placeholder: 'City or region' },
+    startDate: { type: 'date', prompt: 'When does the trip start?' },
+    duration: { type: 'number', prompt: 'How many days will you be away?' },
+    dressCode: { type: 'dressCode', prompt: 'What is the dress code?' },
+    budget: { type: 'number', prompt: 'What budget should new pieces stay within?', placeholder: 'Amount in dollars' },
+    dailyPlans: { type: 'dailyPlans', prompt: 'What is the plan and dress code for each day?' },
+    notes: { type: 'text', prompt: 'Tell me a bit more about the trip so I can plan the looks.', placeholder: 'Activities, venues, style' }
+};
+
+class ClarificationService {
+    constructor() {
+        this.threshold = COMPLETENESS_THRESHOLD;
+    }
+
+    /**
+     * Start the clarification loop for freshly extracted event details
+     * @param {string} sessionId - Session identifier (the trip id)
+     * @param {Object} extractedDetails - Event details from extraction
+     * @param {string} originalMessage - The user's trip description
+     * @returns {Object} { success, data: { details, questions, completeness, readyForConfirmation, turn } }
+     */
+    startClarification(sessionId, extractedDetails, originalMessage = null) {
+        contextAccumulator.initializeContextFile(sessionId, { originalMessage });
+
+        const details = {
+            ...extractedDetails,
+            needsClarification: [...(extractedDetails.needsClarification || [])]
+        };
+        contextAccumulator.addExtractedDetails(sessionId, details, originalMessage);
+
+        return { success: true, data: this.getState(sessionId) };
+    }
+
+    /**
+     * Merge the user's answers and re-evaluate completeness
+     * @param {string} sessionId - Session identifier
+     * @param {Object} answers - Answers keyed by question id
+     * @param {Object} fallback - { details, originalMessage } used if the context file expired
+     * @returns {Object} { success, data } or { success: false, error: { code, message, fields } }
+     */
+    answerClarification(sessionId, answers = {}, fallback = {}) {
+        let contextFile = contextAccumulator.getContextFile(sessionId);
+        if (!contextFile && fallback.details) {
+            this.startClarification(sessionId, fallback.details, fallback.originalMessage);
+            contextFile = contextAccumulator.getContextFile(sessionId);
+        }
+        if (!contextFile?.userInput?.extractedDetails) {
+            return {
+                success: false,
+                error: { code: 'NO_CONTEXT', message: 'Describe your trip again so I can pick up where we left off' }
+            };
+        }
+
+        const details = contextFile.userInput.extractedDetails;
+        const questions = this.buildQuestions(details, contextFile.metadata.completeness);
+        const merged = this.mergeAnswers(details, questions, answers);
+
+        if (merged.errors.length > 0) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_ANSWER',
+                    message: merged.errors.map(({ reason }) => reason).join(' '),
+                    fields: merged.errors
+                }
+            };
+        }
+
+        if (merged.answered.length > 0) {
+            contextAccumulator.addExtractedDetails(sessionId, merged.details);
+            contextAccumulator.addClarificationAnswers(sessionId, merged.answered);
+            console.log(`💬 Merged ${merged.answered.length} clarification answer(s) for ${sessionId}`);
+        }
+
+        return { success: true, data: this.getState(sessionId) };
+    }
+
+    /**
+     * Current loop state for a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} { details, questions, completeness, readyForConfirmation, turn }
+     */
+    getState(sessionId) {
+        const contextFile = contextAccumulator.getContextFile(sessionId);
+        const details = contextFile.userInput.extractedDetails;
+        const completeness = contextAccumulator.calculateCompleteness(contextFile);
+        const readyForConfirmation = completeness >= this.threshold;
+
+        return {
+            details,
+            questions: readyForConfirmation ? [] : this.buildQuestions(details, completeness),
+            completeness,
+            readyForConfirmation,
+            turn: (contextFile.userInput.clarificationAnswers || []).length
+        };
+    }
+
+    /**
+     * Questions for open clarification requests and missing details
+     * @param {Object} details - Extracted event details
+     * @param {number} completeness - Current completeness score
+     * @returns {Array<Object>} Questions: { id, field, type, prompt, placeholder?, clarification? }
+     */
+    buildQuestions(details, completeness = 0) {
+        const questions = [];
+        const asked = new Set();
+        const ask = (field, extra = {}) => {
+            const id = extra.id || field;
+            if (!asked.has(id)) {
+                asked.add(id);
+                questions.push({ id, field, ...QUESTIONS[field], ...extra });
+            }
+        };
+
+        (details.needsClarification || []).forEach((clarification, index) => {
+            const field = this.getClarificationField(clarification);
+            if (field === 'dressCode' && (details.duration || 1) > 1) {
+                ask('dailyPlans');
+            } else if (field) {
+                ask(field);
+            } else {
+                ask('notes', { id: `note-${index}`, prompt: this.toQuestion(clarification), clarification });
+            }
+        });
+
+        if (!details.location) {
+            ask('location');
+        }
+        if (!details.startDate) {
+            ask('startDate');
+        }
+        if ((details.duration || 1) > 1 && !this.hasDressCodeForEveryDay(details)) {
+            ask('dailyPlans');
+        }
+
+        // Nothing specific is missing but the extraction was too unsure to go on
+        if (questions.length === 0 && completeness < this.threshold) {
+            ask('notes');
+        }
+
+        return questions;
+    }
+
+    /**
+     * Apply answers to the extracted details
+     * @param {Object} details - Extracted event details
+     * @param {Array<Object>} questions - Questions that were asked
+     * @param {Object} answers - Answers keyed by question id
+     * @returns {Object} { details, answered, errors }
+     */
+    mergeAnswers(details, questions, answers) {
+        const merged = {
+            ...details,
+            specialRequirements: [...(details.specialRequirements || [])],
+            needsClarification: [...(details.needsClarification || [])]
+        };
+        const answered = [];
+        const errors = [];
+        const resolved = new Set();
+
+        questions.forEach(question => {
+            const answer = answers[question.id];
+            if (answer === undefined || answer === null || (typeof answer === 'string' && !answer.trim())) {
+                return;
+            }
+
+            const error = this.applyAnswer(merged, question, answer);
+            if (error) {
+                errors.push({ field: question.id, reason: error });
+                return;
+            }
+
+            answered.push({ id: question.id, field: question.field, question: question.prompt, answer });
+            resolved.add(question.clarification || question.field);
+        });
+
+        merged.needsClarification = merged.needsClarification.filter(clarification => {
+            const field = this.getClarificationField(clarification);
+            const asDailyPlans = field === 'dressCode' && resolved.has('dailyPlans');
+            return !resolved.has(clarification) && !resolved.has(field) && !asDailyPlans;
+        });
+
+        // Answers come straight from the traveller: each one halves the remaining doubt
+        merged.confidence = 1 - (1 - (details.confidence || 0)) * Math.pow(0.5, answered.length);
+
+        return { details: merged, answered, errors };
+    }
+
+    /**
+     * Apply one answer to the details
+     * @param {Object} details - Details being merged (mutated)
+     * @param {Object} question - Question being answered
+     * @param {*} answer - Answer value
+     * @returns {string|null} Error message, or null when applied
+     */
+    applyAnswer(details, question, answer) {
+        switch (question.field) {
+            case 'location':
+                details.location = String(answer).trim();
+                return null;
+            case 'startDate': {
+                const date = String(answer).trim();
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                    return 'Enter the start date as YYYY-MM-DD.';
+                }
+                details.startDate = date;
+                return null;
+            }
+            case 'duration': {
+                const duration = parseInt(answer, 10);
+                if (!duration || duration < 1 || duration > 365) {
+                    return 'Enter a trip length between 1 and 365 days.';
+                }
+                details.duration = duration;
+                details.dailyPlans = (details.dailyPlans || []).filter(plan => plan.day <= duration);
+                return null;
+            }
+            case 'dressCode':
+                if (!DRESS_CODES.includes(answer)) {
+                    return `Pick one of: ${DRESS_CODES.join(', ')}.`;
+                }
+                details.dressCode = answer;
+                return null;
+            case 'budget': {
+                const budget = parseFloat(answer);
+                if (Number.isNaN(budget) || budget < 0) {
+                    return 'Enter the budget as a number.';
+                }
+                details.budget = budget;
+                return null;
+            }
+            case 'dailyPlans': {
+                if (!Array.isArray(answer) || answer.some(plan => !DRESS_CODES.includes(plan?.dressCode))) {
+                    return 'Pick a dress code for every day.';
+                }
+                const plans = new Map((details.dailyPlans || []).map(plan => [plan.day, plan]));
+                answer.forEach(plan => {
+                    const day = Number(plan.day);
+                    plans.set(day, {
+                        day,
+                        activity: plan.activity || plans.get(day)?.activity || `Day ${day}`,
+                        dressCode: plan.dressCode
+                    });
+                });
+                details.dailyPlans = Array.from(plans.values()).sort((a, b) => a.day - b.day);
+                details.dressCode = details.dailyPlans[0]?.dressCode || details.dressCode;
+                return null;
+            }
+            default:
+                details.specialRequirements.push(
+                    question.clarification ? `${question.clarification}: ${String(answer).trim()}` : String(answer).trim()
+                );
+                return null;
+        }
+    }
+
+    /**
+     * Detail a clarification request asks about
+     * @param {string} clarification - e.g. "start date", "dress code specifics"
+     * @returns {string|null} Field name, or null for free-form requests
+     */
+    getClarificationField(clarification) {
+        return CLARIFICATION_FIELDS.find(({ pattern }) => pattern.test(clarification))?.field || null;
+    }
+
+    hasDressCodeForEveryDay(details) {
+        const plannedDays = new Set((details.dailyPlans || []).filter(plan => plan?.dressCode).map(plan => plan.day));
+        return Array.from({ length: details.duration || 1 }, (_, index) => index + 1).every(day => plannedDays.has(day));
+    }
+
+    toQuestion(clarification) {
+        const text = clarification.trim();
+        return /\?$/.test(text) ? text : `Could you tell me more about the ${text}?`;
+    }
+}
+
+// Export singleton instance
+const clarificationService = new ClarificationService();
+export default clarificationService;
+export { ClarificationService, COMPLETENESS_THRESHOLD, DRESS_CODES };
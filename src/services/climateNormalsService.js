@@ -0,0 +1,288 @@
+/**
+ * Climate Normals Service
+ * Offline monthly climate averages for trips beyond the forecast window or when the
+ * weather API is unavailable. Looks up the nearest bundled city by coordinates (or by
+ * name), interpolates between mid-month normals for each day, and produces raw weather
+ * in the same shape as weatherService so it can go through processWeatherData.
+ */
+
+import { CLIMATE_NORMALS } from '../data/climateNormals.js';
+
+// Furthest a bundled city can be from the destination and still stand in for it
+const MAX_CITY_DISTANCE_KM = 300;
+
+// Latitude used when a destination cannot be placed at all
+const DEFAULT_LATITUDE = 45;
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+
+class ClimateNormalsService {
+    constructor() {
+        this.cities = CLIMATE_NORMALS;
+        this.maxDistanceKm = MAX_CITY_DISTANCE_KM;
+    }
+
+    /**
+     * Find the bundled city that best represents a location
+     * @param {Object|string} location - { name, coordinates: { lat, lon } } or a place name
+     * @returns {Object|null} { city, distanceKm } or null when nothing is close enough
+     */
+    findCity(location) {
+        const coordinates = typeof location === 'object' ? location?.coordinates : null;
+        if (this.hasCoordinates(coordinates)) {
+            const nearest = this.findNearestCity(coordinates);
+            if (nearest) {
+                return nearest;
+            }
+        }
+
+        const name = typeof location === 'string' ? location : location?.resolvedFrom || location?.name;
+        const city = this.findCityByName(name);
+        return city ? { city, distanceKm: null } : null;
+    }
+
+    /**
+     * Nearest bundled city within the maximum distance
+     * @param {Object} coordinates - { lat, lon }
+     * @returns {Object|null} { city, distanceKm }
+     */
+    findNearestCity(coordinates) {
+        let nearest = null;
+
+        this.cities.forEach(city => {
+            const distanceKm = this.getDistanceKm(coordinates, city);
+            if (distanceKm <= this.maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) {
+                nearest = { city, distanceKm: Math.round(distanceKm) };
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Bundled city matching a place name or one of its aliases
+     * @param {string} name - e.g. "Sydney", "Sydney, Australia", "Bali"
+     * @returns {Object|null} City entry
+     */
+    findCityByName(name) {
+        if (!name || typeof name !== 'string') {
+            return null;
+        }
+
+        const normalized = this.normalizeName(name);
+        const head = this.normalizeName(name.split(',')[0]);
+        const names = city => [city.name, ...city.aliases].map(entry => this.normalizeName(entry));
+
+        return this.cities.find(city => names(city).some(entry => entry === head || entry === normalized)) ||
+            // Short aliases such as "la" only count as the whole name
+            this.cities.find(city => names(city).some(entry => entry.length > 3 && ` ${normalized} `.includes(` ${entry} `))) ||
+            null;
+    }
+
+    /**
+     * Season at a date, flipped for the southern hemisphere
+     * @param {string|Date} date - Date (YYYY-MM-DD)
+     * @param {number} lat - Latitude
+     * @returns {string} 'spring' | 'summer' | 'autumn' | 'winter'
+     */
+    getSeason(date, lat = DEFAULT_LATITUDE) {
+        const month = this.toDate(date).getUTCMonth();
+        return SEASONS[this.getHemisphere(lat) === 'southern' ? (month + 6) % 12 : month];
+    }
+
+    /**
+     * Best known latitude for a location
+     * @param {Object|string} location - Location (see findCity)
+     * @param {Object} match - Result of findCity, if already looked up
+     * @returns {number} Latitude, or the default mid-northern latitude when unknown
+     */
+    getLatitude(location, match = this.findCity(location)) {
+        if (this.hasCoordinates(location?.coordinates)) {
+            return location.coordinates.lat;
+        }
+        return match?.city.lat ?? DEFAULT_LATITUDE;
+    }
+
+    getHemisphere(lat) {
+        return lat < 0 ? 'southern' : 'northern';
+    }
+
+    /**
+     * Climate normals for one day, interpolated between mid-month values
+     * @param {Object|string} location - Location (see findCity)
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object} { min, max, precipitation, precipitationProbability, humidity, city, source }
+     */
+    getDailyNormals(location, date) {
+        const match = this.findCity(location);
+        const lat = this.getLatitude(location, match);
+        const monthly = match ? month => this.toMonthlyNormals(match.city.months[month]) : month => this.estimateMonthlyNormals(month, lat);
+
+        const day = this.toDate(date);
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth();
+        const dayOfMonth = day.getUTCDate();
+
+        // Normals describe the middle of each month; blend with the neighbouring month
+        const from = dayOfMonth >= 15 ? month : (month + 11) % 12;
+        const to = (from + 1) % 12;
+        const fromLength = this.getDaysInMonth(from === 11 && month === 0 ? year - 1 : year, from);
+        const offset = dayOfMonth >= 15 ? dayOfMonth - 15 : dayOfMonth + fromLength - 15;
+        const weight = offset / fromLength;
+
+        const a = monthly(from);
+        const b = monthly(to);
+        const blend = field => a[field] + (b[field] - a[field]) * weight;
+
+        const rainDays = blend('rainDays');
+        const precipitation = blend('precipitation');
+
+        return {
+            date: day.toISOString().split('T')[0],
+            month: month + 1,
+            lat,
+            min: Math.round(blend('min')),
+            max: Math.round(blend('max')),
+            humidity: Math.round(blend('humidity')),
+            precipitationProbability: Math.min(100, Math.round((rainDays / this.getDaysInMonth(year, month)) * 100)),
+            precipitation: rainDays > 0 ? Math.round((precipitation / rainDays) * 10) / 10 : 0,
+            city: match ? { name: match.city.name, country: match.city.country, distanceKm: match.distanceKm } : null,
+            source: match ? 'climate-normals' : 'latitude-estimate'
+        };
+    }
+
+    /**
+     * Climate normals for one day in the weatherService response shape
+     * @param {Object|string} location - Location (see findCity)
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object} { location, date, weather, source, normals }
+     */
+    buildWeatherData(location, date) {
+        const normals = this.getDailyNormals(location, date);
+        const average = Math.round((normals.min + normals.max) / 2);
+        const main = this.getTypicalCondition(normals);
+        const place = normals.city?.name || (typeof location === 'string' ? location : location?.name) || 'this area';
+        const range = `${normals.min}–${normals.max}°C`;
+
+        return {
+            location: typeof location === 'object' && location ? location : { name: location },
+            date: normals.date,
+            weather: {
+                temperature: {
+                    current: average,
+                    feels_like: average,
+                    min: normals.min,
+                    max: normals.max,
+                    unit: 'celsius'
+                },
+                conditions: {
+                    main,
+                    description: normals.source === 'climate-normals'
+                        ? `Typical ${MONTH_NAMES[normals.month - 1]} weather in ${place}: ${range}, ${normals.precipitationProbability}% chance of rain`
+                        : `Estimated ${MONTH_NAMES[normals.month - 1]} weather for this latitude: ${range}`,
+                    precipitation: {
+                        probability: normals.precipitationProbability,
+                        amount: normals.precipitation
+                    }
+                },
+                humidity: normals.humidity,
+                wind: { speed: 4, direction: 0 }
+            },
+            source: normals.source,
+            normals
+        };
+    }
+
+    /**
+     * Typical condition for a day, in OpenWeatherMap vocabulary
+     * @param {Object} normals - Daily normals
+     * @returns {string} 'Rain' | 'Snow' | 'Clouds' | 'Clear'
+     */
+    getTypicalCondition(normals) {
+        if (normals.precipitationProbability >= 50) {
+            return normals.max <= 2 ? 'Snow' : 'Rain';
+        }
+        if (normals.precipitationProbability >= 25 || normals.humidity >= 80) {
+            return 'Clouds';
+        }
+        return 'Clear';
+    }
+
+    /**
+     * Rough monthly normals from latitude alone, for places with no bundled city nearby
+     * @param {number} month - Month (0-11)
+     * @param {number} lat - Latitude
+     * @returns {Object} { min, max, precipitation, rainDays, humidity }
+     */
+    estimateMonthlyNormals(month, lat) {
+        const absLat = Math.abs(lat);
+        const annualMean = 27 - 0.45 * Math.max(0, absLat - 15);
+        const amplitude = Math.min(15, 0.2 * absLat);
+        const warmestMonth = this.getHemisphere(lat) === 'southern' ? 0 : 6;
+        const mean = annualMean + amplitude * Math.cos((2 * Math.PI * (month - warmestMonth)) / 12);
+
+        return { min: mean - 4, max: mean + 4, precipitation: 70, rainDays: 9, humidity: 70 };
+    }
+
+    /**
+     * Daylight hours at a date and latitude
+     * @param {string|Date} date - Date
+     * @param {number} lat - Latitude
+     * @returns {number} Hours of daylight, rounded to one decimal
+     */
+    getDaylightHours(date, lat = DEFAULT_LATITUDE) {
+        const day = this.toDate(date);
+        const dayOfYear = Math.floor((day - Date.UTC(day.getUTCFullYear(), 0, 0)) / 86400000);
+        const declination = 23.44 * Math.sin((2 * Math.PI * (dayOfYear - 81)) / 365);
+        const x = -Math.tan((lat * Math.PI) / 180) * Math.tan((declination * Math.PI) / 180);
+        const hours = (24 / Math.PI) * Math.acos(Math.max(-1, Math.min(1, x)));
+
+        return Math.round(hours * 10) / 10;
+    }
+
+    toMonthlyNormals([min, max, precipitation, rainDays, humidity]) {
+        return { min, max, precipitation, rainDays, humidity };
+    }
+
+    getDistanceKm(from, to) {
+        const toRadians = degrees => (degrees * Math.PI) / 180;
+        const dLat = toRadians(to.lat - from.lat);
+        const dLon = toRadians(to.lon - from.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+        return 2 * 6371 * Math.asin(Math.sqrt(h));
+    }
+
+    getDaysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    hasCoordinates(coordinates) {
+        return Number.isFinite(coordinates?.lat) && Number.isFinite(coordinates?.lon) &&
+            !(coordinates.lat === 0 && coordinates.lon === 0);
+    }
+
+    normalizeName(name) {
+        return String(name).toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9.\s]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    toDate(date) {
+        if (date instanceof Date) {
+            return date;
+        }
+        return new Date(`${String(date).split('T')[0]}T00:00:00Z`);
+    }
+}
+
+// Export singleton instance
+const climateNormalsService = new ClimateNormalsService();
+export default climateNormalsService;
+export { ClimateNormalsService, MAX_CITY_DISTANCE_KM };
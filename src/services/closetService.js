@@ -0,0 +1,204 @@
+/**
+ * Closet Service
+ * Validates, creates, edits, deletes and bulk-imports the user's own garments.
+ * Operations are pure: they take the current closet and return the updated list,
+ * so callers keep ownership of state and persistence.
+ */
+
+import catalogNormalizer from './catalogNormalizer';
+
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+class ClosetService {
+    /**
+     * Validate closet item input against the catalog item schema
+     * @param {Object} input - Raw item (form values or CSV row)
+     * @returns {Object} { success, data } or { success: false, error: { code, message, fields } }
+     */
+    validateItem(input) {
+        const validation = catalogNormalizer.validateItem(input);
+
+        if (validation.success) {
+            return validation;
+        }
+
+        return {
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: validation.errors.map(({ field, reason }) => `${field}: ${reason}`).join('; '),
+                fields: validation.errors
+            }
+        };
+    }
+
+    /**
+     * Generate the next free closet SKU (CLOC###)
+     * @param {Array} items - Current closet items
+     * @returns {string} New SKU
+     */
+    generateSku(items = []) {
+        const highest = items.reduce((max, item) => {
+            const match = /^CLOC(\d+)$/i.exec(item?.sku || '');
+            return match ? Math.max(max, parseInt(match[1], 10)) : max;
+        }, 0);
+
+        return `CLOC${String(highest + 1).padStart(3, '0')}`;
+    }
+
+    /**
+     * Add a garment to the closet
+     * @param {Array} items - Current closet items
+     * @param {Object} input - New item values (SKU is generated when missing)
+     * @returns {Object} { success, data: { item, items } } or validation error
+     */
+    addItem(items = [], input = {}) {
+        const validation = this.validateItem({
+            ...input,
+            sku: input.sku || this.generateSku(items)
+        });
+
+        if (!validation.success) {
+            return validation;
+        }
+
+        const item = validation.data;
+        if (items.some(existing => existing.sku === item.sku)) {
+            return {
+                success: false,
+                error: {
+                    code: 'DUPLICATE_SKU',
+                    message: `An item with SKU ${item.sku} is already in the closet`,
+                    fields: [{ field: 'sku', reason: 'SKU already exists' }]
+                }
+            };
+        }
+
+        return { success: true, data: { item, items: [...items, item] } };
+    }
+
+    /**
+     * Edit a garment; the SKU cannot change
+     * @param {Array} items - Current closet items
+     * @param {string} sku - SKU of the item to edit
+     * @param {Object} changes - Field values to update
+     * @returns {Object} { success, data: { item, items } } or error
+     */
+    updateItem(items = [], sku, changes = {}) {
+        const index = items.findIndex(item => item.sku === sku);
+        if (index === -1) {
+            return {
+                success: false,
+                error: { code: 'NOT_FOUND', message: `No closet item with SKU ${sku}` }
+            };
+        }
+
+        const validation = this.validateItem({ ...items[index], ...changes, sku });
+        if (!validation.success) {
+            return validation;
+        }
+
+        const updated = [...items];
+        updated[index] = validation.data;
+
+        return { success: true, data: { item: validation.data, items: updated } };
+    }
+
+    /**
+     * Remove a garment from the closet
+     * @param {Array} items - Current closet items
+     * @param {string} sku - SKU of the item to remove
+     * @returns {Object} { success, data: { items } } or error
+     */
+    removeItem(items = [], sku) {
+        if (!items.some(item => item.sku === sku)) {
+            return {
+                success: false,
+                error: { code: 'NOT_FOUND', message: `No closet item with SKU ${sku}` }
+            };
+        }
+
+        return { success: true, data: { items: items.filter(item => item.sku !== sku) } };
+    }
+
+    /**
+     * Import garments from CSV in the closet_clothing_dataset.csv format (the
+     * catalog and demo formats are accepted too). Valid rows are added (or replace
+     * the item with the same SKU); invalid rows are reported and skipped.
+     * @param {Array} items - Current closet items
+     * @param {string} csvContent - CSV text with a header row
+     * @returns {Object} { success, data: { items, imported, errors: [{ line, field, reason }] } }
+     */
+    importCSV(items = [], csvContent = '') {
+        const assigned = [...items];
+        const result = catalogNormalizer.normalizeCSV(csvContent, {
+            generateSku: () => {
+                const sku = this.generateSku(assigned);
+                assigned.push({ sku });
+                return sku;
+            }
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const { items: imported, errors } = result.data;
+        let closet = [...items];
+        imported.forEach(item => {
+            closet = closet.some(existing => existing.sku === item.sku)
+                ? closet.map(existing => (existing.sku === item.sku ? { ...item, image: item.image || existing.image } : existing))
+                : [...closet, item];
+        });
+
+        console.log(`👗 Imported ${imported.length} closet item(s), ${errors.length} error(s)`);
+
+        return {
+            success: true,
+            data: { items: closet, imported, errors }
+        };
+    }
+
+    /**
+     * Normalize closet items for outfit generation, dropping (and logging) invalid ones
+     * @param {Array} items - Closet items
+     * @returns {Array} Valid, normalized items
+     */
+    normalizeItems(items = []) {
+        return items.reduce((valid, item) => {
+            const validation = this.validateItem(item);
+            if (validation.success) {
+                valid.push(validation.data);
+            } else {
+                console.warn(`Skipping invalid closet item ${item?.sku || '(no sku)'}:`, validation.error.message);
+            }
+            return valid;
+        }, []);
+    }
+
+    /**
+     * Read an uploaded photo as a data URL so it can be stored with the item
+     * @param {File} file - Image file from an <input type="file">
+     * @returns {Promise<string>} Data URL
+     */
+    readPhoto(file) {
+        if (!file || !file.type?.startsWith('image/')) {
+            return Promise.reject(new Error('Please choose an image file'));
+        }
+        if (file.size > MAX_PHOTO_BYTES) {
+            return Promise.reject(new Error('Photos must be 2 MB or smaller'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Could not read the photo'));
+            reader.readAsDataURL(file);
+        });
+    }
+}
+
+// Export singleton instance
+const closetService = new ClosetService();
+export default closetService;
+export { ClosetService };
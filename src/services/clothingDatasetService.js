@@ -1,31 +1,7 @@
 import csvLoader from './CSVLoader';
+import catalogNormalizer from './catalogNormalizer';
 
-const CATEGORY_MAP = {
-    topwear: 'topwear',
-    tops: 'topwear',
-    shirts: 'topwear',
-    blouses: 'topwear',
-    dresses: 'dress',
-    bottomwear: 'bottomwear',
-    bottoms: 'bottomwear',
-    pants: 'bottomwear',
-    trousers: 'bottomwear',
-    skirts: 'bottomwear',
-    footwear: 'footwear',
-    shoes: 'footwear',
-    sneakers: 'footwear',
-    boots: 'footwear',
-    outerwear: 'outerwear',
-    jackets: 'outerwear',
-    coats: 'outerwear',
-    accessories: 'accessories',
-    accessory: 'accessories',
-    bags: 'accessories'
-};
-
-const HEADER_MAP = {
-    weather_suitability: 'weatherSuitability'
-};
+const CATALOG_PATH = '/clothing_dataset.csv';
 
 class ClothingDatasetService {
     constructor() {
@@ -34,7 +10,7 @@ class ClothingDatasetService {
 
     /**
      * Get the normalized dataset (cached per session)
-     * @returns {Promise<{csvContent: string, items: Array, skuMap: Map<string, Object>}>}
+     * @returns {Promise<{csvContent: string, items: Array, skuMap: Map<string, Object>, errors: Array}>}
      */
     async getDataset() {
         if (!this.datasetPromise) {
@@ -52,54 +28,31 @@ class ClothingDatasetService {
     }
 
     async loadDataset() {
-        const csvContent = await csvLoader.loadCSV('/clothing_dataset.csv');
-        const parsedRows = csvLoader.parseCSV(csvContent);
-
-        const items = parsedRows
-            .filter(row => row.sku)
-            .map(row => this.normalizeItem(row));
-
-        const skuMap = new Map();
-        items.forEach(item => {
-            skuMap.set(item.sku, item);
-        });
-
-        return {
-            csvContent,
-            items,
-            skuMap
-        };
+        return this.loadCatalogFile(CATALOG_PATH);
     }
 
-    normalizeItem(row) {
-        const normalized = {};
+    /**
+     * Load any clothing CSV (catalog, closet or demo format) through the catalog normalizer
+     * @param {string} filePath - Path to the CSV file (relative to public directory)
+     * @returns {Promise<{csvContent: string, items: Array, skuMap: Map<string, Object>, errors: Array}>}
+     */
+    async loadCatalogFile(filePath) {
+        const csvContent = await csvLoader.loadCSV(filePath);
+        const result = catalogNormalizer.normalizeCSV(csvContent);
 
-        Object.entries(row).forEach(([key, value]) => {
-            const targetKey = HEADER_MAP[key] || key;
-            normalized[targetKey] = typeof value === 'string' ? value.trim() : value;
-        });
+        if (!result.success) {
+            throw new Error(`${filePath}: ${result.error.message}`);
+        }
 
-        const normalizedCategory = this.normalizeCategory(normalized.category);
+        result.data.errors.forEach(({ line, field, reason }) => {
+            console.warn(`Skipping ${filePath} line ${line} (${field}): ${reason}`);
+        });
 
         return {
-            sku: normalized.sku,
-            name: normalized.name,
-            category: normalizedCategory,
-            tags: normalized.tags ? normalized.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
-            weatherSuitability: normalized.weatherSuitability || normalized.weather_suitability || '',
-            price: normalized.price ? Number(normalized.price) : null,
-            colors: normalized.colors || '',
-            layering: normalized.layering || '',
-            formality: normalized.formality || '',
-            notes: normalized.notes || '',
-            rawCategory: normalized.category
+            ...catalogNormalizer.buildDataset(result.data.items),
+            errors: result.data.errors
         };
     }
-
-    normalizeCategory(categoryValue = '') {
-        const key = categoryValue.toString().toLowerCase();
-        return CATEGORY_MAP[key] || categoryValue.toLowerCase() || 'accessories';
-    }
 }
 
 const clothingDatasetService = new ClothingDatasetService();
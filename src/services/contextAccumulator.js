@@ -27,7 +27,8 @@ class ContextAccumulator {
                 originalMessage: initialData.originalMessage || null,
                 extractedDetails: null,
                 confirmedDetails: null,
-                clarifications: []
+                clarifications: [],
+                clarificationAnswers: []
             },
 
             // Environmental context
@@ -43,9 +44,15 @@ class ContextAccumulator {
                 budget: null,
                 specialRequirements: [],
                 occasionConstraints: null,
-                weatherConstraints: null
+                weatherConstraints: null,
+                locks: { items: [], days: {} },
+                preferences: null,
+                styleProfile: null
             },
 
+            // Catalog shortlist offered to the model and why (see CandidateSelector)
+            candidateSelection: null,
+
             // Context metadata
             metadata: {
                 confidence: 0,
@@ -94,7 +101,8 @@ class ContextAccumulator {
             occasion: extractedDetails.occasion,
             duration: extractedDetails.duration,
             startDate: extractedDetails.startDate,
-            location: extractedDetails.location
+            location: extractedDetails.location,
+            legs: extractedDetails.legs || []
         };
 
         // Update metadata
@@ -102,10 +110,10 @@ class ContextAccumulator {
         contextFile.metadata.processingStage = 'details_extracted';
         contextFile.lastUpdated = new Date().toISOString();
 
-        // Add clarification needs
-        if (extractedDetails.needsClarification && extractedDetails.needsClarification.length > 0) {
-            contextFile.userInput.clarifications = extractedDetails.needsClarification;
-        }
+        // Track what still needs clarification (cleared as the user answers)
+        contextFile.userInput.clarifications = extractedDetails.needsClarification || [];
+
+        contextFile.metadata.completeness = this.calculateCompleteness(contextFile);
 
         this.saveContextFile(contextFile);
         return contextFile;
@@ -137,7 +145,8 @@ class ContextAccumulator {
             occasion: confirmedDetails.occasion,
             duration: confirmedDetails.duration,
             startDate: confirmedDetails.startDate,
-            location: confirmedDetails.location
+            location: confirmedDetails.location,
+            legs: confirmedDetails.legs || []
         };
 
         // Update metadata - keep original confidence from extracted details
@@ -151,6 +160,120 @@ class ContextAccumulator {
         return contextFile;
     }
 
+    /**
+     * Record the user's answers to clarification questions
+     * @param {string} sessionId - Session identifier
+     * @param {Array<Object>} answers - Answered questions: { id, field, question, answer }
+     * @returns {Object} Updated context file
+     */
+    addClarificationAnswers(sessionId, answers) {
+        const contextFile = this.getContextFile(sessionId);
+        if (!contextFile) {
+            throw new Error(`Context file not found for session: ${sessionId}`);
+        }
+
+        contextFile.userInput.clarificationAnswers = [
+            ...(contextFile.userInput.clarificationAnswers || []),
+            { answeredAt: new Date().toISOString(), answers }
+        ];
+        contextFile.lastUpdated = new Date().toISOString();
+
+        this.saveContextFile(contextFile);
+        return contextFile;
+    }
+
+    /**
+     * Set the items and days the user has locked for outfit generation
+     * @param {string} sessionId - Session identifier
+     * @param {Object} locks - { items: [sku], days: { [day]: { topwear, bottomwear, footwear, outerwear, accessories } } }
+     * @returns {Object} Updated context file
+     */
+    setLocks(sessionId, locks = {}) {
+        const contextFile = this.getContextFile(sessionId);
+        if (!contextFile) {
+            throw new Error(`Context file not found for session: ${sessionId}`);
+        }
+
+        const days = {};
+        Object.entries(locks.days || {}).forEach(([day, outfit]) => {
+            if (outfit) {
+                days[day] = {
+                    topwear: outfit.topwear || null,
+                    bottomwear: outfit.bottomwear || null,
+                    footwear: outfit.footwear || null,
+                    outerwear: outfit.outerwear || null,
+                    accessories: outfit.accessories || []
+                };
+            }
+        });
+
+        contextFile.constraints.locks = {
+            items: [...new Set((locks.items || []).map(sku => String(sku).trim()).filter(Boolean))],
+            days
+        };
+        contextFile.lastUpdated = new Date().toISOString();
+
+        this.saveContextFile(contextFile);
+        return contextFile;
+    }
+
+    /**
+     * Set the traveler's preferences, learned from ratings, for outfit generation
+     * @param {string} sessionId - Session identifier
+     * @param {Object|null} preferences - From preferenceProfileService.getPreferences
+     * @returns {Object} Updated context file
+     */
+    setPreferences(sessionId, preferences = null) {
+        const contextFile = this.getContextFile(sessionId);
+        if (!contextFile) {
+            throw new Error(`Context file not found for session: ${sessionId}`);
+        }
+
+        contextFile.constraints.preferences = preferences?.ratingCount ? preferences : null;
+        contextFile.lastUpdated = new Date().toISOString();
+
+        this.saveContextFile(contextFile);
+        return contextFile;
+    }
+
+    /**
+     * Set the traveler's style profile, whose rules outfit generation must follow
+     * @param {string} sessionId - Session identifier
+     * @param {Object|null} styleProfile - Validated style profile (see styleProfileSchema)
+     * @returns {Object} Updated context file
+     */
+    setStyleProfile(sessionId, styleProfile = null) {
+        const contextFile = this.getContextFile(sessionId);
+        if (!contextFile) {
+            throw new Error(`Context file not found for session: ${sessionId}`);
+        }
+
+        contextFile.constraints.styleProfile = styleProfile || null;
+        contextFile.lastUpdated = new Date().toISOString();
+
+        this.saveContextFile(contextFile);
+        return contextFile;
+    }
+
+    /**
+     * Record which catalog items were offered to the model and why
+     * @param {string} sessionId - Session identifier
+     * @param {Object|null} candidateSelection - Rationale from CandidateSelector.selectCandidates
+     * @returns {Object} Updated context file
+     */
+    setCandidateSelection(sessionId, candidateSelection = null) {
+        const contextFile = this.getContextFile(sessionId);
+        if (!contextFile) {
+            throw new Error(`Context file not found for session: ${sessionId}`);
+        }
+
+        contextFile.candidateSelection = candidateSelection || null;
+        contextFile.lastUpdated = new Date().toISOString();
+
+        this.saveContextFile(contextFile);
+        return contextFile;
+    }
+
     /**
      * Add weather context to context file
      * @param {string} sessionId - Session identifier
@@ -278,7 +401,8 @@ class ContextAccumulator {
                 occasion: contextFile.constraints.occasionConstraints?.occasion,
                 duration: contextFile.constraints.occasionConstraints?.duration,
                 startDate: contextFile.constraints.occasionConstraints?.startDate,
-                location: contextFile.constraints.occasionConstraints?.location
+                location: contextFile.constraints.occasionConstraints?.location,
+                legs: contextFile.constraints.occasionConstraints?.legs || []
             },
 
             // Dress code and style constraints
@@ -298,6 +422,15 @@ class ContextAccumulator {
             // Weather-based clothing constraints
             weatherConstraints: contextFile.constraints.weatherConstraints,
 
+            // Items and days the user has locked
+            locks: contextFile.constraints.locks || { items: [], days: {} },
+
+            // Taste learned from the traveler's outfit ratings
+            preferences: contextFile.constraints.preferences || null,
+
+            // Rules from the traveler's style profile
+            styleProfile: contextFile.constraints.styleProfile || null,
+
             // Context quality indicators
             quality: {
                 confidence: contextFile.metadata.confidence,
@@ -324,7 +457,11 @@ class ContextAccumulator {
         contextString += `- Occasion: ${summary.event.occasion || 'Not specified'}\n`;
         contextString += `- Duration: ${summary.event.duration || 1} day(s)\n`;
         contextString += `- Date: ${summary.event.startDate || 'Not specified'}\n`;
-        contextString += `- Location: ${summary.event.location || 'Not specified'}\n\n`;
+        contextString += `- Location: ${summary.event.location || 'Not specified'}\n`;
+        if (summary.event.legs.length > 1) {
+            contextString += `- Itinerary: ${summary.event.legs.map(leg => `${leg.location} (days ${leg.startDay}-${leg.endDay})`).join(', then ')}\n`;
+        }
+        contextString += "\n";
 
         // Style requirements
         contextString += "STYLE REQUIREMENTS:\n";
@@ -335,6 +472,19 @@ class ContextAccumulator {
         }
         contextString += "\n";
 
+        // Locked items and days
+        const lockedDays = Object.keys(summary.locks.days);
+        if (summary.locks.items.length > 0 || lockedDays.length > 0) {
+            contextString += "LOCKED BY USER:\n";
+            if (summary.locks.items.length > 0) {
+                contextString += `- Must include: ${summary.locks.items.join(', ')}\n`;
+            }
+            if (lockedDays.length > 0) {
+                contextString += `- Locked days: ${lockedDays.join(', ')}\n`;
+            }
+            contextString += "\n";
+        }
+
         // Weather context
         if (summary.environment.weather) {
             contextString += "WEATHER CONDITIONS:\n";
@@ -388,7 +538,10 @@ class ContextAccumulator {
         if (contextFile.userInput && contextFile.userInput.confirmedDetails) {
             score += 0.3;
         } else if (contextFile.userInput && contextFile.userInput.extractedDetails) {
-            score += 0.15;
+            score += 0.3 * this.calculateDetailCoverage(
+                contextFile.userInput.extractedDetails,
+                contextFile.userInput.clarifications
+            );
         }
 
         // Environmental context completeness (25%)
@@ -416,6 +569,34 @@ class ContextAccumulator {
         return Math.min(score / maxScore, 1);
     }
 
+    /**
+     * Share of the essential event details that are known: occasion, location, start
+     * date, dress code and (for multi-day trips) a dress code for every day. Open
+     * clarification requests count as missing details.
+     * @param {Object} details - Extracted event details
+     * @param {Array<string>} clarifications - Open clarification requests
+     * @returns {number} Coverage between 0 and 1
+     */
+    calculateDetailCoverage(details, clarifications = []) {
+        const duration = details.duration || 1;
+        const checks = [
+            !!details.occasion,
+            !!details.location,
+            !!details.startDate,
+            !!details.dressCode
+        ];
+
+        if (duration > 1) {
+            const plannedDays = new Set((details.dailyPlans || [])
+                .filter(plan => plan && plan.dressCode)
+                .map(plan => plan.day));
+            checks.push(Array.from({ length: duration }, (_, index) => index + 1).every(day => plannedDays.has(day)));
+        }
+
+        const known = checks.filter(Boolean).length;
+        return known / (checks.length + (clarifications || []).length);
+    }
+
     /**
      * Validate context file structure
      * @param {Object} contextFile - Context file to validate
@@ -3,6 +3,8 @@
  * Returns pre-configured outfits for hackathon demo based on demo.md
  */
 
+import clothingDatasetService from './clothingDatasetService';
+
 class DemoOutfitService {
     constructor() {
         this.demoPrompt = "2 day trip to spain\n\nWant to walk around the city and for a nice dinner and casual outfit";
@@ -64,81 +66,13 @@ class DemoOutfitService {
      */
     async loadDemoDataset() {
         try {
-            const response = await fetch('/demo_dataset.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load demo dataset');
-            }
-
-            const csvContent = await response.text();
-            const lines = csvContent.split('\n').filter(line => line.trim());
-            const headers = lines[0].split(',');
-
-            const skuMap = new Map();
-
-            // Parse CSV and build SKU map
-            for (let i = 1; i < lines.length; i++) {
-                const values = this.parseCSVLine(lines[i]);
-                if (values.length >= headers.length) {
-                    const item = {};
-                    headers.forEach((header, index) => {
-                        item[header.trim()] = values[index]?.trim() || '';
-                    });
-
-                    if (item.sku) {
-                        skuMap.set(item.sku, {
-                            sku: item.sku,
-                            name: item.name,
-                            category: item.category,
-                            price: parseFloat(item.price) || 0,
-                            colors: item.colors,
-                            weatherSuitability: item.weatherSuitability,
-                            formality: item.formality,
-                            layering: item.layering,
-                            tags: item.tags,
-                            notes: item.notes,
-                            image: item.image,
-                            productUrl: item.productUrl || null
-                        });
-                    }
-                }
-            }
-
-            return {
-                csvContent,
-                skuMap,
-                items: Array.from(skuMap.values())
-            };
+            return await clothingDatasetService.loadCatalogFile('/demo_dataset.csv');
         } catch (error) {
             console.error('Error loading demo dataset:', error);
             throw error;
         }
     }
 
-    /**
-     * Parse a CSV line handling quoted values
-     */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-
-        result.push(current);
-        return result;
-    }
-
     /**
      * Generate demo outfits
      * @param {string} sessionId - Session identifier
@@ -4,6 +4,16 @@
  */
 
 import bedrockService from './bedrockService';
+import { parseTemporalExpressions } from './temporalParser';
+import gazetteerService from './gazetteerService';
+import {
+    addDaysToDate,
+    normalizeItineraryLegs,
+    parseItineraryLegs,
+    isMultiDestination,
+    formatItineraryDestination,
+    getItineraryDuration
+} from './itineraryService';
 
 class EventExtractionService {
     constructor() {
@@ -73,32 +83,14 @@ class EventExtractionService {
         try {
             const extractionPrompt = this.buildExtractionPrompt(userMessage);
 
-            // Use BedrockService's existing infrastructure
-            const { InvokeModelCommand } = await import('@aws-sdk/client-bedrock-runtime');
-
-            const requestPayload = {
-                messages: [{
-                    role: 'user',
-                    content: [{ text: extractionPrompt }]
-                }],
-                inferenceConfig: {
-                    temperature: 0.1,
-                    maxTokens: 600
-                }
-            };
-
-            const command = new InvokeModelCommand({
+            // Use BedrockService's LLM provider
+            const aiResponse = await bedrockService.provider.complete({
+                prompt: extractionPrompt,
                 modelId: bedrockService.modelId,
-                contentType: 'application/json',
-                accept: 'application/json',
-                body: JSON.stringify(requestPayload)
+                temperature: 0.1,
+                maxTokens: 600
             });
 
-            const response = await bedrockService.client.send(command);
-
-            const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-            const aiResponse = responseBody.output?.message?.content?.[0]?.text || '{}';
-
             // Parse JSON response
             const extractedData = JSON.parse(aiResponse.trim());
 
@@ -138,9 +130,14 @@ Extract the following information and respond with JSON in this exact format:
   "dressCode": "string - inferred dress code (casual, smart-casual, business, formal, black-tie)",
   "budget": "number - budget amount or null if not specified",
   "specialRequirements": ["array of strings - any special needs mentioned"],
-  "needsClarification": ["array of strings - what information is missing or unclear"]
+  "needsClarification": ["array of strings - what information is missing or unclear"],
+  "legs": [{"location": "string - stop", "startDay": "number", "endDay": "number", "activities": ["array of strings"]}]
 }
 
+Multi-destination rules:
+- "3 days Lisbon then 4 days Berlin" → legs for each stop in order on consecutive days, duration is the total (7)
+- Leave legs empty for a single destination
+
 Dress code inference rules:
 - Job interview, business meeting → "business" 
 - Wedding, gala, formal dinner → "formal"
@@ -167,28 +164,34 @@ Only respond with the JSON, nothing else.`;
     /**
      * Rule-based extraction fallback method
      * @param {string} userMessage - User input
-     * @returns {Object} Extracted event details
+     * @returns {Object} Extracted event details, with gazetteer coordinates for the location (null when
+     *   unknown) and fieldConfidence (0-1) for location, startDate, endDate and duration
      */
     extractWithRules(userMessage) {
         const lowerMessage = userMessage.toLowerCase();
 
-        // Extract duration
-        const durationMatch = lowerMessage.match(/(\d+)[-\s]?day/);
-        const duration = durationMatch ? parseInt(durationMatch[1]) : 1;
-
-        // Extract location
-        const locationPatterns = [
-            /in\s+([a-zA-Z\s,]+?)(?:\s|$|,|tomorrow|today|next|this)/i,
-            /at\s+([a-zA-Z\s,]+?)(?:\s|$|,|tomorrow|today|next|this)/i,
-            /to\s+([a-zA-Z\s,]+?)(?:\s|$|,|tomorrow|today|next|this)/i
-        ];
-
-        let location = null;
-        for (const pattern of locationPatterns) {
-            const match = lowerMessage.match(pattern);
-            if (match) {
-                location = match[1].trim();
-                break;
+        // Extract dates and trip length ("March 14-18", "from Friday to Tuesday", "two nights")
+        const temporal = parseTemporalExpressions(userMessage);
+        let duration = temporal.duration || 1;
+        let endDate = temporal.endDate;
+        const fieldConfidence = { ...temporal.confidence };
+
+        // Extract location from the bundled gazetteer ("NYC", "Paris, TX"); months are never places
+        const destination = gazetteerService.findDestination(userMessage);
+        let location = destination?.label || null;
+        let coordinates = destination?.coordinates || null;
+        fieldConfidence.location = destination?.confidence || 0;
+
+        // Extract itinerary legs ("3 days Lisbon then 4 days Berlin")
+        const legs = parseItineraryLegs(userMessage);
+        if (isMultiDestination(legs)) {
+            location = formatItineraryDestination(legs);
+            coordinates = null;
+            duration = getItineraryDuration(legs);
+            fieldConfidence.duration = Math.max(fieldConfidence.duration, 0.9);
+            if (temporal.startDate) {
+                endDate = addDaysToDate(temporal.startDate, duration - 1);
+                fieldConfidence.endDate = fieldConfidence.startDate;
             }
         }
 
@@ -199,8 +202,7 @@ Only respond with the JSON, nothing else.`;
         // Infer occasion and dress code
         const { occasion, dressCode } = this.inferOccasionAndDressCode(lowerMessage);
 
-        // Extract date
-        const startDate = this.extractDate(lowerMessage);
+        const { startDate } = temporal;
 
         // Identify special requirements
         const specialRequirements = this.extractSpecialRequirements(lowerMessage);
@@ -213,12 +215,16 @@ Only respond with the JSON, nothing else.`;
         return {
             occasion,
             location,
+            coordinates,
             startDate,
+            endDate,
             duration,
             dressCode,
             budget,
             specialRequirements,
-            needsClarification
+            needsClarification,
+            legs,
+            fieldConfidence
         };
     }
 
@@ -268,51 +274,12 @@ Only respond with the JSON, nothing else.`;
     }
 
     /**
-     * Extract date from message
+     * Extract the start date from message (see temporalParser for the phrases understood)
      * @param {string} lowerMessage - Lowercase user message
      * @returns {string|null} Date in YYYY-MM-DD format or null
      */
     extractDate(lowerMessage) {
-        const today = new Date();
-
-        if (lowerMessage.includes('tomorrow')) {
-            return this.getDateInDays(1);
-        }
-
-        if (lowerMessage.includes('next week')) {
-            return this.getDateInDays(7);
-        }
-
-        if (lowerMessage.includes('this weekend') || lowerMessage.includes('saturday')) {
-            return this.getNextWeekend();
-        }
-
-        if (lowerMessage.includes('sunday')) {
-            return this.getNextSunday();
-        }
-
-        // Try to extract specific dates (basic patterns)
-        const datePatterns = [
-            /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // MM/DD/YYYY
-            /(\d{4})-(\d{1,2})-(\d{1,2})/,   // YYYY-MM-DD
-            /(\d{1,2})-(\d{1,2})-(\d{4})/    // DD-MM-YYYY
-        ];
-
-        for (const pattern of datePatterns) {
-            const match = lowerMessage.match(pattern);
-            if (match) {
-                try {
-                    const date = new Date(match[0]);
-                    if (!isNaN(date.getTime())) {
-                        return date.toISOString().split('T')[0];
-                    }
-                } catch (error) {
-                    continue;
-                }
-            }
-        }
-
-        return null;
+        return parseTemporalExpressions(lowerMessage).startDate;
     }
 
     /**
@@ -399,9 +366,18 @@ Only respond with the JSON, nothing else.`;
             dressCode: rawData.dressCode || 'smart-casual',
             budget: rawData.budget || null,
             specialRequirements: Array.isArray(rawData.specialRequirements) ? rawData.specialRequirements : [],
-            needsClarification: Array.isArray(rawData.needsClarification) ? rawData.needsClarification : []
+            needsClarification: Array.isArray(rawData.needsClarification) ? rawData.needsClarification : [],
+            legs: normalizeItineraryLegs(rawData.legs, { startDate: rawData.startDate })
         };
 
+        // A multi-stop trip is labelled by its stops and lasts as long as they do
+        if (isMultiDestination(normalized.legs)) {
+            normalized.location = formatItineraryDestination(normalized.legs);
+            normalized.duration = Math.max(normalized.duration, getItineraryDuration(normalized.legs));
+        } else {
+            normalized.legs = [];
+        }
+
         // Normalize dress code
         if (normalized.dressCode && !this.validDressCodes.includes(normalized.dressCode)) {
             normalized.dressCode = this.mapToValidDressCode(normalized.dressCode);
@@ -482,16 +458,16 @@ Only respond with the JSON, nothing else.`;
             score += 0.3;
         }
 
-        // Location confidence
+        // Location confidence, scaled by how sure rule-based parsing was of the place
         maxScore += 0.2;
         if (eventDetails.location) {
-            score += 0.2;
+            score += 0.2 * (eventDetails.fieldConfidence?.location ?? 1);
         }
 
-        // Date confidence
+        // Date confidence, scaled by how sure rule-based parsing was of the date
         maxScore += 0.2;
         if (eventDetails.startDate) {
-            score += 0.2;
+            score += 0.2 * (eventDetails.fieldConfidence?.startDate ?? 1);
         }
 
         // Dress code confidence
@@ -546,17 +522,6 @@ Only respond with the JSON, nothing else.`;
         const saturday = new Date(today.getTime() + daysUntilSaturday * 24 * 60 * 60 * 1000);
         return saturday.toISOString().split('T')[0];
     }
-
-    /**
-     * Utility: Get next Sunday
-     * @returns {string} Date in YYYY-MM-DD format
-     */
-    getNextSunday() {
-        const today = new Date();
-        const daysUntilSunday = (7 - today.getDay()) % 7 || 7;
-        const sunday = new Date(today.getTime() + daysUntilSunday * 24 * 60 * 60 * 1000);
-        return sunday.toISOString().split('T')[0];
-    }
 }
 
 // Export singleton instance
@@ -0,0 +1,106 @@
+/**
+ * Fixture Weather Provider
+ * Replays recorded weather for offline development, demos and tests; never touches
+ * the network unless given a source provider to record from
+ */
+
+import { WeatherProvider, WeatherProviderError, toDateString } from './weatherProvider';
+import climateNormalsService from './climateNormalsService';
+import { DEFAULT_WEATHER_FIXTURES } from '../data/weatherFixtures';
+
+const normalizeName = name => String(name).split(',')[0].trim().toLowerCase();
+
+export class FixtureWeatherProvider extends WeatherProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.fixtures - { locations, days } (defaults to weatherFixtures)
+     * @param {WeatherProvider} options.source - Provider to record misses from; without one,
+     *   unknown places come from the bundled cities and unrecorded days from climate normals
+     */
+    constructor(options = {}) {
+        super('fixture', { label: 'Fixture', forecastDays: Infinity });
+
+        const fixtures = options.fixtures || DEFAULT_WEATHER_FIXTURES;
+        this.locations = new Map((fixtures.locations || []).map(location => [normalizeName(location.name), location]));
+        this.days = new Map((fixtures.days || []).map(entry => [this.getKey(entry.location, entry.date), entry]));
+        this.source = options.source || null;
+        this.calls = [];
+    }
+
+    getKey(location, date) {
+        return `${normalizeName(location.name)}|${toDateString(date)}`;
+    }
+
+    async geocode(query) {
+        this.calls.push({ method: 'geocode', query });
+
+        const recorded = this.locations.get(normalizeName(query));
+        if (recorded) {
+            return recorded;
+        }
+
+        if (this.source) {
+            const location = await this.source.geocode(query);
+            this.locations.set(normalizeName(query), location);
+            return location;
+        }
+
+        const city = climateNormalsService.findCityByName(query);
+        if (!city) {
+            throw new WeatherProviderError(`Location "${query}" not found in weather fixtures`, 'NOT_FOUND', { retryable: false });
+        }
+
+        return { name: city.name, country: city.country, state: null, coordinates: { lat: city.lat, lon: city.lon } };
+    }
+
+    async getCurrent(location) {
+        return this.replay('getCurrent', location, toDateString(new Date()));
+    }
+
+    async getForecast(location, date) {
+        return this.replay('getForecast', location, date);
+    }
+
+    async getHistorical(location, date) {
+        return this.replay('getHistorical', location, date);
+    }
+
+    /**
+     * Recorded weather for a place and date, recording it from the source on a miss
+     * @param {string} method - Provider method being answered
+     * @param {Object} location - Location
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object>} WeatherResponse
+     */
+    async replay(method, location, date) {
+        this.calls.push({ method, location: location.name, date });
+
+        const key = this.getKey(location, date);
+        const recorded = this.days.get(key);
+        if (recorded) {
+            return { ...recorded, timestamp: new Date().toISOString() };
+        }
+
+        if (this.source) {
+            const response = await this.source.getWeather(location, date);
+            this.days.set(key, response);
+            return response;
+        }
+
+        const { weather } = climateNormalsService.buildWeatherData(location, date);
+        return this.toResponse(location, date, weather);
+    }
+
+    /**
+     * Everything recorded so far, in the shape the constructor accepts
+     * @returns {Object} { locations, days }
+     */
+    exportFixtures() {
+        return {
+            locations: Array.from(this.locations.values()),
+            days: Array.from(this.days.values()).map(({ timestamp, ...entry }) => entry)
+        };
+    }
+}
+
+export default FixtureWeatherProvider;
@@ -0,0 +1,455 @@
+/**
+ * Gazetteer Service
+ * Offline place recognition for when geocoding is unavailable. Resolves place names,
+ * aliases ("NYC", "Barça") and near-misses ("Barcelonna") against the bundled gazetteer,
+ * picks the likeliest of several same-named places unless a state or country qualifies
+ * the name ("Paris, TX"), and finds place mentions in free text.
+ */
+
+import { GAZETTEER_CITIES, GAZETTEER_COUNTRIES, GAZETTEER_REGIONS } from '../data/gazetteer.js';
+
+// How sure a match is before ambiguity between same-named places is taken into account
+const MATCH_CONFIDENCE = {
+    name: 0.95,
+    alias: 0.9,
+    country: 0.8,
+    fuzzy: 0.7
+};
+
+// Confidence multiplier when a qualifier names a state or country no candidate is in
+const UNMATCHED_QUALIFIER_PENALTY = 0.5;
+
+// Longest place name, in words, looked for in free text
+const MAX_NAME_WORDS = 4;
+
+// Words that introduce a place; common-word names and typo matching need one in front
+const PLACE_PREPOSITIONS = new Set(['in', 'to', 'at', 'from', 'visiting', 'near', 'around', 'via']);
+
+// Confidence in a capitalized name after a preposition that the gazetteer does not know
+const UNLISTED_PLACE_CONFIDENCE = 0.4;
+
+// Never read as a place, misspelled or unlisted ("a wedding in June")
+const NOT_PLACES = new Set([
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+    'october', 'november', 'december', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep',
+    'sept', 'oct', 'nov', 'dec', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+    'saturday', 'sunday', 'weekend', 'spring', 'summer', 'autumn', 'fall', 'winter',
+    'christmas', 'easter', 'thanksgiving', 'today', 'tomorrow', 'tonight', 'next', 'this',
+    'the', 'a', 'an', 'my', 'our', 'i'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}.'’-]*/gu;
+
+class GazetteerService {
+    constructor() {
+        this.cities = GAZETTEER_CITIES;
+        this.countries = GAZETTEER_COUNTRIES;
+        this.regions = GAZETTEER_REGIONS;
+        this.countryNames = new Map(this.countries.map(country => [country.code, country.name]));
+        this.index = this.buildIndex();
+    }
+
+    /**
+     * Resolve a place name to the likeliest bundled place
+     * @param {string} query - e.g. "Paris", "Paris, TX", "nyc", "Barcelonna", "Sydney, Australia"
+     * @returns {Object|null} { name, label, country, countryName, state, coordinates: { lat, lon },
+     *   type: 'city' | 'country', matchedBy, confidence, alternatives }
+     */
+    lookup(query) {
+        if (!query || typeof query !== 'string') {
+            return null;
+        }
+
+        const [head, ...qualifiers] = query.split(',');
+        const key = this.normalize(head);
+        if (!key) {
+            return null;
+        }
+
+        // "Paris, Texas, USA": the first part that names a state or country
+        const qualifier = qualifiers.map(part => this.parseQualifier(part)).find(Boolean) || null;
+        const candidates = this.index.get(key) || this.findFuzzy(key);
+        if (candidates.length) {
+            return this.resolve(candidates, qualifier);
+        }
+
+        // "Paris TX", "Portland Maine": the qualifier without a comma
+        if (!qualifiers.length) {
+            const words = key.split(' ');
+            for (let size = Math.min(2, words.length - 1); size >= 1; size--) {
+                const trailing = this.parseQualifier(words.slice(-size).join(' '));
+                const leading = this.index.get(words.slice(0, -size).join(' '));
+                if (trailing && leading) {
+                    return this.resolve(leading, trailing);
+                }
+            }
+        }
+
+        // "downtown Lisbon", "the Amalfi coast in May"
+        return this.findInText(query)[0] || null;
+    }
+
+    /**
+     * Most likely trip destination in free text: the first gazetteer place, else a capitalized
+     * name after a preposition ("in Boise") with low confidence and no coordinates
+     * @param {string} text - User message
+     * @returns {Object|null} Lookup result; unlisted places have type 'unlisted'
+     */
+    findDestination(text) {
+        return this.findInText(text)[0] || this.findUnlistedPlace(text);
+    }
+
+    /**
+     * Capitalized words after a preposition, skipping dates and seasons ("in June")
+     * @param {string} text - User message
+     * @returns {Object|null} { name, label, coordinates: null, type: 'unlisted', matchedBy, confidence }
+     */
+    findUnlistedPlace(text) {
+        const words = this.tokenize(text);
+
+        for (let i = 1; i < words.length; i++) {
+            if (!PLACE_PREPOSITIONS.has(words[i - 1].key)) {
+                continue;
+            }
+            let end = i;
+            while (end < words.length && end - i < MAX_NAME_WORDS && this.isCapitalized(words[end].raw) && !NOT_PLACES.has(words[end].key)) {
+                end++;
+            }
+            if (end > i) {
+                const last = words[end - 1];
+                const name = text.slice(words[i].index, last.index + last.raw.length);
+                return {
+                    name,
+                    label: name,
+                    country: null,
+                    countryName: null,
+                    state: null,
+                    coordinates: null,
+                    type: 'unlisted',
+                    matchedBy: 'pattern',
+                    confidence: UNLISTED_PLACE_CONFIDENCE,
+                    alternatives: []
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find place mentions in free text, longest names first
+     * @param {string} text - e.g. "Wedding in Paris, TX then a week in NYC"
+     * @returns {Array<Object>} Lookup results in text order, each with the matched text and its index
+     */
+    findInText(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        const words = this.tokenize(text);
+        const mentions = [];
+
+        for (let i = 0; i < words.length;) {
+            const mention = this.matchAt(text, words, i);
+            if (mention) {
+                mentions.push(mention.result);
+                i = mention.next;
+            } else {
+                i++;
+            }
+        }
+
+        return mentions;
+    }
+
+    /**
+     * Place mention starting at a word, exact names before typos
+     * @returns {Object|null} { result, next } where next is the first word after the mention
+     */
+    matchAt(text, words, start) {
+        const previous = words[start - 1]?.key;
+        const afterPreposition = PLACE_PREPOSITIONS.has(previous);
+
+        for (let size = Math.min(MAX_NAME_WORDS, words.length - start); size >= 1; size--) {
+            const span = words.slice(start, start + size);
+            const raw = span.map(word => word.raw).join(' ');
+            const candidates = (this.index.get(span.map(word => word.key).join(' ')) || [])
+                .filter(candidate => this.isWrittenAsPlace(raw, candidate, afterPreposition));
+            if (candidates.length) {
+                return this.toMention(text, words, start, start + size, candidates);
+            }
+        }
+
+        // Typos only count for a capitalized name right after a preposition ("in Barcelonna")
+        const word = words[start];
+        if (afterPreposition && this.isCapitalized(word.raw) && !NOT_PLACES.has(word.key)) {
+            const candidates = this.findFuzzy(word.key).filter(candidate => !candidate.commonWord);
+            if (candidates.length) {
+                return this.toMention(text, words, start, start + 1, candidates);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a mention, consuming a trailing state or country ("Paris, TX", "Perth Scotland")
+     */
+    toMention(text, words, start, end, candidates) {
+        let next = end;
+        let qualifier = null;
+
+        for (let size = 2; size >= 1 && !qualifier; size--) {
+            const span = words.slice(end, end + size);
+            const raw = span.map(word => word.raw).join(' ');
+            const readings = span.length === size && span.every(word => this.isCapitalized(word.raw)) &&
+                (raw.length > 3 || raw === raw.toUpperCase()) ? this.parseQualifier(raw) : null;
+            // A qualifier must narrow the candidates; "London Paris" is two places
+            if (readings && candidates.some(candidate => this.matchesQualifier(candidate.entry, readings))) {
+                qualifier = readings;
+                next = end + size;
+            }
+        }
+
+        const last = words[next - 1];
+        return {
+            result: {
+                ...this.resolve(candidates, qualifier),
+                text: text.slice(words[start].index, last.index + last.raw.length),
+                index: words[start].index
+            },
+            next
+        };
+    }
+
+    /**
+     * Pick the likeliest candidate and score how sure we are of it
+     * @param {Array<Object>} candidates - Index entries sharing a name
+     * @param {Array<Object>|null} qualifier - Parsed state or country, if any
+     * @returns {Object} Lookup result
+     */
+    resolve(candidates, qualifier) {
+        let pool = candidates;
+        let penalty = 1;
+
+        if (qualifier) {
+            const qualified = candidates.filter(candidate => this.matchesQualifier(candidate.entry, qualifier));
+            if (qualified.length) {
+                pool = qualified;
+            } else {
+                penalty = UNMATCHED_QUALIFIER_PENALTY;
+            }
+        }
+
+        const ranked = [...pool].sort((a, b) =>
+            (a.distance || 0) - (b.distance || 0) || this.getProminence(b) - this.getProminence(a));
+        const best = ranked[0];
+        const total = ranked.reduce((sum, candidate) => sum + this.getProminence(candidate), 0);
+        const ambiguity = 0.5 + 0.5 * (this.getProminence(best) / total);
+        const confidence = MATCH_CONFIDENCE[best.distance ? 'fuzzy' : best.matchedBy] * ambiguity * penalty;
+
+        return {
+            ...this.describe(best),
+            matchedBy: best.distance ? 'fuzzy' : best.matchedBy,
+            confidence: Math.round(confidence * 100) / 100,
+            alternatives: ranked.slice(1).map(candidate => this.describe(candidate))
+        };
+    }
+
+    /**
+     * Public shape of a gazetteer entry; the label disambiguates all but the best-known namesake
+     */
+    describe(candidate) {
+        const { entry, type } = candidate;
+
+        if (type === 'country') {
+            const city = this.cities.find(place => place.name === entry.city && place.country === entry.code);
+            return {
+                name: entry.name,
+                label: entry.name,
+                country: entry.code,
+                countryName: entry.name,
+                state: null,
+                coordinates: { lat: city.lat, lon: city.lon },
+                type
+            };
+        }
+
+        const countryName = this.countryNames.get(entry.country) || entry.country;
+        const namesakes = this.cities.filter(place => place.name === entry.name);
+        const isDefault = namesakes.every(place => place.prominence <= entry.prominence);
+
+        return {
+            name: entry.name,
+            label: isDefault ? entry.name : `${entry.name}, ${entry.state || countryName}`,
+            country: entry.country,
+            countryName,
+            state: entry.state,
+            coordinates: { lat: entry.lat, lon: entry.lon },
+            type
+        };
+    }
+
+    /**
+     * Read a state, province or country ("TX", "Texas", "Ontario", "France", "UK")
+     * @param {string} text - Qualifier text
+     * @returns {Array<Object>|null} Possible readings as { country, state }; "CA" is California or Canada
+     */
+    parseQualifier(text) {
+        const key = this.normalize(text);
+        if (!key) {
+            return null;
+        }
+
+        const readings = [];
+        Object.entries(this.regions).forEach(([country, states]) => {
+            Object.entries(states).forEach(([state, name]) => {
+                if (key === state.toLowerCase() || key === this.normalize(name)) {
+                    readings.push({ country, state });
+                }
+            });
+        });
+        this.countries.forEach(country => {
+            if (key === country.code.toLowerCase() || [country.name, ...country.aliases].some(name => this.normalize(name) === key)) {
+                readings.push({ country: country.code, state: null });
+            }
+        });
+
+        return readings.length ? readings : null;
+    }
+
+    matchesQualifier(entry, qualifier) {
+        const country = entry.country || entry.code;
+        return qualifier.some(reading => reading.country === country && (!reading.state || reading.state === entry.state));
+    }
+
+    /**
+     * Whether text written like this can be the candidate: abbreviations in capitals ("LA", not "la"),
+     * other short names capitalized ("Rio"), common words capitalized after a preposition ("in Nice")
+     */
+    isWrittenAsPlace(raw, candidate, afterPreposition) {
+        if (candidate.abbreviation) {
+            return raw === raw.toUpperCase();
+        }
+        if (candidate.commonWord) {
+            return afterPreposition && this.isCapitalized(raw);
+        }
+        return candidate.key.length > 3 || this.isCapitalized(raw);
+    }
+
+    tokenize(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+        return [...text.matchAll(WORD_PATTERN)].map(match => ({
+            raw: match[0].replace(/[.'’-]+$/, ''),
+            index: match.index,
+            key: this.normalize(match[0])
+        }));
+    }
+
+    isCapitalized(raw) {
+        return raw.charAt(0) !== raw.charAt(0).toLowerCase();
+    }
+
+    /**
+     * Candidates within a small edit distance: one typo from five letters, two from ten,
+     * and never a different first letter
+     * @param {string} key - Normalized name
+     * @returns {Array<Object>} Index entries, each with its distance
+     */
+    findFuzzy(key) {
+        const maxDistance = key.length >= 10 ? 2 : key.length >= 5 ? 1 : 0;
+        if (!maxDistance || NOT_PLACES.has(key)) {
+            return [];
+        }
+
+        let best = [];
+        let bestDistance = maxDistance;
+        this.index.forEach((candidates, name) => {
+            if (name[0] !== key[0] || Math.abs(name.length - key.length) > maxDistance) {
+                return;
+            }
+            const distance = this.getEditDistance(key, name);
+            if (distance < bestDistance) {
+                best = [];
+                bestDistance = distance;
+            }
+            if (distance === bestDistance) {
+                best.push(...candidates.filter(candidate => !candidate.abbreviation).map(candidate => ({ ...candidate, distance })));
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (optimal string alignment), so swapped letters count once
+     */
+    getEditDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    getProminence(candidate) {
+        return candidate.entry.prominence || 5;
+    }
+
+    /**
+     * Map every normalized name and alias to the places it can mean; cities shadow the
+     * countries they share a name with (Singapore, Monaco)
+     */
+    buildIndex() {
+        const index = new Map();
+        const add = (name, candidate) => {
+            const key = this.normalize(name);
+            const entries = index.get(key) || [];
+            if (candidate.type === 'country' && entries.some(entry => entry.type === 'city')) {
+                return;
+            }
+            index.set(key, [...entries, {
+                ...candidate,
+                key,
+                abbreviation: name === name.toUpperCase() && name !== name.toLowerCase(),
+                commonWord: Boolean(candidate.entry.commonWord)
+            }]);
+        };
+
+        this.cities.forEach(entry => {
+            add(entry.name, { entry, type: 'city', matchedBy: 'name' });
+            entry.aliases.forEach(alias => add(alias, { entry, type: 'city', matchedBy: 'alias' }));
+        });
+        this.countries.forEach(entry => {
+            add(entry.name, { entry, type: 'country', matchedBy: 'country' });
+            entry.aliases.forEach(alias => add(alias, { entry, type: 'country', matchedBy: 'country' }));
+        });
+
+        return index;
+    }
+
+    normalize(name) {
+        return String(name).toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[.'’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+}
+
+// Export singleton instance
+const gazetteerService = new GazetteerService();
+export default gazetteerService;
+export { GazetteerService, UNLISTED_PLACE_CONFIDENCE };
@@ -0,0 +1,148 @@
+/**
+ * Incremental JSON Parser
+ * Reads a JSON document as it streams in and hands back the elements of a
+ * top-level array (e.g. "dailyOutfits") the moment each one is complete, so
+ * callers can act on early days before the model has finished the rest.
+ * Markdown fences and prose before the opening brace are skipped.
+ */
+
+export class IncrementalJsonParser {
+    /**
+     * @param {Object} options
+     * @param {string} options.arrayKey - Key of the top-level array whose elements are emitted
+     * @param {Function} options.onElement - Called with (element, index) for each completed element
+     */
+    constructor({ arrayKey, onElement = () => { } }) {
+        this.arrayKey = arrayKey;
+        this.onElement = onElement;
+        this.buffer = '';
+        this.position = 0;
+        this.stack = [];
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = -1;
+        this.done = false;
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} chunk - Text delta
+     * @returns {Array<Object>} Elements completed by this chunk
+     */
+    push(chunk) {
+        const completed = [];
+        if (!chunk) {
+            return completed;
+        }
+
+        // Text after the root object (closing fences) is kept for the full-response parse
+        this.buffer += chunk;
+
+        for (; this.position < this.buffer.length && !this.done; this.position++) {
+            const char = this.buffer[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    this.closeString();
+                }
+                continue;
+            }
+
+            // Anything before the root object (fences, prose) is ignored
+            if (this.stack.length === 0 && char !== '{') {
+                continue;
+            }
+
+            const frame = this.stack[this.stack.length - 1];
+
+            if (char === '"') {
+                this.inString = true;
+                this.stringStart = this.position;
+            } else if (char === '{' || char === '[') {
+                this.stack.push({
+                    type: char === '{' ? 'object' : 'array',
+                    start: this.position,
+                    key: frame?.type === 'object' ? frame.lastKey : null,
+                    index: frame?.type === 'array' ? frame.count : null,
+                    expectKey: char === '{',
+                    lastKey: null,
+                    count: 0
+                });
+            } else if (char === '}' || char === ']') {
+                const closed = this.stack.pop();
+                const element = this.readElement(closed);
+                if (element) {
+                    completed.push(element);
+                }
+                if (this.stack.length === 0) {
+                    this.done = true;
+                }
+            } else if (char === ',' && frame) {
+                if (frame.type === 'object') {
+                    frame.expectKey = true;
+                } else {
+                    frame.count++;
+                }
+            }
+        }
+
+        completed.forEach(({ value, index }) => this.onElement(value, index));
+        return completed.map(({ value }) => value);
+    }
+
+    /**
+     * Record an object key once its closing quote arrives
+     */
+    closeString() {
+        const frame = this.stack[this.stack.length - 1];
+        if (frame?.type !== 'object' || !frame.expectKey) {
+            return;
+        }
+
+        try {
+            frame.lastKey = JSON.parse(this.buffer.slice(this.stringStart, this.position + 1));
+        } catch (error) {
+            frame.lastKey = null;
+        }
+        frame.expectKey = false;
+    }
+
+    /**
+     * Parse a just-closed container when it is an element of the watched array
+     * @param {Object} closed - Stack frame that was closed
+     * @returns {Object|null} { value, index }
+     */
+    readElement(closed) {
+        const parent = this.stack[this.stack.length - 1];
+        const isWatchedElement = this.stack.length === 2 &&
+            parent.type === 'array' &&
+            parent.key === this.arrayKey;
+
+        if (!isWatchedElement) {
+            return null;
+        }
+
+        try {
+            const value = JSON.parse(this.buffer.slice(closed.start, this.position + 1));
+            return { value, index: closed.index };
+        } catch (error) {
+            // A malformed element is left for the full-response validation to report
+            return null;
+        }
+    }
+
+    /**
+     * Everything received so far
+     * @returns {string} Raw text
+     */
+    getText() {
+        return this.buffer;
+    }
+}
+
+export default IncrementalJsonParser;
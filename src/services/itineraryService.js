@@ -0,0 +1,230 @@
+// Itinerary leg utilities for multi-destination trips
+//
+// A leg is one stop of a journey: { location, startDay, endDay, startDate, endDate, activities }.
+// Days are 1-based trip days; dates are filled in when the trip start date is known.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+    six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fourteen: 14
+};
+
+// "3 days in Lisbon", "4 nights Berlin", "a week in Rome"; the place never starts with
+// a connecting word, so "4 days for a conference" is left to PLACE_FIRST_PATTERN
+const COUNT_FIRST_PATTERN = /\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|fourteen)[\s-]*(days?|nights?|weeks?)\s+(?:in|at|to)?\s*(?!(?:for|with|from|on|starting|next|this|and)\b)([a-z][a-z .'-]*?)(?=\s+(?:for|with|from|on|starting|next|this|and|to)\b|[,.;:!?()]|$)/i;
+
+// "Lisbon for 3 days", "in Berlin for four nights"
+const PLACE_FIRST_PATTERN = /([a-z][a-z .'-]*?)\s+for\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|fourteen)[\s-]*(days?|nights?|weeks?)/i;
+
+const SEGMENT_SEPARATOR = /\s*(?:,\s*)?(?:\band then\b|\bthen\b|\bfollowed by\b|\bafter that\b|;)\s*/i;
+
+const toCount = (value, unit) => {
+    const count = /^\d+$/.test(value) ? parseInt(value, 10) : NUMBER_WORDS[value.toLowerCase()];
+    return /^week/i.test(unit) ? count * 7 : count;
+};
+
+const toTitleCase = (text) => text
+    .trim()
+    .split(/\s+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+
+// Drop lead-in words the lazy place capture picks up ("heading to Lisbon" → "Lisbon")
+const cleanPlace = (text) => {
+    const parts = text.split(/\b(?:in|at|to)\s+/i);
+    return toTitleCase(parts[parts.length - 1]);
+};
+
+// "... for a conference" / "... with client dinners" after a leg describe what happens there
+const readActivities = (segment, match) => {
+    const activity = segment.slice(match.index + match[0].length).match(/^[\s,:-]*(?:for|with)\s+(.+?)[.!?]*$/i);
+    return activity ? [activity[1].trim()] : [];
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string|null} Date (YYYY-MM-DD), or null for an invalid date
+ */
+export const addDaysToDate = (dateString, days) => {
+    const date = new Date(`${String(dateString).slice(0, 10)}T00:00:00Z`);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    return new Date(date.getTime() + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Bring legs from extraction, the AI or storage into a consistent, ordered shape.
+ * Missing day ranges are laid end to end; legs starting after the trip ends are dropped.
+ * @param {Array<Object>} legs - Raw legs ({ location, startDay, endDay | days, activities })
+ * @param {Object} options
+ * @param {string} options.startDate - Trip start date (YYYY-MM-DD), used to date each leg
+ * @param {number} options.duration - Trip length in days; the last leg is stretched or cut to fit
+ * @returns {Array<Object>} Normalized legs
+ */
+export const normalizeItineraryLegs = (legs, { startDate = null, duration = null } = {}) => {
+    if (!Array.isArray(legs)) {
+        return [];
+    }
+
+    const tripStart = startDate && addDaysToDate(startDate, 0);
+    const dayOf = (date) => {
+        const legDate = date && addDaysToDate(date, 0);
+        return tripStart && legDate ? Math.round((new Date(legDate) - new Date(tripStart)) / DAY_MS) + 1 : null;
+    };
+
+    const candidates = legs
+        .filter(leg => leg && typeof leg.location === 'string' && leg.location.trim())
+        .map((leg, index) => ({ leg, index, startDay: Number.isInteger(leg.startDay) ? leg.startDay : dayOf(leg.startDate) }))
+        .sort((a, b) => (a.startDay ?? Infinity) - (b.startDay ?? Infinity) || a.index - b.index);
+
+    const normalized = [];
+    let nextDay = 1;
+    for (const { leg, startDay: requestedStart } of candidates) {
+        const startDay = requestedStart && requestedStart >= nextDay ? requestedStart : nextDay;
+        const requestedEnd = Number.isInteger(leg.endDay) ? leg.endDay : dayOf(leg.endDate);
+        let endDay = requestedEnd && requestedEnd >= startDay
+            ? requestedEnd
+            : startDay + Math.max(Number.isInteger(leg.days) ? leg.days : 1, 1) - 1;
+
+        if (duration && startDay > duration) {
+            break;
+        }
+        if (duration) {
+            endDay = Math.min(endDay, duration);
+        }
+
+        normalized.push({
+            location: leg.location.trim(),
+            startDay,
+            endDay,
+            startDate: tripStart ? addDaysToDate(tripStart, startDay - 1) : null,
+            endDate: tripStart ? addDaysToDate(tripStart, endDay - 1) : null,
+            activities: [].concat(leg.activities || []).filter(activity => typeof activity === 'string' && activity.trim())
+        });
+        nextDay = endDay + 1;
+    }
+
+    // The last stop covers any remaining days of the trip
+    if (duration && normalized.length > 0 && normalized[normalized.length - 1].endDay < duration) {
+        const last = normalized[normalized.length - 1];
+        last.endDay = duration;
+        last.endDate = tripStart ? addDaysToDate(tripStart, duration - 1) : null;
+    }
+
+    return normalized;
+};
+
+/**
+ * Check whether a trip visits more than one place
+ * @param {Array<Object>} legs - Itinerary legs
+ * @returns {boolean} True for two or more legs
+ */
+export const isMultiDestination = (legs) => Array.isArray(legs) && legs.length > 1;
+
+/**
+ * Find the leg covering a trip day
+ * @param {Array<Object>} legs - Normalized legs
+ * @param {number} day - Trip day (1-based)
+ * @returns {Object|null} Leg, or null when no leg covers the day
+ */
+export const getLegForDay = (legs, day) => {
+    if (!Array.isArray(legs)) {
+        return null;
+    }
+    return legs.find(leg => day >= leg.startDay && day <= leg.endDay) || null;
+};
+
+/**
+ * Number of days the itinerary spans
+ * @param {Array<Object>} legs - Normalized legs
+ * @returns {number} Last day covered, or 0 without legs
+ */
+export const getItineraryDuration = (legs) => (
+    Array.isArray(legs) && legs.length > 0 ? Math.max(...legs.map(leg => leg.endDay)) : 0
+);
+
+/**
+ * Destination label for a multi-stop trip ("Lisbon → Berlin")
+ * @param {Array<Object>} legs - Itinerary legs
+ * @returns {string|null} Label, or null without legs
+ */
+export const formatItineraryDestination = (legs) => {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        return null;
+    }
+
+    return legs
+        .map(leg => leg.location)
+        .filter((location, index, locations) => index === 0 || location !== locations[index - 1])
+        .join(' → ');
+};
+
+/**
+ * Give every trip day its leg's location, keeping any existing activity and dress code
+ * @param {Array<Object>} dayPlans - Day plans ({ day, activity, dressCode })
+ * @param {Array<Object>} legs - Normalized legs
+ * @param {number} duration - Trip length in days
+ * @returns {Array<Object>} Day plans with location and leg index (unchanged without legs)
+ */
+export const assignLegsToDayPlans = (dayPlans = [], legs = [], duration = 0) => {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        return dayPlans;
+    }
+
+    const totalDays = Math.max(duration || 0, getItineraryDuration(legs), ...dayPlans.map(plan => plan.day));
+    return Array.from({ length: totalDays }, (_, index) => {
+        const day = index + 1;
+        const plan = dayPlans.find(entry => entry.day === day) || { day };
+        const leg = getLegForDay(legs, day);
+        if (!leg) {
+            return plan;
+        }
+
+        return {
+            ...plan,
+            activity: plan.activity || leg.activities[0] || '',
+            location: leg.location,
+            leg: legs.indexOf(leg)
+        };
+    });
+};
+
+/**
+ * Read legs from free text such as "3 days Lisbon then 4 days in Berlin"
+ * or "Lisbon for 3 days, then Berlin for 4 days"
+ * @param {string} text - User message
+ * @returns {Array<Object>} Normalized legs; empty unless at least two stops are found
+ */
+export const parseItineraryLegs = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        return [];
+    }
+
+    const legs = text.split(SEGMENT_SEPARATOR).map(segment => {
+        const countFirst = segment.match(COUNT_FIRST_PATTERN);
+        if (countFirst) {
+            return {
+                location: cleanPlace(countFirst[3]),
+                days: toCount(countFirst[1], countFirst[2]),
+                activities: readActivities(segment, countFirst)
+            };
+        }
+
+        const placeFirst = segment.match(PLACE_FIRST_PATTERN);
+        if (placeFirst) {
+            return {
+                location: cleanPlace(placeFirst[1]),
+                days: toCount(placeFirst[2], placeFirst[3]),
+                activities: readActivities(segment, placeFirst)
+            };
+        }
+
+        return null;
+    }).filter(leg => leg && leg.location && leg.days > 0);
+
+    return legs.length > 1 ? normalizeItineraryLegs(legs) : [];
+};
@@ -1,51 +1,104 @@
 /**
  * Knowledge Base Service
- * Handles queries to the Bedrock Knowledge Base containing styles data
+ * Handles queries to the Bedrock Knowledge Base containing styles data, or to a local
+ * hybrid search index over the catalog and closet when REACT_APP_KNOWLEDGE_BASE_PROVIDER=local
  */
 
-import {
-    BedrockAgentRuntimeClient,
-    RetrieveCommand
-} from '@aws-sdk/client-bedrock-agent-runtime';
+import { createLLMProvider } from './llmProviderFactory';
+import { CatalogSearchIndex } from './CatalogSearchIndex';
+import { clothingAnalysisEngine } from './ClothingAnalysisEngine';
+import clothingDatasetService from './clothingDatasetService';
+
+// Results returned per query, matching the Bedrock retrieval default used below
+const DEFAULT_RESULT_COUNT = 10;
 
 class KnowledgeBaseService {
-    constructor() {
-        // Initialize AWS Bedrock Agent Runtime client
-        this.client = new BedrockAgentRuntimeClient({
-            region: process.env.REACT_APP_AWS_REGION || 'us-east-1',
-            credentials: {
-                accessKeyId: process.env.REACT_APP_AWS_ACCESS_KEY_ID,
-                secretAccessKey: process.env.REACT_APP_AWS_SECRET_ACCESS_KEY
-            }
-        });
+    /**
+     * @param {Object} provider - LLM provider used for retrieval (defaults to REACT_APP_LLM_PROVIDER)
+     * @param {Object} options
+     * @param {string} options.backend - 'bedrock' or 'local' (defaults to REACT_APP_KNOWLEDGE_BASE_PROVIDER)
+     * @param {Function} options.loadItems - Async loader for the catalog the local index covers
+     */
+    constructor(provider = null, { backend = null, loadItems = null } = {}) {
+        this.provider = provider || createLLMProvider();
 
         this.knowledgeBaseId = process.env.REACT_APP_KNOWLEDGE_BASE_ID;
+        this.backend = (backend || process.env.REACT_APP_KNOWLEDGE_BASE_PROVIDER || 'bedrock').toLowerCase();
+
+        // Local index, built on first query and rebuilt when the closet changes
+        this.loadItems = loadItems || (async () => (await clothingDatasetService.getDataset()).items);
+        this.closetItems = [];
+        this.localIndexPromise = null;
+    }
+
+    /**
+     * Swap the LLM provider (e.g. the mock provider for offline runs)
+     * @param {Object} provider - LLM provider
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Whether queries go to the local search index instead of Bedrock
+     */
+    isLocal() {
+        return this.backend === 'local';
+    }
+
+    /**
+     * Include the user's closet in local searches
+     * @param {Array<Object>} items - Closet items
+     */
+    setClosetItems(items = []) {
+        this.closetItems = items;
+        this.localIndexPromise = null;
+    }
+
+    /**
+     * Local search index over the catalog plus the closet (closet pieces win on shared SKUs)
+     * @returns {Promise<CatalogSearchIndex>}
+     */
+    async getLocalIndex() {
+        if (!this.localIndexPromise) {
+            const closetItems = this.closetItems;
+            const indexPromise = this.loadItems().then(catalogItems => {
+                const closetSkus = new Set(closetItems.map(item => item.sku));
+                return new CatalogSearchIndex([...catalogItems.filter(item => !closetSkus.has(item.sku)), ...closetItems]);
+            });
+            this.localIndexPromise = indexPromise;
+            // A failed load is retried on the next query, unless a newer build has replaced it
+            indexPromise.catch(() => {
+                if (this.localIndexPromise === indexPromise) {
+                    this.localIndexPromise = null;
+                }
+            });
+        }
+        return this.localIndexPromise;
     }
 
     /**
      * Query the knowledge base for clothing/style information
+     * @param {string} query - Free-text query
+     * @param {Object} filters - Structured filters applied by the local index
+     *   ({ categories, colors, minPrice, maxPrice, dressCode, weather, source, limit }); Bedrock only uses the query
      */
     async queryStyles(query, filters = {}) {
+        if (this.isLocal()) {
+            return this.queryLocalIndex(query, filters);
+        }
+
         try {
             if (!this.knowledgeBaseId) {
                 throw new Error('Knowledge Base ID not configured. Please set REACT_APP_KNOWLEDGE_BASE_ID environment variable.');
             }
 
-            const command = new RetrieveCommand({
+            const response = await this.provider.retrieve({
                 knowledgeBaseId: this.knowledgeBaseId,
-                retrievalQuery: {
-                    text: query
-                },
-                retrievalConfiguration: {
-                    vectorSearchConfiguration: {
-                        numberOfResults: 10,
-                        overrideSearchType: 'HYBRID' // Use both semantic and keyword search
-                    }
-                }
+                query,
+                numberOfResults: DEFAULT_RESULT_COUNT
             });
 
-            const response = await this.client.send(command);
-
             return {
                 success: true,
                 data: {
@@ -89,6 +142,74 @@ class KnowledgeBaseService {
         }
     }
 
+    /**
+     * Search the local index, returning results shaped like Bedrock retrieval results
+     */
+    async queryLocalIndex(query, filters = {}) {
+        try {
+            const { limit = DEFAULT_RESULT_COUNT, ...criteria } = filters;
+            const index = await this.getLocalIndex();
+            const matches = index.search(query, criteria, { limit });
+
+            return {
+                success: true,
+                data: {
+                    results: matches.map(({ item, score }) => this.toRetrievalResult(item, score)),
+                    query: query,
+                    source: 'local',
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error('Local catalog search error:', error);
+
+            return {
+                success: false,
+                error: {
+                    code: 'LOCAL_INDEX_ERROR',
+                    message: 'Failed to search the local catalog. Please try again.'
+                }
+            };
+        }
+    }
+
+    /**
+     * Describe an item as a retrieval result ({ content: { text }, score, metadata })
+     */
+    toRetrievalResult(item, score) {
+        const fromCloset = Boolean(item.sku?.startsWith('CLOC'));
+        const details = [
+            item.category,
+            item.colors,
+            item.formality,
+            (item.weatherSuitability || item.weather_suitability) && `${item.weatherSuitability || item.weather_suitability} weather`,
+            fromCloset ? 'from your closet' : typeof item.price === 'number' && `$${item.price}`
+        ].filter(Boolean).join(', ');
+
+        return {
+            content: {
+                text: `${item.name} (${item.sku}): ${details}.${item.notes ? ` ${item.notes}` : ''}`
+            },
+            score,
+            location: { type: 'LOCAL', sku: item.sku },
+            metadata: {
+                sku: item.sku,
+                name: item.name,
+                category: item.category,
+                price: item.price,
+                source: fromCloset ? 'closet' : 'catalog'
+            }
+        };
+    }
+
+    /**
+     * Dress code filter for an occasion, when it names a known formality level
+     */
+    toDressCode(occasion) {
+        const dressCode = typeof occasion === 'string' ? occasion.toLowerCase().trim().replace(/\s+/g, '-') : null;
+        return dressCode && clothingAnalysisEngine.formalityLevels[dressCode] ? dressCode : null;
+    }
+
     /**
      * Search for clothing items by category
      */
@@ -103,7 +224,7 @@ class KnowledgeBaseService {
             query += ` appropriate for ${weather} weather`;
         }
 
-        return await this.queryStyles(query);
+        return await this.queryStyles(query, { categories: category, dressCode: this.toDressCode(occasion), weather });
     }
 
     /**
@@ -120,7 +241,7 @@ class KnowledgeBaseService {
             query += ` with ${style} style`;
         }
 
-        return await this.queryStyles(query);
+        return await this.queryStyles(query, { dressCode: this.toDressCode(occasion), weather });
     }
 
     /**
@@ -133,7 +254,7 @@ class KnowledgeBaseService {
             query += ` in ${category} category`;
         }
 
-        return await this.queryStyles(query);
+        return await this.queryStyles(query, { colors: color, categories: category });
     }
 
     /**
@@ -154,7 +275,7 @@ class KnowledgeBaseService {
             query += ` priced under $${maxPrice}`;
         }
 
-        return await this.queryStyles(query);
+        return await this.queryStyles(query, { minPrice, maxPrice });
     }
 
     /**
@@ -181,7 +302,12 @@ class KnowledgeBaseService {
         if (bodyType) query += ` flattering for ${bodyType} body type`;
         if (preferredBrands && preferredBrands.length > 0) query += ` from brands: ${preferredBrands.join(', ')}`;
 
-        return await this.queryStyles(query);
+        return await this.queryStyles(query, {
+            dressCode: this.toDressCode(occasion),
+            weather,
+            colors,
+            maxPrice: budget
+        });
     }
 
     /**
@@ -221,6 +347,7 @@ class KnowledgeBaseService {
      */
     getConfigurationStatus() {
         return {
+            backend: this.backend,
             knowledgeBaseConfigured: !!this.knowledgeBaseId,
             knowledgeBaseId: this.knowledgeBaseId,
             region: process.env.REACT_APP_AWS_REGION || 'us-east-1',
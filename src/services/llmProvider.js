@@ -0,0 +1,103 @@
+/**
+ * LLM Provider
+ * Common interface every model backend implements so services never talk
+ * to AWS clients directly:
+ *   complete(request)     -> Promise<string>
+ *   completeJSON(request) -> Promise<Object> (optionally zod-validated)
+ *   stream(request)       -> AsyncIterable<string> of text deltas
+ *   invokeAgent(params)   -> Promise<{ completion: AsyncIterable }>
+ *   retrieve(params)      -> Promise<{ retrievalResults: Array }>
+ */
+
+export const DEFAULT_MODEL_ID = 'us.amazon.nova-lite-v1:0';
+
+/**
+ * Error raised when a provider response can't be turned into the requested JSON
+ */
+export class LLMResponseError extends Error {
+    constructor(message, rawResponse = null, issues = null) {
+        super(message);
+        this.name = 'LLMResponseError';
+        this.rawResponse = rawResponse;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Strip markdown fences and surrounding prose from a model response
+ * @param {string} rawResponse - Raw model text
+ * @returns {string} Text between the first "{" and the last "}"
+ */
+export const extractJsonText = (rawResponse = '') => {
+    let cleaned = rawResponse.replace(/```json\s*/g, '').replace(/```\s*/g, '');
+
+    const firstBrace = cleaned.indexOf('{');
+    if (firstBrace > 0) {
+        cleaned = cleaned.substring(firstBrace);
+    }
+
+    const lastBrace = cleaned.lastIndexOf('}');
+    if (lastBrace > 0 && lastBrace < cleaned.length - 1) {
+        cleaned = cleaned.substring(0, lastBrace + 1);
+    }
+
+    return cleaned.trim();
+};
+
+/**
+ * Base class with the shared structured-JSON behaviour
+ */
+export class LLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async complete() {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    stream() {
+        throw new Error(`${this.name} provider does not implement stream()`);
+    }
+
+    async invokeAgent() {
+        throw new Error(`${this.name} provider does not implement invokeAgent()`);
+    }
+
+    async retrieve() {
+        throw new Error(`${this.name} provider does not implement retrieve()`);
+    }
+
+    /**
+     * Complete a prompt and parse the response as JSON
+     * @param {Object} request - Same options as complete()
+     * @param {Object} request.schema - Optional zod schema the JSON must satisfy
+     * @returns {Promise<Object>} Parsed (and validated) JSON
+     */
+    async completeJSON({ schema = null, ...request }) {
+        const rawResponse = await this.complete(request);
+
+        let parsed;
+        try {
+            parsed = JSON.parse(extractJsonText(rawResponse));
+        } catch (error) {
+            throw new LLMResponseError('Model returned invalid JSON', rawResponse);
+        }
+
+        if (!schema) {
+            return parsed;
+        }
+
+        const validation = schema.safeParse(parsed);
+        if (!validation.success) {
+            const firstIssue = validation.error.issues?.[0];
+            throw new LLMResponseError(
+                firstIssue?.message || 'Model response failed schema validation',
+                rawResponse,
+                validation.error.issues
+            );
+        }
+
+        return validation.data;
+    }
+}
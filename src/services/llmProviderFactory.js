@@ -0,0 +1,25 @@
+/**
+ * LLM Provider Factory
+ * Picks the model backend services should talk to
+ */
+
+import { BedrockLLMProvider } from './bedrockLLMProvider';
+import { MockLLMProvider } from './mockLLMProvider';
+
+/**
+ * Create the provider selected by REACT_APP_LLM_PROVIDER ('bedrock' by default, or 'mock')
+ * @param {Object} options - Provider options (credentials, region, fixtures, ...)
+ * @param {string} options.provider - Explicit provider name, overrides the environment
+ * @returns {LLMProvider}
+ */
+export const createLLMProvider = (options = {}) => {
+    const providerName = (options.provider || process.env.REACT_APP_LLM_PROVIDER || 'bedrock').toLowerCase();
+
+    if (providerName === 'mock') {
+        return new MockLLMProvider(options);
+    }
+
+    return new BedrockLLMProvider(options);
+};
+
+export default createLLMProvider;
@@ -0,0 +1,146 @@
+/**
+ * Local Agent Simulator
+ * Mock provider that plays a Bedrock Agent using return control: it asks for scripted
+ * tool calls, reads the results the app sends back, and only then streams its answer.
+ * Lets the tool loop in bedrockAgentService run end to end without AWS.
+ */
+
+import { MockLLMProvider } from './mockLLMProvider';
+import { ACTION_GROUP_NAME } from '../config/bedrockAgentConfig';
+
+export class LocalAgentSimulator extends MockLLMProvider {
+    /**
+     * @param {Object} options - MockLLMProvider options, plus:
+     * @param {Array|Function} options.toolCalls - Rounds of tool calls, each an array of { tool, args },
+     *   or a function of the input text returning them
+     * @param {Function} options.respond - Builds the final answer from (inputText, toolResults);
+     *   defaults to the fixtures
+     * @param {boolean} options.apiInvocations - Request tools as OpenAPI invocations instead of functions
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.toolCalls = options.toolCalls || [];
+        this.respondWithResults = options.respond || null;
+        this.apiInvocations = Boolean(options.apiInvocations);
+        this.sessions = new Map();
+        this.invocationCount = 0;
+    }
+
+    async invokeAgent(params) {
+        this.calls.push({ method: 'invokeAgent', request: params });
+
+        const session = this.continueSession(params);
+        const round = session.rounds[session.nextRound];
+
+        if (round) {
+            session.nextRound += 1;
+            session.invocationId = `local-invocation-${++this.invocationCount}`;
+            const returnControl = {
+                invocationId: session.invocationId,
+                invocationInputs: round.map(({ tool, args }) => this.toInvocationInput(tool, args))
+            };
+
+            return {
+                sessionId: params.sessionId,
+                completion: (async function* () {
+                    yield { returnControl };
+                })()
+            };
+        }
+
+        this.sessions.delete(params.sessionId);
+        const text = this.respondWithResults
+            ? this.respondWithResults(session.inputText, session.toolResults)
+            : this.respond(session.inputText);
+        const encoder = new TextEncoder();
+        const chunks = this.chunk(typeof text === 'string' ? text : JSON.stringify(text));
+
+        return {
+            sessionId: params.sessionId,
+            completion: (async function* () {
+                for (const chunk of chunks) {
+                    yield { chunk: { bytes: encoder.encode(chunk) } };
+                }
+            })()
+        };
+    }
+
+    /**
+     * Start a session for new input, or record the tool results sent back for the pending invocation
+     * @param {Object} params - InvokeAgent input
+     * @returns {Object} Session { inputText, rounds, nextRound, invocationId, toolResults }
+     */
+    continueSession(params) {
+        const results = params.sessionState?.returnControlInvocationResults;
+        const session = this.sessions.get(params.sessionId);
+
+        if (!results) {
+            const rounds = typeof this.toolCalls === 'function' ? this.toolCalls(params.inputText) : this.toolCalls;
+            const newSession = { inputText: params.inputText, rounds: rounds || [], nextRound: 0, invocationId: null, toolResults: [] };
+            this.sessions.set(params.sessionId, newSession);
+            return newSession;
+        }
+
+        if (!session || params.sessionState.invocationId !== session.invocationId) {
+            throw new Error(`No pending tool invocation ${params.sessionState.invocationId} in session ${params.sessionId}`);
+        }
+
+        results.forEach(result => session.toolResults.push(this.readResult(result)));
+        return session;
+    }
+
+    /**
+     * Encode a tool call the way Bedrock does: every parameter value is a string
+     */
+    toInvocationInput(tool, args = {}) {
+        const parameters = Object.entries(args).map(([name, value]) => ({
+            name,
+            type: Array.isArray(value) ? 'array' : typeof value === 'object' ? 'string' : typeof value,
+            value: typeof value === 'string' ? value : JSON.stringify(value)
+        }));
+
+        if (this.apiInvocations) {
+            return {
+                apiInvocationInput: {
+                    actionGroup: ACTION_GROUP_NAME,
+                    apiPath: `/${tool}`,
+                    httpMethod: 'POST',
+                    parameters: [],
+                    requestBody: { content: { 'application/json': { properties: parameters } } }
+                }
+            };
+        }
+
+        return {
+            functionInvocationInput: {
+                actionGroup: ACTION_GROUP_NAME,
+                function: tool,
+                parameters
+            }
+        };
+    }
+
+    /**
+     * Decode a function or API result into { tool, success, data }
+     */
+    readResult({ functionResult, apiResult }) {
+        const body = functionResult
+            ? functionResult.responseBody?.TEXT?.body
+            : apiResult?.responseBody?.['application/json']?.body;
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (error) {
+            data = body;
+        }
+
+        return {
+            tool: functionResult ? functionResult.function : (apiResult?.apiPath || '').replace(/^\//, ''),
+            success: functionResult ? !functionResult.responseState : apiResult?.httpStatusCode < 300,
+            data
+        };
+    }
+}
+
+export default LocalAgentSimulator;
@@ -0,0 +1,115 @@
+/**
+ * Mock LLM Provider
+ * Fixture-driven provider for offline development and tests; never touches AWS
+ */
+
+import { LLMProvider, DEFAULT_MODEL_ID } from './llmProvider';
+import { DEFAULT_LLM_FIXTURES } from '../data/llmFixtures';
+
+export class MockLLMProvider extends LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {Array} options.fixtures - Ordered { match, response } fixtures (defaults to llmFixtures)
+     * @param {Array} options.retrievalResults - Results returned by retrieve()
+     * @param {number} options.chunkSize - Characters per streamed chunk
+     */
+    constructor(options = {}) {
+        super('mock');
+
+        this.modelId = options.modelId || DEFAULT_MODEL_ID;
+        this.client = null;
+        this.fixtures = options.fixtures || DEFAULT_LLM_FIXTURES;
+        this.retrievalResults = options.retrievalResults || [];
+        this.chunkSize = options.chunkSize || 64;
+        this.calls = [];
+    }
+
+    /**
+     * Find the first fixture matching a prompt
+     * @param {string} prompt - Prompt text
+     * @returns {Object|null} Matching fixture
+     */
+    findFixture(prompt = '') {
+        return this.fixtures.find(({ match }) => {
+            if (match instanceof RegExp) {
+                return match.test(prompt);
+            }
+            if (typeof match === 'function') {
+                return match(prompt);
+            }
+            return prompt.includes(match);
+        }) || null;
+    }
+
+    /**
+     * Resolve the fixture response for a prompt as text
+     * @param {string} prompt - Prompt text
+     * @returns {string} Response text
+     */
+    respond(prompt = '') {
+        const fixture = this.findFixture(prompt);
+        if (!fixture) {
+            throw new Error('No mock LLM fixture matches the prompt');
+        }
+
+        const response = typeof fixture.response === 'function'
+            ? fixture.response(prompt)
+            : fixture.response;
+
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    /**
+     * Split text into stream-sized chunks
+     * @param {string} text - Full response
+     * @returns {Array<string>} Chunks
+     */
+    chunk(text) {
+        const chunks = [];
+        for (let index = 0; index < text.length; index += this.chunkSize) {
+            chunks.push(text.slice(index, index + this.chunkSize));
+        }
+        return chunks;
+    }
+
+    async complete(request) {
+        this.calls.push({ method: 'complete', request });
+        return this.respond(request.prompt);
+    }
+
+    async *stream(request) {
+        this.calls.push({ method: 'stream', request });
+
+        for (const text of this.chunk(this.respond(request.prompt))) {
+            if (request.signal?.aborted) {
+                return;
+            }
+            yield text;
+        }
+    }
+
+    async invokeAgent(params) {
+        this.calls.push({ method: 'invokeAgent', request: params });
+
+        const encoder = new TextEncoder();
+        const chunks = this.chunk(this.respond(params.inputText));
+
+        return {
+            sessionId: params.sessionId,
+            completion: (async function* () {
+                for (const text of chunks) {
+                    yield { chunk: { bytes: encoder.encode(text) } };
+                }
+            })()
+        };
+    }
+
+    async retrieve(params) {
+        this.calls.push({ method: 'retrieve', request: params });
+        return {
+            retrievalResults: this.retrievalResults.slice(0, params.numberOfResults || 10)
+        };
+    }
+}
+
+export default MockLLMProvider;
@@ -0,0 +1,49 @@
+/**
+ * Mock Retailer Adapter
+ * A local stand-in store for development, demos and tests: stock lives in memory
+ * (seeded from the catalog's availability column) and checkout links point at the
+ * store's own URL, so the whole cart flow works without a retailer account.
+ */
+
+import { RetailerAdapter, withQuery, getChosenSize } from './retailerAdapter';
+
+export class MockRetailerAdapter extends RetailerAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Store URL the catalog's product links live under
+     * @param {Object} options.stock - Availability overrides keyed by SKU
+     */
+    constructor(options = {}) {
+        super('mock', { label: 'Demo store' });
+        this.baseUrl = (options.baseUrl || 'https://store.example.com').replace(/\/$/, '');
+        this.stock = { ...options.stock };
+        this.calls = [];
+    }
+
+    /**
+     * Change the stock of a SKU (e.g. to simulate an item selling out)
+     * @param {string} sku - SKU
+     * @param {string} availability - New availability
+     */
+    setStock(sku, availability) {
+        this.stock[sku] = availability;
+    }
+
+    async getAvailability(lines = []) {
+        this.calls.push({ method: 'getAvailability', skus: lines.map(line => line.sku) });
+        return Object.fromEntries(lines.map(line => [line.sku, this.stock[line.sku] || line.availability || 'in-stock']));
+    }
+
+    buildCheckoutUrl(lines = []) {
+        this.calls.push({ method: 'buildCheckoutUrl', skus: lines.map(line => line.sku) });
+
+        // <variant or SKU>:<quantity>[:<size>] per line
+        const items = lines
+            .map(line => [line.variant?.id || line.sku, line.quantity || 1, getChosenSize(line)].filter(Boolean).join(':'))
+            .join(',');
+
+        return withQuery(`${this.baseUrl}/checkout`, { items });
+    }
+}
+
+export default MockRetailerAdapter;
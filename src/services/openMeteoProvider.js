@@ -0,0 +1,192 @@
+/**
+ * Open-Meteo Provider
+ * Geocoding, current conditions, a 16-day daily forecast and the historical archive
+ * from Open-Meteo; no API key needed
+ */
+
+import { WeatherProvider, WeatherProviderError, fetchJSON } from './weatherProvider';
+
+export const OPEN_METEO_FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+export const OPEN_METEO_ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+export const OPEN_METEO_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+const DAILY_FIELDS = [
+    'weather_code',
+    'temperature_2m_max',
+    'temperature_2m_min',
+    'apparent_temperature_max',
+    'precipitation_sum',
+    'wind_speed_10m_max',
+    'wind_direction_10m_dominant',
+    'relative_humidity_2m_mean'
+];
+
+const CURRENT_FIELDS = [
+    'temperature_2m',
+    'apparent_temperature',
+    'relative_humidity_2m',
+    'weather_code',
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'pressure_msl',
+    'precipitation'
+];
+
+// WMO weather interpretation codes -> OpenWeatherMap condition and description
+const WMO_CONDITIONS = [
+    { codes: [0], main: 'Clear', description: 'clear sky' },
+    { codes: [1], main: 'Clear', description: 'mainly clear' },
+    { codes: [2], main: 'Clouds', description: 'partly cloudy' },
+    { codes: [3], main: 'Clouds', description: 'overcast clouds' },
+    { codes: [45, 48], main: 'Fog', description: 'fog' },
+    { codes: [51, 53, 55, 56, 57], main: 'Drizzle', description: 'drizzle' },
+    { codes: [61, 63, 66, 80, 81], main: 'Rain', description: 'rain' },
+    { codes: [65, 67, 82], main: 'Rain', description: 'heavy rain' },
+    { codes: [71, 73, 75, 77, 85, 86], main: 'Snow', description: 'snow' },
+    { codes: [95, 96, 99], main: 'Thunderstorm', description: 'thunderstorm' }
+];
+
+export class OpenMeteoProvider extends WeatherProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.forecastUrl - Forecast API URL
+     * @param {string} options.archiveUrl - Historical archive API URL
+     * @param {string} options.geocodingUrl - Geocoding API URL
+     */
+    constructor(options = {}) {
+        super('open-meteo', { label: 'Open-Meteo', forecastDays: 16 });
+
+        this.forecastUrl = options.forecastUrl || OPEN_METEO_FORECAST_URL;
+        this.archiveUrl = options.archiveUrl || OPEN_METEO_ARCHIVE_URL;
+        this.geocodingUrl = options.geocodingUrl || OPEN_METEO_GEOCODING_URL;
+    }
+
+    buildUrl(base, params) {
+        return `${base}?${new URLSearchParams(params).toString()}`;
+    }
+
+    async geocode(query) {
+        // Open-Meteo matches on the place name only, so drop ", Country" qualifiers
+        const [name] = query.split(',');
+        const data = await fetchJSON(
+            this.buildUrl(this.geocodingUrl, { name: name.trim(), count: 1, language: 'en', format: 'json' }),
+            'Geocoding'
+        );
+
+        const place = data.results?.[0];
+        if (!place) {
+            throw new WeatherProviderError(`Location "${query}" not found`, 'NOT_FOUND', { retryable: false });
+        }
+
+        return {
+            name: place.name,
+            country: place.country_code,
+            state: place.admin1,
+            coordinates: { lat: place.latitude, lon: place.longitude }
+        };
+    }
+
+    async getCurrent(location) {
+        const { lat, lon } = location.coordinates;
+        const data = await fetchJSON(this.buildUrl(this.forecastUrl, {
+            latitude: lat,
+            longitude: lon,
+            current: CURRENT_FIELDS.join(','),
+            daily: DAILY_FIELDS.join(','),
+            forecast_days: 1,
+            wind_speed_unit: 'ms',
+            timezone: 'auto'
+        }), 'Weather API');
+
+        const weather = this.normalizeDay(data.daily, 0);
+        const { current } = data;
+        const condition = this.getCondition(current.weather_code);
+
+        weather.temperature.current = Math.round(current.temperature_2m);
+        weather.temperature.feels_like = Math.round(current.apparent_temperature);
+        weather.conditions.main = condition.main;
+        weather.conditions.description = condition.description;
+        weather.humidity = current.relative_humidity_2m;
+        weather.pressure = Math.round(current.pressure_msl);
+        weather.wind = { speed: current.wind_speed_10m, direction: current.wind_direction_10m };
+
+        return this.toResponse(location, data.daily.time[0], weather);
+    }
+
+    async getForecast(location, date) {
+        return this.getDay(this.forecastUrl, location, date, 'Forecast API', ['precipitation_probability_max']);
+    }
+
+    async getHistorical(location, date) {
+        return this.getDay(this.archiveUrl, location, date, 'History API');
+    }
+
+    /**
+     * One day of daily aggregates from the forecast or archive API
+     */
+    async getDay(url, location, date, label, extraFields = []) {
+        const { lat, lon } = location.coordinates;
+        const data = await fetchJSON(this.buildUrl(url, {
+            latitude: lat,
+            longitude: lon,
+            daily: [...DAILY_FIELDS, ...extraFields].join(','),
+            start_date: date,
+            end_date: date,
+            wind_speed_unit: 'ms',
+            timezone: 'auto'
+        }), label);
+
+        if (!data.daily?.time?.length) {
+            throw new WeatherProviderError(`No Open-Meteo data for ${date}`, 'NOT_FOUND', { retryable: false });
+        }
+
+        return this.toResponse(location, date, this.normalizeDay(data.daily, 0));
+    }
+
+    /**
+     * Normalize one day of Open-Meteo daily arrays
+     * @param {Object} daily - Daily block of an Open-Meteo response
+     * @param {number} index - Day index
+     * @returns {Object} Normalized weather
+     */
+    normalizeDay(daily, index) {
+        const value = field => daily[field]?.[index] ?? null;
+        const min = Math.round(value('temperature_2m_min'));
+        const max = Math.round(value('temperature_2m_max'));
+        const condition = this.getCondition(value('weather_code'));
+        const amount = value('precipitation_sum');
+
+        return {
+            temperature: {
+                current: Math.round((min + max) / 2),
+                feels_like: Math.round(value('apparent_temperature_max') ?? (min + max) / 2),
+                min,
+                max,
+                unit: 'celsius'
+            },
+            conditions: {
+                main: condition.main,
+                description: condition.description,
+                icon: null,
+                precipitation: {
+                    // The archive has no probability; a wet day counts as certain
+                    probability: value('precipitation_probability_max') ?? (amount > 0.5 ? 100 : 0),
+                    amount
+                }
+            },
+            humidity: value('relative_humidity_2m_mean'),
+            pressure: null,
+            wind: {
+                speed: value('wind_speed_10m_max') || 0,
+                direction: value('wind_direction_10m_dominant') || 0
+            },
+            visibility: null
+        };
+    }
+
+    getCondition(code) {
+        return WMO_CONDITIONS.find(({ codes }) => codes.includes(code)) || { main: 'Clouds', description: 'cloudy' };
+    }
+}
+
+export default OpenMeteoProvider;
@@ -0,0 +1,176 @@
+/**
+ * OpenWeatherMap Provider
+ * Geocoding, current conditions and the 5-day/3-hour forecast from OpenWeatherMap;
+ * history comes from the One Call 3.0 time machine (needs a One Call subscription)
+ */
+
+import { WeatherProvider, WeatherProviderError, fetchJSON } from './weatherProvider';
+
+export const OPENWEATHERMAP_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+export const OPENWEATHERMAP_GEOCODING_URL = 'https://api.openweathermap.org/geo/1.0';
+export const OPENWEATHERMAP_ONECALL_URL = 'https://api.openweathermap.org/data/3.0/onecall';
+
+export class OpenWeatherMapProvider extends WeatherProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - API key (defaults to REACT_APP_WEATHER_API_KEY)
+     * @param {string} options.baseUrl - Weather API base URL
+     * @param {string} options.geocodingUrl - Geocoding API base URL
+     */
+    constructor(options = {}) {
+        super('openweathermap', { label: 'OpenWeatherMap', forecastDays: 5 });
+
+        this.apiKey = options.apiKey || process.env.REACT_APP_WEATHER_API_KEY || null;
+        this.baseUrl = options.baseUrl || OPENWEATHERMAP_BASE_URL;
+        this.geocodingUrl = options.geocodingUrl || OPENWEATHERMAP_GEOCODING_URL;
+        this.oneCallUrl = options.oneCallUrl || OPENWEATHERMAP_ONECALL_URL;
+    }
+
+    /**
+     * Request URL with the API key, failing early when none is configured
+     * @param {string} base - Endpoint URL
+     * @param {Object} params - Query parameters
+     * @returns {string} URL
+     */
+    buildUrl(base, params) {
+        if (!this.apiKey) {
+            throw new WeatherProviderError(
+                'OpenWeatherMap needs an API key; set REACT_APP_WEATHER_API_KEY',
+                'MISSING_API_KEY',
+                { retryable: false }
+            );
+        }
+
+        const query = new URLSearchParams({ ...params, appid: this.apiKey });
+        return `${base}?${query.toString()}`;
+    }
+
+    async geocode(query) {
+        const data = await fetchJSON(this.buildUrl(`${this.geocodingUrl}/direct`, { q: query, limit: 1 }), 'Geocoding');
+
+        if (!data || data.length === 0) {
+            throw new WeatherProviderError(`Location "${query}" not found`, 'NOT_FOUND', { retryable: false });
+        }
+
+        const [place] = data;
+        return {
+            name: place.name,
+            country: place.country,
+            state: place.state,
+            coordinates: { lat: place.lat, lon: place.lon }
+        };
+    }
+
+    /**
+     * Raw current-weather payload
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} OpenWeatherMap /weather response
+     */
+    async fetchCurrent(lat, lon) {
+        return fetchJSON(this.buildUrl(`${this.baseUrl}/weather`, { lat, lon, units: 'metric' }), 'Weather API');
+    }
+
+    /**
+     * Raw 5-day/3-hour forecast payload
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} OpenWeatherMap /forecast response
+     */
+    async fetchForecast(lat, lon) {
+        return fetchJSON(this.buildUrl(`${this.baseUrl}/forecast`, { lat, lon, units: 'metric' }), 'Forecast API');
+    }
+
+    async getCurrent(location) {
+        const { lat, lon } = location.coordinates;
+        const data = await this.fetchCurrent(lat, lon);
+
+        return this.toResponse(location, new Date().toISOString().split('T')[0], this.normalize(data));
+    }
+
+    async getForecast(location, date) {
+        const { lat, lon } = location.coordinates;
+        const data = await this.fetchForecast(lat, lon);
+
+        // Use the 3-hour slot closest to midday on the requested date
+        const slots = data.list.filter(slot => new Date(slot.dt * 1000).toISOString().split('T')[0] === date);
+        if (slots.length === 0) {
+            throw new WeatherProviderError(`No OpenWeatherMap forecast for ${date}`, 'OUT_OF_RANGE', { retryable: false });
+        }
+
+        const midday = slots.reduce((best, slot) =>
+            Math.abs(new Date(slot.dt * 1000).getUTCHours() - 12) < Math.abs(new Date(best.dt * 1000).getUTCHours() - 12)
+                ? slot
+                : best
+        );
+
+        const weather = this.normalize(midday);
+        weather.temperature.min = Math.round(Math.min(...slots.map(slot => slot.main.temp_min)));
+        weather.temperature.max = Math.round(Math.max(...slots.map(slot => slot.main.temp_max)));
+        weather.conditions.precipitation = {
+            probability: Math.round(Math.max(...slots.map(slot => slot.pop || 0)) * 100),
+            amount: Math.round(slots.reduce((sum, slot) => sum + (slot.rain?.['3h'] || slot.snow?.['3h'] || 0), 0) * 10) / 10
+        };
+
+        return this.toResponse(location, date, weather);
+    }
+
+    async getHistorical(location, date) {
+        const { lat, lon } = location.coordinates;
+        const dt = Math.floor(new Date(`${date}T12:00:00Z`).getTime() / 1000);
+        const data = await fetchJSON(
+            this.buildUrl(`${this.oneCallUrl}/timemachine`, { lat, lon, dt, units: 'metric' }),
+            'History API'
+        );
+
+        const [hour] = data.data || [];
+        if (!hour) {
+            throw new WeatherProviderError(`No OpenWeatherMap history for ${date}`, 'NOT_FOUND', { retryable: false });
+        }
+
+        return this.toResponse(location, date, this.normalize({
+            main: {
+                temp: hour.temp,
+                feels_like: hour.feels_like,
+                temp_min: hour.temp,
+                temp_max: hour.temp,
+                humidity: hour.humidity,
+                pressure: hour.pressure
+            },
+            weather: hour.weather,
+            wind: { speed: hour.wind_speed, deg: hour.wind_deg },
+            visibility: hour.visibility
+        }));
+    }
+
+    /**
+     * Normalize an OpenWeatherMap weather entry
+     * @param {Object} entry - /weather response or /forecast list entry
+     * @returns {Object} Normalized weather
+     */
+    normalize(entry) {
+        return {
+            temperature: {
+                current: Math.round(entry.main.temp),
+                feels_like: Math.round(entry.main.feels_like),
+                min: Math.round(entry.main.temp_min),
+                max: Math.round(entry.main.temp_max),
+                unit: 'celsius'
+            },
+            conditions: {
+                main: entry.weather[0].main,
+                description: entry.weather[0].description,
+                icon: entry.weather[0].icon
+            },
+            humidity: entry.main.humidity,
+            pressure: entry.main.pressure,
+            wind: {
+                speed: entry.wind?.speed || 0,
+                direction: entry.wind?.deg || 0
+            },
+            visibility: entry.visibility ? Math.round(entry.visibility / 1000) : null
+        };
+    }
+}
+
+export default OpenWeatherMapProvider;
@@ -0,0 +1,236 @@
+/**
+ * Persistence Service
+ * Saves trips, outfits and closet items through a pluggable storage adapter
+ * and rehydrates them (migrating older schema versions) on load
+ */
+
+import { createDefaultStorageAdapter } from './storageAdapters';
+import { CURRENT_SCHEMA_VERSION, migrateTrip } from '../data/schemaMigrations';
+
+class PersistenceService {
+    /**
+     * @param {Object} adapter - Storage adapter (defaults to IndexedDB, falling back to memory)
+     */
+    constructor(adapter = null) {
+        this.adapter = adapter || createDefaultStorageAdapter();
+        this.writeQueues = {};
+    }
+
+    /**
+     * Swap the storage adapter (mainly for tests)
+     * @param {Object} adapter - Storage adapter implementing get/put/delete/getAll/clear
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Load everything the workshop needs to rehydrate
+     * @returns {Promise<Object>} { trips, closetItems, savedSkus, selectedTripId, preferenceProfile, styleProfile }
+     */
+    async loadWorkspace() {
+        try {
+            const [trips, closetItems, savedSkus, selectedTripId, preferenceProfile, styleProfile] = await Promise.all([
+                this.loadTrips(),
+                this.loadClosetItems(),
+                this.adapter.get('meta', 'savedSkus'),
+                this.adapter.get('meta', 'selectedTripId'),
+                this.adapter.get('meta', 'preferenceProfile'),
+                this.adapter.get('meta', 'styleProfile')
+            ]);
+
+            return {
+                trips,
+                closetItems,
+                savedSkus: Array.isArray(savedSkus) ? savedSkus : [],
+                selectedTripId: selectedTripId || null,
+                preferenceProfile: preferenceProfile?.ratings ? preferenceProfile : null,
+                styleProfile: styleProfile || null
+            };
+        } catch (error) {
+            console.error('Failed to load persisted workspace:', error);
+            return {
+                trips: [],
+                closetItems: [],
+                savedSkus: [],
+                selectedTripId: null,
+                preferenceProfile: null,
+                styleProfile: null
+            };
+        }
+    }
+
+    /**
+     * Load all trips, migrating and re-saving records stored with an older schema
+     * @returns {Promise<Array>} Trips in the current schema, oldest first
+     */
+    async loadTrips() {
+        const records = await this.adapter.getAll('trips');
+        const trips = [];
+
+        for (const record of records) {
+            if (!record || !record.data) {
+                continue;
+            }
+
+            const storedVersion = record.schemaVersion || 1;
+            try {
+                const trip = migrateTrip(record.data, storedVersion);
+                if (storedVersion !== CURRENT_SCHEMA_VERSION) {
+                    await this.resaveMigratedTrip(trip);
+                }
+                trips.push(trip);
+            } catch (error) {
+                console.warn(`Skipping trip ${record.data.id} that could not be migrated:`, error.message);
+            }
+        }
+
+        return trips.sort((a, b) =>
+            new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+        );
+    }
+
+    /**
+     * Save a single trip
+     * @param {Object} trip - Trip to save
+     */
+    async saveTrip(trip) {
+        await this.enqueueWrite('trips', () => this.putTrip(trip));
+    }
+
+    /**
+     * Write a trip record without queueing (callers hold the trips queue)
+     * @param {Object} trip - Trip to save
+     */
+    async putTrip(trip) {
+        if (!trip?.id) {
+            throw new Error('Trip must have an id to be saved');
+        }
+
+        await this.adapter.put('trips', trip.id, {
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            data: trip
+        });
+    }
+
+    /**
+     * Re-save a migrated trip in the trips queue, unless a queued save deleted it meanwhile
+     * @param {Object} trip - Trip in the current schema
+     */
+    async resaveMigratedTrip(trip) {
+        await this.enqueueWrite('trips', async () => {
+            if (await this.adapter.get('trips', trip.id)) {
+                await this.putTrip(trip);
+            }
+        });
+    }
+
+    /**
+     * Replace the stored trips with the given list
+     * @param {Array} trips - All trips
+     */
+    async saveTrips(trips = []) {
+        await this.enqueueWrite('trips', async () => {
+            const keep = new Set(trips.map(trip => trip.id));
+            const existing = await this.adapter.getAll('trips');
+
+            await Promise.all(existing
+                .filter(record => record?.data?.id && !keep.has(record.data.id))
+                .map(record => this.adapter.delete('trips', record.data.id)));
+
+            await Promise.all(trips.map(trip => this.putTrip(trip)));
+        });
+    }
+
+    /**
+     * Delete a trip
+     * @param {string} tripId - Trip identifier
+     */
+    async deleteTrip(tripId) {
+        await this.enqueueWrite('trips', () => this.adapter.delete('trips', tripId));
+    }
+
+    /**
+     * Load closet items in the order they were saved
+     * @returns {Promise<Array>} Closet items
+     */
+    async loadClosetItems() {
+        const records = await this.adapter.getAll('closet');
+        return records
+            .filter(record => record?.item?.sku)
+            .sort((a, b) => a.position - b.position)
+            .map(record => record.item);
+    }
+
+    /**
+     * Replace the stored closet with the given items
+     * @param {Array} items - Closet items keyed by sku
+     */
+    async saveClosetItems(items = []) {
+        await this.enqueueWrite('closet', async () => {
+            await this.adapter.clear('closet');
+            await Promise.all(items
+                .filter(item => item?.sku)
+                .map((item, position) => this.adapter.put('closet', item.sku, { position, item })));
+        });
+    }
+
+    /**
+     * Run a write after the previous write to the same store has settled, so
+     * overlapping replace-all saves cannot interleave their clear and put steps
+     * @param {string} storeName - Store being written
+     * @param {Function} write - Async write
+     * @returns {Promise} Result of the write
+     */
+    enqueueWrite(storeName, write) {
+        const previous = this.writeQueues[storeName] || Promise.resolve();
+        const next = previous.catch(() => { }).then(write);
+        this.writeQueues[storeName] = next;
+        return next;
+    }
+
+    /**
+     * Save the set of SKUs the user has saved to their closet
+     * @param {Set<string>|Array<string>} savedSkus - Saved SKUs
+     */
+    async saveSavedSkus(savedSkus) {
+        await this.adapter.put('meta', 'savedSkus', Array.from(savedSkus || []));
+    }
+
+    /**
+     * Save the traveler's outfit ratings, which carry over to every trip
+     * @param {Object} profile - Preference profile from preferenceProfileService
+     */
+    async savePreferenceProfile(profile) {
+        await this.adapter.put('meta', 'preferenceProfile', profile || null);
+    }
+
+    /**
+     * Save the traveler's style profile
+     * @param {Object} profile - Validated style profile
+     */
+    async saveStyleProfile(profile) {
+        await this.adapter.put('meta', 'styleProfile', profile || null);
+    }
+
+    /**
+     * Remember which trip was selected
+     * @param {string|null} tripId - Selected trip id
+     */
+    async saveSelectedTrip(tripId) {
+        await this.adapter.put('meta', 'selectedTripId', tripId || null);
+    }
+
+    /**
+     * Remove all persisted data
+     */
+    async clearAll() {
+        await Promise.all(['trips', 'closet', 'meta'].map(storeName => this.adapter.clear(storeName)));
+    }
+}
+
+// Export singleton instance
+const persistenceService = new PersistenceService();
+export default persistenceService;
+export { PersistenceService };
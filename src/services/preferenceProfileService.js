@@ -0,0 +1,186 @@
+/**
+ * Preference Profile Service
+ * Records thumbs up/down ratings (with reason tags) on whole outfits and single
+ * pieces, and turns them into the traveler's preferences: liked and disliked colors,
+ * liked and disliked SKUs and how comfortable they are at each formality level.
+ * Operations are pure: they take the current profile and return the updated one,
+ * so callers keep ownership of state and persistence.
+ */
+
+// Reason tags offered after a rating; 'color' counts for or against the piece's colors
+export const FEEDBACK_REASONS = {
+    up: [
+        { id: 'color', label: 'Love the colors' },
+        { id: 'comfortable', label: 'Comfortable' },
+        { id: 'flattering', label: 'Flattering' },
+        { id: 'versatile', label: 'Easy to re-wear' }
+    ],
+    down: [
+        { id: 'color', label: 'Not my colors' },
+        { id: 'too-formal', label: 'Too formal' },
+        { id: 'too-casual', label: 'Too casual' },
+        { id: 'uncomfortable', label: 'Uncomfortable' },
+        { id: 'not-my-style', label: 'Not my style' }
+    ]
+};
+
+const RATINGS = ['up', 'down'];
+
+// A rating on a whole outfit says less about each piece than a rating on the piece itself
+const OUTFIT_WEIGHT = 0.5;
+const SLOT_WEIGHT = 1;
+
+// Color signal from a rating without the 'color' reason
+const IMPLICIT_COLOR_WEIGHT = 0.25;
+
+const LIKED_SKU_THRESHOLD = 1;
+const LIKED_COLOR_THRESHOLD = 0.5;
+
+export const createEmptyProfile = () => ({ ratings: {}, updatedAt: null });
+
+class PreferenceProfileService {
+    /**
+     * Key a rating by what was rated, so re-rating replaces it. Outfit ratings include
+     * the SKUs worn, so a regenerated day starts unrated.
+     * @param {Object} target - { tripId, day, slot, items }
+     * @returns {string} Rating key
+     */
+    getRatingKey({ tripId, day, slot = null, items = [] }) {
+        const subject = slot
+            ? items[0]?.sku
+            : `outfit:${items.map(item => item.sku).sort().join('+')}`;
+        return `${tripId}:${day}:${subject}`;
+    }
+
+    /**
+     * Rate an outfit or a single piece
+     * @param {Object} profile - Current profile
+     * @param {Object} target - { tripId, day, slot (null for the whole outfit), items }
+     * @param {string|null} rating - 'up', 'down' or null to clear the rating
+     * @param {Array<string>} reasons - Reason tag ids from FEEDBACK_REASONS
+     * @returns {Object} { success, data: profile } or { success: false, error: { code, message } }
+     */
+    rate(profile, target, rating, reasons = []) {
+        const items = (target?.items || []).filter(item => item?.sku);
+        if (!target?.tripId || !target.day || items.length === 0) {
+            return {
+                success: false,
+                error: { code: 'INVALID_TARGET', message: 'A rating needs a trip, a day and at least one item' }
+            };
+        }
+
+        if (rating !== null && !RATINGS.includes(rating)) {
+            return {
+                success: false,
+                error: { code: 'INVALID_RATING', message: `Rating must be one of: ${RATINGS.join(', ')}` }
+            };
+        }
+
+        const current = profile || createEmptyProfile();
+        const key = this.getRatingKey({ ...target, items });
+        const ratings = { ...current.ratings };
+
+        if (rating === null) {
+            delete ratings[key];
+        } else {
+            const allowed = new Set(FEEDBACK_REASONS[rating].map(reason => reason.id));
+            ratings[key] = {
+                tripId: target.tripId,
+                day: target.day,
+                slot: target.slot || null,
+                rating,
+                reasons: [...new Set(reasons)].filter(reason => allowed.has(reason)),
+                // Snapshot what matters for learning, so ratings outlive the catalog entry
+                items: items.map(({ sku, name, colors, formality, category }) => ({ sku, name, colors, formality, category })),
+                ratedAt: new Date().toISOString()
+            };
+        }
+
+        return { success: true, data: { ...current, ratings, updatedAt: new Date().toISOString() } };
+    }
+
+    /**
+     * Current rating for an outfit or piece
+     * @param {Object} profile - Current profile
+     * @param {Object} target - { tripId, day, slot, items }
+     * @returns {Object|null} { rating, reasons } or null when unrated
+     */
+    getRating(profile, target) {
+        const entry = profile?.ratings?.[this.getRatingKey(target)];
+        return entry ? { rating: entry.rating, reasons: entry.reasons } : null;
+    }
+
+    /**
+     * Summarize ratings into preferences for prompts and offline scoring
+     * @param {Object} profile - Current profile
+     * @returns {Object} { ratingCount, likedColors, dislikedColors, likedSkus, dislikedSkus, formalityComfort }
+     */
+    getPreferences(profile) {
+        const entries = Object.values(profile?.ratings || {});
+        const skuScores = new Map();
+        const colorScores = new Map();
+        const formalityScores = new Map();
+        const add = (scores, key, value) => key && scores.set(key, (scores.get(key) || 0) + value);
+
+        entries.forEach(({ slot, rating, reasons = [], items = [] }) => {
+            const sign = rating === 'up' ? 1 : -1;
+            const weight = slot ? SLOT_WEIGHT : OUTFIT_WEIGHT;
+            const colorWeight = reasons.includes('color') ? 1 : IMPLICIT_COLOR_WEIGHT;
+
+            items.forEach(item => {
+                add(skuScores, item.sku, sign * weight);
+                this.getColors(item.colors).forEach(color => add(colorScores, color, sign * weight * colorWeight));
+
+                const formality = (item.formality || '').toLowerCase().trim();
+                if (reasons.includes('too-formal') || reasons.includes('too-casual')) {
+                    add(formalityScores, formality, -weight);
+                } else if (sign > 0) {
+                    add(formalityScores, formality, weight / 2);
+                }
+            });
+        });
+
+        const above = (scores, threshold) => [...scores.entries()]
+            .filter(([, score]) => score >= threshold)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([key]) => key);
+        const below = (scores, threshold) => [...scores.entries()]
+            .filter(([, score]) => score <= -threshold)
+            .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+            .map(([key]) => key);
+
+        const formalityComfort = {};
+        formalityScores.forEach((score, level) => {
+            if (score !== 0) {
+                formalityComfort[level] = Math.round(Math.max(-1, Math.min(1, score / 2)) * 100) / 100;
+            }
+        });
+
+        return {
+            ratingCount: entries.length,
+            likedColors: above(colorScores, LIKED_COLOR_THRESHOLD),
+            dislikedColors: below(colorScores, LIKED_COLOR_THRESHOLD),
+            likedSkus: above(skuScores, LIKED_SKU_THRESHOLD),
+            dislikedSkus: below(skuScores, LIKED_SKU_THRESHOLD),
+            formalityComfort
+        };
+    }
+
+    /**
+     * Color entries of an item ("navy, white" -> ['navy', 'white'])
+     * @param {string|Array<string>} colors - Item colors
+     * @returns {Array<string>} Lowercase colors
+     */
+    getColors(colors) {
+        return [].concat(colors || [])
+            .join(',')
+            .split(',')
+            .map(color => color.trim().toLowerCase())
+            .filter(Boolean);
+    }
+}
+
+// Export singleton instance
+const preferenceProfileService = new PreferenceProfileService();
+export default preferenceProfileService;
+export { PreferenceProfileService };
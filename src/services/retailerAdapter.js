@@ -0,0 +1,94 @@
+/**
+ * Retailer Adapter
+ * Common interface every store integration implements so the cart never talks
+ * to a retailer directly:
+ *   getAvailability(lines)   -> Promise<Object<sku, availability>>
+ *   getProductUrl(line)      -> string|null (product page for the chosen size and variant)
+ *   buildCheckoutUrl(lines)  -> string (deep-link that opens the retailer's checkout)
+ *
+ * CartLine: { sku, name, price, quantity, size, variant: { id, label }|null,
+ *   availability, productUrl }, as built by cartService.
+ * Availability uses catalogItemSchema's vocabulary (in-stock, low-stock, out-of-stock, preorder).
+ */
+
+/**
+ * Error raised by retailer adapters
+ */
+export class RetailerAdapterError extends Error {
+    constructor(message, code = 'RETAILER_ERROR') {
+        super(message);
+        this.name = 'RetailerAdapterError';
+        this.code = code;
+    }
+}
+
+/**
+ * Append query parameters to a URL, skipping empty values
+ * @param {string} url - Base URL
+ * @param {Object} params - Query parameters
+ * @returns {string} URL
+ */
+export const withQuery = (url, params = {}) => {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    if (!query) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+/**
+ * Size the shopper picked, or null for one-size items where there was nothing to choose
+ * @param {CartLine} line - Cart line
+ * @returns {string|null} Size
+ */
+export const getChosenSize = (line) => ((line.sizes || []).length > 1 && line.size ? line.size : null);
+
+/**
+ * Base class for retailer adapters
+ */
+export class RetailerAdapter {
+    /**
+     * @param {string} name - Adapter identifier
+     * @param {Object} options
+     * @param {string} options.label - Store name shown in the UI
+     */
+    constructor(name, { label = name } = {}) {
+        this.name = name;
+        this.label = label;
+    }
+
+    /**
+     * Current availability per SKU; by default the catalog's own availability is trusted
+     * @param {Array<CartLine>} lines - Cart lines
+     * @returns {Promise<Object>} availability keyed by SKU
+     */
+    async getAvailability(lines = []) {
+        return Object.fromEntries(lines.map(line => [line.sku, line.availability || 'in-stock']));
+    }
+
+    /**
+     * Product page for a cart line
+     * @param {CartLine} line - Cart line
+     * @returns {string|null} URL
+     */
+    getProductUrl(line) {
+        if (!line?.productUrl) {
+            return null;
+        }
+        return withQuery(line.productUrl, { variant: line.variant?.id, size: getChosenSize(line) });
+    }
+
+    /**
+     * Checkout deep-link for a set of cart lines (Array<CartLine>)
+     * @returns {string} URL
+     */
+    buildCheckoutUrl() {
+        throw new RetailerAdapterError(`${this.name} adapter does not implement buildCheckoutUrl()`, 'NOT_SUPPORTED');
+    }
+}
+
+export default RetailerAdapter;
@@ -0,0 +1,25 @@
+/**
+ * Retailer Adapter Factory
+ * Picks the store the cart checks stock with and checks out at
+ */
+
+import { MockRetailerAdapter } from './mockRetailerAdapter';
+import { StorefrontRetailerAdapter } from './storefrontRetailerAdapter';
+
+/**
+ * Create the adapter selected by REACT_APP_RETAILER ('mock' by default, or 'storefront')
+ * @param {Object} options - Adapter options (storeUrl, baseUrl, stock, ...)
+ * @param {string} options.retailer - Explicit adapter name, overrides the environment
+ * @returns {RetailerAdapter}
+ */
+export const createRetailerAdapter = (options = {}) => {
+    const retailerName = (options.retailer || process.env.REACT_APP_RETAILER || 'mock').toLowerCase();
+
+    if (retailerName === 'storefront') {
+        return new StorefrontRetailerAdapter(options);
+    }
+
+    return new MockRetailerAdapter(options);
+};
+
+export default createRetailerAdapter;
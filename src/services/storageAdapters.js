@@ -0,0 +1,176 @@
+/**
+ * Storage Adapters
+ * Key/value storage backends used by the persistence service.
+ * Every adapter exposes the same async API over named stores:
+ * get, put, delete, getAll and clear.
+ */
+
+export const STORE_NAMES = ['trips', 'closet', 'meta'];
+
+/**
+ * In-memory adapter - used in tests and when IndexedDB is unavailable
+ */
+export class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.stores = new Map();
+        STORE_NAMES.forEach(storeName => this.stores.set(storeName, new Map()));
+    }
+
+    /**
+     * Get the backing map for a store
+     * @param {string} storeName - Store name
+     * @returns {Map} Store contents
+     */
+    getStore(storeName) {
+        const store = this.stores.get(storeName);
+        if (!store) {
+            throw new Error(`Unknown store: ${storeName}`);
+        }
+        return store;
+    }
+
+    async get(storeName, key) {
+        const value = this.getStore(storeName).get(key);
+        return value === undefined ? null : structuredCloneSafe(value);
+    }
+
+    async put(storeName, key, value) {
+        this.getStore(storeName).set(key, structuredCloneSafe(value));
+        return key;
+    }
+
+    async delete(storeName, key) {
+        this.getStore(storeName).delete(key);
+    }
+
+    async getAll(storeName) {
+        return Array.from(this.getStore(storeName).values()).map(structuredCloneSafe);
+    }
+
+    async clear(storeName) {
+        this.getStore(storeName).clear();
+    }
+}
+
+/**
+ * IndexedDB adapter - default browser backend
+ */
+export class IndexedDBStorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.databaseName - IndexedDB database name
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to window.indexedDB)
+     */
+    constructor({ databaseName = 'aldo-outfit-lab', indexedDB = null } = {}) {
+        this.name = 'indexeddb';
+        this.databaseName = databaseName;
+        this.databaseVersion = 1;
+        this.factory = indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB can be used in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Open (or reuse) the database connection
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (!this.factory) {
+            return Promise.reject(new Error('IndexedDB is not available in this environment'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, this.databaseVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    STORE_NAMES.forEach(storeName => {
+                        if (!db.objectStoreNames.contains(storeName)) {
+                            db.createObjectStore(storeName);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error || new Error('Failed to open IndexedDB'));
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Store name
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runRequest(storeName, mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async get(storeName, key) {
+        const value = await this.runRequest(storeName, 'readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async put(storeName, key, value) {
+        await this.runRequest(storeName, 'readwrite', store => store.put(value, key));
+        return key;
+    }
+
+    async delete(storeName, key) {
+        await this.runRequest(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async getAll(storeName) {
+        return this.runRequest(storeName, 'readonly', store => store.getAll());
+    }
+
+    async clear(storeName) {
+        await this.runRequest(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Pick the best adapter for the current environment
+ * @returns {MemoryStorageAdapter|IndexedDBStorageAdapter}
+ */
+export const createDefaultStorageAdapter = () => {
+    if (IndexedDBStorageAdapter.isSupported()) {
+        return new IndexedDBStorageAdapter();
+    }
+    return new MemoryStorageAdapter();
+};
+
+/**
+ * Deep copy plain data so callers can't mutate stored records
+ */
+const structuredCloneSafe = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    return JSON.parse(JSON.stringify(value));
+};
@@ -0,0 +1,41 @@
+/**
+ * Storefront Retailer Adapter
+ * Talks to a hosted storefront that accepts cart permalinks
+ * (https://<store>/cart/<variant>:<quantity>,<variant>:<quantity>), which drop the
+ * shopper straight into checkout with every line pre-filled. Sizes are part of the
+ * storefront's variant ids, so "<variant>-<size>" is sent when a size was chosen.
+ */
+
+import { RetailerAdapter, RetailerAdapterError, getChosenSize } from './retailerAdapter';
+
+export class StorefrontRetailerAdapter extends RetailerAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.storeUrl - Storefront URL (defaults to REACT_APP_RETAILER_URL)
+     * @param {string} options.label - Store name shown in the UI
+     */
+    constructor(options = {}) {
+        super('storefront', { label: options.label || process.env.REACT_APP_RETAILER_LABEL || 'Online store' });
+        this.storeUrl = (options.storeUrl || process.env.REACT_APP_RETAILER_URL || '').replace(/\/$/, '');
+    }
+
+    getVariantId(line) {
+        const variant = line.variant?.id || line.sku;
+        const size = getChosenSize(line);
+        return size ? `${variant}-${size.replace(/\s+/g, '')}` : variant;
+    }
+
+    buildCheckoutUrl(lines = []) {
+        if (!this.storeUrl) {
+            throw new RetailerAdapterError('Set REACT_APP_RETAILER_URL to build storefront checkout links', 'NOT_CONFIGURED');
+        }
+
+        const items = lines
+            .map(line => `${encodeURIComponent(this.getVariantId(line))}:${line.quantity || 1}`)
+            .join(',');
+
+        return `${this.storeUrl}/cart/${items}`;
+    }
+}
+
+export default StorefrontRetailerAdapter;
@@ -0,0 +1,119 @@
+/**
+ * Style Profile Service
+ * Validates the traveler's style profile (gender presentation, fit, preferred and
+ * avoided colors, heel-height limit, modesty and cultural dress notes) and describes
+ * it for the header and the outfit prompt. The rules themselves are applied to the
+ * catalog by ClothingAnalysisEngine.filterByStyleProfile.
+ */
+
+import { styleProfileSchema } from '../schemas/styleProfileSchema';
+
+export const createDefaultStyleProfile = () => styleProfileSchema.parse({});
+
+export const PRESENTATION_LABELS = {
+    feminine: 'Feminine',
+    masculine: 'Masculine',
+    androgynous: 'Androgynous'
+};
+
+const MODESTY_RULES = {
+    moderate: 'Shoulders and knees stay covered: no strapless, cropped or above-the-knee pieces',
+    full: 'Arms and legs stay covered: long sleeves and ankle-length bottoms or dresses only'
+};
+
+class StyleProfileService {
+    /**
+     * Validate style profile input
+     * @param {Object} input - Raw profile (form values or stored profile)
+     * @returns {Object} { success, data } or { success: false, error: { code, message, fields } }
+     */
+    validateProfile(input) {
+        const result = styleProfileSchema.safeParse(input || {});
+
+        if (result.success) {
+            return { success: true, data: result.data };
+        }
+
+        const fields = result.error.issues.map(issue => ({
+            field: String(issue.path[0] ?? 'profile'),
+            reason: issue.message
+        }));
+
+        return {
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: fields.map(({ field, reason }) => `${field}: ${reason}`).join('; '),
+                fields
+            }
+        };
+    }
+
+    /**
+     * Whether the profile sets anything that narrows the catalog or the prompt
+     * @param {Object} profile - Style profile
+     * @returns {boolean} True when at least one rule is set
+     */
+    hasRules(profile) {
+        if (!profile) {
+            return false;
+        }
+
+        return Boolean(
+            profile.genderPresentation ||
+            profile.fits?.length ||
+            profile.preferredColors?.length ||
+            profile.avoidedColors?.length ||
+            typeof profile.maxHeelHeight === 'number' ||
+            (profile.modesty && profile.modesty !== 'none') ||
+            profile.culturalNotes
+        );
+    }
+
+    /**
+     * Initials for the header avatar
+     * @param {Object} profile - Style profile
+     * @returns {string} Up to two initials, or '?' without a name
+     */
+    getInitials(profile) {
+        const initials = (profile?.name || '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(part => part[0].toUpperCase());
+
+        if (initials.length === 0) {
+            return '?';
+        }
+        return initials.length === 1 ? initials[0] : `${initials[0]}${initials[initials.length - 1]}`;
+    }
+
+    /**
+     * Human-readable rules for the prompt and the editor summary
+     * @param {Object} profile - Style profile
+     * @returns {Array<string>} One sentence per rule that is set
+     */
+    describeRules(profile) {
+        if (!this.hasRules(profile)) {
+            return [];
+        }
+
+        const { genderPresentation, fits, preferredColors, avoidedColors, maxHeelHeight, modesty, culturalNotes } = profile;
+
+        return [
+            genderPresentation && (genderPresentation === 'androgynous'
+                ? 'Androgynous presentation: favour unisex pieces and avoid strongly gendered styling'
+                : `${PRESENTATION_LABELS[genderPresentation]} presentation: choose ${genderPresentation} and unisex pieces`),
+            fits?.length > 0 && `Preferred fit: ${fits.join(', ')}`,
+            preferredColors?.length > 0 && `Favour these colors: ${preferredColors.join(', ')}`,
+            avoidedColors?.length > 0 && `Never use these colors: ${avoidedColors.join(', ')}`,
+            typeof maxHeelHeight === 'number' && `Heels no higher than ${maxHeelHeight} cm`,
+            MODESTY_RULES[modesty],
+            culturalNotes && `Cultural dress considerations: ${culturalNotes}`
+        ].filter(Boolean);
+    }
+}
+
+// Export singleton instance
+const styleProfileService = new StyleProfileService();
+export default styleProfileService;
+export { StyleProfileService };
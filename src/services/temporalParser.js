@@ -0,0 +1,383 @@
+// Natural-language dates and durations for rule-based extraction
+//
+// Reads explicit dates ("March 14-18", "14/03", "2026-03-14"), ranges ("from Friday to
+// Tuesday"), relative days ("tomorrow", "next Friday", "this weekend") and durations
+// ("a week", "two nights", "long weekend"), and resolves them into a start date, end date
+// and duration, each with a confidence from 0 to 1. Dates are YYYY-MM-DD and trips count
+// both end days, so March 14-18 lasts five days.
+
+import { addDaysToDate } from './itineraryService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const WEEKDAYS = {
+    sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+    fifteen: 15, twenty: 20, thirty: 30
+};
+
+// How sure each kind of reading is
+export const TEMPORAL_CONFIDENCE = {
+    isoDate: 0.98,              // "2026-03-14"
+    explicitDate: 0.95,         // "March 14, 2027", "14/03/2027"
+    dateWithoutYear: 0.9,       // "March 14": the next March 14
+    ambiguousNumericDate: 0.6,  // "04/03": read day-first unless told otherwise
+    relativeDay: 0.95,          // "today", "tomorrow", "in 3 days"
+    weekday: 0.8,               // "on Friday": the coming Friday
+    nextWeekday: 0.7,           // "next Friday": this week's or next week's is ambiguous
+    vaguePeriod: 0.6,           // "next week", "this weekend", "next month"
+    countedDuration: 0.95,      // "5 days", "a week", "a fortnight"
+    nightsDuration: 0.85,       // "two nights": counted as days, like itinerary legs
+    weekendDuration: 0.7,       // "long weekend", "a weekend away"
+    vagueDuration: 0.5,         // "a few days", "a couple of weeks"
+    derived: 0.9                // Multiplier for a field computed from the other two
+};
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?(?![a-z])';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(?:,?\\s+(\\d{4}))?';
+const CONNECTOR = '\\s*(?:-|–|—|to|through|thru|until|till|and)\\s*';
+// Three-letter forms of "sat" and "sun" are left out: they read as words far more often
+const WEEKDAY = '(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sunday)';
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const RANGE_CONNECTOR = /^\s*(?:-|–|—|to|through|thru|until|till|and)\s*$/;
+const END_MARKER = /(?:until|till|through|thru|by)\s*$/;
+
+const toCount = (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : NUMBER_WORDS[value]);
+
+const toMonth = (name) => MONTHS[name.slice(0, 3)];
+
+const toWeekday = (name) => WEEKDAYS[name.slice(0, 3)];
+
+const toISODate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject dates that roll over, such as February 30
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+};
+
+const getWeekday = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const toReferenceDate = (referenceDate) => (
+    typeof referenceDate === 'string'
+        ? referenceDate.slice(0, 10)
+        : (referenceDate || new Date()).toISOString().split('T')[0]
+);
+
+// A date written without a year means its next occurrence
+const resolveYear = (month, day, year, today) => {
+    if (year) {
+        return toISODate(year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10), month, day);
+    }
+    const thisYear = parseInt(today.slice(0, 4), 10);
+    const date = toISODate(thisYear, month, day);
+    return date && date < today ? toISODate(thisYear + 1, month, day) : date;
+};
+
+// The first given weekday after a date ("Friday" said on a Friday means next week's)
+const nextWeekday = (from, weekday) => addDaysToDate(from, ((weekday - getWeekday(from) + 7) % 7) || 7);
+
+/**
+ * Read the numeric date "14/03" or "03/14/2027"
+ * @param {Array<string>} parts - Day, month and year captures
+ * @param {boolean} dayFirst - How to read dates where both numbers could be the month
+ * @returns {Object|null} { month, day, ambiguous }
+ */
+const readNumericDate = ([first, second], dayFirst) => {
+    const a = parseInt(first, 10);
+    const b = parseInt(second, 10);
+
+    if (a > 12 && b <= 12) {
+        return { day: a, month: b, ambiguous: false };
+    }
+    if (b > 12 && a <= 12) {
+        return { day: b, month: a, ambiguous: false };
+    }
+    if (a > 12 || b > 12) {
+        return null;
+    }
+    return dayFirst ? { day: a, month: b, ambiguous: a !== b } : { day: b, month: a, ambiguous: a !== b };
+};
+
+/**
+ * Find date mentions in the text. Each pattern masks what it matched, so later,
+ * looser patterns cannot read the same words again.
+ * @param {string} text - Lowercase text
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @param {boolean} dayFirst - Read ambiguous numeric dates day-first
+ * @returns {Object} { mentions, durations } in text order
+ */
+const findMentions = (text, today, dayFirst) => {
+    let masked = text;
+    const mentions = [];
+    const durations = [];
+
+    const scan = (pattern, handler) => {
+        masked = masked.replace(pattern, (...args) => {
+            const match = args[0];
+            const index = args[args.length - 2];
+            const result = handler(args.slice(1, -2), index);
+            if (!result) {
+                return match;
+            }
+            [].concat(result).forEach(entry => {
+                const target = entry.duration ? durations : mentions;
+                target.push({ index, end: index + match.length, ...entry });
+            });
+            return ' '.repeat(match.length);
+        });
+    };
+
+    const withYearConfidence = (year) => (year ? TEMPORAL_CONFIDENCE.explicitDate : TEMPORAL_CONFIDENCE.dateWithoutYear);
+
+    // "2026-03-14"
+    scan(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, ([year, month, day]) => {
+        const date = toISODate(parseInt(year, 10), parseInt(month, 10), parseInt(day, 10));
+        return date && { date, confidence: TEMPORAL_CONFIDENCE.isoDate };
+    });
+
+    // "March 14-18", "March 28 to April 2, 2027"
+    scan(new RegExp(`\\b${MONTH}\\s+${DAY}${CONNECTOR}(?:${MONTH}\\s+)?${DAY}\\b${YEAR}`, 'g'), ([month1, day1, month2, day2, year]) => {
+        const date = resolveYear(toMonth(month1), parseInt(day1, 10), year, today);
+        const endDate = date && resolveYear(toMonth(month2 || month1), parseInt(day2, 10), year, date);
+        return date && endDate >= date && { date, endDate, confidence: withYearConfidence(year) };
+    });
+
+    // "14-18 March", "28 March to 2 April", "the 14th to the 18th of March"
+    scan(new RegExp(`\\b${DAY}(?:\\s+(?:of\\s+)?${MONTH})?${CONNECTOR}(?:the\\s+)?${DAY}\\s+(?:of\\s+)?${MONTH}${YEAR}`, 'g'), ([day1, month1, day2, month2, year]) => {
+        const date = resolveYear(toMonth(month1 || month2), parseInt(day1, 10), year, today);
+        const endDate = date && resolveYear(toMonth(month2), parseInt(day2, 10), year, date);
+        return date && endDate >= date && { date, endDate, confidence: withYearConfidence(year) };
+    });
+
+    // "March 14th, 2027"
+    scan(new RegExp(`\\b${MONTH}\\s+${DAY}\\b${YEAR}`, 'g'), ([month, day, year]) => {
+        const date = resolveYear(toMonth(month), parseInt(day, 10), year, today);
+        return date && { date, confidence: withYearConfidence(year) };
+    });
+
+    // "14 March", "the 14th of March 2027"
+    scan(new RegExp(`\\b${DAY}\\s+(?:of\\s+)?${MONTH}${YEAR}`, 'g'), ([day, month, year]) => {
+        const date = resolveYear(toMonth(month), parseInt(day, 10), year, today);
+        return date && { date, confidence: withYearConfidence(year) };
+    });
+
+    // "14/03", "14/03/2027", "14-03-2027"
+    scan(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b|\b(\d{1,2})-(\d{1,2})-(\d{4})\b/g, (groups) => {
+        const [first, second, year] = groups[0] ? groups.slice(0, 3) : groups.slice(3, 6);
+        const reading = readNumericDate([first, second], dayFirst);
+        const date = reading && resolveYear(reading.month, reading.day, year, today);
+        if (!date) {
+            return null;
+        }
+        const confidence = reading.ambiguous ? TEMPORAL_CONFIDENCE.ambiguousNumericDate : withYearConfidence(year);
+        return { date, confidence };
+    });
+
+    // "the day after tomorrow", "tomorrow", "today"
+    scan(/\b(?:the\s+)?day after tomorrow\b/g, () => ({ date: addDaysToDate(today, 2), confidence: TEMPORAL_CONFIDENCE.relativeDay }));
+    scan(/\btomorrow\b/g, () => ({ date: addDaysToDate(today, 1), confidence: TEMPORAL_CONFIDENCE.relativeDay }));
+    scan(/\b(?:today|tonight)\b/g, () => ({ date: today, confidence: TEMPORAL_CONFIDENCE.relativeDay }));
+
+    // "in 3 days", "two weeks from now"
+    scan(new RegExp(`\\bin\\s+${COUNT}\\s+(days?|weeks?)\\b|\\b${COUNT}\\s+(days?|weeks?)\\s+from\\s+(?:now|today)\\b`, 'g'), (groups) => {
+        const [count, unit] = groups[0] ? groups.slice(0, 2) : groups.slice(2, 4);
+        const days = toCount(count) * (unit.startsWith('week') ? 7 : 1);
+        return { date: addDaysToDate(today, days), confidence: TEMPORAL_CONFIDENCE.relativeDay };
+    });
+
+    // "long weekend": Friday to Sunday
+    scan(/\b(?:(this|next|the|coming)\s+)?long weekend\b/g, ([qualifier]) => {
+        const friday = nextWeekday(addDaysToDate(today, -1), WEEKDAYS.fri);
+        const entries = [{ duration: 3, confidence: TEMPORAL_CONFIDENCE.weekendDuration, implied: true }];
+        if (qualifier) {
+            entries.push({ date: qualifier === 'next' ? addDaysToDate(friday, 7) : friday, confidence: TEMPORAL_CONFIDENCE.vaguePeriod });
+        }
+        return entries;
+    });
+
+    // "this weekend", "next weekend", or just "a weekend away" for the length
+    scan(/\b(?:(this|next|the|coming|a|one)\s+)?weekend\b/g, ([qualifier]) => {
+        const saturday = nextWeekday(today, WEEKDAYS.sat);
+        const entries = [{ duration: 2, confidence: TEMPORAL_CONFIDENCE.weekendDuration, implied: true }];
+        if (qualifier && !['a', 'one'].includes(qualifier)) {
+            entries.push({ date: qualifier === 'next' ? addDaysToDate(saturday, 7) : saturday, confidence: TEMPORAL_CONFIDENCE.vaguePeriod });
+        }
+        return entries;
+    });
+
+    // "next week" keeps the long-standing meaning of a week from today; "next month" is the 1st
+    scan(/\bnext week\b/g, () => ({ date: addDaysToDate(today, 7), confidence: TEMPORAL_CONFIDENCE.vaguePeriod }));
+    scan(/\bnext month\b/g, () => {
+        const [year, month] = today.split('-').map(Number);
+        const date = month === 12 ? toISODate(year + 1, 1, 1) : toISODate(year, month + 1, 1);
+        return { date, confidence: TEMPORAL_CONFIDENCE.vaguePeriod };
+    });
+
+    // "Friday", "on Fri", "next Tuesday"
+    scan(new RegExp(`\\b(?:(this|next|coming|on)\\s+)?${WEEKDAY}\\b`, 'g'), ([qualifier, name]) => {
+        const weekday = toWeekday(name);
+        let date = nextWeekday(today, weekday);
+        let confidence = TEMPORAL_CONFIDENCE.weekday;
+
+        if (qualifier === 'next') {
+            // "Next Friday" said early in the week usually means the one after this week's
+            const daysToSunday = (7 - getWeekday(today)) % 7;
+            if (daysBetween(today, date) <= daysToSunday) {
+                date = addDaysToDate(date, 7);
+            }
+            confidence = TEMPORAL_CONFIDENCE.nextWeekday;
+        }
+        return { date, weekday, confidence };
+    });
+
+    // "a couple of days", "a few nights"
+    scan(/\b(?:a\s+)?(couple|few)(?:\s+of)?\s+(days|nights|weeks)\b/g, ([amount, unit]) => ({
+        duration: (amount === 'couple' ? 2 : 3) * (unit === 'weeks' ? 7 : 1),
+        confidence: TEMPORAL_CONFIDENCE.vagueDuration
+    }));
+
+    // "a fortnight"
+    scan(/\b(?:a\s+|one\s+)?fortnight\b/g, () => ({ duration: 14, confidence: TEMPORAL_CONFIDENCE.countedDuration }));
+
+    // "5 days", "3-day", "two nights", "a week"
+    scan(new RegExp(`\\b${COUNT}(?:\\s*-\\s*|\\s+)(days?|nights?|weeks?)\\b`, 'g'), ([count, unit]) => ({
+        duration: toCount(count) * (unit.startsWith('week') ? 7 : 1),
+        confidence: unit.startsWith('night') ? TEMPORAL_CONFIDENCE.nightsDuration : TEMPORAL_CONFIDENCE.countedDuration
+    }));
+
+    return {
+        mentions: mentions.sort((a, b) => a.index - b.index),
+        durations: durations.sort((a, b) => a.index - b.index)
+    };
+};
+
+/**
+ * Pair a start mention with the end mention that follows it ("from Friday to Tuesday")
+ * @param {Array<Object>} mentions - Date mentions in text order
+ * @param {string} text - Lowercase text
+ * @returns {Object|null} { start, end } with resolved dates and confidences
+ */
+const findRange = (mentions, text) => {
+    const explicit = mentions.find(mention => mention.endDate);
+    if (explicit) {
+        return {
+            start: { date: explicit.date, confidence: explicit.confidence },
+            end: { date: explicit.endDate, confidence: explicit.confidence }
+        };
+    }
+
+    for (let i = 0; i + 1 < mentions.length; i++) {
+        const [first, second] = [mentions[i], mentions[i + 1]];
+        if (!RANGE_CONNECTOR.test(text.slice(first.end, second.index))) {
+            continue;
+        }
+
+        // The end weekday is the first one after the start, whichever week that falls in
+        const endDate = second.weekday !== undefined ? nextWeekday(first.date, second.weekday) : second.date;
+        if (endDate < first.date) {
+            continue;
+        }
+        return {
+            start: { date: first.date, confidence: first.confidence },
+            end: { date: endDate, confidence: Math.min(first.confidence, second.confidence) }
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Parse the dates and trip length in a message
+ * @param {string} text - User message
+ * @param {Object} options
+ * @param {Date|string} options.referenceDate - "Today" for relative dates (defaults to now)
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates such as 04/03 as day/month (default true)
+ * @returns {Object} { startDate, endDate, duration, confidence: { startDate, endDate, duration } },
+ *   with null fields (and 0 confidence) for anything the message does not say
+ */
+export const parseTemporalExpressions = (text, { referenceDate = null, dayFirst = true } = {}) => {
+    const result = {
+        startDate: null,
+        endDate: null,
+        duration: null,
+        confidence: { startDate: 0, endDate: 0, duration: 0 }
+    };
+
+    if (!text || typeof text !== 'string') {
+        return result;
+    }
+
+    const lowerText = text.toLowerCase();
+    const today = toReferenceDate(referenceDate);
+    const { mentions, durations } = findMentions(lowerText, today, dayFirst);
+
+    let start = null;
+    let end = null;
+    const range = findRange(mentions, lowerText);
+
+    if (range) {
+        ({ start, end } = range);
+    } else {
+        const endMention = mentions.find(mention => END_MARKER.test(lowerText.slice(0, mention.index)));
+        const startMention = mentions.find(mention => mention !== endMention);
+        start = startMention ? { date: startMention.date, confidence: startMention.confidence } : null;
+        end = endMention ? { date: endMention.date, confidence: endMention.confidence } : null;
+        if (start && end && end.date < start.date) {
+            end = null;
+        }
+    }
+
+    // A stated length wins over one implied by "weekend"; disagreeing lengths lower confidence
+    const stated = durations.filter(entry => !entry.implied);
+    const candidates = stated.length > 0 ? stated : durations;
+    let duration = candidates[0] ? { value: candidates[0].duration, confidence: candidates[0].confidence } : null;
+    if (duration && candidates.some(entry => entry.duration !== duration.value)) {
+        duration.confidence *= 0.8;
+    }
+
+    if (start && end) {
+        duration = { value: daysBetween(start.date, end.date) + 1, confidence: Math.min(start.confidence, end.confidence) };
+    } else if (start && duration) {
+        end = {
+            date: addDaysToDate(start.date, duration.value - 1),
+            confidence: Math.min(start.confidence, duration.confidence) * TEMPORAL_CONFIDENCE.derived
+        };
+    } else if (end && duration) {
+        start = {
+            date: addDaysToDate(end.date, -(duration.value - 1)),
+            confidence: Math.min(end.confidence, duration.confidence) * TEMPORAL_CONFIDENCE.derived
+        };
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+
+    if (start) {
+        result.startDate = start.date;
+        result.confidence.startDate = round(start.confidence);
+    }
+    if (end) {
+        result.endDate = end.date;
+        result.confidence.endDate = round(end.confidence);
+    }
+    if (duration && duration.value >= 1) {
+        result.duration = Math.min(365, duration.value);
+        result.confidence.duration = round(duration.confidence);
+    }
+
+    return result;
+};
@@ -0,0 +1,565 @@
+/**
+ * Trip Export Service
+ * Shares a trip outside the app: a printable lookbook (HTML, printed to PDF by the
+ * browser), a JSON file matching outfitRecommendationSchema, and an ICS calendar with
+ * one event per day. The JSON export can be imported again to restore the trip.
+ */
+
+import outfitRecommendationSchema from '../schemas/outfitRecommendationSchema';
+import { createNewTrip, updateTrip } from './tripService';
+import { getLegForDay, normalizeItineraryLegs } from './itineraryService';
+
+const EXPORT_FORMAT = 'outfit-lab-trip';
+const EXPORT_VERSION = 1;
+
+const SLOT_LABELS = {
+    topwear: 'Top',
+    bottomwear: 'Bottom',
+    footwear: 'Shoes',
+    outerwear: 'Layer',
+    accessories: 'Accessories'
+};
+
+const ITEM_SLOTS = ['topwear', 'bottomwear', 'footwear', 'outerwear'];
+
+// Item fields kept in exported outfit slots
+const SLOT_FIELDS = ['sku', 'name', 'category', 'price', 'colors', 'weatherSuitability', 'formality', 'notes', 'tags', 'layering', 'image', 'productUrl'];
+
+// Slot fields outfitRecommendationSchema requires to be strings
+const STRING_FIELDS = ['name', 'category', 'colors', 'weatherSuitability', 'formality', 'notes'];
+
+class TripExportService {
+    /**
+     * Convert a trip to outfitRecommendationSchema data
+     * @param {Object} trip - Trip with hydrated outfits
+     * @returns {Object} Outfit recommendation data
+     */
+    toOutfitRecommendation(trip) {
+        const eventData = trip.eventData || {};
+        const outfits = this.getSortedOutfits(trip);
+        const dressCode = eventData.dressCode || 'smart-casual';
+
+        return {
+            tripDetails: {
+                occasion: eventData.occasion || trip.name || 'Trip',
+                duration: Math.max(trip.totalDays || 0, outfits.length, 1),
+                location: trip.destination || eventData.location || null,
+                dressCode,
+                budget: typeof eventData.budget === 'number' ? eventData.budget : null
+            },
+            dailyOutfits: outfits.map(outfit => ({
+                day: outfit.day,
+                date: this.getDayDate(trip, outfit.day) || `Day ${outfit.day}`,
+                occasion: outfit.occasion || `Day ${outfit.day}`,
+                outfit: {
+                    topwear: this.toSlot(outfit.items?.topwear),
+                    bottomwear: this.toSlot(outfit.items?.bottomwear),
+                    footwear: this.toSlot(outfit.items?.footwear),
+                    outerwear: this.toSlot(outfit.items?.outerwear),
+                    accessories: (outfit.items?.accessories || []).map(item => this.toSlot(item)).filter(Boolean)
+                },
+                styling: {
+                    rationale: outfit.styling?.rationale || 'No styling notes.',
+                    weatherConsiderations: outfit.styling?.weatherConsiderations || 'Not recorded.',
+                    dresscodeCompliance: outfit.styling?.dresscodeCompliance || `Planned for a ${dressCode} dress code.`
+                }
+            })),
+            reusabilityAnalysis: trip.aiGenerationData?.reusabilityAnalysis
+                ? {
+                    totalItems: trip.aiGenerationData.reusabilityAnalysis.totalItems,
+                    reusedItems: trip.aiGenerationData.reusabilityAnalysis.reusedItems,
+                    reusabilityPercentage: trip.aiGenerationData.reusabilityAnalysis.reusabilityPercentage,
+                    reusabilityMap: trip.aiGenerationData.reusabilityAnalysis.reusabilityMap
+                }
+                : undefined
+        };
+    }
+
+    /**
+     * Export a trip as JSON (outfitRecommendationSchema plus the trip details needed to restore it)
+     * @param {Object} trip - Trip with hydrated outfits
+     * @returns {Object} { success, data: string } or { success: false, error }
+     */
+    exportJSON(trip) {
+        if (!this.hasOutfits(trip)) {
+            return this.noOutfitsError();
+        }
+
+        const recommendation = this.toOutfitRecommendation(trip);
+        const validation = outfitRecommendationSchema.safeParse(recommendation);
+        if (!validation.success) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_EXPORT',
+                    message: validation.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')
+                }
+            };
+        }
+
+        const document = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...recommendation,
+            trip: {
+                name: trip.name,
+                destination: trip.destination,
+                startDate: trip.startDate,
+                endDate: trip.endDate,
+                description: trip.description || null,
+                dailyPlans: trip.eventData?.dailyPlans || [],
+                legs: trip.legs || [],
+                specialRequirements: trip.eventData?.specialRequirements || [],
+                locks: trip.locks,
+                packing: trip.packing,
+                cart: trip.cart
+            }
+        };
+
+        return { success: true, data: JSON.stringify(document, null, 2) };
+    }
+
+    /**
+     * Restore a trip from a JSON export
+     * @param {string} jsonContent - Exported JSON
+     * @returns {Object} { success, data: trip } or { success: false, error: { code, message, fields } }
+     */
+    importJSON(jsonContent) {
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonContent);
+        } catch (error) {
+            return {
+                success: false,
+                error: { code: 'INVALID_JSON', message: 'The file is not valid JSON' }
+            };
+        }
+
+        const validation = outfitRecommendationSchema.safeParse(parsed);
+        if (!validation.success) {
+            const fields = validation.error.issues.map(issue => ({
+                field: issue.path.join('.') || 'file',
+                reason: issue.message
+            }));
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_EXPORT',
+                    message: `Not a trip export: ${fields.map(({ field, reason }) => `${field}: ${reason}`).join('; ')}`,
+                    fields
+                }
+            };
+        }
+
+        const { tripDetails, dailyOutfits } = validation.data;
+        const meta = parsed.trip || {};
+        const blank = createNewTrip({
+            name: meta.name || tripDetails.occasion,
+            destination: meta.destination || tripDetails.location || 'Add destination',
+            totalDays: tripDetails.duration
+        });
+        const timestamp = new Date().toISOString();
+
+        const outfits = {};
+        parsed.dailyOutfits.forEach(dayOutfit => {
+            const { day } = dayOutfit;
+            outfits[day] = {
+                id: `outfit-${blank.id}-${day}`,
+                name: `Day ${day} Outfit`,
+                day,
+                tripId: blank.id,
+                occasion: dayOutfit.occasion || `Day ${day}`,
+                items: {
+                    topwear: this.fromSlot(dayOutfit.outfit.topwear),
+                    bottomwear: this.fromSlot(dayOutfit.outfit.bottomwear),
+                    footwear: this.fromSlot(dayOutfit.outfit.footwear),
+                    outerwear: this.fromSlot(dayOutfit.outfit.outerwear),
+                    accessories: (dayOutfit.outfit.accessories || []).map(slot => this.fromSlot(slot)).filter(Boolean)
+                },
+                styling: dailyOutfits.find(entry => entry.day === day)?.styling,
+                isSaved: true,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            };
+        });
+
+        const trip = updateTrip(blank, {
+            startDate: meta.startDate || blank.startDate,
+            endDate: meta.endDate || blank.endDate,
+            description: meta.description || undefined,
+            legs: normalizeItineraryLegs(meta.legs, { startDate: meta.startDate || blank.startDate, duration: tripDetails.duration }),
+            outfits,
+            eventData: {
+                occasion: tripDetails.occasion,
+                location: tripDetails.location || null,
+                dressCode: tripDetails.dressCode,
+                budget: tripDetails.budget ?? null,
+                duration: tripDetails.duration,
+                startDate: meta.startDate || null,
+                dailyPlans: meta.dailyPlans || [],
+                specialRequirements: meta.specialRequirements || [],
+                confirmed: true
+            },
+            locks: meta.locks,
+            packing: meta.packing,
+            cart: meta.cart,
+            aiGenerationData: {
+                reusabilityAnalysis: validation.data.reusabilityAnalysis
+                    ? { ...validation.data.reusabilityAnalysis, reusabilityMap: parsed.reusabilityAnalysis.reusabilityMap || {} }
+                    : null,
+                generatedAt: parsed.exportedAt || timestamp,
+                importedAt: timestamp
+            }
+        });
+
+        console.log(`📥 Imported trip "${trip.name}" with ${dailyOutfits.length} outfit(s)`);
+
+        return { success: true, data: trip };
+    }
+
+    /**
+     * Export a trip as an ICS calendar with one all-day event per day
+     * @param {Object} trip - Trip with hydrated outfits
+     * @returns {Object} { success, data: string } or { success: false, error }
+     */
+    exportICS(trip) {
+        if (!this.hasOutfits(trip)) {
+            return this.noOutfitsError();
+        }
+
+        const plans = trip.eventData?.dailyPlans || [];
+        const days = [...new Set([
+            ...plans.map(plan => plan.day),
+            ...this.getSortedOutfits(trip).map(outfit => outfit.day)
+        ])].sort((a, b) => a - b);
+        const stamp = this.formatICSTimestamp(new Date());
+
+        const events = days.map(day => {
+            const plan = plans.find(entry => entry.day === day);
+            const outfit = trip.outfits?.[day];
+            const date = this.getDayDate(trip, day) || this.getDayDate({ startDate: new Date().toISOString().split('T')[0] }, day);
+            const title = plan?.activity || outfit?.occasion || `${trip.name || 'Trip'} day ${day}`;
+            const location = getLegForDay(trip.legs, day)?.location || trip.destination;
+
+            return [
+                'BEGIN:VEVENT',
+                `UID:${trip.id}-day-${day}@outfit-lab`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${this.addDays(date, 1).replace(/-/g, '')}`,
+                `SUMMARY:${this.escapeICSText(`Day ${day}: ${title}`)}`,
+                location ? `LOCATION:${this.escapeICSText(location)}` : null,
+                `DESCRIPTION:${this.escapeICSText(this.describeOutfit(outfit, plan))}`,
+                'END:VEVENT'
+            ].filter(Boolean);
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Outfit Lab//Trip Export//EN',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this.escapeICSText(trip.name || 'Trip')}`,
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return { success: true, data: lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n' };
+    }
+
+    /**
+     * Export a printable day-by-day lookbook as a standalone HTML document
+     * @param {Object} trip - Trip with hydrated outfits
+     * @param {Object} options
+     * @param {string} options.baseUrl - Prefix for relative image paths so the file works offline
+     * @param {Function} options.resolveImage - Returns an image path for an item without one
+     * @returns {Object} { success, data: string } or { success: false, error }
+     */
+    exportLookbookHTML(trip, { baseUrl = '', resolveImage = () => null } = {}) {
+        if (!this.hasOutfits(trip)) {
+            return this.noOutfitsError();
+        }
+
+        const escape = value => this.escapeHTML(value);
+        const imageUrl = item => {
+            const path = item.image || resolveImage(item.sku);
+            if (!path) {
+                return null;
+            }
+            return /^(data:|https?:)/.test(path) ? path : `${baseUrl}${path}`;
+        };
+        const plans = trip.eventData?.dailyPlans || [];
+
+        const days = this.getSortedOutfits(trip).map(outfit => {
+            const plan = plans.find(entry => entry.day === outfit.day);
+            const date = this.getDayDate(trip, outfit.day);
+            const items = [
+                ...ITEM_SLOTS.map(slot => [slot, outfit.items?.[slot]]),
+                ...(outfit.items?.accessories || []).map(item => ['accessories', item])
+            ].filter(([, item]) => item);
+
+            const cards = items.map(([slot, item]) => {
+                const src = imageUrl(item);
+                return `
+        <figure class="item">
+          ${src ? `<img src="${escape(src)}" alt="${escape(item.name)}">` : `<div class="placeholder">${escape(item.name?.[0] || '?')}</div>`}
+          <figcaption>
+            <span class="slot">${escape(SLOT_LABELS[slot])}</span>
+            <strong>${escape(item.name || item.sku)}</strong>
+            ${item.colors ? `<span>${escape(item.colors)}</span>` : ''}
+          </figcaption>
+        </figure>`;
+            }).join('');
+
+            return `
+    <section class="day">
+      <header>
+        <p class="eyebrow">Day ${outfit.day}${date ? ` · ${escape(date)}` : ''}</p>
+        <h2>${escape(plan?.activity || outfit.occasion || `Day ${outfit.day}`)}</h2>
+        ${plan?.dressCode ? `<p class="dress-code">${escape(plan.dressCode)}</p>` : ''}
+      </header>
+      <div class="items">${cards}
+      </div>
+      ${outfit.styling?.rationale ? `<h3>Styling notes</h3><p>${escape(outfit.styling.rationale)}</p>` : ''}
+      ${outfit.styling?.weatherConsiderations ? `<h3>Weather</h3><p>${escape(outfit.styling.weatherConsiderations)}</p>` : ''}
+    </section>`;
+        }).join('');
+
+        const title = `${trip.name || 'Trip'} lookbook`;
+
+        return {
+            success: true,
+            data: `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1a1a1a; margin: 32px; }
+    h1 { margin: 0 0 4px; }
+    .subtitle { color: #666; margin: 0 0 24px; }
+    .day { border-top: 1px solid #ddd; padding: 24px 0; page-break-inside: avoid; }
+    .day h2 { margin: 0; }
+    .eyebrow, .dress-code { color: #666; margin: 0 0 4px; text-transform: uppercase; font-size: 12px; letter-spacing: 0.08em; }
+    .items { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 16px; margin: 16px 0; }
+    .item { margin: 0; }
+    .item img, .placeholder { width: 100%; aspect-ratio: 3 / 4; object-fit: cover; border-radius: 8px; background: #f4f4f4; }
+    .placeholder { display: flex; align-items: center; justify-content: center; font-size: 32px; color: #999; }
+    figcaption { display: flex; flex-direction: column; gap: 2px; font-size: 13px; margin-top: 6px; }
+    .slot { color: #666; font-size: 11px; text-transform: uppercase; }
+    h3 { font-size: 14px; margin: 12px 0 4px; }
+    p { margin: 0; line-height: 1.5; }
+    @media print { body { margin: 0; } .day { page-break-after: always; } }
+  </style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <p class="subtitle">${escape([trip.destination, trip.startDate && trip.endDate ? `${trip.startDate} – ${trip.endDate}` : null].filter(Boolean).join(' · '))}</p>${days}
+</body>
+</html>
+`
+        };
+    }
+
+    /**
+     * Open the lookbook in a new window and start the browser's print dialog (save as PDF)
+     * @param {Object} trip - Trip with hydrated outfits
+     * @param {Object} options - Same as exportLookbookHTML
+     * @returns {Object} { success } or { success: false, error }
+     */
+    printLookbook(trip, options = {}) {
+        const result = this.exportLookbookHTML(trip, options);
+        if (!result.success) {
+            return result;
+        }
+
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            return {
+                success: false,
+                error: { code: 'POPUP_BLOCKED', message: 'Allow pop-ups to print the lookbook' }
+            };
+        }
+
+        printWindow.document.write(result.data);
+        printWindow.document.close();
+        printWindow.onload = () => printWindow.print();
+
+        return { success: true };
+    }
+
+    /**
+     * Save text content as a file download
+     * @param {string} filename - File name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * File name stem for a trip's exports
+     * @param {Object} trip - Trip
+     * @returns {string} e.g. "lisbon-vacation"
+     */
+    getFileStem(trip) {
+        const stem = `${trip?.destination && trip.destination !== 'Add destination' ? `${trip.destination} ` : ''}${trip?.name || 'trip'}`
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        return stem || 'trip';
+    }
+
+    /**
+     * Outfit summary used as the calendar event description
+     * @param {Object} outfit - Hydrated outfit
+     * @param {Object} plan - Day plan
+     * @returns {string} Plain-text description
+     */
+    describeOutfit(outfit, plan) {
+        if (!outfit) {
+            return 'No outfit planned for this day.';
+        }
+
+        const lines = ITEM_SLOTS
+            .filter(slot => outfit.items?.[slot])
+            .map(slot => `${SLOT_LABELS[slot]}: ${outfit.items[slot].name || outfit.items[slot].sku} (${outfit.items[slot].sku})`);
+        const accessories = outfit.items?.accessories || [];
+        if (accessories.length > 0) {
+            lines.push(`${SLOT_LABELS.accessories}: ${accessories.map(item => item.name || item.sku).join(', ')}`);
+        }
+        if (plan?.dressCode) {
+            lines.push(`Dress code: ${plan.dressCode}`);
+        }
+        if (outfit.styling?.rationale) {
+            lines.push('', outfit.styling.rationale);
+        }
+
+        return lines.join('\n');
+    }
+
+    getSortedOutfits(trip) {
+        return Object.values(trip?.outfits || {})
+            .filter(outfit => outfit?.items)
+            .sort((a, b) => a.day - b.day);
+    }
+
+    hasOutfits(trip) {
+        return this.getSortedOutfits(trip).length > 0;
+    }
+
+    noOutfitsError() {
+        return {
+            success: false,
+            error: { code: 'NO_OUTFITS', message: 'Generate outfits before exporting the trip' }
+        };
+    }
+
+    /**
+     * Calendar date of a trip day
+     * @param {Object} trip - Trip with a startDate (YYYY-MM-DD)
+     * @param {number} day - Day number (1-based)
+     * @returns {string|null} YYYY-MM-DD
+     */
+    getDayDate(trip, day) {
+        if (!trip?.startDate || !/^\d{4}-\d{2}-\d{2}/.test(trip.startDate)) {
+            return null;
+        }
+        return this.addDays(trip.startDate.slice(0, 10), day - 1);
+    }
+
+    addDays(date, days) {
+        const [year, month, dayOfMonth] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, dayOfMonth + days)).toISOString().split('T')[0];
+    }
+
+    formatICSTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape text values per RFC 5545
+     * @param {string} text - Text value
+     * @returns {string} Escaped value
+     */
+    escapeICSText(text = '') {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 octets of UTF-8, never splitting a character
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldICSLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        // Iterating the string yields whole code points, so surrogate pairs stay together
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            if (octets + size > 75) {
+                parts.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    escapeHTML(value = '') {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    toSlot(item) {
+        if (!item?.sku) {
+            return null;
+        }
+
+        const slot = {};
+        SLOT_FIELDS.forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+                slot[field] = field === 'price' ? Number(item[field]) || 0 : item[field];
+            }
+        });
+        STRING_FIELDS.forEach(field => {
+            if (Array.isArray(slot[field])) {
+                slot[field] = slot[field].join(', ');
+            } else if (slot[field] !== undefined) {
+                slot[field] = String(slot[field]);
+            }
+        });
+        return slot;
+    }
+
+    fromSlot(slot) {
+        return slot?.sku ? { ...slot } : null;
+    }
+}
+
+// Export singleton instance
+const tripExportService = new TripExportService();
+export default tripExportService;
+export { TripExportService, EXPORT_FORMAT };
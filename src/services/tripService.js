@@ -1,5 +1,8 @@
 // Trip management utilities
 
+import persistenceService from './persistenceService';
+import { normalizeItineraryLegs, formatItineraryDestination, getItineraryDuration } from './itineraryService';
+
 /**
  * Determines if a trip is new/empty based on its outfits
  * @param {Object} trip - The trip object to check
@@ -55,14 +58,17 @@ export const hasTransitionedToPopulated = (previousTrip, currentTrip) => {
  * @param {Object} options - Optional trip configuration
  * @param {string} options.name - Trip name (default: 'New Trip')
  * @param {string} options.destination - Trip destination (default: 'Add destination')
- * @param {number} options.totalDays - Number of days (default: 7)
+ * @param {number} options.totalDays - Number of days (default: 7, or the length of the legs)
+ * @param {Array<Object>} options.legs - Itinerary legs for a multi-destination trip
+ *   ({ location, startDay, endDay, activities }); the destination defaults to their stops
  * @returns {Object} New trip object
  */
 export const createNewTrip = (options = {}) => {
+    const legs = normalizeItineraryLegs(options.legs);
     const {
         name = 'New Trip',
-        destination = 'Add destination',
-        totalDays = 7
+        destination = formatItineraryDestination(legs) || 'Add destination',
+        totalDays = getItineraryDuration(legs) || 7
     } = options;
 
     const newTripId = `trip-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -76,6 +82,7 @@ export const createNewTrip = (options = {}) => {
         startDate,
         endDate,
         totalDays,
+        legs: normalizeItineraryLegs(legs, { startDate, duration: totalDays }),
         outfits: {}, // Completely empty outfits object for blank trip
         isNew: true, // Explicit flag for new trips
         createdAt: new Date().toISOString(),
@@ -135,4 +142,17 @@ export const updateTripWithOutfit = (trip, outfitKey, outfit) => {
     };
 
     return updateTrip(trip, { outfits: updatedOutfits });
-};
\ No newline at end of file
+};
+
+/**
+ * Loads previously saved trips, migrated to the current schema
+ * @returns {Promise<Array>} Saved trips
+ */
+export const loadSavedTrips = () => persistenceService.loadTrips();
+
+/**
+ * Persists the full list of trips, removing any that were deleted
+ * @param {Array} trips - All trips
+ * @returns {Promise<void>}
+ */
+export const saveTrips = (trips) => persistenceService.saveTrips(trips);
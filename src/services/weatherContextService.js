@@ -6,6 +6,9 @@
 
 import weatherService from './weatherService.js';
 import contextAccumulator from './contextAccumulator.js';
+import climateNormalsService from './climateNormalsService.js';
+import gazetteerService from './gazetteerService.js';
+import { normalizeItineraryLegs, isMultiDestination, addDaysToDate } from './itineraryService.js';
 
 class WeatherContextService {
     constructor() {
@@ -13,6 +16,7 @@ class WeatherContextService {
         this.cacheTimeout = 60 * 60 * 1000; // 1 hour cache duration
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second initial delay
+        this.forecastWindowDays = 5; // Days ahead covered when the provider doesn't say; climate normals beyond
     }
 
     /**
@@ -32,6 +36,15 @@ class WeatherContextService {
                 throw new Error('Session ID is required');
             }
 
+            // Multi-destination trips gather weather leg by leg
+            const legs = normalizeItineraryLegs(eventDetails.legs, {
+                startDate: eventDetails.startDate,
+                duration: eventDetails.duration
+            });
+            if (isMultiDestination(legs)) {
+                return await this.gatherItineraryWeatherContext(eventDetails, legs, sessionId);
+            }
+
             // Process location and dates from event details
             const { location, dateRange } = await this.processLocationAndDates(eventDetails);
 
@@ -49,7 +62,7 @@ class WeatherContextService {
                 weatherContext: enrichedContext,
                 location: location,
                 dateRange: dateRange,
-                dataSource: 'OpenWeatherMap',
+                dataSource: enrichedContext.weatherDataSource,
                 gatheredAt: new Date().toISOString()
             };
 
@@ -77,6 +90,95 @@ class WeatherContextService {
         }
     }
 
+    /**
+     * Gather weather for every leg of a multi-destination trip and merge it into one context
+     * @param {Object} eventDetails - Event details from extraction service
+     * @param {Array<Object>} legs - Normalized itinerary legs
+     * @param {string} sessionId - Session identifier for context accumulation
+     * @returns {Promise<Object>} Weather context gathering result with per-leg summaries
+     */
+    async gatherItineraryWeatherContext(eventDetails, legs, sessionId) {
+        const tripStart = this.calculateDateRange(eventDetails.startDate, 1).start;
+
+        const legWeather = [];
+        for (const [index, leg] of legs.entries()) {
+            legWeather.push(await this.gatherLegWeather(leg, index, tripStart));
+        }
+
+        // One forecast per trip day, each tagged with its leg and location
+        const weatherData = legWeather.flatMap(leg => leg.dailyForecasts);
+        const enrichedContext = await this.enrichEventContext(eventDetails, weatherData, legWeather[0].location);
+        enrichedContext.weatherContext.legs = legWeather.map(({ dailyForecasts, ...leg }) => ({
+            ...leg,
+            summary: this.generateWeatherSummary(dailyForecasts)
+        }));
+        if (legWeather.some(leg => leg.fallbackUsed)) {
+            enrichedContext.weatherDataConfidence = Math.min(enrichedContext.weatherDataConfidence, 0.5);
+        }
+
+        await this.addWeatherContextToAccumulator(sessionId, enrichedContext);
+
+        return {
+            success: true,
+            weatherContext: enrichedContext,
+            location: legWeather[0].location,
+            legs: enrichedContext.weatherContext.legs,
+            dateRange: {
+                start: legWeather[0].dateRange.start,
+                end: legWeather[legWeather.length - 1].dateRange.end,
+                duration: weatherData.length
+            },
+            dataSource: enrichedContext.weatherDataSource,
+            fallbackUsed: legWeather.some(leg => leg.fallbackUsed),
+            gatheredAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Gather weather for one leg, falling back to seasonal estimates for that leg only
+     * @param {Object} leg - Itinerary leg ({ location, startDay, endDay, activities })
+     * @param {number} index - Leg index
+     * @param {string} tripStart - Trip start date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Leg with resolved location, date range and tagged daily forecasts
+     */
+    async gatherLegWeather(leg, index, tripStart) {
+        const dateRange = this.calculateDateRange(addDaysToDate(tripStart, leg.startDay - 1), leg.endDay - leg.startDay + 1);
+
+        let location;
+        let dailyForecasts;
+        let fallbackUsed = false;
+        try {
+            location = await this.resolveLocation(leg.location);
+            dailyForecasts = await this.gatherMultiDayWeatherData(location, dateRange);
+        } catch (error) {
+            console.warn(`Weather for ${leg.location} unavailable, using seasonal estimates:`, error.message);
+            const fallback = this.generateSeasonalFallback({
+                location: leg.location,
+                startDate: dateRange.start,
+                duration: dateRange.duration
+            }, location);
+            location = fallback.weatherContext.location;
+            dailyForecasts = fallback.weatherContext.dailyForecasts;
+            fallbackUsed = true;
+        }
+
+        return {
+            index,
+            location,
+            startDay: leg.startDay,
+            endDay: leg.endDay,
+            activities: leg.activities || [],
+            dateRange,
+            fallbackUsed,
+            dailyForecasts: dailyForecasts.map((forecast, offset) => ({
+                ...forecast,
+                day: leg.startDay + offset,
+                leg: index,
+                location: location.name || leg.location
+            }))
+        };
+    }
+
     /**
      * Process location and dates from event details
      * @param {Object} eventDetails - Event details containing location and date information
@@ -116,6 +218,35 @@ class WeatherContextService {
                 resolvedFrom: locationString
             };
         } catch (error) {
+            // Without geocoding, the bundled gazetteer still places the destination
+            const place = gazetteerService.lookup(locationString);
+            if (place) {
+                console.warn(`Geocoding failed for "${locationString}", using gazetteer entry ${place.label}`);
+                return {
+                    name: place.name,
+                    country: place.country,
+                    state: place.state,
+                    coordinates: place.coordinates,
+                    timezone: null,
+                    resolvedFrom: locationString,
+                    offline: true
+                };
+            }
+
+            // A bundled climate normals city still lets us plan from climate normals
+            const city = climateNormalsService.findCityByName(locationString);
+            if (city) {
+                console.warn(`Geocoding failed for "${locationString}", using climate normals for ${city.name}`);
+                return {
+                    name: city.name,
+                    country: city.country,
+                    state: null,
+                    coordinates: { lat: city.lat, lon: city.lon },
+                    timezone: null,
+                    resolvedFrom: locationString,
+                    offline: true
+                };
+            }
             throw new Error(`Failed to resolve location "${locationString}": ${error.message}`);
         }
     }
@@ -139,20 +270,10 @@ class WeatherContextService {
             start = new Date();
         }
 
-        // Calculate end date based on duration
+        // Calculate end date based on duration; days past the forecast window use climate normals
         end = new Date(start);
         end.setDate(start.getDate() + (duration - 1));
 
-        // Validate date range is within forecast limits (14 days)
-        const now = new Date();
-        const daysDifference = Math.ceil((end - now) / (1000 * 60 * 60 * 24));
-
-        if (daysDifference > 14) {
-            console.warn(`Weather forecast requested for ${daysDifference} days ahead. Limited to 14 days.`);
-            end = new Date(now);
-            end.setDate(now.getDate() + 14);
-        }
-
         return {
             start: start.toISOString().split('T')[0],
             end: end.toISOString().split('T')[0],
@@ -175,6 +296,11 @@ class WeatherContextService {
 
         // Fetch weather data for each date
         for (const date of dates) {
+            if (location.offline || this.isBeyondForecastWindow(date)) {
+                dailyForecasts.push(this.generateFallbackWeatherData(date, location));
+                continue;
+            }
+
             try {
                 const cacheKey = `${lat},${lon},${date}`;
 
@@ -183,7 +309,7 @@ class WeatherContextService {
 
                 if (!weatherData) {
                     // Fetch from weather service with retry logic
-                    weatherData = await this.fetchWeatherWithRetry(location.name, date);
+                    weatherData = await this.fetchWeatherWithRetry(location, date);
 
                     // Cache the result
                     this.cacheWeatherData(cacheKey, weatherData);
@@ -191,12 +317,12 @@ class WeatherContextService {
 
                 // Process and standardize weather data
                 const processedWeather = this.processWeatherData(weatherData, date);
-                dailyForecasts.push(processedWeather);
+                dailyForecasts.push({ ...processedWeather, source: weatherData.source });
 
             } catch (error) {
                 console.warn(`Failed to get weather for ${date}:`, error.message);
 
-                // Add fallback weather data for this date
+                // Add climate normals for this date
                 const fallbackWeather = this.generateFallbackWeatherData(date, location);
                 dailyForecasts.push(fallbackWeather);
             }
@@ -205,6 +331,17 @@ class WeatherContextService {
         return dailyForecasts;
     }
 
+    /**
+     * Check whether a date is further ahead than the forecast API covers
+     * @param {string} date - Date string (YYYY-MM-DD)
+     * @returns {boolean} True when the date needs climate normals
+     */
+    isBeyondForecastWindow(date) {
+        const today = new Date().toISOString().split('T')[0];
+        const daysAhead = Math.round((new Date(date) - new Date(today)) / (1000 * 60 * 60 * 24));
+        return daysAhead > (weatherService.provider?.forecastDays ?? this.forecastWindowDays);
+    }
+
     /**
      * Generate array of date strings between start and end dates
      * @param {string} startDate - Start date (YYYY-MM-DD)
@@ -224,8 +361,8 @@ class WeatherContextService {
     }
 
     /**
-     * Fetch weather data with retry logic
-     * @param {string} location - Location name
+     * Fetch weather data from the weather provider with retry logic
+     * @param {Object|string} location - Resolved location, or a location name
      * @param {string} date - Date string
      * @returns {Promise<Object>} Weather data
      */
@@ -238,6 +375,11 @@ class WeatherContextService {
             } catch (error) {
                 lastError = error;
 
+                // Unknown places, unsupported dates and bad keys won't succeed on retry
+                if (error.retryable === false) {
+                    break;
+                }
+
                 if (attempt < this.maxRetries) {
                     // Exponential backoff
                     const delay = this.retryDelay * Math.pow(2, attempt - 1);
@@ -262,11 +404,11 @@ class WeatherContextService {
         const processedData = {
             date: date,
             temperature: {
-                min: weather.temperature?.min || weather.temperature?.current || 15,
-                max: weather.temperature?.max || weather.temperature?.current || 25,
+                min: weather.temperature?.min ?? weather.temperature?.current ?? 15,
+                max: weather.temperature?.max ?? weather.temperature?.current ?? 25,
                 average: Math.round((
-                    (weather.temperature?.min || weather.temperature?.current || 15) +
-                    (weather.temperature?.max || weather.temperature?.current || 25)
+                    (weather.temperature?.min ?? weather.temperature?.current ?? 15) +
+                    (weather.temperature?.max ?? weather.temperature?.current ?? 25)
                 ) / 2),
                 feelsLike: weather.temperature?.feels_like || weather.temperature?.current || 20,
                 unit: weather.temperature?.unit || 'celsius'
@@ -275,7 +417,8 @@ class WeatherContextService {
                 main: this.categorizeWeatherCondition(weather.conditions?.main || 'Clear'),
                 description: weather.conditions?.description || 'Clear conditions',
                 precipitation: {
-                    probability: this.estimatePrecipitationProbability(weather.conditions?.main || 'Clear'),
+                    probability: weather.conditions?.precipitation?.probability ??
+                        this.estimatePrecipitationProbability(weather.conditions?.main || 'Clear'),
                     amount: weather.conditions?.precipitation?.amount || null
                 },
                 wind: {
@@ -1144,13 +1287,29 @@ class WeatherContextService {
 
             // Context metadata
             contextGatheredAt: new Date().toISOString(),
-            weatherDataSource: 'OpenWeatherMap',
+            weatherDataSource: this.getWeatherDataSource(weatherData),
             weatherDataConfidence: this.calculateWeatherConfidence(weatherData)
         };
 
         return enrichedContext;
     }
 
+    /**
+     * Describe where the daily forecasts came from
+     * @param {Array} weatherData - Daily weather forecasts
+     * @returns {string} Data source label
+     */
+    getWeatherDataSource(weatherData) {
+        const sources = new Set(weatherData.map(day => {
+            if (day.fallback) {
+                return day.source === 'climate-normals' ? 'Climate Normals' : 'Seasonal Estimate';
+            }
+            return day.source || weatherService.provider?.label || 'OpenWeatherMap';
+        }));
+
+        return Array.from(sources).join(' + ');
+    }
+
     /**
      * Generate weather summary for multiple days
      * @param {Array} weatherData - Daily weather forecasts
@@ -1318,33 +1477,28 @@ class WeatherContextService {
      * @returns {Object} Seasonal factors
      */
     extractSeasonalFactors(weatherContext) {
-        const now = new Date();
-        const month = now.getMonth();
-
-        // Determine season
-        let season;
-        if (month >= 2 && month <= 4) season = 'spring';
-        else if (month >= 5 && month <= 7) season = 'summer';
-        else if (month >= 8 && month <= 10) season = 'autumn';
-        else season = 'winter';
+        // Season of the trip itself, at the destination's latitude
+        const date = weatherContext.dailyForecasts?.[0]?.date || new Date().toISOString().split('T')[0];
+        const lat = climateNormalsService.getLatitude(weatherContext.location);
+        const season = climateNormalsService.getSeason(date, lat);
 
         return {
             season,
-            month: month + 1,
-            daylight: this.estimateDaylightHours(month),
+            month: new Date(date).getUTCMonth() + 1,
+            hemisphere: climateNormalsService.getHemisphere(lat),
+            daylight: this.estimateDaylightHours(date, lat),
             seasonalTrends: this.getSeasonalTrends(season)
         };
     }
 
     /**
-     * Estimate daylight hours based on month
-     * @param {number} month - Month (0-11)
+     * Estimate daylight hours for a date and latitude
+     * @param {string} date - Date string (YYYY-MM-DD)
+     * @param {number} lat - Latitude
      * @returns {number} Estimated daylight hours
      */
-    estimateDaylightHours(month) {
-        // Simplified daylight estimation for northern hemisphere
-        const daylightMap = [9, 10, 12, 13, 15, 16, 15, 14, 12, 11, 9, 8];
-        return daylightMap[month];
+    estimateDaylightHours(date, lat) {
+        return climateNormalsService.getDaylightHours(date, lat);
     }
 
     /**
@@ -1475,134 +1629,66 @@ class WeatherContextService {
     }
 
     /**
-     * Generate seasonal fallback weather data
+     * Generate seasonal fallback weather data from climate normals
      * @param {Object} eventDetails - Event details
-     * @returns {Object} Fallback weather context
+     * @param {Object|null} resolvedLocation - Location already resolved by resolveLocation, if any
+     * @returns {Object} Fallback weather context with a forecast for every day of the trip
      */
-    generateSeasonalFallback(eventDetails) {
-        const now = new Date();
-        const month = now.getMonth();
-
-        // Basic seasonal temperature ranges (Celsius)
-        const seasonalData = {
-            winter: { min: 0, max: 10, condition: 'cloudy' },
-            spring: { min: 10, max: 20, condition: 'cloudy' },
-            summer: { min: 20, max: 30, condition: 'sunny' },
-            autumn: { min: 10, max: 20, condition: 'cloudy' }
+    generateSeasonalFallback(eventDetails, resolvedLocation = null) {
+        const coordinates = resolvedLocation?.coordinates || this.findFallbackCoordinates(eventDetails.location);
+        const location = {
+            name: resolvedLocation?.name || eventDetails.location || 'Unknown',
+            coordinates: coordinates || { lat: 0, lon: 0 },
+            resolvedFrom: eventDetails.location
         };
 
-        let season;
-        if (month >= 2 && month <= 4) season = 'spring';
-        else if (month >= 5 && month <= 7) season = 'summer';
-        else if (month >= 8 && month <= 10) season = 'autumn';
-        else season = 'winter';
-
-        const data = seasonalData[season];
+        const startDate = eventDetails.startDate && !isNaN(new Date(eventDetails.startDate).getTime())
+            ? eventDetails.startDate
+            : null;
+        const dateRange = this.calculateDateRange(startDate, eventDetails.duration || 1);
+        const dailyForecasts = this.generateDateArray(dateRange.start, dateRange.end)
+            .map(date => this.generateFallbackWeatherData(date, location));
 
         return {
             ...eventDetails,
             weatherContext: {
-                location: {
-                    name: eventDetails.location || 'Unknown',
-                    coordinates: { lat: 0, lon: 0 },
-                    resolvedFrom: eventDetails.location
-                },
-                dailyForecasts: [{
-                    date: eventDetails.startDate || now.toISOString().split('T')[0],
-                    temperature: {
-                        min: data.min,
-                        max: data.max,
-                        average: Math.round((data.min + data.max) / 2),
-                        feelsLike: Math.round((data.min + data.max) / 2),
-                        unit: 'celsius'
-                    },
-                    conditions: {
-                        main: data.condition,
-                        description: `Seasonal ${data.condition} conditions`,
-                        precipitation: { probability: 30, amount: null },
-                        wind: { speed: 5, direction: 'Variable' },
-                        humidity: 60,
-                        uvIndex: null
-                    },
-                    comfort: {
-                        heatIndex: null,
-                        windChill: null,
-                        comfortLevel: 'comfortable'
-                    },
-                    recommendations: {
-                        layering: season === 'winter' ? 'heavy' : season === 'summer' ? 'none' : 'light',
-                        waterproof: false,
-                        sunProtection: season === 'summer',
-                        warmAccessories: season === 'winter'
-                    }
-                }],
-                summary: {
-                    overallConditions: data.condition,
-                    temperatureRange: { min: data.min, max: data.max },
-                    significantWeatherChanges: false,
-                    primaryConcerns: season === 'winter' ? ['cold'] : season === 'summer' ? ['heat'] : []
-                }
+                location,
+                dailyForecasts,
+                summary: this.generateWeatherSummary(dailyForecasts)
             },
             contextGatheredAt: new Date().toISOString(),
-            weatherDataSource: 'Seasonal Fallback',
-            weatherDataConfidence: 0.3
+            weatherDataSource: this.getWeatherDataSource(dailyForecasts),
+            weatherDataConfidence: coordinates ? 0.5 : 0.3
         };
     }
 
     /**
-     * Generate fallback weather data for a specific date
+     * Place a destination without geocoding, from the gazetteer or the climate normals cities
+     * @param {string} locationString - Location string
+     * @returns {Object|null} Coordinates ({ lat, lon }) or null when the place is unknown
+     */
+    findFallbackCoordinates(locationString) {
+        const place = gazetteerService.lookup(locationString);
+        if (place) {
+            return place.coordinates;
+        }
+
+        const city = climateNormalsService.findCityByName(locationString);
+        return city ? { lat: city.lat, lon: city.lon } : null;
+    }
+
+    /**
+     * Generate fallback weather data for a specific date from climate normals
      * @param {string} date - Date string
      * @param {Object} location - Location information
      * @returns {Object} Fallback weather data
      */
     generateFallbackWeatherData(date, location) {
-        const dateObj = new Date(date);
-        const month = dateObj.getMonth();
-
-        // Basic seasonal data
-        let temp, condition;
-        if (month >= 2 && month <= 4) { // Spring
-            temp = { min: 10, max: 20 };
-            condition = 'cloudy';
-        } else if (month >= 5 && month <= 7) { // Summer
-            temp = { min: 20, max: 30 };
-            condition = 'sunny';
-        } else if (month >= 8 && month <= 10) { // Autumn
-            temp = { min: 10, max: 20 };
-            condition = 'cloudy';
-        } else { // Winter
-            temp = { min: 0, max: 10 };
-            condition = 'cloudy';
-        }
+        const weatherData = climateNormalsService.buildWeatherData(location, date);
 
         return {
-            date: date,
-            temperature: {
-                min: temp.min,
-                max: temp.max,
-                average: Math.round((temp.min + temp.max) / 2),
-                feelsLike: Math.round((temp.min + temp.max) / 2),
-                unit: 'celsius'
-            },
-            conditions: {
-                main: condition,
-                description: `Seasonal ${condition} conditions`,
-                precipitation: { probability: 30, amount: null },
-                wind: { speed: 5, direction: 'Variable' },
-                humidity: 60,
-                uvIndex: null
-            },
-            comfort: {
-                heatIndex: null,
-                windChill: null,
-                comfortLevel: 'comfortable'
-            },
-            recommendations: {
-                layering: temp.max < 15 ? 'moderate' : temp.max > 25 ? 'none' : 'light',
-                waterproof: false,
-                sunProtection: condition === 'sunny',
-                warmAccessories: temp.min < 10
-            },
+            ...this.processWeatherData(weatherData, date),
+            source: weatherData.source,
             fallback: true
         };
     }
@@ -0,0 +1,158 @@
+/**
+ * Weather Provider
+ * Common interface every weather backend implements so services never talk
+ * to a weather API directly:
+ *   geocode(query)                  -> Promise<Location>
+ *   getCurrent(location)            -> Promise<WeatherResponse>
+ *   getForecast(location, date)     -> Promise<WeatherResponse>
+ *   getHistorical(location, date)   -> Promise<WeatherResponse>
+ *   getWeather(location, date)      -> Promise<WeatherResponse> (picks one of the above)
+ *
+ * Location:        { name, country, state, coordinates: { lat, lon } }
+ * WeatherResponse: { location, date, weather, source, timestamp }, where weather is
+ *   { temperature: { current, feels_like, min, max, unit },
+ *     conditions: { main, description, icon, precipitation: { probability, amount } },
+ *     humidity, pressure, wind: { speed, direction }, visibility }
+ * which is what weatherContextService.processWeatherData reads. `main` uses the
+ * OpenWeatherMap vocabulary (Clear, Clouds, Rain, Drizzle, Thunderstorm, Snow, Fog, ...).
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Error raised by weather providers; `retryable` is false when asking again won't help
+ */
+export class WeatherProviderError extends Error {
+    constructor(message, code = 'PROVIDER_ERROR', { retryable = true, status = null } = {}) {
+        super(message);
+        this.name = 'WeatherProviderError';
+        this.code = code;
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+/**
+ * Date part of a date or date string
+ * @param {string|Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateString = (date) => (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+
+/**
+ * Whole days between today (UTC) and a date; negative for past dates
+ * @param {string|Date} date - Date
+ * @returns {number} Days ahead
+ */
+export const daysFromToday = (date) => {
+    const today = toDateString(new Date());
+    return Math.round((new Date(toDateString(date)) - new Date(today)) / DAY_MS);
+};
+
+/**
+ * Fetch JSON, turning HTTP and network failures into WeatherProviderErrors
+ * @param {string} url - Request URL
+ * @param {string} label - What is being fetched, for error messages
+ * @returns {Promise<Object>} Parsed response body
+ */
+export const fetchJSON = async (url, label) => {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new WeatherProviderError(`${label} failed: ${error.message}`, 'NETWORK_ERROR');
+    }
+
+    if (!response.ok) {
+        // Client errors (bad key, bad request) won't succeed on retry
+        const retryable = response.status === 429 || response.status >= 500;
+        throw new WeatherProviderError(`${label} failed: ${response.status}`, 'HTTP_ERROR', { retryable, status: response.status });
+    }
+
+    return response.json();
+};
+
+/**
+ * Base class with the shared date routing
+ */
+export class WeatherProvider {
+    /**
+     * @param {string} name - Provider id ('openweathermap', 'open-meteo', 'fixture')
+     * @param {Object} options
+     * @param {string} options.label - Human-readable data source name
+     * @param {number} options.forecastDays - Days ahead getForecast can answer
+     */
+    constructor(name, { label = name, forecastDays = 0 } = {}) {
+        this.name = name;
+        this.label = label;
+        this.forecastDays = forecastDays;
+    }
+
+    async geocode() {
+        throw new WeatherProviderError(`${this.name} provider does not implement geocode()`, 'UNSUPPORTED', { retryable: false });
+    }
+
+    async getCurrent() {
+        throw new WeatherProviderError(`${this.name} provider does not implement getCurrent()`, 'UNSUPPORTED', { retryable: false });
+    }
+
+    async getForecast() {
+        throw new WeatherProviderError(`${this.name} provider does not implement getForecast()`, 'UNSUPPORTED', { retryable: false });
+    }
+
+    async getHistorical() {
+        throw new WeatherProviderError(`${this.name} provider does not implement getHistorical()`, 'UNSUPPORTED', { retryable: false });
+    }
+
+    /**
+     * Weather for a place and date: history for past dates, current conditions for
+     * today and the forecast for upcoming dates within the provider's window
+     * @param {Object|string} location - Location object or a place name to geocode
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object>} WeatherResponse
+     */
+    async getWeather(location, date) {
+        const place = typeof location === 'string' ? await this.geocode(location) : location;
+        const daysAhead = daysFromToday(date);
+
+        if (daysAhead < 0) {
+            return this.getHistorical(place, toDateString(date));
+        }
+        if (daysAhead === 0) {
+            return { ...(await this.getCurrent(place)), date: toDateString(date) };
+        }
+        if (daysAhead <= this.forecastDays) {
+            return this.getForecast(place, toDateString(date));
+        }
+
+        throw new WeatherProviderError(
+            `${this.label} forecasts only cover the next ${this.forecastDays} days`,
+            'OUT_OF_RANGE',
+            { retryable: false }
+        );
+    }
+
+    /**
+     * Wrap normalized weather in the common response envelope
+     * @param {Object} location - Location
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Object} weather - Normalized weather
+     * @returns {Object} WeatherResponse
+     */
+    toResponse(location, date, weather) {
+        return {
+            location: {
+                name: location.name,
+                country: location.country,
+                state: location.state,
+                coordinates: location.coordinates
+            },
+            date,
+            weather,
+            source: this.label,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+export default WeatherProvider;
@@ -0,0 +1,35 @@
+/**
+ * Weather Provider Factory
+ * Picks the weather backend services should talk to
+ */
+
+import { OpenWeatherMapProvider } from './openWeatherMapProvider';
+import { OpenMeteoProvider } from './openMeteoProvider';
+import { FixtureWeatherProvider } from './fixtureWeatherProvider';
+
+/**
+ * Create the provider selected by REACT_APP_WEATHER_PROVIDER ('openweathermap', 'open-meteo'
+ * or 'fixture'). Without a setting, OpenWeatherMap is used when an API key is configured
+ * and the keyless Open-Meteo otherwise.
+ * @param {Object} options - Provider options (apiKey, URLs, fixtures, ...)
+ * @param {string} options.provider - Explicit provider name, overrides the environment
+ * @returns {WeatherProvider}
+ */
+export const createWeatherProvider = (options = {}) => {
+    const apiKey = options.apiKey || process.env.REACT_APP_WEATHER_API_KEY;
+    const providerName = (
+        options.provider || process.env.REACT_APP_WEATHER_PROVIDER || (apiKey ? 'openweathermap' : 'open-meteo')
+    ).toLowerCase();
+
+    if (providerName === 'fixture') {
+        return new FixtureWeatherProvider(options);
+    }
+
+    if (providerName === 'open-meteo' || providerName === 'openmeteo') {
+        return new OpenMeteoProvider(options);
+    }
+
+    return new OpenWeatherMapProvider({ ...options, apiKey });
+};
+
+export default createWeatherProvider;
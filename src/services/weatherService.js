@@ -1,216 +1,75 @@
 /**
  * Frontend Weather Service
- * Handles weather API calls directly from the browser
+ * Entry point for weather lookups from the browser; delegates to the configured
+ * weather provider (OpenWeatherMap, Open-Meteo or fixtures, see weatherProviderFactory)
  */
 
+import { createWeatherProvider } from './weatherProviderFactory';
+import { OPENWEATHERMAP_BASE_URL, OPENWEATHERMAP_GEOCODING_URL } from './openWeatherMapProvider';
+
 class WeatherService {
-    constructor() {
-        this.apiKey = process.env.REACT_APP_WEATHER_API_KEY || 'fe3ee8fca7c9cfc98f1306b62991e4e0';
-        this.baseUrl = 'https://api.openweathermap.org/data/2.5';
-        this.geocodingUrl = 'https://api.openweathermap.org/geo/1.0';
+    /**
+     * @param {WeatherProvider} provider - Backend to use (defaults to createWeatherProvider())
+     */
+    constructor(provider = null) {
+        this.apiKey = process.env.REACT_APP_WEATHER_API_KEY || null;
+        this.baseUrl = OPENWEATHERMAP_BASE_URL;
+        this.geocodingUrl = OPENWEATHERMAP_GEOCODING_URL;
+        this.provider = provider || createWeatherProvider({
+            apiKey: this.apiKey,
+            baseUrl: this.baseUrl,
+            geocodingUrl: this.geocodingUrl
+        });
     }
 
     /**
-     * Geocode a location string to coordinates
+     * Switch the weather backend (e.g. to fixtures for demos)
+     * @param {WeatherProvider} provider - Provider to use from now on
      */
-    async geocodeLocation(location) {
-        try {
-            const response = await fetch(`${this.geocodingUrl}/direct?q=${encodeURIComponent(location)}&limit=1&appid=${this.apiKey}`);
-
-            if (!response.ok) {
-                throw new Error(`Geocoding failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (!data || data.length === 0) {
-                throw new Error(`Location "${location}" not found`);
-            }
-
-            const locationData = data[0];
-            return {
-                name: locationData.name,
-                country: locationData.country,
-                state: locationData.state,
-                coordinates: {
-                    lat: locationData.lat,
-                    lon: locationData.lon
-                }
-            };
-        } catch (error) {
-            throw new Error(`Failed to find location: ${error.message}`);
-        }
+    setProvider(provider) {
+        this.provider = provider;
     }
 
     /**
-     * Get current weather for coordinates
+     * Geocode a location string to coordinates
+     * @returns {Promise<Object>} { name, country, state, coordinates: { lat, lon } }
      */
-    async getCurrentWeather(lat, lon) {
-        try {
-            const response = await fetch(`${this.baseUrl}/weather?lat=${lat}&lon=${lon}&appid=${this.apiKey}&units=metric`);
-
-            if (!response.ok) {
-                throw new Error(`Weather API failed: ${response.status}`);
-            }
-
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Failed to get current weather: ${error.message}`);
-        }
+    async geocodeLocation(location) {
+        return this.provider.geocode(location);
     }
 
     /**
-     * Get weather forecast for coordinates
+     * Get current weather for coordinates
      */
-    async getWeatherForecast(lat, lon) {
-        try {
-            const response = await fetch(`${this.baseUrl}/forecast?lat=${lat}&lon=${lon}&appid=${this.apiKey}&units=metric`);
-
-            if (!response.ok) {
-                throw new Error(`Forecast API failed: ${response.status}`);
-            }
-
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Failed to get weather forecast: ${error.message}`);
-        }
+    async getCurrentWeather(lat, lon) {
+        return this.provider.getCurrent({ name: null, coordinates: { lat, lon } });
     }
 
     /**
-     * Get weather for location and date
+     * Get the weather forecast for coordinates on a date
      */
-    async getWeatherForLocationAndDate(location, dateString) {
-        try {
-            // Geocode location
-            const locationData = await this.geocodeLocation(location);
-
-            // Parse date
-            const requestedDate = new Date(dateString);
-            const now = new Date();
-            const daysDifference = Math.ceil((requestedDate - now) / (1000 * 60 * 60 * 24));
-
-            let weatherData;
-
-            if (daysDifference <= 0) {
-                // Current or past date
-                weatherData = await this.getCurrentWeather(
-                    locationData.coordinates.lat,
-                    locationData.coordinates.lon
-                );
-                return this.formatCurrentWeatherResponse(weatherData, locationData, dateString);
-            } else if (daysDifference <= 5) {
-                // Future date within 5 days
-                const forecastData = await this.getWeatherForecast(
-                    locationData.coordinates.lat,
-                    locationData.coordinates.lon
-                );
-                return this.formatForecastResponse(forecastData, locationData, dateString, requestedDate);
-            } else {
-                throw new Error('Weather forecast is only available for the next 5 days');
-            }
-        } catch (error) {
-            throw new Error(`Weather lookup failed: ${error.message}`);
-        }
+    async getWeatherForecast(lat, lon, dateString) {
+        return this.provider.getForecast({ name: null, coordinates: { lat, lon } }, dateString);
     }
 
     /**
-     * Format current weather response
+     * Get recorded weather for coordinates on a past date
      */
-    formatCurrentWeatherResponse(weatherData, locationData, dateString) {
-        return {
-            location: {
-                name: locationData.name,
-                country: locationData.country,
-                state: locationData.state,
-                coordinates: locationData.coordinates
-            },
-            date: dateString,
-            weather: {
-                temperature: {
-                    current: Math.round(weatherData.main.temp),
-                    feels_like: Math.round(weatherData.main.feels_like),
-                    min: Math.round(weatherData.main.temp_min),
-                    max: Math.round(weatherData.main.temp_max),
-                    unit: 'celsius'
-                },
-                conditions: {
-                    main: weatherData.weather[0].main,
-                    description: weatherData.weather[0].description,
-                    icon: weatherData.weather[0].icon
-                },
-                humidity: weatherData.main.humidity,
-                pressure: weatherData.main.pressure,
-                wind: {
-                    speed: weatherData.wind?.speed || 0,
-                    direction: weatherData.wind?.deg || 0
-                },
-                visibility: weatherData.visibility ? Math.round(weatherData.visibility / 1000) : null
-            },
-            source: 'OpenWeatherMap',
-            timestamp: new Date().toISOString()
-        };
+    async getHistoricalWeather(lat, lon, dateString) {
+        return this.provider.getHistorical({ name: null, coordinates: { lat, lon } }, dateString);
     }
 
     /**
-     * Format forecast response
+     * Get weather for location and date
+     * @param {Object|string} location - Resolved location, or a place name to geocode
+     * @param {string} dateString - Date (YYYY-MM-DD)
+     * @returns {Promise<Object>} { location, date, weather, source, timestamp }
      */
-    formatForecastResponse(forecastData, locationData, dateString, requestedDate) {
-        const targetDate = requestedDate.toISOString().split('T')[0];
-
-        let closestForecast = null;
-        let minTimeDiff = Infinity;
-
-        for (const forecast of forecastData.list) {
-            const forecastDate = new Date(forecast.dt * 1000);
-            const forecastDateString = forecastDate.toISOString().split('T')[0];
-
-            if (forecastDateString === targetDate) {
-                const timeDiff = Math.abs(forecastDate.getHours() - 12);
-                if (timeDiff < minTimeDiff) {
-                    minTimeDiff = timeDiff;
-                    closestForecast = forecast;
-                }
-            }
-        }
-
-        if (!closestForecast) {
-            closestForecast = forecastData.list[0];
-        }
-
-        return {
-            location: {
-                name: locationData.name,
-                country: locationData.country,
-                state: locationData.state,
-                coordinates: locationData.coordinates
-            },
-            date: dateString,
-            weather: {
-                temperature: {
-                    current: Math.round(closestForecast.main.temp),
-                    feels_like: Math.round(closestForecast.main.feels_like),
-                    min: Math.round(closestForecast.main.temp_min),
-                    max: Math.round(closestForecast.main.temp_max),
-                    unit: 'celsius'
-                },
-                conditions: {
-                    main: closestForecast.weather[0].main,
-                    description: closestForecast.weather[0].description,
-                    icon: closestForecast.weather[0].icon
-                },
-                humidity: closestForecast.main.humidity,
-                pressure: closestForecast.main.pressure,
-                wind: {
-                    speed: closestForecast.wind?.speed || 0,
-                    direction: closestForecast.wind?.deg || 0
-                },
-                visibility: closestForecast.visibility ? Math.round(closestForecast.visibility / 1000) : null
-            },
-            source: 'OpenWeatherMap',
-            timestamp: new Date().toISOString()
-        };
+    async getWeatherForLocationAndDate(location, dateString) {
+        return this.provider.getWeather(location, dateString);
     }
 }
 
 const weatherService = new WeatherService();
-export default weatherService;
\ No newline at end of file
+export default weatherService;
+export { WeatherService };